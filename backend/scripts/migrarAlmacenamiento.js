@@ -0,0 +1,174 @@
+// File: BackEnd/scripts/migrarAlmacenamiento.js
+// Description: Migración de archivos entre drivers de almacenamiento de
+//              ProCivil Manager (PCM), por ejemplo del disco local (que se
+//              pierde en cada redeploy de Render) a un bucket S3/MinIO.
+//              Recorre todas las rutas guardadas en Mongo (adjuntos de
+//              proyectos con sus revisiones y miniaturas, y fotos de bitácora),
+//              copia cada archivo al driver de destino y normaliza las rutas
+//              mal formadas ("/uploads/..." o con "\") a su clave. Se puede
+//              repetir: los archivos que ya existen en el destino se omiten.
+//
+// Uso:
+//   node scripts/migrarAlmacenamiento.js [--desde=local] [--hacia=s3] [--simular] [--borrar-origen]
+//   - --desde: driver de origen (por defecto "local").
+//   - --hacia: driver de destino (por defecto ALMACENAMIENTO_DRIVER).
+//   - --simular: solo informa lo que haría, sin copiar ni modificar datos.
+//   - --borrar-origen: borra del origen cada archivo ya presente en el destino.
+
+// =============================
+// Importaciones principales
+// =============================
+
+// Carga variables de entorno desde .env (MONGO_URI, driver y credenciales S3).
+require('dotenv').config();
+
+// Importa Mongoose para cerrar la conexión al final del script.
+const mongoose = require('mongoose'); // ODM para manejar MongoDB
+
+// Importa la función de conexión reutilizada por el servidor principal.
+const conectarBaseDatos = require('../src/config/conexionBaseDatos'); // Conecta a MongoDB
+
+// Modelos con rutas de archivos.
+const Proyectos = require('../src/modules/projects/models/proyecto.modelo'); // Adjuntos de proyectos
+const BitacoraObra = require('../src/modules/projects/models/bitacora.modelo'); // Fotos de bitácora
+
+// Servicio de almacenamiento (drivers y normalización de claves).
+const { crearAlmacenamiento, normalizarClave } = require('../src/core/services/almacenamiento.servicio');
+
+// =============================
+// Argumentos
+// =============================
+
+const leerArgumento = (nombre) => {
+  const argumento = process.argv.slice(2).find((a) => a === `--${nombre}` || a.startsWith(`--${nombre}=`));
+  if (!argumento) return null;
+  return argumento.includes('=') ? argumento.split('=').slice(1).join('=') : true;
+};
+
+const DESDE = leerArgumento('desde') || 'local';
+const HACIA = leerArgumento('hacia') || process.env.ALMACENAMIENTO_DRIVER || 'local';
+const SIMULAR = Boolean(leerArgumento('simular'));
+const BORRAR_ORIGEN = Boolean(leerArgumento('borrar-origen'));
+
+// =============================
+// Migración
+// =============================
+
+/**
+ * Copia los archivos referenciados por un documento y normaliza sus rutas.
+ *
+ * @param {Array<{ objeto: Object, campo: string, tipoMime: string }>} referencias
+ *   Objetos (subdocumentos) y campo donde está la ruta.
+ * @param {Object} contexto Drivers, claves ya procesadas y contadores.
+ * @returns {Promise<boolean>} true si alguna ruta se normalizó (hay que guardar).
+ */
+const migrarReferencias = async (referencias, { origen, destino, procesadas, totales }) => {
+  let modificado = false;
+
+  for (const { objeto, campo, tipoMime } of referencias) {
+    const ruta = objeto[campo];
+    if (!ruta) continue;
+
+    let clave;
+    try {
+      clave = normalizarClave(ruta);
+    } catch (error) {
+      console.warn(`⚠️  Ruta inválida, se omite: ${ruta}`);
+      totales.invalidas += 1;
+      continue;
+    }
+    if (clave !== ruta) {
+      objeto[campo] = clave;
+      totales.normalizadas += 1;
+      modificado = true;
+    }
+
+    if (procesadas.has(clave)) continue;
+    procesadas.add(clave);
+
+    try {
+      if (await destino.existe(clave)) {
+        totales.yaMigrados += 1;
+      } else if (!(await origen.existe(clave))) {
+        console.warn(`⚠️  No existe en el origen: ${clave}`);
+        totales.faltantes += 1;
+        continue;
+      } else {
+        if (!SIMULAR) {
+          await destino.guardar(clave, await origen.leer(clave), { tipoMime });
+        }
+        totales.copiados += 1;
+      }
+
+      if (BORRAR_ORIGEN && !SIMULAR) {
+        await origen.eliminar(clave);
+        totales.borrados += 1;
+      }
+    } catch (error) {
+      console.error(`❌ Error al migrar ${clave}:`, error.message);
+      totales.errores += 1;
+    }
+  }
+
+  return modificado;
+};
+
+// Rutas de archivos de un adjunto: archivo vigente, revisiones y miniatura.
+const referenciasAdjunto = (adjunto) => [
+  { objeto: adjunto, campo: 'ruta', tipoMime: adjunto.tipoMime },
+  ...(adjunto.versiones || []).map((v) => ({ objeto: v, campo: 'ruta', tipoMime: v.tipoMime })),
+  ...(adjunto.foto ? [{ objeto: adjunto.foto, campo: 'miniatura', tipoMime: 'image/jpeg' }] : []),
+];
+
+const main = async () => {
+  if (DESDE === HACIA) {
+    console.error(`❌ El origen y el destino son el mismo driver ("${DESDE}"). Usa --hacia=s3 o define ALMACENAMIENTO_DRIVER.`);
+    process.exit(1);
+  }
+
+  const contexto = {
+    origen: crearAlmacenamiento(DESDE),
+    destino: crearAlmacenamiento(HACIA),
+    procesadas: new Set(),
+    totales: { copiados: 0, yaMigrados: 0, faltantes: 0, invalidas: 0, normalizadas: 0, borrados: 0, errores: 0 },
+  };
+
+  await conectarBaseDatos();
+  console.log(`🚚 Migrando archivos de "${DESDE}" a "${HACIA}"${SIMULAR ? ' (simulación)' : ''}...`);
+
+  let codigoSalida = 0;
+  try {
+    // Adjuntos de proyectos (con revisiones y miniaturas)
+    for await (const proyecto of Proyectos.find({ 'adjuntos.0': { $exists: true } }).select('adjuntos').cursor()) {
+      const referencias = proyecto.adjuntos.flatMap(referenciasAdjunto);
+      if ((await migrarReferencias(referencias, contexto)) && !SIMULAR) {
+        await proyecto.save({ validateBeforeSave: false });
+      }
+    }
+
+    // Fotos de la bitácora de obra
+    for await (const entrada of BitacoraObra.find({ 'fotos.0': { $exists: true } }).select('fotos').cursor()) {
+      const referencias = entrada.fotos.map((f) => ({ objeto: f, campo: 'ruta', tipoMime: f.tipoMime }));
+      if ((await migrarReferencias(referencias, contexto)) && !SIMULAR) {
+        await entrada.save({ validateBeforeSave: false });
+      }
+    }
+
+    const t = contexto.totales;
+    console.log(
+      `✅ Migración terminada: ${t.copiados} copiados, ${t.yaMigrados} ya estaban en el destino, ` +
+        `${t.faltantes} no encontrados, ${t.invalidas} rutas inválidas, ${t.normalizadas} rutas normalizadas, ` +
+        `${t.borrados} borrados del origen, ${t.errores} errores.`
+    );
+    if (t.errores) codigoSalida = 1;
+  } catch (error) {
+    console.error('❌ Falló la migración de archivos:', error.message);
+    codigoSalida = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+
+  process.exit(codigoSalida);
+};
+
+main();
@@ -0,0 +1,186 @@
+// File: BackEnd/scripts/probarSalidasConcurrentes.js
+// Description: Prueba de concurrencia del inventario de ProCivil Manager (PCM).
+//              Crea un almacén y un material temporales con un stock conocido,
+//              dispara en paralelo más salidas de las que el stock permite por
+//              el controlador createMovimiento (mismo camino que
+//              POST /api/movimientos) y verifica que solo se apliquen las que
+//              caben: el saldo nunca queda negativo y el total del material
+//              coincide con el saldo del almacén.
+//              Solo corre contra una base dedicada a pruebas (MONGO_URI_PRUEBAS,
+//              cuyo nombre debe contener "test" o "prueba") y borra al final
+//              todo lo que creó.
+
+// =============================
+// Importaciones principales
+// =============================
+
+// Carga variables de entorno desde .env (incluye MONGO_URI_PRUEBAS).
+require('dotenv').config(); // Permite usar process.env.MONGO_URI_PRUEBAS
+
+// Aserciones nativas de Node (sin dependencias de test adicionales).
+const assert = require('node:assert/strict'); // Comparaciones estrictas
+
+// Importa Mongoose para conectar a la base de pruebas y cerrar la conexión al final.
+const mongoose = require('mongoose'); // ODM para manejar MongoDB
+
+// Modelos involucrados en la prueba.
+const Material = require('../src/modules/inventory/models/material.modelo'); // Modelo Material
+const MovimientoInventario = require('../src/modules/inventory/models/inventario.modelo'); // Modelo Movimiento inventario
+const StockAlmacen = require('../src/modules/inventory/models/stockAlmacen.modelo'); // Saldos por almacén
+const Almacen = require('../src/modules/warehouses/models/almacen.modelo'); // Modelo Almacén
+const Alerta = require('../src/modules/alerts/models/alerta.modelo'); // Alertas de stock mínimo generadas por las salidas
+
+// Controlador real de movimientos (validaciones, transacción y alertas).
+const { createMovimiento } = require('../src/modules/inventory/controllers/inventario.controlador');
+
+// =============================
+// Constantes de configuración
+// =============================
+
+const STOCK_INICIAL = 10;       // Unidades disponibles al iniciar la prueba
+const SALIDAS_EN_PARALELO = 25; // Salidas de 1 unidad disparadas a la vez (más que el stock)
+const PATRON_BASE_PRUEBAS = /test|prueba/i; // El nombre de la base debe identificarla como de pruebas
+
+// Usuario con el que se registran los movimientos (no se guarda en la base).
+const USUARIO_PRUEBA = { id: 'prueba-concurrencia', email: 'prueba-concurrencia@pcm.local', role: 'admin' };
+
+/**
+ * Conecta a la base de pruebas y se niega a continuar si no lo es:
+ * exige MONGO_URI_PRUEBAS, que no sea la misma MONGO_URI de la aplicación y
+ * que el nombre de la base contenga "test" o "prueba".
+ */
+const conectarBasePruebas = async () => {
+  const uri = process.env.MONGO_URI_PRUEBAS;
+  if (!uri) {
+    throw new Error('Defina MONGO_URI_PRUEBAS con una base dedicada a pruebas (no se usa MONGO_URI).');
+  }
+  if (process.env.MONGO_URI && uri === process.env.MONGO_URI) {
+    throw new Error('MONGO_URI_PRUEBAS no puede ser la misma base de MONGO_URI.');
+  }
+
+  await mongoose.connect(uri);
+  const { host, name } = mongoose.connection;
+  if (!PATRON_BASE_PRUEBAS.test(name)) {
+    await mongoose.connection.close();
+    throw new Error(`La base "${name}" no parece de pruebas: su nombre debe contener "test" o "prueba".`);
+  }
+  console.log(`MongoDB de pruebas: ${host}/${name}`);
+};
+
+/**
+ * Registra una salida de 1 unidad llamando a createMovimiento con una
+ * petición y una respuesta mínimas.
+ *
+ * @returns {Promise<{ status: number, body: Object }>} Código y cuerpo de la respuesta.
+ */
+const registrarSalida = (material, almacen, indice) =>
+  new Promise((resolve, reject) => {
+    const req = {
+      body: {
+        material: String(material._id),
+        almacen: String(almacen._id),
+        tipo: 'salida',
+        cantidad: 1,
+        motivo: `Prueba de concurrencia #${indice}`,
+      },
+      user: USUARIO_PRUEBA,
+      app: { get: () => null }, // Sin Socket.io
+    };
+    const res = {
+      statusCode: 200,
+      status(codigo) {
+        this.statusCode = codigo;
+        return this;
+      },
+      json(cuerpo) {
+        resolve({ status: this.statusCode, body: cuerpo });
+        return this;
+      },
+    };
+    Promise.resolve(createMovimiento(req, res)).catch(reject);
+  });
+
+const main = async () => {
+  try {
+    await conectarBasePruebas();
+  } catch (error) {
+    console.error('❌ Prueba de concurrencia no ejecutada:', error.message);
+    process.exit(1);
+  }
+
+  let almacen = null;  // Almacén temporal
+  let material = null; // Material temporal
+  let codigoSalida = 0;
+
+  try {
+    const sufijo = Date.now(); // Evita choques con datos existentes
+
+    almacen = await Almacen.create({
+      nombre: `Almacén prueba concurrencia ${sufijo}`,
+      ciudad: 'Bogotá',
+    });
+
+    material = await Material.create({
+      nombre: `Material prueba concurrencia ${sufijo}`,
+      cantidad: STOCK_INICIAL,
+      stockMinimo: 0,
+      almacen: almacen._id,
+    });
+
+    // 🚀 Disparamos todas las salidas a la vez por el controlador
+    const respuestas = await Promise.all(
+      Array.from({ length: SALIDAS_EN_PARALELO }, (_, i) => registrarSalida(material, almacen, i + 1))
+    );
+
+    const exitosas = respuestas.filter((r) => r.status === 201);
+    const rechazadas = respuestas.filter((r) => r.status !== 201);
+
+    // Los rechazos deben ser SOLO por stock insuficiente (error de negocio 400)
+    rechazadas.forEach((r) => {
+      assert.equal(r.status, 400, `Rechazo inesperado: ${r.status} ${r.body && r.body.message}`);
+    });
+
+    const saldoFinal = await StockAlmacen.findOne({ material: material._id, almacen: almacen._id }).lean();
+    const materialFinal = await Material.findById(material._id).lean();
+    const movimientos = await MovimientoInventario.countDocuments({ material: material._id });
+
+    assert.equal(exitosas.length, STOCK_INICIAL, 'Solo deben aplicarse tantas salidas como stock había');
+    assert.equal(rechazadas.length, SALIDAS_EN_PARALELO - STOCK_INICIAL, 'El resto debe rechazarse');
+    assert.equal(saldoFinal.cantidad, 0, 'El saldo del almacén debe quedar en 0');
+    assert.equal(materialFinal.cantidad, 0, 'El total del material debe quedar en 0');
+    assert.equal(movimientos, STOCK_INICIAL, 'Debe existir un movimiento por cada salida aplicada');
+
+    // Ningún movimiento registrado puede haber dejado el saldo en negativo
+    exitosas.forEach((r) => assert.ok(r.body.data.movimiento.stockNuevo >= 0, 'Saldo negativo detectado'));
+
+    console.log(
+      `✅ Concurrencia OK: ${exitosas.length} salidas aplicadas, ${rechazadas.length} rechazadas, saldo final ${saldoFinal.cantidad}.`
+    );
+  } catch (error) {
+    console.error('❌ Falló la prueba de concurrencia:', error.message);
+    codigoSalida = 1;
+  } finally {
+    // 🧹 Limpieza de todo lo creado por la prueba
+    try {
+      if (material) {
+        await MovimientoInventario.deleteMany({ material: material._id });
+        await StockAlmacen.deleteMany({ material: material._id });
+        await Alerta.deleteMany({ material: material._id });
+        await Material.deleteOne({ _id: material._id });
+      }
+      if (almacen) {
+        await StockAlmacen.deleteMany({ almacen: almacen._id });
+        await Almacen.deleteOne({ _id: almacen._id });
+      }
+    } catch (errorLimpieza) {
+      console.error('❌ No se pudieron borrar los datos de la prueba:', errorLimpieza.message);
+      codigoSalida = 1;
+    }
+
+    await mongoose.connection.close();
+  }
+
+  process.exit(codigoSalida);
+};
+
+main();
@@ -17,6 +17,11 @@ const path = require('path');               // Utilidad de Node para manejar y u
 // 🔹 Importación de la función de conexión a la base de datos
 const connectDB = require('./src/config/conexionBaseDatos');    // Función personalizada que realiza la conexión a MongoDB
 
+// 🔹 Enlaces firmados del servicio de almacenamiento (driver local; con S3 van al bucket)
+const {
+  servirArchivoFirmado,                                         // /archivos/firmados/... (enlaces firmados del driver local)
+} = require('./src/core/middlewares/archivosAlmacenados.middleware');
+
 // 🔹 Determinar origen permitido para CORS (frontend)
 //     - En desarrollo: si no existe FRONTEND_URL, se usa '*' para permitir todo.
 //     - En producción: se recomienda definir FRONTEND_URL con el dominio del frontend de PCM.
@@ -80,6 +85,10 @@ app.use(
   '/uploads',                                                  // Prefijo público: /uploads/...
   express.static(path.join(__dirname, 'src', 'storage', 'uploads'))
 );
+// Adjuntos, fotos de avance (y sus miniaturas) y fotos de bitácora de los proyectos
+// no tienen ruta pública: los endpoints autenticados (que validan el acceso al
+// proyecto) entregan enlaces firmados y temporales, servidos aquí con el driver local.
+app.use('/archivos/firmados', servirArchivoFirmado);
 
 // 🔹 Importación de rutas (routers) de la API
 //     Cada router agrupa endpoints de un módulo funcional del sistema PCM.
@@ -91,8 +100,13 @@ const proyectosRoutes = require('./src/modules/projects/routes/proyecto.rutas');
 const statusRoutes = require('./src/modules/status/routes/estado.rutas');          // Rutas de estadísticas/KPIs para el dashboard (overview, proyectos recientes)
 const reporteRoutes = require('./src/modules/reports/routes/reporte.rutas');       // Rutas para generación de reportes PDF de estadísticas + registro en Reporte
 const almacenRoutes = require('./src/modules/warehouses/routes/almacen.rutas');   // Rutas de almacenes (bodegas físicas)
+const proveedorRoutes = require('./src/modules/suppliers/routes/proveedor.rutas'); // Rutas de proveedores (NIT, condiciones de pago, compras)
+const ordenCompraRoutes = require('./src/modules/purchases/routes/ordenCompra.rutas'); // Rutas de órdenes de compra (aprobación, recepciones, PDF)
 const materialRoutes = require('./src/modules/inventory/routes/material.rutas');   // Rutas de materiales (catálogo, stock, etc.)
+const unidadMedidaRoutes = require('./src/modules/inventory/routes/unidadMedida.rutas'); // Rutas del catálogo de unidades de medida
+const etiquetaRoutes = require('./src/modules/inventory/routes/etiqueta.rutas'); // Rutas de etiquetas QR y escaneo
 const movimientoRoutes = require('./src/modules/inventory/routes/inventario.rutas'); // Rutas para movimientos de inventario (entradas/salidas/ajustes)
+const conteoInventarioRoutes = require('./src/modules/inventory/routes/conteoInventario.rutas'); // Rutas de conteos físicos de inventario (conteo cíclico)
 const presupuestoRoutes = require('./src/modules/budgets/routes/presupuesto.rutas'); // Rutas de presupuestos y costos de materiales por proyecto
 const alertaRoutes = require('./src/modules/alerts/routes/alerta.rutas');          // Rutas de alertas y notificaciones internas
 const solicitudRoutes = require('./src/modules/requests/routes/solicitud.rutas');  // Rutas de solicitudes (proyectos, materiales, etc.)
@@ -106,8 +120,13 @@ app.use('/api/proyectos', proyectosRoutes);               // Endpoints de proyec
 app.use('/api/stats', statusRoutes);                      // Endpoints de estadísticas: /api/stats/overview, /api/stats/recent, etc.
 app.use('/api/reportes', reporteRoutes);                  // Endpoints de reportes/PDFs: /api/reportes/estadisticas, etc.
 app.use('/api/almacenes', almacenRoutes);                 // Endpoints de almacenes: /api/almacenes/...
+app.use('/api/proveedores', proveedorRoutes);             // Endpoints de proveedores: /api/proveedores/...
+app.use('/api/ordenes-compra', ordenCompraRoutes);       // Endpoints de órdenes de compra: /api/ordenes-compra/...
 app.use('/api/materiales', materialRoutes);               // Endpoints de materiales: /api/materiales/...
+app.use('/api/unidades-medida', unidadMedidaRoutes);      // Endpoints de unidades de medida: /api/unidades-medida/...
+app.use('/api/etiquetas', etiquetaRoutes);                // Endpoints de etiquetas QR: /api/etiquetas/...
 app.use('/api/movimientos', movimientoRoutes);            // Endpoints de movimientos de inventario: /api/movimientos/...
+app.use('/api/conteos-inventario', conteoInventarioRoutes); // Endpoints de conteos físicos: /api/conteos-inventario/...
 app.use('/api/presupuestos', presupuestoRoutes);          // Endpoints de presupuestos: /api/presupuestos/...
 app.use('/api/alertas', alertaRoutes);                    // Endpoints de alertas: /api/alertas/...
 app.use('/api/solicitudes', solicitudRoutes);             // Endpoints de solicitudes: /api/solicitudes/...
@@ -204,6 +223,34 @@ io.on('connection', (socket) => {                          // Se ejecuta cuando
   });
 });
 
+// 🔹 Revisión periódica de vencimientos de lotes (materiales perecederos)
+//     Genera alertas "vencimiento" cuando un lote entra en los días de aviso de su
+//     material. Cada VENCIMIENTOS_INTERVALO_HORAS (12 por defecto); la primera
+//     revisión se hace un minuto después del arranque, con la BD ya conectada.
+const { evaluarVencimientos } = require('./src/modules/inventory/services/loteMaterial.servicio'); // Alertas de vencimiento
+const INTERVALO_VENCIMIENTOS_MS =
+  (Number(process.env.VENCIMIENTOS_INTERVALO_HORAS) || 12) * 60 * 60 * 1000; // Intervalo entre revisiones
+const revisarVencimientos = () =>
+  evaluarVencimientos(io).catch((error) => {
+    console.error('❌ Error al revisar vencimientos de lotes:', error);  // Un fallo no detiene el servidor
+  });
+setTimeout(revisarVencimientos, 60 * 1000).unref();        // Primera revisión tras el arranque
+setInterval(revisarVencimientos, INTERVALO_VENCIMIENTOS_MS).unref(); // Revisiones periódicas
+
+// 🔹 Corte diario de valor ganado de los proyectos abiertos
+//     Guarda PV, EV, AC e índices del día para graficar su evolución aunque nadie
+//     consulte el proyecto. Cada VALOR_GANADO_INTERVALO_HORAS (24 por defecto);
+//     consultar el valor ganado también actualiza el corte del día.
+const { registrarCortesProyectosActivos } = require('./src/modules/projects/services/valorGanado.servicio'); // Cortes de valor ganado
+const INTERVALO_VALOR_GANADO_MS =
+  (Number(process.env.VALOR_GANADO_INTERVALO_HORAS) || 24) * 60 * 60 * 1000; // Intervalo entre cortes
+const registrarCortesValorGanado = () =>
+  registrarCortesProyectosActivos().catch((error) => {
+    console.error('❌ Error al registrar los cortes de valor ganado:', error); // Un fallo no detiene el servidor
+  });
+setTimeout(registrarCortesValorGanado, 2 * 60 * 1000).unref(); // Primer corte tras el arranque
+setInterval(registrarCortesValorGanado, INTERVALO_VALOR_GANADO_MS).unref(); // Cortes periódicos
+
 // 🔹 Arranque del servidor HTTP
 //     Se determina el puerto desde la variable de entorno PORT o se usa 5000 por defecto.
 const PORT = process.env.PORT || 5000;                     // Puerto en el que escuchará el servidor HTTP
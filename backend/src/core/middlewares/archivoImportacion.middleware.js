@@ -0,0 +1,56 @@
+// File: BackEnd/src/core/middlewares/archivoImportacion.middleware.js
+// Description: Middleware de subida de archivos para las importaciones masivas
+//              de ProCivil Manager (PCM). Recibe un único archivo CSV o XLSX en
+//              el campo "archivo" (multipart/form-data), lo deja en memoria
+//              (req.file.buffer) sin escribirlo en disco y traduce los errores
+//              de multer a respuestas 400 con un mensaje legible.
+
+const path = require('path');                                   // Extensión del archivo recibido
+const multer = require('multer');                               // Manejo de multipart/form-data
+
+const EXTENSIONES_PERMITIDAS = ['.csv', '.xlsx'];               // Formatos que entiende hojaCalculo.servicio
+const TAMANO_MAXIMO = 5 * 1024 * 1024;                          // 5 MB (miles de filas de sobra)
+
+// Instancia de multer en memoria: el archivo solo se lee, no se conserva.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: TAMANO_MAXIMO, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!EXTENSIONES_PERMITIDAS.includes(extension)) {
+      const error = new Error('Formato no soportado. Use un archivo .csv o .xlsx.');
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  },
+}).single('archivo');
+
+/**
+ * Middleware de importación.
+ *
+ * Uso típico en rutas:
+ *   router.post('/importar', auth, authorizeRoles(['admin']), archivoImportacion, controlador);
+ *
+ * El controlador recibe el archivo en req.file y los demás campos del
+ * formulario en req.body (p. ej. confirmar=true).
+ */
+module.exports = function archivoImportacion(req, res, next) {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const message =
+        error.code === 'LIMIT_FILE_SIZE'
+          ? `El archivo supera el tamaño máximo de ${TAMANO_MAXIMO / (1024 * 1024)} MB.`
+          : 'Envíe un único archivo en el campo "archivo".';
+      return res.status(400).json({ message });
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    next(error);
+  });
+};
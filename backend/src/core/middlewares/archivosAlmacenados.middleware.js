@@ -0,0 +1,54 @@
+// File: BackEnd/src/core/middlewares/archivosAlmacenados.middleware.js
+// Description: Middleware que sirve los archivos guardados con el servicio
+//              de almacenamiento de ProCivil Manager (PCM). Los archivos de
+//              los proyectos no tienen una ruta pública: los endpoints
+//              autenticados entregan enlaces firmados y temporales, y
+//              servirArchivoFirmado atiende los del driver local
+//              ("/archivos/firmados/<clave>?expira=&firma=") si la firma es
+//              válida y no ha expirado. Con S3 los enlaces van al bucket.
+
+const path = require('path');                                   // Extensión del archivo servido
+const {
+  obtenerAlmacenamiento,
+  normalizarClave,
+} = require('../services/almacenamiento.servicio');             // Driver configurado y verificación de firmas
+
+// Clave a partir de la ruta de la petición (relativa al punto de montaje).
+const claveDesdePeticion = (req) => {
+  try {
+    return normalizarClave(decodeURIComponent(req.path));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Descargas firmadas del driver local (montar con
+ * app.use('/archivos/firmados', servirArchivoFirmado)).
+ */
+async function servirArchivoFirmado(req, res, next) {
+  try {
+    const almacenamiento = obtenerAlmacenamiento();
+    const clave = claveDesdePeticion(req);
+    const { expira, nombre = '', firma } = req.query;
+
+    if (!clave || almacenamiento.nombre !== 'local' || !almacenamiento.verificarFirma({ clave, expira, nombre, firma })) {
+      return res.status(403).json({ message: 'El enlace de descarga no es válido o ha expirado.' });
+    }
+    if (!(await almacenamiento.existe(clave))) {
+      return res.status(404).json({ message: 'El archivo ya no está disponible.' });
+    }
+
+    if (nombre) res.attachment(nombre);
+    else res.type(path.extname(clave));
+    const lectura = await almacenamiento.abrirLectura(clave);
+    lectura.on('error', next);
+    return lectura.pipe(res);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  servirArchivoFirmado,
+};
@@ -0,0 +1,211 @@
+// File: BackEnd/src/core/services/almacenamiento.servicio.js
+// Description: Almacenamiento de archivos de ProCivil Manager (PCM). Elige el
+//              driver configurado en ALMACENAMIENTO_DRIVER ("local" en disco o
+//              "s3" para S3/MinIO) y ofrece a los módulos una interfaz común:
+//              guardar, leer, abrirLectura, existe, eliminar y urlFirmada.
+//              Los archivos se identifican por su clave, que es la misma ruta
+//              relativa guardada en Mongo ("uploads/proyectos/<id>/<archivo>"),
+//              de modo que cambiar de driver no obliga a reescribir los datos.
+//              Incluye el motor de multer que sube los archivos al driver
+//              (y deja en la carpeta "cuarentena" los que marca la inspección)
+//              pasando por un archivo temporal, sin cargarlos en memoria.
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const fs = require('fs');                                                      // Archivos temporales de las subidas
+const os = require('os');                                                      // Carpeta temporal del sistema
+const path = require('path');                                                  // Nombres y claves de archivos
+const crypto = require('crypto');                                              // Nombres únicos de temporales
+const { pipeline } = require('stream/promises');                               // Copia de la subida a disco
+const { crearAlmacenamientoLocal } = require('./almacenamientoLocal.servicio'); // Driver en disco
+const { crearAlmacenamientoS3 } = require('./almacenamientoS3.servicio');      // Driver S3 / MinIO
+
+/* ==============================
+ * Constantes y utilidades
+ * ============================== */
+
+const DRIVERS = ['local', 's3'];                                               // Drivers disponibles
+const CARPETA_CUARENTENA = 'cuarentena';                                       // Prefijo de los archivos retenidos (fuera de /uploads)
+const EXPIRACION_URL_SEGUNDOS = Number(process.env.ALMACENAMIENTO_URL_EXPIRA_SEGUNDOS) || 300; // Vigencia de las URLs firmadas
+const CARPETA_TEMPORAL = path.join(os.tmpdir(), 'pcm-subidas');               // Subidas en curso (se borran al terminar)
+
+let almacenamientoActual = null;                                               // Driver configurado (se crea al primer uso)
+
+/**
+ * Normaliza una ruta guardada en Mongo como clave de almacenamiento:
+ * separadores "/", sin barra inicial y sin segmentos "." o "..".
+ *
+ * @param {string} ruta Ruta relativa (ej. "/uploads/proyectos/<id>/<archivo>").
+ * @returns {string} Clave (ej. "uploads/proyectos/<id>/<archivo>").
+ */
+function normalizarClave(ruta) {
+  const partes = String(ruta || '')
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter((parte) => parte && parte !== '.');
+  if (!partes.length || partes.includes('..')) {
+    const error = new Error(`Ruta de archivo inválida: "${ruta}"`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return partes.join('/');
+}
+
+/**
+ * Crea un driver a partir de su nombre y de las variables de entorno.
+ *
+ * @param {string} [nombre] "local" o "s3" (por defecto ALMACENAMIENTO_DRIVER o "local").
+ * @returns {Object} Driver de almacenamiento.
+ */
+function crearAlmacenamiento(nombre = process.env.ALMACENAMIENTO_DRIVER || 'local') {
+  const driver = String(nombre).trim().toLowerCase();
+  if (!DRIVERS.includes(driver)) {
+    throw new Error(`Driver de almacenamiento desconocido: "${nombre}" (usa ${DRIVERS.join(' o ')})`);
+  }
+
+  if (driver === 's3') {
+    return crearAlmacenamientoS3({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : Boolean(process.env.S3_ENDPOINT),
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefijo: process.env.S3_PREFIJO || '',
+    });
+  }
+
+  return crearAlmacenamientoLocal({
+    raiz: process.env.ALMACENAMIENTO_LOCAL_RAIZ ? path.resolve(process.env.ALMACENAMIENTO_LOCAL_RAIZ) : undefined,
+    secreto: process.env.ALMACENAMIENTO_SECRETO || process.env.JWT_SECRET || '',
+  });
+}
+
+/**
+ * Driver configurado para la aplicación (único por proceso).
+ */
+function obtenerAlmacenamiento() {
+  if (!almacenamientoActual) {
+    almacenamientoActual = crearAlmacenamiento();
+  }
+  return almacenamientoActual;
+}
+
+/**
+ * URL firmada y temporal para descargar un archivo.
+ *
+ * @param {string} ruta Ruta/clave del archivo.
+ * @param {Object} [opciones]
+ * @param {string} [opciones.nombreDescarga] Nombre con el que se descarga.
+ * @param {number} [opciones.expiraEn] Segundos de vigencia.
+ * @returns {Promise<{ url: string, expiraEn: Date }>} En el driver local la URL
+ *   es relativa al backend ("/archivos/firmados/...").
+ */
+async function generarUrlFirmada(ruta, { nombreDescarga = '', expiraEn = EXPIRACION_URL_SEGUNDOS } = {}) {
+  const url = await obtenerAlmacenamiento().urlFirmada(normalizarClave(ruta), { expiraEn, nombreDescarga });
+  return { url, expiraEn: new Date(Date.now() + expiraEn * 1000) };
+}
+
+/* ==========================================
+ * Motor de multer
+ * ========================================== */
+
+/**
+ * Recibe un archivo de multer: lo copia a un temporal a medida que llega,
+ * lo inspecciona desde ahí y lo sube al driver como stream. El temporal se
+ * borra siempre, también si la subida se corta o se rechaza.
+ */
+async function recibirArchivo(req, file, { carpeta, nombreArchivo, inspeccionar }) {
+  const temporal = path.join(CARPETA_TEMPORAL, crypto.randomUUID());
+  let lectura = null;
+
+  try {
+    await fs.promises.mkdir(CARPETA_TEMPORAL, { recursive: true });
+    await pipeline(file.stream, fs.createWriteStream(temporal));
+
+    // Superó el límite de tamaño: multer ya aborta la petición, no se sube el resto
+    if (file.stream.truncated) {
+      const error = new Error(`"${file.originalname}" supera el tamaño máximo permitido`);
+      error.statusCode = 413;
+      throw error;
+    }
+
+    const { size } = await fs.promises.stat(temporal);
+    const { cuarentena = null } = inspeccionar ? await inspeccionar(req, file, temporal) : {};
+    const filename = nombreArchivo(req, file);
+    const clave = normalizarClave(
+      path.posix.join(cuarentena ? CARPETA_CUARENTENA : '', carpeta(req, file), filename)
+    );
+    lectura = fs.createReadStream(temporal);
+    await obtenerAlmacenamiento().guardar(clave, lectura, { tipoMime: file.mimetype, tamano: size });
+    return { filename, size, clave, cuarentena };
+  } finally {
+    if (lectura) lectura.destroy();
+    await fs.promises.rm(temporal, { force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Motor de almacenamiento de multer que sube cada archivo al driver
+ * configurado. Deja en el archivo `filename`, `size`, `clave` y `cuarentena`.
+ * El contenido nunca se carga entero en memoria: pasa por un archivo
+ * temporal en la carpeta del sistema.
+ *
+ * @param {Object} opciones
+ * @param {(req: Object, file: Object) => string} opciones.carpeta Carpeta (clave) de destino.
+ * @param {(req: Object, file: Object) => string} opciones.nombreArchivo Nombre del archivo guardado.
+ * @param {(req: Object, file: Object, ruta: string) => Promise<{ cuarentena: Object|null }>} [opciones.inspeccionar]
+ *   Validación del contenido (en el archivo temporal `ruta`) antes de guardarlo:
+ *   puede lanzar un error para rechazar el archivo o devolver `cuarentena`
+ *   para guardarlo bajo "cuarentena/".
+ * @returns {Object} Motor compatible con multer({ storage }).
+ */
+function crearMotorMulter({ carpeta, nombreArchivo, inspeccionar = null }) {
+  return {
+    _handleFile(req, file, cb) {
+      recibirArchivo(req, file, { carpeta, nombreArchivo, inspeccionar }).then((info) => cb(null, info), cb);
+    },
+
+    _removeFile(req, file, cb) {
+      if (!file.clave) return cb(null);
+      return obtenerAlmacenamiento()
+        .eliminar(file.clave)
+        .then(() => cb(null), cb);
+    },
+  };
+}
+
+/**
+ * Borra archivos del almacenamiento sin interrumpir el flujo (los errores
+ * solo se registran en consola).
+ *
+ * @param {Array<string>} rutas Rutas/claves de los archivos.
+ * @param {string} [contexto] Descripción para el mensaje de error.
+ */
+function eliminarArchivos(rutas, contexto = 'el archivo') {
+  rutas.filter(Boolean).forEach((ruta) => {
+    Promise.resolve()
+      .then(() => obtenerAlmacenamiento().eliminar(normalizarClave(ruta)))
+      .catch((error) => console.error(`Error al eliminar ${contexto}:`, error));
+  });
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  DRIVERS,
+  CARPETA_CUARENTENA,
+  EXPIRACION_URL_SEGUNDOS,
+  normalizarClave,
+  crearAlmacenamiento,
+  obtenerAlmacenamiento,
+  generarUrlFirmada,
+  crearMotorMulter,
+  eliminarArchivos,
+};
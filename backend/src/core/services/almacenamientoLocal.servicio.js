@@ -0,0 +1,114 @@
+// File: BackEnd/src/core/services/almacenamientoLocal.servicio.js
+// Description: Driver de almacenamiento en disco local para ProCivil Manager
+//              (PCM). Guarda los archivos bajo una carpeta raíz usando la
+//              clave como ruta relativa ("uploads/proyectos/<id>/<archivo>").
+//              Las URLs firmadas apuntan al propio backend y llevan una firma
+//              HMAC con fecha de expiración que verifica el middleware de
+//              archivos almacenados.
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const fs = require('fs');                                                      // Lectura y escritura en disco
+const path = require('path');                                                  // Rutas absolutas de las claves
+const crypto = require('crypto');                                              // Firma HMAC de las URLs
+
+/* ==============================
+ * Constantes y utilidades
+ * ============================== */
+
+const RAIZ_POR_DEFECTO = path.join(__dirname, '..', '..', 'modules', 'projects'); // BackEnd/src/modules/projects
+const RUTA_FIRMADOS = '/archivos/firmados';                                    // Prefijo de las URLs firmadas
+
+/**
+ * Firma HMAC-SHA256 (hex) de una descarga: clave, expiración y nombre.
+ */
+function calcularFirma(secreto, { clave, expira, nombre = '' }) {
+  return crypto.createHmac('sha256', secreto).update(`${clave}\n${expira}\n${nombre}`).digest('hex');
+}
+
+/* ==========================================
+ * Driver
+ * ========================================== */
+
+/**
+ * Crea el driver de disco local.
+ *
+ * @param {Object} [opciones]
+ * @param {string} [opciones.raiz] Carpeta raíz de las claves.
+ * @param {string} [opciones.secreto] Secreto de las URLs firmadas.
+ * @returns {Object} Driver de almacenamiento.
+ */
+function crearAlmacenamientoLocal({ raiz = RAIZ_POR_DEFECTO, secreto = '' } = {}) {
+  const rutaArchivo = (clave) => path.join(raiz, clave);
+
+  return {
+    nombre: 'local',
+    raiz,
+
+    async guardar(clave, contenido) {
+      const destino = rutaArchivo(clave);
+      await fs.promises.mkdir(path.dirname(destino), { recursive: true });
+      await fs.promises.writeFile(destino, contenido);
+    },
+
+    async leer(clave) {
+      return fs.promises.readFile(rutaArchivo(clave));
+    },
+
+    async abrirLectura(clave) {
+      return fs.createReadStream(rutaArchivo(clave));
+    },
+
+    async existe(clave) {
+      try {
+        await fs.promises.access(rutaArchivo(clave), fs.constants.R_OK);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async eliminar(clave) {
+      try {
+        await fs.promises.unlink(rutaArchivo(clave));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    // URL relativa al backend: "/archivos/firmados/<clave>?expira=&nombre=&firma="
+    async urlFirmada(clave, { expiraEn, nombreDescarga = '' }) {
+      if (!secreto) {
+        throw new Error('Falta el secreto para firmar URLs (ALMACENAMIENTO_SECRETO o JWT_SECRET)');
+      }
+      const expira = Math.floor(Date.now() / 1000) + expiraEn;
+      const parametros = new URLSearchParams({ expira: String(expira) });
+      if (nombreDescarga) parametros.set('nombre', nombreDescarga);
+      parametros.set('firma', calcularFirma(secreto, { clave, expira, nombre: nombreDescarga }));
+      return `${RUTA_FIRMADOS}/${clave.split('/').map(encodeURIComponent).join('/')}?${parametros}`;
+    },
+
+    /**
+     * Verifica una URL firmada por este driver.
+     *
+     * @returns {boolean} true si la firma es válida y no ha expirado.
+     */
+    verificarFirma({ clave, expira, nombre = '', firma = '' }) {
+      if (!secreto || !/^\d+$/.test(String(expira)) || Number(expira) < Date.now() / 1000) return false;
+      const esperada = Buffer.from(calcularFirma(secreto, { clave, expira, nombre }));
+      const recibida = Buffer.from(String(firma));
+      return esperada.length === recibida.length && crypto.timingSafeEqual(esperada, recibida);
+    },
+  };
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  RUTA_FIRMADOS,
+  crearAlmacenamientoLocal,
+};
@@ -0,0 +1,149 @@
+// File: BackEnd/src/core/services/almacenamientoS3.servicio.js
+// Description: Driver de almacenamiento compatible con S3 para ProCivil
+//              Manager (PCM). Funciona con AWS S3 y con servicios compatibles
+//              (MinIO en local, Cloudflare R2, DigitalOcean Spaces...) indicando
+//              el endpoint. Las URLs firmadas son URLs prefirmadas del bucket
+//              con expiración, que se descargan sin pasar por el backend.
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');                                             // Cliente S3
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');             // URLs prefirmadas
+
+/* ==============================
+ * Constantes y utilidades
+ * ============================== */
+
+/**
+ * Indica si un error del SDK corresponde a un objeto inexistente.
+ */
+function esNoEncontrado(error) {
+  return error?.name === 'NotFound' || error?.name === 'NoSuchKey' || error?.$metadata?.httpStatusCode === 404;
+}
+
+/**
+ * Cabecera Content-Disposition de descarga con el nombre original
+ * (RFC 5987 para nombres con tildes o espacios).
+ */
+function dispositionDescarga(nombre) {
+  const simple = String(nombre).replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${simple}"; filename*=UTF-8''${encodeURIComponent(nombre)}`;
+}
+
+/* ==========================================
+ * Driver
+ * ========================================== */
+
+/**
+ * Crea el driver S3.
+ *
+ * @param {Object} opciones
+ * @param {string} opciones.bucket Bucket de destino.
+ * @param {string} [opciones.region] Región (MinIO acepta cualquiera).
+ * @param {string} [opciones.endpoint] Endpoint de un servicio compatible (ej. http://localhost:9000).
+ * @param {boolean} [opciones.forcePathStyle] URLs "endpoint/bucket/clave" (necesario en MinIO).
+ * @param {string} [opciones.accessKeyId]
+ * @param {string} [opciones.secretAccessKey]
+ * @param {string} [opciones.prefijo] Prefijo de las claves dentro del bucket.
+ * @returns {Object} Driver de almacenamiento.
+ */
+function crearAlmacenamientoS3({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  forcePathStyle = Boolean(endpoint),
+  accessKeyId,
+  secretAccessKey,
+  prefijo = '',
+} = {}) {
+  if (!bucket) {
+    throw new Error('Falta el bucket del almacenamiento S3 (S3_BUCKET)');
+  }
+
+  const cliente = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+  });
+  const Key = (clave) => `${prefijo ? `${prefijo.replace(/\/+$/, '')}/` : ''}${clave}`;
+
+  const obtenerObjeto = async (clave) => {
+    try {
+      return await cliente.send(new GetObjectCommand({ Bucket: bucket, Key: Key(clave) }));
+    } catch (error) {
+      if (esNoEncontrado(error)) {
+        const noEncontrado = new Error(`No existe el archivo ${clave}`);
+        noEncontrado.code = 'ENOENT';
+        throw noEncontrado;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    nombre: 's3',
+    bucket,
+
+    async guardar(clave, contenido, { tipoMime, tamano } = {}) {
+      await cliente.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: Key(clave),
+          Body: contenido,
+          ContentType: tipoMime || 'application/octet-stream',
+          ContentLength: tamano,                                               // Obligatorio si el contenido es un stream
+        })
+      );
+    },
+
+    async leer(clave) {
+      const objeto = await obtenerObjeto(clave);
+      return Buffer.from(await objeto.Body.transformToByteArray());
+    },
+
+    async abrirLectura(clave) {
+      return (await obtenerObjeto(clave)).Body;
+    },
+
+    async existe(clave) {
+      try {
+        await cliente.send(new HeadObjectCommand({ Bucket: bucket, Key: Key(clave) }));
+        return true;
+      } catch (error) {
+        if (esNoEncontrado(error)) return false;
+        throw error;
+      }
+    },
+
+    // S3 no falla al borrar una clave inexistente.
+    async eliminar(clave) {
+      await cliente.send(new DeleteObjectCommand({ Bucket: bucket, Key: Key(clave) }));
+    },
+
+    async urlFirmada(clave, { expiraEn, nombreDescarga = '' }) {
+      const comando = new GetObjectCommand({
+        Bucket: bucket,
+        Key: Key(clave),
+        ResponseContentDisposition: nombreDescarga ? dispositionDescarga(nombreDescarga) : undefined,
+      });
+      return getSignedUrl(cliente, comando, { expiresIn: expiraEn });
+    },
+  };
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  crearAlmacenamientoS3,
+};
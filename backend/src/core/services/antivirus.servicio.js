@@ -0,0 +1,140 @@
+// File: BackEnd/src/core/services/antivirus.servicio.js
+// Description: Análisis antivirus opcional de archivos subidos a ProCivil
+//              Manager (PCM) con ClamAV. Envía el contenido a un demonio clamd
+//              local (socket Unix en CLAMAV_SOCKET o TCP en CLAMAV_HOST y
+//              CLAMAV_PORT) con el comando INSTREAM, en bloques y leyendo
+//              del disco si recibe la ruta del archivo. Si no hay clamd
+//              configurado, el análisis se omite.
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const fs = require('fs');                                                      // Lectura de archivos en disco
+const net = require('net');                                                    // Conexión con clamd
+
+/* ==============================
+ * Constantes y utilidades
+ * ============================== */
+
+const TAMANO_BLOQUE = 64 * 1024;                                               // Bytes por bloque de INSTREAM
+
+/**
+ * Configuración de clamd a partir de las variables de entorno.
+ *
+ * @returns {{ socket: string|null, host: string|null, port: number, timeout: number }}
+ */
+function configuracionClamav() {
+  return {
+    socket: process.env.CLAMAV_SOCKET || null,
+    host: process.env.CLAMAV_HOST || null,
+    port: Number(process.env.CLAMAV_PORT) || 3310,
+    timeout: Number(process.env.CLAMAV_TIMEOUT_MS) || 15000,
+  };
+}
+
+/**
+ * Indica si hay un clamd configurado.
+ */
+function antivirusConfigurado() {
+  const { socket, host } = configuracionClamav();
+  return Boolean(socket || host);
+}
+
+/**
+ * Interpreta la respuesta de clamd ("stream: OK", "stream: <firma> FOUND"
+ * o un mensaje de error).
+ */
+function interpretarRespuesta(respuesta) {
+  const texto = String(respuesta).replace(/\0/g, '').trim();
+  if (/:\s*OK$/.test(texto)) return { estado: 'limpio', firma: null };
+
+  const encontrado = texto.match(/:\s*(.+)\s+FOUND$/);
+  if (encontrado) return { estado: 'infectado', firma: encontrado[1] };
+
+  return { estado: 'error', firma: null, detalle: texto || 'Respuesta vacía de clamd' };
+}
+
+/**
+ * Envía el contenido a clamd en bloques de INSTREAM (longitud de 4 bytes +
+ * datos). Si se recibe una ruta, el archivo se lee por partes y se espera a
+ * que la conexión drene antes de seguir leyendo.
+ *
+ * @param {net.Socket} conexion Conexión abierta con clamd.
+ * @param {Buffer|string} contenido Contenido o ruta del archivo.
+ */
+async function enviarContenido(conexion, contenido) {
+  const partes = Buffer.isBuffer(contenido) ? [contenido] : fs.createReadStream(contenido, { highWaterMark: TAMANO_BLOQUE });
+
+  for await (const parte of partes) {
+    for (let inicio = 0; inicio < parte.length; inicio += TAMANO_BLOQUE) {
+      const bloque = parte.subarray(inicio, inicio + TAMANO_BLOQUE);
+      const longitud = Buffer.alloc(4);
+      longitud.writeUInt32BE(bloque.length);
+      conexion.write(longitud);
+      if (!conexion.write(bloque)) {
+        await new Promise((resolve) => {
+          conexion.once('drain', resolve);
+          conexion.once('close', resolve);
+        });
+      }
+      if (conexion.destroyed) return;                                          // Timeout o error: se deja de leer
+    }
+  }
+  conexion.end(Buffer.alloc(4));                                               // Bloque de longitud 0: fin del stream
+}
+
+/* ==========================================
+ * Análisis
+ * ========================================== */
+
+/**
+ * Analiza un archivo con clamd. Nunca lanza: los fallos de conexión o de
+ * tiempo se devuelven con estado "error" para que quien llama decida.
+ *
+ * @param {Buffer|string} contenido Contenido del archivo o ruta de un archivo en disco.
+ * @returns {Promise<{ estado: 'limpio'|'infectado'|'error'|'omitido', firma: string|null, detalle?: string }>}
+ */
+function analizarConAntivirus(contenido) {
+  if (!antivirusConfigurado()) {
+    return Promise.resolve({ estado: 'omitido', firma: null });
+  }
+
+  const { socket, host, port, timeout } = configuracionClamav();
+
+  return new Promise((resolve) => {
+    const conexion = socket ? net.createConnection({ path: socket }) : net.createConnection({ host, port });
+    const partes = [];
+    let terminado = false;
+
+    const terminar = (resultado) => {
+      if (terminado) return;
+      terminado = true;
+      conexion.destroy();
+      resolve(resultado);
+    };
+
+    conexion.setTimeout(timeout, () =>
+      terminar({ estado: 'error', firma: null, detalle: 'clamd no respondió a tiempo' })
+    );
+    conexion.on('error', (error) => terminar({ estado: 'error', firma: null, detalle: error.message }));
+    conexion.on('data', (parte) => partes.push(parte));
+    conexion.on('close', () => terminar(interpretarRespuesta(Buffer.concat(partes))));
+
+    conexion.on('connect', () => {
+      conexion.write('zINSTREAM\0');
+      enviarContenido(conexion, contenido).catch((error) =>
+        terminar({ estado: 'error', firma: null, detalle: error.message })
+      );
+    });
+  });
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  antivirusConfigurado,
+  analizarConAntivirus,
+};
@@ -0,0 +1,295 @@
+// File: BackEnd/src/core/services/hojaCalculo.servicio.js
+// Description: Lectura de archivos tabulares (CSV y XLSX) para las
+//              importaciones masivas de ProCivil Manager (PCM). Devuelve las
+//              filas con sus valores indexados por el encabezado normalizado
+//              (sin tildes, espacios ni mayúsculas), de modo que "Categoría",
+//              "categoria" y "CATEGORIA " se lean igual. Cada módulo valida
+//              luego las columnas que le interesan.
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const path = require('path');                                                  // Extensión del archivo recibido
+const ExcelJS = require('exceljs');                                            // Lectura de libros XLSX
+
+const MAX_FILAS = 5000;                                                        // Límite de filas por importación
+
+/**
+ * Crea un error con código HTTP (lo respetan los controladores y el
+ * manejador global de errores).
+ */
+function crearErrorArchivo(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Normaliza un encabezado de columna: minúsculas, sin tildes y sin
+ * espacios ni signos ("Stock mínimo" → "stockminimo").
+ *
+ * @param {string} texto Encabezado original.
+ * @returns {string}
+ */
+function normalizarEncabezado(texto) {
+  return String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/* ==========================================
+ * CSV
+ * ========================================== */
+
+/**
+ * Separador del CSV según la primera línea: Excel en español exporta con
+ * punto y coma; otras herramientas, con coma o tabulador.
+ */
+function detectarSeparador(primeraLinea) {
+  const candidatos = [';', ',', '\t'];
+  let mejor = ',';
+  let maximo = 0;
+  for (const separador of candidatos) {
+    const veces = primeraLinea.split(separador).length - 1;
+    if (veces > maximo) {
+      maximo = veces;
+      mejor = separador;
+    }
+  }
+  return mejor;
+}
+
+/**
+ * Divide un CSV en filas de celdas respetando comillas dobles (campos con
+ * separadores, saltos de línea o comillas escapadas como "").
+ *
+ * @param {string} texto Contenido del archivo.
+ * @returns {string[][]}
+ */
+function parsearCsv(texto) {
+  const contenido = texto.replace(/^\uFEFF/, '');                              // Quita el BOM de Excel
+  const separador = detectarSeparador(contenido.split(/\r?\n/, 1)[0] || '');
+  const filas = [];
+  let fila = [];
+  let celda = '';
+  let entreComillas = false;
+
+  for (let i = 0; i < contenido.length; i += 1) {
+    const caracter = contenido[i];
+    if (entreComillas) {
+      if (caracter === '"' && contenido[i + 1] === '"') {
+        celda += '"';
+        i += 1;
+      } else if (caracter === '"') {
+        entreComillas = false;
+      } else {
+        celda += caracter;
+      }
+    } else if (caracter === '"') {
+      entreComillas = true;
+    } else if (caracter === separador) {
+      fila.push(celda);
+      celda = '';
+    } else if (caracter === '\n' || caracter === '\r') {
+      if (caracter === '\r' && contenido[i + 1] === '\n') i += 1;
+      fila.push(celda);
+      filas.push(fila);
+      fila = [];
+      celda = '';
+    } else {
+      celda += caracter;
+    }
+  }
+  if (celda !== '' || fila.length > 0) {
+    fila.push(celda);
+    filas.push(fila);
+  }
+  return filas;
+}
+
+/* ==========================================
+ * XLSX
+ * ========================================== */
+
+/**
+ * Valor legible de una celda de ExcelJS (fórmulas, texto enriquecido,
+ * hipervínculos y fechas).
+ */
+function valorCeldaXlsx(valor) {
+  if (valor === null || valor === undefined) return '';
+  if (valor instanceof Date) return valor.toISOString().slice(0, 10);
+  if (typeof valor === 'object') {
+    if (Array.isArray(valor.richText)) return valor.richText.map((t) => t.text).join('');
+    if (valor.result !== undefined) return valorCeldaXlsx(valor.result);
+    if (valor.text !== undefined) return valorCeldaXlsx(valor.text);
+    return '';                                                                 // Errores de fórmula (#N/A, #REF!…)
+  }
+  return valor;
+}
+
+/**
+ * Lee la primera hoja de un libro XLSX como filas de celdas.
+ *
+ * @param {Buffer} buffer Contenido del archivo.
+ * @returns {Promise<Array<Array<string|number|boolean>>>}
+ */
+async function leerXlsx(buffer) {
+  const libro = new ExcelJS.Workbook();
+  try {
+    await libro.xlsx.load(buffer);
+  } catch (error) {
+    throw crearErrorArchivo('El archivo XLSX está dañado o no es un libro de Excel válido.');
+  }
+
+  const hoja = libro.worksheets[0];
+  if (!hoja) return [];
+
+  const filas = [];
+  hoja.eachRow({ includeEmpty: true }, (row, numero) => {
+    const celdas = [];
+    row.eachCell({ includeEmpty: true }, (cell, columna) => {
+      celdas[columna - 1] = valorCeldaXlsx(cell.value);
+    });
+    filas[numero - 1] = Array.from(celdas, (celda) => (celda === undefined ? '' : celda));
+  });
+  return Array.from(filas, (fila) => fila || []);
+}
+
+/* ==========================================
+ * Lectura unificada
+ * ========================================== */
+
+/**
+ * Lee un archivo CSV o XLSX. La primera fila no vacía son los encabezados;
+ * las filas completamente vacías se omiten.
+ *
+ * @param {Buffer} buffer Contenido del archivo.
+ * @param {string} nombreArchivo Nombre original (define el formato por la extensión).
+ * @returns {Promise<{encabezados: string[], filas: Array<{fila: number, valores: Object}>}>}
+ *          `fila` es el número de fila en el archivo (1 = encabezados), para
+ *          que los reportes de errores coincidan con lo que ve el usuario.
+ * @throws {Error} statusCode 400 si el formato no es soportado o el archivo está vacío.
+ */
+async function leerHojaCalculo(buffer, nombreArchivo) {
+  const extension = path.extname(String(nombreArchivo || '')).toLowerCase();
+  let celdas;
+  if (extension === '.csv' || extension === '.txt') {
+    celdas = parsearCsv(buffer.toString('utf8'));
+  } else if (extension === '.xlsx') {
+    celdas = await leerXlsx(buffer);
+  } else {
+    throw crearErrorArchivo('Formato no soportado. Use un archivo .csv o .xlsx.');
+  }
+
+  const esVacia = (fila) => fila.every((celda) => String(celda ?? '').trim() === '');
+  const indiceEncabezado = celdas.findIndex((fila) => !esVacia(fila));
+  if (indiceEncabezado === -1) {
+    throw crearErrorArchivo('El archivo no tiene datos.');
+  }
+
+  const encabezados = celdas[indiceEncabezado].map((celda) => String(celda ?? '').trim());
+  const claves = encabezados.map(normalizarEncabezado);
+
+  const filas = [];
+  for (let i = indiceEncabezado + 1; i < celdas.length; i += 1) {
+    const fila = celdas[i];
+    if (esVacia(fila)) continue;
+
+    const valores = {};
+    claves.forEach((clave, columna) => {
+      if (!clave || valores[clave] !== undefined) return;                      // Primera columna con ese nombre
+      const valor = fila[columna];
+      valores[clave] = typeof valor === 'string' ? valor.trim() : valor ?? '';
+    });
+    filas.push({ fila: i + 1, valores });
+  }
+
+  if (filas.length === 0) {
+    throw crearErrorArchivo('El archivo solo tiene encabezados, sin filas de datos.');
+  }
+  if (filas.length > MAX_FILAS) {
+    throw crearErrorArchivo(`El archivo tiene ${filas.length} filas; el máximo por importación es ${MAX_FILAS}.`);
+  }
+
+  return { encabezados, filas };
+}
+
+/**
+ * Convierte un texto numérico de hoja de cálculo a número. Acepta coma o
+ * punto decimal y separadores de miles ("1.250,50", "1,250.50", "$ 3.500").
+ * Con un solo tipo de separador, se toma como de miles si se repite o si
+ * va seguido de exactamente tres dígitos ("3.500" → 3500, "0.125" y "2,5"
+ * son decimales).
+ *
+ * @param {string|number} valor Valor de la celda.
+ * @returns {number|null} null si la celda está vacía; NaN si no es un número.
+ */
+function leerNumero(valor) {
+  if (typeof valor === 'number') return valor;
+  let texto = String(valor ?? '').replace(/[\s$]/g, '');
+  if (texto === '') return null;
+
+  const ultimaComa = texto.lastIndexOf(',');
+  const ultimoPunto = texto.lastIndexOf('.');
+  if (ultimaComa > -1 && ultimoPunto > -1) {
+    // El último separador es el decimal; el otro, de miles
+    texto = ultimaComa > ultimoPunto
+      ? texto.replace(/\./g, '').replace(',', '.')
+      : texto.replace(/,/g, '');
+  } else if (ultimaComa > -1 || ultimoPunto > -1) {
+    const separador = ultimaComa > -1 ? ',' : '.';
+    const partes = texto.split(separador);
+    const esMiles =
+      partes.length > 2 || (partes[1].length === 3 && !/^-?0$/.test(partes[0]));
+    texto = esMiles ? partes.join('') : partes.join('.');
+  }
+  return /^-?\d+(\.\d+)?$/.test(texto) ? Number(texto) : NaN;
+}
+
+/**
+ * Convierte una celda de fecha a Date (medianoche UTC, como las fechas
+ * "YYYY-MM-DD" que envía el frontend). Acepta "YYYY-MM-DD", "DD/MM/YYYY",
+ * "DD-MM-YYYY" y el número de serie de Excel de las celdas sin formato.
+ *
+ * @param {string|number|Date} valor Valor de la celda.
+ * @returns {Date|null} null si la celda está vacía; Invalid Date si no es una fecha.
+ */
+function leerFecha(valor) {
+  if (valor instanceof Date) return valor;
+  if (typeof valor === 'number') {
+    // Serie de Excel: días desde el 30/12/1899
+    return new Date(Date.UTC(1899, 11, 30) + Math.round(valor) * 24 * 60 * 60 * 1000);
+  }
+
+  const texto = String(valor ?? '').trim();
+  if (texto === '') return null;
+
+  let partes = texto.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  let [anio, mes, dia] = partes ? [partes[1], partes[2], partes[3]] : [];
+  if (!partes) {
+    partes = texto.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+    if (!partes) return new Date(NaN);
+    [dia, mes, anio] = [partes[1], partes[2], partes[3]];
+  }
+
+  const fecha = new Date(Date.UTC(Number(anio), Number(mes) - 1, Number(dia)));
+  // Descarta fechas imposibles ("31/02/2025" no se corre a marzo)
+  return fecha.getUTCDate() === Number(dia) && fecha.getUTCMonth() === Number(mes) - 1
+    ? fecha
+    : new Date(NaN);
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  MAX_FILAS,
+  normalizarEncabezado,
+  leerHojaCalculo,
+  leerNumero,
+  leerFecha,
+};
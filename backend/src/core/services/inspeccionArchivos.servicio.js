@@ -0,0 +1,272 @@
+// File: BackEnd/src/core/services/inspeccionArchivos.servicio.js
+// Description: Validación del contenido de los archivos subidos a ProCivil
+//              Manager (PCM). Cada categoría de documento (plano, contrato,
+//              informe, foto...) admite solo ciertos tipos de archivo. Además
+//              del nombre y del tipo MIME declarados, se leen los primeros
+//              bytes del archivo (firma o "magic bytes") para detectar, por
+//              ejemplo, un ejecutable renombrado como PDF, y se analiza con
+//              ClamAV si está configurado. El contenido puede recibirse en
+//              memoria o como ruta de un archivo temporal (subidas grandes
+//              sin cargarlas enteras). Los archivos sospechosos no se
+//              rechazan en silencio: se envían a cuarentena para que un
+//              administrador los revise.
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const fs = require('fs');                                                      // Lectura de la cabecera en disco
+const path = require('path');                                                  // Extensión del archivo
+const { analizarConAntivirus } = require('./antivirus.servicio');              // ClamAV (opcional)
+
+/* ==============================
+ * Catálogos
+ * ============================== */
+
+const BYTES_FIRMA = 8192;                                                      // Bytes iniciales que se examinan
+
+// Tipos de archivo admitidos: extensiones, MIME esperados y firma del contenido.
+const TIPOS_ARCHIVO = {
+  pdf: { extensiones: ['.pdf'], mimes: ['application/pdf'], firma: 'pdf' },
+  jpeg: { extensiones: ['.jpg', '.jpeg'], mimes: ['image/jpeg', 'image/pjpeg'], firma: 'jpeg' },
+  png: { extensiones: ['.png'], mimes: ['image/png'], firma: 'png' },
+  webp: { extensiones: ['.webp'], mimes: ['image/webp'], firma: 'webp' },
+  tiff: { extensiones: ['.tif', '.tiff'], mimes: ['image/tiff'], firma: 'tiff' },
+  docx: {
+    extensiones: ['.docx'],
+    mimes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    firma: 'zip',
+  },
+  xlsx: {
+    extensiones: ['.xlsx'],
+    mimes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    firma: 'zip',
+  },
+  pptx: {
+    extensiones: ['.pptx'],
+    mimes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    firma: 'zip',
+  },
+  doc: { extensiones: ['.doc'], mimes: ['application/msword'], firma: 'ole' },
+  xls: { extensiones: ['.xls'], mimes: ['application/vnd.ms-excel'], firma: 'ole' },
+  dwg: {
+    extensiones: ['.dwg'],
+    mimes: ['image/vnd.dwg', 'image/x-dwg', 'application/acad', 'application/x-acad', 'application/dwg', 'application/x-dwg'],
+    firma: 'dwg',
+  },
+  dxf: { extensiones: ['.dxf'], mimes: ['image/vnd.dxf', 'image/x-dxf', 'application/dxf'], firma: 'texto' },
+  csv: { extensiones: ['.csv'], mimes: ['text/csv', 'application/vnd.ms-excel', 'text/plain'], firma: 'texto' },
+  txt: { extensiones: ['.txt'], mimes: ['text/plain'], firma: 'texto' },
+};
+
+// Categorías de documento y tipos que admite cada una.
+const CATEGORIAS_ARCHIVO = {
+  general: { etiqueta: 'General', tipos: Object.keys(TIPOS_ARCHIVO) },
+  plano: { etiqueta: 'Plano', tipos: ['pdf', 'dwg', 'dxf', 'png', 'jpeg', 'tiff'] },
+  contrato: { etiqueta: 'Contrato', tipos: ['pdf', 'docx', 'doc'] },
+  informe: { etiqueta: 'Informe', tipos: ['pdf', 'docx', 'doc', 'xlsx', 'xls', 'csv', 'txt'] },
+  foto: { etiqueta: 'Foto', tipos: ['jpeg', 'png', 'webp', 'tiff'] },
+};
+
+// MIME genéricos que envían los navegadores cuando no conocen el tipo.
+const MIMES_GENERICOS = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+// Contenidos que nunca se aceptan como documento aunque la extensión lo sea.
+const FIRMAS_PELIGROSAS = {
+  ejecutable: 'un programa ejecutable',
+  script: 'un script',
+  html: 'una página HTML con contenido activo',
+};
+
+/* ==============================
+ * Utilidades
+ * ============================== */
+
+/**
+ * Crea un error con código HTTP (lo respetan los controladores y el
+ * manejador global de errores).
+ */
+function crearErrorArchivo(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Tipo de archivo (clave de TIPOS_ARCHIVO) según la extensión del nombre.
+ */
+function tipoPorExtension(nombre) {
+  const extension = path.extname(String(nombre || '')).toLowerCase();
+  return Object.keys(TIPOS_ARCHIVO).find((tipo) => TIPOS_ARCHIVO[tipo].extensiones.includes(extension)) || null;
+}
+
+/**
+ * Firma del contenido según sus primeros bytes: pdf, jpeg, png, webp, tiff,
+ * gif, zip, ole, dwg, rar, 7z, ejecutable, script, html, texto o desconocido.
+ *
+ * @param {Buffer} contenido Contenido del archivo.
+ * @returns {string}
+ */
+function detectarFirma(contenido) {
+  const inicio = contenido.subarray(0, BYTES_FIRMA);
+  const empiezaCon = (bytes, desde = 0) => bytes.every((b, i) => inicio[desde + i] === b);
+  const ascii = (texto, desde = 0) => inicio.toString('latin1', desde, desde + texto.length) === texto;
+
+  // Ejecutables y scripts primero: un archivo políglota (p. ej. un MZ con
+  // "%PDF-" en su cabecera) debe detectarse como lo que se ejecuta.
+  if (
+    ascii('MZ') ||
+    empiezaCon([0x7f, 0x45, 0x4c, 0x46]) ||
+    [[0xfe, 0xed, 0xfa, 0xce], [0xfe, 0xed, 0xfa, 0xcf], [0xce, 0xfa, 0xed, 0xfe], [0xcf, 0xfa, 0xed, 0xfe], [0xca, 0xfe, 0xba, 0xbe]].some(
+      (magia) => empiezaCon(magia)
+    )
+  ) {
+    return 'ejecutable';
+  }
+  if (ascii('#!')) return 'script';
+
+  // PDF: la cabecera debe ir al inicio (solo se toleran espacios en blanco antes).
+  const inicioPdf = inicio.findIndex((b) => ![0x09, 0x0a, 0x0c, 0x0d, 0x20].includes(b));
+  if (inicioPdf >= 0 && ascii('%PDF-', inicioPdf)) return 'pdf';
+  if (empiezaCon([0xff, 0xd8, 0xff])) return 'jpeg';
+  if (empiezaCon([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (ascii('RIFF') && ascii('WEBP', 8)) return 'webp';
+  if (empiezaCon([0x49, 0x49, 0x2a, 0x00]) || empiezaCon([0x4d, 0x4d, 0x00, 0x2a])) return 'tiff';
+  if (ascii('GIF87a') || ascii('GIF89a')) return 'gif';
+  if (empiezaCon([0x50, 0x4b, 0x03, 0x04]) || empiezaCon([0x50, 0x4b, 0x05, 0x06])) return 'zip';
+  if (empiezaCon([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return 'ole';
+  if (/^AC10\d{2}$/.test(inicio.toString('latin1', 0, 6))) return 'dwg';
+  if (ascii('Rar!')) return 'rar';
+  if (empiezaCon([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) return '7z';
+
+  // Texto: sin bytes nulos. Se distingue el HTML/SVG con scripts.
+  if (!inicio.includes(0)) {
+    const texto = inicio.toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+    if (/^<(!doctype html|html|script|svg|\?php)/.test(texto) || /<script[\s>]/.test(texto)) return 'html';
+    return 'texto';
+  }
+
+  return 'desconocido';
+}
+
+/**
+ * Primeros bytes del contenido: del Buffer o leídos del archivo en disco.
+ *
+ * @param {Buffer|string} contenido Contenido o ruta del archivo.
+ * @returns {Promise<Buffer>}
+ */
+async function leerCabecera(contenido) {
+  if (Buffer.isBuffer(contenido)) return contenido.subarray(0, BYTES_FIRMA);
+
+  const archivo = await fs.promises.open(contenido, 'r');
+  try {
+    const { buffer, bytesRead } = await archivo.read(Buffer.alloc(BYTES_FIRMA), 0, BYTES_FIRMA, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await archivo.close();
+  }
+}
+
+/* ==========================================
+ * Inspección
+ * ========================================== */
+
+/**
+ * Inspecciona un archivo subido.
+ *
+ * Lanza un error 400 si el tipo no está permitido en la categoría (error del
+ * usuario, no hay nada que revisar). Devuelve `sospechoso: true` con los
+ * motivos cuando el contenido no corresponde a lo declarado, es ejecutable,
+ * el antivirus encontró una amenaza o no se pudo analizar.
+ *
+ * @param {Buffer|string} contenido Contenido del archivo o ruta de un archivo en disco.
+ * @param {Object} datos
+ * @param {string} datos.nombre Nombre original.
+ * @param {string} [datos.tipoMime] Tipo MIME declarado por el navegador.
+ * @param {string} [datos.categoria] Categoría de documento (por defecto "general").
+ * @returns {Promise<{ tipo: string, tipoDetectado: string, analisis: Object, sospechoso: boolean, motivos: string[] }>}
+ */
+async function inspeccionarArchivo(contenido, { nombre, tipoMime = '', categoria = 'general' }) {
+  const categoriaArchivo = Object.hasOwn(CATEGORIAS_ARCHIVO, categoria) ? CATEGORIAS_ARCHIVO[categoria] : null;
+  if (!categoriaArchivo) {
+    throw crearErrorArchivo(`Categoría de documento no válida: "${categoria}"`);
+  }
+
+  const tipo = tipoPorExtension(nombre);
+  if (!tipo || !categoriaArchivo.tipos.includes(tipo)) {
+    const extensiones = categoriaArchivo.tipos.flatMap((t) => TIPOS_ARCHIVO[t].extensiones).join(', ');
+    throw crearErrorArchivo(
+      `"${nombre}" no está permitido en la categoría ${categoriaArchivo.etiqueta} (se admiten ${extensiones})`
+    );
+  }
+
+  const extension = path.extname(nombre).toLowerCase();
+  const mime = String(tipoMime || '').toLowerCase();
+  const tipoDetectado = detectarFirma(await leerCabecera(contenido));
+  const motivos = [];
+
+  if (!MIMES_GENERICOS.includes(mime) && !TIPOS_ARCHIVO[tipo].mimes.includes(mime)) {
+    motivos.push(`El tipo declarado (${mime}) no corresponde a un archivo ${extension}`);
+  }
+  if (FIRMAS_PELIGROSAS[tipoDetectado]) {
+    motivos.push(`El contenido es ${FIRMAS_PELIGROSAS[tipoDetectado]} aunque se declaró como ${extension}`);
+  } else if (tipoDetectado !== TIPOS_ARCHIVO[tipo].firma) {
+    motivos.push(`El contenido (${tipoDetectado}) no corresponde a un archivo ${extension}`);
+  }
+
+  const analisis = await analizarConAntivirus(contenido);
+  if (analisis.estado === 'infectado') {
+    motivos.push(`El antivirus detectó ${analisis.firma}`);
+  } else if (analisis.estado === 'error') {
+    motivos.push(`No se pudo analizar con el antivirus (${analisis.detalle})`);
+  }
+
+  return { tipo, tipoDetectado, analisis, sospechoso: motivos.length > 0, motivos };
+}
+
+/**
+ * Crea la función de inspección para el motor de multer del servicio de
+ * almacenamiento. Los archivos sospechosos van a cuarentena o, si la subida
+ * no admite cuarentena (p. ej. fotos de bitácora), se rechazan con un 400.
+ *
+ * @param {Object} [opciones]
+ * @param {(req: Object, file: Object) => string|Promise<string>} [opciones.categoria] Categoría de la subida.
+ * @param {boolean} [opciones.permitirCuarentena] false para rechazar los sospechosos.
+ * @returns {(req: Object, file: Object, contenido: Buffer|string) => Promise<{ cuarentena: Object|null }>}
+ */
+function crearInspectorSubidas({ categoria = () => 'general', permitirCuarentena = true } = {}) {
+  return async (req, file, contenido) => {
+    const resultado = await inspeccionarArchivo(contenido, {
+      nombre: file.originalname,
+      tipoMime: file.mimetype,
+      categoria: (await categoria(req, file)) || 'general',
+    });
+    if (!resultado.sospechoso) return { cuarentena: null };
+
+    if (!permitirCuarentena) {
+      throw crearErrorArchivo(`"${file.originalname}" fue rechazado: ${resultado.motivos.join('; ')}`);
+    }
+    return {
+      cuarentena: {
+        estado: 'pendiente',
+        motivos: resultado.motivos,
+        tipoDetectado: resultado.tipoDetectado,
+        antivirus: resultado.analisis.estado,
+        firmaAntivirus: resultado.analisis.firma || null,
+        fecha: new Date(),
+      },
+    };
+  };
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  TIPOS_ARCHIVO,
+  CATEGORIAS_ARCHIVO,
+  detectarFirma,
+  inspeccionarArchivo,
+  crearInspectorSubidas,
+};
@@ -2,7 +2,8 @@
 // Description: Modelo Mongoose para gestionar las alertas del sistema
 //              en ProCivil Manager (PCM). Permite registrar alertas
 //              relacionadas con presupuesto, stock, asignaciones de
-//              líder de obra, solicitudes y eventos de proyectos, y
+//              líder de obra, solicitudes, eventos de proyectos y
+//              vencimiento de lotes de materiales, y
 //              controlar si han sido vistas y/o atendidas.
 
 /* ==============================
@@ -95,6 +96,16 @@ const alertaSchema = new mongoose.Schema(
       default: null,
     },
 
+    // Referencia al lote de material en alertas de tipo "vencimiento".
+    lote: {
+      // ObjectId del lote que vence.
+      type: mongoose.Schema.Types.ObjectId,
+      // Relación con el modelo "LoteMaterial".
+      ref: 'LoteMaterial',
+      // Null para el resto de alertas.
+      default: null,
+    },
+
     // ---------------------------------------
     // Datos principales de la alerta
     // ---------------------------------------
@@ -125,12 +136,16 @@ const alertaSchema = new mongoose.Schema(
      *        * Creación de un proyecto para un cliente.
      *        * Cambios de estado importantes del proyecto.
      *        * Hitos relevantes de avance.
+     *
+     *  - 'vencimiento':
+     *      Cuando un lote de un material perecedero (cemento, pinturas,
+     *      aditivos) entra en los días de aviso o ya venció.
      */
     tipo: {
       // El tipo se almacena como cadena de texto.
       type: String,
       // Lista cerrada de tipos de alerta permitidos.
-      enum: ['presupuesto', 'stock', 'asignacion', 'solicitud', 'proyecto'],
+      enum: ['presupuesto', 'stock', 'asignacion', 'solicitud', 'proyecto', 'vencimiento'],
       // Campo obligatorio: toda alerta debe tener un tipo.
       required: true,
     },
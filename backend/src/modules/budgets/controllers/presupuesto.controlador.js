@@ -8,7 +8,292 @@
 const PresupuestoMaterial = require('../models/presupuesto.modelo');            // Modelo de presupuesto de materiales por proyecto
 const Proyecto = require('../../projects/models/proyecto.modelo');              // Modelo de proyectos (para validar que exista el proyecto)
 const Material = require('../../inventory/models/material.modelo');             // Modelo de materiales (para validar cada ítem)
+const MovimientoInventario = require('../../inventory/models/inventario.modelo'); // Movimientos de inventario (kardex)
 const AuditLog = require('../../audit/models/auditoria.modelo');                // Modelo de auditoría para registrar cambios
+const {
+  obtenerDisponible,
+  aplicarMovimientoEnAlmacen,
+  promediarCosto,
+  reservarStock,
+  liberarReserva,
+  ejecutarEnTransaccion,
+} = require('../../inventory/services/stockAlmacen.servicio');                  // Saldos por almacén (material × almacén)
+const {
+  esAsignacionLegada,
+  obtenerAlmacenReserva,
+} = require('../../projects/services/reservaMaterial.servicio');                // Reservas de material por proyecto
+const { convertirAUnidadMaterial } = require('../../inventory/services/unidadMedida.servicio'); // Conversión de unidades de medida
+
+/**
+ * Id (string) de un material que puede venir poblado o como ObjectId.
+ *
+ * @param {Object|string} material Documento, objeto con _id o id.
+ * @returns {string}
+ */
+function obtenerIdMaterial(material) {
+  if (material && typeof material === 'object') {
+    return material._id ? material._id.toString() : String(material);
+  }
+  return String(material);
+}
+
+/**
+ * Ajusta el saldo del almacén principal de una asignación legada en "delta"
+ * unidades (positivo = devuelve al inventario, negativo = descuenta) y deja
+ * el cambio en el kardex con su movimiento de inventario. Si el almacén no
+ * tiene stock suficiente, el servicio de saldos lanza un error 400 (no se
+ * descuenta a medias). El total del material se recalcula desde los saldos.
+ *
+ * Las devoluciones regresan al costo con el que salieron (costoUnitario) y
+ * las salidas se valoran al costo promedio del almacén.
+ *
+ * @param {Object} params
+ * @param {Object} params.matDoc Documento de material.
+ * @param {number} params.delta Unidades a devolver (+) o descontar (-).
+ * @param {number|null} [params.costoUnitario] Costo de la devolución.
+ * @param {Object} params.proyecto Proyecto de la asignación.
+ * @param {string} params.usuario Usuario que registra el movimiento.
+ * @param {import('mongoose').ClientSession|null} [params.session] Sesión de transacción (opcional).
+ * @returns {Promise<Object|null>} Resultado de aplicarMovimientoEnAlmacen (o null si no se movió stock).
+ */
+async function ajustarSaldoAlmacenPrincipal({ matDoc, delta, costoUnitario = null, proyecto, usuario, session = null }) {
+  if (!matDoc || !delta) return null;
+  const tipo = delta > 0 ? 'entrada' : 'salida';
+  const cantidad = Math.abs(delta);
+
+  const aplicado = await aplicarMovimientoEnAlmacen({
+    material: matDoc,
+    almacen: matDoc.almacen,
+    tipo,
+    cantidad,
+    costoUnitario: tipo === 'entrada' ? costoUnitario : null,
+    session,
+  });
+
+  await MovimientoInventario.create(
+    [
+      {
+        material: matDoc._id,                                         // Id del material
+        almacen: matDoc.almacen,                                      // Almacén principal del material
+        tipo,                                                         // Entrada (devolución) o salida (asignación)
+        cantidad,                                                     // Cantidad movida
+        motivo:
+          tipo === 'entrada'
+            ? `Devolución por ajuste de presupuesto: ${proyecto.title}`
+            : `Asignación por ajuste de presupuesto: ${proyecto.title}`,
+        proyecto: proyecto._id,                                       // Referencia al proyecto
+        usuario,                                                      // Usuario que ajustó el presupuesto
+        stockAnterior: aplicado.saldoAnterior,                        // Saldo del almacén antes del ajuste
+        stockNuevo: aplicado.saldoNuevo,                              // Saldo del almacén después del ajuste
+        costoUnitario: aplicado.costoUnitario,                        // Costo al que entra o sale el material
+        costoTotal: cantidad * aplicado.costoUnitario,                // Valor del movimiento
+        lotes: aplicado.lotes,                                        // Lotes movidos si el material controla lotes
+        fecha: new Date(),                                            // Fecha del movimiento
+      },
+    ],
+    { session }
+  );
+
+  return aplicado;
+}
+
+/**
+ * Ajusta la reserva de una asignación de proyecto a lo que queda por usar
+ * de "nuevaCantidad" (nuevaCantidad - utilizado). Si el almacén no tiene
+ * stock libre suficiente, reservarStock lanza un error 400 (no se reserva
+ * a medias).
+ *
+ * @param {Object} matDoc Documento de material.
+ * @param {Object} asignado Elemento de proyecto.materiales (se actualiza en memoria).
+ * @param {number} nuevaCantidad Cantidad asignada resultante.
+ * @param {import('mongoose').ClientSession|null} [session] Sesión de transacción (opcional).
+ * @returns {Promise<void>}
+ */
+async function ajustarReservaAsignacion(matDoc, asignado, nuevaCantidad, session = null) {
+  if (!matDoc) return;
+  const almacen = obtenerAlmacenReserva(asignado, matDoc);
+  const objetivo = Math.max(nuevaCantidad - (Number(asignado.cantidadUtilizada) || 0), 0);
+  const actual = Number(asignado.cantidadReservada) || 0;
+
+  if (objetivo > actual) {
+    await reservarStock({ material: matDoc, almacen, cantidad: objetivo - actual, session });
+  } else if (objetivo < actual) {
+    await liberarReserva({ material: matDoc, almacen, cantidad: actual - objetivo, session });
+  }
+  asignado.cantidadReservada = objetivo;
+  asignado.almacen = almacen;
+}
+
+/**
+ * Verifica, antes de mover nada, que los almacenes tengan stock libre para
+ * todo lo que la sincronización con el presupuesto debe reservar o
+ * descontar. Así, sin transacciones (Mongo standalone), un faltante no deja
+ * reservas ni salidas a medias.
+ *
+ * @param {Object} proyecto Proyecto con sus materiales asignados.
+ * @param {Map<string, number>} cantidadesNuevas materialId → cantidad prevista.
+ * @param {import('mongoose').ClientSession|null} [session] Sesión de transacción (opcional).
+ * @returns {Promise<void>}
+ * @throws {Error} statusCode 400 con los materiales sin stock suficiente.
+ */
+async function validarStockSincronizacion(proyecto, cantidadesNuevas, session = null) {
+  const requeridos = new Map();                                       // "material|almacén" → { matDoc, almacen, cantidad }
+  const pendientes = new Map(cantidadesNuevas);
+
+  const sumarRequerido = (matDoc, almacen, cantidad) => {
+    if (!(cantidad > 0)) return;
+    const clave = `${matDoc._id}|${almacen}`;
+    const previo = requeridos.get(clave);
+    if (previo) previo.cantidad += cantidad;
+    else requeridos.set(clave, { matDoc, almacen, cantidad });
+  };
+
+  for (const asignado of proyecto.materiales) {
+    const idStr = obtenerIdMaterial(asignado.material);
+    if (!pendientes.has(idStr)) continue;                             // Sale del presupuesto: solo libera o devuelve
+    const nuevaCant = pendientes.get(idStr);
+    pendientes.delete(idStr);
+
+    const cantidadPrevia = Number(asignado.cantidadAsignada) || 0;
+    if (nuevaCant === cantidadPrevia) continue;
+    const matDoc = await Material.findById(idStr).session(session);
+    if (!matDoc) continue;
+
+    if (esAsignacionLegada(asignado)) {
+      sumarRequerido(matDoc, matDoc.almacen, nuevaCant - cantidadPrevia);
+    } else {
+      const utilizada = Math.min(Number(asignado.cantidadUtilizada) || 0, nuevaCant);
+      const objetivo = Math.max(nuevaCant - utilizada, 0);
+      sumarRequerido(matDoc, obtenerAlmacenReserva(asignado, matDoc), objetivo - (Number(asignado.cantidadReservada) || 0));
+    }
+  }
+
+  // Materiales nuevos en el presupuesto: se reservan completos
+  for (const [idStr, cantidad] of pendientes.entries()) {
+    const matDoc = await Material.findById(idStr).session(session);
+    if (matDoc) sumarRequerido(matDoc, matDoc.almacen, cantidad);
+  }
+
+  const faltantes = [];
+  for (const { matDoc, almacen, cantidad } of requeridos.values()) {
+    if (!almacen) {
+      faltantes.push(`${matDoc.nombre} (sin almacén asignado)`);
+      continue;
+    }
+    const disponible = await obtenerDisponible(matDoc, almacen, session);
+    if (disponible < cantidad) {
+      faltantes.push(`${matDoc.nombre} (disponible: ${disponible}, requerido: ${cantidad})`);
+    }
+  }
+
+  if (faltantes.length) {
+    const error = new Error(`No hay stock suficiente para ajustar las asignaciones del proyecto: ${faltantes.join('; ')}.`);
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+/**
+ * Refleja el presupuesto en las asignaciones de materiales del proyecto:
+ * ajusta las cantidades asignadas de los materiales que siguen, libera o
+ * devuelve los que salen y reserva los nuevos. Las asignaciones con reserva
+ * solo mueven lo reservado; las legadas mueven el stock del almacén
+ * principal y dejan su movimiento en el kardex.
+ *
+ * @param {Object} proyecto Proyecto con materiales.material poblado (se modifica en memoria).
+ * @param {Map<string, number>} cantidadesNuevas materialId → cantidad prevista.
+ * @param {Object} opciones
+ * @param {string} opciones.usuario Usuario que registra los movimientos.
+ * @param {import('mongoose').ClientSession|null} [opciones.session] Sesión de transacción (opcional).
+ * @returns {Promise<void>}
+ */
+async function sincronizarMaterialesProyecto(proyecto, cantidadesNuevas, { usuario, session = null }) {
+  const pendientes = new Map(cantidadesNuevas);
+
+  // Recorremos los materiales actualmente asignados al proyecto para actualizar o eliminar
+  for (let i = proyecto.materiales.length - 1; i >= 0; i--) {
+    const asignado = proyecto.materiales[i];
+    const idStr = obtenerIdMaterial(asignado.material);
+
+    if (pendientes.has(idStr)) {
+      // El material continúa existiendo en el presupuesto; actualizamos su asignación
+      const nuevaCant = pendientes.get(idStr);
+      const diferencia = nuevaCant - (Number(asignado.cantidadAsignada) || 0);
+      if (diferencia !== 0 && !esAsignacionLegada(asignado)) {
+        // Asignación con reserva: se ajusta lo reservado, el stock no se mueve
+        const matDoc = await Material.findById(idStr).session(session);
+        asignado.cantidadAsignada = nuevaCant;
+        if ((Number(asignado.cantidadUtilizada) || 0) > nuevaCant) {
+          asignado.cantidadUtilizada = nuevaCant;
+        }
+        await ajustarReservaAsignacion(matDoc, asignado, nuevaCant, session);
+      } else if (diferencia !== 0) {
+        // Asignación legada: descontamos o devolvemos la diferencia en el almacén principal
+        const matDoc = await Material.findById(idStr).session(session);
+        const cantidadPrevia = Number(asignado.cantidadAsignada) || 0;
+        const aplicado = await ajustarSaldoAlmacenPrincipal({
+          matDoc,
+          delta: -diferencia,
+          costoUnitario: asignado.costoUnitario,
+          proyecto,
+          usuario,
+          session,
+        });
+        if (diferencia > 0 && aplicado) {
+          // Lo asignado de más se suma al costo ponderado de la asignación
+          asignado.costoUnitario = promediarCosto(
+            cantidadPrevia,
+            asignado.costoUnitario,
+            diferencia,
+            aplicado.costoUnitario
+          );
+        }
+        asignado.cantidadAsignada = nuevaCant;
+        // Si la cantidad utilizada supera la nueva asignación, la recortamos
+        if ((Number(asignado.cantidadUtilizada) || 0) > nuevaCant) {
+          asignado.cantidadUtilizada = nuevaCant;
+        }
+      }
+      // Marcamos este id como procesado
+      pendientes.delete(idStr);
+    } else {
+      // El material ya no está en el nuevo presupuesto; liberamos stock restante y lo eliminamos de la lista
+      const pendienteDevolver = (Number(asignado.cantidadAsignada) || 0) - (Number(asignado.cantidadUtilizada) || 0);
+      if (!esAsignacionLegada(asignado)) {
+        const matDoc = await Material.findById(idStr).session(session);
+        await ajustarReservaAsignacion(matDoc, asignado, Number(asignado.cantidadUtilizada) || 0, session);
+      } else if (pendienteDevolver > 0) {
+        const matDoc = await Material.findById(idStr).session(session);
+        await ajustarSaldoAlmacenPrincipal({
+          matDoc,
+          delta: pendienteDevolver,
+          costoUnitario: asignado.costoUnitario,
+          proyecto,
+          usuario,
+          session,
+        });
+      }
+      // Eliminamos el material de la lista del proyecto
+      proyecto.materiales.splice(i, 1);
+    }
+  }
+
+  // Los materiales restantes son nuevos: reservamos el stock en el almacén
+  // principal (el material no sale hasta que se use)
+  for (const [idStr, cantPrevista] of pendientes.entries()) {
+    const matDoc = await Material.findById(idStr).session(session);
+    const asignado = {
+      material: idStr,
+      cantidadAsignada: cantPrevista,
+      cantidadUtilizada: 0,
+      cantidadReservada: 0,
+      fechaAsignacion: new Date(),
+      costoUnitario: null,                                            // Se valora al registrar el uso
+    };
+    await ajustarReservaAsignacion(matDoc, asignado, cantPrevista, session);
+    proyecto.materiales.push(asignado);
+  }
+}
 
 /**
  * Crear o actualizar el presupuesto de materiales para un proyecto.
@@ -19,9 +304,14 @@ const AuditLog = require('../../audit/models/auditoria.modelo');
  * Lógica principal:
  *  1. Valida que el proyecto exista.
  *  2. Valida que totalPresupuesto sea un número válido.
- *  3. Recorre los ítems, valida cada línea y calcula la sumatoria.
+ *  3. Recorre los ítems, valida cada línea y calcula la sumatoria. Cada
+ *     línea puede traer "unidad": cantidad y costo se expresan en esa
+ *     unidad y se convierten a la unidad del material.
  *  4. Si la sumatoria difiere del total, ajusta el total a la sumatoria.
- *  5. Guarda el presupuesto en la colección PresupuestoMaterial.
+ *  5. Guarda el presupuesto en la colección PresupuestoMaterial y ajusta
+ *     las asignaciones de materiales del proyecto (reservas y, en las
+ *     asignaciones legadas, movimientos de inventario) en una sola
+ *     transacción. Si falta stock responde 400 sin guardar nada.
  *  6. Registra la acción en AuditLog.
  *  7. Emite un evento Socket.io para actualizar dashboards en tiempo real.
  *
@@ -56,8 +346,8 @@ exports.createOrUpdatePresupuesto = async (req, res) => {
     if (Array.isArray(items)) {
       // Recorremos cada ítem enviado en el cuerpo de la petición
       for (const item of items) {
-        // Se desestructura cada ítem: material, cantidadPrevista y costoPrevisto
-        const { material, cantidadPrevista, costoPrevisto } = item;
+        // Se desestructura cada ítem: material, cantidadPrevista, costoPrevisto y unidad (opcional)
+        const { material, cantidadPrevista, costoPrevisto, unidad } = item;
 
         // Validación básica: todos los campos deben estar presentes
         if (!material || cantidadPrevista === undefined || costoPrevisto === undefined) {
@@ -90,17 +380,24 @@ exports.createOrUpdatePresupuesto = async (req, res) => {
           });
         }
 
-        // 3.3 Calcular el subtotal de la línea (cantidad * costo)
+        // 3.3 Llevar cantidad y costo a la unidad del material (el subtotal no cambia)
+        const conversion = await convertirAUnidadMaterial(materialDoc, cantidad, unidad);
+        const cantidadMaterial = conversion.cantidad;         // Cantidad en la unidad del material
+        const costoMaterial = costo / conversion.factor;      // Costo por unidad del material
+
+        // 3.4 Calcular el subtotal de la línea (cantidad * costo)
         const subtotal = cantidad * costo;                    // Subtotal de ese ítem
         sumaDetalle += subtotal;                              // Acumulamos el subtotal en la sumatoria general
 
-        // 3.4 Guardar el ítem normalizado en el arreglo detalle
+        // 3.5 Guardar el ítem normalizado en el arreglo detalle
         // Aseguramos que material sea un identificador en formato string y no un objeto
         // Esto previene errores en las operaciones posteriores (sincronización de stock)
         detalle.push({
           material: materialDoc._id ? materialDoc._id.toString() : String(material),
-          cantidadPrevista: cantidad,                         // Cantidad prevista ya normalizada a número
-          costoPrevisto: costo,                               // Costo previsto ya normalizado a número
+          cantidadPrevista: cantidadMaterial,                 // Cantidad prevista en la unidad del material
+          costoPrevisto: costoMaterial,                       // Costo previsto por unidad del material
+          unidad: conversion.unidadOriginal,                  // Unidad informada (si se convirtió)
+          cantidadUnidad: conversion.cantidadOriginal,        // Cantidad informada (si se convirtió)
         });
       }
     }
@@ -121,125 +418,53 @@ exports.createOrUpdatePresupuesto = async (req, res) => {
       }
     }
 
-    // 5️⃣ Verificar si ya existe un presupuesto para este proyecto
-    let presupuesto = await PresupuestoMaterial.findOne({ proyecto: proyectoId }); // Busca presupuesto existente
-    const isUpdate = !!presupuesto;                                                 // true si ya existía
-
-    if (!presupuesto) {
-      // 💾 Caso 5.1: no existe → se crea un nuevo documento de presupuesto
-      presupuesto = new PresupuestoMaterial({
-        proyecto: proyectoId,                             // Id del proyecto asociado
-        totalPresupuesto,                                 // Total calculado (o ajustado)
-        items: detalle,                                   // Ítems normalizados
-        createdBy: req.user.id,                           // Usuario que crea el presupuesto
-        updatedBy: req.user.id,                           // También se registra como último usuario que actualizó
-      });
-    } else {
-      // 💾 Caso 5.2: sí existe → se actualiza el documento existente
-      presupuesto.totalPresupuesto = totalPresupuesto;    // Actualiza el total del presupuesto
-      presupuesto.items = detalle;                        // Reemplaza las líneas de detalle
-      presupuesto.updatedBy = req.user.id;                // Actualiza el usuario que modificó el presupuesto
-      // ⚠️ NO es necesario tocar updatedAt manualmente; Mongoose lo actualiza por timestamps:true
-    }
-
-    // Se guardan los cambios (creación o actualización) en la base de datos
-    await presupuesto.save();
-
-    // 🧮 Sincronizar las asignaciones de materiales del proyecto con el presupuesto
-    // Una vez actualizado el presupuesto guardado, necesitamos reflejar los cambios en la
-    // colección de proyectos de modo que las cantidades asignadas (cantidadAsignada) se
-    // ajusten según las cantidades previstas del presupuesto. Esto permite que al modificar
-    // el presupuesto se asignen o liberen materiales automáticamente y se actualice el
-    // stock de inventario. Si un material nuevo se incluye en el presupuesto, se agrega
-    // a la lista de materiales del proyecto; si se reduce o elimina, se reajusta el stock.
-    try {
-      // Obtenemos el proyecto completo para manipular la lista de materiales
-      const proyectoActualizar = await Proyecto.findById(proyectoId).populate('materiales.material');
-      if (proyectoActualizar) {
-        // Construimos un mapa {materialId -> cantidadPrevista} para facilitar comparaciones
-        const mapaNuevos = new Map();
-        detalle.forEach((item) => {
-          // item.material debe ser una cadena representando el ObjectId; sin embargo,
-          // puede recibirse un documento poblado o un objeto en ciertas llamadas internas.
-          let materialId;
-          if (item.material && typeof item.material === 'object') {
-            // Si es un documento Mongoose o un objeto con _id, usamos su id
-            materialId = item.material._id ? item.material._id.toString() : String(item.material);
-          } else {
-            materialId = String(item.material);
-          }
-          mapaNuevos.set(materialId, Number(item.cantidadPrevista) || 0);
+    // Mapa {materialId -> cantidadPrevista} para sincronizar las asignaciones del proyecto
+    const cantidadesNuevas = new Map(
+      detalle.map((item) => [obtenerIdMaterial(item.material), Number(item.cantidadPrevista) || 0])
+    );
+    const usuarioMovimiento = req.user ? req.user.email || req.user.id : 'sistema'; // Usuario de los movimientos
+
+    // 5️⃣ Guardar el presupuesto y sincronizar las asignaciones de materiales del
+    //     proyecto en una sola transacción: al modificar el presupuesto se reservan,
+    //     liberan o devuelven materiales. Si algún almacén no tiene stock suficiente
+    //     se responde 400 y no se guarda nada (ni el presupuesto ni reservas a medias).
+    const { presupuesto, isUpdate } = await ejecutarEnTransaccion(async (session) => {
+      const proyectoActualizar = await Proyecto.findById(proyectoId)
+        .populate('materiales.material')
+        .session(session);
+      await validarStockSincronizacion(proyectoActualizar, cantidadesNuevas, session);
+
+      // Verificar si ya existe un presupuesto para este proyecto
+      let presupuestoDB = await PresupuestoMaterial.findOne({ proyecto: proyectoId }).session(session);
+      const existia = !!presupuestoDB;                                             // true si ya existía
+
+      if (!presupuestoDB) {
+        // 💾 Caso 5.1: no existe → se crea un nuevo documento de presupuesto
+        presupuestoDB = new PresupuestoMaterial({
+          proyecto: proyectoId,                             // Id del proyecto asociado
+          totalPresupuesto,                                 // Total calculado (o ajustado)
+          items: detalle,                                   // Ítems normalizados
+          createdBy: req.user.id,                           // Usuario que crea el presupuesto
+          updatedBy: req.user.id,                           // También se registra como último usuario que actualizó
         });
+      } else {
+        // 💾 Caso 5.2: sí existe → se actualiza el documento existente
+        presupuestoDB.totalPresupuesto = totalPresupuesto;  // Actualiza el total del presupuesto
+        presupuestoDB.items = detalle;                      // Reemplaza las líneas de detalle
+        presupuestoDB.updatedBy = req.user.id;              // Actualiza el usuario que modificó el presupuesto
+        // ⚠️ NO es necesario tocar updatedAt manualmente; Mongoose lo actualiza por timestamps:true
+      }
+      await presupuestoDB.save({ session });
 
-        // Recorremos los materiales actualmente asignados al proyecto para actualizar o eliminar
-        for (let i = proyectoActualizar.materiales.length - 1; i >= 0; i--) {
-          const asignado = proyectoActualizar.materiales[i];
-          // Obtiene el identificador del material asignado, manejando si viene poblado
-          let idStr;
-          if (asignado.material && typeof asignado.material === 'object') {
-            idStr = asignado.material._id ? asignado.material._id.toString() : String(asignado.material);
-          } else {
-            idStr = String(asignado.material);
-          }
-          if (mapaNuevos.has(idStr)) {
-            // El material continúa existiendo en el presupuesto; actualizamos su asignación
-            const nuevaCant = mapaNuevos.get(idStr);
-            const diferencia = nuevaCant - (Number(asignado.cantidadAsignada) || 0);
-            if (diferencia !== 0) {
-              // Ajustamos el stock global descontando o devolviendo la diferencia
-              const matDoc = await Material.findById(idStr);
-              if (matDoc) {
-                matDoc.cantidad = (Number(matDoc.cantidad) || 0) - diferencia;
-                if (matDoc.cantidad < 0) matDoc.cantidad = 0;
-                await matDoc.save();
-              }
-              asignado.cantidadAsignada = nuevaCant;
-              // Si la cantidad utilizada supera la nueva asignación, la recortamos
-              if ((Number(asignado.cantidadUtilizada) || 0) > nuevaCant) {
-                asignado.cantidadUtilizada = nuevaCant;
-              }
-            }
-            // Marcamos este id como procesado
-            mapaNuevos.delete(idStr);
-          } else {
-            // El material ya no está en el nuevo presupuesto; liberamos stock restante y lo eliminamos de la lista
-            const pendienteDevolver = (Number(asignado.cantidadAsignada) || 0) - (Number(asignado.cantidadUtilizada) || 0);
-            if (pendienteDevolver > 0) {
-              const matDoc = await Material.findById(idStr);
-              if (matDoc) {
-                matDoc.cantidad = (Number(matDoc.cantidad) || 0) + pendienteDevolver;
-                await matDoc.save();
-              }
-            }
-            // Eliminamos el material de la lista del proyecto
-            proyectoActualizar.materiales.splice(i, 1);
-          }
-        }
-
-        // Los materiales restantes en mapaNuevos son nuevos y deben asignarse
-        for (const [idStr, cantPrevista] of mapaNuevos.entries()) {
-          // Reducimos el stock global
-          const matDoc = await Material.findById(idStr);
-          if (matDoc) {
-            const nuevaCantidadInventario = (Number(matDoc.cantidad) || 0) - cantPrevista;
-            matDoc.cantidad = nuevaCantidadInventario < 0 ? 0 : nuevaCantidadInventario;
-            await matDoc.save();
-          }
-          proyectoActualizar.materiales.push({
-            material: idStr,
-            cantidadAsignada: cantPrevista,
-            cantidadUtilizada: 0,
-            fechaAsignacion: new Date(),
-          });
-        }
+      // 🧮 Reflejar el presupuesto en las asignaciones de materiales del proyecto
+      await sincronizarMaterialesProyecto(proyectoActualizar, cantidadesNuevas, {
+        usuario: usuarioMovimiento,
+        session,
+      });
+      await proyectoActualizar.save({ session });
 
-        // Guardamos el proyecto actualizado
-        await proyectoActualizar.save();
-      }
-    } catch (syncError) {
-      // En caso de errores en sincronización, se registra pero no afecta la respuesta
-      console.error('Error al sincronizar materiales con presupuesto:', syncError);
-    }
+      return { presupuesto: presupuestoDB, isUpdate: existia };
+    });
 
     // 6️⃣ Registrar la acción en la auditoría
     try {
@@ -296,6 +521,11 @@ exports.createOrUpdatePresupuesto = async (req, res) => {
     // Se responde con 200 si fue actualización, 201 si fue creación
     res.status(isUpdate ? 200 : 201).json(response);
   } catch (error) {
+    // Unidad no compatible con el material de alguna línea
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
     // Si algo falla en el proceso, se registra el error en consola del servidor
     console.error('Error en createOrUpdatePresupuesto:', error);
 
@@ -311,6 +541,8 @@ exports.createOrUpdatePresupuesto = async (req, res) => {
  *  - El documento de presupuesto (con populate de los materiales).
  *  - La suma calculada de las líneas (sumaDetalle), para que el
  *    frontend pueda comparar contra totalPresupuesto.
+ *  - El costo real de los materiales consumidos (costoEjecutado),
+ *    valorado al costo promedio con el que salieron del inventario.
  */
 exports.getPresupuesto = async (req, res) => {
   const { proyectoId } = req.params;                        // Id del proyecto desde la URL
@@ -323,7 +555,7 @@ exports.getPresupuesto = async (req, res) => {
         // Además del nombre, categoría y unidad, traemos el precio unitario y el stock actual.
         // Estos campos adicionales permiten que el frontend pueda mostrar el valor por defecto
         // del material en el formulario de presupuesto, así como el stock disponible.
-        select: 'nombre categoria unidad precioUnitario cantidad',
+        select: 'nombre categoria unidad precioUnitario costoPromedio cantidad',
       });
 
     // Si no existe, se notifica al cliente que no hay presupuesto
@@ -337,10 +569,15 @@ exports.getPresupuesto = async (req, res) => {
       0,                                                   // Valor inicial del acumulador
     );
 
-    // Se responde con el presupuesto completo + la suma de detalle calculada
+    // 3️⃣ Costo real consumido por el proyecto (lo efectivamente pagado por los materiales)
+    const proyecto = await Proyecto.findById(proyectoId);
+    const costoEjecutado = proyecto ? await proyecto.calcularCostoMateriales() : 0;
+
+    // Se responde con el presupuesto completo + la suma de detalle y el costo ejecutado
     res.status(200).json({
       presupuesto,
       sumaDetalle,
+      costoEjecutado,
     });
   } catch (error) {
     // Registro del error en consola del servidor
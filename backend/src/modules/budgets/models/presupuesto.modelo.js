@@ -26,6 +26,19 @@ const presupuestoItemSchema = new mongoose.Schema({
     required: true,                                           // Obligatorio
     min: 0,                                                   // No se permiten costos negativos
   },
+  // Unidad y cantidad en que se presupuestó la línea cuando no coinciden con
+  // la unidad del material (ej. 200 bultos de cemento en kg). cantidadPrevista
+  // y costoPrevisto quedan siempre en la unidad del material.
+  unidad: {                                                   // Unidad informada en el presupuesto
+    type: String,                                             // Texto (código o alias de la unidad)
+    trim: true,                                               // Limpia espacios sobrantes
+    default: null,                                            // Null si se usó la unidad del material
+  },
+  cantidadUnidad: {                                           // Cantidad en la unidad informada
+    type: Number,                                             // Tipo numérico
+    min: 0,                                                   // No se permiten cantidades negativas
+    default: null,                                            // Null si se usó la unidad del material
+  },
 });
 
 // -----------------------------------------------------------
@@ -0,0 +1,652 @@
+// File: BackEnd/src/modules/inventory/controllers/conteoInventario.controlador.js
+// Description: Controlador de conteos físicos de inventario (conteo cíclico)
+//              de ProCivil Manager (PCM). Abre un conteo sobre un almacén con
+//              una foto del stock esperado, registra las cantidades contadas
+//              (desde escritorio o móvil), pasa el conteo a revisión y aplica
+//              las diferencias aprobadas como movimientos de ajuste enlazados
+//              al conteo, con el mismo servicio de saldos del inventario.
+
+const ConteoInventario = require('../models/conteoInventario.modelo');          // Modelo de conteos físicos
+const MovimientoInventario = require('../models/inventario.modelo');            // Movimientos de inventario
+const Material = require('../models/material.modelo');                          // Modelo de materiales
+const StockAlmacen = require('../models/stockAlmacen.modelo');                  // Saldos por almacén
+const Almacen = require('../../warehouses/models/almacen.modelo');              // Modelo de almacenes
+const AuditLog = require('../../audit/models/auditoria.modelo');                // Modelo de auditoría
+
+// Servicios de saldos por almacén (mismo flujo que los ajustes manuales)
+const {
+  obtenerSaldo,
+  obtenerSaldosPorAlmacen,
+  aplicarMovimientoEnAlmacen,
+  ejecutarEnTransaccion,
+  evaluarAlertaStockAlmacen,
+} = require('../services/stockAlmacen.servicio');
+const { generarNumeroConteo, calcularResumenConteo } = require('../services/conteoInventario.servicio');
+
+/* ==============================
+ * Helpers internos
+ * ============================== */
+
+/**
+ * Crea un error de negocio con código HTTP (lo traducen los controladores).
+ *
+ * @param {string} message Mensaje para el cliente.
+ * @param {number} [statusCode=400] Código HTTP.
+ * @returns {Error} Error con statusCode.
+ */
+function crearErrorNegocio(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Identificador textual del usuario autenticado (correo, id o 'sistema').
+ */
+const obtenerUsuarioMovimiento = (req) =>
+  req.user
+    ? req.user.email || req.user.id || String(req.user._id || '')
+    : 'sistema';
+
+/**
+ * Pobla las referencias que muestra la interfaz de conteos.
+ *
+ * @param {import('mongoose').Query} consulta Consulta de ConteoInventario.
+ * @returns {import('mongoose').Query} Consulta poblada.
+ */
+function poblarConteo(consulta) {
+  return consulta
+    .populate('almacen', 'nombre ciudad direccion')
+    .populate('items.material', 'nombre unidad categoria')
+    .populate('creadoPor', 'firstName lastName email')
+    .populate('aplicadoPor', 'firstName lastName email');
+}
+
+/**
+ * Devuelve el conteo como objeto plano con su resumen y, si se indican,
+ * los saldos actuales del almacén por material (para advertir movimientos
+ * registrados después de abrir el conteo).
+ *
+ * @param {Object} conteo Documento de conteo (poblado).
+ * @param {Map<string, number>} [saldosActuales] Saldo actual por id de material.
+ * @returns {Object} Conteo listo para responder.
+ */
+function formatearConteo(conteo, saldosActuales = null) {
+  const plano = conteo.toObject ? conteo.toObject() : conteo;
+  if (saldosActuales) {
+    plano.items = plano.items.map((item) => {
+      const materialId = String(item.material?._id || item.material);
+      return {
+        ...item,
+        saldoActual: saldosActuales.has(materialId) ? saldosActuales.get(materialId) : 0,
+      };
+    });
+  }
+  plano.resumen = calcularResumenConteo(plano);
+  return plano;
+}
+
+/**
+ * Registra una acción sobre conteos de inventario en la auditoría.
+ * Un error aquí no debe romper la respuesta principal.
+ */
+async function registrarAuditoriaConteo(req, action, conteo, details = {}) {
+  try {
+    await AuditLog.create({
+      user: req.user ? req.user.id : undefined,
+      action,
+      resource: 'ConteoInventario',
+      details: {
+        conteo: conteo._id.toString(),
+        numero: conteo.numero,
+        almacen: String(conteo.almacen?._id || conteo.almacen),
+        estado: conteo.estado,
+        ...details,
+      },
+    });
+  } catch (auditError) {
+    console.error('❌ Error al registrar auditoría de conteo de inventario:', auditError);
+  }
+}
+
+/**
+ * Respuesta de error común de los endpoints de conteos de inventario.
+ */
+function responderError(res, error, mensaje) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: 'Datos inválidos para el conteo de inventario', error: error.message });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: 'Identificador inválido', error: error.message });
+  }
+
+  console.error(`❌ ${mensaje}:`, error);
+  return res.status(500).json({ message: mensaje, error: error.message });
+}
+
+/**
+ * Responde 404 si el conteo no existe o 400 con el mensaje indicado si
+ * existe pero no está en el estado requerido por la acción.
+ */
+async function responderEstadoInvalido(res, id, mensaje) {
+  const existe = await ConteoInventario.exists({ _id: id });
+  return existe
+    ? res.status(400).json({ message: mensaje })
+    : res.status(404).json({ message: 'Conteo de inventario no encontrado' });
+}
+
+/* ==============================
+ * Abrir conteo
+ * ============================== */
+
+/**
+ * 📋 Abrir un conteo físico sobre un almacén (estado 'abierto').
+ *
+ * Guarda como cantidad esperada el saldo de cada material en el almacén en
+ * ese momento. Solo puede haber un conteo abierto o en revisión por almacén.
+ *
+ * Body:
+ *  - almacen (obligatorio).
+ *  - categoria (opcional): cuenta solo los materiales de esa categoría.
+ *  - materiales (opcional): [ids] → cuenta solo esos materiales.
+ *  - descripcion (opcional).
+ */
+exports.createConteo = async (req, res) => {
+  try {
+    const { almacen, categoria, materiales, descripcion } = req.body;
+
+    if (!almacen) {
+      return res.status(400).json({ message: 'El campo "almacen" es obligatorio.' });
+    }
+
+    const almacenDB = await Almacen.findOne({ _id: almacen, isDeleted: { $ne: true } });
+    if (!almacenDB) {
+      return res.status(404).json({ message: 'Almacén no encontrado' });
+    }
+
+    const enCurso = await ConteoInventario.findOne({
+      almacen: almacenDB._id,
+      estado: { $in: ['abierto', 'en_revision'] },
+    }).select('numero');
+    if (enCurso) {
+      return res.status(409).json({
+        message: `El almacén ya tiene un conteo en curso (${enCurso.numero}). Aplíquelo o cancélelo antes de abrir otro.`,
+      });
+    }
+
+    // Foto del stock esperado: saldos del almacén, filtrados si se pidió
+    const idsMateriales = Array.isArray(materiales) ? materiales.map((m) => String(m?._id || m)) : [];
+    const saldos = (await obtenerSaldosPorAlmacen(almacenDB._id)).filter(
+      (saldo) =>
+        (!categoria || saldo.material.categoria === categoria) &&
+        (idsMateriales.length === 0 || idsMateriales.includes(String(saldo.material._id)))
+    );
+
+    if (saldos.length === 0) {
+      return res.status(400).json({ message: 'No hay materiales con saldo en el almacén para los filtros indicados.' });
+    }
+
+    const items = saldos.map((saldo) => ({
+      material: saldo.material._id,
+      cantidadEsperada: Math.max(Number(saldo.cantidad) || 0, 0),
+    }));
+
+    // Consecutivo con reintento ante colisiones (dos conteos creados a la vez)
+    let conteo;
+    for (let intento = 0; intento < 3 && !conteo; intento++) {
+      try {
+        conteo = await ConteoInventario.create({
+          numero: await generarNumeroConteo(),
+          almacen: almacenDB._id,
+          categoria: categoria || '',
+          descripcion: descripcion || '',
+          items,
+          creadoPor: req.user ? req.user.id : null,
+        });
+      } catch (error) {
+        if (error.code !== 11000 || intento === 2) throw error;
+      }
+    }
+
+    await registrarAuditoriaConteo(req, 'CREATE_CONTEO_INVENTARIO', conteo, {
+      categoria: conteo.categoria,
+      materiales: items.length,
+    });
+
+    res.status(201).json({
+      message: 'Conteo de inventario abierto correctamente',
+      data: formatearConteo(await poblarConteo(ConteoInventario.findById(conteo._id))),
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al abrir el conteo de inventario');
+  }
+};
+
+/* ==============================
+ * Listar conteos
+ * ============================== */
+
+/**
+ * 📋 Listar conteos de inventario.
+ *
+ * Query (opcionales): estado, almacen.
+ */
+exports.getConteos = async (req, res) => {
+  try {
+    const { estado, almacen } = req.query;
+
+    const filtro = {};
+    if (estado) filtro.estado = estado;
+    if (almacen) filtro.almacen = almacen;
+
+    const conteos = await poblarConteo(ConteoInventario.find(filtro).sort({ createdAt: -1 }));
+
+    res.status(200).json(conteos.map((conteo) => formatearConteo(conteo)));
+  } catch (error) {
+    responderError(res, error, 'Error al obtener los conteos de inventario');
+  }
+};
+
+/* ==============================
+ * Obtener conteo por ID
+ * ============================== */
+
+/**
+ * 🔍 Detalle de un conteo. Cada ítem incluye saldoActual (saldo del
+ * almacén ahora) para advertir movimientos posteriores a la apertura.
+ */
+exports.getConteoById = async (req, res) => {
+  try {
+    const conteo = await poblarConteo(ConteoInventario.findById(req.params.id));
+    if (!conteo) {
+      return res.status(404).json({ message: 'Conteo de inventario no encontrado' });
+    }
+
+    const saldos = await StockAlmacen.find({
+      almacen: conteo.almacen._id,
+      material: { $in: conteo.items.map((item) => item.material?._id || item.material) },
+    }).select('material cantidad');
+    const saldosActuales = new Map(saldos.map((saldo) => [String(saldo.material), Number(saldo.cantidad) || 0]));
+
+    res.status(200).json(formatearConteo(conteo, saldosActuales));
+  } catch (error) {
+    responderError(res, error, 'Error al obtener el conteo de inventario');
+  }
+};
+
+/* ==============================
+ * Registrar cantidades contadas
+ * ============================== */
+
+/**
+ * ✍️ Registrar cantidades contadas en un conteo abierto.
+ *
+ * Se actualizan solo los ítems enviados, en una única operación atómica,
+ * de modo que varios usuarios pueden contar a la vez sin pisarse.
+ *
+ * Body:
+ *  - items: [{ material, cantidadContada, observacion? }]
+ *    (cantidadContada null → el ítem vuelve a quedar sin contar).
+ */
+exports.registrarCantidades = async (req, res) => {
+  try {
+    const { items } = req.body;
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: 'Debe enviar al menos una cantidad contada.' });
+    }
+
+    const conteo = await ConteoInventario.findById(req.params.id);
+    if (!conteo) {
+      return res.status(404).json({ message: 'Conteo de inventario no encontrado' });
+    }
+    if (conteo.estado !== 'abierto') {
+      return res.status(400).json({ message: 'Solo se pueden registrar cantidades en conteos abiertos.' });
+    }
+
+    const porMaterial = new Map(conteo.items.map((item) => [String(item.material), item]));
+    const ids = items.map((linea) => String(linea && (linea.material?._id || linea.material) || ''));
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({ message: 'Un material no puede repetirse en el registro.' });
+    }
+
+    const usuario = obtenerUsuarioMovimiento(req);
+    const ahora = new Date();
+    const cambios = {};
+    const arrayFilters = [];
+
+    items.forEach((linea, i) => {
+      const item = porMaterial.get(ids[i]);
+      if (!item) {
+        throw crearErrorNegocio('El registro incluye un material que no está en el conteo.');
+      }
+
+      const vacia = linea.cantidadContada === null || linea.cantidadContada === undefined || linea.cantidadContada === '';
+      const cantidad = vacia ? null : Number(linea.cantidadContada);
+      if (cantidad !== null && (!Number.isFinite(cantidad) || cantidad < 0)) {
+        throw crearErrorNegocio('Las cantidades contadas deben ser números mayores o iguales a 0.');
+      }
+
+      const ruta = `items.$[i${i}]`;
+      cambios[`${ruta}.cantidadContada`] = cantidad;
+      cambios[`${ruta}.diferencia`] = cantidad === null ? null : cantidad - (Number(item.cantidadEsperada) || 0);
+      cambios[`${ruta}.contadoPor`] = cantidad === null ? null : usuario;
+      cambios[`${ruta}.fechaConteo`] = cantidad === null ? null : ahora;
+      if (linea.observacion !== undefined) {
+        cambios[`${ruta}.observacion`] = String(linea.observacion || '').trim();
+      }
+      arrayFilters.push({ [`i${i}.material`]: item.material });
+    });
+
+    const actualizado = await ConteoInventario.findOneAndUpdate(
+      { _id: conteo._id, estado: 'abierto' },
+      { $set: cambios },
+      { new: true, arrayFilters }
+    );
+    if (!actualizado) {
+      return res.status(409).json({ message: 'El conteo ya no está abierto. Recargue para ver su estado.' });
+    }
+
+    await registrarAuditoriaConteo(req, 'REGISTRAR_CONTEO_INVENTARIO', actualizado, {
+      materiales: ids,
+    });
+
+    res.status(200).json({
+      message: 'Cantidades registradas correctamente',
+      data: formatearConteo(await poblarConteo(ConteoInventario.findById(actualizado._id))),
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al registrar las cantidades contadas');
+  }
+};
+
+/* ==============================
+ * Revisión del conteo
+ * ============================== */
+
+/**
+ * 🔎 Cerrar el registro de cantidades y pasar el conteo a revisión.
+ * Requiere al menos un ítem contado; los no contados no se ajustan.
+ */
+exports.enviarARevision = async (req, res) => {
+  try {
+    const conteo = await ConteoInventario.findOneAndUpdate(
+      { _id: req.params.id, estado: 'abierto', 'items.cantidadContada': { $ne: null } },
+      { $set: { estado: 'en_revision' } },
+      { new: true }
+    );
+
+    if (!conteo) {
+      return responderEstadoInvalido(
+        res,
+        req.params.id,
+        'Solo se pueden enviar a revisión conteos abiertos con al menos un material contado.'
+      );
+    }
+
+    await registrarAuditoriaConteo(req, 'REVISION_CONTEO_INVENTARIO', conteo, calcularResumenConteo(conteo));
+
+    res.status(200).json({
+      message: 'Conteo enviado a revisión',
+      data: formatearConteo(await poblarConteo(ConteoInventario.findById(conteo._id))),
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al enviar el conteo a revisión');
+  }
+};
+
+/**
+ * ↩️ Reabrir un conteo en revisión para corregir o completar cantidades.
+ */
+exports.reabrirConteo = async (req, res) => {
+  try {
+    const conteo = await ConteoInventario.findOneAndUpdate(
+      { _id: req.params.id, estado: 'en_revision' },
+      { $set: { estado: 'abierto' } },
+      { new: true }
+    );
+
+    if (!conteo) {
+      return responderEstadoInvalido(res, req.params.id, 'Solo se pueden reabrir conteos en revisión.');
+    }
+
+    await registrarAuditoriaConteo(req, 'REABRIR_CONTEO_INVENTARIO', conteo);
+
+    res.status(200).json({
+      message: 'Conteo reabierto',
+      data: formatearConteo(await poblarConteo(ConteoInventario.findById(conteo._id))),
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al reabrir el conteo');
+  }
+};
+
+/* ==============================
+ * Aplicar conteo
+ * ============================== */
+
+/**
+ * ✅ Aplicar un conteo en revisión: cada diferencia aprobada genera un
+ * movimiento de AJUSTE en el almacén, con el conteo como motivo.
+ *
+ * La diferencia se aplica sobre el saldo vigente (saldo actual +
+ * diferencia contada), no sobre la foto: así no se pierden las entradas
+ * y salidas registradas mientras se contaba. Todo se confirma en una
+ * transacción; el conteo queda 'aplicado'.
+ *
+ * Body:
+ *  - aprobados: [ids de material] → diferencias aprobadas.
+ *  - todos: true → aprueba todas las diferencias contadas.
+ */
+exports.aplicarConteo = async (req, res) => {
+  try {
+    const { aprobados, todos } = req.body;
+
+    const conteo = await ConteoInventario.findById(req.params.id);
+    if (!conteo) {
+      return res.status(404).json({ message: 'Conteo de inventario no encontrado' });
+    }
+    if (conteo.estado !== 'en_revision') {
+      return res.status(400).json({ message: 'Solo se pueden aplicar conteos en revisión.' });
+    }
+    if (todos !== true && !Array.isArray(aprobados)) {
+      return res.status(400).json({ message: 'Debe indicar las diferencias aprobadas o todos=true.' });
+    }
+
+    const almacenDB = await Almacen.findById(conteo.almacen);
+    if (!almacenDB) {
+      return res.status(404).json({ message: 'Almacén no encontrado' });
+    }
+
+    // Diferencias aprobadas: ítems contados con diferencia distinta de 0
+    const idsAprobados = new Set(todos === true ? [] : aprobados.map((m) => String(m?._id || m)));
+    const itemsActualizados = conteo.items.map((item) => {
+      const conDiferencia = item.cantidadContada !== null && Number(item.diferencia) !== 0;
+      return {
+        ...item.toObject(),
+        aprobado: conDiferencia && (todos === true || idsAprobados.has(String(item.material))),
+      };
+    });
+    const ajustes = itemsActualizados.filter((item) => item.aprobado);
+
+    const materiales = await Material.find({ _id: { $in: ajustes.map((item) => item.material) } });
+    const materialesPorId = new Map(materiales.map((m) => [String(m._id), m]));
+
+    const usuario = obtenerUsuarioMovimiento(req);
+    const ahora = new Date();
+
+    const { conteoAplicado, aplicados } = await ejecutarEnTransaccion(async (session) => {
+      // Reclamamos el conteo primero: si alguien lo cambió, se rechaza esta aplicación
+      const reclamado = await ConteoInventario.findOneAndUpdate(
+        { _id: conteo._id, updatedAt: conteo.updatedAt, estado: 'en_revision' },
+        {
+          $set: {
+            items: itemsActualizados,
+            estado: 'aplicado',
+            aplicadoPor: req.user ? req.user.id : null,
+            fechaAplicacion: ahora,
+          },
+        },
+        { new: true, session }
+      );
+      if (!reclamado) {
+        throw crearErrorNegocio('El conteo cambió mientras se aplicaba. Recargue e intente de nuevo.', 409);
+      }
+
+      const hechos = [];
+      for (const item of ajustes) {
+        const materialDB = materialesPorId.get(String(item.material));
+        if (!materialDB) {
+          throw crearErrorNegocio('Material no encontrado', 404);
+        }
+
+        const saldoVigente = await obtenerSaldo(materialDB, almacenDB._id, session);
+        const saldoFinal = Math.max(saldoVigente + Number(item.diferencia), 0);
+
+        const aplicado = await aplicarMovimientoEnAlmacen({
+          material: materialDB,
+          almacen: almacenDB._id,
+          tipo: 'ajuste',
+          cantidad: saldoFinal,
+          nombreAlmacen: almacenDB.nombre,
+          session,
+        });
+
+        const [movimiento] = await MovimientoInventario.create(
+          [
+            {
+              material: materialDB._id,
+              almacen: almacenDB._id,
+              tipo: 'ajuste',
+              cantidad: saldoFinal,
+              fecha: ahora,
+              descripcion:
+                `Conteo físico ${conteo.numero}: contado ${item.cantidadContada}, ` +
+                `esperado ${item.cantidadEsperada}`,
+              observaciones: item.observacion || '',
+              motivo: `Conteo físico ${conteo.numero}`,
+              conteoInventario: conteo._id,
+              stockAnterior: aplicado.saldoAnterior,
+              stockNuevo: aplicado.saldoNuevo,
+              costoUnitario: aplicado.costoUnitario,
+              // Valor del sobrante o faltante encontrado
+              costoTotal: Math.abs(aplicado.saldoNuevo - aplicado.saldoAnterior) * aplicado.costoUnitario,
+              usuario,
+            },
+          ],
+          { session }
+        );
+
+        hechos.push({ material: materialDB, movimiento, aplicado });
+      }
+
+      // Enlazamos cada ítem ajustado con su movimiento
+      let conMovimientos = reclamado;
+      if (hechos.length > 0) {
+        const cambios = {};
+        const arrayFilters = [];
+        hechos.forEach(({ material, movimiento }, i) => {
+          cambios[`items.$[i${i}].movimiento`] = movimiento._id;
+          arrayFilters.push({ [`i${i}.material`]: material._id });
+        });
+        conMovimientos = await ConteoInventario.findByIdAndUpdate(
+          conteo._id,
+          { $set: cambios },
+          { new: true, arrayFilters, session }
+        );
+      }
+
+      return { conteoAplicado: conMovimientos, aplicados: hechos };
+    });
+
+    // 🆕 Un faltante puede dejar el saldo bajo el punto de reorden
+    const io = req.app && req.app.get ? req.app.get('io') : null;
+    for (const { material, aplicado } of aplicados) {
+      try {
+        await evaluarAlertaStockAlmacen(
+          {
+            material,
+            almacen: almacenDB,
+            saldo: aplicado.saldo,
+            saldoAnterior: aplicado.saldoAnterior,
+            saldoNuevo: aplicado.saldoNuevo,
+          },
+          io
+        );
+      } catch (alertError) {
+        console.error('❌ Error al generar alerta de stock mínimo desde conteo:', alertError);
+      }
+    }
+
+    await registrarAuditoriaConteo(req, 'APLICAR_CONTEO_INVENTARIO', conteoAplicado, {
+      movimientos: aplicados.map(({ movimiento }) => movimiento._id.toString()),
+      ajustes: aplicados.map(({ material, aplicado }) => ({
+        material: material._id.toString(),
+        stockAnterior: aplicado.saldoAnterior,
+        stockNuevo: aplicado.saldoNuevo,
+      })),
+    });
+
+    res.status(200).json({
+      message:
+        aplicados.length > 0
+          ? `Conteo aplicado: ${aplicados.length} ajuste(s) registrado(s).`
+          : 'Conteo aplicado sin ajustes.',
+      data: {
+        conteo: formatearConteo(await poblarConteo(ConteoInventario.findById(conteoAplicado._id))),
+        movimientos: aplicados.map(({ movimiento }) => movimiento),
+      },
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al aplicar el conteo de inventario');
+  }
+};
+
+/* ==============================
+ * Cancelar conteo
+ * ============================== */
+
+/**
+ * 🚫 Cancelar un conteo abierto o en revisión sin tocar el inventario.
+ *
+ * Body:
+ *  - motivo: motivo de la cancelación (obligatorio).
+ */
+exports.cancelarConteo = async (req, res) => {
+  try {
+    const motivo = String((req.body && req.body.motivo) || '').trim();
+    if (!motivo) {
+      return res.status(400).json({ message: 'Debe indicar el motivo de la cancelación.' });
+    }
+
+    const conteo = await ConteoInventario.findOneAndUpdate(
+      { _id: req.params.id, estado: { $in: ['abierto', 'en_revision'] } },
+      {
+        $set: {
+          estado: 'cancelado',
+          canceladoPor: req.user ? req.user.id : null,
+          fechaCancelacion: new Date(),
+          motivoCancelacion: motivo,
+        },
+      },
+      { new: true }
+    );
+
+    if (!conteo) {
+      return responderEstadoInvalido(res, req.params.id, 'El conteo ya fue aplicado o cancelado.');
+    }
+
+    await registrarAuditoriaConteo(req, 'CANCELAR_CONTEO_INVENTARIO', conteo, { motivo });
+
+    res.status(200).json({
+      message: 'Conteo cancelado',
+      data: formatearConteo(await poblarConteo(ConteoInventario.findById(conteo._id))),
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al cancelar el conteo');
+  }
+};
@@ -0,0 +1,300 @@
+// File: BackEnd/src/modules/inventory/controllers/etiqueta.controlador.js
+// Description: Controlador de etiquetas QR de ProCivil Manager (PCM).
+//              Genera hojas de etiquetas en PDF para materiales, ubicaciones
+//              (material × almacén) y almacenes, y resuelve los códigos
+//              leídos con escáner para registrar movimientos sin buscar el
+//              material en listas desplegables. Las hojas generadas quedan en
+//              la colección de reportes y en la auditoría.
+
+const Material = require('../models/material.modelo');                     // Modelo de materiales
+const StockAlmacen = require('../models/stockAlmacen.modelo');             // Saldos por material × almacén
+const Almacen = require('../../warehouses/models/almacen.modelo');         // Modelo de almacenes
+const Reporte = require('../../reports/models/reporte.modelo');            // Modelo de reportes generados
+const AuditLog = require('../../audit/models/auditoria.modelo');           // Modelo de logs de auditoría
+
+// Servicio con el formato de los códigos y el dibujo de las hojas
+const {
+  codigoEtiquetaMaterial,
+  codigoEtiquetaAlmacen,
+  interpretarCodigoEtiqueta,
+  generarHojaEtiquetas,
+} = require('../services/etiqueta.servicio');
+
+const MAX_COPIAS = 24;                                                     // Una hoja completa por etiqueta
+const MAX_ETIQUETAS = 1200;                                                // 50 hojas por descarga
+
+/**
+ * 🏷️ Hoja de etiquetas QR de materiales.
+ *
+ * Query:
+ *  - almacen    : id del almacén (opcional). Con él se imprimen etiquetas de
+ *                 ubicación (material + almacén) de los materiales con saldo
+ *                 en ese almacén; sin él, etiquetas de material.
+ *  - categoria  : filtra por categoría (opcional).
+ *  - materiales : ids separados por coma (opcional).
+ *  - copias     : copias de cada etiqueta (1 a 24; 1 por defecto).
+ */
+exports.getEtiquetasMateriales = async (req, res) => {
+  try {
+    const { almacen, categoria } = req.query;
+    const copias = leerCopias(req.query.copias);
+    if (copias === null) {
+      return res.status(400).json({ message: `Las copias deben ser un entero entre 1 y ${MAX_COPIAS}.` });
+    }
+
+    const filtro = { isDeleted: false };
+    if (categoria) filtro.categoria = categoria;
+    const ids = leerIds(req.query.materiales);
+    if (ids.length > 0) filtro._id = { $in: ids };
+
+    let etiquetas;
+    if (almacen) {
+      const almacenDB = await Almacen.findOne({ _id: almacen, isDeleted: { $ne: true } });
+      if (!almacenDB) {
+        return res.status(404).json({ message: 'Almacén no encontrado' });
+      }
+
+      // Ubicaciones: materiales con saldo registrado en el almacén
+      const saldos = await StockAlmacen.find({ almacen: almacenDB._id }).select('material').lean();
+      filtro._id = ids.length > 0
+        ? { $in: ids.filter((id) => saldos.some((s) => String(s.material) === id)) }
+        : { $in: saldos.map((s) => s.material) };
+
+      const materiales = await Material.find(filtro).sort({ nombre: 1 }).lean();
+      etiquetas = materiales.map((material) => ({
+        codigo: codigoEtiquetaMaterial(material._id, almacenDB._id),
+        titulo: material.nombre,
+        subtitulo: `${almacenDB.nombre} · ${material.unidad || 'unidad'}`,
+      }));
+    } else {
+      const materiales = await Material.find(filtro).sort({ nombre: 1 }).lean();
+      etiquetas = materiales.map((material) => ({
+        codigo: codigoEtiquetaMaterial(material._id),
+        titulo: material.nombre,
+        subtitulo: [material.categoria, material.unidad].filter(Boolean).join(' · '),
+      }));
+    }
+
+    if (etiquetas.length === 0) {
+      return res.status(404).json({ message: 'No hay materiales para generar etiquetas con esos filtros.' });
+    }
+
+    await enviarHoja(req, res, 'etiquetas-materiales', repetir(etiquetas, copias), {
+      tipo: almacen ? 'ubicacion' : 'material',
+      almacen: almacen || null,
+      categoria: categoria || null,
+      materiales: ids,
+      copias,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Identificador inválido (material o almacén).',
+        error: error.message,
+      });
+    }
+
+    console.error('❌ Error al generar etiquetas de materiales:', error);
+    res.status(500).json({
+      message: 'Error al generar las etiquetas de materiales',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * 🏷️ Hoja de etiquetas QR de almacenes.
+ *
+ * Query:
+ *  - almacenes : ids separados por coma (opcional; por defecto, todos los activos).
+ *  - copias    : copias de cada etiqueta (1 a 24; 1 por defecto).
+ */
+exports.getEtiquetasAlmacenes = async (req, res) => {
+  try {
+    const copias = leerCopias(req.query.copias);
+    if (copias === null) {
+      return res.status(400).json({ message: `Las copias deben ser un entero entre 1 y ${MAX_COPIAS}.` });
+    }
+
+    const filtro = { isDeleted: { $ne: true } };
+    const ids = leerIds(req.query.almacenes);
+    if (ids.length > 0) filtro._id = { $in: ids };
+
+    const almacenes = await Almacen.find(filtro).sort({ nombre: 1 }).lean();
+    if (almacenes.length === 0) {
+      return res.status(404).json({ message: 'No hay almacenes para generar etiquetas.' });
+    }
+
+    const etiquetas = almacenes.map((almacen) => ({
+      codigo: codigoEtiquetaAlmacen(almacen._id),
+      titulo: almacen.nombre,
+      subtitulo: [almacen.direccion, almacen.ciudad].filter(Boolean).join(' · '),
+    }));
+
+    await enviarHoja(req, res, 'etiquetas-almacenes', repetir(etiquetas, copias), {
+      tipo: 'almacen',
+      almacenes: ids,
+      copias,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Identificador de almacén inválido.',
+        error: error.message,
+      });
+    }
+
+    console.error('❌ Error al generar etiquetas de almacenes:', error);
+    res.status(500).json({
+      message: 'Error al generar las etiquetas de almacenes',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * 🔎 Resolver un código escaneado.
+ *
+ * Query:
+ *  - codigo: texto leído por el escáner (PCM-MAT:…, PCM-MAT:…@…, PCM-ALM:…).
+ *
+ * Devuelve el tipo de etiqueta, el material y/o almacén que identifica y,
+ * si la etiqueta es de ubicación, el saldo del material en ese almacén.
+ */
+exports.resolverEtiqueta = async (req, res) => {
+  try {
+    const codigo = String(req.query.codigo || '').trim();
+    const interpretado = interpretarCodigoEtiqueta(codigo);
+    if (!interpretado) {
+      return res.status(400).json({ message: `El código "${codigo}" no corresponde a una etiqueta de PCM.` });
+    }
+
+    let material = null;
+    if (interpretado.material) {
+      material = await Material.findOne({ _id: interpretado.material, isDeleted: false })
+        .select('nombre categoria unidad cantidad controlLotes conversiones almacen')
+        .lean();
+      if (!material) {
+        return res.status(404).json({ message: 'El material de la etiqueta no existe o fue eliminado.' });
+      }
+    }
+
+    let almacen = null;
+    if (interpretado.almacen) {
+      almacen = await Almacen.findOne({ _id: interpretado.almacen, isDeleted: { $ne: true } })
+        .select('nombre ciudad')
+        .lean();
+      if (!almacen) {
+        return res.status(404).json({ message: 'El almacén de la etiqueta no existe o fue eliminado.' });
+      }
+    }
+
+    let saldo = null;
+    if (material && almacen) {
+      const saldoDB = await StockAlmacen.findOne({ material: material._id, almacen: almacen._id }).lean();
+      const cantidad = saldoDB ? Number(saldoDB.cantidad) || 0 : 0;
+      const reservado = saldoDB ? Number(saldoDB.reservado) || 0 : 0;
+      saldo = { cantidad, reservado, disponible: Math.max(cantidad - reservado, 0) };
+    }
+
+    res.status(200).json({ tipo: interpretado.tipo, codigo, material, almacen, saldo });
+  } catch (error) {
+    console.error('❌ Error al resolver el código escaneado:', error);
+    res.status(500).json({
+      message: 'Error al resolver el código escaneado',
+      error: error.message,
+    });
+  }
+};
+
+// =======================================================
+// FUNCIONES AUXILIARES
+// =======================================================
+
+/**
+ * Lee el número de copias de la query (1 por defecto).
+ *
+ * @param {string} valor Valor recibido.
+ * @returns {number|null} Copias válidas o null si el valor es inválido.
+ */
+function leerCopias(valor) {
+  if (valor === undefined || valor === '') return 1;
+  const copias = Number(valor);
+  return Number.isInteger(copias) && copias >= 1 && copias <= MAX_COPIAS ? copias : null;
+}
+
+/**
+ * Convierte una lista de ids separada por comas en un arreglo sin vacíos.
+ *
+ * @param {string} valor Ids separados por coma.
+ * @returns {string[]}
+ */
+function leerIds(valor) {
+  return String(valor || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Repite cada etiqueta las copias indicadas (copias contiguas en la hoja).
+ */
+function repetir(etiquetas, copias) {
+  return etiquetas.flatMap((etiqueta) => Array.from({ length: copias }, () => etiqueta));
+}
+
+/**
+ * Registra la hoja en reportes y auditoría y la envía como PDF.
+ * Un error al registrar no impide la descarga.
+ *
+ * @param {Object} req Request de Express (usuario autenticado).
+ * @param {Object} res Response de Express.
+ * @param {string} nombreArchivo Nombre del archivo sin extensión.
+ * @param {Array} etiquetas Etiquetas a imprimir (ya con copias).
+ * @param {Object} filtros Filtros usados para generar la hoja.
+ */
+async function enviarHoja(req, res, nombreArchivo, etiquetas, filtros) {
+  if (etiquetas.length > MAX_ETIQUETAS) {
+    const error = new Error(
+      `Se pidieron ${etiquetas.length} etiquetas; el máximo por descarga es ${MAX_ETIQUETAS}. Filtre por almacén, categoría o materiales.`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  try {
+    const usuarioId =
+      (req.user && (req.user.id || req.user._id)) ? (req.user.id || req.user._id) : null;
+
+    await Reporte.create({
+      usuario: usuarioId,                                                  // Usuario que generó la hoja
+      tipoReporte: 'etiquetas_qr',                                         // Tipo de reporte
+      formato: 'pdf',
+      filtros: { ...filtros, etiquetas: etiquetas.length },
+      ubicacionArchivo: null,                                              // No se guarda el archivo físicamente
+      tamanoBytes: null,
+      estado: 'generado',
+    });
+
+    await AuditLog.create({
+      user: usuarioId,
+      action: 'GENERAR_ETIQUETAS_QR',
+      resource: filtros.tipo === 'almacen' ? 'Almacen' : 'Material',
+      details: { ...filtros, etiquetas: etiquetas.length },
+    });
+  } catch (registroError) {
+    console.error('Error al registrar la generación de etiquetas:', registroError);
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');                        // Tipo de contenido: PDF
+  res.setHeader('Content-Disposition', `attachment; filename=${nombreArchivo}.pdf`);
+  await generarHojaEtiquetas(etiquetas, res);
+}
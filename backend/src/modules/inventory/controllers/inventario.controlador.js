@@ -1,16 +1,39 @@
 // File: BackEnd/src/modules/inventory/controllers/inventario.controlador.js
 // Description: Controlador para gestionar los movimientos de inventario
-//              (entradas, salidas y ajustes) de materiales en los almacenes.
-//              Actualiza el stock, genera alertas de stock mínimo y expone
-//              endpoints para listar, actualizar y eliminar movimientos.
+//              (entradas, salidas, ajustes y traslados entre almacenes) de
+//              materiales. Actualiza el saldo por almacén (material × almacén) y el total
+//              consolidado del material, genera alertas de stock mínimo por
+//              almacén y expone endpoints para listar y anular movimientos
+//              (el historial nunca se edita ni se elimina).
 
 const MovimientoInventario = require('../models/inventario.modelo');             // Modelo de historial de movimientos de inventario
 const Material = require('../models/material.modelo');                           // Modelo de materiales (stock y datos básicos)
 const Almacen = require('../../warehouses/models/almacen.modelo');               // Modelo de almacenes (bodegas físicas)
+const Proveedor = require('../../suppliers/models/proveedor.modelo');             // Modelo de proveedores (entradas de compra)
+const AuditLog = require('../../audit/models/auditoria.modelo');                 // Modelo de auditoría (traslados y anulaciones)
+const crypto = require('crypto');                                                // Generación de ids de traslado (UUID)
 
-// 🆕 Modelos adicionales para alertas de stock mínimo en tiempo real
-const Alerta = require('../../alerts/models/alerta.modelo');                     // Modelo de alertas del sistema
-const User = require('../../users/models/usuario.modelo');                       // Modelo de usuarios (para notificar administradores)
+// Servicio de saldos por almacén (material × almacén) y alertas de stock mínimo por almacén
+const {
+  aplicarMovimientoEnAlmacen,
+  calcularEfectoMovimiento,
+  ejecutarEnTransaccion,
+  evaluarAlertaStockAlmacen,
+} = require('../services/stockAlmacen.servicio');
+const { registrarPrecio } = require('../services/historialPrecio.servicio'); // Historial de precios de materiales
+const { evaluarVencimientos } = require('../services/loteMaterial.servicio'); // Alertas de vencimiento de lotes
+const { convertirAUnidadMaterial } = require('../services/unidadMedida.servicio'); // Conversión de unidades de medida
+const { revertirRecepcionMovimiento } = require('../../purchases/services/ordenCompra.servicio'); // Recepciones de órdenes de compra
+const { revertirConsumoProyecto } = require('../../projects/services/reservaMaterial.servicio'); // Consumos de material en proyectos
+
+/**
+ * Devuelve el identificador textual del usuario autenticado para guardarlo
+ * en los movimientos (correo, id o 'sistema' en tareas automáticas).
+ */
+const obtenerUsuarioMovimiento = (req) =>
+  req.user
+    ? req.user.email || req.user.id || String(req.user._id || '')
+    : 'sistema';
 
 /**
  * 🟢 Crear un nuevo movimiento de inventario.
@@ -19,14 +42,31 @@ const User = require('../../users/models/usuario.modelo');
  *  - 'entrada': incrementa stock.
  *  - 'salida' : disminuye stock.
  *  - 'ajuste' : fija el stock a una cantidad específica.
+ *  - 'traslado': se delega en createTraslado (requiere almacenDestino).
  *
  * Reglas:
  *  - El líder de obra SOLO puede registrar movimientos de SALIDA.
  *  - Se valida que exista el material y el almacén.
- *  - Se actualiza el stock del material.
- *  - Si se cruza el stock mínimo hacia abajo, se generan alertas a admins.
+ *  - Se actualiza el saldo del material EN ESE ALMACÉN y el total
+ *    consolidado (Material.cantidad = suma de saldos).
+ *  - Si el saldo del almacén cruza el stock mínimo hacia abajo,
+ *    se generan alertas a admins.
  *  - Se registran también: descripcion, motivo, proyecto,
- *    stockAnterior y stockNuevo para trazabilidad completa.
+ *    stockAnterior y stockNuevo (saldo del almacén) para trazabilidad completa.
+ *  - Las entradas pueden informar costoUnitario (costo de compra); con él
+ *    se recalcula el costo promedio ponderado del saldo. Salidas y ajustes
+ *    se valoran al costo promedio vigente (costoUnitario / costoTotal).
+ *  - Las entradas pueden enlazarse a un proveedor (compras por proveedor).
+ *  - Los ajustes exigen motivo o descripción (los conteos físicos generan
+ *    sus propios ajustes desde /api/conteos-inventario).
+ *  - Materiales con control de lotes: la entrada exige lote y
+ *    fechaVencimiento; la salida consume los lotes vigentes en orden FEFO
+ *    o, si se indica, el lote dado primero (p. ej. para dar de baja un
+ *    lote vencido). Los lotes afectados quedan en movimiento.lotes.
+ *  - La cantidad puede informarse en cualquier unidad compatible con el
+ *    material ("unidad"); se convierte a la unidad del material y la
+ *    unidad/cantidad informadas quedan en unidadOriginal/cantidadOriginal.
+ *    En entradas, costoUnitario se entiende por unidad informada.
  */
 exports.createMovimiento = async (req, res) => {
   try {
@@ -39,7 +79,12 @@ exports.createMovimiento = async (req, res) => {
       almacen,            // Id del almacén
       proyecto,           // Id de proyecto asociado (opcional)
       motivo,             // Motivo estructurado (opcional)
-      observaciones       // Observaciones detalladas (opcional)
+      observaciones,      // Observaciones detalladas (opcional)
+      costoUnitario,      // Costo unitario de compra (solo entradas, opcional)
+      proveedor,          // Id del proveedor de la compra (solo entradas, opcional)
+      lote,               // Número de lote (entradas de materiales con control de lotes; opcional en salidas)
+      fechaVencimiento,   // Vencimiento del lote (solo entradas)
+      unidad              // Unidad en que se informa la cantidad (opcional; por defecto la del material)
     } = req.body;
 
     // ⛔ Regla de negocio: el líder de obra SOLO puede registrar movimientos de SALIDA
@@ -50,6 +95,11 @@ exports.createMovimiento = async (req, res) => {
       });
     }
 
+    // 🔁 Los traslados entre almacenes tienen su propio flujo (dos tramos enlazados)
+    if (tipo === 'traslado') {
+      return exports.createTraslado(req, res);
+    }
+
     // 🔢 Normalizamos y validamos la cantidad (aseguramos número > 0)
     const cantidadNum = Number(cantidad);                  // Convertimos la cantidad a número
     if (
@@ -73,44 +123,68 @@ exports.createMovimiento = async (req, res) => {
       });
     }
 
+    // 💲 Costo unitario de la entrada: opcional, pero si viene debe ser un número >= 0
+    const costoEntrada =
+      tipo === 'entrada' && costoUnitario !== undefined && costoUnitario !== null && costoUnitario !== ''
+        ? Number(costoUnitario)
+        : null;
+    if (costoEntrada !== null && (!Number.isFinite(costoEntrada) || costoEntrada < 0)) {
+      return res.status(400).json({ message: 'El costo unitario debe ser un número mayor o igual a 0.' });
+    }
+
+    // 🚚 El proveedor solo aplica a entradas (compras)
+    if (proveedor && tipo !== 'entrada') {
+      return res.status(400).json({ message: 'Solo las entradas pueden asociarse a un proveedor.' });
+    }
+
+    // 📋 Un ajuste sobrescribe el saldo: exige dejar constancia del porqué
+    if (tipo === 'ajuste' && !String(motivo || descripcion || '').trim()) {
+      return res.status(400).json({
+        message: 'Debe indicar el motivo del ajuste. Para conteos físicos use los conteos de inventario.',
+      });
+    }
+
     // 🔍 Verificar que el material exista
     const materialDB = await Material.findById(material);    // Buscamos el material en BD
     if (!materialDB) {                                       // Si no existe, error 404
       return res.status(404).json({ message: 'Material no encontrado' });
     }
 
-    // 🆕 Guardar cantidad previa y stock mínimo para evaluar alertas de stock
-    const cantidadAnterior = Number(materialDB.cantidad) || 0; // Stock antes del movimiento
-    const stockMinNum = Number(materialDB.stockMinimo) || 0;   // Stock mínimo configurado
+    // 📐 Cantidad y costo en la unidad del material (en la que se llevan los saldos)
+    const conversion = await convertirAUnidadMaterial(materialDB, cantidadNum, unidad);
+    const cantidadMaterial = conversion.cantidad;
+    const costoMaterial = costoEntrada !== null ? costoEntrada / conversion.factor : null;
 
-    // 🔍 Verificar que el almacén exista
-    const almacenDB = await Almacen.findById(almacen);      // Buscamos el almacén
-    if (!almacenDB) {                                       // Si no existe, error 404
-      return res.status(404).json({ message: 'Almacén no encontrado' });
+    // 🏷️ Lotes: solo para materiales con control de lotes
+    const numeroLote = String(lote || '').trim();
+    if (numeroLote && !materialDB.controlLotes) {
+      return res.status(400).json({ message: `El material "${materialDB.nombre}" no tiene control de lotes.` });
+    }
+    if (materialDB.controlLotes && tipo === 'entrada' && (!numeroLote || !fechaVencimiento)) {
+      return res.status(400).json({
+        message: `El material "${materialDB.nombre}" controla lotes: indique el lote y su fecha de vencimiento.`,
+      });
     }
+    if (numeroLote && tipo === 'ajuste') {
+      return res.status(400).json({ message: 'Los ajustes no se registran por lote.' });
+    }
+    const lotesMovimiento = numeroLote
+      ? [{ lote: numeroLote, fechaVencimiento: tipo === 'entrada' ? fechaVencimiento : null, cantidad: cantidadMaterial }]
+      : [];
 
-    // 🔄 Actualizar el stock según tipo de movimiento
-    if (tipo === 'entrada') {
-      // Entrada: sumamos unidades al stock actual
-      materialDB.cantidad = cantidadAnterior + cantidadNum;
-    } else if (tipo === 'salida') {
-      // Salida: verificamos que haya stock suficiente antes de descontar
-      if (cantidadNum > cantidadAnterior) {
-        return res.status(400).json({
-          message: 'No hay suficiente stock para esta salida.',
-        });
+    // 🔍 Verificar que el proveedor exista (si se envía)
+    if (proveedor) {
+      const proveedorDB = await Proveedor.exists({ _id: proveedor, isDeleted: { $ne: true } });
+      if (!proveedorDB) {
+        return res.status(404).json({ message: 'Proveedor no encontrado' });
       }
-      materialDB.cantidad = cantidadAnterior - cantidadNum;
-    } else if (tipo === 'ajuste') {
-      // Ajuste: fijamos el stock a la cantidad indicada
-      materialDB.cantidad = cantidadNum;
     }
 
-    // 🧮 Calculamos el stock nuevo después de aplicar el movimiento
-    const cantidadNueva = Number(materialDB.cantidad) || 0;  // Stock después del movimiento
-
-    // 💾 Guardamos el material ya actualizado en la base de datos
-    await materialDB.save();
+    // 🔍 Verificar que el almacén exista
+    const almacenDB = await Almacen.findById(almacen);      // Buscamos el almacén
+    if (!almacenDB) {                                       // Si no existe, error 404
+      return res.status(404).json({ message: 'Almacén no encontrado' });
+    }
 
     // 🧾 Determinar motivo estructurado si no viene explícito en el body
     const motivoMovimiento =
@@ -127,71 +201,77 @@ exports.createMovimiento = async (req, res) => {
         ? observaciones
         : descripcion || '';
 
-    // 📝 Crear el movimiento de inventario (ya con el stock validado)
-    const nuevoMovimiento = new MovimientoInventario({
+    // 📝 Datos del movimiento (stockAnterior/stockNuevo se completan al aplicar el saldo)
+    const datosMovimiento = {
       material,                                              // Id del material
       almacen,                                               // Id del almacén
       tipo,                                                  // Tipo de movimiento (entrada/salida/ajuste)
-      cantidad: cantidadNum,                                 // Cantidad numérica ya normalizada
+      cantidad: cantidadMaterial,                            // Cantidad en la unidad del material
+      unidadOriginal: conversion.unidadOriginal,             // Unidad informada (si se convirtió)
+      cantidadOriginal: conversion.cantidadOriginal,         // Cantidad informada (si se convirtió)
       fecha: new Date(),                                     // Fecha del movimiento (además de createdAt)
       descripcion: descripcion || '',                        // Descripción corta visible en la UI
       observaciones: observacionesMovimiento,                // Observaciones más detalladas
       proyecto: proyecto || undefined,                       // Proyecto asociado si aplica
+      proveedor: proveedor || null,                          // Proveedor de la compra si aplica
       motivo: motivoMovimiento,                              // Motivo estructurado del movimiento
-      stockAnterior: cantidadAnterior,                       // Stock antes del movimiento
-      stockNuevo: cantidadNueva,                             // Stock después del movimiento
       // Guardamos información básica del usuario para trazabilidad
-      usuario: req.user
-        ? req.user.email || req.user.id || String(req.user._id || '')
-        : 'sistema',                                         // En caso de tareas automáticas
-    });
+      usuario: obtenerUsuarioMovimiento(req),                // Correo / id del usuario o 'sistema'
+    };
 
-    // 💾 Guardamos el movimiento en la colección de movimientos
-    await nuevoMovimiento.save();
+    // ✅ Validamos el documento ANTES de tocar el stock (evita saldos sin movimiento)
+    await new MovimientoInventario(datosMovimiento).validate();
 
-    // 🆕 Después de actualizar el stock, evaluar si se cruza el umbral de stock mínimo
-    try {
-      // Solo generamos alerta si:
-      //  - hay stock mínimo configurado (> 0)
-      //  - ANTES estaba por encima del mínimo
-      //  - AHORA quedó en o por debajo del mínimo
-      if (
-        stockMinNum > 0 &&
-        cantidadAnterior > stockMinNum &&
-        cantidadNueva <= stockMinNum
-      ) {
-        // 👥 Buscar administradores activos (no eliminados lógicamente)
-        const admins = await User.find({
-          role: 'admin',
-          isDeleted: { $ne: true },
-        });
+    // 🔄 Aplicar el movimiento sobre el saldo del almacén y registrar el movimiento
+    //    en una sola transacción. El servicio descuenta con una actualización
+    //    condicional, por lo que dos salidas simultáneas nunca dejan stock negativo.
+    const {
+      saldo,                                                 // Documento de saldo del almacén
+      saldoAnterior,                                         // Saldo del almacén antes del movimiento
+      saldoNuevo,                                            // Saldo del almacén después del movimiento
+      movimiento: nuevoMovimiento,                           // Movimiento registrado
+    } = await ejecutarEnTransaccion(async (session) => {
+      const aplicado = await aplicarMovimientoEnAlmacen({
+        material: materialDB,
+        almacen: almacenDB._id,
+        tipo,
+        cantidad: cantidadMaterial,
+        costoUnitario: costoMaterial,
+        nombreAlmacen: almacenDB.nombre,
+        lotes: lotesMovimiento,
+        session,
+      });
 
-        if (admins.length > 0) {
-          // Crear una alerta de stock bajo por cada admin
-          const alertPromises = admins.map((admin) =>
-            Alerta.create({
-              usuario: admin._id,                           // Destinatario de la alerta
-              tipo: 'stock',                                // Tipo de alerta (stock mínimo)
-              material: materialDB._id,                     // Referencia al material
-              message: `Stock bajo para el material "${materialDB.nombre}": ${cantidadNueva} ${materialDB.unidad || ''
-                } (mínimo ${stockMinNum}).`,
-              resolved: false,                              // Alerta pendiente
-            })
-          );
+      const [movimiento] = await MovimientoInventario.create(
+        [
+          {
+            ...datosMovimiento,
+            stockAnterior: aplicado.saldoAnterior,           // Stock del almacén antes del movimiento
+            stockNuevo: aplicado.saldoNuevo,                 // Stock del almacén después del movimiento
+            costoUnitario: aplicado.costoUnitario,           // Costo al que se valoró el movimiento
+            costoTotal: cantidadMaterial * aplicado.costoUnitario,
+            lotes: aplicado.lotes,                           // Lotes recibidos / consumidos
+          },
+        ],
+        { session }
+      );
 
-          const alertasCreadas = await Promise.all(alertPromises);
+      return { ...aplicado, movimiento };
+    });
 
-          // 📡 Emitir evento Socket.io para que el frontend se actualice en tiempo real
-          const io = req.app && req.app.get ? req.app.get('io') : null; // Obtenemos instancia de Socket.io desde la app
-          if (io) {
-            alertasCreadas.forEach((alerta) => {
-              io.emit('alerta:nueva', {
-                alerta,                                      // Enviamos la alerta completa al cliente
-              });
-            });
-          }
-        }
-      }
+    // 🆕 Después de actualizar el saldo, evaluar si se cruza el stock mínimo EN ESTE ALMACÉN
+    try {
+      const io = req.app && req.app.get ? req.app.get('io') : null; // Obtenemos instancia de Socket.io desde la app
+      await evaluarAlertaStockAlmacen(
+        {
+          material: materialDB,                              // Material afectado
+          almacen: almacenDB,                                // Almacén cuyo saldo cambió
+          saldo,                                             // Saldo (puede tener mínimo propio)
+          saldoAnterior,                                     // Solo alerta si se cruza el umbral
+          saldoNuevo,
+        },
+        io
+      );
     } catch (alertError) {
       // Importante: si falla la creación de la alerta NO rompemos la respuesta principal
       console.error(
@@ -200,15 +280,56 @@ exports.createMovimiento = async (req, res) => {
       );
     }
 
+    // ⏳ Un lote recibido puede llegar ya dentro de la ventana de aviso de vencimiento
+    if (materialDB.controlLotes && tipo === 'entrada') {
+      try {
+        await evaluarVencimientos(req.app && req.app.get ? req.app.get('io') : null);
+      } catch (vencimientoError) {
+        console.error('❌ Error al evaluar vencimientos de lotes desde movimiento:', vencimientoError);
+      }
+    }
+
+    // 💲 Una entrada con costo de compra alimenta el historial de precios del material
+    if (costoMaterial !== null) {
+      try {
+        await registrarPrecio({
+          material: materialDB,
+          precio: costoMaterial,
+          origen: 'entrada',
+          movimiento: nuevoMovimiento._id,
+          almacen: almacenDB._id,
+          proveedor: nuevoMovimiento.proveedor,
+          usuario: nuevoMovimiento.usuario,
+          fecha: nuevoMovimiento.fecha,
+        });
+      } catch (historialError) {
+        console.error('Error al registrar el precio de la entrada en el historial:', historialError);
+      }
+    }
+
     // ✅ Respuesta exitosa con el movimiento creado y el material actualizado
     res.status(201).json({
       message: 'Movimiento registrado correctamente',
       data: {
         movimiento: nuevoMovimiento,                        // Movimiento recién creado
-        materialActualizado: materialDB,                    // Estado actual del material
+        materialActualizado: materialDB,                    // Estado actual del material (total consolidado)
+        stockAlmacen: saldo,                                // Saldo actualizado del almacén
       },
     });
   } catch (error) {
+    // Errores de negocio del servicio de saldos (p. ej. stock insuficiente en el almacén)
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    // Datos del movimiento que no cumplen el esquema
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Datos inválidos para registrar el movimiento',
+        error: error.message,
+      });
+    }
+
     // Manejo específico de IDs mal formados
     if (error.name === 'CastError') {
       return res.status(400).json({
@@ -227,6 +348,399 @@ exports.createMovimiento = async (req, res) => {
   }
 };
 
+/**
+ * 🔁 Crear un traslado entre almacenes.
+ *
+ * Body:
+ *  - material        : id del material a trasladar.
+ *  - almacenOrigen   : id del almacén que despacha (también se acepta "almacen").
+ *  - almacenDestino  : id del almacén que recibe.
+ *  - cantidad        : unidades a trasladar (> 0).
+ *  - unidad          : unidad en que se informa la cantidad (opcional; se
+ *                      convierte a la unidad del material).
+ *  - enTransito      : si es true, el material queda "en tránsito" hasta que
+ *                      el almacén de destino confirme la recepción.
+ *  - descripcion / observaciones / motivo (opcionales).
+ *
+ * Genera DOS movimientos tipo 'traslado' con el mismo trasladoId:
+ *  - Tramo de salida en el origen (descuenta stock de inmediato).
+ *  - Tramo de entrada en el destino (suma stock de inmediato o al confirmar).
+ *
+ * Registra la operación en la auditoría y evalúa la alerta de stock mínimo
+ * del almacén de origen.
+ *
+ * En materiales con control de lotes, el origen despacha en orden FEFO y
+ * los mismos lotes (con su vencimiento) ingresan al destino.
+ */
+exports.createTraslado = async (req, res) => {
+  try {
+    const {
+      material,           // Id del material a trasladar
+      almacen,            // Alias de almacenOrigen (compatibilidad con createMovimiento)
+      almacenOrigen,      // Id del almacén de origen
+      almacenDestino,     // Id del almacén de destino
+      cantidad,           // Cantidad a trasladar
+      enTransito,         // Si queda pendiente de confirmación en destino
+      descripcion,        // Descripción corta (opcional)
+      observaciones,      // Observaciones detalladas (opcional)
+      motivo,             // Motivo estructurado (opcional)
+      unidad              // Unidad en que se informa la cantidad (opcional)
+    } = req.body;
+
+    const origenId = almacenOrigen || almacen;               // Aceptamos ambos nombres de campo
+    const cantidadNum = Number(cantidad);                    // Normalizamos la cantidad
+    const quedaEnTransito = enTransito === true || enTransito === 'true'; // Bandera de tránsito
+
+    // 🔎 Validaciones básicas
+    if (
+      !material ||
+      !origenId ||
+      !almacenDestino ||
+      isNaN(cantidadNum) ||
+      cantidadNum <= 0
+    ) {
+      return res.status(400).json({
+        message:
+          'Para un traslado se requiere material, almacén de origen, almacén de destino y una cantidad válida.',
+      });
+    }
+
+    if (String(origenId) === String(almacenDestino)) {
+      return res.status(400).json({
+        message: 'El almacén de origen y el de destino deben ser diferentes.',
+      });
+    }
+
+    // 🔍 Verificar material y almacenes
+    const materialDB = await Material.findOne({ _id: material, isDeleted: false });
+    if (!materialDB) {
+      return res.status(404).json({ message: 'Material no encontrado' });
+    }
+
+    // 📐 Cantidad en la unidad del material
+    const conversion = await convertirAUnidadMaterial(materialDB, cantidadNum, unidad);
+    const cantidadMaterial = conversion.cantidad;
+
+    const origenDB = await Almacen.findOne({ _id: origenId, isDeleted: { $ne: true } });
+    if (!origenDB) {
+      return res.status(404).json({ message: 'Almacén de origen no encontrado' });
+    }
+
+    const destinoDB = await Almacen.findOne({ _id: almacenDestino, isDeleted: { $ne: true } });
+    if (!destinoDB) {
+      return res.status(404).json({ message: 'Almacén de destino no encontrado' });
+    }
+
+    const trasladoId = crypto.randomUUID();                  // Id común de ambos tramos
+    const usuario = obtenerUsuarioMovimiento(req);           // Usuario responsable
+    const ahora = new Date();                                // Fecha del traslado
+    const motivoTraslado =
+      motivo || `Traslado de ${origenDB.nombre} a ${destinoDB.nombre}`;
+    const observacionesTraslado =
+      observaciones !== undefined && observaciones !== null
+        ? observaciones
+        : descripcion || '';
+
+    // Ambos tramos (y sus saldos) se registran en una sola transacción:
+    // o se aplica el traslado completo o no se aplica nada.
+    const { salidaOrigen, movimientoSalida, movimientoEntrada } = await ejecutarEnTransaccion(
+      async (session) => {
+        // 📤 Tramo de salida: descuenta del almacén de origen
+        const salidaOrigen = await aplicarMovimientoEnAlmacen({
+          material: materialDB,
+          almacen: origenDB._id,
+          tipo: 'salida',
+          cantidad: cantidadMaterial,
+          nombreAlmacen: origenDB.nombre,
+          session,
+        });
+        const lotesTraslado = salidaOrigen.lotes;            // Lotes despachados (viajan al destino)
+
+        const [movimientoSalida] = await MovimientoInventario.create([{
+          material: materialDB._id,
+          almacen: origenDB._id,                             // El tramo de salida ocurre en el origen
+          tipo: 'traslado',
+          cantidad: cantidadMaterial,
+          unidadOriginal: conversion.unidadOriginal,
+          cantidadOriginal: conversion.cantidadOriginal,
+          fecha: ahora,
+          descripcion: descripcion || '',
+          observaciones: observacionesTraslado,
+          motivo: motivoTraslado,
+          stockAnterior: salidaOrigen.saldoAnterior,
+          stockNuevo: salidaOrigen.saldoNuevo,
+          costoUnitario: salidaOrigen.costoUnitario,         // Sale al costo promedio del origen
+          costoTotal: cantidadMaterial * salidaOrigen.costoUnitario,
+          lotes: lotesTraslado,
+          usuario,
+          trasladoId,
+          sentidoTraslado: 'salida',
+          almacenOrigen: origenDB._id,
+          almacenDestino: destinoDB._id,
+          estadoTraslado: quedaEnTransito ? 'en_transito' : 'recibido',
+          fechaRecepcion: quedaEnTransito ? null : ahora,
+          recibidoPor: quedaEnTransito ? null : usuario,
+        }], { session });
+
+        // 📥 Tramo de entrada: suma en el destino (si no queda en tránsito)
+        let entradaDestino = null;
+        if (!quedaEnTransito) {
+          entradaDestino = await aplicarMovimientoEnAlmacen({
+            material: materialDB,
+            almacen: destinoDB._id,
+            tipo: 'entrada',
+            cantidad: cantidadMaterial,
+            costoUnitario: salidaOrigen.costoUnitario,       // Entra al destino con el costo de origen
+            lotes: lotesTraslado,
+            session,
+          });
+        }
+
+        const [movimientoEntrada] = await MovimientoInventario.create([{
+          material: materialDB._id,
+          almacen: destinoDB._id,                            // El tramo de entrada ocurre en el destino
+          tipo: 'traslado',
+          cantidad: cantidadMaterial,
+          unidadOriginal: conversion.unidadOriginal,
+          cantidadOriginal: conversion.cantidadOriginal,
+          fecha: ahora,
+          descripcion: descripcion || '',
+          observaciones: observacionesTraslado,
+          motivo: motivoTraslado,
+          // En tránsito aún no hay stock aplicado en destino: se llena al confirmar
+          stockAnterior: entradaDestino ? entradaDestino.saldoAnterior : undefined,
+          stockNuevo: entradaDestino ? entradaDestino.saldoNuevo : undefined,
+          // El costo viaja con la mercancía: se usa al confirmar la recepción
+          costoUnitario: salidaOrigen.costoUnitario,
+          costoTotal: cantidadMaterial * salidaOrigen.costoUnitario,
+          lotes: lotesTraslado,                              // Se registran en destino al recibir
+          usuario,
+          trasladoId,
+          sentidoTraslado: 'entrada',
+          almacenOrigen: origenDB._id,
+          almacenDestino: destinoDB._id,
+          estadoTraslado: quedaEnTransito ? 'en_transito' : 'recibido',
+          fechaRecepcion: quedaEnTransito ? null : ahora,
+          recibidoPor: quedaEnTransito ? null : usuario,
+        }], { session });
+
+        return { salidaOrigen, movimientoSalida, movimientoEntrada };
+      }
+    );
+
+    // 🧾 Auditoría del traslado
+    try {
+      await AuditLog.create({
+        user: req.user ? req.user.id : undefined,
+        action: 'CREATE_TRASLADO',
+        resource: 'MovimientoInventario',
+        details: {
+          trasladoId,
+          material: materialDB._id.toString(),
+          almacenOrigen: origenDB._id.toString(),
+          almacenDestino: destinoDB._id.toString(),
+          cantidad: cantidadMaterial,
+          enTransito: quedaEnTransito,
+          movimientos: [movimientoSalida._id.toString(), movimientoEntrada._id.toString()],
+        },
+      });
+    } catch (auditError) {
+      console.error('❌ Error al registrar auditoría de traslado:', auditError);
+    }
+
+    // 🆕 Alerta de stock mínimo en el almacén de origen (el que pierde existencias)
+    try {
+      const io = req.app && req.app.get ? req.app.get('io') : null;
+      await evaluarAlertaStockAlmacen(
+        {
+          material: materialDB,
+          almacen: origenDB,
+          saldo: salidaOrigen.saldo,
+          saldoAnterior: salidaOrigen.saldoAnterior,
+          saldoNuevo: salidaOrigen.saldoNuevo,
+        },
+        io
+      );
+    } catch (alertError) {
+      console.error('❌ Error al generar alerta de stock mínimo desde traslado:', alertError);
+    }
+
+    res.status(201).json({
+      message: quedaEnTransito
+        ? 'Traslado registrado. El material queda en tránsito hasta que el almacén de destino confirme la recepción.'
+        : 'Traslado registrado correctamente',
+      data: {
+        trasladoId,                                          // Id común de ambos tramos
+        salida: movimientoSalida,                            // Tramo en el origen
+        entrada: movimientoEntrada,                          // Tramo en el destino
+        materialActualizado: materialDB,                     // Total consolidado del material
+      },
+    });
+  } catch (error) {
+    // Errores de negocio del servicio de saldos (p. ej. stock insuficiente en el origen)
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Identificador inválido (material o almacén).',
+        error: error.message,
+      });
+    }
+
+    console.error('❌ Error al crear traslado:', error);
+    res.status(500).json({
+      message: 'Error al registrar el traslado',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * ✅ Confirmar la recepción de un traslado en tránsito.
+ *
+ * - Busca el tramo de entrada del traslado que siga "en_transito".
+ * - Lo marca como recibido de forma condicional (evita confirmar dos veces).
+ * - Suma el stock en el almacén de destino y completa stockAnterior/stockNuevo.
+ * - Marca también el tramo de salida como recibido y registra auditoría.
+ */
+exports.confirmarTraslado = async (req, res) => {
+  try {
+    const { trasladoId } = req.params;                       // Id común del traslado
+    const usuario = obtenerUsuarioMovimiento(req);           // Usuario que confirma
+    const ahora = new Date();                                // Fecha de recepción
+
+    // Reclamar el tramo, sumar en destino y cerrar ambos tramos en una sola transacción
+    const resultado = await ejecutarEnTransaccion(async (session) => {
+      // Reclamamos el tramo de entrada de forma atómica: solo uno puede pasar de en_transito a recibido
+      const tramoEntrada = await MovimientoInventario.findOneAndUpdate(
+        { trasladoId, sentidoTraslado: 'entrada', estadoTraslado: 'en_transito' },
+        { estadoTraslado: 'recibido', fechaRecepcion: ahora, recibidoPor: usuario },
+        { new: true, session }
+      );
+
+      if (!tramoEntrada) {
+        const existente = await MovimientoInventario.findOne({ trasladoId, sentidoTraslado: 'entrada' })
+          .select('estadoTraslado')
+          .session(session);
+        if (!existente) return { error: 404 };
+        return { error: 400, anulado: existente.estadoTraslado === 'anulado' };
+      }
+
+      const materialDB = await Material.findById(tramoEntrada.material).session(session);
+      if (!materialDB) {
+        // Lanzamos para que la transacción deshaga el reclamo del tramo
+        const error = new Error('Material no encontrado');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      // 📥 Sumar el stock en el almacén de destino
+      const { saldoAnterior, saldoNuevo } = await aplicarMovimientoEnAlmacen({
+        material: materialDB,
+        almacen: tramoEntrada.almacenDestino,
+        tipo: 'entrada',
+        cantidad: tramoEntrada.cantidad,
+        costoUnitario: tramoEntrada.costoUnitario,           // Costo con el que salió del origen
+        lotes: (tramoEntrada.lotes || []).map((lote) => lote.toObject()), // Lotes despachados por el origen
+        session,
+      });
+
+      tramoEntrada.stockAnterior = saldoAnterior;            // Saldo del destino antes de recibir
+      tramoEntrada.stockNuevo = saldoNuevo;                  // Saldo del destino después de recibir
+      await tramoEntrada.save({ session });
+
+      // Marcar también el tramo de salida como recibido
+      const tramoSalida = await MovimientoInventario.findOneAndUpdate(
+        { trasladoId, sentidoTraslado: 'salida' },
+        { estadoTraslado: 'recibido', fechaRecepcion: ahora, recibidoPor: usuario },
+        { new: true, session }
+      );
+
+      return { tramoEntrada, tramoSalida, materialDB };
+    });
+
+    if (resultado.error === 400) {
+      return res.status(400).json({
+        message: resultado.anulado ? 'El traslado fue anulado.' : 'El traslado ya fue recibido.',
+      });
+    }
+    if (resultado.error === 404) {
+      return res.status(404).json({ message: 'Traslado no encontrado' });
+    }
+
+    const { tramoEntrada, tramoSalida, materialDB } = resultado;
+
+    // 🧾 Auditoría de la recepción
+    try {
+      await AuditLog.create({
+        user: req.user ? req.user.id : undefined,
+        action: 'CONFIRMAR_TRASLADO',
+        resource: 'MovimientoInventario',
+        details: {
+          trasladoId,
+          material: materialDB._id.toString(),
+          almacenDestino: String(tramoEntrada.almacenDestino),
+          cantidad: tramoEntrada.cantidad,
+        },
+      });
+    } catch (auditError) {
+      console.error('❌ Error al registrar auditoría de recepción de traslado:', auditError);
+    }
+
+    res.status(200).json({
+      message: 'Recepción del traslado confirmada correctamente',
+      data: {
+        trasladoId,
+        salida: tramoSalida,
+        entrada: tramoEntrada,
+        materialActualizado: materialDB,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.error('❌ Error al confirmar traslado:', error);
+    res.status(500).json({
+      message: 'Error al confirmar la recepción del traslado',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * 🔁 Listar traslados entre almacenes.
+ *
+ * - Devuelve un registro por traslado (el tramo de salida), con origen,
+ *   destino y estado.
+ * - Filtro opcional ?estado=en_transito|recibido.
+ */
+exports.getTraslados = async (req, res) => {
+  try {
+    const filtro = { tipo: 'traslado', sentidoTraslado: 'salida' }; // Un registro por traslado
+    if (req.query.estado) {
+      filtro.estadoTraslado = req.query.estado;               // Filtra por estado si se envía
+    }
+
+    const traslados = await MovimientoInventario.find(filtro)
+      .sort({ createdAt: -1 })
+      .populate('material', 'nombre categoria unidad')
+      .populate('almacenOrigen', 'nombre ciudad')
+      .populate('almacenDestino', 'nombre ciudad');
+
+    res.status(200).json(traslados);
+  } catch (error) {
+    console.error('❌ Error al obtener traslados:', error);
+    res.status(500).json({
+      message: 'Error al obtener los traslados',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * 🔵 Obtener todos los movimientos de inventario.
  *
@@ -249,7 +763,10 @@ exports.getMovimientos = async (req, res) => {
       .populate(                                            // Datos del proyecto asociado (si existe)
         'proyecto',
         'title location status'
-      );
+      )
+      .populate('proveedor', 'nombre nit')                  // Proveedor (solo entradas de compra)
+      .populate('almacenOrigen', 'nombre')                  // Origen (solo traslados)
+      .populate('almacenDestino', 'nombre');                // Destino (solo traslados)
 
     res.status(200).json(movimientos);                      // Devolvemos lista de movimientos
   } catch (error) {
@@ -287,7 +804,10 @@ exports.getMovimientosByMaterial = async (req, res) => {
       .populate(                                           // Datos del proyecto asociado
         'proyecto',
         'title location status'
-      );
+      )
+      .populate('proveedor', 'nombre nit')                 // Proveedor (solo entradas de compra)
+      .populate('almacenOrigen', 'nombre')                 // Origen (solo traslados)
+      .populate('almacenDestino', 'nombre');               // Destino (solo traslados)
 
     res.status(200).json(movimientos);                     // Devolvemos historial filtrado
   } catch (error) {
@@ -308,108 +828,259 @@ exports.getMovimientosByMaterial = async (req, res) => {
 };
 
 /**
- * 🟠 Actualizar un movimiento de inventario.
+ * 🚫 Anular un movimiento de inventario.
  *
- * Por diseño, este endpoint solo permite actualizar:
- *  - tipo (entrada / salida / ajuste)
- *  - descripcion (campo corto)
- *  - observaciones (detalle largo)
- *  - motivo (texto estructurado)
+ * El kardex NO se edita ni se borra: la cadena stockAnterior/stockNuevo
+ * debe quedar intacta para contabilidad. En su lugar:
+ *  - Se crea un movimiento compensatorio (entrada/salida) que revierte el
+ *    efecto del original sobre el saldo del almacén y apunta a él
+ *    (movimientoAnulado).
+ *  - El original se marca como anulado (fecha, usuario, motivo y
+ *    referencia al compensatorio).
+ *  - En traslados se anulan ambos tramos; un tramo en tránsito no tiene
+ *    stock que revertir y queda en estado 'anulado' (ya no se puede recibir).
+ *  - Si la entrada provino de una orden de compra, la cantidad vuelve a
+ *    quedar pendiente de recibir en la orden.
+ *  - Si la salida fue un consumo en un proyecto, se descuenta del uso de
+ *    la asignación y lo que salió de la reserva vuelve a reservarse.
+ *  - Las compensaciones se validan antes de marcar el original y las que
+ *    sacan stock se aplican primero. Sin transacciones (Mongo standalone),
+ *    si falla antes de mover saldos se libera la anulación.
  *
- * ⚠️ NO recalcula ni revierte stock aquí. Cualquier cambio en stock
- *     debe hacerse a través de la creación de nuevos movimientos,
- *     para mantener la trazabilidad clara.
+ * Body:
+ *  - motivo: motivo de la anulación (obligatorio).
  */
-exports.updateMovimiento = async (req, res) => {
+exports.anularMovimiento = async (req, res) => {
   try {
-    const {
-      tipo,             // Tipo de movimiento nuevo (opcional)
-      descripcion,      // Nueva descripción corta (opcional)
-      observaciones,    // Nuevas observaciones (opcional)
-      motivo            // Nuevo motivo estructurado (opcional)
-    } = req.body;
-
-    // Construimos un objeto de actualización solo con campos definidos
-    const updateData = {};                                   // Objeto que enviaremos a findByIdAndUpdate
+    const motivoAnulacion = String((req.body && req.body.motivo) || '').trim();
+    if (!motivoAnulacion) {
+      return res.status(400).json({ message: 'Debe indicar el motivo de la anulación.' });
+    }
 
-    // Si se envía un tipo nuevo, validamos que sea uno de los permitidos
-    if (tipo !== undefined) {
-      const tiposPermitidos = ['entrada', 'salida', 'ajuste']; // Lista de tipos válidos
-      if (!tiposPermitidos.includes(tipo)) {                   // Si el tipo no es válido
-        return res.status(400).json({
-          message:
-            "Tipo de movimiento inválido. Debe ser 'entrada', 'salida' o 'ajuste'.",
-        });
-      }
-      updateData.tipo = tipo;                                 // Asignamos el nuevo tipo
+    const movimientoDB = await MovimientoInventario.findById(req.params.id);
+    if (!movimientoDB) {
+      return res.status(404).json({ message: 'Movimiento no encontrado' });
     }
 
-    // Si se envía una nueva descripción, actualizamos el campo descripcion
-    if (descripcion !== undefined) {
-      updateData.descripcion = descripcion;                   // Actualizamos descripción corta
+    if (movimientoDB.movimientoAnulado) {
+      return res.status(400).json({
+        message: 'Un movimiento de anulación no se puede anular.',
+      });
     }
 
-    // Si se envían nuevas observaciones, actualizamos el campo observaciones
-    if (observaciones !== undefined) {
-      updateData.observaciones = observaciones;               // Actualizamos detalle largo
+    if (movimientoDB.anulado) {
+      return res.status(400).json({ message: 'El movimiento ya fue anulado.' });
     }
 
-    // Si se envía un nuevo motivo, actualizamos el campo motivo
-    if (motivo !== undefined) {
-      updateData.motivo = motivo;                             // Actualizamos motivo estructurado
+    const materialDB = await Material.findById(movimientoDB.material);
+    if (!materialDB) {
+      return res.status(404).json({ message: 'Material no encontrado' });
     }
 
-    const actualizado = await MovimientoInventario.findByIdAndUpdate(
-      req.params.id,                                          // ID del movimiento a actualizar
-      updateData,                                             // Campos a actualizar
-      { new: true }                                           // Devolver el documento ya actualizado
-    );
+    const usuario = obtenerUsuarioMovimiento(req);           // Usuario que anula
+    const ahora = new Date();                                // Fecha de la anulación
 
-    if (!actualizado) {                                       // Si no se encontró el movimiento
-      return res.status(404).json({ message: 'Movimiento no encontrado' });
-    }
+    const resultado = await ejecutarEnTransaccion(async (session) => {
+      // Un traslado se anula completo (ambos tramos); el resto, registro por registro
+      const filtroTramos = movimientoDB.trasladoId
+        ? { trasladoId: movimientoDB.trasladoId }
+        : { _id: movimientoDB._id };
 
-    res.status(200).json({
-      message: 'Movimiento actualizado correctamente',
-      data: actualizado,
-    });
-  } catch (error) {
-    if (error.name === 'CastError') {
-      return res.status(400).json({
-        message: 'ID de movimiento inválido',
-        error: error.message,
-      });
-    }
+      const originales = await MovimientoInventario.find(filtroTramos)
+        .sort({ createdAt: 1 })
+        .session(session);
 
-    console.error('❌ Error al actualizar movimiento:', error);
-    res.status(500).json({
-      message: 'Error al actualizar el movimiento',
-      error: error.message,
+      // Plan de compensación: se valida antes de marcar nada como anulado
+      const compensaciones = [];
+      for (const original of originales) {
+        const efecto = calcularEfectoMovimiento(original);
+        if (efecto === 0) continue;
+
+        // Movimientos antiguos sin almacén se aplicaron sobre el almacén principal
+        const almacenId = original.almacen || materialDB.almacen;
+        if (!almacenId) {
+          const error = new Error('El movimiento no tiene un almacén asociado para revertir su stock.');
+          error.statusCode = 400;
+          throw error;
+        }
+        compensaciones.push({
+          original,
+          almacenId,
+          almacenDB: await Almacen.findById(almacenId).session(session),
+          tipo: efecto > 0 ? 'salida' : 'entrada',
+          cantidad: Math.abs(efecto),
+        });
+      }
+      // Las compensaciones que sacan stock (las únicas que pueden fallar por saldo
+      // insuficiente) van primero: si fallan, todavía no se ha movido ningún saldo.
+      compensaciones.sort((a, b) => Number(b.tipo === 'salida') - Number(a.tipo === 'salida'));
+
+      // Reclamamos los registros de forma atómica: solo una anulación puede pasar
+      const reclamo = await MovimientoInventario.updateMany(
+        { ...filtroTramos, anulado: { $ne: true } },
+        {
+          $set: {
+            anulado: true,
+            fechaAnulacion: ahora,
+            anuladoPor: usuario,
+            motivoAnulacion,
+          },
+        },
+        { session }
+      );
+
+      if (!reclamo.modifiedCount) {
+        const error = new Error('El movimiento ya fue anulado.');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const compensatorios = [];
+      const saldosAfectados = [];
+
+      try {
+        const cambiosPorOriginal = new Map(
+          originales.map((original) => [
+            String(original._id),
+            original.tipo === 'traslado' ? { estadoTraslado: 'anulado' } : {}, // Un tramo anulado ya no se puede recibir
+          ])
+        );
+
+        for (const { original, almacenId, almacenDB, tipo, cantidad } of compensaciones) {
+          // Una salida anulada regresa al costo al que salió, restaurando el promedio;
+          // una entrada anulada sale al promedio vigente del almacén.
+          // Con control de lotes, la compensación mueve los mismos lotes del original.
+          const aplicado = await aplicarMovimientoEnAlmacen({
+            material: materialDB,
+            almacen: almacenId,
+            tipo,
+            cantidad,
+            costoUnitario: tipo === 'entrada' ? original.costoUnitario : null,
+            nombreAlmacen: almacenDB ? almacenDB.nombre : undefined,
+            lotes: (original.lotes || []).map((lote) => lote.toObject()),
+            session,
+          });
+          saldosAfectados.push({ almacen: almacenDB, ...aplicado });
+
+          const [compensatorio] = await MovimientoInventario.create(
+            [
+              {
+                material: materialDB._id,
+                almacen: almacenId,
+                tipo,
+                cantidad,
+                fecha: ahora,
+                descripcion: `Anulación de movimiento ${original._id}`,
+                observaciones: motivoAnulacion,
+                proyecto: original.proyecto || undefined,
+                motivo: `Anulación: ${original.motivo || original.tipo}`,
+                stockAnterior: aplicado.saldoAnterior,
+                stockNuevo: aplicado.saldoNuevo,
+                costoUnitario: aplicado.costoUnitario,
+                costoTotal: cantidad * aplicado.costoUnitario,
+                lotes: aplicado.lotes,
+                usuario,
+                movimientoAnulado: original._id,
+              },
+            ],
+            { session }
+          );
+
+          cambiosPorOriginal.get(String(original._id)).movimientoCompensatorio = compensatorio._id;
+          compensatorios.push(compensatorio);
+        }
+
+        for (const original of originales) {
+          // Una entrada recibida desde una orden de compra deja de contar como recibida
+          await revertirRecepcionMovimiento(original, session);
+          // Un consumo en proyecto deja de contar como usado y vuelve a quedar reservado
+          await revertirConsumoProyecto(original, materialDB, session);
+
+          const cambios = cambiosPorOriginal.get(String(original._id));
+          if (Object.keys(cambios).length) {
+            await MovimientoInventario.updateOne(
+              { _id: original._id },
+              { $set: cambios },
+              { session }
+            );
+          }
+          // Reflejamos la anulación en la respuesta
+          Object.assign(original, { anulado: true, fechaAnulacion: ahora, anuladoPor: usuario, motivoAnulacion }, cambios);
+        }
+      } catch (error) {
+        // Sin transacción (Mongo standalone) el reclamo ya quedó guardado. Si
+        // aún no se movió ningún saldo (p. ej. stock insuficiente), lo liberamos
+        // para que el movimiento siga vigente y se pueda reintentar.
+        if (!session && !saldosAfectados.length) {
+          await MovimientoInventario.updateMany(
+            { ...filtroTramos, anulado: true, fechaAnulacion: ahora, anuladoPor: usuario },
+            { $set: { anulado: false, fechaAnulacion: null, anuladoPor: null, motivoAnulacion: null } }
+          ).catch((errorReclamo) => console.error('❌ Error al liberar el reclamo de la anulación:', errorReclamo));
+        } else if (!session) {
+          console.error(
+            '❌ La anulación falló después de aplicar compensaciones sin transacción:',
+            compensatorios.map((m) => m._id.toString())
+          );
+        }
+        throw error;
+      }
+
+      return { originales, compensatorios, saldosAfectados };
     });
-  }
-};
 
-/**
- * 🔴 Eliminar un movimiento de inventario.
- *
- * ❗ Importante:
- *  - Esta operación NO revierte el stock del material.
- *  - Se asume que la eliminación es excepcional (errores de registro).
- *  - Cualquier corrección de stock debe realizarse mediante un NUEVO
- *    movimiento (entrada / salida / ajuste) para mantener trazabilidad.
- */
-exports.deleteMovimiento = async (req, res) => {
-  try {
-    const eliminado = await MovimientoInventario.findByIdAndDelete(
-      req.params.id                                           // ID del movimiento a eliminar
-    );
+    // 🧾 Auditoría de la anulación
+    try {
+      await AuditLog.create({
+        user: req.user ? req.user.id : undefined,
+        action: 'ANULAR_MOVIMIENTO',
+        resource: 'MovimientoInventario',
+        details: {
+          movimiento: movimientoDB._id.toString(),
+          trasladoId: movimientoDB.trasladoId || undefined,
+          material: materialDB._id.toString(),
+          motivo: motivoAnulacion,
+          anulados: resultado.originales.map((m) => m._id.toString()),
+          compensatorios: resultado.compensatorios.map((m) => m._id.toString()),
+        },
+      });
+    } catch (auditError) {
+      console.error('❌ Error al registrar auditoría de anulación:', auditError);
+    }
 
-    if (!eliminado) {                                         // Si no se encontró el documento
-      return res.status(404).json({ message: 'Movimiento no encontrado' });
+    // 🆕 Una compensación puede dejar un almacén por debajo del mínimo
+    try {
+      const io = req.app && req.app.get ? req.app.get('io') : null;
+      for (const afectado of resultado.saldosAfectados) {
+        if (!afectado.almacen) continue;
+        await evaluarAlertaStockAlmacen(
+          {
+            material: materialDB,
+            almacen: afectado.almacen,
+            saldo: afectado.saldo,
+            saldoAnterior: afectado.saldoAnterior,
+            saldoNuevo: afectado.saldoNuevo,
+          },
+          io
+        );
+      }
+    } catch (alertError) {
+      console.error('❌ Error al generar alerta de stock mínimo desde anulación:', alertError);
     }
 
-    res.status(200).json({ message: 'Movimiento eliminado correctamente' });
+    res.status(200).json({
+      message: 'Movimiento anulado correctamente',
+      data: {
+        anulados: resultado.originales,                      // Registros originales (marcados como anulados)
+        compensatorios: resultado.compensatorios,            // Movimientos que revirtieron el stock
+        materialActualizado: materialDB,                     // Total consolidado del material
+      },
+    });
   } catch (error) {
+    // Errores de negocio (p. ej. no hay stock suficiente para revertir una entrada)
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
     if (error.name === 'CastError') {
       return res.status(400).json({
         message: 'ID de movimiento inválido',
@@ -417,9 +1088,9 @@ exports.deleteMovimiento = async (req, res) => {
       });
     }
 
-    console.error('❌ Error al eliminar movimiento:', error);
+    console.error('❌ Error al anular movimiento:', error);
     res.status(500).json({
-      message: 'Error al eliminar el movimiento',
+      message: 'Error al anular el movimiento',
       error: error.message,
     });
   }
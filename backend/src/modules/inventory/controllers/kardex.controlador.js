@@ -0,0 +1,321 @@
+// File: BackEnd/src/modules/inventory/controllers/kardex.controlador.js
+// Description: Controlador del kardex (tarjeta de control de existencias) de
+//              un material en ProCivil Manager (PCM). Devuelve el kardex en
+//              JSON o lo exporta como PDF (PDFKit) o CSV, consolidado o por
+//              almacén y para un rango de fechas. Registra las exportaciones
+//              en la colección de reportes y en la auditoría.
+
+// Importa PDFKit para crear documentos PDF en memoria/stream.
+const PDFDocument = require('pdfkit');                                      // Creador de documentos PDF
+
+const Material = require('../models/material.modelo');                     // Modelo de materiales
+const Almacen = require('../../warehouses/models/almacen.modelo');         // Modelo de almacenes
+const Reporte = require('../../reports/models/reporte.modelo');            // Modelo de reportes generados
+const AuditLog = require('../../audit/models/auditoria.modelo');           // Modelo de logs de auditoría
+
+// Servicio que construye el kardex y lo convierte a CSV
+const { construirKardex, kardexACsv } = require('../services/kardex.servicio');
+
+/**
+ * 📒 Obtener el kardex de un material.
+ *
+ * Params:
+ *  - materialId: id del material.
+ *
+ * Query:
+ *  - almacen : id del almacén (opcional; sin él se genera el consolidado).
+ *  - desde   : fecha inicial YYYY-MM-DD (opcional).
+ *  - hasta   : fecha final YYYY-MM-DD (opcional, inclusiva).
+ *  - formato : 'json' (por defecto), 'pdf' o 'csv'.
+ *
+ * Respuesta JSON: saldo inicial, movimientos con saldo y valor corridos,
+ * totales de entradas/salidas y saldo final.
+ */
+exports.getKardexMaterial = async (req, res) => {
+  try {
+    const { materialId } = req.params;
+    const { almacen, desde, hasta } = req.query;
+    const formato = String(req.query.formato || 'json').toLowerCase();
+
+    if (!['json', 'pdf', 'csv'].includes(formato)) {
+      return res.status(400).json({
+        message: "Formato inválido. Debe ser 'json', 'pdf' o 'csv'.",
+      });
+    }
+
+    const materialDB = await Material.findOne({ _id: materialId, isDeleted: false });
+    if (!materialDB) {
+      return res.status(404).json({ message: 'Material no encontrado' });
+    }
+
+    let almacenDB = null;
+    if (almacen) {
+      almacenDB = await Almacen.findOne({ _id: almacen, isDeleted: { $ne: true } });
+      if (!almacenDB) {
+        return res.status(404).json({ message: 'Almacén no encontrado' });
+      }
+    }
+
+    const kardex = await construirKardex({
+      material: materialDB,
+      almacen: almacenDB,
+      desde,
+      hasta,
+    });
+
+    if (formato === 'json') {
+      return res.status(200).json(kardex);
+    }
+
+    // Nombre de archivo sin espacios ni caracteres especiales
+    const nombreArchivo = `kardex-${String(materialDB.nombre || 'material')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-zA-Z0-9]+/g, '-')
+      .toLowerCase()}`;
+
+    await registrarExportacionKardex(req, formato, {
+      material: materialId,
+      almacen: almacen || null,
+      desde: desde || null,
+      hasta: hasta || null,
+    });
+
+    if (formato === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');             // Tipo de contenido: CSV
+      res.setHeader('Content-Disposition', `attachment; filename=${nombreArchivo}.csv`);
+      return res.status(200).send(kardexACsv(kardex));
+    }
+
+    // PDF
+    res.setHeader('Content-Type', 'application/pdf');                      // Tipo de contenido: PDF
+    res.setHeader('Content-Disposition', `attachment; filename=${nombreArchivo}.pdf`);
+    generarPdfKardex(kardex, res);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Identificador inválido (material o almacén).',
+        error: error.message,
+      });
+    }
+
+    console.error('❌ Error al generar kardex:', error);
+    res.status(500).json({
+      message: 'Error al generar el kardex',
+      error: error.message,
+    });
+  }
+};
+
+// =======================================================
+// FUNCIONES AUXILIARES
+// =======================================================
+
+/**
+ * Registra la exportación del kardex en reportes y auditoría.
+ * Un error aquí no debe impedir la descarga.
+ *
+ * @param {Object} req Request de Express (usuario autenticado).
+ * @param {string} formato 'pdf' o 'csv'.
+ * @param {Object} filtros Filtros usados en la exportación.
+ */
+async function registrarExportacionKardex(req, formato, filtros) {
+  try {
+    const usuarioId =
+      (req.user && (req.user.id || req.user._id)) ? (req.user.id || req.user._id) : null;
+
+    await Reporte.create({
+      usuario: usuarioId,                                                  // Usuario que generó el reporte
+      tipoReporte: 'kardex_material',                                      // Tipo de reporte
+      formato,                                                             // pdf o csv
+      filtros,                                                             // Material, almacén y rango
+      ubicacionArchivo: null,                                              // No se guarda el archivo físicamente
+      tamanoBytes: null,
+      estado: 'generado',
+    });
+
+    await AuditLog.create({
+      user: usuarioId,
+      action: 'EXPORTAR_KARDEX',
+      resource: 'MovimientoInventario',
+      details: { formato, ...filtros },
+    });
+  } catch (registroError) {
+    console.error('Error al registrar la exportación del kardex:', registroError);
+  }
+}
+
+/**
+ * Dibuja el kardex en un PDF (A4 horizontal) y lo envía por el stream.
+ *
+ * @param {Object} kardex Resultado de construirKardex.
+ * @param {import('stream').Writable} destino Stream de salida (respuesta HTTP).
+ */
+function generarPdfKardex(kardex, destino) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',                                                   // Tabla ancha: hoja horizontal
+    margins: { top: 40, bottom: 50, left: 40, right: 40 },
+    bufferPages: true,                                                     // Permite numerar páginas al final
+  });
+
+  doc.pipe(destino);
+
+  const colors = {
+    primary: '#2563eb',
+    text: '#1e293b',
+    secondary: '#64748b',
+    lightGray: '#e2e8f0',
+  };
+
+  const numero = (valor) =>
+    Number(valor || 0).toLocaleString('es-CO', { maximumFractionDigits: 2 });
+  const fecha = (valor) => (valor ? new Date(valor).toLocaleDateString('es-CO') : '—');
+
+  // Columnas de la tabla: [título, ancho, alineación]
+  const columnas = [
+    ['Fecha', 60, 'left'],
+    ['Tipo', 75, 'left'],
+    ['Detalle', 170, 'left'],
+    ['Almacén', 90, 'left'],
+    ['Entrada', 55, 'right'],
+    ['Salida', 55, 'right'],
+    ['Saldo', 55, 'right'],
+    ['Costo unit.', 65, 'right'],
+    ['Valor mov.', 70, 'right'],
+    ['Valor saldo', 70, 'right'],
+  ];
+  const xInicial = 40;
+  const anchoTabla = columnas.reduce((acc, [, ancho]) => acc + ancho, 0);
+
+  // Encabezado
+  doc.rect(0, 0, doc.page.width, 80).fill(colors.primary);
+  doc
+    .fillColor('#ffffff')
+    .fontSize(22)
+    .font('Helvetica-Bold')
+    .text(`Kardex: ${kardex.material.nombre}`, 40, 22);
+  doc
+    .fontSize(10)
+    .font('Helvetica')
+    .fillColor('#e0e7ff')
+    .text(
+      `${kardex.almacen ? `Almacén: ${kardex.almacen.nombre}` : 'Consolidado (todos los almacenes)'}` +
+        `  ·  Unidad: ${kardex.material.unidad || 'unidad'}` +
+        `  ·  Periodo: ${fecha(kardex.desde)} a ${fecha(kardex.hasta)}`,
+      40,
+      52
+    );
+
+  doc.y = 100;
+
+  // Fila de encabezados de la tabla
+  const dibujarEncabezadoTabla = () => {
+    const y = doc.y;
+    doc.rect(xInicial, y, anchoTabla, 18).fill(colors.lightGray);
+    let x = xInicial;
+    doc.fillColor(colors.text).fontSize(8).font('Helvetica-Bold');
+    columnas.forEach(([titulo, ancho, align]) => {
+      doc.text(titulo, x + 3, y + 5, { width: ancho - 6, align });
+      x += ancho;
+    });
+    doc.y = y + 22;
+  };
+
+  // Fila de datos
+  const dibujarFila = (valores, opciones = {}) => {
+    if (doc.y > doc.page.height - 80) {
+      doc.addPage();
+      doc.y = 40;
+      dibujarEncabezadoTabla();
+    }
+    const y = doc.y;
+    let x = xInicial;
+    doc
+      .fillColor(opciones.color || colors.text)
+      .fontSize(8)
+      .font(opciones.negrita ? 'Helvetica-Bold' : 'Helvetica');
+    columnas.forEach(([, ancho, align], i) => {
+      doc.text(valores[i] === undefined || valores[i] === null ? '' : String(valores[i]), x + 3, y, {
+        width: ancho - 6,
+        align,
+        height: 10,
+        ellipsis: true,
+      });
+      x += ancho;
+    });
+    doc.y = y + 14;
+  };
+
+  dibujarEncabezadoTabla();
+
+  dibujarFila(['', 'Saldo inicial', '', '', '', '', numero(kardex.saldoInicial), '', '', numero(kardex.valorInicial)], {
+    negrita: true,
+  });
+
+  kardex.movimientos.forEach((fila) => {
+    const tipo = fila.sentidoTraslado ? `${fila.tipo} (${fila.sentidoTraslado})` : fila.tipo;
+    const estado = fila.anulado ? ' [anulado]' : fila.movimientoAnulado ? ' [anulación]' : '';
+    dibujarFila(
+      [
+        fecha(fila.fecha),
+        tipo,
+        `${fila.detalle}${estado}`,
+        fila.almacen || '—',
+        fila.entrada ? numero(fila.entrada) : '',
+        fila.salida ? numero(fila.salida) : '',
+        numero(fila.saldo),
+        numero(fila.costoUnitario),
+        numero(fila.valorMovimiento),
+        numero(fila.valorSaldo),
+      ],
+      { color: fila.anulado ? colors.secondary : colors.text }
+    );
+  });
+
+  doc.rect(xInicial, doc.y, anchoTabla, 1).fill(colors.lightGray);
+  doc.y += 4;
+
+  dibujarFila(
+    [
+      '',
+      'Saldo final',
+      '',
+      '',
+      numero(kardex.totalEntradas),
+      numero(kardex.totalSalidas),
+      numero(kardex.saldoFinal),
+      '',
+      '',
+      numero(kardex.valorFinal),
+    ],
+    { negrita: true }
+  );
+
+  if (kardex.movimientos.length === 0) {
+    doc.moveDown();
+    doc
+      .fillColor(colors.secondary)
+      .fontSize(10)
+      .font('Helvetica')
+      .text('No hay movimientos en el periodo seleccionado.', xInicial);
+  }
+
+  // Pie de página numerado
+  const { count: pageCount } = doc.bufferedPageRange();
+  for (let i = 0; i < pageCount; i++) {
+    doc.switchToPage(i);
+    doc.page.margins.bottom = 0;                                           // Evita que el pie genere páginas extra
+    doc
+      .fontSize(8)
+      .fillColor(colors.secondary)
+      .text(
+        `Página ${i + 1} de ${pageCount}  ·  Generado el ${new Date().toLocaleDateString('es-CO')}  ·  ProCivil Manager`,
+        40,
+        doc.page.height - 35,
+        { align: 'center', width: doc.page.width - 80 }
+      );
+  }
+
+  doc.end();
+}
@@ -2,8 +2,8 @@
 // Description: Controlador para gestionar los materiales de inventario en ProCivil Manager (PCM).
 //              Implementa operaciones CRUD sobre materiales, aplicando eliminación lógica
 //              (isDeleted) y generando alertas de stock bajo para administradores, incluyendo
-//              notificaciones en tiempo real vía Socket.io cuando la cantidad está en o por
-//              debajo del stock mínimo configurado.
+//              notificaciones en tiempo real vía Socket.io cuando el saldo de un almacén está
+//              en o por debajo del stock mínimo configurado.
 
 // Importa el modelo de Material, que representa cada ítem de inventario.
 const Material = require('../models/material.modelo');                         // Modelo de materiales de inventario
@@ -11,17 +11,56 @@ const Material = require('../models/material.modelo');                         /
 // Importa el modelo de Almacén para validar la pertenencia de un material a un almacén.
 const Almacen = require('../../warehouses/models/almacen.modelo');             // Modelo de almacenes físicos
 
-// Importa el modelo de Alerta para registrar alertas de stock mínimo.
-const Alerta = require('../../alerts/models/alerta.modelo');                   // Modelo de alertas del sistema
+// Importa el servicio de saldos por almacén (material × almacén) y alertas de stock mínimo por almacén.
+const {
+  asegurarSaldoInicial,
+  obtenerSaldo,
+  obtenerSaldosPorMaterial,
+  aplicarMovimientoEnAlmacen,
+  evaluarAlertaStockAlmacen,
+} = require('../services/stockAlmacen.servicio');                             // Servicio de stock por almacén
+
+// Importa el servicio del historial de precios (registro y consultas por fecha).
+const {
+  registrarPrecio,
+  obtenerPrecioEnFecha,
+  obtenerHistorialPrecios,
+} = require('../services/historialPrecio.servicio');                          // Servicio de historial de precios
+
+// Importa el servicio de sugerencias de reabastecimiento (consumo, días de stock y cantidad a pedir).
+const { generarReporteReabastecimiento } = require('../services/reabastecimiento.servicio');
+
+// Importa el servicio de lotes y vencimientos (materiales perecederos).
+const { listarLotes } = require('../services/loteMaterial.servicio');
+
+// Importa el servicio de unidades de medida (equivalencias propias y catálogo).
+const { listarUnidadesMaterial, normalizarConversiones } = require('../services/unidadMedida.servicio');
+
+// Importa la lectura de CSV/XLSX y el servicio de importación masiva del catálogo.
+const { leerHojaCalculo } = require('../../../core/services/hojaCalculo.servicio');
+const {
+  analizarImportacionMateriales,
+  crearMaterialImportado,
+} = require('../services/importacionMaterial.servicio');
+
+// Importa el modelo de auditoría (registro de importaciones masivas).
+const AuditLog = require('../../audit/models/auditoria.modelo');
 
-// Importa el modelo de Usuario para localizar a los administradores que recibirán las alertas.
-const User = require('../../users/models/usuario.modelo');                     // Modelo de usuarios (admin, líder, cliente)
+/**
+ * Devuelve el identificador textual del usuario autenticado para guardarlo
+ * en el historial de precios (correo, id o 'sistema').
+ */
+const obtenerUsuarioHistorial = (req) =>
+  req.user
+    ? req.user.email || req.user.id || String(req.user._id || '')
+    : 'sistema';
 
 /**
  * Crear un nuevo material de inventario.
  *
  * - Valida que se envíe al menos el nombre del material.
  * - Si se indica un almacén, verifica que exista.
+ * - Valida las equivalencias propias con otras unidades (conversiones).
  * - Crea el documento en la colección "materiales".
  * - Si la cantidad inicial está en o por debajo del stock mínimo, genera
  *   alertas de tipo "stock" para todos los administradores activos y emite
@@ -38,6 +77,9 @@ exports.createMaterial = async (req, res) => {
       cantidad,
       stockMinimo,
       almacen,
+      controlLotes,
+      diasAvisoVencimiento,
+      conversiones,
     } = req.body;
 
     // ╭──────────────────────────────────────────────╮
@@ -66,6 +108,14 @@ exports.createMaterial = async (req, res) => {
     if (Number.isNaN(stockMinNum) || stockMinNum < 0) {
       return res.status(400).json({ message: 'El stock mínimo es obligatorio y debe ser un número no negativo' });
     }
+    // Días de aviso de vencimiento (opcional, entre 0 y 365).
+    const diasAvisoNum =
+      diasAvisoVencimiento !== undefined && diasAvisoVencimiento !== '' ? Number(diasAvisoVencimiento) : undefined;
+    if (diasAvisoNum !== undefined && (!Number.isInteger(diasAvisoNum) || diasAvisoNum < 0 || diasAvisoNum > 365)) {
+      return res.status(400).json({ message: 'Los días de aviso de vencimiento deben ser un entero entre 0 y 365' });
+    }
+    // Equivalencias con otras unidades (opcional): 1 <unidad> = factor × unidad del material.
+    const conversionesNorm = normalizarConversiones(conversiones, unidad);
     // El material siempre debe estar asignado a un almacén.
     if (!almacen) {
       return res.status(400).json({ message: 'El material debe estar asignado a un almacén' });
@@ -105,42 +155,47 @@ exports.createMaterial = async (req, res) => {
       categoria: categoria.trim(),
       unidad: unidad.trim(),
       precioUnitario: precioNum,
+      costoPromedio: precioNum,                                               // El stock inicial se valora al precio registrado
       cantidad: cantidadNum,
       stockMinimo: stockMinNum,
       almacen,
+      controlLotes: controlLotes === true || controlLotes === 'true',
+      diasAvisoVencimiento: diasAvisoNum,
+      conversiones: conversionesNorm,
     });
 
     // Guarda el material en base de datos.
     await nuevoMaterial.save();
 
+    // Registra la cantidad inicial como saldo del almacén asignado.
+    await asegurarSaldoInicial(nuevoMaterial);
+
+    // Primer registro del historial de precios (un error aquí no impide la creación).
+    try {
+      await registrarPrecio({
+        material: nuevoMaterial,
+        precio: precioNum,
+        origen: 'creacion',
+        usuario: obtenerUsuarioHistorial(req),
+      });
+    } catch (historialError) {
+      console.error('Error al registrar el precio inicial del material:', historialError);
+    }
+
     // ╭──────────────────────────────────────────────╮
     // │ Generación de alertas de stock bajo          │
     // ╰──────────────────────────────────────────────╯
     try {
-      // Solo genera alerta si hay stock mínimo > 0 y la cantidad inicial es <= stockMin.
-      if (!Number.isNaN(stockMinNum) && stockMinNum > 0 && cantidadNum <= stockMinNum) {
-        // Buscar administradores activos.
-        const admins = await User.find({ role: 'admin', isDeleted: { $ne: true } });
-        if (admins.length > 0) {
-          const alertPromises = admins.map((admin) =>
-            Alerta.create({
-              usuario: admin._id,
-              tipo: 'stock',
-              material: nuevoMaterial._id,
-              message: `El material "${nuevoMaterial.nombre}" ha sido creado con stock bajo (${cantidadNum} ${nuevoMaterial.unidad || ''}, mínimo ${stockMinNum}).`,
-              resolved: false,
-            }),
-          );
-          const alertasCreadas = await Promise.all(alertPromises);
-          // Emitir alertas en tiempo real vía Socket.io.
-          const io = req.app && req.app.get ? req.app.get('io') : null;
-          if (io) {
-            alertasCreadas.forEach((alerta) => {
-              io.emit('alerta:nueva', { alerta });
-            });
-          }
-        }
-      }
+      // Evalúa el saldo inicial del almacén (sin saldo anterior: alerta si ya nace en o bajo el mínimo).
+      const io = req.app && req.app.get ? req.app.get('io') : null;
+      await evaluarAlertaStockAlmacen(
+        {
+          material: nuevoMaterial,
+          almacen: almacenExistente,
+          saldoNuevo: cantidadNum,
+        },
+        io,
+      );
     } catch (alertError) {
       console.error('❌ Error al generar alerta de stock mínimo al crear material:', alertError);
     }
@@ -151,6 +206,10 @@ exports.createMaterial = async (req, res) => {
       data: nuevoMaterial,
     });
   } catch (error) {
+    // Errores de negocio (p. ej. conversiones de unidad inválidas).
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     if (error.name === 'ValidationError') {
       console.error('❌ Error de validación al crear el material:', error);
       return res.status(400).json({
@@ -195,6 +254,7 @@ exports.getMateriales = async (req, res) => {
  * Obtener un material específico por su ID.
  *
  * - Solo devuelve el material si isDeleted = false.
+ * - Incluye "stockPorAlmacen" con el saldo del material en cada almacén.
  * - Retorna 404 si el material no existe o está eliminado lógicamente.
  */
 exports.getMaterialById = async (req, res) => {
@@ -210,8 +270,14 @@ exports.getMaterialById = async (req, res) => {
       return res.status(404).json({ message: 'Material no encontrado' });
     }
 
-    // Devuelve el material encontrado.
-    return res.status(200).json(material);
+    // Adjunta los saldos del material en cada almacén (material × almacén).
+    const stockPorAlmacen = await obtenerSaldosPorMaterial(material);
+
+    // Devuelve el material encontrado junto con su desglose por almacén.
+    return res.status(200).json({
+      ...material.toObject(),                                          // Datos del material (cantidad = total consolidado)
+      stockPorAlmacen,                                                 // Saldos por almacén
+    });
   } catch (error) {
     // Log del error en consola del servidor.
     console.error('❌ Error al obtener el material:', error);
@@ -232,10 +298,15 @@ exports.getMaterialById = async (req, res) => {
  *    🔹 admin         → puede actualizar cualquier campo del material.
  *    🔹 lider de obra → solo puede actualizar campos "menores":
  *                       nombre, categoria, unidad, almacen, etc.
- *      No puede modificar: cantidad, stockMinimo, precioUnitario.
- * - Si (y solo si) se modifican cantidad o stockMinimo y el stock
- *   queda en o por debajo del mínimo, se generan alertas de stock
- *   bajo y notificaciones en tiempo real para administradores.
+ *      No puede modificar: cantidad, stockMinimo, precioUnitario, conversiones.
+ * - La cantidad es el total consolidado: si el admin la cambia, la
+ *   diferencia se aplica como ajuste sobre el saldo del almacén
+ *   principal del material (los demás almacenes no se tocan).
+ * - El campo almacen es el almacén principal del material; cambiarlo
+ *   NO traslada saldos entre almacenes.
+ * - Si (y solo si) se modifican cantidad o stockMinimo y el saldo de
+ *   algún almacén queda en o por debajo del mínimo, se generan alertas
+ *   de stock bajo y notificaciones en tiempo real para administradores.
  */
 exports.updateMaterial = async (req, res) => {
   try {
@@ -249,7 +320,8 @@ exports.updateMaterial = async (req, res) => {
     const camposRestringidosParaLider = [
       'cantidad',
       'stockMinimo',
-      'precioUnitario'
+      'precioUnitario',
+      'conversiones'
     ];
 
     // Si el rol es "lider de obra", verificamos si intenta modificar campos restringidos
@@ -262,7 +334,7 @@ exports.updateMaterial = async (req, res) => {
       if (intentosRestringidos.length > 0) {
         return res.status(403).json({
           message:
-            'No tienes permiso para modificar la cantidad, el stock mínimo ni el precio unitario del material. ' +
+            'No tienes permiso para modificar la cantidad, el stock mínimo, el precio unitario ni las conversiones de unidad del material. ' +
             'Solo un administrador puede cambiar estos campos.',
           camposRestringidos: intentosRestringidos
         });
@@ -324,6 +396,19 @@ exports.updateMaterial = async (req, res) => {
     if (!nuevoAlmacen) {
       return res.status(400).json({ message: 'El material debe estar asignado a un almacén' });
     }
+    if (updateData.controlLotes !== undefined) {
+      updateData.controlLotes = updateData.controlLotes === true || updateData.controlLotes === 'true';
+    }
+    if (updateData.diasAvisoVencimiento !== undefined) {
+      const diasAviso = Number(updateData.diasAvisoVencimiento);
+      if (!Number.isInteger(diasAviso) || diasAviso < 0 || diasAviso > 365) {
+        return res.status(400).json({ message: 'Los días de aviso de vencimiento deben ser un entero entre 0 y 365' });
+      }
+      updateData.diasAvisoVencimiento = diasAviso;
+    }
+    if (updateData.conversiones !== undefined) {
+      updateData.conversiones = normalizarConversiones(updateData.conversiones, nuevaUnidad);
+    }
 
     // ╭──────────────────────────────────────────────╮
     // │ Prevención de duplicados en actualización    │
@@ -344,6 +429,26 @@ exports.updateMaterial = async (req, res) => {
       return res.status(409).json({ message: 'Ya existe otro material con el mismo nombre, categoría y unidad' });
     }
 
+    // ╭──────────────────────────────────────────────╮
+    // │ Cantidad total → saldo del almacén principal │
+    // ╰──────────────────────────────────────────────╯
+    // La diferencia entre el total nuevo y el actual se aplica sobre el saldo
+    // del almacén principal, sin permitir que ese saldo quede negativo.
+    const totalActual = Number(materialActual.cantidad) || 0;
+    const diferenciaCantidad = nuevaCantidad - totalActual;
+    let saldoPrincipalNuevo = null;
+    if (diferenciaCantidad !== 0) {
+      const saldoPrincipalActual = await obtenerSaldo(materialActual, nuevoAlmacen);
+      saldoPrincipalNuevo = saldoPrincipalActual + diferenciaCantidad;
+      if (saldoPrincipalNuevo < 0) {
+        return res.status(400).json({
+          message:
+            `La cantidad no puede ser menor a ${totalActual - saldoPrincipalActual}, ` +
+            'que es lo almacenado en otros almacenes. Use un movimiento de inventario para corregir esos saldos.',
+        });
+      }
+    }
+
     // Determinar si en esta actualización se están tocando campos que afectan el stock
     const camposQueAfectanStock = ['cantidad', 'stockMinimo'];
     const debeEvaluarStock = camposQueAfectanStock.some((campo) => Object.prototype.hasOwnProperty.call(updateData, campo));
@@ -353,10 +458,12 @@ exports.updateMaterial = async (req, res) => {
     updateData.categoria = nuevaCategoria;
     updateData.unidad = nuevaUnidad;
     updateData.precioUnitario = nuevoPrecio;
-    updateData.cantidad = nuevaCantidad;
     updateData.stockMinimo = nuevoStockMin;
     updateData.almacen = nuevoAlmacen;
 
+    // La cantidad total se recalcula desde los saldos por almacén, no se escribe directamente.
+    delete updateData.cantidad;
+
     // Actualiza el material siempre y cuando no esté eliminado lógicamente.
     const actualizado = await Material.findOneAndUpdate(
       { _id: req.params.id, isDeleted: false },
@@ -369,55 +476,54 @@ exports.updateMaterial = async (req, res) => {
       return res.status(404).json({ message: 'Material no encontrado' });
     }
 
+    // Aplica el ajuste sobre el saldo del almacén principal (recalcula el total consolidado).
+    if (saldoPrincipalNuevo !== null) {
+      await aplicarMovimientoEnAlmacen({
+        material: actualizado,
+        almacen: nuevoAlmacen,
+        tipo: 'ajuste',
+        cantidad: saldoPrincipalNuevo,
+      });
+    }
+
+    // Si cambió el precio unitario, se guarda en el historial de precios.
+    const precioAnterior = Number(materialActual.precioUnitario) || 0;
+    if (nuevoPrecio !== precioAnterior) {
+      try {
+        await registrarPrecio({
+          material: actualizado,
+          precio: nuevoPrecio,
+          precioAnterior,
+          origen: 'edicion',
+          usuario: obtenerUsuarioHistorial(req),
+        });
+      } catch (historialError) {
+        console.error('Error al registrar el cambio de precio del material:', historialError);
+      }
+    }
+
     // 🆕 Bloque para generar alerta y emitir evento cuando el stock queda bajo.
     // Solo tiene sentido evaluarlo si en esta petición se modificó cantidad o stockMinimo.
     if (debeEvaluarStock) {
       try {
-        // Convierte a número los campos de cantidad y stock mínimo.
-        const cantidadNum = Number(actualizado.cantidad);              // Cantidad ya actualizada
-        const stockMinNum = Number(actualizado.stockMinimo);           // Stock mínimo ya actualizado
-
-        // Solo genera alerta si los valores son válidos y se cumple la condición de stock bajo.
-        if (
-          !Number.isNaN(cantidadNum) &&
-          !Number.isNaN(stockMinNum) &&
-          stockMinNum > 0 &&
-          cantidadNum <= stockMinNum
-        ) {
-          // Busca todos los administradores activos.
-          const admins = await User.find({
-            role: 'admin',                                             // Rol administrador
-            isDeleted: { $ne: true }                                   // Excluye admins eliminados lógicamente
-          });
-
-          // Si hay administradores se generan alertas para cada uno.
-          if (admins.length > 0) {
-            const alertPromises = admins.map((admin) =>
-              Alerta.create({
-                usuario: admin._id,                                    // Destinatario de la alerta
-                tipo: 'stock',                                         // Tipo: alerta de stock
-                material: actualizado._id,                             // Referencia al material
-                message: `Stock bajo para el material "${actualizado.nombre}": ${cantidadNum} ${actualizado.unidad || ''} (mínimo ${stockMinNum}).`,
-                resolved: false                                        // Se crea como no resuelta
-              })
-            );
-
-            // Espera la creación de todas las alertas.
-            const alertasCreadas = await Promise.all(alertPromises);   // Arreglo de alertas creadas
-
-            // Obtiene la instancia de Socket.io desde la app.
-            const io =
-              req.app && typeof req.app.get === 'function'
-                ? req.app.get('io')
-                : null;
-
-            if (io) {
-              // Emite un evento por cada alerta nueva.
-              alertasCreadas.forEach((alerta) => {
-                io.emit('alerta:nueva', { alerta });                   // Evento global para que el frontend actualice contadores
-              });
-            }
-          }
+        // Obtiene la instancia de Socket.io desde la app.
+        const io =
+          req.app && typeof req.app.get === 'function'
+            ? req.app.get('io')
+            : null;
+
+        // Evalúa el saldo de cada almacén contra el stock mínimo (ya actualizado).
+        const saldos = await obtenerSaldosPorMaterial(actualizado);
+        for (const saldo of saldos) {
+          await evaluarAlertaStockAlmacen(
+            {
+              material: actualizado,                                   // Material ya actualizado
+              almacen: saldo.almacen,                                  // Almacén (poblado) del saldo
+              saldo,                                                   // Saldo (puede tener mínimo propio)
+              saldoNuevo: Number(saldo.cantidad) || 0,                 // Saldo actual del almacén
+            },
+            io
+          );
         }
       } catch (alertError) {
         // Cualquier error en la generación de alertas no rompe la actualización del material.
@@ -434,6 +540,10 @@ exports.updateMaterial = async (req, res) => {
       data: actualizado                                                // Documento ya actualizado
     });
   } catch (error) {
+    // Errores de negocio (p. ej. conversiones de unidad inválidas).
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     // Manejo explícito de errores de validación (e.g., valores negativos).
     if (error.name === 'ValidationError') {
       console.error('❌ Error de validación al actualizar el material:', error);
@@ -452,6 +562,329 @@ exports.updateMaterial = async (req, res) => {
   }
 };
 
+/**
+ * Obtener el historial de precios de un material.
+ *
+ * Query:
+ *  - desde: fecha inicial YYYY-MM-DD (opcional; por defecto, hace un año).
+ *  - hasta: fecha final YYYY-MM-DD (opcional; por defecto, hoy).
+ *
+ * Devuelve los registros del rango (creación, ediciones del precio y
+ * entradas con costo de compra) y el precio vigente al inicio del rango.
+ */
+exports.getHistorialPrecios = async (req, res) => {
+  try {
+    const material = await Material.findOne({ _id: req.params.id, isDeleted: false });
+    if (!material) {
+      return res.status(404).json({ message: 'Material no encontrado' });
+    }
+
+    const historial = await obtenerHistorialPrecios(material, {
+      desde: req.query.desde,
+      hasta: req.query.hasta,
+    });
+
+    return res.status(200).json({
+      material: { _id: material._id, nombre: material.nombre, unidad: material.unidad },
+      precioActual: material.precioUnitario,
+      ...historial,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Identificador de material inválido', error: error.message });
+    }
+    console.error('❌ Error al obtener el historial de precios:', error);
+    return res.status(500).json({
+      message: 'Error al obtener el historial de precios',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Obtener los lotes de un material (control de lotes y vencimientos).
+ *
+ * Query:
+ *  - almacen: limita a un almacén (opcional).
+ *  - incluirAgotados=true: incluye lotes sin existencias (opcional).
+ *
+ * Devuelve los lotes en orden FEFO con los días que faltan para vencer.
+ */
+exports.getLotesMaterial = async (req, res) => {
+  try {
+    const material = await Material.findOne({ _id: req.params.id, isDeleted: false });
+    if (!material) {
+      return res.status(404).json({ message: 'Material no encontrado' });
+    }
+
+    const lotes = await listarLotes({
+      material,
+      almacen: req.query.almacen || null,
+      incluirAgotados: req.query.incluirAgotados === 'true',
+    });
+
+    return res.status(200).json({
+      material: {
+        _id: material._id,
+        nombre: material.nombre,
+        unidad: material.unidad,
+        controlLotes: material.controlLotes,
+        diasAvisoVencimiento: material.diasAvisoVencimiento,
+      },
+      lotes,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Identificador inválido (material o almacén)', error: error.message });
+    }
+    console.error('❌ Error al obtener los lotes del material:', error);
+    return res.status(500).json({
+      message: 'Error al obtener los lotes del material',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Obtener las unidades en que se puede expresar un material.
+ *
+ * Devuelve la unidad del material (factor 1), sus equivalencias propias y
+ * las unidades del catálogo de la misma magnitud, cada una con el factor
+ * para pasar a la unidad del material.
+ */
+exports.getUnidadesMaterial = async (req, res) => {
+  try {
+    const material = await Material.findOne({ _id: req.params.id, isDeleted: false });
+    if (!material) {
+      return res.status(404).json({ message: 'Material no encontrado' });
+    }
+
+    const unidades = await listarUnidadesMaterial(material);
+
+    return res.status(200).json({
+      material: {
+        _id: material._id,
+        nombre: material.nombre,
+        unidad: material.unidad,
+      },
+      unidades,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'ID de material inválido', error: error.message });
+    }
+    console.error('❌ Error al obtener las unidades del material:', error);
+    return res.status(500).json({
+      message: 'Error al obtener las unidades del material',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Obtener el precio de un material en una fecha.
+ *
+ * Query:
+ *  - fecha: YYYY-MM-DD (opcional; por defecto, hoy).
+ *
+ * Responde con el último precio registrado hasta esa fecha, o 404 si la
+ * fecha es anterior al primer precio conocido del material.
+ */
+exports.getPrecioEnFecha = async (req, res) => {
+  try {
+    const { fecha } = req.query;
+    if (fecha && Number.isNaN(new Date(fecha).getTime())) {
+      return res.status(400).json({ message: 'La fecha no es válida. Use el formato YYYY-MM-DD.' });
+    }
+
+    const material = await Material.findOne({ _id: req.params.id, isDeleted: false });
+    if (!material) {
+      return res.status(404).json({ message: 'Material no encontrado' });
+    }
+
+    const precio = await obtenerPrecioEnFecha(material, fecha);
+    if (!precio) {
+      return res.status(404).json({ message: 'No hay un precio registrado para el material en esa fecha' });
+    }
+
+    return res.status(200).json({
+      material: { _id: material._id, nombre: material.nombre, unidad: material.unidad },
+      ...precio,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Identificador de material inválido', error: error.message });
+    }
+    console.error('❌ Error al obtener el precio del material en la fecha:', error);
+    return res.status(500).json({
+      message: 'Error al obtener el precio del material',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Sugerencias de reabastecimiento por material y almacén.
+ *
+ * A partir de las salidas de los últimos `dias` días calcula el consumo
+ * diario promedio, los días de stock restantes, el punto de reorden y la
+ * cantidad sugerida a pedir para cubrir el tiempo de entrega del proveedor
+ * más `cobertura` días de consumo.
+ *
+ * Query (opcionales):
+ *  - dias: días de historial de consumo (1–365, por defecto 90).
+ *  - cobertura: días de consumo que debe cubrir el pedido (0–365, por defecto 30).
+ *  - almacen, material: limitan el reporte.
+ *  - soloPedidos=true: solo filas con cantidad sugerida.
+ */
+exports.getReabastecimiento = async (req, res) => {
+  try {
+    const { almacen, material } = req.query;
+    const dias = req.query.dias !== undefined ? Number(req.query.dias) : 90;
+    const diasCobertura = req.query.cobertura !== undefined ? Number(req.query.cobertura) : 30;
+
+    if (!Number.isInteger(dias) || dias < 1 || dias > 365) {
+      return res.status(400).json({ message: 'El parámetro "dias" debe ser un entero entre 1 y 365.' });
+    }
+    if (!Number.isInteger(diasCobertura) || diasCobertura < 0 || diasCobertura > 365) {
+      return res.status(400).json({ message: 'El parámetro "cobertura" debe ser un entero entre 0 y 365.' });
+    }
+
+    // Migra los saldos legados antes de leer stock_almacenes
+    const materiales = await Material.find(material ? { _id: material, isDeleted: false } : { isDeleted: false });
+    for (const mat of materiales) {
+      await asegurarSaldoInicial(mat);
+    }
+
+    const filas = await generarReporteReabastecimiento({
+      dias,
+      diasCobertura,
+      almacen,
+      material,
+      soloPedidos: req.query.soloPedidos === 'true',
+    });
+
+    return res.status(200).json({
+      parametros: { dias, cobertura: diasCobertura },
+      resumen: {
+        criticos: filas.filter((f) => f.estado === 'critico').length,
+        porReordenar: filas.filter((f) => f.estado === 'reordenar').length,
+        costoEstimado: filas.reduce((acc, f) => acc + f.costoEstimado, 0),
+      },
+      items: filas,
+    });
+  } catch (error) {
+    if (error.name === 'CastError' || error.name === 'BSONError') {
+      return res.status(400).json({ message: 'Identificador inválido', error: error.message });
+    }
+    console.error('❌ Error al calcular el reabastecimiento:', error);
+    return res.status(500).json({
+      message: 'Error al calcular las sugerencias de reabastecimiento',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Importar materiales desde un archivo CSV o XLSX.
+ *
+ * - Campo de archivo: "archivo" (multipart/form-data).
+ * - Columnas: nombre, categoria, unidad, precio, stock minimo, almacen
+ *   (nombre o id) y cantidad inicial (opcional).
+ * - Sin confirmar=true responde el análisis (dry-run): estado de cada fila
+ *   (valida / error / duplicado) y un resumen; no escribe nada.
+ * - Con confirmar=true crea los materiales de las filas válidas y, para las
+ *   que traen cantidad, una entrada de saldo inicial al precio de la fila.
+ *   Las filas con errores o duplicadas se omiten.
+ */
+exports.importarMateriales = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Adjunte un archivo .csv o .xlsx en el campo "archivo".' });
+    }
+
+    const hoja = await leerHojaCalculo(req.file.buffer, req.file.originalname);
+    const analisis = await analizarImportacionMateriales(hoja);
+    const confirmar = req.body.confirmar === true || req.body.confirmar === 'true';
+
+    // 🔎 Dry-run: solo el reporte de validación
+    if (!confirmar) {
+      return res.status(200).json({
+        modo: 'simulacion',
+        archivo: req.file.originalname,
+        resumen: analisis.resumen,
+        filas: analisis.filas,
+      });
+    }
+
+    if (analisis.resumen.validas === 0) {
+      return res.status(400).json({
+        message: 'El archivo no tiene filas válidas para importar.',
+        resumen: analisis.resumen,
+        filas: analisis.filas,
+      });
+    }
+
+    // 📥 Importación: fila por fila, para que un fallo no detenga el resto
+    const usuario = obtenerUsuarioHistorial(req);
+    let creados = 0;
+    let entradas = 0;
+    for (const fila of analisis.filas) {
+      if (fila.estado !== 'valida') continue;
+      try {
+        const { material, movimiento } = await crearMaterialImportado(fila.datos, {
+          usuario,
+          archivo: req.file.originalname,
+        });
+        fila.estado = 'creado';
+        fila.material = material._id;
+        fila.movimiento = movimiento ? movimiento._id : null;
+        creados += 1;
+        if (movimiento) entradas += 1;
+      } catch (filaError) {
+        console.error(`❌ Error al importar la fila ${fila.fila}:`, filaError);
+        fila.estado = 'error';
+        fila.errores = [filaError.message || 'No se pudo crear el material.'];
+      }
+    }
+
+    const resumen = {
+      ...analisis.resumen,
+      creados,
+      entradasIniciales: entradas,
+      fallidos: analisis.resumen.validas - creados,
+    };
+
+    try {
+      await AuditLog.create({
+        user: req.user ? req.user.id : undefined,
+        action: 'IMPORTAR_MATERIALES',
+        resource: 'Material',
+        details: { archivo: req.file.originalname, ...resumen },
+      });
+    } catch (auditError) {
+      console.error('❌ Error al registrar auditoría de importación de materiales:', auditError);
+    }
+
+    return res.status(201).json({
+      message: `Se importaron ${creados} de ${analisis.resumen.total} materiales.`,
+      modo: 'importacion',
+      archivo: req.file.originalname,
+      resumen,
+      filas: analisis.filas,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('❌ Error al importar materiales:', error);
+    return res.status(500).json({
+      message: 'Error al importar los materiales',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Eliminar un material (eliminación lógica).
  *
@@ -0,0 +1,272 @@
+// File: BackEnd/src/modules/inventory/controllers/unidadMedida.controlador.js
+// Description: Controlador del catálogo de unidades de medida de ProCivil
+//              Manager (PCM). Lista las unidades vigentes (creando el catálogo
+//              base la primera vez) y permite al administrador registrar,
+//              editar y eliminar lógicamente unidades. Las conversiones entre
+//              unidades se resuelven en unidadMedida.servicio.
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const UnidadMedida = require('../models/unidadMedida.modelo');                 // Modelo del catálogo de unidades
+const AuditLog = require('../../audit/models/auditoria.modelo');              // Modelo de auditoría
+const {
+  normalizarUnidad,
+  asegurarCatalogoUnidades,
+} = require('../services/unidadMedida.servicio');                            // Normalización y catálogo base
+
+/* ==============================
+ * Helpers internos
+ * ============================== */
+
+/**
+ * Crea un error de negocio con código HTTP asociado.
+ *
+ * @param {string} message Mensaje legible para el usuario.
+ * @param {number} [statusCode=400] Código HTTP sugerido.
+ * @returns {Error} Error con la propiedad statusCode.
+ */
+function crearErrorNegocio(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Normaliza la lista de alias recibida (texto separado por comas o arreglo),
+ * sin repetidos ni el propio código.
+ *
+ * @param {Array|string} alias Alias enviados por el cliente.
+ * @param {string} codigo Código normalizado de la unidad.
+ * @returns {string[]}
+ */
+function normalizarAlias(alias, codigo) {
+  const lista = Array.isArray(alias) ? alias : String(alias || '').split(',');
+  const vistos = new Set([codigo]);
+  const resultado = [];
+  for (const item of lista) {
+    const clave = normalizarUnidad(item);
+    if (!clave || vistos.has(clave)) continue;
+    vistos.add(clave);
+    resultado.push(clave);
+  }
+  return resultado;
+}
+
+/**
+ * Verifica que ni el código ni los alias choquen con otra unidad vigente
+ * (por código o por alias), para que cada texto resuelva a una sola unidad.
+ *
+ * @param {string[]} claves Código y alias normalizados.
+ * @param {string|null} [excluirId] Unidad que se está editando.
+ */
+async function validarClavesUnicas(claves, excluirId = null) {
+  const filtro = {
+    isDeleted: false,
+    $or: [{ codigo: { $in: claves } }, { alias: { $in: claves } }],
+  };
+  if (excluirId) filtro._id = { $ne: excluirId };
+  const existente = await UnidadMedida.findOne(filtro).lean();
+  if (existente) {
+    throw crearErrorNegocio(
+      `Ya existe la unidad "${existente.codigo}" (${existente.nombre}) con ese código o alias.`,
+      409
+    );
+  }
+}
+
+/**
+ * Registra una acción sobre el catálogo de unidades en la auditoría.
+ * Un error aquí no debe romper la respuesta principal.
+ */
+async function registrarAuditoriaUnidad(req, action, unidad, details = {}) {
+  try {
+    await AuditLog.create({
+      user: req.user ? req.user.id : undefined,
+      action,
+      resource: 'UnidadMedida',
+      details: {
+        unidad: unidad._id.toString(),
+        codigo: unidad.codigo,
+        magnitud: unidad.magnitud,
+        factorBase: unidad.factorBase,
+        ...details,
+      },
+    });
+  } catch (auditError) {
+    console.error('❌ Error al registrar auditoría de unidad de medida:', auditError);
+  }
+}
+
+/* ==============================
+ * Listar unidades de medida
+ * ============================== */
+// Devuelve las unidades vigentes ordenadas por magnitud y factor.
+// Filtro opcional: ?magnitud=masa
+exports.getUnidades = async (req, res) => {
+  try {
+    await asegurarCatalogoUnidades();
+
+    const filter = { isDeleted: false };
+    if (req.query.magnitud) filter.magnitud = req.query.magnitud;
+
+    const unidades = await UnidadMedida.find(filter).sort({ magnitud: 1, factorBase: 1 }).lean();
+    res.status(200).json(unidades);
+  } catch (error) {
+    console.error('❌ Error al obtener las unidades de medida:', error);
+    res.status(500).json({
+      message: 'Error al obtener las unidades de medida',
+      error: error.message,
+    });
+  }
+};
+
+/* ==============================
+ * Crear unidad de medida
+ * ============================== */
+// Registra una unidad nueva indicando su magnitud y cuántas unidades base
+// equivale (kg, m3, m, m2 o und según la magnitud).
+exports.createUnidad = async (req, res) => {
+  try {
+    const { codigo, nombre, magnitud, factorBase, alias } = req.body;
+
+    const codigoNormalizado = normalizarUnidad(codigo);
+    if (!codigoNormalizado || !nombre || !magnitud || factorBase === undefined || factorBase === '') {
+      return res.status(400).json({
+        message: 'Los campos "codigo", "nombre", "magnitud" y "factorBase" son obligatorios.',
+      });
+    }
+
+    const aliasNormalizados = normalizarAlias(alias, codigoNormalizado);
+    await validarClavesUnicas([codigoNormalizado, ...aliasNormalizados]);
+
+    const unidad = await UnidadMedida.create({
+      codigo: codigoNormalizado,
+      nombre: String(nombre).trim(),
+      magnitud,
+      factorBase: Number(factorBase),
+      alias: aliasNormalizados,
+    });
+
+    await registrarAuditoriaUnidad(req, 'CREATE_UNIDAD_MEDIDA', unidad);
+
+    res.status(201).json({
+      message: 'Unidad de medida creada exitosamente',
+      data: unidad,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Datos inválidos para crear la unidad de medida',
+        error: error.message,
+      });
+    }
+
+    console.error('❌ Error al crear la unidad de medida:', error);
+    res.status(500).json({
+      message: 'Error al crear la unidad de medida',
+      error: error.message,
+    });
+  }
+};
+
+/* ==============================
+ * Actualizar unidad de medida
+ * ============================== */
+// Actualiza nombre, factor o alias. El código y la magnitud no cambian:
+// los movimientos ya registrados guardan la unidad por su código.
+exports.updateUnidad = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const unidad = await UnidadMedida.findOne({ _id: id, isDeleted: false });
+    if (!unidad) {
+      return res.status(404).json({ message: 'Unidad de medida no encontrada' });
+    }
+
+    const { nombre, factorBase, alias } = req.body;
+
+    if (nombre !== undefined) unidad.nombre = String(nombre).trim();
+    if (factorBase !== undefined) unidad.factorBase = Number(factorBase);
+    if (alias !== undefined) {
+      unidad.alias = normalizarAlias(alias, unidad.codigo);
+      await validarClavesUnicas(unidad.alias, unidad._id);
+    }
+
+    await unidad.save();
+
+    await registrarAuditoriaUnidad(req, 'UPDATE_UNIDAD_MEDIDA', unidad, {
+      campos: Object.keys(req.body),
+    });
+
+    res.status(200).json({
+      message: 'Unidad de medida actualizada correctamente',
+      data: unidad,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Datos inválidos para actualizar la unidad de medida',
+        error: error.message,
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'ID de unidad de medida inválido',
+        error: error.message,
+      });
+    }
+
+    console.error('❌ Error al actualizar la unidad de medida:', error);
+    res.status(500).json({
+      message: 'Error al actualizar la unidad de medida',
+      error: error.message,
+    });
+  }
+};
+
+/* ==============================
+ * Eliminar unidad de medida (lógico)
+ * ============================== */
+// Marca la unidad como eliminada. Los movimientos que la usaron conservan
+// la unidad y la cantidad original como texto.
+exports.deleteUnidad = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const unidad = await UnidadMedida.findOne({ _id: id, isDeleted: false });
+    if (!unidad) {
+      return res.status(404).json({ message: 'Unidad de medida no encontrada' });
+    }
+
+    unidad.isDeleted = true;
+    await unidad.save();
+
+    await registrarAuditoriaUnidad(req, 'DELETE_UNIDAD_MEDIDA', unidad);
+
+    res.status(200).json({ message: 'Unidad de medida eliminada correctamente' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'ID de unidad de medida inválido',
+        error: error.message,
+      });
+    }
+
+    console.error('❌ Error al eliminar la unidad de medida:', error);
+    res.status(500).json({
+      message: 'Error al eliminar la unidad de medida',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,156 @@
+// File: BackEnd/src/modules/inventory/models/conteoInventario.modelo.js
+// Description: Modelo Mongoose para los conteos físicos de inventario (conteo
+//              cíclico) de ProCivil Manager (PCM). Un conteo se abre sobre un
+//              almacén y guarda una foto del stock esperado de cada material;
+//              los usuarios registran lo contado, se revisan las diferencias
+//              y las aprobadas se aplican como movimientos de ajuste enlazados
+//              al conteo.
+
+// ==============================
+// Importación de dependencias
+// ==============================
+const mongoose = require('mongoose'); // Importa Mongoose para definir el esquema y el modelo
+
+// ==============================
+// Subesquema: ítem del conteo
+// ==============================
+const ItemConteoSchema = new mongoose.Schema(
+  {
+    // Material contado
+    material: {
+      type: mongoose.Schema.Types.ObjectId, // Referencia al material
+      ref: 'Material',                      // Modelo referenciado
+      required: true,                       // Es obligatorio
+    },
+
+    // Saldo del almacén al abrir el conteo (foto del stock esperado)
+    cantidadEsperada: {
+      type: Number, // Valor numérico
+      required: true, // Es obligatorio
+      min: 0,       // No permite valores negativos
+    },
+
+    // Cantidad contada físicamente (null = aún sin contar)
+    cantidadContada: {
+      type: Number,  // Valor numérico
+      default: null, // Sin contar al abrir el conteo
+      min: 0,        // No permite valores negativos
+    },
+
+    // Diferencia contada - esperada (null mientras no se cuente)
+    diferencia: {
+      type: Number,  // Valor numérico (puede ser negativo)
+      default: null,
+    },
+
+    // Observación del contador (material dañado, ubicación, etc.)
+    observacion: {
+      type: String, // Texto libre
+      trim: true,   // Normaliza el texto
+      default: '',
+    },
+
+    // Usuario que registró el conteo del ítem (correo / id) y cuándo
+    contadoPor: { type: String, default: null },
+    fechaConteo: { type: Date, default: null },
+
+    // Diferencia aprobada en la revisión (solo las aprobadas se ajustan)
+    aprobado: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Movimiento de ajuste generado al aplicar el conteo
+    movimiento: {
+      type: mongoose.Schema.Types.ObjectId, // Referencia al movimiento
+      ref: 'MovimientoInventario',          // Modelo referenciado
+      default: null,                        // Sin ajuste (sin diferencia o no aprobado)
+    },
+  },
+  { _id: false }
+);
+
+// ==============================
+// Definición del esquema ConteoInventario
+// ==============================
+const ConteoInventarioSchema = new mongoose.Schema(
+  {
+    // Consecutivo legible del conteo (ej. "CF-2026-0001")
+    numero: {
+      type: String,   // Texto
+      required: true, // Campo requerido
+      trim: true,     // Normaliza el texto
+    },
+
+    // Almacén que se cuenta
+    almacen: {
+      type: mongoose.Schema.Types.ObjectId, // Referencia al almacén
+      ref: 'Almacen',                       // Modelo referenciado
+      required: true,                       // Es obligatorio
+      index: true,                          // Conteos de un almacén
+    },
+
+    // Categoría contada (conteo cíclico parcial). Vacío = todo el almacén
+    categoria: {
+      type: String, // Texto
+      trim: true,   // Normaliza el texto
+      default: '',
+    },
+
+    // Descripción del conteo (ej. "Conteo mensual de cementos")
+    descripcion: {
+      type: String, // Texto libre
+      trim: true,   // Normaliza el texto
+      default: '',
+    },
+
+    // Estado del conteo:
+    //  - abierto    : se están registrando cantidades contadas.
+    //  - en_revision: conteo cerrado, pendiente de aprobar diferencias.
+    //  - aplicado   : diferencias aprobadas registradas como ajustes.
+    //  - cancelado  : descartado sin tocar el inventario.
+    estado: {
+      type: String,
+      enum: ['abierto', 'en_revision', 'aplicado', 'cancelado'],
+      default: 'abierto',
+      index: true,
+    },
+
+    // Ítems del conteo
+    items: {
+      type: [ItemConteoSchema],
+      validate: [(items) => Array.isArray(items) && items.length > 0, 'El conteo debe tener al menos un material'],
+    },
+
+    // Trazabilidad de creación, aplicación y cancelación
+    creadoPor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    aplicadoPor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    fechaAplicacion: { type: Date, default: null },
+    canceladoPor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    fechaCancelacion: { type: Date, default: null },
+    motivoCancelacion: { type: String, trim: true },
+  },
+  {
+    timestamps: true,                 // Agrega createdAt y updatedAt automáticamente
+    collection: 'conteos_inventario', // Nombre explícito de la colección en MongoDB
+  }
+);
+
+// Consecutivo único del conteo
+ConteoInventarioSchema.index({ numero: 1 }, { unique: true });
+
+// Recalcula las diferencias antes de validar (al registrar cantidades)
+ConteoInventarioSchema.pre('validate', function calcularDiferencias(next) {
+  (this.items || []).forEach((item) => {
+    item.diferencia =
+      item.cantidadContada === null || item.cantidadContada === undefined
+        ? null
+        : (Number(item.cantidadContada) || 0) - (Number(item.cantidadEsperada) || 0);
+  });
+  next();
+});
+
+// ==============================
+// Exportación del modelo
+// ==============================
+module.exports = mongoose.model('ConteoInventario', ConteoInventarioSchema);
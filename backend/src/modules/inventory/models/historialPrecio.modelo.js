@@ -0,0 +1,89 @@
+// File: BackEnd/src/modules/inventory/models/historialPrecio.modelo.js
+// Description: Modelo Mongoose para el historial de precios de los materiales de
+//              ProCivil Manager (PCM). Cada documento registra el precio de un
+//              material a partir de una fecha: al crear el material, al editar su
+//              precio unitario o al recibir una entrada con costo de compra.
+//              Permite consultar el precio vigente en una fecha y graficar la
+//              tendencia de precios (acero, cemento, etc.).
+
+// Importa Mongoose para definir el esquema y el modelo.
+const mongoose = require('mongoose');                                          // Carga la librería Mongoose
+
+// Define la estructura (schema) que tendrán los documentos de la colección "historial_precios".
+const HistorialPrecioSchema = new mongoose.Schema(
+  {
+    // Material al que pertenece el precio.
+    material: {
+      type: mongoose.Schema.Types.ObjectId,                                    // Tipo ObjectId (referencia)
+      ref: 'Material',                                                         // Modelo referenciado
+      required: true,                                                          // Es obligatorio
+    },
+
+    // Precio unitario en COP vigente desde "fecha".
+    precio: {
+      type: Number,                                                            // Tipo de dato: numérico
+      required: true,                                                          // Es obligatorio
+      min: 0,                                                                  // No permite precios negativos
+    },
+
+    // Precio anterior (solo en ediciones), para ver el cambio de un vistazo.
+    precioAnterior: {
+      type: Number,                                                            // Tipo de dato: numérico
+      default: null,                                                           // Vacío si no aplica
+    },
+
+    // Fecha desde la que rige el precio.
+    fecha: {
+      type: Date,                                                              // Tipo de dato: fecha
+      default: Date.now,                                                       // Por defecto, el momento del registro
+    },
+
+    // Origen del registro.
+    //  - creacion: precio inicial del material.
+    //  - edicion : cambio de precioUnitario desde el catálogo.
+    //  - entrada : costo de compra informado en una entrada de inventario.
+    origen: {
+      type: String,                                                            // Tipo de dato: texto
+      enum: ['creacion', 'edicion', 'entrada'],                                // Orígenes soportados
+      required: true,                                                          // Es obligatorio
+    },
+
+    // Movimiento de inventario que originó el precio (solo origen "entrada").
+    movimiento: {
+      type: mongoose.Schema.Types.ObjectId,                                    // Tipo ObjectId (referencia)
+      ref: 'MovimientoInventario',                                             // Modelo referenciado
+      default: null,                                                           // Vacío si no aplica
+    },
+
+    // Almacén donde se recibió la entrada (solo origen "entrada").
+    almacen: {
+      type: mongoose.Schema.Types.ObjectId,                                    // Tipo ObjectId (referencia)
+      ref: 'Almacen',                                                          // Modelo referenciado
+      default: null,                                                           // Vacío si no aplica
+    },
+
+    // Proveedor de la compra (solo origen "entrada" enlazada a un proveedor).
+    proveedor: {
+      type: mongoose.Schema.Types.ObjectId,                                    // Tipo ObjectId (referencia)
+      ref: 'Proveedor',                                                        // Modelo referenciado
+      default: null,                                                           // Vacío si no aplica
+    },
+
+    // Usuario que originó el cambio (correo / id o 'sistema').
+    usuario: {
+      type: String,                                                            // Tipo de dato: texto
+      default: 'sistema',                                                      // Valor por defecto
+    },
+  },
+  {
+    // Opciones adicionales del schema.
+    timestamps: true,                                                          // Añade createdAt y updatedAt automáticamente
+    collection: 'historial_precios',                                           // Fuerza el nombre de la colección en MongoDB
+  }
+);
+
+// Índice principal: historial de un material ordenado por fecha (consulta "precio en una fecha").
+HistorialPrecioSchema.index({ material: 1, fecha: -1 });                       // Búsquedas por material y fecha
+
+// Crea y exporta el modelo "HistorialPrecio" basado en el schema definido.
+module.exports = mongoose.model('HistorialPrecio', HistorialPrecioSchema);     // Exporta el modelo en formato CommonJS
@@ -1,6 +1,6 @@
 // File: BackEnd/src/modules/inventory/models/inventario.modelo.js
 // Description: Modelo Mongoose para registrar los movimientos de inventario
-//              (entradas, salidas y ajustes) de materiales en los distintos
+//              (entradas, salidas, ajustes y traslados) de materiales en los distintos
 //              almacenes de ProCivil Manager (PCM). Permite llevar un historial
 //              de trazabilidad por material, almacén, proyecto, fecha y usuario.
 
@@ -14,10 +14,13 @@ const MovimientoInventarioSchema = new mongoose.Schema(
     //  - 'entrada': incremento de stock (compra, devolución, ajuste positivo, etc.).
     //  - 'salida' : decremento de stock (consumo en obra, pérdida, etc.).
     //  - 'ajuste' : ajuste directo al stock (conteo físico, correcciones, etc.).
+    //  - 'traslado': movimiento entre dos almacenes. Genera DOS registros
+    //               enlazados por "trasladoId" (tramo de salida en el origen
+    //               y tramo de entrada en el destino).
     // ------------------------------------------------------------
     tipo: {                                                  // Campo que almacena el tipo de movimiento
       type: String,                                          // Tipo de dato: cadena de texto
-      enum: ['entrada', 'salida', 'ajuste'],                 // Valores permitidos (incluye 'ajuste' usado en controladores)
+      enum: ['entrada', 'salida', 'ajuste', 'traslado'],     // Valores permitidos (incluye 'ajuste' usado en controladores)
       required: true,                                        // Obligatorio para todos los registros
       trim: true,                                            // Normaliza el valor recibido
     },
@@ -52,6 +55,22 @@ const MovimientoInventarioSchema = new mongoose.Schema(
       min: [0, 'La cantidad no puede ser negativa'],         // No se permiten cantidades negativas
     },
 
+    // ------------------------------------------------------------
+    // Unidad y cantidad tal como se informaron cuando no coinciden
+    // con la unidad del material (ej. 20 bultos → cantidad = 1000 kg).
+    // "cantidad" siempre queda en la unidad del material.
+    // ------------------------------------------------------------
+    unidadOriginal: {                                        // Unidad informada por el usuario
+      type: String,                                          // Texto (código o alias de la unidad)
+      trim: true,                                            // Limpia espacios sobrantes
+      default: null,                                         // Null si se usó la unidad del material
+    },
+    cantidadOriginal: {                                      // Cantidad en la unidad informada
+      type: Number,                                          // Tipo numérico
+      min: 0,                                                // No se permiten cantidades negativas
+      default: null,                                         // Null si se usó la unidad del material
+    },
+
     // ------------------------------------------------------------
     // Fecha efectiva del movimiento.
     // Por defecto, la fecha y hora actuales en el momento de crear el doc.
@@ -132,6 +151,180 @@ const MovimientoInventarioSchema = new mongoose.Schema(
       type: Number,                                          // Tipo numérico
       // Opcional: se llena solo cuando el controlador envía este dato
     },
+
+    // ------------------------------------------------------------
+    // Costo unitario (COP) al que se valoró el movimiento.
+    // Entradas: costo de compra informado (o el promedio vigente si no
+    // se informa). Salidas, ajustes y traslados: costo promedio ponderado
+    // del saldo del almacén en el momento del movimiento.
+    // ------------------------------------------------------------
+    costoUnitario: {                                         // Costo por unidad del movimiento
+      type: Number,                                          // Tipo numérico
+      default: null,                                         // Movimientos legados sin costo
+      min: [0, 'El costo unitario no puede ser negativo'],   // No se permiten costos negativos
+    },
+
+    // ------------------------------------------------------------
+    // Valor total del movimiento (cantidad × costoUnitario).
+    // ------------------------------------------------------------
+    costoTotal: {                                            // Valor del movimiento en COP
+      type: Number,                                          // Tipo numérico
+      default: null,                                         // Movimientos legados sin costo
+    },
+
+    // ------------------------------------------------------------
+    // Proveedor que suministró el material (solo entradas de compra).
+    // Permite consolidar el total comprado a cada proveedor.
+    // ------------------------------------------------------------
+    proveedor: {                                             // Referencia opcional al proveedor
+      type: mongoose.Schema.Types.ObjectId,                  // Identificador del proveedor
+      ref: 'Proveedor',                                      // Modelo de proveedores (suppliers/models/proveedor.modelo.js)
+      default: null,                                         // Vacío en movimientos que no son compras
+      index: true,                                           // Acelera los totales de compras por proveedor
+    },
+
+    // ------------------------------------------------------------
+    // Orden de compra cuya recepción generó la entrada (si aplica).
+    // ------------------------------------------------------------
+    ordenCompra: {                                           // Referencia opcional a la orden de compra
+      type: mongoose.Schema.Types.ObjectId,                  // Identificador de la orden
+      ref: 'OrdenCompra',                                    // Modelo de órdenes (purchases/models/ordenCompra.modelo.js)
+      default: null,                                         // Vacío en movimientos que no provienen de una orden
+    },
+
+    // ------------------------------------------------------------
+    // Conteo físico cuya aplicación generó el ajuste (si aplica).
+    // ------------------------------------------------------------
+    conteoInventario: {                                      // Referencia opcional al conteo físico
+      type: mongoose.Schema.Types.ObjectId,                  // Identificador del conteo
+      ref: 'ConteoInventario',                               // Modelo de conteos (inventory/models/conteoInventario.modelo.js)
+      default: null,                                         // Vacío en movimientos que no provienen de un conteo
+    },
+
+    // ------------------------------------------------------------
+    // Consumo de material en un proyecto (salida al registrar su uso):
+    // parte de la salida que se tomó de la reserva de la asignación.
+    // Si el consumo se anula, vuelve a quedar reservada para el proyecto.
+    // ------------------------------------------------------------
+    reservaConsumida: {                                      // Cantidad tomada de la reserva del proyecto
+      type: Number,                                          // Tipo numérico
+      min: 0,                                                // No se permiten cantidades negativas
+      default: null,                                         // Null en movimientos que no son consumos de proyecto
+    },
+
+    // ------------------------------------------------------------
+    // Lotes afectados (solo materiales con control de lotes).
+    // Entradas: lotes recibidos. Salidas: lotes consumidos (FEFO).
+    // Ajustes: lotes recortados cuando el saldo quedó por debajo.
+    // ------------------------------------------------------------
+    lotes: [                                                 // Detalle por lote del movimiento
+      {
+        _id: false,                                          // Subdocumentos sin id propio
+        lote: { type: String, trim: true },                  // Número de lote
+        fechaVencimiento: { type: Date, default: null },     // Vencimiento del lote
+        cantidad: { type: Number, min: 0 },                  // Cantidad del lote en el movimiento
+      },
+    ],
+
+    // ------------------------------------------------------------
+    // Identificador compartido por los dos tramos de un traslado
+    // (salida en el almacén de origen + entrada en el de destino).
+    // Solo se llena cuando tipo = 'traslado'.
+    // ------------------------------------------------------------
+    trasladoId: {                                            // Id común del traslado
+      type: String,                                          // Tipo texto (UUID)
+      default: null,                                         // Vacío para movimientos que no son traslados
+      index: true,                                           // Permite buscar rápidamente ambos tramos
+    },
+
+    // ------------------------------------------------------------
+    // Tramo del traslado que representa este registro:
+    //  - 'salida' : descuenta del almacén de origen.
+    //  - 'entrada': suma en el almacén de destino.
+    // ------------------------------------------------------------
+    sentidoTraslado: {                                       // Tramo del traslado
+      type: String,                                          // Tipo texto
+      enum: ['salida', 'entrada', null],                     // Valores permitidos
+      default: null,                                         // Solo aplica a traslados
+    },
+
+    // ------------------------------------------------------------
+    // Almacenes de origen y destino del traslado (se guardan en
+    // ambos tramos para facilitar consultas y reportes).
+    // ------------------------------------------------------------
+    almacenOrigen: {                                         // Almacén que despacha el material
+      type: mongoose.Schema.Types.ObjectId,                  // Identificador de documento para almacenes
+      ref: 'Almacen',                                        // Modelo de almacenes
+      default: null,                                         // Solo aplica a traslados
+    },
+    almacenDestino: {                                        // Almacén que recibe el material
+      type: mongoose.Schema.Types.ObjectId,                  // Identificador de documento para almacenes
+      ref: 'Almacen',                                        // Modelo de almacenes
+      default: null,                                         // Solo aplica a traslados
+    },
+
+    // ------------------------------------------------------------
+    // Estado del traslado:
+    //  - 'en_transito': el material ya salió del origen pero el
+    //                   almacén de destino no ha confirmado recepción.
+    //  - 'recibido'   : el destino confirmó y el stock ya se sumó.
+    //  - 'anulado'    : el traslado se anuló (ver campos de anulación).
+    // ------------------------------------------------------------
+    estadoTraslado: {                                        // Estado logístico del traslado
+      type: String,                                          // Tipo texto
+      enum: ['en_transito', 'recibido', 'anulado', null],    // Valores permitidos
+      default: null,                                         // Solo aplica a traslados
+    },
+
+    // ------------------------------------------------------------
+    // Datos de la confirmación de recepción en el almacén de destino.
+    // ------------------------------------------------------------
+    fechaRecepcion: {                                        // Fecha en que se confirmó la recepción
+      type: Date,                                            // Tipo Date
+      default: null,                                         // Vacío mientras está en tránsito
+    },
+    recibidoPor: {                                           // Usuario que confirmó la recepción
+      type: String,                                          // Tipo texto (correo / id), igual que "usuario"
+      trim: true,                                            // Normaliza el valor almacenado
+      default: null,                                         // Vacío mientras está en tránsito
+    },
+
+    // ------------------------------------------------------------
+    // Anulación de movimientos.
+    // El kardex no se edita ni se borra: para corregir un registro se
+    // crea un movimiento compensatorio que apunta al original y el
+    // original queda marcado como anulado (con su stock intacto).
+    // ------------------------------------------------------------
+    anulado: {                                               // Indica si el movimiento fue anulado
+      type: Boolean,                                         // Tipo booleano
+      default: false,                                        // Por defecto, vigente
+      index: true,                                           // Facilita filtrar movimientos vigentes
+    },
+    fechaAnulacion: {                                        // Fecha en que se anuló el movimiento
+      type: Date,                                            // Tipo Date
+      default: null,                                         // Vacío mientras esté vigente
+    },
+    anuladoPor: {                                            // Usuario que anuló el movimiento
+      type: String,                                          // Tipo texto (correo / id), igual que "usuario"
+      trim: true,                                            // Normaliza el valor almacenado
+      default: null,                                         // Vacío mientras esté vigente
+    },
+    motivoAnulacion: {                                       // Motivo de la anulación
+      type: String,                                          // Tipo texto
+      trim: true,                                            // Normaliza el valor almacenado
+      default: null,                                         // Vacío mientras esté vigente
+    },
+    movimientoCompensatorio: {                               // Movimiento que revirtió el stock de este registro
+      type: mongoose.Schema.Types.ObjectId,                  // Identificador del movimiento compensatorio
+      ref: 'MovimientoInventario',                           // Auto-referencia al mismo modelo
+      default: null,                                         // Null si no hubo stock que revertir
+    },
+    movimientoAnulado: {                                     // En un compensatorio: movimiento original que anula
+      type: mongoose.Schema.Types.ObjectId,                  // Identificador del movimiento original
+      ref: 'MovimientoInventario',                           // Auto-referencia al mismo modelo
+      default: null,                                         // Null en movimientos normales
+      index: true,                                           // Permite ubicar la compensación de un registro
+    },
   },
   {
     timestamps: true,                                        // Agrega automáticamente createdAt y updatedAt
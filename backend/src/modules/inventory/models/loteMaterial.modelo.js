@@ -0,0 +1,80 @@
+// File: BackEnd/src/modules/inventory/models/loteMaterial.modelo.js
+// Description: Modelo Mongoose para los lotes de materiales perecederos
+//              (cemento, adhesivos, pinturas, aditivos) de ProCivil Manager
+//              (PCM). Cada documento es el saldo de un lote de un material en
+//              un almacén, con su fecha de vencimiento. Las entradas crean o
+//              incrementan lotes y las salidas los consumen en orden FEFO
+//              (primero en vencer, primero en salir).
+
+// ==============================
+// Importación de dependencias
+// ==============================
+const mongoose = require('mongoose'); // Importa Mongoose para definir el esquema y el modelo
+
+// ==============================
+// Definición del esquema LoteMaterial
+// ==============================
+const LoteMaterialSchema = new mongoose.Schema(
+  {
+    // Material del lote
+    material: {
+      type: mongoose.Schema.Types.ObjectId, // Referencia al material
+      ref: 'Material',                      // Modelo referenciado
+      required: true,                       // Es obligatorio
+    },
+
+    // Almacén donde está el lote
+    almacen: {
+      type: mongoose.Schema.Types.ObjectId, // Referencia al almacén
+      ref: 'Almacen',                       // Modelo referenciado
+      required: true,                       // Es obligatorio
+    },
+
+    // Número de lote del fabricante
+    lote: {
+      type: String,   // Texto
+      required: true, // Campo requerido
+      trim: true,     // Normaliza el texto
+    },
+
+    // Fecha de vencimiento (null = el lote no vence)
+    fechaVencimiento: {
+      type: Date,
+      default: null,
+    },
+
+    // Cantidad que queda del lote en el almacén
+    cantidad: {
+      type: Number, // Valor numérico
+      default: 0,   // Sin existencias
+      min: 0,       // No permite valores negativos
+    },
+
+    // Cantidad total que ha ingresado del lote (entradas acumuladas)
+    cantidadIngresada: {
+      type: Number, // Valor numérico
+      default: 0,
+      min: 0,
+    },
+
+    // Momento en que se avisó del vencimiento (null = aún sin alerta)
+    alertaVencimiento: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,              // Agrega createdAt y updatedAt automáticamente
+    collection: 'lotes_material',  // Nombre explícito de la colección en MongoDB
+  }
+);
+
+// Un lote es único por material y almacén (las entradas del mismo lote lo incrementan)
+LoteMaterialSchema.index({ material: 1, almacen: 1, lote: 1 }, { unique: true });
+// Lotes con existencias ordenados por vencimiento (consumo FEFO y alertas)
+LoteMaterialSchema.index({ fechaVencimiento: 1, cantidad: 1 });
+
+// ==============================
+// Exportación del modelo
+// ==============================
+module.exports = mongoose.model('LoteMaterial', LoteMaterialSchema);
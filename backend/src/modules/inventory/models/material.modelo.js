@@ -29,6 +29,18 @@ const MaterialSchema = new mongoose.Schema(
       trim: true,                                                              // Limpia espacios sobrantes
     },
 
+    // Equivalencias propias del material con otras unidades, expresadas en su
+    // unidad: 1 <unidad> = factor × unidad del material (ej. cemento en kg:
+    // { unidad: 'bulto', factor: 50 }, { unidad: 'm3 concreto', factor: 350 }).
+    // Las conversiones genéricas (kg ↔ t, m³ ↔ l) salen del catálogo de unidades.
+    conversiones: [
+      {
+        _id: false,                                                            // Subdocumentos sin id propio
+        unidad: { type: String, trim: true, required: true },                 // Unidad alterna (compra, consumo, presupuesto)
+        factor: { type: Number, required: true, min: [0.000001, 'El factor debe ser mayor que 0'] }, // Cantidad en la unidad del material
+      },
+    ],
+
     // Precio unitario del material en COP.
     precioUnitario: {
       type: Number,                                                            // Tipo de dato: numérico
@@ -36,6 +48,15 @@ const MaterialSchema = new mongoose.Schema(
       min: 0,                                                                  // No permite valores negativos
     },
 
+    // Costo promedio ponderado consolidado (todos los almacenes) en COP.
+    // Lo mantiene el servicio de saldos a partir de los costos de las entradas;
+    // a diferencia de precioUnitario (precio de referencia editable), refleja lo pagado.
+    costoPromedio: {
+      type: Number,                                                            // Tipo de dato: numérico
+      default: null,                                                           // Sin valorar hasta la primera entrada
+      min: 0,                                                                  // No permite valores negativos
+    },
+
     // Cantidad disponible del material en inventario.
     cantidad: {
       type: Number,                                                            // Tipo de dato: numérico
@@ -50,6 +71,22 @@ const MaterialSchema = new mongoose.Schema(
       min: 0,                                                                  // No permite valores negativos
     },
 
+    // Control de lotes y vencimientos (cemento, adhesivos, pinturas, aditivos).
+    // Si está activo, las entradas exigen lote y fecha de vencimiento y las
+    // salidas consumen los lotes en orden FEFO (ver loteMaterial.servicio).
+    controlLotes: {
+      type: Boolean,                                                           // Tipo de dato: booleano
+      default: false,                                                          // Por defecto, sin control de lotes
+    },
+
+    // Días de anticipación con que se avisa el vencimiento de un lote.
+    diasAvisoVencimiento: {
+      type: Number,                                                            // Tipo de dato: numérico
+      default: 30,                                                             // Aviso un mes antes
+      min: 0,                                                                  // No permite valores negativos
+      max: 365,                                                                // Como máximo, un año
+    },
+
     // Referencia al almacén donde se encuentra el material.
     // Permite relacionar este material con un documento de la colección "almacenes".
     almacen: {
@@ -0,0 +1,70 @@
+// File: BackEnd/src/modules/inventory/models/stockAlmacen.modelo.js
+// Description: Modelo Mongoose para los saldos de inventario por almacén de ProCivil Manager (PCM).
+//              Cada documento representa el saldo de un material dentro de un almacén
+//              específico (material × almacén). El campo Material.cantidad se mantiene
+//              como el total consolidado (suma de los saldos de todos los almacenes).
+
+// Importa Mongoose para definir el esquema y el modelo.
+const mongoose = require('mongoose');                                          // Carga la librería Mongoose
+
+// Define la estructura (schema) que tendrán los documentos de la colección "stock_almacenes".
+const StockAlmacenSchema = new mongoose.Schema(
+  {
+    // Material al que pertenece este saldo.
+    material: {
+      type: mongoose.Schema.Types.ObjectId,                                    // Tipo ObjectId (referencia)
+      ref: 'Material',                                                         // Modelo referenciado
+      required: true,                                                          // Es obligatorio
+    },
+
+    // Almacén en el que se encuentra físicamente el saldo.
+    almacen: {
+      type: mongoose.Schema.Types.ObjectId,                                    // Tipo ObjectId (referencia)
+      ref: 'Almacen',                                                          // Modelo referenciado
+      required: true,                                                          // Es obligatorio
+    },
+
+    // Cantidad disponible del material en este almacén.
+    cantidad: {
+      type: Number,                                                            // Tipo de dato: numérico
+      default: 0,                                                              // Por defecto, 0 unidades
+      min: 0,                                                                  // No permite saldos negativos
+    },
+
+    // Cantidad comprometida con proyectos (reservas vigentes).
+    // Sigue físicamente en el almacén, pero no está disponible para otras salidas:
+    // disponible = cantidad - reservado.
+    reservado: {
+      type: Number,                                                            // Tipo de dato: numérico
+      default: 0,                                                              // Sin reservas por defecto
+      min: 0,                                                                  // No permite reservas negativas
+    },
+
+    // Stock mínimo específico para este almacén (opcional).
+    // Si es null, se usa el stockMinimo general del material.
+    stockMinimo: {
+      type: Number,                                                            // Tipo de dato: numérico
+      default: null,                                                           // Sin mínimo propio por defecto
+      min: 0,                                                                  // No permite valores negativos
+    },
+
+    // Costo promedio ponderado de las unidades de este saldo.
+    // Se recalcula en cada entrada: (cantidad × costo actual + entrada × costo entrada) / nueva cantidad.
+    costoPromedio: {
+      type: Number,                                                            // Tipo de dato: numérico
+      default: null,                                                           // Sin costo hasta la primera valoración
+      min: 0,                                                                  // No permite costos negativos
+    },
+  },
+  {
+    // Opciones adicionales del schema.
+    timestamps: true,                                                          // Añade createdAt y updatedAt automáticamente
+    collection: 'stock_almacenes',                                             // Fuerza el nombre de la colección en MongoDB
+  }
+);
+
+// Índice único: solo puede existir un saldo por combinación material + almacén.
+StockAlmacenSchema.index({ material: 1, almacen: 1 }, { unique: true });      // Evita saldos duplicados
+
+// Crea y exporta el modelo "StockAlmacen" basado en el schema definido.
+module.exports = mongoose.model('StockAlmacen', StockAlmacenSchema);           // Exporta el modelo en formato CommonJS
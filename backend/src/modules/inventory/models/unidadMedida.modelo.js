@@ -0,0 +1,73 @@
+// File: BackEnd/src/modules/inventory/models/unidadMedida.modelo.js
+// Description: Modelo Mongoose del catálogo de unidades de medida de
+//              ProCivil Manager (PCM). Cada unidad pertenece a una magnitud
+//              (masa, volumen, longitud, área o conteo) y declara cuántas
+//              unidades base de esa magnitud equivale (kg, m³, m, m², und),
+//              de modo que cualquier par de unidades de la misma magnitud se
+//              pueda convertir. Las equivalencias propias de un material
+//              (1 bulto = 50 kg de cemento) viven en Material.conversiones.
+
+// ==============================
+// Importación de dependencias
+// ==============================
+const mongoose = require('mongoose'); // Importa Mongoose para definir el esquema y el modelo
+
+// ==============================
+// Definición del esquema UnidadMedida
+// ==============================
+const UnidadMedidaSchema = new mongoose.Schema(
+  {
+    // Código normalizado de la unidad (ej. "kg", "m3", "bulto")
+    codigo: {
+      type: String,    // Texto
+      required: true,  // Campo requerido
+      trim: true,      // Normaliza el texto
+      lowercase: true, // Se compara sin distinguir mayúsculas
+    },
+
+    // Nombre legible (ej. "Kilogramo", "Metro cúbico")
+    nombre: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Magnitud física de la unidad (unidad base: kg, m3, m, m2, und)
+    magnitud: {
+      type: String,
+      enum: ['masa', 'volumen', 'longitud', 'area', 'conteo'],
+      required: true,
+    },
+
+    // Unidades base de la magnitud que equivale una unidad (kg = 1, t = 1000, g = 0.001)
+    factorBase: {
+      type: Number,
+      required: true,
+      min: [0.000001, 'El factor debe ser mayor que 0'],
+    },
+
+    // Otras formas de escribir la unidad (ej. "kilogramo", "kilos", "kgs")
+    alias: {
+      type: [String],
+      default: [],
+    },
+
+    // Eliminación lógica
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,               // Agrega createdAt y updatedAt automáticamente
+    collection: 'unidades_medida',  // Nombre explícito de la colección en MongoDB
+  }
+);
+
+// El código es único entre las unidades vigentes
+UnidadMedidaSchema.index({ codigo: 1 }, { unique: true, partialFilterExpression: { isDeleted: false } });
+
+// ==============================
+// Exportación del modelo
+// ==============================
+module.exports = mongoose.model('UnidadMedida', UnidadMedidaSchema);
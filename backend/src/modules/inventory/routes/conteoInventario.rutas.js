@@ -0,0 +1,119 @@
+// File: BackEnd/src/modules/inventory/routes/conteoInventario.rutas.js
+// Description: Rutas HTTP para los conteos físicos de inventario (conteo
+//              cíclico) de ProCivil Manager (PCM). Admin y líder de obra abren
+//              conteos y registran cantidades; solo el administrador aplica o
+//              cancela un conteo. El auditor puede consultarlos.
+
+const express = require('express');                            // Importa Express para crear el router
+const router = express.Router();                               // Crea una instancia de router de Express
+
+// Importa el controlador de conteos de inventario
+const conteoController = require('../controllers/conteoInventario.controlador');
+
+// Middlewares de seguridad
+const authMiddleware = require('../../../core/middlewares/autenticacion.middleware');  // Middleware para validar JWT y poblar req.user
+const authorizeRoles = require('../../../core/middlewares/autorizarRoles.middleware'); // Middleware para restringir acceso por rol
+
+// -----------------------------------------------------------------------------
+// Rutas de Conteos de Inventario
+// -----------------------------------------------------------------------------
+
+/**
+ * @route   POST /api/conteos-inventario
+ * @desc    Abrir un conteo físico sobre un almacén (foto del stock esperado),
+ *          opcionalmente limitado a una categoría o a ciertos materiales.
+ * @access  Privado (ADMIN, LÍDER DE OBRA)
+ */
+router.post(
+  '/',
+  authMiddleware,                                      // Verifica que el usuario esté autenticado
+  authorizeRoles(['admin', 'lider de obra']),          // Roles que abren conteos
+  conteoController.createConteo                        // Controlador que abre el conteo
+);
+
+/**
+ * @route   GET /api/conteos-inventario
+ * @desc    Listar conteos con filtros opcionales por estado y almacén.
+ * @access  Privado (ADMIN, LÍDER DE OBRA, AUDITOR)
+ */
+router.get(
+  '/',
+  authMiddleware,                                      // Requiere usuario autenticado
+  authorizeRoles(['admin', 'lider de obra', 'auditor']), // Roles que consultan conteos
+  conteoController.getConteos                          // Controlador que retorna el listado
+);
+
+/**
+ * @route   GET /api/conteos-inventario/:id
+ * @desc    Obtener el detalle de un conteo con el saldo actual de cada material.
+ * @access  Privado (ADMIN, LÍDER DE OBRA, AUDITOR)
+ */
+router.get(
+  '/:id',
+  authMiddleware,                                      // Requiere usuario autenticado
+  authorizeRoles(['admin', 'lider de obra', 'auditor']), // Roles que consultan conteos
+  conteoController.getConteoById                       // Controlador que retorna el conteo
+);
+
+/**
+ * @route   PATCH /api/conteos-inventario/:id/items
+ * @desc    Registrar cantidades contadas en un conteo abierto.
+ * @access  Privado (ADMIN, LÍDER DE OBRA)
+ */
+router.patch(
+  '/:id/items',
+  authMiddleware,                                      // Verifica autenticación
+  authorizeRoles(['admin', 'lider de obra']),          // Roles que cuentan
+  conteoController.registrarCantidades                 // Controlador que registra lo contado
+);
+
+/**
+ * @route   POST /api/conteos-inventario/:id/revision
+ * @desc    Cerrar el registro de cantidades y pasar el conteo a revisión.
+ * @access  Privado (ADMIN, LÍDER DE OBRA)
+ */
+router.post(
+  '/:id/revision',
+  authMiddleware,                                      // Verifica autenticación
+  authorizeRoles(['admin', 'lider de obra']),          // Roles que cierran el conteo
+  conteoController.enviarARevision                     // Controlador que envía a revisión
+);
+
+/**
+ * @route   POST /api/conteos-inventario/:id/reabrir
+ * @desc    Reabrir un conteo en revisión para corregir cantidades.
+ * @access  Privado (solo ADMIN)
+ */
+router.post(
+  '/:id/reabrir',
+  authMiddleware,                                      // Verifica autenticación
+  authorizeRoles(['admin']),                           // Solo administradores revisan
+  conteoController.reabrirConteo                       // Controlador que reabre el conteo
+);
+
+/**
+ * @route   POST /api/conteos-inventario/:id/aplicar
+ * @desc    Aplicar las diferencias aprobadas como movimientos de ajuste.
+ * @access  Privado (solo ADMIN)
+ */
+router.post(
+  '/:id/aplicar',
+  authMiddleware,                                      // Verifica autenticación
+  authorizeRoles(['admin']),                           // Solo administradores ajustan el inventario
+  conteoController.aplicarConteo                       // Controlador que aplica el conteo
+);
+
+/**
+ * @route   POST /api/conteos-inventario/:id/cancelar
+ * @desc    Cancelar un conteo abierto o en revisión (indicando el motivo).
+ * @access  Privado (solo ADMIN)
+ */
+router.post(
+  '/:id/cancelar',
+  authMiddleware,                                      // Verifica autenticación
+  authorizeRoles(['admin']),                           // Solo administradores cancelan
+  conteoController.cancelarConteo                      // Controlador que cancela el conteo
+);
+
+// Exporta el router para ser montado en server.js bajo /api/conteos-inventario
+module.exports = router;
@@ -0,0 +1,63 @@
+// File: BackEnd/src/modules/inventory/routes/etiqueta.rutas.js
+// Description: Rutas HTTP de etiquetas QR en ProCivil Manager (PCM).
+//              Permiten descargar hojas de etiquetas en PDF para materiales,
+//              ubicaciones (material × almacén) y almacenes, y resolver el
+//              código leído con escáner al registrar movimientos. Solo
+//              administradores y líderes de obra, que son quienes registran
+//              movimientos de inventario.
+
+const express = require('express');                            // Importa Express para crear el router
+const router = express.Router();                               // Crea una instancia de router de Express
+
+// Importa el controlador de etiquetas
+const etiquetaController = require('../controllers/etiqueta.controlador');
+
+// Middlewares de seguridad
+const authMiddleware = require('../../../core/middlewares/autenticacion.middleware');  // Middleware para validar JWT y poblar req.user
+const authorizeRoles = require('../../../core/middlewares/autorizarRoles.middleware'); // Middleware para restringir acceso por rol
+
+// -----------------------------------------------------------------------------
+// Rutas de etiquetas QR
+// -----------------------------------------------------------------------------
+
+/**
+ * @route   GET /api/etiquetas/materiales
+ * @desc    Descargar hoja PDF de etiquetas QR de materiales.
+ *          Query: almacen (etiquetas de ubicación), categoria, materiales (ids
+ *          separados por coma), copias (1 a 24).
+ * @access  Privado (ADMIN y LÍDER DE OBRA)
+ */
+router.get(
+  '/materiales',
+  authMiddleware,                                      // Requiere usuario autenticado
+  authorizeRoles(['admin', 'lider de obra']),          // Roles que gestionan inventario
+  etiquetaController.getEtiquetasMateriales            // Controlador que genera el PDF
+);
+
+/**
+ * @route   GET /api/etiquetas/almacenes
+ * @desc    Descargar hoja PDF de etiquetas QR de almacenes.
+ *          Query: almacenes (ids separados por coma), copias (1 a 24).
+ * @access  Privado (ADMIN y LÍDER DE OBRA)
+ */
+router.get(
+  '/almacenes',
+  authMiddleware,                                      // Requiere usuario autenticado
+  authorizeRoles(['admin', 'lider de obra']),          // Roles que gestionan inventario
+  etiquetaController.getEtiquetasAlmacenes             // Controlador que genera el PDF
+);
+
+/**
+ * @route   GET /api/etiquetas/resolver?codigo=PCM-MAT:...
+ * @desc    Resolver un código escaneado al material y/o almacén que identifica.
+ * @access  Privado (ADMIN y LÍDER DE OBRA)
+ */
+router.get(
+  '/resolver',
+  authMiddleware,                                      // Requiere usuario autenticado
+  authorizeRoles(['admin', 'lider de obra']),          // Roles que registran movimientos
+  etiquetaController.resolverEtiqueta                  // Controlador que interpreta el código
+);
+
+// Exporta el router para ser montado en server.js bajo /api/etiquetas
+module.exports = router;
@@ -1,6 +1,6 @@
 // File: BackEnd/src/modules/inventory/routes/inventario.rutas.js
 // Description: Rutas HTTP para gestionar los movimientos de inventario
-//              (entradas, salidas y ajustes) de materiales. Aplica
+//              (entradas, salidas, ajustes y traslados) de materiales. Aplica
 //              autenticación y control de roles para proteger las
 //              operaciones según el perfil del usuario (admin / líder).
 //              Se monta bajo el prefijo /api/movimientos en server.js.
@@ -11,6 +11,9 @@ const router = express.Router();                                         // Crea
 // Controlador que contiene la lógica de negocio de los movimientos de inventario
 const movimientoController = require('../controllers/inventario.controlador');
 
+// Controlador del kardex (tarjeta de control de existencias) por material
+const kardexController = require('../controllers/kardex.controlador');
+
 // Middlewares de seguridad: autenticación (JWT) y autorización por roles
 const authMiddleware = require('../../../core/middlewares/autenticacion.middleware');     // Middleware de autenticación (valida JWT y rellena req.user)
 const authorizeRoles = require('../../../core/middlewares/autorizarRoles.middleware');   // Middleware de autorización (filtra por roles permitidos)
@@ -24,9 +27,12 @@ const authorizeRoles = require('../../../core/middlewares/autorizarRoles.middlew
  * Por lo tanto, las rutas quedan:
  *   POST   /api/movimientos/
  *   GET    /api/movimientos/
+ *   POST   /api/movimientos/traslados
+ *   GET    /api/movimientos/traslados
+ *   PATCH  /api/movimientos/traslados/:trasladoId/confirmar
  *   GET    /api/movimientos/material/:materialId
- *   PUT    /api/movimientos/:id
- *   DELETE /api/movimientos/:id
+ *   GET    /api/movimientos/material/:materialId/kardex
+ *   POST   /api/movimientos/:id/anular
  */
 
 // 🟢 Crear movimiento: permitido para admin y líder de obra
@@ -44,6 +50,29 @@ router.get(
   movimientoController.getMovimientos                                     // Devuelve la lista completa de movimientos
 );
 
+// 🔁 Crear traslado entre almacenes: SOLO admin (el líder solo registra salidas)
+router.post(
+  '/traslados',                                                           // Ruta POST /api/movimientos/traslados
+  authMiddleware,                                                         // Exige usuario autenticado
+  authorizeRoles(['admin']),                                              // Solo administradores mueven stock entre almacenes
+  movimientoController.createTraslado                                     // Genera los dos tramos enlazados del traslado
+);
+
+// 🔁 Listar traslados (filtro opcional ?estado=en_transito|recibido): usuario autenticado
+router.get(
+  '/traslados',                                                           // Ruta GET /api/movimientos/traslados
+  authMiddleware,                                                         // Exige usuario autenticado
+  movimientoController.getTraslados                                       // Devuelve un registro por traslado
+);
+
+// ✅ Confirmar recepción de un traslado en tránsito: admin y líder de obra
+router.patch(
+  '/traslados/:trasladoId/confirmar',                                     // Ruta PATCH /api/movimientos/traslados/:trasladoId/confirmar
+  authMiddleware,                                                         // Exige usuario autenticado
+  authorizeRoles(['admin', 'lider de obra']),                             // Quien recibe en el almacén de destino
+  movimientoController.confirmarTraslado                                  // Suma el stock en el destino y cierra el traslado
+);
+
 // 🟣 Obtener movimientos de un material específico: usuario autenticado
 router.get(
   '/material/:materialId',                                                // Ruta GET /api/movimientos/material/:materialId
@@ -51,20 +80,22 @@ router.get(
   movimientoController.getMovimientosByMaterial                           // Devuelve solo los movimientos asociados a ese material
 );
 
-// 🟠 Actualizar movimiento: SOLO admin
-router.put(
-  '/:id',                                                                 // Ruta PUT /api/movimientos/:id
+// 📒 Kardex de un material (JSON, PDF o CSV): admin, líder de obra y auditor
+//    Query: ?almacen=<id>&desde=YYYY-MM-DD&hasta=YYYY-MM-DD&formato=json|pdf|csv
+router.get(
+  '/material/:materialId/kardex',                                         // Ruta GET /api/movimientos/material/:materialId/kardex
   authMiddleware,                                                         // Exige usuario autenticado
-  authorizeRoles(['admin']),                                              // Solo rol admin puede modificar un movimiento ya creado
-  movimientoController.updateMovimiento                                   // Actualiza tipo/descripcion/observaciones/motivo del movimiento (no stock)
+  authorizeRoles(['admin', 'lider de obra', 'auditor']),                  // Roles que consultan o auditan el inventario
+  kardexController.getKardexMaterial                                      // Construye el kardex con saldos corridos
 );
 
-// 🔴 Eliminar movimiento: SOLO admin
-router.delete(
-  '/:id',                                                                 // Ruta DELETE /api/movimientos/:id
+// 🚫 Anular movimiento (crea un movimiento compensatorio): SOLO admin
+//    El historial no se edita ni se elimina para no romper la cadena stockAnterior/stockNuevo.
+router.post(
+  '/:id/anular',                                                          // Ruta POST /api/movimientos/:id/anular
   authMiddleware,                                                         // Exige usuario autenticado
-  authorizeRoles(['admin']),                                              // Solo administradores pueden eliminar movimientos
-  movimientoController.deleteMovimiento                                   // Elimina el registro de movimiento (no revierte stock)
+  authorizeRoles(['admin']),                                              // Solo administradores pueden anular movimientos
+  movimientoController.anularMovimiento                                   // Revierte el stock y marca el original como anulado
 );
 
 // Exporta el router para usarlo en server.js
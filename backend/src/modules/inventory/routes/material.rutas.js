@@ -20,13 +20,22 @@ const authMiddleware = require('../../../core/middlewares/autenticacion.middlewa
 // Importa el middleware de autorización por roles para restringir acceso según el rol del usuario.
 const authorizeRoles = require('../../../core/middlewares/autorizarRoles.middleware');   // Middleware que permite el acceso solo a ciertos roles
 
+// Importa el middleware que recibe el archivo CSV/XLSX de las importaciones masivas.
+const archivoImportacion = require('../../../core/middlewares/archivoImportacion.middleware'); // Archivo en memoria (campo "archivo")
+
 // ============================================================================
 // Rutas CRUD para Materiales
 // Prefijo en server.js: app.use('/api/materiales', materialRoutes);
 // Por lo tanto, las rutas finales quedan como:
 //   POST   /api/materiales/
+//   POST   /api/materiales/importar
 //   GET    /api/materiales/
+//   GET    /api/materiales/reabastecimiento
 //   GET    /api/materiales/:id
+//   GET    /api/materiales/:id/precios
+//   GET    /api/materiales/:id/precio?fecha=YYYY-MM-DD
+//   GET    /api/materiales/:id/lotes
+//   GET    /api/materiales/:id/unidades
 //   PUT    /api/materiales/:id
 //   DELETE /api/materiales/:id
 // ============================================================================
@@ -47,6 +56,25 @@ router.post(
   materialController.createMaterial                                 // Ejecuta la lógica de creación de material
 );
 
+/**
+ * Importar el catálogo de materiales y su stock inicial desde CSV o XLSX.
+ *
+ * - Ruta: POST /api/materiales/importar (multipart/form-data, campo "archivo")
+ * - Sin confirmar=true devuelve el análisis de filas (errores y duplicados);
+ *   con confirmar=true crea los materiales válidos y sus entradas iniciales.
+ * - Seguridad:
+ *   - Requiere usuario autenticado.
+ *   - Solo rol "admin".
+ * - Controlador: materialController.importarMateriales
+ */
+router.post(
+  '/importar',                                                      // Endpoint de importación masiva
+  authMiddleware,                                                   // Verifica que el usuario esté autenticado
+  authorizeRoles(['admin']),                                        // Solo administradores cargan el catálogo
+  archivoImportacion,                                               // Recibe el archivo CSV/XLSX en memoria
+  materialController.importarMateriales                             // Analiza o importa según "confirmar"
+);
+
 /**
  * Listar todos los materiales activos.
  *
@@ -61,6 +89,24 @@ router.get(
   materialController.getMateriales                                  // Devuelve el listado de materiales (excluyendo isDeleted = true)
 );
 
+/**
+ * Sugerencias de reabastecimiento por material y almacén (consumo diario,
+ * días de stock, punto de reorden y cantidad sugerida).
+ *
+ * - Ruta: GET /api/materiales/reabastecimiento?dias=90&cobertura=30&almacen=&material=&soloPedidos=true
+ * - Seguridad:
+ *   - Requiere usuario autenticado.
+ *   - Permitido para roles "admin", "lider de obra" y "auditor".
+ * - Importante: se declara antes de "/:id" para que no se interprete como un ID.
+ * - Controlador: materialController.getReabastecimiento
+ */
+router.get(
+  '/reabastecimiento',                                              // Endpoint del reporte de reabastecimiento
+  authMiddleware,                                                   // Verifica autenticación del usuario
+  authorizeRoles(['admin', 'lider de obra', 'auditor']),            // Roles que planifican compras
+  materialController.getReabastecimiento                            // Calcula las sugerencias por material y almacén
+);
+
 /**
  * Obtener un material específico por su ID.
  *
@@ -75,6 +121,63 @@ router.get(
   materialController.getMaterialById                                // Busca y devuelve el material si existe y no está eliminado
 );
 
+/**
+ * Historial de precios de un material (por defecto, el último año).
+ *
+ * - Ruta: GET /api/materiales/:id/precios?desde=YYYY-MM-DD&hasta=YYYY-MM-DD
+ * - Seguridad:
+ *   - Requiere usuario autenticado, cualquier rol.
+ * - Controlador: materialController.getHistorialPrecios
+ */
+router.get(
+  '/:id/precios',                                                   // Endpoint del historial de precios
+  authMiddleware,                                                   // Verifica autenticación del usuario
+  materialController.getHistorialPrecios                            // Devuelve los precios registrados en el rango
+);
+
+/**
+ * Precio de un material vigente en una fecha.
+ *
+ * - Ruta: GET /api/materiales/:id/precio?fecha=YYYY-MM-DD
+ * - Seguridad:
+ *   - Requiere usuario autenticado, cualquier rol.
+ * - Controlador: materialController.getPrecioEnFecha
+ */
+router.get(
+  '/:id/precio',                                                    // Endpoint del precio en una fecha
+  authMiddleware,                                                   // Verifica autenticación del usuario
+  materialController.getPrecioEnFecha                               // Devuelve el último precio registrado hasta la fecha
+);
+
+/**
+ * Lotes de un material con su vencimiento (orden FEFO).
+ *
+ * - Ruta: GET /api/materiales/:id/lotes?almacen=&incluirAgotados=true
+ * - Seguridad:
+ *   - Requiere usuario autenticado, cualquier rol.
+ * - Controlador: materialController.getLotesMaterial
+ */
+router.get(
+  '/:id/lotes',                                                     // Endpoint de lotes del material
+  authMiddleware,                                                   // Verifica autenticación del usuario
+  materialController.getLotesMaterial                               // Devuelve los lotes con días para vencer
+);
+
+/**
+ * Unidades en que se puede expresar un material (propia, equivalencias y
+ * catálogo), con el factor para pasar a la unidad del material.
+ *
+ * - Ruta: GET /api/materiales/:id/unidades
+ * - Seguridad:
+ *   - Requiere usuario autenticado, cualquier rol.
+ * - Controlador: materialController.getUnidadesMaterial
+ */
+router.get(
+  '/:id/unidades',                                                  // Endpoint de unidades del material
+  authMiddleware,                                                   // Verifica autenticación del usuario
+  materialController.getUnidadesMaterial                            // Devuelve las unidades compatibles
+);
+
 /**
  * Actualizar un material existente.
  *
@@ -85,7 +188,7 @@ router.get(
  * - Comportamiento:
  *   - El controlador (updateMaterial) valida internamente:
  *       🔹 admin: puede modificar cualquier campo.
- *       🔹 lider de obra: NO puede tocar cantidad, stockMinimo ni precioUnitario,
+ *       🔹 lider de obra: NO puede tocar cantidad, stockMinimo, precioUnitario ni conversiones,
  *          solo campos menores (nombre, categoría, unidad, almacén, etc.).
  * - Controlador: materialController.updateMaterial
  */
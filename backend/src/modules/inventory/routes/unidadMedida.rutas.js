@@ -0,0 +1,70 @@
+// File: BackEnd/src/modules/inventory/routes/unidadMedida.rutas.js
+// Description: Rutas HTTP del catálogo de unidades de medida en ProCivil
+//              Manager (PCM). Cualquier usuario autenticado puede consultar
+//              las unidades (selectores de cantidades); solo el administrador
+//              puede crear, actualizar o eliminar unidades.
+
+const express = require('express');                            // Importa Express para crear el router
+const router = express.Router();                               // Crea una instancia de router de Express
+
+// Importa el controlador del catálogo de unidades
+const unidadMedidaController = require('../controllers/unidadMedida.controlador');
+
+// Middlewares de seguridad
+const authMiddleware = require('../../../core/middlewares/autenticacion.middleware');  // Middleware para validar JWT y poblar req.user
+const authorizeRoles = require('../../../core/middlewares/autorizarRoles.middleware'); // Middleware para restringir acceso por rol
+
+// -----------------------------------------------------------------------------
+// Rutas del catálogo de unidades de medida
+// -----------------------------------------------------------------------------
+
+/**
+ * @route   GET /api/unidades-medida
+ * @desc    Listar las unidades vigentes (filtro opcional ?magnitud=masa).
+ *          La primera consulta crea el catálogo base (kg, t, m3, l, m, m2, und…).
+ * @access  Privado (cualquier usuario autenticado)
+ */
+router.get(
+  '/',
+  authMiddleware,                                      // Requiere usuario autenticado
+  unidadMedidaController.getUnidades                   // Controlador que retorna el catálogo
+);
+
+/**
+ * @route   POST /api/unidades-medida
+ * @desc    Registrar una unidad (código, nombre, magnitud, factorBase, alias).
+ * @access  Privado (solo ADMIN)
+ */
+router.post(
+  '/',
+  authMiddleware,                                      // Verifica que el usuario esté autenticado
+  authorizeRoles(['admin']),                           // Restringe la ruta únicamente a administradores
+  unidadMedidaController.createUnidad                  // Controlador que realiza la creación
+);
+
+/**
+ * @route   PUT /api/unidades-medida/:id
+ * @desc    Actualizar nombre, factor o alias de una unidad.
+ * @access  Privado (solo ADMIN)
+ */
+router.put(
+  '/:id',
+  authMiddleware,                                      // Verifica autenticación
+  authorizeRoles(['admin']),                           // Solo administradores pueden modificar
+  unidadMedidaController.updateUnidad                  // Controlador que actualiza la unidad
+);
+
+/**
+ * @route   DELETE /api/unidades-medida/:id
+ * @desc    Eliminar lógicamente una unidad (isDeleted=true).
+ * @access  Privado (solo ADMIN)
+ */
+router.delete(
+  '/:id',
+  authMiddleware,                                      // Verifica autenticación
+  authorizeRoles(['admin']),                           // Solo administradores pueden eliminar
+  unidadMedidaController.deleteUnidad                  // Controlador que realiza la eliminación lógica
+);
+
+// Exporta el router para ser montado en server.js bajo /api/unidades-medida
+module.exports = router;
@@ -0,0 +1,65 @@
+// File: BackEnd/src/modules/inventory/services/conteoInventario.servicio.js
+// Description: Servicio de conteos físicos de inventario de ProCivil Manager
+//              (PCM). Genera el consecutivo de los conteos y resume el avance
+//              y las diferencias de un conteo para la revisión.
+
+const ConteoInventario = require('../models/conteoInventario.modelo');         // Conteos físicos
+
+/* ==========================================
+ * Consecutivo
+ * ========================================== */
+
+/**
+ * Genera el siguiente consecutivo de conteo para el año en curso
+ * (CF-AAAA-0001, CF-AAAA-0002, ...). El índice único sobre "numero"
+ * protege contra duplicados; el controlador reintenta en ese caso.
+ *
+ * @param {Date} [fecha] Fecha de referencia (por defecto, ahora).
+ * @returns {Promise<string>} Consecutivo disponible.
+ */
+async function generarNumeroConteo(fecha = new Date()) {
+  const prefijo = `CF-${fecha.getFullYear()}-`;
+  const ultimo = await ConteoInventario.findOne({ numero: { $regex: `^${prefijo}` } })
+    .sort({ numero: -1 })
+    .select('numero')
+    .lean();
+
+  const siguiente = ultimo ? (parseInt(ultimo.numero.slice(prefijo.length), 10) || 0) + 1 : 1;
+  return `${prefijo}${String(siguiente).padStart(4, '0')}`;
+}
+
+/* ==========================================
+ * Resumen del conteo
+ * ========================================== */
+
+/**
+ * Resume el avance de un conteo: ítems contados y pendientes, y cuántos
+ * tienen sobrante o faltante frente al stock esperado.
+ *
+ * @param {Object} conteo Conteo (documento u objeto plano).
+ * @returns {{ total: number, contados: number, pendientes: number, conDiferencia: number, sobrantes: number, faltantes: number }}
+ */
+function calcularResumenConteo(conteo) {
+  const items = conteo.items || [];
+  const contados = items.filter((item) => item.cantidadContada !== null && item.cantidadContada !== undefined);
+  const sobrantes = contados.filter((item) => Number(item.diferencia) > 0).length;
+  const faltantes = contados.filter((item) => Number(item.diferencia) < 0).length;
+
+  return {
+    total: items.length,
+    contados: contados.length,
+    pendientes: items.length - contados.length,
+    conDiferencia: sobrantes + faltantes,
+    sobrantes,
+    faltantes,
+  };
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  generarNumeroConteo,
+  calcularResumenConteo,
+};
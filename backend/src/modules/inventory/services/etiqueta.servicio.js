@@ -0,0 +1,167 @@
+// File: BackEnd/src/modules/inventory/services/etiqueta.servicio.js
+// Description: Servicio de etiquetas QR de ProCivil Manager (PCM). Define el
+//              formato de los códigos impresos en las etiquetas de materiales,
+//              ubicaciones (material × almacén) y almacenes, los interpreta al
+//              escanearlos y dibuja hojas de etiquetas en PDF (PDFKit) listas
+//              para imprimir en papel carta.
+//
+//              Formato de los códigos (texto plano, apto para lectores tipo
+//              teclado que terminan con Enter):
+//               - PCM-MAT:<materialId>               → material
+//               - PCM-MAT:<materialId>@<almacenId>   → material en un almacén
+//               - PCM-ALM:<almacenId>                → almacén
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const PDFDocument = require('pdfkit');                                         // Creador de documentos PDF
+const QRCode = require('qrcode');                                              // Generación de códigos QR (PNG)
+
+/* ==========================================
+ * Formato de los códigos
+ * ========================================== */
+
+const PREFIJO_MATERIAL = 'PCM-MAT';                                            // Etiquetas de material / ubicación
+const PREFIJO_ALMACEN = 'PCM-ALM';                                             // Etiquetas de almacén
+const PATRON_ID = /^[a-f0-9]{24}$/i;                                           // ObjectId de MongoDB
+
+/**
+ * Código de la etiqueta de un material, opcionalmente ubicado en un almacén.
+ *
+ * @param {string|Object} materialId Id del material.
+ * @param {string|Object|null} [almacenId] Id del almacén (etiqueta de ubicación).
+ * @returns {string}
+ */
+function codigoEtiquetaMaterial(materialId, almacenId = null) {
+  return `${PREFIJO_MATERIAL}:${String(materialId)}${almacenId ? `@${String(almacenId)}` : ''}`;
+}
+
+/**
+ * Código de la etiqueta de un almacén.
+ *
+ * @param {string|Object} almacenId Id del almacén.
+ * @returns {string}
+ */
+function codigoEtiquetaAlmacen(almacenId) {
+  return `${PREFIJO_ALMACEN}:${String(almacenId)}`;
+}
+
+/**
+ * Interpreta un código escaneado. Tolera espacios y minúsculas (algunos
+ * lectores cambian la distribución del teclado) y acepta un id suelto de
+ * material, como el que se escribe a mano.
+ *
+ * @param {string} codigo Texto leído por el escáner.
+ * @returns {{tipo: 'material'|'almacen', material: string|null, almacen: string|null}|null}
+ *          null si el texto no es un código PCM.
+ */
+function interpretarCodigoEtiqueta(codigo) {
+  const texto = String(codigo || '').trim();
+  if (PATRON_ID.test(texto)) {
+    return { tipo: 'material', material: texto.toLowerCase(), almacen: null };
+  }
+
+  const [prefijo, valor = ''] = texto.split(':');
+  const prefijoNormalizado = String(prefijo || '').toUpperCase();
+
+  if (prefijoNormalizado === PREFIJO_ALMACEN && PATRON_ID.test(valor)) {
+    return { tipo: 'almacen', material: null, almacen: valor.toLowerCase() };
+  }
+
+  if (prefijoNormalizado === PREFIJO_MATERIAL) {
+    const [material, almacen] = valor.split('@');
+    if (!PATRON_ID.test(material || '')) return null;
+    if (almacen !== undefined && !PATRON_ID.test(almacen)) return null;
+    return {
+      tipo: 'material',
+      material: material.toLowerCase(),
+      almacen: almacen ? almacen.toLowerCase() : null,
+    };
+  }
+
+  return null;
+}
+
+/* ==========================================
+ * Hoja de etiquetas en PDF
+ * ========================================== */
+
+// Distribución de la hoja carta: 3 columnas × 8 filas de 186 × 90 pt
+const HOJA = {
+  size: 'LETTER',
+  margenX: 22,
+  margenY: 36,
+  columnas: 3,
+  filas: 8,
+  ancho: 186,
+  alto: 90,
+  tamanoQR: 74,
+};
+
+/**
+ * Dibuja una hoja (o varias) de etiquetas QR y la envía por el stream.
+ * Cada etiqueta lleva el QR, un título, un subtítulo y el código en texto
+ * para poder digitarlo si el QR está dañado.
+ *
+ * @param {Array<{codigo: string, titulo: string, subtitulo?: string}>} etiquetas Etiquetas a imprimir.
+ * @param {import('stream').Writable} destino Stream de salida (respuesta HTTP).
+ * @returns {Promise<void>}
+ */
+async function generarHojaEtiquetas(etiquetas, destino) {
+  // Los QR se generan antes de abrir el documento: si uno falla no queda un PDF a medias
+  const imagenes = await Promise.all(
+    etiquetas.map((etiqueta) =>
+      QRCode.toBuffer(etiqueta.codigo, { errorCorrectionLevel: 'M', margin: 1, width: 300 })
+    )
+  );
+
+  const doc = new PDFDocument({ size: HOJA.size, margin: 0 });
+  doc.pipe(destino);
+
+  const porHoja = HOJA.columnas * HOJA.filas;
+  etiquetas.forEach((etiqueta, indice) => {
+    if (indice > 0 && indice % porHoja === 0) doc.addPage();
+
+    const posicion = indice % porHoja;
+    const x = HOJA.margenX + (posicion % HOJA.columnas) * HOJA.ancho;
+    const y = HOJA.margenY + Math.floor(posicion / HOJA.columnas) * HOJA.alto;
+
+    // Guía de corte
+    doc.lineWidth(0.5).strokeColor('#cbd5e1').rect(x, y, HOJA.ancho, HOJA.alto).stroke();
+
+    const margenQR = (HOJA.alto - HOJA.tamanoQR) / 2;
+    doc.image(imagenes[indice], x + margenQR, y + margenQR, { width: HOJA.tamanoQR, height: HOJA.tamanoQR });
+
+    const xTexto = x + HOJA.tamanoQR + margenQR * 2;
+    const anchoTexto = HOJA.ancho - (xTexto - x) - 6;
+    doc
+      .fillColor('#1e293b')
+      .font('Helvetica-Bold')
+      .fontSize(9)
+      .text(etiqueta.titulo || '', xTexto, y + 10, { width: anchoTexto, height: 34, ellipsis: true });
+    doc
+      .fillColor('#475569')
+      .font('Helvetica')
+      .fontSize(7)
+      .text(etiqueta.subtitulo || '', xTexto, y + 46, { width: anchoTexto, height: 18, ellipsis: true });
+    doc
+      .fillColor('#64748b')
+      .font('Courier')
+      .fontSize(5)
+      .text(etiqueta.codigo, xTexto, y + HOJA.alto - 18, { width: anchoTexto, height: 14 });
+  });
+
+  doc.end();
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  codigoEtiquetaMaterial,
+  codigoEtiquetaAlmacen,
+  interpretarCodigoEtiqueta,
+  generarHojaEtiquetas,
+};
@@ -0,0 +1,198 @@
+// File: BackEnd/src/modules/inventory/services/historialPrecio.servicio.js
+// Description: Servicio del historial de precios de materiales para ProCivil
+//              Manager (PCM). Registra cada precio nuevo (creación, edición del
+//              precio unitario o entrada con costo de compra) y resuelve el
+//              precio vigente de un material en una fecha dada.
+
+const HistorialPrecio = require('../models/historialPrecio.modelo');          // Historial de precios
+
+/* ==========================================
+ * Helpers internos
+ * ========================================== */
+
+/**
+ * Convierte un texto de fecha (YYYY-MM-DD o ISO) en Date.
+ * Si finDelDia es true y la fecha no trae hora, se toma el último
+ * milisegundo del día para que la consulta sea inclusiva.
+ *
+ * @param {string|Date} valor Fecha recibida.
+ * @param {boolean} [finDelDia=false] Ajustar al final del día.
+ * @returns {Date|null} Fecha válida o null.
+ */
+function parsearFecha(valor, finDelDia = false) {
+  if (!valor) return null;
+  const fecha = new Date(valor);
+  if (Number.isNaN(fecha.getTime())) return null;
+  if (finDelDia && /^\d{4}-\d{2}-\d{2}$/.test(String(valor))) {
+    fecha.setUTCHours(23, 59, 59, 999);
+  }
+  return fecha;
+}
+
+/* ==========================================
+ * Registro de precios
+ * ========================================== */
+
+/**
+ * Registra un precio en el historial del material.
+ *
+ * En materiales anteriores al historial, la primera edición registra
+ * también el precio previo con la fecha de creación del material, para
+ * que las consultas por fecha tengan un punto de partida.
+ *
+ * @param {Object} params
+ * @param {Object} params.material Documento de material.
+ * @param {number} params.precio Precio unitario nuevo (COP).
+ * @param {('creacion'|'edicion'|'entrada')} params.origen Origen del registro.
+ * @param {number|null} [params.precioAnterior] Precio previo (ediciones).
+ * @param {string|null} [params.movimiento] Movimiento que originó el precio.
+ * @param {string|null} [params.almacen] Almacén de la entrada.
+ * @param {string|null} [params.proveedor] Proveedor de la entrada.
+ * @param {string} [params.usuario] Usuario responsable.
+ * @param {Date} [params.fecha] Fecha desde la que rige (por defecto, ahora).
+ * @param {import('mongoose').ClientSession|null} [params.session] Sesión de transacción (opcional).
+ * @returns {Promise<Object>} Registro creado.
+ */
+async function registrarPrecio({
+  material,
+  precio,
+  origen,
+  precioAnterior = null,
+  movimiento = null,
+  almacen = null,
+  proveedor = null,
+  usuario = 'sistema',
+  fecha = new Date(),
+  session = null,
+}) {
+  if (origen === 'edicion' && precioAnterior !== null && precioAnterior !== undefined) {
+    const existe = await HistorialPrecio.exists({ material: material._id }).session(session);
+    if (!existe) {
+      await HistorialPrecio.create(
+        [
+          {
+            material: material._id,
+            precio: Number(precioAnterior) || 0,
+            fecha: material.createdAt || fecha,
+            origen: 'creacion',
+          },
+        ],
+        { session }
+      );
+    }
+  }
+
+  const [registro] = await HistorialPrecio.create(
+    [
+      {
+        material: material._id,
+        precio: Number(precio) || 0,
+        precioAnterior,
+        fecha,
+        origen,
+        movimiento,
+        almacen,
+        proveedor,
+        usuario,
+      },
+    ],
+    { session }
+  );
+
+  return registro;
+}
+
+/* ==========================================
+ * Consultas
+ * ========================================== */
+
+/**
+ * Devuelve el precio vigente de un material en una fecha: el último
+ * registro del historial con fecha menor o igual a la pedida.
+ *
+ * Si el material no tiene historial (datos legados sin ediciones), se
+ * responde con su precio unitario actual y origen 'actual'.
+ *
+ * @param {Object} material Documento de material.
+ * @param {string|Date} [fecha] Fecha de consulta (por defecto, hoy).
+ * @returns {Promise<Object|null>} { fecha, precio, origen, registro } o null si no hay precio a esa fecha.
+ */
+async function obtenerPrecioEnFecha(material, fecha) {
+  const fechaConsulta = parsearFecha(fecha, true) || new Date();
+
+  const registro = await HistorialPrecio.findOne({
+    material: material._id,
+    fecha: { $lte: fechaConsulta },
+  })
+    .sort({ fecha: -1, createdAt: -1 })
+    .lean();
+
+  if (registro) {
+    return { fecha: fechaConsulta, precio: registro.precio, origen: registro.origen, registro };
+  }
+
+  const tieneHistorial = await HistorialPrecio.exists({ material: material._id });
+  if (!tieneHistorial) {
+    return {
+      fecha: fechaConsulta,
+      precio: Number(material.precioUnitario) || 0,
+      origen: 'actual',
+      registro: null,
+    };
+  }
+
+  return null;                                                                   // La fecha es anterior al primer precio conocido
+}
+
+/**
+ * Lista el historial de precios de un material en un rango de fechas
+ * (por defecto, el último año), ordenado del más antiguo al más reciente.
+ *
+ * @param {Object} material Documento de material.
+ * @param {Object} [rango]
+ * @param {string} [rango.desde] Fecha inicial (inclusive).
+ * @param {string} [rango.hasta] Fecha final (inclusive).
+ * @returns {Promise<Object>} { desde, hasta, precioInicial, registros }
+ */
+async function obtenerHistorialPrecios(material, { desde, hasta } = {}) {
+  const fechaHasta = parsearFecha(hasta, true) || new Date();
+  let fechaDesde = parsearFecha(desde);
+  if (!fechaDesde) {
+    fechaDesde = new Date(fechaHasta);
+    fechaDesde.setFullYear(fechaDesde.getFullYear() - 1);                      // Último año por defecto
+  }
+
+  const registros = await HistorialPrecio.find({
+    material: material._id,
+    fecha: { $gte: fechaDesde, $lte: fechaHasta },
+  })
+    .sort({ fecha: 1, createdAt: 1 })
+    .populate('almacen', 'nombre')
+    .populate('proveedor', 'nombre')
+    .lean();
+
+  // Precio vigente al inicio del rango, para que la gráfica no arranque vacía
+  const vigenteAlInicio = await HistorialPrecio.findOne({
+    material: material._id,
+    fecha: { $lt: fechaDesde },
+  })
+    .sort({ fecha: -1, createdAt: -1 })
+    .lean();
+
+  return {
+    desde: fechaDesde,
+    hasta: fechaHasta,
+    precioInicial: vigenteAlInicio ? vigenteAlInicio.precio : null,
+    registros,
+  };
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  registrarPrecio,
+  obtenerPrecioEnFecha,
+  obtenerHistorialPrecios,
+};
@@ -0,0 +1,305 @@
+// File: BackEnd/src/modules/inventory/services/importacionMaterial.servicio.js
+// Description: Servicio de importación masiva del catálogo de materiales en
+//              ProCivil Manager (PCM). Valida las filas leídas de un CSV/XLSX
+//              (nombre, categoría, unidad, precio, stock mínimo, almacén y
+//              cantidad inicial), detecta duplicados contra la base y dentro
+//              del mismo archivo, y crea cada material con su saldo inicial
+//              como una ENTRADA de inventario (queda en el kardex y valoriza
+//              el costo promedio del almacén).
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const Material = require('../models/material.modelo');                         // Modelo de materiales
+const MovimientoInventario = require('../models/inventario.modelo');           // Movimientos de inventario
+const Almacen = require('../../warehouses/models/almacen.modelo');             // Modelo de almacenes
+const {
+  aplicarMovimientoEnAlmacen,
+  ejecutarEnTransaccion,
+} = require('./stockAlmacen.servicio');                                        // Saldos por almacén
+const { registrarPrecio } = require('./historialPrecio.servicio');             // Historial de precios
+const { normalizarEncabezado, leerNumero } = require('../../../core/services/hojaCalculo.servicio');
+
+/* ==========================================
+ * Columnas del archivo
+ * ========================================== */
+
+// Campo → encabezados aceptados (ya normalizados: sin tildes ni espacios).
+const COLUMNAS = {
+  nombre: ['nombre', 'material'],
+  categoria: ['categoria'],
+  unidad: ['unidad', 'unidaddemedida', 'um'],
+  precioUnitario: ['precio', 'preciounitario', 'valorunitario', 'costounitario'],
+  stockMinimo: ['stockminimo', 'minimo'],
+  almacen: ['almacen', 'bodega'],
+  cantidad: ['cantidad', 'cantidadinicial', 'stockinicial', 'saldoinicial'],
+};
+
+// Columnas sin las cuales no se analiza el archivo (la cantidad es opcional: 0).
+const COLUMNAS_OBLIGATORIAS = ['nombre', 'categoria', 'unidad', 'precioUnitario', 'stockMinimo', 'almacen'];
+
+/**
+ * Crea un error de negocio con código HTTP asociado.
+ */
+function crearErrorImportacion(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Clave de comparación de textos (minúsculas, sin tildes ni espacios extra).
+ */
+function claveTexto(valor) {
+  return String(valor ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Resuelve qué encabezado del archivo corresponde a cada campo.
+ *
+ * @param {string[]} encabezados Encabezados originales del archivo.
+ * @returns {Object} campo → encabezado normalizado presente en el archivo.
+ * @throws {Error} 400 si falta alguna columna obligatoria.
+ */
+function mapearColumnas(encabezados) {
+  const presentes = new Set(encabezados.map(normalizarEncabezado));
+  const mapa = {};
+  for (const [campo, alias] of Object.entries(COLUMNAS)) {
+    const encontrado = alias.find((clave) => presentes.has(clave));
+    if (encontrado) mapa[campo] = encontrado;
+  }
+
+  const faltantes = COLUMNAS_OBLIGATORIAS.filter((campo) => !mapa[campo]);
+  if (faltantes.length > 0) {
+    throw crearErrorImportacion(
+      `Faltan columnas obligatorias: ${faltantes.map((campo) => COLUMNAS[campo][0]).join(', ')}. ` +
+        'Columnas esperadas: nombre, categoria, unidad, precio, stock minimo, almacen y cantidad (opcional).'
+    );
+  }
+  return mapa;
+}
+
+/* ==========================================
+ * Análisis (dry-run)
+ * ========================================== */
+
+/**
+ * Valida las filas del archivo sin escribir nada en la base.
+ *
+ * Estados por fila:
+ *  - valida:    se creará el material (y su entrada inicial si cantidad > 0).
+ *  - error:     datos faltantes o inválidos (ver `errores`).
+ *  - duplicado: ya existe un material activo con el mismo nombre, categoría
+ *               y unidad en ese almacén, o se repite una fila anterior.
+ *
+ * @param {{encabezados: string[], filas: Array<{fila: number, valores: Object}>}} hoja Resultado de leerHojaCalculo.
+ * @returns {Promise<{filas: Array, resumen: Object}>}
+ */
+async function analizarImportacionMateriales({ encabezados, filas }) {
+  const columnas = mapearColumnas(encabezados);
+  const leer = (valores, campo) => (columnas[campo] ? valores[columnas[campo]] : '');
+
+  // Almacenes vigentes, reconocibles por id o por nombre
+  const almacenes = await Almacen.find({ isDeleted: { $ne: true } }).select('nombre').lean();
+  const almacenesPorClave = new Map();
+  for (const almacen of almacenes) {
+    almacenesPorClave.set(String(almacen._id), almacen);
+    almacenesPorClave.set(claveTexto(almacen.nombre), almacen);
+  }
+
+  // Materiales existentes (regla de duplicado de createMaterial: nombre + categoría + unidad + almacén)
+  const existentes = await Material.find({ isDeleted: false }).select('nombre categoria unidad almacen').lean();
+  const existentesPorClave = new Map(
+    existentes.map((m) => [
+      [claveTexto(m.nombre), claveTexto(m.categoria), claveTexto(m.unidad), String(m.almacen)].join('|'),
+      m,
+    ])
+  );
+
+  const vistasEnArchivo = new Map();                                           // clave → fila donde apareció primero
+  const resultado = filas.map(({ fila, valores }) => {
+    const errores = [];
+
+    const nombre = String(leer(valores, 'nombre') ?? '').trim();
+    const categoria = String(leer(valores, 'categoria') ?? '').trim();
+    const unidad = String(leer(valores, 'unidad') ?? '').trim();
+    if (!nombre) errores.push('El nombre es obligatorio.');
+    if (!categoria) errores.push('La categoría es obligatoria.');
+    if (!unidad) errores.push('La unidad es obligatoria.');
+
+    const precioUnitario = leerNumero(leer(valores, 'precioUnitario'));
+    if (precioUnitario === null || Number.isNaN(precioUnitario) || precioUnitario < 0) {
+      errores.push('El precio debe ser un número mayor o igual a 0.');
+    }
+
+    const stockMinimo = leerNumero(leer(valores, 'stockMinimo'));
+    if (stockMinimo === null || Number.isNaN(stockMinimo) || stockMinimo < 0) {
+      errores.push('El stock mínimo debe ser un número mayor o igual a 0.');
+    }
+
+    const cantidadLeida = leerNumero(leer(valores, 'cantidad'));
+    const cantidad = cantidadLeida === null ? 0 : cantidadLeida;
+    if (Number.isNaN(cantidad) || cantidad < 0) {
+      errores.push('La cantidad inicial debe ser un número mayor o igual a 0.');
+    }
+
+    const textoAlmacen = String(leer(valores, 'almacen') ?? '').trim();
+    const almacen = textoAlmacen
+      ? almacenesPorClave.get(textoAlmacen) || almacenesPorClave.get(claveTexto(textoAlmacen))
+      : null;
+    if (!textoAlmacen) errores.push('El almacén es obligatorio.');
+    else if (!almacen) errores.push(`El almacén "${textoAlmacen}" no existe.`);
+
+    const datos = {
+      nombre,
+      categoria,
+      unidad,
+      precioUnitario,
+      stockMinimo,
+      cantidad,
+      almacen: almacen ? { _id: almacen._id, nombre: almacen.nombre } : textoAlmacen || null,
+    };
+
+    if (errores.length > 0) {
+      return { fila, estado: 'error', errores, datos };
+    }
+
+    const clave = [claveTexto(nombre), claveTexto(categoria), claveTexto(unidad), String(almacen._id)].join('|');
+    const existente = existentesPorClave.get(clave);
+    if (existente) {
+      return {
+        fila,
+        estado: 'duplicado',
+        errores: [`Ya existe el material "${existente.nombre}" (${existente.unidad}) en el almacén ${almacen.nombre}.`],
+        materialExistente: existente._id,
+        datos,
+      };
+    }
+    if (vistasEnArchivo.has(clave)) {
+      return {
+        fila,
+        estado: 'duplicado',
+        errores: [`Repite la fila ${vistasEnArchivo.get(clave)} del archivo.`],
+        datos,
+      };
+    }
+    vistasEnArchivo.set(clave, fila);
+
+    return { fila, estado: 'valida', errores: [], datos };
+  });
+
+  return { filas: resultado, resumen: resumirAnalisis(resultado) };
+}
+
+/**
+ * Conteo de filas por estado y stock inicial a cargar.
+ */
+function resumirAnalisis(filas) {
+  const validas = filas.filter((f) => f.estado === 'valida');
+  return {
+    total: filas.length,
+    validas: validas.length,
+    conErrores: filas.filter((f) => f.estado === 'error').length,
+    duplicados: filas.filter((f) => f.estado === 'duplicado').length,
+    conStockInicial: validas.filter((f) => f.datos.cantidad > 0).length,
+    valorInicial: validas.reduce((total, f) => total + f.datos.cantidad * f.datos.precioUnitario, 0),
+  };
+}
+
+/* ==========================================
+ * Creación
+ * ========================================== */
+
+/**
+ * Crea el material de una fila válida y, si trae cantidad, su entrada de
+ * saldo inicial (al precio de la fila) en una misma transacción.
+ *
+ * @param {Object} datos Datos normalizados de la fila (analizarImportacionMateriales).
+ * @param {Object} opciones
+ * @param {string} opciones.usuario Usuario responsable (texto, como en los movimientos).
+ * @param {string} opciones.archivo Nombre del archivo importado (queda en las observaciones).
+ * @returns {Promise<{material: Object, movimiento: Object|null}>}
+ */
+async function crearMaterialImportado(datos, { usuario, archivo }) {
+  const ahora = new Date();
+
+  const { material, movimiento } = await ejecutarEnTransaccion(async (session) => {
+    const [materialDB] = await Material.create(
+      [
+        {
+          nombre: datos.nombre,
+          categoria: datos.categoria,
+          unidad: datos.unidad,
+          precioUnitario: datos.precioUnitario,
+          costoPromedio: datos.precioUnitario,
+          cantidad: 0,                                                         // El saldo llega con la entrada inicial
+          stockMinimo: datos.stockMinimo,
+          almacen: datos.almacen._id,
+        },
+      ],
+      { session }
+    );
+
+    if (!(datos.cantidad > 0)) {
+      return { material: materialDB, movimiento: null };
+    }
+
+    const aplicado = await aplicarMovimientoEnAlmacen({
+      material: materialDB,
+      almacen: datos.almacen._id,
+      tipo: 'entrada',
+      cantidad: datos.cantidad,
+      costoUnitario: datos.precioUnitario,
+      nombreAlmacen: datos.almacen.nombre,
+      session,
+    });
+
+    const [movimientoDB] = await MovimientoInventario.create(
+      [
+        {
+          material: materialDB._id,
+          almacen: datos.almacen._id,
+          tipo: 'entrada',
+          cantidad: datos.cantidad,
+          fecha: ahora,
+          descripcion: 'Saldo inicial (importación de materiales)',
+          observaciones: archivo ? `Archivo: ${archivo}` : '',
+          motivo: `Inventario inicial en almacén ${datos.almacen.nombre}`,
+          stockAnterior: aplicado.saldoAnterior,
+          stockNuevo: aplicado.saldoNuevo,
+          costoUnitario: aplicado.costoUnitario,
+          costoTotal: datos.cantidad * aplicado.costoUnitario,
+          usuario,
+        },
+      ],
+      { session }
+    );
+
+    return { material: materialDB, movimiento: movimientoDB };
+  });
+
+  // Primer registro del historial de precios (un error aquí no deshace la importación)
+  try {
+    await registrarPrecio({ material, precio: datos.precioUnitario, origen: 'creacion', usuario, fecha: ahora });
+  } catch (historialError) {
+    console.error('Error al registrar el precio inicial del material importado:', historialError);
+  }
+
+  return { material, movimiento };
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  COLUMNAS,
+  analizarImportacionMateriales,
+  crearMaterialImportado,
+};
@@ -0,0 +1,316 @@
+// File: BackEnd/src/modules/inventory/services/kardex.servicio.js
+// Description: Servicio que construye el kardex (tarjeta de control de
+//              existencias) de un material, consolidado o por almacén, para
+//              un rango de fechas: saldo inicial, cada movimiento con saldo
+//              corrido, costo unitario y valor corrido, y saldo final.
+//              La valoración usa el costo registrado en cada movimiento
+//              (costo promedio ponderado), no el precio de catálogo.
+//              Incluye la conversión del kardex a CSV para exportarlo.
+
+const MovimientoInventario = require('../models/inventario.modelo');          // Historial de movimientos
+const {
+  obtenerSaldosPorMaterial,
+  obtenerCostoReferencia,
+  calcularEfectoMovimiento,
+} = require('./stockAlmacen.servicio');                                          // Saldos por almacén
+
+/* ==========================================
+ * Helpers internos
+ * ========================================== */
+
+/**
+ * Convierte un texto de fecha (YYYY-MM-DD o ISO) en Date.
+ * Si finDelDia es true y la fecha no trae hora, se toma el último
+ * milisegundo del día para que el rango sea inclusivo.
+ *
+ * @param {string} valor Texto de fecha recibido en la query.
+ * @param {boolean} [finDelDia=false] Ajustar al final del día.
+ * @returns {Date|null} Fecha válida o null.
+ */
+function parsearFecha(valor, finDelDia = false) {
+  if (!valor) return null;
+  const fecha = new Date(valor);
+  if (Number.isNaN(fecha.getTime())) return null;
+  if (finDelDia && /^\d{4}-\d{2}-\d{2}$/.test(String(valor))) {
+    fecha.setUTCHours(23, 59, 59, 999);
+  }
+  return fecha;
+}
+
+/**
+ * Fecha en la que el movimiento afectó el saldo. El tramo de entrada de un
+ * traslado en tránsito suma stock cuando se recibe, no cuando se despacha.
+ *
+ * @param {Object} movimiento Movimiento de inventario (objeto plano).
+ * @returns {Date} Fecha efectiva del movimiento.
+ */
+function obtenerFechaEfectiva(movimiento) {
+  if (movimiento.sentidoTraslado === 'entrada' && movimiento.fechaRecepcion) {
+    return new Date(movimiento.fechaRecepcion);
+  }
+  return new Date(movimiento.fecha || movimiento.createdAt);
+}
+
+/**
+ * Redondea un valor monetario/cantidad a 2 decimales.
+ *
+ * @param {number} valor Número a redondear.
+ * @returns {number} Número redondeado.
+ */
+function redondear(valor) {
+  return Math.round((Number(valor) || 0) * 100) / 100;
+}
+
+/**
+ * Costo unitario con el que un movimiento afectó el valor del inventario.
+ * Los movimientos legados sin costo se valoran al costo de referencia.
+ *
+ * @param {Object} movimiento Movimiento de inventario (objeto plano).
+ * @param {number} costoReferencia Costo para movimientos sin costo registrado.
+ * @returns {number} Costo unitario.
+ */
+function obtenerCostoMovimiento(movimiento, costoReferencia) {
+  if (movimiento.costoUnitario === null || movimiento.costoUnitario === undefined) {
+    return costoReferencia;
+  }
+  return Number(movimiento.costoUnitario) || 0;
+}
+
+/* ==========================================
+ * Construcción del kardex
+ * ========================================== */
+
+/**
+ * Construye el kardex de un material.
+ *
+ * Los saldos se reconstruyen "hacia atrás" desde el saldo actual (fuente
+ * de verdad): saldoFinal = saldoActual − efecto de los movimientos
+ * posteriores al rango, y saldoInicial = saldoFinal − efecto del rango.
+ * Así el kardex cuadra aunque existan datos legados sin movimiento de
+ * apertura. El valor se reconstruye igual: con costo promedio ponderado,
+ * cada movimiento cambia el valor del saldo en efecto × costoUnitario.
+ *
+ * Los movimientos anulados y sus compensatorios se listan ambos (el
+ * historial no se altera), por lo que su efecto neto es cero.
+ *
+ * @param {Object} params
+ * @param {Object} params.material Documento de material.
+ * @param {Object|null} [params.almacen] Documento de almacén (null = consolidado).
+ * @param {string} [params.desde] Fecha inicial (inclusive).
+ * @param {string} [params.hasta] Fecha final (inclusive).
+ * @returns {Promise<Object>} Kardex con encabezado, filas y totales.
+ */
+async function construirKardex({ material, almacen = null, desde, hasta }) {
+  const fechaDesde = parsearFecha(desde);
+  const fechaHasta = parsearFecha(hasta, true);
+
+  // Filtro base: movimientos del material (y del almacén si se pide)
+  const filtro = { material: material._id };
+  if (almacen) {
+    const esAlmacenPrincipal = material.almacen && String(material.almacen) === String(almacen._id);
+    // Los movimientos legados sin almacén se aplicaron sobre el almacén principal
+    filtro.almacen = esAlmacenPrincipal ? { $in: [almacen._id, null] } : almacen._id;
+  }
+
+  const movimientos = (
+    await MovimientoInventario.find(filtro)
+      .sort({ fecha: 1, createdAt: 1 })
+      .populate('almacen', 'nombre')
+      .populate('proyecto', 'title')
+      .lean()
+  ).sort((a, b) => obtenerFechaEfectiva(a) - obtenerFechaEfectiva(b)); // Orden estable por fecha efectiva
+
+  const costoReferencia = obtenerCostoReferencia(material); // Costo para datos sin valoración
+
+  // Saldo y valor actuales (fuente de verdad): del almacén o consolidados
+  const saldos = (await obtenerSaldosPorMaterial(material)).filter(
+    (s) => !almacen || (s.almacen && String(s.almacen._id || s.almacen) === String(almacen._id))
+  );
+  const saldoActual = almacen
+    ? saldos.reduce((acc, s) => acc + (Number(s.cantidad) || 0), 0)
+    : Number(material.cantidad) || 0;
+  const valorActual = saldos.reduce((acc, s) => {
+    const costo = s.costoPromedio !== null && s.costoPromedio !== undefined ? s.costoPromedio : costoReferencia;
+    return acc + (Number(s.cantidad) || 0) * (Number(costo) || 0);
+  }, 0);
+
+  // Cambio de valor que produjo un movimiento
+  const valorEfecto = (mov) => calcularEfectoMovimiento(mov) * obtenerCostoMovimiento(mov, costoReferencia);
+
+  // Clasificamos los movimientos respecto al rango
+  const enRango = [];
+  let efectoPosterior = 0;
+  let valorPosterior = 0;
+  movimientos.forEach((mov) => {
+    const fechaMov = obtenerFechaEfectiva(mov);
+    if (fechaHasta && fechaMov > fechaHasta) {
+      efectoPosterior += calcularEfectoMovimiento(mov);
+      valorPosterior += valorEfecto(mov);
+      return;
+    }
+    if (fechaDesde && fechaMov < fechaDesde) return;
+    enRango.push(mov);
+  });
+
+  const efectoRango = enRango.reduce((acc, mov) => acc + calcularEfectoMovimiento(mov), 0);
+  const saldoFinal = saldoActual - efectoPosterior;
+  const saldoInicial = saldoFinal - efectoRango;
+
+  const valorRango = enRango.reduce((acc, mov) => acc + valorEfecto(mov), 0);
+  const valorFinal = valorActual - valorPosterior;
+  const valorInicial = valorFinal - valorRango;
+
+  // Filas del kardex con saldo y valor corridos
+  let saldo = saldoInicial;
+  let valor = valorInicial;
+  let totalEntradas = 0;
+  let totalSalidas = 0;
+  const filas = enRango.map((mov) => {
+    const efecto = calcularEfectoMovimiento(mov);
+    const entrada = efecto > 0 ? efecto : 0;
+    const salida = efecto < 0 ? -efecto : 0;
+    const costoUnitario = obtenerCostoMovimiento(mov, costoReferencia);
+    saldo += efecto;
+    valor += efecto * costoUnitario;
+    totalEntradas += entrada;
+    totalSalidas += salida;
+
+    return {
+      _id: mov._id,
+      fecha: obtenerFechaEfectiva(mov),
+      tipo: mov.tipo,
+      sentidoTraslado: mov.sentidoTraslado || null,
+      detalle: mov.motivo || mov.descripcion || '',
+      almacen: mov.almacen ? mov.almacen.nombre : null,
+      proyecto: mov.proyecto ? mov.proyecto.title : null,
+      usuario: mov.usuario || null,
+      anulado: !!mov.anulado,
+      movimientoAnulado: mov.movimientoAnulado || null,
+      entrada: redondear(entrada),
+      salida: redondear(salida),
+      saldo: redondear(saldo),
+      costoUnitario: redondear(costoUnitario),
+      valorMovimiento: redondear(efecto * costoUnitario),
+      valorSaldo: redondear(valor),
+    };
+  });
+
+  return {
+    material: {
+      _id: material._id,
+      nombre: material.nombre,
+      categoria: material.categoria,
+      unidad: material.unidad,
+    },
+    almacen: almacen ? { _id: almacen._id, nombre: almacen.nombre } : null,
+    desde: fechaDesde,
+    hasta: fechaHasta,
+    saldoInicial: redondear(saldoInicial),
+    valorInicial: redondear(valorInicial),
+    movimientos: filas,
+    totalEntradas: redondear(totalEntradas),
+    totalSalidas: redondear(totalSalidas),
+    saldoFinal: redondear(saldoFinal),
+    valorFinal: redondear(valorFinal),
+  };
+}
+
+/* ==========================================
+ * Exportación a CSV
+ * ========================================== */
+
+/**
+ * Escapa un valor para CSV (separador ';', compatible con Excel en es-CO).
+ * Los textos que empiezan por '=', '+', '-', '@', tabulador o retorno se
+ * anteponen con "'" para que la hoja de cálculo no los ejecute como
+ * fórmula (inyección CSV); los números se dejan tal cual.
+ *
+ * @param {*} valor Valor de la celda.
+ * @returns {string} Celda escapada.
+ */
+function celdaCsv(valor) {
+  if (valor === null || valor === undefined) return '';
+  let texto = String(valor);
+  if (typeof valor !== 'number' && /^[=+\-@\t\r]/.test(texto)) {
+    texto = `'${texto}`;
+  }
+  return /[";\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Convierte un kardex en texto CSV (con BOM para que Excel respete tildes).
+ *
+ * @param {Object} kardex Resultado de construirKardex.
+ * @returns {string} Contenido CSV.
+ */
+function kardexACsv(kardex) {
+  const formatoFecha = (f) => (f ? new Date(f).toISOString().slice(0, 10) : '');
+  const lineas = [];
+
+  lineas.push(['Kardex', kardex.material.nombre].map(celdaCsv).join(';'));
+  lineas.push(['Almacén', kardex.almacen ? kardex.almacen.nombre : 'Consolidado'].map(celdaCsv).join(';'));
+  lineas.push(['Unidad', kardex.material.unidad || ''].map(celdaCsv).join(';'));
+  lineas.push(['Desde', formatoFecha(kardex.desde), 'Hasta', formatoFecha(kardex.hasta)].map(celdaCsv).join(';'));
+  lineas.push('');
+
+  lineas.push(
+    [
+      'Fecha',
+      'Tipo',
+      'Detalle',
+      'Almacén',
+      'Proyecto',
+      'Entrada',
+      'Salida',
+      'Saldo',
+      'Costo unitario',
+      'Valor movimiento',
+      'Valor saldo',
+      'Estado',
+    ].join(';')
+  );
+
+  lineas.push(
+    ['', 'Saldo inicial', '', '', '', '', '', kardex.saldoInicial, '', '', kardex.valorInicial, '']
+      .map(celdaCsv)
+      .join(';')
+  );
+
+  kardex.movimientos.forEach((fila) => {
+    lineas.push(
+      [
+        formatoFecha(fila.fecha),
+        fila.sentidoTraslado ? `${fila.tipo} (${fila.sentidoTraslado})` : fila.tipo,
+        fila.detalle,
+        fila.almacen,
+        fila.proyecto,
+        fila.entrada,
+        fila.salida,
+        fila.saldo,
+        fila.costoUnitario,
+        fila.valorMovimiento,
+        fila.valorSaldo,
+        fila.anulado ? 'Anulado' : fila.movimientoAnulado ? 'Anulación' : '',
+      ]
+        .map(celdaCsv)
+        .join(';')
+    );
+  });
+
+  lineas.push(
+    ['', 'Saldo final', '', '', '', kardex.totalEntradas, kardex.totalSalidas, kardex.saldoFinal, '', '', kardex.valorFinal, '']
+      .map(celdaCsv)
+      .join(';')
+  );
+
+  return `\uFEFF${lineas.join('\r\n')}\r\n`;
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  construirKardex,
+  kardexACsv,
+};
@@ -0,0 +1,454 @@
+// File: BackEnd/src/modules/inventory/services/loteMaterial.servicio.js
+// Description: Servicio de lotes y vencimientos de materiales perecederos de
+//              ProCivil Manager (PCM). Solo aplica a materiales con
+//              controlLotes = true:
+//               - Las entradas registran el lote y su fecha de vencimiento.
+//               - Las salidas consumen los lotes vigentes en orden FEFO
+//                 (primero en vencer, primero en salir); los lotes vencidos
+//                 solo salen si se indican explícitamente (p. ej. una baja).
+//               - El stock sin lote (anterior a activar el control o
+//                 devuelto sin lote) se consume después de los lotes.
+//               - Genera alertas de tipo "vencimiento" cuando un lote con
+//                 existencias entra en la ventana de aviso del material.
+//              Lo invoca el servicio de saldos por almacén dentro de la
+//              misma sesión/transacción del movimiento.
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const LoteMaterial = require('../models/loteMaterial.modelo');                 // Lotes por material y almacén
+const Alerta = require('../../alerts/models/alerta.modelo');                   // Modelo de alertas del sistema
+const User = require('../../users/models/usuario.modelo');                     // Modelo de usuarios (para notificar administradores)
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;                                        // Milisegundos de un día
+const MAX_DIAS_AVISO = 365;                                                    // Ventana máxima de aviso de vencimiento
+
+/* ==========================================
+ * Helpers internos
+ * ========================================== */
+
+/**
+ * Obtiene el id (string) de un documento poblado o de un ObjectId/string.
+ *
+ * @param {Object|string|null} valor Documento, ObjectId o string.
+ * @returns {string|null} Id como string o null si no hay valor.
+ */
+function obtenerId(valor) {
+  if (!valor) return null;
+  if (valor._id) return String(valor._id);
+  return String(valor);
+}
+
+/**
+ * Crea un error de negocio con código HTTP asociado.
+ *
+ * @param {string} message Mensaje legible para el usuario.
+ * @param {number} [statusCode=400] Código HTTP sugerido.
+ * @returns {Error} Error con la propiedad statusCode.
+ */
+function crearErrorLote(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Inicio del día de una fecha (los lotes vencen al terminar su día).
+ *
+ * @param {Date} [fecha] Fecha de referencia (por defecto, hoy).
+ * @returns {Date} Fecha a las 00:00.
+ */
+function inicioDelDia(fecha = new Date()) {
+  const dia = new Date(fecha);
+  dia.setHours(0, 0, 0, 0);
+  return dia;
+}
+
+/**
+ * Indica si un lote está vencido en la fecha indicada.
+ *
+ * @param {Object} lote Lote (documento u objeto plano).
+ * @param {Date} [fecha] Fecha de referencia.
+ * @returns {boolean}
+ */
+function estaVencido(lote, fecha = new Date()) {
+  return !!lote.fechaVencimiento && new Date(lote.fechaVencimiento) < inicioDelDia(fecha);
+}
+
+/**
+ * Ordena lotes en orden FEFO: primero la fecha de vencimiento más próxima
+ * (los que no vencen al final) y, a igual fecha, el ingreso más antiguo.
+ *
+ * @param {Array<Object>} lotes Lotes a ordenar.
+ * @returns {Array<Object>} Nueva lista ordenada.
+ */
+function ordenarFEFO(lotes) {
+  return [...lotes].sort((a, b) => {
+    const va = a.fechaVencimiento ? new Date(a.fechaVencimiento).getTime() : Infinity;
+    const vb = b.fechaVencimiento ? new Date(b.fechaVencimiento).getTime() : Infinity;
+    if (va !== vb) return va - vb;
+    return new Date(a.createdAt || 0).getTime() - new Date(b.createdAt || 0).getTime();
+  });
+}
+
+/**
+ * Resumen de un lote tal como se guarda en el movimiento de inventario.
+ */
+function resumirLote(lote, cantidad) {
+  return { lote: lote.lote, fechaVencimiento: lote.fechaVencimiento || null, cantidad };
+}
+
+/**
+ * Valida y normaliza los lotes informados en una entrada o salida.
+ *
+ * @param {Array} lotes [{ lote, fechaVencimiento?, cantidad }].
+ * @returns {Array<{lote: string, fechaVencimiento: Date|null, cantidad: number}>}
+ */
+function normalizarLotes(lotes) {
+  if (!Array.isArray(lotes)) return [];
+
+  const normalizados = lotes.map((item) => {
+    const lote = String((item && item.lote) || '').trim();
+    if (!lote) {
+      throw crearErrorLote('Cada lote debe indicar su número.');
+    }
+    const cantidad = Number(item.cantidad);
+    if (!Number.isFinite(cantidad) || cantidad <= 0) {
+      throw crearErrorLote(`La cantidad del lote "${lote}" debe ser mayor que 0.`);
+    }
+    let fechaVencimiento = null;
+    if (item.fechaVencimiento) {
+      fechaVencimiento = new Date(item.fechaVencimiento);
+      if (Number.isNaN(fechaVencimiento.getTime())) {
+        throw crearErrorLote(`La fecha de vencimiento del lote "${lote}" no es válida.`);
+      }
+    }
+    return { lote, fechaVencimiento, cantidad };
+  });
+
+  if (new Set(normalizados.map((item) => item.lote)).size !== normalizados.length) {
+    throw crearErrorLote('Un lote no puede repetirse en el mismo movimiento.');
+  }
+  return normalizados;
+}
+
+/**
+ * Descuenta una cantidad de un lote solo si aún la tiene (atómico).
+ */
+async function descontarLote(lote, cantidad, session) {
+  const resultado = await LoteMaterial.updateOne(
+    { _id: lote._id, cantidad: { $gte: cantidad } },
+    { $inc: { cantidad: -cantidad } },
+    { session }
+  );
+  if (resultado.modifiedCount === 0) {
+    throw crearErrorLote(`El lote "${lote.lote}" cambió mientras se registraba el movimiento. Intente de nuevo.`, 409);
+  }
+}
+
+/* ==========================================
+ * Entradas
+ * ========================================== */
+
+/**
+ * Registra los lotes de una entrada: crea el lote en el almacén o suma a
+ * uno existente con el mismo número. Un lote existente conserva su fecha
+ * de vencimiento; si se informa otra distinta, se rechaza la entrada.
+ *
+ * @param {Object} params
+ * @param {Object} params.material Documento de material.
+ * @param {Object|string} params.almacen Almacén de la entrada.
+ * @param {Array} params.lotes [{ lote, fechaVencimiento?, cantidad }].
+ * @param {number} params.cantidad Cantidad total de la entrada (los lotes no pueden superarla).
+ * @param {import('mongoose').ClientSession|null} [params.session] Sesión de transacción (opcional).
+ * @returns {Promise<Array>} Lotes registrados [{ lote, fechaVencimiento, cantidad }].
+ */
+async function registrarLotesEntrada({ material, almacen, lotes, cantidad, session = null }) {
+  const normalizados = normalizarLotes(lotes);
+  const totalLotes = normalizados.reduce((acc, item) => acc + item.cantidad, 0);
+  if (totalLotes > (Number(cantidad) || 0)) {
+    throw crearErrorLote('La suma de los lotes supera la cantidad de la entrada.');
+  }
+
+  const registrados = [];
+  for (const item of normalizados) {
+    const filtro = { material: material._id, almacen: obtenerId(almacen), lote: item.lote };
+    const existente = await LoteMaterial.findOne(filtro).session(session);
+
+    if (
+      existente &&
+      item.fechaVencimiento &&
+      existente.fechaVencimiento &&
+      inicioDelDia(existente.fechaVencimiento).getTime() !== inicioDelDia(item.fechaVencimiento).getTime()
+    ) {
+      throw crearErrorLote(
+        `El lote "${item.lote}" ya existe con vencimiento ${existente.fechaVencimiento.toISOString().slice(0, 10)}.`
+      );
+    }
+
+    const lote = await LoteMaterial.findOneAndUpdate(
+      filtro,
+      {
+        $inc: { cantidad: item.cantidad, cantidadIngresada: item.cantidad },
+        $setOnInsert: { fechaVencimiento: item.fechaVencimiento },
+      },
+      { new: true, upsert: true, session }
+    );
+
+    // Lote legado sin fecha: se completa con la informada
+    if (!lote.fechaVencimiento && item.fechaVencimiento) {
+      lote.fechaVencimiento = item.fechaVencimiento;
+      await lote.save({ session });
+    }
+
+    registrados.push(resumirLote(lote, item.cantidad));
+  }
+
+  return registrados;
+}
+
+/* ==========================================
+ * Salidas
+ * ========================================== */
+
+/**
+ * Consume lotes para una salida. Los lotes indicados explícitamente se
+ * consumen primero (aunque estén vencidos, p. ej. para darlos de baja);
+ * el resto sale de los lotes vigentes en orden FEFO y, al final, del
+ * stock sin lote. Si lo vigente no alcanza, rechaza la salida.
+ *
+ * @param {Object} params
+ * @param {Object} params.material Documento de material.
+ * @param {Object|string} params.almacen Almacén de la salida.
+ * @param {number} params.cantidad Cantidad de la salida.
+ * @param {number} params.saldo Saldo del almacén antes de la salida.
+ * @param {Array} [params.lotes] Lotes explícitos [{ lote, cantidad }].
+ * @param {import('mongoose').ClientSession|null} [params.session] Sesión de transacción (opcional).
+ * @returns {Promise<Array>} Lotes consumidos [{ lote, fechaVencimiento, cantidad }].
+ */
+async function consumirLotes({ material, almacen, cantidad, saldo, lotes = [], session = null }) {
+  const existentes = await LoteMaterial.find({
+    material: material._id,
+    almacen: obtenerId(almacen),
+    cantidad: { $gt: 0 },
+  }).session(session);
+
+  const porNumero = new Map(existentes.map((lote) => [lote.lote, lote]));
+  const plan = [];
+  let pendiente = Number(cantidad) || 0;
+
+  // 1) Lotes indicados explícitamente
+  for (const item of normalizarLotes(lotes)) {
+    const lote = porNumero.get(item.lote);
+    if (!lote) {
+      throw crearErrorLote(`El lote "${item.lote}" no tiene existencias de "${material.nombre}" en el almacén.`);
+    }
+    if (item.cantidad > lote.cantidad) {
+      throw crearErrorLote(`El lote "${item.lote}" solo tiene ${lote.cantidad} disponibles.`);
+    }
+    if (item.cantidad > pendiente) {
+      throw crearErrorLote('La suma de los lotes supera la cantidad de la salida.');
+    }
+    plan.push({ lote, cantidad: item.cantidad });
+    porNumero.delete(item.lote);
+    pendiente -= item.cantidad;
+  }
+
+  // 2) Lotes vigentes en orden FEFO
+  const vigentes = ordenarFEFO([...porNumero.values()].filter((lote) => !estaVencido(lote)));
+  for (const lote of vigentes) {
+    if (pendiente <= 0) break;
+    const tomar = Math.min(lote.cantidad, pendiente);
+    plan.push({ lote, cantidad: tomar });
+    pendiente -= tomar;
+  }
+
+  // 3) Stock sin lote (saldo que no está repartido en lotes)
+  const totalLotes = existentes.reduce((acc, lote) => acc + (Number(lote.cantidad) || 0), 0);
+  const sinLote = Math.max((Number(saldo) || 0) - totalLotes, 0);
+  if (pendiente > sinLote) {
+    const vencido = existentes
+      .filter((lote) => estaVencido(lote) && porNumero.has(lote.lote))
+      .reduce((acc, lote) => acc + (Number(lote.cantidad) || 0), 0);
+    throw crearErrorLote(
+      `No hay stock vigente suficiente de "${material.nombre}" en el almacén. ` +
+        `Requerido: ${cantidad}, vigente: ${(Number(cantidad) || 0) - pendiente + sinLote}` +
+        (vencido > 0 ? `, en lotes vencidos: ${vencido}.` : '.')
+    );
+  }
+
+  for (const { lote, cantidad: tomar } of plan) {
+    await descontarLote(lote, tomar, session);
+  }
+
+  return plan.map(({ lote, cantidad: tomar }) => resumirLote(lote, tomar));
+}
+
+/**
+ * Ajusta los lotes cuando un ajuste deja el saldo por debajo de lo que
+ * suman los lotes: recorta la diferencia empezando por los que vencen
+ * primero (incluidos los vencidos).
+ *
+ * @param {Object} params
+ * @param {Object} params.material Documento de material.
+ * @param {Object|string} params.almacen Almacén ajustado.
+ * @param {number} params.saldo Saldo del almacén después del ajuste.
+ * @param {import('mongoose').ClientSession|null} [params.session] Sesión de transacción (opcional).
+ * @returns {Promise<Array>} Lotes recortados [{ lote, fechaVencimiento, cantidad }].
+ */
+async function recortarLotes({ material, almacen, saldo, session = null }) {
+  const existentes = await LoteMaterial.find({
+    material: material._id,
+    almacen: obtenerId(almacen),
+    cantidad: { $gt: 0 },
+  }).session(session);
+
+  const totalLotes = existentes.reduce((acc, lote) => acc + (Number(lote.cantidad) || 0), 0);
+  let exceso = totalLotes - (Number(saldo) || 0);
+  const recortados = [];
+
+  for (const lote of ordenarFEFO(existentes)) {
+    if (exceso <= 0) break;
+    const quitar = Math.min(lote.cantidad, exceso);
+    await descontarLote(lote, quitar, session);
+    recortados.push(resumirLote(lote, quitar));
+    exceso -= quitar;
+  }
+
+  return recortados;
+}
+
+/* ==========================================
+ * Consultas
+ * ========================================== */
+
+/**
+ * Lista los lotes de un material (opcionalmente de un almacén) en orden
+ * FEFO, con los días que faltan para su vencimiento.
+ *
+ * @param {Object} params
+ * @param {Object|string} params.material Material o id.
+ * @param {Object|string} [params.almacen] Almacén o id.
+ * @param {boolean} [params.incluirAgotados=false] Incluye lotes sin existencias.
+ * @returns {Promise<Array>} Lotes con diasParaVencer y vencido.
+ */
+async function listarLotes({ material, almacen = null, incluirAgotados = false }) {
+  const filtro = { material: obtenerId(material) };
+  if (almacen) filtro.almacen = obtenerId(almacen);
+  if (!incluirAgotados) filtro.cantidad = { $gt: 0 };
+
+  const lotes = await LoteMaterial.find(filtro).populate('almacen', 'nombre').lean();
+  const hoy = inicioDelDia();
+
+  return ordenarFEFO(lotes).map((lote) => ({
+    ...lote,
+    diasParaVencer: lote.fechaVencimiento
+      ? Math.floor((inicioDelDia(lote.fechaVencimiento) - hoy) / MS_POR_DIA)
+      : null,
+    vencido: estaVencido(lote),
+  }));
+}
+
+/* ==========================================
+ * Alertas de vencimiento
+ * ========================================== */
+
+/**
+ * Genera alertas de tipo "vencimiento" para los administradores cuando un
+ * lote con existencias entra en la ventana de aviso de su material
+ * (diasAvisoVencimiento) o ya venció. Cada lote se avisa una sola vez;
+ * las alertas de lotes que se agotaron quedan resueltas.
+ *
+ * @param {import('socket.io').Server} [io] Instancia de Socket.io (opcional).
+ * @returns {Promise<Array>} Alertas creadas.
+ */
+async function evaluarVencimientos(io) {
+  const ahora = new Date();
+  const hoy = inicioDelDia(ahora);
+
+  // Lotes agotados: sus alertas pendientes ya no aplican
+  const agotados = await LoteMaterial.find({ cantidad: { $lte: 0 }, alertaVencimiento: { $ne: null } }).select('_id');
+  if (agotados.length > 0) {
+    await Alerta.updateMany(
+      { tipo: 'vencimiento', lote: { $in: agotados.map((lote) => lote._id) }, resolved: false },
+      { $set: { resolved: true } }
+    );
+  }
+
+  const candidatos = await LoteMaterial.find({
+    cantidad: { $gt: 0 },
+    alertaVencimiento: null,
+    fechaVencimiento: { $ne: null, $lte: new Date(hoy.getTime() + MAX_DIAS_AVISO * MS_POR_DIA) },
+  })
+    .populate('material', 'nombre unidad controlLotes diasAvisoVencimiento isDeleted')
+    .populate('almacen', 'nombre');
+
+  const porAvisar = candidatos.filter((lote) => {
+    if (!lote.material || lote.material.isDeleted || !lote.material.controlLotes) return false;
+    const dias = Math.floor((inicioDelDia(lote.fechaVencimiento) - hoy) / MS_POR_DIA);
+    return dias <= (Number(lote.material.diasAvisoVencimiento) || 0);
+  });
+  if (porAvisar.length === 0) return [];
+
+  const admins = await User.find({ role: 'admin', isDeleted: { $ne: true } });
+  if (admins.length === 0) return [];
+
+  const alertasCreadas = [];
+  for (const lote of porAvisar) {
+    // Se marca primero: si otra evaluación ya tomó el lote, no se duplica el aviso
+    const marcado = await LoteMaterial.findOneAndUpdate(
+      { _id: lote._id, alertaVencimiento: null },
+      { $set: { alertaVencimiento: ahora } },
+      { new: true }
+    );
+    if (!marcado) continue;
+
+    const dias = Math.floor((inicioDelDia(lote.fechaVencimiento) - hoy) / MS_POR_DIA);
+    const fecha = lote.fechaVencimiento.toISOString().slice(0, 10);
+    const textoAlmacen = lote.almacen && lote.almacen.nombre ? ` en el almacén "${lote.almacen.nombre}"` : '';
+    const textoPlazo = dias < 0 ? `venció el ${fecha}` : dias === 0 ? 'vence hoy' : `vence el ${fecha} (en ${dias} días)`;
+
+    const creadas = await Promise.all(
+      admins.map((admin) =>
+        Alerta.create({
+          usuario: admin._id,
+          tipo: 'vencimiento',
+          material: lote.material._id,
+          lote: lote._id,
+          nivel: dias < 0 ? 'critica' : 'advertencia',
+          message:
+            `El lote "${lote.lote}" de "${lote.material.nombre}"${textoAlmacen} ${textoPlazo}: ` +
+            `quedan ${[lote.cantidad, lote.material.unidad].filter(Boolean).join(' ')}.`,
+          threshold: dias,
+          resolved: false,
+        })
+      )
+    );
+    alertasCreadas.push(...creadas);
+  }
+
+  if (io) {
+    alertasCreadas.forEach((alerta) => {
+      io.emit('alerta:nueva', { alerta });
+    });
+  }
+
+  return alertasCreadas;
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  MAX_DIAS_AVISO,
+  estaVencido,
+  ordenarFEFO,
+  normalizarLotes,
+  registrarLotesEntrada,
+  consumirLotes,
+  recortarLotes,
+  listarLotes,
+  evaluarVencimientos,
+};
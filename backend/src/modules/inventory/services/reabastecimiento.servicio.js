@@ -0,0 +1,283 @@
+// File: BackEnd/src/modules/inventory/services/reabastecimiento.servicio.js
+// Description: Servicio de sugerencias de reabastecimiento de ProCivil Manager
+//              (PCM). A partir del historial de salidas (consumo) y del stock
+//              mínimo calcula, por material y almacén, el consumo diario
+//              promedio, los días de stock restantes, el punto de reorden y la
+//              cantidad sugerida a pedir. Lo usan el reporte de
+//              reabastecimiento y las alertas de stock.
+//              No depende de stockAlmacen.servicio para poder usarse desde él.
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const mongoose = require('mongoose');                                          // ObjectId para filtros de agregación
+const MovimientoInventario = require('../models/inventario.modelo');           // Historial de movimientos (salidas)
+const StockAlmacen = require('../models/stockAlmacen.modelo');                 // Saldos por almacén
+const Material = require('../models/material.modelo');                         // Catálogo de materiales
+const Proveedor = require('../../suppliers/models/proveedor.modelo');          // Tiempos de entrega cotizados
+
+/* ==========================================
+ * Parámetros por defecto
+ * ========================================== */
+
+const DIAS_HISTORIAL = 90;        // Ventana de consumo analizada
+const DIAS_COBERTURA = 30;        // Días de consumo que debe cubrir un pedido
+const DIAS_ENTREGA_DEFECTO = 7;   // Tiempo de entrega cuando ningún proveedor lo informa
+
+/* ==========================================
+ * Consumo histórico
+ * ========================================== */
+
+/**
+ * Suma las salidas vigentes (no anuladas ni compensatorias) por material y
+ * almacén en los últimos `dias` días.
+ *
+ * @param {Object} opciones
+ * @param {number} [opciones.dias=90] Días de historial.
+ * @param {string} [opciones.material] Limita a un material.
+ * @param {string} [opciones.almacen] Limita a un almacén.
+ * @param {Date}   [opciones.hasta] Fecha de corte (por defecto, ahora).
+ * @returns {Promise<Map<string, number>>} Clave "material:almacen" → cantidad consumida.
+ */
+async function obtenerConsumoPorAlmacen({ dias = DIAS_HISTORIAL, material, almacen, hasta = new Date() } = {}) {
+  const desde = new Date(hasta.getTime() - dias * 24 * 60 * 60 * 1000);
+
+  const filtro = {
+    tipo: 'salida',
+    anulado: { $ne: true },
+    movimientoAnulado: null,
+    fecha: { $gte: desde, $lte: hasta },
+  };
+  if (material) filtro.material = new mongoose.Types.ObjectId(String(material));
+  if (almacen) filtro.almacen = new mongoose.Types.ObjectId(String(almacen));
+
+  const filas = await MovimientoInventario.aggregate([
+    { $match: filtro },
+    {
+      $group: {
+        _id: { material: '$material', almacen: '$almacen' },
+        cantidad: { $sum: '$cantidad' },
+      },
+    },
+  ]);
+
+  return new Map(
+    filas.map((fila) => [`${fila._id.material}:${fila._id.almacen}`, Number(fila.cantidad) || 0])
+  );
+}
+
+/**
+ * Tiempo de entrega (días) de cada material: el menor cotizado por los
+ * proveedores activos que lo suministran.
+ *
+ * @param {Array<string>} [materialIds] Limita la consulta a estos materiales.
+ * @returns {Promise<Map<string, number>>} materialId → días de entrega.
+ */
+async function obtenerTiemposEntrega(materialIds) {
+  const filtro = { isDeleted: { $ne: true }, activo: { $ne: false } };
+  if (materialIds) filtro['materiales.material'] = { $in: materialIds };
+
+  const proveedores = await Proveedor.find(filtro).select('materiales').lean();
+
+  const tiempos = new Map();
+  proveedores.forEach((proveedor) => {
+    (proveedor.materiales || []).forEach((item) => {
+      const dias = Number(item.tiempoEntregaDias);
+      if (!Number.isFinite(dias) || dias < 0) return;
+      const clave = String(item.material);
+      if (!tiempos.has(clave) || dias < tiempos.get(clave)) tiempos.set(clave, dias);
+    });
+  });
+
+  return tiempos;
+}
+
+/* ==========================================
+ * Cálculo de la sugerencia
+ * ========================================== */
+
+/**
+ * Calcula los indicadores de reabastecimiento de un saldo:
+ *  - consumoDiario  = salidas del periodo / días del periodo.
+ *  - diasStock      = saldo / consumoDiario (null si no hay consumo).
+ *  - puntoReorden   = consumoDiario × tiempo de entrega + stock mínimo.
+ *  - cantidadSugerida: lo necesario para cubrir el tiempo de entrega más
+ *    `diasCobertura` días de consumo, conservando el mínimo como stock de
+ *    seguridad. Solo se sugiere pedir cuando el saldo está en el punto de
+ *    reorden o por debajo.
+ *
+ * @param {Object} datos
+ * @param {number} datos.saldo Saldo actual en el almacén.
+ * @param {number} datos.consumo Cantidad consumida en el periodo.
+ * @param {number} datos.stockMinimo Stock mínimo aplicable.
+ * @param {number} [datos.dias=90] Días del periodo de consumo.
+ * @param {number} [datos.tiempoEntregaDias=7] Días de entrega del proveedor.
+ * @param {number} [datos.diasCobertura=30] Días que debe cubrir el pedido.
+ * @returns {Object} Indicadores y estado ('critico' | 'reordenar' | 'ok' | 'sin_consumo').
+ */
+function calcularSugerencia({
+  saldo,
+  consumo,
+  stockMinimo,
+  dias = DIAS_HISTORIAL,
+  tiempoEntregaDias = DIAS_ENTREGA_DEFECTO,
+  diasCobertura = DIAS_COBERTURA,
+}) {
+  const saldoNum = Number(saldo) || 0;
+  const minimo = Number(stockMinimo) || 0;
+  const consumoDiario = dias > 0 ? (Number(consumo) || 0) / dias : 0;
+  const diasStock = consumoDiario > 0 ? saldoNum / consumoDiario : null;
+  const puntoReorden = consumoDiario * tiempoEntregaDias + minimo;
+
+  let estado = 'ok';
+  if (saldoNum <= minimo && minimo > 0) estado = 'critico';
+  else if (diasStock !== null && diasStock <= tiempoEntregaDias) estado = 'critico';
+  else if (puntoReorden > 0 && saldoNum <= puntoReorden) estado = 'reordenar';
+  else if (consumoDiario === 0) estado = 'sin_consumo';
+
+  const requierePedido = estado === 'critico' || estado === 'reordenar';
+  const objetivo = consumoDiario * (tiempoEntregaDias + diasCobertura) + minimo;
+  const cantidadSugerida = requierePedido ? Math.max(Math.ceil(objetivo - saldoNum), 0) : 0;
+
+  const fechaAgotamiento =
+    diasStock !== null ? new Date(Date.now() + diasStock * 24 * 60 * 60 * 1000) : null;
+
+  return {
+    saldo: saldoNum,
+    stockMinimo: minimo,
+    consumoPeriodo: Number(consumo) || 0,
+    consumoDiario: Math.round(consumoDiario * 100) / 100,
+    diasStock: diasStock !== null ? Math.round(diasStock * 10) / 10 : null,
+    fechaAgotamiento,
+    tiempoEntregaDias,
+    puntoReorden: Math.round(puntoReorden * 100) / 100,
+    cantidadSugerida,
+    estado,
+  };
+}
+
+/**
+ * Indicadores de reabastecimiento de un material en un almacén concreto
+ * (consulta su consumo y tiempo de entrega). Lo usan las alertas de stock.
+ *
+ * @param {Object} datos
+ * @param {Object} datos.material Documento de material.
+ * @param {string|Object} datos.almacen Almacén (id o documento).
+ * @param {number} datos.saldo Saldo actual en el almacén.
+ * @param {number} datos.stockMinimo Stock mínimo aplicable.
+ * @returns {Promise<Object>} Resultado de calcularSugerencia.
+ */
+async function calcularSugerenciaMaterialAlmacen({ material, almacen, saldo, stockMinimo }) {
+  const almacenId = almacen && almacen._id ? almacen._id : almacen;
+  const [consumos, tiempos] = await Promise.all([
+    obtenerConsumoPorAlmacen({ material: material._id, almacen: almacenId }),
+    obtenerTiemposEntrega([material._id]),
+  ]);
+
+  return calcularSugerencia({
+    saldo,
+    consumo: consumos.get(`${material._id}:${almacenId}`) || 0,
+    stockMinimo,
+    tiempoEntregaDias: tiempos.has(String(material._id))
+      ? tiempos.get(String(material._id))
+      : DIAS_ENTREGA_DEFECTO,
+  });
+}
+
+/* ==========================================
+ * Reporte de reabastecimiento
+ * ========================================== */
+
+/**
+ * Reporte de reabastecimiento por material y almacén, ordenado por urgencia
+ * (críticos primero y, dentro de cada estado, menos días de stock).
+ *
+ * Los saldos legados deben existir antes de llamar (asegurarSaldoInicial).
+ *
+ * @param {Object} [opciones]
+ * @param {number} [opciones.dias=90] Días de historial de consumo.
+ * @param {number} [opciones.diasCobertura=30] Días que debe cubrir cada pedido.
+ * @param {string} [opciones.almacen] Limita a un almacén.
+ * @param {string} [opciones.material] Limita a un material.
+ * @param {boolean} [opciones.soloPedidos=false] Solo filas con cantidad sugerida.
+ * @returns {Promise<Array>} Filas con material, almacén e indicadores.
+ */
+async function generarReporteReabastecimiento({
+  dias = DIAS_HISTORIAL,
+  diasCobertura = DIAS_COBERTURA,
+  almacen,
+  material,
+  soloPedidos = false,
+} = {}) {
+  const filtroMateriales = { isDeleted: { $ne: true } };
+  if (material) filtroMateriales._id = material;
+  const materiales = await Material.find(filtroMateriales)
+    .select('nombre unidad categoria stockMinimo costoPromedio precioUnitario')
+    .lean();
+  const materialesPorId = new Map(materiales.map((m) => [String(m._id), m]));
+
+  const filtroSaldos = { material: { $in: materiales.map((m) => m._id) } };
+  if (almacen) filtroSaldos.almacen = almacen;
+  const saldos = await StockAlmacen.find(filtroSaldos).populate('almacen', 'nombre ciudad isDeleted').lean();
+
+  const [consumos, tiempos] = await Promise.all([
+    obtenerConsumoPorAlmacen({ dias, material, almacen }),
+    obtenerTiemposEntrega(material ? [material] : undefined),
+  ]);
+
+  const filas = saldos
+    .filter((saldo) => saldo.almacen && !saldo.almacen.isDeleted && materialesPorId.has(String(saldo.material)))
+    .map((saldo) => {
+      const mat = materialesPorId.get(String(saldo.material));
+      const stockMinimo =
+        saldo.stockMinimo !== null && saldo.stockMinimo !== undefined
+          ? Number(saldo.stockMinimo)
+          : Number(mat.stockMinimo) || 0;
+      const indicadores = calcularSugerencia({
+        saldo: saldo.cantidad,
+        consumo: consumos.get(`${saldo.material}:${saldo.almacen._id}`) || 0,
+        stockMinimo,
+        dias,
+        tiempoEntregaDias: tiempos.has(String(mat._id)) ? tiempos.get(String(mat._id)) : DIAS_ENTREGA_DEFECTO,
+        diasCobertura,
+      });
+      const costoUnitario =
+        saldo.costoPromedio !== null && saldo.costoPromedio !== undefined
+          ? Number(saldo.costoPromedio)
+          : Number(mat.costoPromedio ?? mat.precioUnitario) || 0;
+
+      return {
+        material: { _id: mat._id, nombre: mat.nombre, unidad: mat.unidad, categoria: mat.categoria },
+        almacen: { _id: saldo.almacen._id, nombre: saldo.almacen.nombre, ciudad: saldo.almacen.ciudad },
+        ...indicadores,
+        costoEstimado: Math.round(indicadores.cantidadSugerida * costoUnitario),
+      };
+    })
+    .filter((fila) => !soloPedidos || fila.cantidadSugerida > 0);
+
+  const prioridad = { critico: 0, reordenar: 1, ok: 2, sin_consumo: 3 };
+  filas.sort(
+    (a, b) =>
+      prioridad[a.estado] - prioridad[b.estado] ||
+      (a.diasStock ?? Infinity) - (b.diasStock ?? Infinity) ||
+      a.material.nombre.localeCompare(b.material.nombre)
+  );
+
+  return filas;
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  DIAS_HISTORIAL,
+  DIAS_COBERTURA,
+  DIAS_ENTREGA_DEFECTO,
+  obtenerConsumoPorAlmacen,
+  obtenerTiemposEntrega,
+  calcularSugerencia,
+  calcularSugerenciaMaterialAlmacen,
+  generarReporteReabastecimiento,
+};
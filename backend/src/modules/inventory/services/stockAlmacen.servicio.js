@@ -0,0 +1,789 @@
+// File: BackEnd/src/modules/inventory/services/stockAlmacen.servicio.js
+// Description: Servicio de saldos de inventario por almacén (material × almacén)
+//              para ProCivil Manager (PCM). Centraliza la aplicación de
+//              entradas, salidas y ajustes sobre el saldo de cada almacén,
+//              mantiene Material.cantidad como total consolidado y evalúa
+//              las alertas de stock (punto de reorden) almacén por almacén.
+//              También lleva las reservas de material comprometido con
+//              proyectos: disponible = cantidad - reservado.
+//              Los saldos se modifican con actualizaciones condicionales
+//              atómicas ($inc con filtro de cantidad suficiente), de modo
+//              que el stock nunca queda negativo aunque lleguen salidas
+//              concurrentes, y pueden agruparse en transacciones MongoDB.
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const mongoose = require('mongoose');                                          // Sesiones / transacciones de MongoDB
+const StockAlmacen = require('../models/stockAlmacen.modelo');                 // Saldos por almacén
+const Material = require('../models/material.modelo');                         // Modelo de materiales (total consolidado)
+const Alerta = require('../../alerts/models/alerta.modelo');                   // Modelo de alertas del sistema
+const User = require('../../users/models/usuario.modelo');                     // Modelo de usuarios (para notificar administradores)
+const {
+  calcularSugerencia,
+  calcularSugerenciaMaterialAlmacen,
+} = require('./reabastecimiento.servicio');                                    // Punto de reorden y cantidad sugerida
+const {
+  registrarLotesEntrada,
+  consumirLotes,
+  recortarLotes,
+} = require('./loteMaterial.servicio');                                        // Lotes y vencimientos (FEFO)
+
+/* ==========================================
+ * Helpers internos
+ * ========================================== */
+
+/**
+ * Obtiene el id (string) de un documento poblado o de un ObjectId/string.
+ *
+ * @param {Object|string|null} valor Documento, ObjectId o string.
+ * @returns {string|null} Id como string o null si no hay valor.
+ */
+function obtenerId(valor) {
+  if (!valor) return null;
+  if (valor._id) return String(valor._id);
+  return String(valor);
+}
+
+/**
+ * Costo unitario de referencia de un material cuando un saldo aún no tiene
+ * costo promedio propio: el promedio consolidado o, en datos legados, el
+ * precio unitario de catálogo.
+ *
+ * @param {Object} material Documento de material.
+ * @returns {number} Costo unitario de referencia (0 si no hay ninguno).
+ */
+function obtenerCostoReferencia(material) {
+  if (!material) return 0;
+  const costo =
+    material.costoPromedio !== null && material.costoPromedio !== undefined
+      ? material.costoPromedio
+      : material.precioUnitario;
+  return Number(costo) || 0;
+}
+
+/**
+ * Combina dos lotes valorados en un costo promedio ponderado. Sirve para
+ * acumular el costo de un material asignado en varias salidas a un mismo
+ * proyecto. Si un lote no tiene costo, se toma el del otro.
+ *
+ * @param {number} cantidadA Cantidad del primer lote.
+ * @param {number|null} costoA Costo unitario del primer lote.
+ * @param {number} cantidadB Cantidad del segundo lote.
+ * @param {number|null} costoB Costo unitario del segundo lote.
+ * @returns {number|null} Costo unitario ponderado (null si ninguno tiene costo).
+ */
+function promediarCosto(cantidadA, costoA, cantidadB, costoB) {
+  const tieneA = costoA !== null && costoA !== undefined;
+  const tieneB = costoB !== null && costoB !== undefined;
+  if (!tieneA && !tieneB) return null;
+  if (!tieneA) return Number(costoB) || 0;
+  if (!tieneB) return Number(costoA) || 0;
+
+  const qa = Number(cantidadA) || 0;
+  const qb = Number(cantidadB) || 0;
+  if (qa + qb <= 0) return Number(costoB) || 0;
+  return (qa * Number(costoA) + qb * Number(costoB)) / (qa + qb);
+}
+
+/**
+ * Crea un error de negocio con código HTTP asociado, para que el
+ * controlador pueda responder con el status correcto.
+ *
+ * @param {string} message Mensaje legible para el usuario.
+ * @param {number} [statusCode=400] Código HTTP sugerido.
+ * @returns {Error} Error con la propiedad statusCode.
+ */
+function crearErrorStock(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/* ==========================================
+ * Consultas de saldos
+ * ========================================== */
+
+/**
+ * Migración perezosa de datos legados: si el material aún no tiene
+ * ningún saldo por almacén pero sí una cantidad global y un almacén
+ * principal, se crea el saldo inicial en ese almacén.
+ *
+ * Usa upsert con $setOnInsert para que dos peticiones simultáneas no
+ * dupliquen el saldo inicial.
+ *
+ * @param {Object} material Documento de material.
+ * @param {import('mongoose').ClientSession|null} [session] Sesión de transacción (opcional).
+ * @returns {Promise<void>}
+ */
+async function asegurarSaldoInicial(material, session = null) {
+  if (!material || !material.almacen) return;
+
+  const existe = await StockAlmacen.exists({ material: material._id }).session(session);
+  if (existe) return;
+
+  const cantidadLegada = Number(material.cantidad) || 0;
+  if (cantidadLegada <= 0) return;
+
+  await StockAlmacen.updateOne(
+    { material: material._id, almacen: obtenerId(material.almacen) },
+    { $setOnInsert: { cantidad: cantidadLegada, costoPromedio: obtenerCostoReferencia(material) } },
+    { upsert: true, session }
+  );
+}
+
+/**
+ * Devuelve el saldo actual de un material en un almacén.
+ *
+ * @param {Object} material Documento de material.
+ * @param {string|Object} almacen Id o documento del almacén.
+ * @param {import('mongoose').ClientSession|null} [session] Sesión de transacción (opcional).
+ * @returns {Promise<number>} Cantidad disponible en ese almacén (0 si no hay saldo).
+ */
+async function obtenerSaldo(material, almacen, session = null) {
+  await asegurarSaldoInicial(material, session);
+
+  const saldo = await StockAlmacen.findOne({
+    material: material._id,
+    almacen: obtenerId(almacen),
+  }).session(session);
+
+  return saldo ? Number(saldo.cantidad) || 0 : 0;
+}
+
+/**
+ * Devuelve la cantidad disponible (no reservada) de un material en un
+ * almacén: saldo físico menos lo comprometido con proyectos.
+ *
+ * @param {Object} material Documento de material.
+ * @param {string|Object} almacen Id o documento del almacén.
+ * @param {import('mongoose').ClientSession|null} [session] Sesión de transacción (opcional).
+ * @returns {Promise<number>} Cantidad disponible (0 si no hay saldo).
+ */
+async function obtenerDisponible(material, almacen, session = null) {
+  await asegurarSaldoInicial(material, session);
+
+  const saldo = await StockAlmacen.findOne({
+    material: material._id,
+    almacen: obtenerId(almacen),
+  }).session(session);
+  if (!saldo) return 0;
+
+  return Math.max((Number(saldo.cantidad) || 0) - (Number(saldo.reservado) || 0), 0);
+}
+
+/**
+ * Lista los saldos de un material en todos los almacenes.
+ *
+ * @param {Object} material Documento de material.
+ * @returns {Promise<Array>} Saldos con datos básicos del almacén.
+ */
+async function obtenerSaldosPorMaterial(material) {
+  await asegurarSaldoInicial(material);
+
+  return StockAlmacen.find({ material: material._id })
+    .populate('almacen', 'nombre ciudad direccion telefono')
+    .sort({ cantidad: -1 });
+}
+
+/**
+ * Lista los saldos de todos los materiales activos de un almacén.
+ *
+ * @param {string} almacenId Id del almacén.
+ * @returns {Promise<Array>} Saldos con datos básicos del material.
+ */
+async function obtenerSaldosPorAlmacen(almacenId) {
+  // Materiales legados cuyo almacén principal es este y aún no tienen saldos
+  const legados = await Material.find({ almacen: almacenId, isDeleted: false });
+  for (const material of legados) {
+    await asegurarSaldoInicial(material);
+  }
+
+  const saldos = await StockAlmacen.find({ almacen: almacenId })
+    .populate('material', 'nombre categoria unidad precioUnitario stockMinimo isDeleted')
+    .sort({ updatedAt: -1 });
+
+  // Excluye saldos de materiales eliminados lógicamente
+  return saldos.filter((saldo) => saldo.material && !saldo.material.isDeleted);
+}
+
+/**
+ * Recalcula el total consolidado de un material como la suma de sus
+ * saldos por almacén y lo guarda en Material.cantidad (útil para
+ * conciliar datos; los movimientos normales usan $inc).
+ *
+ * @param {Object} material Documento de material.
+ * @returns {Promise<number>} Total consolidado.
+ */
+async function recalcularTotalMaterial(material) {
+  const [resultado] = await StockAlmacen.aggregate([
+    { $match: { material: material._id } },
+    { $group: { _id: '$material', total: { $sum: '$cantidad' } } },
+  ]);
+
+  const total = resultado ? resultado.total : 0;
+  const costoPromedio = await calcularCostoPromedioConsolidado(material);
+  await Material.updateOne({ _id: material._id }, { $set: { cantidad: total, costoPromedio } });
+  material.cantidad = total;
+  material.costoPromedio = costoPromedio;
+
+  return total;
+}
+
+/**
+ * Calcula el costo promedio ponderado consolidado de un material a partir
+ * de sus saldos: Σ(cantidad × costoPromedio) / Σ cantidad.
+ *
+ * Si no queda stock en ningún almacén se conserva el último costo conocido,
+ * para que la próxima salida/entrada siga teniendo una referencia.
+ *
+ * @param {Object} material Documento de material.
+ * @param {import('mongoose').ClientSession|null} [session] Sesión de transacción (opcional).
+ * @returns {Promise<number>} Costo promedio consolidado.
+ */
+async function calcularCostoPromedioConsolidado(material, session = null) {
+  const costoReferencia = obtenerCostoReferencia(material);
+
+  const [resultado] = await StockAlmacen.aggregate([
+    { $match: { material: material._id } },
+    {
+      $group: {
+        _id: '$material',
+        cantidad: { $sum: '$cantidad' },
+        valor: { $sum: { $multiply: ['$cantidad', { $ifNull: ['$costoPromedio', costoReferencia] }] } },
+      },
+    },
+  ]).session(session);
+
+  if (!resultado || !(resultado.cantidad > 0)) return costoReferencia;
+  return resultado.valor / resultado.cantidad;
+}
+
+/* ==========================================
+ * Aplicación de movimientos
+ * ========================================== */
+
+/**
+ * Aplica una entrada, salida o ajuste sobre el saldo de un almacén y
+ * actualiza el total consolidado del material.
+ *
+ * Todas las escrituras son atómicas a nivel de documento:
+ *  - entrada: $inc positivo (upsert si el saldo aún no existe).
+ *  - salida : $inc negativo SOLO si lo disponible (cantidad - reservado)
+ *             cubre lo solicitado; si otra petición consumió el stock
+ *             primero, el filtro no coincide y se responde "stock
+ *             insuficiente" (nunca queda negativo). Con reservaConsumida,
+ *             esa parte se descuenta también de la reserva.
+ *  - ajuste : $set de la cantidad final (devuelve el saldo previo), SOLO si
+ *             esa cantidad cubre lo reservado para proyectos; si no, se
+ *             responde con error (primero hay que liberar la reserva).
+ * El total del material se actualiza con $inc de la diferencia, por lo
+ * que tampoco depende de lecturas previas en memoria.
+ *
+ * Valoración (costo promedio ponderado por almacén):
+ *  - entrada: recalcula el promedio del saldo en la misma actualización
+ *             atómica (pipeline), con el costo informado o, si no se
+ *             informa, con el promedio vigente (no lo altera).
+ *  - salida / ajuste: salen al promedio vigente, que no cambia.
+ * Después se recalcula el promedio consolidado en Material.costoPromedio.
+ *
+ * @param {Object} params
+ * @param {Object} params.material Documento de material (se actualiza su cantidad en memoria).
+ * @param {Object|string} [params.almacen] Almacén afectado (por defecto, el almacén principal del material).
+ * @param {('entrada'|'salida'|'ajuste')} params.tipo Tipo de movimiento.
+ * @param {number} params.cantidad Cantidad del movimiento (para ajuste, el saldo final).
+ * @param {number|null} [params.costoUnitario] Costo unitario de una entrada (opcional).
+ * @param {string} [params.nombreAlmacen] Nombre del almacén para mensajes de error.
+ * @param {number} [params.reservaConsumida=0] Parte de una salida que se toma de una reserva (proyectos).
+ * @param {Array} [params.lotes] Lotes del movimiento [{ lote, fechaVencimiento?, cantidad }] (materiales con control de lotes).
+ * @param {import('mongoose').ClientSession|null} [params.session] Sesión de transacción (opcional).
+ *
+ * Lotes (solo si material.controlLotes): la entrada registra los lotes
+ * informados, la salida consume los indicados y el resto en orden FEFO, y
+ * el ajuste recorta los lotes que excedan el nuevo saldo.
+ *
+ * @returns {Promise<Object>} { saldo, saldoAnterior, saldoNuevo, totalAnterior, totalNuevo, costoUnitario, costoPromedio, lotes }
+ */
+async function aplicarMovimientoEnAlmacen({
+  material,
+  almacen,
+  tipo,
+  cantidad,
+  costoUnitario = null,
+  nombreAlmacen,
+  reservaConsumida = 0,
+  lotes = [],
+  session = null,
+}) {
+  const almacenId = obtenerId(almacen) || obtenerId(material.almacen);
+  if (!almacenId) {
+    throw crearErrorStock(`El material "${material.nombre}" no tiene un almacén asignado.`);
+  }
+
+  const cantidadNum = Number(cantidad) || 0;
+  if (cantidadNum < 0) {
+    throw crearErrorStock('La cantidad del movimiento no puede ser negativa.');
+  }
+
+  const costoInformado =
+    costoUnitario === null || costoUnitario === undefined || costoUnitario === '' ? null : Number(costoUnitario);
+  if (costoInformado !== null && (!Number.isFinite(costoInformado) || costoInformado < 0)) {
+    throw crearErrorStock('El costo unitario debe ser un número mayor o igual a 0.');
+  }
+
+  await asegurarSaldoInicial(material, session);
+
+  const filtroSaldo = { material: material._id, almacen: almacenId };
+  const costoReferencia = obtenerCostoReferencia(material);
+  let saldo;
+  let saldoAnterior;
+  let saldoNuevo;
+  let costoMovimiento;
+  let lotesMovimiento = [];
+
+  if (tipo === 'entrada') {
+    // Los lotes se registran antes que el saldo: si un lote es inválido, el saldo no cambia
+    if (material.controlLotes && Array.isArray(lotes) && lotes.length > 0) {
+      lotesMovimiento = await registrarLotesEntrada({ material, almacen: almacenId, lotes, cantidad: cantidadNum, session });
+    }
+
+    // Promedio ponderado calculado por el propio servidor sobre los valores vigentes
+    const cantidadPrevia = { $ifNull: ['$cantidad', 0] };
+    const costoPrevio = { $ifNull: ['$costoPromedio', costoReferencia] };
+    const costoEntrada = costoInformado !== null ? costoInformado : costoPrevio;
+    const cantidadTotal = { $add: [cantidadPrevia, cantidadNum] };
+
+    saldo = await StockAlmacen.findOneAndUpdate(
+      filtroSaldo,
+      [
+        {
+          $set: {
+            costoPromedio: {
+              $cond: [
+                { $gt: [cantidadTotal, 0] },
+                {
+                  $divide: [
+                    { $add: [{ $multiply: [cantidadPrevia, costoPrevio] }, { $multiply: [cantidadNum, costoEntrada] }] },
+                    cantidadTotal,
+                  ],
+                },
+                costoEntrada,
+              ],
+            },
+            cantidad: cantidadTotal,
+          },
+        },
+      ],
+      { new: true, upsert: true, setDefaultsOnInsert: false, session }          // Los defaults no aplican a pipelines
+    );
+    saldoNuevo = Number(saldo.cantidad) || 0;
+    saldoAnterior = saldoNuevo - cantidadNum;
+    // Sin costo informado la entrada se valora al promedio vigente (que no cambia)
+    costoMovimiento = costoInformado !== null ? costoInformado : Number(saldo.costoPromedio) || 0;
+  } else if (tipo === 'salida') {
+    // Actualización condicional: solo descuenta si hay stock suficiente en ESTE instante.
+    // Lo reservado para proyectos no cuenta como disponible, salvo la parte de la
+    // reserva que esta misma salida consume (reservaConsumida).
+    const reservaNum = Math.min(Math.max(Number(reservaConsumida) || 0, 0), cantidadNum);
+    saldo = await StockAlmacen.findOneAndUpdate(
+      {
+        ...filtroSaldo,
+        cantidad: { $gte: cantidadNum },
+        $expr: {
+          $and: [
+            { $gte: [{ $ifNull: ['$reservado', 0] }, reservaNum] },
+            {
+              $gte: [
+                { $subtract: ['$cantidad', { $ifNull: ['$reservado', 0] }] },
+                cantidadNum - reservaNum,
+              ],
+            },
+          ],
+        },
+      },
+      { $inc: { cantidad: -cantidadNum, reservado: -reservaNum } },
+      { new: true, session }
+    );
+    if (!saldo) {
+      const disponible = await obtenerDisponible(material, almacenId, session);
+      throw crearErrorStock(
+        `No hay suficiente stock de "${material.nombre}" en el almacén${nombreAlmacen ? ' ' + nombreAlmacen : ''
+        }. Disponible: ${disponible}, requerido: ${cantidadNum - reservaNum}.`
+      );
+    }
+    saldoNuevo = Number(saldo.cantidad) || 0;
+    saldoAnterior = saldoNuevo + cantidadNum;
+
+    if (material.controlLotes) {
+      try {
+        lotesMovimiento = await consumirLotes({
+          material,
+          almacen: almacenId,
+          cantidad: cantidadNum,
+          saldo: saldoAnterior,
+          lotes,
+          session,
+        });
+      } catch (error) {
+        // Sin transacción, se devuelve a mano lo descontado del saldo
+        if (!session) {
+          await StockAlmacen.updateOne(filtroSaldo, { $inc: { cantidad: cantidadNum, reservado: reservaNum } });
+        }
+        throw error;
+      }
+    }
+  } else if (tipo === 'ajuste') {
+    // Actualización condicional: el saldo ajustado no puede quedar por debajo de
+    // lo reservado para proyectos en ESTE instante (disponible negativo).
+    let saldoPrevio = await StockAlmacen.findOneAndUpdate(
+      { ...filtroSaldo, $expr: { $lte: [{ $ifNull: ['$reservado', 0] }, cantidadNum] } },
+      { $set: { cantidad: cantidadNum } },
+      { new: false, session }
+    );
+    if (!saldoPrevio) {
+      const existente = await StockAlmacen.findOne(filtroSaldo).session(session);
+      if (existente) {
+        throw crearErrorStock(
+          `No se puede ajustar "${material.nombre}" a ${cantidadNum} en el almacén${nombreAlmacen ? ' ' + nombreAlmacen : ''
+          }: hay ${Number(existente.reservado) || 0} reservado para proyectos. Libere la reserva antes de ajustar.`
+        );
+      }
+      // Sin saldo previo (nada reservado): se crea con la cantidad ajustada
+      saldoPrevio = await StockAlmacen.findOneAndUpdate(
+        filtroSaldo,
+        { $set: { cantidad: cantidadNum } },
+        { new: false, upsert: true, session }
+      );
+    }
+    saldoAnterior = saldoPrevio ? Number(saldoPrevio.cantidad) || 0 : 0;
+    saldoNuevo = cantidadNum;
+    saldo = await StockAlmacen.findOne(filtroSaldo).session(session);
+    if (material.controlLotes) {
+      lotesMovimiento = await recortarLotes({ material, almacen: almacenId, saldo: saldoNuevo, session });
+    }
+  } else {
+    throw crearErrorStock(`Tipo de movimiento no soportado: ${tipo}`);
+  }
+
+  if (tipo !== 'entrada') {
+    // Salidas y ajustes se valoran al costo promedio vigente del saldo
+    costoMovimiento =
+      saldo && saldo.costoPromedio !== null && saldo.costoPromedio !== undefined
+        ? Number(saldo.costoPromedio) || 0
+        : costoReferencia;
+  }
+
+  // Promedio consolidado del material (derivado de los saldos ya actualizados)
+  const costoPromedio = await calcularCostoPromedioConsolidado(material, session);
+
+  // Total consolidado: se incrementa con la diferencia aplicada al saldo
+  const diferencia = saldoNuevo - saldoAnterior;
+  const totalAnterior = Number(material.cantidad) || 0;
+  const materialActualizado = await Material.findByIdAndUpdate(
+    material._id,
+    { $inc: { cantidad: diferencia }, $set: { costoPromedio } },
+    { new: true, session }
+  );
+  const totalNuevo = materialActualizado ? Number(materialActualizado.cantidad) || 0 : totalAnterior + diferencia;
+  material.cantidad = totalNuevo;                                              // Refleja el total en el documento en memoria
+  material.costoPromedio = costoPromedio;
+  if (typeof material.unmarkModified === 'function') {
+    material.unmarkModified('cantidad');                                       // Evita que un save() posterior sobrescriba el $inc
+    material.unmarkModified('costoPromedio');
+  }
+
+  return {
+    saldo,
+    saldoAnterior,
+    saldoNuevo,
+    totalAnterior,
+    totalNuevo,
+    costoUnitario: costoMovimiento,
+    costoPromedio,
+    lotes: lotesMovimiento,
+  };
+}
+
+/* ==========================================
+ * Reservas de material para proyectos
+ * ========================================== */
+
+/**
+ * Reserva stock de un almacén para un proyecto. La reserva no mueve el
+ * saldo físico: solo lo compromete, de modo que las salidas, traslados y
+ * nuevas reservas ya no lo ven como disponible.
+ *
+ * Es atómica: solo incrementa "reservado" si lo disponible en ESE instante
+ * (cantidad - reservado) alcanza; si no, responde "stock insuficiente".
+ *
+ * @param {Object} params
+ * @param {Object} params.material Documento de material.
+ * @param {Object|string} [params.almacen] Almacén de la reserva (por defecto, el principal del material).
+ * @param {number} params.cantidad Cantidad a reservar.
+ * @param {import('mongoose').ClientSession|null} [params.session] Sesión de transacción (opcional).
+ * @returns {Promise<Object|null>} Saldo actualizado (null si la cantidad es 0).
+ */
+async function reservarStock({ material, almacen, cantidad, session = null }) {
+  const almacenId = obtenerId(almacen) || obtenerId(material.almacen);
+  if (!almacenId) {
+    throw crearErrorStock(`El material "${material.nombre}" no tiene un almacén asignado.`);
+  }
+
+  const cantidadNum = Number(cantidad) || 0;
+  if (cantidadNum < 0) {
+    throw crearErrorStock('La cantidad a reservar no puede ser negativa.');
+  }
+  if (cantidadNum === 0) return null;
+
+  await asegurarSaldoInicial(material, session);
+
+  const saldo = await StockAlmacen.findOneAndUpdate(
+    {
+      material: material._id,
+      almacen: almacenId,
+      $expr: { $gte: [{ $subtract: ['$cantidad', { $ifNull: ['$reservado', 0] }] }, cantidadNum] },
+    },
+    { $inc: { reservado: cantidadNum } },
+    { new: true, session }
+  );
+  if (!saldo) {
+    const disponible = await obtenerDisponible(material, almacenId, session);
+    throw crearErrorStock(
+      `Stock insuficiente para ${material.nombre}. Disponible: ${disponible}, Requerido: ${cantidadNum}`
+    );
+  }
+
+  return saldo;
+}
+
+/**
+ * Libera (total o parcialmente) una reserva. Nunca deja "reservado" por
+ * debajo de cero, aunque la reserva se haya ajustado por otra vía.
+ *
+ * @param {Object} params
+ * @param {Object} params.material Documento de material.
+ * @param {Object|string} [params.almacen] Almacén de la reserva (por defecto, el principal del material).
+ * @param {number} params.cantidad Cantidad a liberar.
+ * @param {import('mongoose').ClientSession|null} [params.session] Sesión de transacción (opcional).
+ * @returns {Promise<Object|null>} Saldo actualizado (null si no había nada que liberar).
+ */
+async function liberarReserva({ material, almacen, cantidad, session = null }) {
+  const almacenId = obtenerId(almacen) || obtenerId(material.almacen);
+  const cantidadNum = Number(cantidad) || 0;
+  if (!almacenId || cantidadNum <= 0) return null;
+
+  return StockAlmacen.findOneAndUpdate(
+    { material: material._id, almacen: almacenId },
+    [{ $set: { reservado: { $max: [{ $subtract: [{ $ifNull: ['$reservado', 0] }, cantidadNum] }, 0] } } }],
+    { new: true, session }
+  );
+}
+
+/* ==========================================
+ * Transacciones
+ * ========================================== */
+
+/**
+ * Indica si un error de MongoDB se debe a que el servidor no soporta
+ * transacciones (instancia standalone sin replica set).
+ *
+ * @param {Error} error Error capturado.
+ * @returns {boolean}
+ */
+function esErrorSinTransacciones(error) {
+  if (!error) return false;
+  return (
+    error.code === 20 ||
+    error.codeName === 'IllegalOperation' ||
+    /Transaction numbers are only allowed/i.test(error.message || '')
+  );
+}
+
+/**
+ * Ejecuta "trabajo" dentro de una transacción de MongoDB, de modo que la
+ * actualización de saldos y la creación de los movimientos se confirmen
+ * o se descarten juntas.
+ *
+ * Si el servidor no soporta transacciones (MongoDB standalone en
+ * desarrollo), ejecuta el trabajo sin sesión: los saldos siguen siendo
+ * seguros ante concurrencia gracias a las actualizaciones condicionales.
+ *
+ * @param {(session: import('mongoose').ClientSession|null) => Promise<any>} trabajo
+ * @returns {Promise<any>} Resultado devuelto por "trabajo".
+ */
+async function ejecutarEnTransaccion(trabajo) {
+  let session;
+  try {
+    session = await mongoose.startSession();
+  } catch (error) {
+    return trabajo(null);
+  }
+
+  try {
+    let resultado;
+    await session.withTransaction(async () => {
+      resultado = await trabajo(session);
+    });
+    return resultado;
+  } catch (error) {
+    if (esErrorSinTransacciones(error)) {
+      return trabajo(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/* ==========================================
+ * Alertas de stock mínimo por almacén
+ * ========================================== */
+
+/**
+ * Genera alertas de stock bajo para los administradores cuando el saldo
+ * de un almacén queda en o por debajo de su punto de reorden (consumo
+ * diario × tiempo de entrega + stock mínimo). El mensaje incluye el consumo
+ * promedio, los días de stock restantes y la cantidad sugerida a pedir.
+ *
+ * Si se envía saldoAnterior, solo alerta cuando se CRUZA el umbral hacia
+ * abajo (antes estaba por encima y ahora no). Si saldoAnterior es null,
+ * alerta siempre que el saldo esté en o por debajo del punto de reorden.
+ *
+ * El mínimo usado es el del saldo (si está configurado) o, en su defecto,
+ * el stockMinimo general del material. Sin consumo registrado, el punto de
+ * reorden es el propio mínimo.
+ *
+ * @param {Object} params
+ * @param {Object} params.material Documento de material.
+ * @param {Object} [params.almacen] Documento de almacén (para el mensaje).
+ * @param {Object} [params.saldo] Documento StockAlmacen.
+ * @param {number|null} [params.saldoAnterior=null] Saldo previo al cambio.
+ * @param {number} params.saldoNuevo Saldo actual.
+ * @param {import('socket.io').Server} [io] Instancia de Socket.io (opcional).
+ *
+ * @returns {Promise<Array>} Alertas creadas (vacío si no aplica).
+ */
+async function evaluarAlertaStockAlmacen(
+  { material, almacen, saldo, saldoAnterior = null, saldoNuevo },
+  io
+) {
+  const minimoAlmacen =
+    saldo && saldo.stockMinimo !== null && saldo.stockMinimo !== undefined
+      ? Number(saldo.stockMinimo)
+      : null;
+  const stockMinNum = minimoAlmacen !== null ? minimoAlmacen : Number(material.stockMinimo) || 0;
+
+  // Sin almacén no hay historial de consumo: el umbral es el mínimo
+  const almacenId = obtenerId(almacen) || obtenerId(saldo && saldo.almacen);
+  const sugerencia = almacenId
+    ? await calcularSugerenciaMaterialAlmacen({ material, almacen: almacenId, saldo: saldoNuevo, stockMinimo: stockMinNum })
+    : calcularSugerencia({ saldo: saldoNuevo, consumo: 0, stockMinimo: stockMinNum });
+  const umbral = sugerencia.puntoReorden;
+
+  if (umbral <= 0 || saldoNuevo > umbral) return [];
+  if (saldoAnterior !== null && saldoAnterior <= umbral) return [];
+
+  const admins = await User.find({ role: 'admin', isDeleted: { $ne: true } });
+  if (admins.length === 0) return [];
+
+  const unidad = material.unidad || '';
+  const textoAlmacen = almacen && almacen.nombre ? ` en el almacén "${almacen.nombre}"` : '';
+  const textoConsumo =
+    sugerencia.diasStock !== null
+      ? ` Consumo promedio ${sugerencia.consumoDiario} ${unidad}/día: quedan ~${sugerencia.diasStock} días de stock` +
+        ` (entrega del proveedor: ${sugerencia.tiempoEntregaDias} días).`
+      : '';
+  const textoPedido =
+    sugerencia.cantidadSugerida > 0 ? ` Sugerido pedir ${sugerencia.cantidadSugerida} ${unidad}.` : '';
+
+  const alertasCreadas = await Promise.all(
+    admins.map((admin) =>
+      Alerta.create({
+        usuario: admin._id,
+        tipo: 'stock',
+        material: material._id,
+        message:
+          `Stock bajo para el material "${material.nombre}"${textoAlmacen}: ${saldoNuevo} ${unidad} ` +
+          `(mínimo ${stockMinNum}, punto de reorden ${umbral}).${textoConsumo}${textoPedido}`,
+        threshold: umbral,
+        resolved: false,
+      })
+    )
+  );
+
+  if (io) {
+    alertasCreadas.forEach((alerta) => {
+      io.emit('alerta:nueva', { alerta });
+    });
+  }
+
+  return alertasCreadas;
+}
+
+/* ==========================================
+ * Efecto de un movimiento del kardex
+ * ========================================== */
+
+/**
+ * Calcula el efecto neto que tuvo un movimiento sobre el saldo de su almacén
+ * (positivo si sumó stock, negativo si lo descontó, 0 si no lo tocó).
+ * Lo usan la anulación (para compensar) y el kardex (para los saldos).
+ *
+ * @param {Object} movimiento Documento (o objeto plano) de MovimientoInventario.
+ * @returns {number} Efecto sobre el saldo del almacén.
+ */
+function calcularEfectoMovimiento(movimiento) {
+  const cantidad = Number(movimiento.cantidad) || 0;
+
+  if (movimiento.tipo === 'entrada') return cantidad;
+  if (movimiento.tipo === 'salida') return -cantidad;
+
+  if (movimiento.tipo === 'traslado') {
+    if (movimiento.sentidoTraslado === 'salida') return -cantidad;
+    // El tramo de entrada solo sumó stock si se recibió en el destino (en ese
+    // momento se llenan stockAnterior/stockNuevo; en tránsito quedan vacíos).
+    return tieneSaldosRegistrados(movimiento) ? cantidad : 0;
+  }
+
+  // Ajuste: el efecto es la diferencia entre el saldo anterior y el nuevo
+  return tieneSaldosRegistrados(movimiento)
+    ? Number(movimiento.stockNuevo) - Number(movimiento.stockAnterior)
+    : 0;
+}
+
+/**
+ * Indica si un movimiento tiene stockAnterior/stockNuevo numéricos.
+ *
+ * @param {Object} movimiento Movimiento de inventario.
+ * @returns {boolean} true si ambos saldos están registrados.
+ */
+function tieneSaldosRegistrados(movimiento) {
+  return (
+    movimiento.stockAnterior !== null && movimiento.stockAnterior !== undefined &&
+    movimiento.stockNuevo !== null && movimiento.stockNuevo !== undefined &&
+    Number.isFinite(Number(movimiento.stockAnterior)) &&
+    Number.isFinite(Number(movimiento.stockNuevo))
+  );
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  asegurarSaldoInicial,
+  obtenerSaldo,
+  obtenerDisponible,
+  obtenerSaldosPorMaterial,
+  obtenerSaldosPorAlmacen,
+  recalcularTotalMaterial,
+  obtenerCostoReferencia,
+  promediarCosto,
+  aplicarMovimientoEnAlmacen,
+  reservarStock,
+  liberarReserva,
+  ejecutarEnTransaccion,
+  evaluarAlertaStockAlmacen,
+  calcularEfectoMovimiento,
+};
@@ -0,0 +1,291 @@
+// File: BackEnd/src/modules/inventory/services/unidadMedida.servicio.js
+// Description: Servicio de unidades de medida y conversiones de ProCivil
+//              Manager (PCM). Normaliza la forma de escribir las unidades
+//              ("Bulto 50kg", "m³", "Kilos"), mantiene el catálogo base y
+//              convierte una cantidad expresada en cualquier unidad
+//              compatible a la unidad del material, que es en la que se
+//              guardan saldos, movimientos, reservas y presupuestos:
+//               1) La propia unidad del material (factor 1).
+//               2) Una equivalencia del material (Material.conversiones).
+//               3) Otra unidad del catálogo con la misma magnitud
+//                  (kg ↔ t, m³ ↔ l), directa o a través de una equivalencia.
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const UnidadMedida = require('../models/unidadMedida.modelo');                 // Catálogo de unidades de medida
+
+/* ==========================================
+ * Catálogo base
+ * ========================================== */
+
+// Unidades que se crean si no existen (factorBase respecto a kg, m3, m, m2, und)
+const UNIDADES_BASE = [
+  { codigo: 'kg', nombre: 'Kilogramo', magnitud: 'masa', factorBase: 1, alias: ['kilogramo', 'kilogramos', 'kilo', 'kilos', 'kgs'] },
+  { codigo: 'g', nombre: 'Gramo', magnitud: 'masa', factorBase: 0.001, alias: ['gramo', 'gramos', 'gr'] },
+  { codigo: 't', nombre: 'Tonelada', magnitud: 'masa', factorBase: 1000, alias: ['tonelada', 'toneladas', 'ton'] },
+  { codigo: 'lb', nombre: 'Libra', magnitud: 'masa', factorBase: 0.453592, alias: ['libra', 'libras'] },
+  { codigo: 'm3', nombre: 'Metro cúbico', magnitud: 'volumen', factorBase: 1, alias: ['metro cubico', 'metros cubicos', 'mt3'] },
+  { codigo: 'l', nombre: 'Litro', magnitud: 'volumen', factorBase: 0.001, alias: ['litro', 'litros', 'lt'] },
+  { codigo: 'gal', nombre: 'Galón', magnitud: 'volumen', factorBase: 0.0037854, alias: ['galon', 'galones'] },
+  { codigo: 'm', nombre: 'Metro', magnitud: 'longitud', factorBase: 1, alias: ['metro', 'metros', 'ml', 'mt'] },
+  { codigo: 'cm', nombre: 'Centímetro', magnitud: 'longitud', factorBase: 0.01, alias: ['centimetro', 'centimetros'] },
+  { codigo: 'm2', nombre: 'Metro cuadrado', magnitud: 'area', factorBase: 1, alias: ['metro cuadrado', 'metros cuadrados', 'mt2'] },
+  { codigo: 'und', nombre: 'Unidad', magnitud: 'conteo', factorBase: 1, alias: ['unidad', 'unidades', 'un', 'u'] },
+  { codigo: 'docena', nombre: 'Docena', magnitud: 'conteo', factorBase: 12, alias: ['docenas'] },
+];
+
+let catalogoAsegurado = null;                                                  // Promesa compartida por proceso
+
+/* ==========================================
+ * Helpers internos
+ * ========================================== */
+
+/**
+ * Crea un error de negocio con código HTTP asociado.
+ *
+ * @param {string} message Mensaje legible para el usuario.
+ * @param {number} [statusCode=400] Código HTTP sugerido.
+ * @returns {Error} Error con la propiedad statusCode.
+ */
+function crearErrorUnidad(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Normaliza la forma de escribir una unidad: minúsculas, sin tildes, sin
+ * puntos, con ³/² como 3/2 y espacios simples ("M³ " → "m3").
+ *
+ * @param {string} texto Unidad tal como la escribió el usuario.
+ * @returns {string} Unidad normalizada ('' si no hay texto).
+ */
+function normalizarUnidad(texto) {
+  return String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/³/g, '3')
+    .replace(/²/g, '2')
+    .replace(/\./g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Crea las unidades del catálogo base que falten (una vez por proceso).
+ *
+ * @returns {Promise<void>}
+ */
+async function asegurarCatalogoUnidades() {
+  if (!catalogoAsegurado) {
+    catalogoAsegurado = UnidadMedida.bulkWrite(
+      UNIDADES_BASE.map((unidad) => ({
+        updateOne: {
+          filter: { codigo: unidad.codigo, isDeleted: false },
+          update: { $setOnInsert: { ...unidad, isDeleted: false } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    )
+      .then(() => undefined)
+      .catch((error) => {
+        catalogoAsegurado = null;                                              // Se reintenta en la próxima llamada
+        throw error;
+      });
+  }
+  return catalogoAsegurado;
+}
+
+/**
+ * Carga el catálogo vigente indexado por código y alias normalizados.
+ *
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function cargarCatalogo() {
+  await asegurarCatalogoUnidades();
+  const unidades = await UnidadMedida.find({ isDeleted: false }).lean();
+  const porClave = new Map();
+  for (const unidad of unidades) {
+    porClave.set(normalizarUnidad(unidad.codigo), unidad);
+    for (const alias of unidad.alias || []) {
+      const clave = normalizarUnidad(alias);
+      if (!porClave.has(clave)) porClave.set(clave, unidad);
+    }
+  }
+  return porClave;
+}
+
+/* ==========================================
+ * Conversiones
+ * ========================================== */
+
+/**
+ * Factor para pasar de una unidad a la unidad del material
+ * (cantidad en el material = cantidad × factor), o null si no son
+ * compatibles.
+ *
+ * @param {Object} material Documento de material (unidad y conversiones).
+ * @param {string} unidad Unidad informada.
+ * @param {Map<string, Object>} catalogo Catálogo indexado (cargarCatalogo).
+ * @returns {number|null}
+ */
+function calcularFactor(material, unidad, catalogo) {
+  const origen = normalizarUnidad(unidad);
+  const destino = normalizarUnidad(material.unidad);
+  if (!origen || origen === destino) return 1;
+
+  const equivalencias = (material.conversiones || []).map((conv) => ({
+    clave: normalizarUnidad(conv.unidad),
+    factor: Number(conv.factor),
+  }));
+
+  // 1) Equivalencia propia del material
+  const directa = equivalencias.find((conv) => conv.clave === origen);
+  if (directa) return directa.factor;
+
+  const unidadOrigen = catalogo.get(origen);
+  if (!unidadOrigen) return null;
+
+  // 2) Misma magnitud que la unidad del material (o la misma unidad con otro alias)
+  const unidadMaterial = catalogo.get(destino);
+  if (unidadMaterial && unidadMaterial.magnitud === unidadOrigen.magnitud) {
+    return unidadOrigen.factorBase / unidadMaterial.factorBase;
+  }
+
+  // 3) A través de una equivalencia del material con la misma magnitud (l → gal → cuñete)
+  for (const conv of equivalencias) {
+    const unidadConversion = catalogo.get(conv.clave);
+    if (unidadConversion && unidadConversion.magnitud === unidadOrigen.magnitud) {
+      return (unidadOrigen.factorBase / unidadConversion.factorBase) * conv.factor;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Convierte una cantidad expresada en cualquier unidad compatible a la
+ * unidad del material. Sin unidad (o con la del material) la cantidad no
+ * cambia. Si la unidad no es compatible, responde 400 con las unidades
+ * válidas del material.
+ *
+ * @param {Object} material Documento de material.
+ * @param {number} cantidad Cantidad en la unidad informada.
+ * @param {string} [unidad] Unidad informada.
+ * @returns {Promise<{cantidad: number, factor: number, unidadOriginal: string|null, cantidadOriginal: number|null}>}
+ *          cantidad en la unidad del material; unidadOriginal/cantidadOriginal solo si hubo conversión.
+ */
+async function convertirAUnidadMaterial(material, cantidad, unidad) {
+  const cantidadNum = Number(cantidad);
+  const origen = normalizarUnidad(unidad);
+  if (!origen || origen === normalizarUnidad(material.unidad)) {
+    return { cantidad: cantidadNum, factor: 1, unidadOriginal: null, cantidadOriginal: null };
+  }
+
+  const catalogo = await cargarCatalogo();
+  const factor = calcularFactor(material, origen, catalogo);
+  if (factor === 1) {
+    // La misma unidad escrita de otra forma ("kilos" para un material en kg)
+    return { cantidad: cantidadNum, factor: 1, unidadOriginal: null, cantidadOriginal: null };
+  }
+  if (factor === null) {
+    const validas = await listarUnidadesMaterial(material, catalogo);
+    throw crearErrorUnidad(
+      `La unidad "${unidad}" no es compatible con "${material.nombre}" (${material.unidad || 'sin unidad'}). ` +
+        `Unidades válidas: ${validas.map((u) => u.unidad).join(', ')}.`
+    );
+  }
+
+  // Redondeo a 6 decimales para no arrastrar errores de coma flotante al saldo
+  const convertida = Math.round(cantidadNum * factor * 1e6) / 1e6;
+  return { cantidad: convertida, factor, unidadOriginal: String(unidad).trim(), cantidadOriginal: cantidadNum };
+}
+
+/**
+ * Lista las unidades en las que se puede expresar un material, con el
+ * factor a su unidad: la propia, sus equivalencias y las del catálogo
+ * compatibles.
+ *
+ * @param {Object} material Documento de material.
+ * @param {Map<string, Object>} [catalogo] Catálogo ya cargado (opcional).
+ * @returns {Promise<Array<{unidad: string, nombre: string, factor: number, origen: string}>>}
+ */
+async function listarUnidadesMaterial(material, catalogo = null) {
+  const indice = catalogo || (await cargarCatalogo());
+  const resultado = [{ unidad: material.unidad, nombre: material.unidad, factor: 1, origen: 'material' }];
+  const vistas = new Set([normalizarUnidad(material.unidad)]);
+
+  for (const conv of material.conversiones || []) {
+    const clave = normalizarUnidad(conv.unidad);
+    if (vistas.has(clave)) continue;
+    vistas.add(clave);
+    resultado.push({ unidad: conv.unidad, nombre: conv.unidad, factor: Number(conv.factor), origen: 'equivalencia' });
+  }
+
+  const unidadesCatalogo = [...new Map([...indice.values()].map((u) => [u.codigo, u])).values()];
+  for (const unidad of unidadesCatalogo) {
+    const clave = normalizarUnidad(unidad.codigo);
+    if (vistas.has(clave)) continue;
+    const factor = calcularFactor(material, clave, indice);
+    if (factor === null) continue;
+    // La propia unidad del material escrita con un alias no se repite
+    if (factor === 1 && indice.get(normalizarUnidad(material.unidad)) === unidad) continue;
+    vistas.add(clave);
+    resultado.push({ unidad: unidad.codigo, nombre: unidad.nombre, factor, origen: 'catalogo' });
+  }
+
+  return resultado;
+}
+
+/**
+ * Valida y normaliza las equivalencias de un material enviadas por el cliente.
+ *
+ * @param {Array} conversiones [{ unidad, factor }].
+ * @param {string} unidadMaterial Unidad del material.
+ * @returns {Array<{unidad: string, factor: number}>}
+ */
+function normalizarConversiones(conversiones, unidadMaterial) {
+  if (conversiones === undefined || conversiones === null) return [];
+  if (!Array.isArray(conversiones)) {
+    throw crearErrorUnidad('Las conversiones deben enviarse como una lista de { unidad, factor }.');
+  }
+
+  const claveMaterial = normalizarUnidad(unidadMaterial);
+  const vistas = new Set();
+  return conversiones.map((conv) => {
+    const unidad = String((conv && conv.unidad) || '').trim();
+    const clave = normalizarUnidad(unidad);
+    const factor = Number(conv && conv.factor);
+    if (!clave) {
+      throw crearErrorUnidad('Cada conversión debe indicar la unidad.');
+    }
+    if (clave === claveMaterial) {
+      throw crearErrorUnidad(`La unidad "${unidad}" es la propia unidad del material.`);
+    }
+    if (vistas.has(clave)) {
+      throw crearErrorUnidad(`La unidad "${unidad}" está repetida en las conversiones.`);
+    }
+    if (!Number.isFinite(factor) || factor <= 0) {
+      throw crearErrorUnidad(`El factor de "${unidad}" debe ser un número mayor que 0.`);
+    }
+    vistas.add(clave);
+    return { unidad, factor };
+  });
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  UNIDADES_BASE,
+  normalizarUnidad,
+  asegurarCatalogoUnidades,
+  convertirAUnidadMaterial,
+  listarUnidadesMaterial,
+  normalizarConversiones,
+};
@@ -0,0 +1,702 @@
+// File: BackEnd/src/modules/projects/controllers/bitacora.controlador.js
+// Description: Controlador de la bitácora de obra de proyectos en ProCivil
+//              Manager (PCM). El líder asignado (o el admin) registra una
+//              entrada por día con clima, personal, equipos, actividades,
+//              incidentes y fotos; la firma y desde ese momento queda en solo
+//              lectura. La interventoría (admin o auditor distinto del autor)
+//              puede refrendar las entradas firmadas. Las entradas se listan
+//              en orden cronológico y las firmadas se exportan como libro PDF.
+
+// ============================================================================
+// Importación de dependencias y modelos
+// ============================================================================
+
+const crypto = require('crypto');                                            // Huella SHA-256 de las entradas firmadas.
+const path = require('path');                                                // Claves de las fotos.
+const mongoose = require('mongoose');                                        // Validación de ObjectId.
+const PDFDocument = require('pdfkit');                                       // Generación del libro en PDF.
+const Proyectos = require('../models/proyecto.modelo');                      // Modelo de proyectos.
+const BitacoraObra = require('../models/bitacora.modelo');                   // Modelo de entradas de bitácora.
+const TareaProyecto = require('../models/tareaProyecto.modelo');             // Tareas del cronograma (actividades).
+const User = require('../../users/models/usuario.modelo');                   // Modelo de usuarios (firmantes).
+const AuditLog = require('../../audit/models/auditoria.modelo');             // Modelo de auditoría.
+const { tieneAccesoProyecto } = require('../utils/accesoProyecto');          // Reglas de acceso por rol.
+const { enlaceVista } = require('../utils/enlacesFirmados');               // Enlaces firmados de las fotos.
+const {
+  obtenerAlmacenamiento,
+  normalizarClave,
+  eliminarArchivos,
+} = require('../../../core/services/almacenamiento.servicio');               // Fotos en disco local o S3.
+
+// ============================================================================
+// Helpers internos
+// ============================================================================
+
+const MIME_FOTOS = ['image/jpeg', 'image/png', 'image/webp'];                 // Formatos de foto admitidos.
+const MIME_FOTOS_PDF = ['image/jpeg', 'image/png'];                          // Formatos que pdfkit puede incrustar.
+const ROLES_INTERVENTORIA = ['admin', 'auditor'];                            // Roles que pueden refrendar.
+
+// Helper: crea un error de negocio con código HTTP.
+const crearError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Helper: responde errores de negocio o genéricos.
+const responderError = (res, error, mensaje) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ message: 'Ya existe una entrada de bitácora para ese día.' });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`${mensaje}:`, error);
+  return res.status(500).json({ message: mensaje });
+};
+
+// Helper: id del usuario autenticado como string.
+const idUsuario = (req) => String(req.user?._id || req.user?.id || '');
+
+// Helper: busca el proyecto y valida el acceso del usuario autenticado.
+// Lectura: admin, auditor, líder asignado y cliente del proyecto.
+// Escritura: admin y líder asignado.
+const obtenerProyectoConAcceso = async (req, { escritura = false } = {}) => {
+  const proyectoId = req.params.id;
+  if (!mongoose.Types.ObjectId.isValid(proyectoId)) {
+    throw crearError('ID de proyecto inválido');
+  }
+
+  const proyecto = await Proyectos.findById(proyectoId)
+    .select('title location lider cliente email status startDate endDate')
+    .populate('lider', 'firstName lastName email');
+  if (!proyecto) {
+    throw crearError('Proyecto no encontrado', 404);
+  }
+
+  if (tieneAccesoProyecto(req.user, proyecto, { escritura })) return proyecto;
+
+  throw crearError(
+    escritura
+      ? 'Solo el administrador o el líder asignado pueden registrar la bitácora de este proyecto.'
+      : 'No tienes permisos para consultar la bitácora de este proyecto.',
+    403
+  );
+};
+
+// Helper: busca una entrada de la bitácora del proyecto.
+const obtenerEntrada = async (proyectoId, entradaId) => {
+  if (!mongoose.Types.ObjectId.isValid(entradaId)) {
+    throw crearError('ID de entrada inválido');
+  }
+  const entrada = await BitacoraObra.findOne({ _id: entradaId, proyecto: proyectoId });
+  if (!entrada) {
+    throw crearError('Entrada de bitácora no encontrada', 404);
+  }
+  return entrada;
+};
+
+// Helper: exige que la entrada siga en borrador y que la modifique su autor.
+const validarEntradaEditable = (req, entrada) => {
+  if (entrada.estado !== 'borrador') {
+    throw crearError('La entrada ya fue firmada y es de solo lectura.', 409);
+  }
+  if (String(entrada.autor) !== idUsuario(req)) {
+    throw crearError('Solo el autor puede modificar la entrada de bitácora.', 403);
+  }
+};
+
+// Helper: lee un campo que puede llegar como JSON (multipart/form-data).
+const leerCampo = (valor, campo) => {
+  if (typeof valor !== 'string') return valor;
+  try {
+    return JSON.parse(valor);
+  } catch (error) {
+    throw crearError(`El campo ${campo} no tiene un formato válido`);
+  }
+};
+
+// Helper: lee una lista (personal, equipos, actividades, incidentes...).
+const leerLista = (valor, campo) => {
+  const lista = leerCampo(valor, campo);
+  if (lista === null || lista === undefined || lista === '') return [];
+  if (!Array.isArray(lista)) {
+    throw crearError(`El campo ${campo} debe ser una lista`);
+  }
+  return lista;
+};
+
+// Helper: medianoche UTC de una fecha "YYYY-MM-DD" (o Date).
+const normalizarFecha = (valor) => {
+  const fecha = new Date(valor);
+  if (!valor || Number.isNaN(fecha.getTime())) {
+    throw crearError('La fecha de la entrada no es válida');
+  }
+  return new Date(Date.UTC(fecha.getUTCFullYear(), fecha.getUTCMonth(), fecha.getUTCDate()));
+};
+
+// Helper: valida y normaliza los campos de una entrada (creación o edición).
+const normalizarDatosEntrada = async (body = {}, proyectoId) => {
+  const datos = {};
+
+  if (body.fecha !== undefined) {
+    datos.fecha = normalizarFecha(body.fecha);
+    if (datos.fecha.getTime() > Date.now()) {
+      throw crearError('No se pueden registrar entradas de días futuros');
+    }
+  }
+
+  if (body.clima !== undefined) {
+    const clima = leerCampo(body.clima, 'clima') || {};
+    const temperatura = clima.temperatura === '' || clima.temperatura == null ? null : Number(clima.temperatura);
+    if (temperatura !== null && !Number.isFinite(temperatura)) {
+      throw crearError('La temperatura debe ser numérica');
+    }
+    datos.clima = {
+      condicion: clima.condicion || 'soleado',
+      temperatura,
+      observaciones: clima.observaciones || '',
+    };
+  }
+
+  // Listas: se descartan las filas vacías que deja el formulario.
+  if (body.personal !== undefined) {
+    datos.personal = leerLista(body.personal, 'personal').filter((p) => p && String(p.cargo || '').trim());
+  }
+  if (body.equipos !== undefined) {
+    datos.equipos = leerLista(body.equipos, 'equipos').filter(
+      (e) => e && String(e.descripcion || '').trim()
+    );
+  }
+  if (body.incidentes !== undefined) {
+    datos.incidentes = leerLista(body.incidentes, 'incidentes').filter(
+      (i) => i && String(i.descripcion || '').trim()
+    );
+  }
+  if (body.actividades !== undefined) {
+    const actividades = leerLista(body.actividades, 'actividades').filter(
+      (a) => a && String(a.descripcion || '').trim()
+    );
+    const idsTareas = actividades.map((a) => a.tarea).filter(Boolean);
+    if (idsTareas.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      throw crearError('Una de las tareas de las actividades no es válida');
+    }
+    if (idsTareas.length) {
+      const encontradas = await TareaProyecto.countDocuments({
+        _id: { $in: [...new Set(idsTareas.map(String))] },
+        proyecto: proyectoId,
+      });
+      if (encontradas !== new Set(idsTareas.map(String)).size) {
+        throw crearError('Las actividades solo pueden referirse a tareas de este proyecto');
+      }
+    }
+    datos.actividades = actividades.map((a) => ({ descripcion: a.descripcion, tarea: a.tarea || null }));
+  }
+
+  if (body.observaciones !== undefined) {
+    datos.observaciones = String(body.observaciones || '');
+  }
+
+  return datos;
+};
+
+// Helper: metadatos de las fotos recibidas por multer (mismo formato que los adjuntos).
+const construirFotos = (req, proyectoId) => {
+  const archivos = req.files || [];
+  const invalida = archivos.find((file) => !MIME_FOTOS.includes(file.mimetype));
+  if (invalida) {
+    throw crearError(`"${invalida.originalname}" no es una foto (se admiten JPG, PNG y WEBP)`);
+  }
+  return archivos.map((file) => ({
+    nombreOriginal: file.originalname,
+    nombreArchivo: file.filename,
+    tipoMime: file.mimetype,
+    size: file.size,
+    ruta: file.clave || path.posix.join('uploads', 'proyectos', proyectoId, file.filename),
+    descripcion: '',
+    fechaSubida: new Date(),
+  }));
+};
+
+// Helper: borra fotos del almacenamiento sin interrumpir la respuesta si falla.
+const eliminarArchivosFotos = (rutas) => eliminarArchivos(rutas, 'la foto de bitácora');
+
+// Helper: fotos subidas en una petición que terminó en error.
+const descartarFotosSubidas = (req, proyectoId) => {
+  eliminarArchivosFotos(
+    (req.files || []).map((file) => file.clave || path.posix.join('uploads', 'proyectos', String(proyectoId), file.filename))
+  );
+};
+
+// Helper: huella SHA-256 del contenido que se firma (sin metadatos de firma).
+const calcularHuella = (entrada) => {
+  const contenido = {
+    proyecto: String(entrada.proyecto),
+    numero: entrada.numero,
+    fecha: new Date(entrada.fecha).toISOString(),
+    clima: entrada.clima,
+    personal: entrada.personal,
+    equipos: entrada.equipos,
+    actividades: (entrada.actividades || []).map((a) => ({
+      descripcion: a.descripcion,
+      tarea: a.tarea ? String(a.tarea) : null,
+    })),
+    incidentes: entrada.incidentes,
+    fotos: (entrada.fotos || []).map((f) => f.nombreArchivo),
+    observaciones: entrada.observaciones,
+    autor: String(entrada.autor),
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(contenido)).digest('hex');
+};
+
+// Helper: nombre completo del usuario autenticado (el token solo trae id y correo).
+const obtenerNombreUsuario = async (req) => {
+  const usuario = await User.findById(idUsuario(req)).select('firstName lastName email');
+  return usuario ? usuario.nombreCompleto || usuario.email : req.user?.email || '';
+};
+
+// Helper: registra la acción en auditoría sin interrumpir la respuesta si falla.
+const registrarAuditoria = async (req, action, entrada, details = {}) => {
+  try {
+    await AuditLog.create({
+      user: req.user ? req.user.id : undefined,
+      action,
+      resource: 'BitacoraObra',
+      details: { proyecto: entrada.proyecto, entrada: entrada._id, numero: entrada.numero, ...details },
+    });
+  } catch (errorAuditoria) {
+    console.error('Error al registrar auditoría de bitácora:', errorAuditoria);
+  }
+};
+
+// Helper: consulta de entradas en orden cronológico con autor y tareas poblados.
+const buscarEntradas = (filtro) =>
+  BitacoraObra.find(filtro)
+    .sort({ fecha: 1 })
+    .populate('autor', 'firstName lastName email role')
+    .populate('actividades.tarea', 'nombre');
+
+// Helper: entrada lista para la respuesta; las fotos no son públicas y cada
+// una lleva un enlace firmado y temporal ("url").
+const serializarEntrada = async (req, entrada) => {
+  const datos = entrada.toJSON();
+  for (const foto of datos.fotos || []) {
+    foto.url = await enlaceVista(req, foto.ruta);
+  }
+  return datos;
+};
+
+// Helper: una entrada con las mismas referencias pobladas (respuestas de escritura).
+const poblarEntrada = async (req, entradaId) =>
+  serializarEntrada(
+    req,
+    await BitacoraObra.findById(entradaId)
+      .populate('autor', 'firstName lastName email role')
+      .populate('actividades.tarea', 'nombre')
+  );
+
+// ============================================================================
+// Controladores
+// ============================================================================
+
+// --------------------------------------------------------------------------
+// Listar las entradas de la bitácora en orden cronológico.
+// --------------------------------------------------------------------------
+const obtenerBitacoraProyecto = async (req, res) => {
+  try {
+    const proyecto = await obtenerProyectoConAcceso(req);
+    const entradas = await buscarEntradas({ proyecto: proyecto._id });
+
+    return res.status(200).json({
+      proyecto: { _id: proyecto._id, title: proyecto.title },
+      entradas: await Promise.all(entradas.map((entrada) => serializarEntrada(req, entrada))),
+    });
+  } catch (error) {
+    return responderError(res, error, 'Error al obtener la bitácora del proyecto');
+  }
+};
+
+// --------------------------------------------------------------------------
+// Crear una entrada (admin o líder asignado). Fotos en el campo "fotos".
+// --------------------------------------------------------------------------
+const crearEntradaBitacora = async (req, res) => {
+  try {
+    const proyecto = await obtenerProyectoConAcceso(req, { escritura: true });
+    if (req.body?.fecha === undefined) {
+      throw crearError('La fecha de la entrada es obligatoria');
+    }
+
+    const datos = await normalizarDatosEntrada(req.body, proyecto._id);
+    const fotos = construirFotos(req, req.params.id);
+
+    // Consecutivo del libro: siguiente al último folio del proyecto.
+    const ultima = await BitacoraObra.findOne({ proyecto: proyecto._id }).sort({ numero: -1 }).select('numero');
+
+    const entrada = await BitacoraObra.create({
+      ...datos,
+      proyecto: proyecto._id,
+      numero: (ultima?.numero || 0) + 1,
+      fotos,
+      autor: idUsuario(req),
+    });
+
+    return res.status(201).json({
+      message: 'Entrada de bitácora registrada',
+      entrada: await poblarEntrada(req, entrada._id),
+    });
+  } catch (error) {
+    descartarFotosSubidas(req, req.params.id);
+    return responderError(res, error, 'Error al registrar la entrada de bitácora');
+  }
+};
+
+// --------------------------------------------------------------------------
+// Actualizar una entrada en borrador (solo su autor).
+// Fotos nuevas en "fotos"; "fotosEliminar" con los ids de las que se quitan.
+// --------------------------------------------------------------------------
+const actualizarEntradaBitacora = async (req, res) => {
+  try {
+    const proyecto = await obtenerProyectoConAcceso(req, { escritura: true });
+    const entrada = await obtenerEntrada(proyecto._id, req.params.entradaId);
+    validarEntradaEditable(req, entrada);
+
+    const datos = await normalizarDatosEntrada(req.body, proyecto._id);
+    const fotosNuevas = construirFotos(req, req.params.id);
+
+    const idsEliminar = leerLista(req.body?.fotosEliminar, 'fotosEliminar').map(String);
+    const fotosEliminadas = entrada.fotos.filter((f) => idsEliminar.includes(String(f._id)));
+
+    entrada.set(datos);
+    entrada.fotos = entrada.fotos
+      .filter((f) => !idsEliminar.includes(String(f._id)))
+      .concat(fotosNuevas);
+    await entrada.save();
+
+    eliminarArchivosFotos(fotosEliminadas.map((f) => f.ruta));
+
+    return res.status(200).json({
+      message: 'Entrada de bitácora actualizada',
+      entrada: await poblarEntrada(req, entrada._id),
+    });
+  } catch (error) {
+    descartarFotosSubidas(req, req.params.id);
+    return responderError(res, error, 'Error al actualizar la entrada de bitácora');
+  }
+};
+
+// --------------------------------------------------------------------------
+// Eliminar una entrada en borrador (solo su autor).
+// --------------------------------------------------------------------------
+const eliminarEntradaBitacora = async (req, res) => {
+  try {
+    const proyecto = await obtenerProyectoConAcceso(req, { escritura: true });
+    const entrada = await obtenerEntrada(proyecto._id, req.params.entradaId);
+    validarEntradaEditable(req, entrada);
+
+    await entrada.deleteOne();
+    eliminarArchivosFotos(entrada.fotos.map((f) => f.ruta));
+
+    return res.status(200).json({ message: 'Entrada de bitácora eliminada' });
+  } catch (error) {
+    return responderError(res, error, 'Error al eliminar la entrada de bitácora');
+  }
+};
+
+// --------------------------------------------------------------------------
+// Firmar una entrada (solo su autor). Desde aquí queda en solo lectura.
+// --------------------------------------------------------------------------
+const firmarEntradaBitacora = async (req, res) => {
+  try {
+    const proyecto = await obtenerProyectoConAcceso(req, { escritura: true });
+    const entrada = await obtenerEntrada(proyecto._id, req.params.entradaId);
+    validarEntradaEditable(req, entrada);
+
+    entrada.estado = 'firmada';
+    entrada.firma = {
+      usuario: idUsuario(req),
+      nombre: await obtenerNombreUsuario(req),
+      fecha: new Date(),
+      huella: calcularHuella(entrada),
+    };
+    await entrada.save();
+
+    await registrarAuditoria(req, 'FIRMAR_BITACORA', entrada, { huella: entrada.firma.huella });
+
+    return res.status(200).json({
+      message: 'Entrada de bitácora firmada',
+      entrada: await poblarEntrada(req, entrada._id),
+    });
+  } catch (error) {
+    return responderError(res, error, 'Error al firmar la entrada de bitácora');
+  }
+};
+
+// --------------------------------------------------------------------------
+// Refrendar una entrada firmada (interventoría: admin o auditor, no el autor).
+// --------------------------------------------------------------------------
+const refrendarEntradaBitacora = async (req, res) => {
+  try {
+    if (!ROLES_INTERVENTORIA.includes(req.user?.role)) {
+      throw crearError('Solo la interventoría puede refrendar la bitácora.', 403);
+    }
+    const proyecto = await obtenerProyectoConAcceso(req);
+    const entrada = await obtenerEntrada(proyecto._id, req.params.entradaId);
+
+    if (entrada.estado === 'borrador') {
+      throw crearError('La entrada debe estar firmada por su autor antes del refrendo.', 409);
+    }
+    if (entrada.estado === 'refrendada') {
+      throw crearError('La entrada ya fue refrendada.', 409);
+    }
+    if (String(entrada.autor) === idUsuario(req)) {
+      throw crearError('El autor no puede refrendar su propia entrada.', 403);
+    }
+
+    entrada.estado = 'refrendada';
+    entrada.refrendo = {
+      usuario: idUsuario(req),
+      nombre: await obtenerNombreUsuario(req),
+      fecha: new Date(),
+      observaciones: String(req.body?.observaciones || ''),
+    };
+    await entrada.save();
+
+    await registrarAuditoria(req, 'REFRENDAR_BITACORA', entrada);
+
+    return res.status(200).json({
+      message: 'Entrada de bitácora refrendada',
+      entrada: await poblarEntrada(req, entrada._id),
+    });
+  } catch (error) {
+    return responderError(res, error, 'Error al refrendar la entrada de bitácora');
+  }
+};
+
+// --------------------------------------------------------------------------
+// Exportar la bitácora (entradas firmadas) como libro en PDF.
+// --------------------------------------------------------------------------
+const exportarBitacoraPDF = async (req, res) => {
+  try {
+    const proyecto = await obtenerProyectoConAcceso(req);
+    const entradas = await buscarEntradas({
+      proyecto: proyecto._id,
+      estado: { $in: ['firmada', 'refrendada'] },
+    });
+    if (!entradas.length) {
+      throw crearError('La bitácora no tiene entradas firmadas para exportar', 404);
+    }
+
+    const imagenes = await cargarFotosPdf(entradas);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=Bitacora_${proyecto._id}.pdf`);
+    generarPdfBitacora(proyecto, entradas, res, imagenes);
+  } catch (error) {
+    return responderError(res, error, 'Error al exportar la bitácora a PDF');
+  }
+};
+
+/**
+ * Lee del almacenamiento las fotos que pdfkit puede incrustar. Las que no
+ * estén disponibles se omiten (el PDF las lista por nombre).
+ *
+ * @param {Array<Object>} entradas Entradas a exportar.
+ * @returns {Promise<Map<string, Buffer>>} Contenido por ruta de foto.
+ */
+async function cargarFotosPdf(entradas) {
+  const imagenes = new Map();
+  const almacenamiento = obtenerAlmacenamiento();
+  const rutas = entradas.flatMap((e) => e.fotos.filter((f) => MIME_FOTOS_PDF.includes(f.tipoMime)).map((f) => f.ruta));
+
+  for (const ruta of new Set(rutas.filter(Boolean))) {
+    try {
+      imagenes.set(ruta, await almacenamiento.leer(normalizarClave(ruta)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`No se pudo leer la foto ${ruta}:`, error.message);
+    }
+  }
+  return imagenes;
+}
+
+/**
+ * Dibuja el libro de bitácora (portada y una sección por entrada firmada)
+ * y lo envía por el stream.
+ *
+ * @param {Object} proyecto Proyecto con líder poblado.
+ * @param {Array<Object>} entradas Entradas firmadas en orden cronológico.
+ * @param {import('stream').Writable} destino Stream de salida (respuesta HTTP).
+ * @param {Map<string, Buffer>} [imagenes] Fotos ya leídas (ver cargarFotosPdf).
+ */
+function generarPdfBitacora(proyecto, entradas, destino, imagenes = new Map()) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: 40, bottom: 50, left: 40, right: 40 },
+    bufferPages: true,                                                     // Permite numerar páginas al final
+  });
+  doc.pipe(destino);
+
+  const colors = {
+    primary: '#2563eb',
+    text: '#1e293b',
+    secondary: '#64748b',
+    lightGray: '#e2e8f0',
+    danger: '#ef4444',
+    success: '#10b981',
+  };
+  const ancho = doc.page.width - 80;
+  const fecha = (valor) =>
+    valor ? new Date(valor).toLocaleDateString('es-CO', { timeZone: 'UTC', dateStyle: 'long' }) : '—';
+  const fechaHora = (valor) => (valor ? new Date(valor).toLocaleString('es-CO') : '—');
+  const nombreUsuario = (u) => (u ? [u.firstName, u.lastName].filter(Boolean).join(' ') || u.email : '—');
+
+  // Salta de página si no cabe el siguiente bloque.
+  const asegurarEspacio = (alto) => {
+    if (doc.y + alto > doc.page.height - 60) doc.addPage();
+  };
+  const titulo = (texto) => {
+    asegurarEspacio(40);
+    doc.moveDown(0.6).fontSize(11).font('Helvetica-Bold').fillColor(colors.primary).text(texto, 40, doc.y, { width: ancho });
+    doc.moveDown(0.2).font('Helvetica').fontSize(10).fillColor(colors.text);
+  };
+  const linea = (texto) => {
+    asegurarEspacio(16);
+    doc.text(texto, 50, doc.y, { width: ancho - 10 });
+  };
+
+  // Portada
+  doc.rect(0, 0, doc.page.width, 80).fill(colors.primary);
+  doc.fillColor('#ffffff').fontSize(22).font('Helvetica-Bold').text('Bitácora de obra', 40, 22);
+  doc.fontSize(11).font('Helvetica').fillColor('#e0e7ff').text(proyecto.title || '', 40, 52, { width: ancho });
+
+  doc.fillColor(colors.text).fontSize(11).font('Helvetica').text('', 40, 110);
+  linea(`Ubicación: ${proyecto.location || '—'}`);
+  linea(`Líder de obra: ${nombreUsuario(proyecto.lider)}`);
+  linea(`Periodo: ${fecha(entradas[0].fecha)} — ${fecha(entradas[entradas.length - 1].fecha)}`);
+  linea(`Entradas firmadas: ${entradas.length}`);
+  linea(`Generado: ${fechaHora(new Date())}`);
+
+  entradas.forEach((entrada) => {
+    doc.addPage();
+
+    // Encabezado de la entrada
+    doc.rect(40, 40, ancho, 36).fill(colors.lightGray);
+    doc
+      .fillColor(colors.text)
+      .fontSize(14)
+      .font('Helvetica-Bold')
+      .text(`Folio ${entrada.numero} · ${fecha(entrada.fecha)}`, 50, 50, { width: ancho - 20 });
+    doc.text('', 40, 90);
+
+    titulo('Clima');
+    const clima = entrada.clima || {};
+    linea(
+      `${clima.condicion || '—'}${clima.temperatura != null ? ` · ${clima.temperatura} °C` : ''}` +
+        `${clima.observaciones ? ` · ${clima.observaciones}` : ''}`
+    );
+
+    titulo('Personal en obra');
+    if (!entrada.personal.length) linea('Sin registro.');
+    entrada.personal.forEach((p) => linea(`• ${p.cantidad} ${p.cargo}${p.empresa ? ` (${p.empresa})` : ''}`));
+
+    titulo('Equipos');
+    if (!entrada.equipos.length) linea('Sin registro.');
+    entrada.equipos.forEach((e) => linea(`• ${e.cantidad} × ${e.descripcion}${e.horas ? ` · ${e.horas} h` : ''}`));
+
+    titulo('Actividades ejecutadas');
+    if (!entrada.actividades.length) linea('Sin registro.');
+    entrada.actividades.forEach((a) =>
+      linea(`• ${a.descripcion}${a.tarea?.nombre ? ` (tarea: ${a.tarea.nombre})` : ''}`)
+    );
+
+    titulo('Incidentes');
+    if (!entrada.incidentes.length) linea('Sin incidentes.');
+    entrada.incidentes.forEach((i) => {
+      doc.fillColor(i.gravedad === 'alta' ? colors.danger : colors.text);
+      linea(`• [${i.tipo} · gravedad ${i.gravedad}] ${i.descripcion}`);
+      doc.fillColor(colors.text);
+    });
+
+    if (entrada.observaciones) {
+      titulo('Observaciones');
+      linea(entrada.observaciones);
+    }
+
+    // Fotos: dos por fila; las que no se pueden incrustar se listan por nombre.
+    if (entrada.fotos.length) {
+      titulo('Registro fotográfico');
+      const anchoFoto = (ancho - 20) / 2;
+      const altoFoto = 150;
+      let columna = 0;
+      entrada.fotos.forEach((foto) => {
+        const imagen = imagenes.get(foto.ruta);
+        if (!MIME_FOTOS_PDF.includes(foto.tipoMime) || !imagen) {
+          linea(`• ${foto.nombreOriginal}`);
+          return;
+        }
+        if (columna === 0) asegurarEspacio(altoFoto + 10);
+        const x = 40 + columna * (anchoFoto + 20);
+        const y = doc.y;
+        try {
+          doc.image(imagen, x, y, { fit: [anchoFoto, altoFoto], align: 'center', valign: 'center' });
+        } catch (errorImagen) {
+          doc.fontSize(9).fillColor(colors.secondary).text(foto.nombreOriginal, x, y, { width: anchoFoto });
+          doc.fontSize(10).fillColor(colors.text);
+        }
+        columna = (columna + 1) % 2;
+        doc.y = columna === 0 ? y + altoFoto + 10 : y;
+      });
+      if (columna === 1) doc.y += altoFoto + 10;
+    }
+
+    // Firmas
+    titulo('Firmas');
+    linea(`Elaboró y firmó: ${entrada.firma?.nombre || nombreUsuario(entrada.autor)} · ${fechaHora(entrada.firma?.fecha)}`);
+    doc.fontSize(8).fillColor(colors.secondary);
+    linea(`Huella SHA-256: ${entrada.firma?.huella || '—'}`);
+    doc.fontSize(10).fillColor(colors.text);
+    if (entrada.estado === 'refrendada') {
+      doc.fillColor(colors.success);
+      linea(`Refrendó (interventoría): ${entrada.refrendo?.nombre || '—'} · ${fechaHora(entrada.refrendo?.fecha)}`);
+      doc.fillColor(colors.text);
+      if (entrada.refrendo?.observaciones) linea(`Observaciones: ${entrada.refrendo.observaciones}`);
+    } else {
+      doc.fillColor(colors.secondary);
+      linea('Sin refrendo de interventoría.');
+      doc.fillColor(colors.text);
+    }
+  });
+
+  // Pie de página con numeración
+  const { count: pageCount } = doc.bufferedPageRange();
+  for (let i = 0; i < pageCount; i++) {
+    doc.switchToPage(i);
+    doc.page.margins.bottom = 0;                                           // Evita que el pie genere páginas extra
+    doc
+      .fontSize(8)
+      .fillColor(colors.secondary)
+      .font('Helvetica')
+      .text(`${proyecto.title || ''}  ·  Página ${i + 1} de ${pageCount}  ·  ProCivil Manager`, 40, doc.page.height - 35, {
+        align: 'center',
+        width: ancho,
+      });
+  }
+
+  doc.end();
+}
+
+// ============================================================================
+// Exportación de controladores
+// ============================================================================
+
+module.exports = {
+  obtenerBitacoraProyecto,
+  crearEntradaBitacora,
+  actualizarEntradaBitacora,
+  eliminarEntradaBitacora,
+  firmarEntradaBitacora,
+  refrendarEntradaBitacora,
+  exportarBitacoraPDF,
+};
@@ -0,0 +1,260 @@
+// File: BackEnd/src/modules/projects/controllers/cuarentenaArchivos.controlador.js
+// Description: Controlador de la cuarentena de adjuntos de proyectos en
+//              ProCivil Manager (PCM). Los archivos que la inspección de la
+//              subida marca como sospechosos (el contenido no corresponde al
+//              tipo declarado, es ejecutable, el antivirus detectó una amenaza
+//              o no se pudo analizar) quedan retenidos bajo "cuarentena/".
+//              El admin los lista y decide: liberarlos (pasan a la carpeta
+//              normal del proyecto) o descartarlos (se borra el archivo y se
+//              recupera la revisión anterior, si la había). Cada decisión
+//              queda en auditoría y se avisa a quien subió el archivo.
+
+// ============================================================================
+// Importación de dependencias y modelos
+// ============================================================================
+
+const mongoose = require('mongoose');                                        // Validación de ObjectId.
+const Proyectos = require('../models/proyecto.modelo');                      // Modelo de proyectos.
+const AuditLog = require('../../audit/models/auditoria.modelo');             // Modelo de auditoría.
+const {
+  descartarVersionVigente,
+  enCuarentena,
+  obtenerVersion,
+} = require('../services/documentosProyecto.servicio');                      // Revisiones de los adjuntos.
+const {
+  esFotoProcesable,
+  procesarFoto,
+} = require('../services/fotosProyecto.servicio');                           // EXIF y miniaturas de fotos de avance.
+const {
+  CARPETA_CUARENTENA,
+  obtenerAlmacenamiento,
+  normalizarClave,
+  eliminarArchivos,
+} = require('../../../core/services/almacenamiento.servicio');               // Archivos en disco local o S3.
+const { crearAlertaGenerica } = require('../../alerts/services/alerta.servicio'); // Alertas (y aviso por Socket.io).
+
+// ============================================================================
+// Helpers internos
+// ============================================================================
+
+// Helper: crea un error de negocio con código HTTP.
+const crearError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Helper: responde errores de negocio o genéricos.
+const responderError = (res, error, mensaje) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`${mensaje}:`, error);
+  return res.status(500).json({ message: mensaje });
+};
+
+// Helper: carga proyecto y adjunto con una revisión pendiente en cuarentena.
+const cargarAdjuntoRetenido = async (req) => {
+  const { id, adjuntoId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(adjuntoId)) {
+    throw crearError('ID de proyecto o de adjunto inválido');
+  }
+
+  const proyecto = await Proyectos.findById(id);
+  if (!proyecto) {
+    throw crearError('Proyecto no encontrado', 404);
+  }
+  const adjunto = proyecto.adjuntos.id(adjuntoId);
+  if (!adjunto) {
+    throw crearError('Adjunto no encontrado', 404);
+  }
+  if (!enCuarentena(adjunto)) {
+    throw crearError('El adjunto no tiene archivos pendientes en cuarentena', 409);
+  }
+  return { proyecto, adjunto };
+};
+
+// Helper: registra la decisión del admin en la cuarentena.
+const registrarRevision = (req, adjunto, estado) => {
+  adjunto.cuarentena.estado = estado;
+  adjunto.cuarentena.revisadoPor = req.user.id;
+  adjunto.cuarentena.fechaRevision = new Date();
+  adjunto.cuarentena.comentario = String(req.body?.comentario || '').trim();
+};
+
+// Helper: registra la acción en auditoría sin interrumpir la respuesta si falla.
+const registrarAuditoria = async (req, action, proyecto, version, details = {}) => {
+  try {
+    await AuditLog.create({
+      user: req.user ? req.user.id : undefined,
+      action,
+      resource: 'Proyecto',
+      details: {
+        proyecto: proyecto._id,
+        documento: version.nombreOriginal,
+        revision: version.revision,
+        comentario: String(req.body?.comentario || '').trim(),
+        ...details,
+      },
+    });
+  } catch (errorAuditoria) {
+    console.error('Error al registrar auditoría de cuarentena:', errorAuditoria);
+  }
+};
+
+// Helper: avisa a quien subió el archivo sin interrumpir la respuesta si falla.
+const notificarAutor = async (req, proyecto, version, message, nivel = 'info') => {
+  if (!version.autor) return;
+  try {
+    await crearAlertaGenerica(
+      { tipo: 'proyecto', usuarioId: version.autor, proyectoId: proyecto._id, message, nivel },
+      req.app && req.app.get ? req.app.get('io') : null
+    );
+  } catch (errorAlerta) {
+    console.error('Error al crear la alerta de cuarentena:', errorAlerta);
+  }
+};
+
+// ============================================================================
+// Controladores
+// ============================================================================
+
+// --------------------------------------------------------------------------
+// Archivos pendientes en cuarentena de todos los proyectos (admin).
+// --------------------------------------------------------------------------
+const listarArchivosEnCuarentena = async (req, res) => {
+  try {
+    const proyectos = await Proyectos.find({ 'adjuntos.cuarentena.estado': 'pendiente' })
+      .select('title adjuntos')
+      .populate('adjuntos.subidoPor', 'firstName lastName email role')
+      .lean();
+
+    const archivos = proyectos
+      .flatMap((proyecto) =>
+        proyecto.adjuntos.filter(enCuarentena).map((adjunto) => ({
+          proyecto: { _id: proyecto._id, title: proyecto.title },
+          adjunto: {
+            _id: adjunto._id,
+            nombreOriginal: adjunto.nombreOriginal,
+            tipoMime: adjunto.tipoMime,
+            size: adjunto.size,
+            categoria: adjunto.categoria,
+            revision: adjunto.revision,
+            fechaSubida: adjunto.fechaSubida,
+            subidoPor: adjunto.subidoPor,
+          },
+          cuarentena: adjunto.cuarentena,
+        }))
+      )
+      .sort((a, b) => new Date(b.cuarentena.fecha) - new Date(a.cuarentena.fecha));
+
+    return res.status(200).json({ total: archivos.length, archivos });
+  } catch (error) {
+    return responderError(res, error, 'Error al obtener los archivos en cuarentena');
+  }
+};
+
+// --------------------------------------------------------------------------
+// Liberar la revisión retenida (admin). Body: comentario (opcional).
+// El archivo pasa a la carpeta normal del proyecto y vuelve a estar disponible.
+// --------------------------------------------------------------------------
+const liberarAdjuntoCuarentena = async (req, res) => {
+  try {
+    const { proyecto, adjunto } = await cargarAdjuntoRetenido(req);
+    const version = adjunto.versiones.id(adjunto.cuarentena.version) || obtenerVersion(adjunto);
+
+    const claveRetenida = normalizarClave(version.ruta);
+    const prefijo = `${CARPETA_CUARENTENA}/`;
+    const claveLiberada = claveRetenida.startsWith(prefijo) ? claveRetenida.slice(prefijo.length) : claveRetenida;
+    if (claveLiberada !== claveRetenida) {
+      const almacenamiento = obtenerAlmacenamiento();
+      const contenido = await almacenamiento.leer(claveRetenida);
+      await almacenamiento.guardar(claveLiberada, contenido, { tipoMime: version.tipoMime });
+    }
+
+    version.ruta = claveLiberada;
+    const esVigente = String(version._id) === String(adjunto.versionActual);
+    if (esVigente) {
+      adjunto.ruta = claveLiberada;
+      if (esFotoProcesable(adjunto.tipoMime)) {
+        adjunto.foto = await procesarFoto(adjunto.ruta);
+      }
+    }
+    registrarRevision(req, adjunto, 'liberado');
+    await proyecto.save();
+
+    if (claveLiberada !== claveRetenida) {
+      eliminarArchivos([claveRetenida], 'el archivo retenido');
+    }
+
+    await registrarAuditoria(req, 'LIBERAR_ARCHIVO_CUARENTENA', proyecto, version, { adjunto: adjunto._id });
+    await notificarAutor(
+      req,
+      proyecto,
+      version,
+      `El archivo "${version.nombreOriginal}" (Rev. ${version.revision}) del proyecto "${proyecto.title}" fue revisado y liberado de la cuarentena.`
+    );
+
+    return res.status(200).json({ message: 'Archivo liberado de la cuarentena', adjunto });
+  } catch (error) {
+    return responderError(res, error, 'Error al liberar el archivo de la cuarentena');
+  }
+};
+
+// --------------------------------------------------------------------------
+// Descartar la revisión retenida (admin). Body: comentario (opcional).
+// Se borra el archivo; si el documento tenía revisiones anteriores, vuelve a
+// estar vigente la anterior, y si no, se elimina el adjunto.
+// --------------------------------------------------------------------------
+const descartarAdjuntoCuarentena = async (req, res) => {
+  try {
+    const { proyecto, adjunto } = await cargarAdjuntoRetenido(req);
+    const { version, quedaDocumento } = descartarVersionVigente(adjunto);
+    const comentario = String(req.body?.comentario || '').trim();
+
+    if (quedaDocumento) {
+      registrarRevision(req, adjunto, 'descartado');
+      adjunto.foto = esFotoProcesable(adjunto.tipoMime) ? await procesarFoto(adjunto.ruta) : null;
+    } else {
+      adjunto.deleteOne();
+    }
+    await proyecto.save();
+    eliminarArchivos([version.ruta], 'el archivo descartado');
+
+    await registrarAuditoria(req, 'DESCARTAR_ARCHIVO_CUARENTENA', proyecto, version, {
+      adjunto: adjunto._id,
+      documentoEliminado: !quedaDocumento,
+    });
+    await notificarAutor(
+      req,
+      proyecto,
+      version,
+      `El archivo "${version.nombreOriginal}" (Rev. ${version.revision}) del proyecto "${proyecto.title}" fue descartado tras la revisión de la cuarentena.${
+        comentario ? ` Comentario: ${comentario}` : ''
+      }`,
+      'advertencia'
+    );
+
+    return res.status(200).json({
+      message: quedaDocumento
+        ? `Archivo descartado; la revisión ${adjunto.revision} vuelve a estar vigente`
+        : 'Archivo descartado y documento eliminado',
+      adjunto: quedaDocumento ? adjunto : null,
+    });
+  } catch (error) {
+    return responderError(res, error, 'Error al descartar el archivo de la cuarentena');
+  }
+};
+
+// ============================================================================
+// Exportación de controladores
+// ============================================================================
+
+module.exports = {
+  listarArchivosEnCuarentena,
+  liberarAdjuntoCuarentena,
+  descartarAdjuntoCuarentena,
+};
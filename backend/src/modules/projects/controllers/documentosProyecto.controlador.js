@@ -0,0 +1,408 @@
+// File: BackEnd/src/modules/projects/controllers/documentosProyecto.controlador.js
+// Description: Controlador del control documental de adjuntos de proyectos en
+//              ProCivil Manager (PCM). Expone el historial de revisiones de un
+//              adjunto (letra, fecha, autor y nota de cambio) con su historial
+//              de descargas, y la descarga de cualquier revisión (directa o
+//              con un enlace firmado y temporal), que queda registrada para
+//              demostrar qué revisión usó cada persona.
+//              Gestiona además la aprobación de entregables: el líder envía la
+//              revisión vigente al admin y/o al cliente, que la aprueban o
+//              rechazan con comentarios (con alertas y registro en auditoría).
+
+// ============================================================================
+// Importación de dependencias y modelos
+// ============================================================================
+
+const mongoose = require('mongoose');                                        // Validación de ObjectId.
+const Proyectos = require('../models/proyecto.modelo');                      // Modelo de proyectos.
+const User = require('../../users/models/usuario.modelo');                   // Modelo de usuarios (revisores).
+const AuditLog = require('../../audit/models/auditoria.modelo');             // Modelo de auditoría.
+const {
+  asegurarVersiones,
+  obtenerVersion,
+  ROLES_REVISORES,
+  rondaVigente,
+  enCuarentena,
+  versionEnCuarentena,
+} = require('../services/documentosProyecto.servicio');                      // Revisiones, aprobación y cuarentena de adjuntos.
+const { crearAlertaGenerica } = require('../../alerts/services/alerta.servicio'); // Alertas (y aviso por Socket.io).
+const { tieneAccesoProyecto } = require('../utils/accesoProyecto');          // Reglas de acceso por rol.
+const {
+  obtenerAlmacenamiento,
+  normalizarClave,
+  generarUrlFirmada,
+} = require('../../../core/services/almacenamiento.servicio');               // Archivos en disco local o S3.
+
+// ============================================================================
+// Helpers internos
+// ============================================================================
+
+// Helper: crea un error de negocio con código HTTP.
+const crearError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Helper: responde errores de negocio o genéricos.
+const responderError = (res, error, mensaje) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`${mensaje}:`, error);
+  return res.status(500).json({ message: mensaje });
+};
+
+// Helper: carga proyecto y adjunto validando ids y acceso de lectura. Los
+// adjuntos anteriores al control de versiones reciben su revisión inicial.
+const cargarDocumento = async (req) => {
+  const { id, adjuntoId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(adjuntoId)) {
+    throw crearError('ID de proyecto o de adjunto inválido');
+  }
+
+  const proyecto = await Proyectos.findById(id);
+  if (!proyecto) {
+    throw crearError('Proyecto no encontrado', 404);
+  }
+  if (!tieneAccesoProyecto(req.user, proyecto)) {
+    throw crearError('No tienes permisos para consultar los documentos de este proyecto.', 403);
+  }
+
+  const adjunto = proyecto.adjuntos.id(adjuntoId);
+  if (!adjunto) {
+    throw crearError('Adjunto no encontrado', 404);
+  }
+
+  if (asegurarVersiones(adjunto)) {
+    await proyecto.save();
+  }
+  return { proyecto, adjunto };
+};
+
+// Helper: nombre del usuario autenticado para dejarlo en la aprobación.
+const obtenerNombreUsuario = async (req) => {
+  const usuario = await User.findById(req.user.id).select('firstName lastName email');
+  return usuario ? usuario.nombreCompleto || usuario.email : req.user?.email || '';
+};
+
+// Helper: id del usuario cliente del proyecto (por referencia o correo).
+const obtenerClienteId = async (proyecto) => {
+  if (proyecto.cliente) return proyecto.cliente;
+  if (!proyecto.email) return null;
+  const cliente = await User.findOne({ email: proyecto.email.toLowerCase(), role: 'cliente' }).select('_id');
+  return cliente ? cliente._id : null;
+};
+
+// Helper: lee la lista de revisores ("admin", "cliente") del cuerpo (arreglo o texto separado por comas).
+const leerRevisores = (valor) => {
+  const lista = Array.isArray(valor) ? valor : String(valor || 'admin').split(',');
+  const revisores = [...new Set(lista.map((r) => String(r).trim().toLowerCase()).filter(Boolean))];
+  if (!revisores.length || revisores.some((r) => !ROLES_REVISORES.includes(r))) {
+    throw crearError('Los revisores deben ser "admin" y/o "cliente"');
+  }
+  return revisores;
+};
+
+// Helper: registra la acción en auditoría sin interrumpir la respuesta si falla.
+const registrarAuditoria = async (req, action, proyecto, adjunto, details = {}) => {
+  try {
+    await AuditLog.create({
+      user: req.user ? req.user.id : undefined,
+      action,
+      resource: 'Proyecto',
+      details: {
+        proyecto: proyecto._id,
+        adjunto: adjunto._id,
+        documento: adjunto.nombreOriginal,
+        revision: adjunto.revision,
+        ...details,
+      },
+    });
+  } catch (errorAuditoria) {
+    console.error('Error al registrar auditoría de documentos:', errorAuditoria);
+  }
+};
+
+// Helper: crea una alerta sin interrumpir la respuesta si falla.
+const notificar = async (req, params) => {
+  try {
+    await crearAlertaGenerica({ tipo: 'proyecto', ...params }, req.app && req.app.get ? req.app.get('io') : null);
+  } catch (errorAlerta) {
+    console.error('Error al crear la alerta de aprobación de documentos:', errorAlerta);
+  }
+};
+
+// ============================================================================
+// Controladores
+// ============================================================================
+
+// --------------------------------------------------------------------------
+// Historial de revisiones y de descargas de un adjunto.
+// --------------------------------------------------------------------------
+const obtenerVersionesAdjunto = async (req, res) => {
+  try {
+    const { proyecto, adjunto } = await cargarDocumento(req);
+
+    await proyecto.populate([
+      { path: 'adjuntos.versiones.autor', select: 'firstName lastName email role' },
+      { path: 'adjuntos.descargas.usuario', select: 'firstName lastName email role' },
+    ]);
+
+    const vigente = String(adjunto.versionActual);
+    const versiones = adjunto.versiones
+      .map((v) => ({ ...v.toObject(), vigente: String(v._id) === vigente }))
+      .reverse();
+    const descargas = adjunto.descargas
+      .map((d) => d.toObject())
+      .sort((a, b) => new Date(b.fecha) - new Date(a.fecha));
+
+    return res.status(200).json({
+      documento: {
+        _id: adjunto._id,
+        nombreOriginal: adjunto.nombreOriginal,
+        descripcion: adjunto.descripcion,
+        revision: adjunto.revision,
+        versionActual: adjunto.versionActual,
+      },
+      versiones,
+      descargas,
+    });
+  } catch (error) {
+    return responderError(res, error, 'Error al obtener las revisiones del adjunto');
+  }
+};
+
+// Helper: revisión pedida en la query (version; por defecto la vigente),
+// verificando que su archivo siga en el almacenamiento.
+const cargarVersionDescarga = async (req, adjunto) => {
+  const versionId = req.query.version;
+  if (versionId && !mongoose.Types.ObjectId.isValid(versionId)) {
+    throw crearError('ID de versión inválido');
+  }
+  const version = obtenerVersion(adjunto, versionId);
+  if (!version) {
+    throw crearError('Versión no encontrada', 404);
+  }
+  // Los archivos retenidos en cuarentena solo los descarga el admin que los revisa.
+  if (versionEnCuarentena(version) && req.user?.role !== 'admin') {
+    throw crearError(`La revisión ${version.revision} está en cuarentena pendiente de revisión`, 403);
+  }
+
+  if (!(await obtenerAlmacenamiento().existe(normalizarClave(version.ruta)))) {
+    throw crearError(`El archivo de la revisión ${version.revision} no está disponible en el servidor`, 404);
+  }
+  return version;
+};
+
+// Helper: deja la descarga en el historial del adjunto. Registro atómico
+// para no pisar descargas simultáneas del mismo proyecto.
+const registrarDescarga = (proyecto, adjunto, version, usuarioId) =>
+  Proyectos.updateOne(
+    { _id: proyecto._id, 'adjuntos._id': adjunto._id },
+    {
+      $push: {
+        'adjuntos.$.descargas': {
+          usuario: usuarioId,
+          version: version._id,
+          revision: version.revision,
+          fecha: new Date(),
+        },
+      },
+    }
+  );
+
+// --------------------------------------------------------------------------
+// Descarga de una revisión (query opcional: version; por defecto la vigente).
+// Cada descarga queda en el historial del adjunto.
+// --------------------------------------------------------------------------
+const descargarAdjuntoProyecto = async (req, res) => {
+  try {
+    const { proyecto, adjunto } = await cargarDocumento(req);
+    const version = await cargarVersionDescarga(req, adjunto);
+    const lectura = await obtenerAlmacenamiento().abrirLectura(normalizarClave(version.ruta));
+
+    await registrarDescarga(proyecto, adjunto, version, req.user.id);
+
+    res.attachment(version.nombreOriginal);
+    if (version.tipoMime) res.type(version.tipoMime);
+    lectura.on('error', (error) => {
+      console.error('Error al leer el adjunto del almacenamiento:', error);
+      res.destroy(error);
+    });
+    return lectura.pipe(res);
+  } catch (error) {
+    return responderError(res, error, 'Error al descargar el adjunto');
+  }
+};
+
+// --------------------------------------------------------------------------
+// Enlace firmado y temporal de una revisión (query opcional: version).
+// Con S3 es una URL prefirmada del bucket; en disco local apunta al backend.
+// El enlace se puede compartir hasta que expira y cuenta como una descarga.
+// --------------------------------------------------------------------------
+const obtenerEnlaceAdjunto = async (req, res) => {
+  try {
+    const { proyecto, adjunto } = await cargarDocumento(req);
+    const version = await cargarVersionDescarga(req, adjunto);
+    const { url, expiraEn } = await generarUrlFirmada(version.ruta, { nombreDescarga: version.nombreOriginal });
+
+    await registrarDescarga(proyecto, adjunto, version, req.user.id);
+
+    return res.status(200).json({
+      url: /^https?:\/\//.test(url) ? url : `${req.protocol}://${req.get('host')}${url}`,
+      expiraEn,
+      revision: version.revision,
+    });
+  } catch (error) {
+    return responderError(res, error, 'Error al generar el enlace de descarga');
+  }
+};
+
+// --------------------------------------------------------------------------
+// Enviar la revisión vigente a aprobación (admin o líder asignado).
+// Body: revisores ("admin" y/o "cliente"), comentario.
+// --------------------------------------------------------------------------
+const enviarAdjuntoAAprobacion = async (req, res) => {
+  try {
+    const { proyecto, adjunto } = await cargarDocumento(req);
+    if (!tieneAccesoProyecto(req.user, proyecto, { escritura: true })) {
+      throw crearError('Solo el líder asignado o un administrador pueden enviar documentos a aprobación.', 403);
+    }
+
+    if (enCuarentena(adjunto)) {
+      throw crearError(`La revisión ${adjunto.revision} está en cuarentena; no se puede enviar a aprobación`, 409);
+    }
+
+    const revisores = leerRevisores(req.body.revisores);
+    const clienteId = revisores.includes('cliente') ? await obtenerClienteId(proyecto) : null;
+    if (revisores.includes('cliente') && !clienteId) {
+      throw crearError('El proyecto no tiene un cliente registrado que pueda aprobar el documento');
+    }
+
+    const ronda = rondaVigente(adjunto);
+    if (ronda?.estado === 'en_revision') {
+      throw crearError(`La revisión ${adjunto.revision} ya está en aprobación`, 409);
+    }
+    if (ronda?.estado === 'aprobado') {
+      throw crearError(`La revisión ${adjunto.revision} ya está aprobada; sube una nueva revisión para volver a enviarla`, 409);
+    }
+
+    adjunto.aprobaciones.push({
+      revision: adjunto.revision,
+      version: adjunto.versionActual,
+      estado: 'en_revision',
+      solicitadaPor: req.user.id,
+      nombreSolicitante: await obtenerNombreUsuario(req),
+      fechaSolicitud: new Date(),
+      comentario: typeof req.body.comentario === 'string' ? req.body.comentario : '',
+      revisores: revisores.map((rol) => ({ rol })),
+    });
+    await proyecto.save();
+
+    await registrarAuditoria(req, 'ENVIAR_DOCUMENTO_APROBACION', proyecto, adjunto, { revisores });
+
+    const message = `El documento "${adjunto.nombreOriginal}" (Rev. ${adjunto.revision}) del proyecto "${proyecto.title}" espera tu aprobación.`;
+    if (revisores.includes('admin')) {
+      await notificar(req, { proyectoId: proyecto._id, message }); // Sin usuario: la ven los administradores.
+    }
+    if (clienteId) {
+      await notificar(req, { usuarioId: clienteId, proyectoId: proyecto._id, message });
+    }
+
+    return res.status(201).json({
+      message: 'Documento enviado a aprobación',
+      adjunto,
+    });
+  } catch (error) {
+    return responderError(res, error, 'Error al enviar el documento a aprobación');
+  }
+};
+
+// --------------------------------------------------------------------------
+// Aprobar o rechazar la revisión en aprobación (admin o cliente del proyecto).
+// Body: decision ("aprobar" | "rechazar"), comentario (obligatorio al rechazar).
+// --------------------------------------------------------------------------
+const decidirAprobacionAdjunto = async (req, res) => {
+  try {
+    const { proyecto, adjunto } = await cargarDocumento(req);
+
+    const { decision } = req.body;
+    const comentario = typeof req.body.comentario === 'string' ? req.body.comentario.trim() : '';
+    if (!['aprobar', 'rechazar'].includes(decision)) {
+      throw crearError('La decisión debe ser "aprobar" o "rechazar"');
+    }
+    if (decision === 'rechazar' && !comentario) {
+      throw crearError('Indica el motivo del rechazo en el comentario');
+    }
+
+    const rondas = adjunto.aprobaciones;
+    const ultima = rondas[rondas.length - 1];
+    if (!ultima || ultima.estado !== 'en_revision') {
+      throw crearError('El documento no tiene una revisión pendiente de aprobación', 409);
+    }
+    if (rondaVigente(adjunto) !== ultima) {
+      throw crearError('Se subió una nueva revisión del documento; debe enviarse de nuevo a aprobación', 409);
+    }
+
+    const revisor = ultima.revisores.find((r) => r.rol === req.user.role && r.estado === 'pendiente');
+    if (!revisor) {
+      throw crearError('No tienes una aprobación pendiente sobre este documento.', 403);
+    }
+
+    revisor.estado = decision === 'aprobar' ? 'aprobado' : 'rechazado';
+    revisor.usuario = req.user.id;
+    revisor.nombre = await obtenerNombreUsuario(req);
+    revisor.fecha = new Date();
+    revisor.comentario = comentario;
+
+    // Un rechazo cierra la ronda; se aprueba cuando aprueban todos los revisores.
+    if (revisor.estado === 'rechazado') {
+      ultima.estado = 'rechazado';
+      ultima.fechaCierre = new Date();
+    } else if (ultima.revisores.every((r) => r.estado === 'aprobado')) {
+      ultima.estado = 'aprobado';
+      ultima.fechaCierre = new Date();
+    }
+    await proyecto.save();
+
+    await registrarAuditoria(
+      req,
+      decision === 'aprobar' ? 'APROBAR_DOCUMENTO' : 'RECHAZAR_DOCUMENTO',
+      proyecto,
+      adjunto,
+      { rol: revisor.rol, comentario, estado: ultima.estado }
+    );
+
+    const accion = decision === 'aprobar' ? 'aprobó' : 'rechazó';
+    const cierre = ultima.estado === 'aprobado' ? ' El documento quedó aprobado.' : '';
+    await notificar(req, {
+      usuarioId: ultima.solicitadaPor,
+      proyectoId: proyecto._id,
+      message: `${revisor.nombre} ${accion} el documento "${adjunto.nombreOriginal}" (Rev. ${adjunto.revision}) del proyecto "${proyecto.title}".${cierre}${comentario ? ` Comentario: ${comentario}` : ''}`,
+      nivel: decision === 'aprobar' ? 'info' : 'advertencia',
+    });
+
+    return res.status(200).json({
+      message: decision === 'aprobar' ? 'Documento aprobado' : 'Documento rechazado',
+      adjunto,
+    });
+  } catch (error) {
+    return responderError(res, error, 'Error al registrar la decisión de aprobación');
+  }
+};
+
+// ============================================================================
+// Exportación de controladores
+// ============================================================================
+
+module.exports = {
+  obtenerVersionesAdjunto,
+  descargarAdjuntoProyecto,
+  obtenerEnlaceAdjunto,
+  enviarAdjuntoAAprobacion,
+  decidirAprobacionAdjunto,
+};
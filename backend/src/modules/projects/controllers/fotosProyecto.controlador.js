@@ -0,0 +1,130 @@
+// File: BackEnd/src/modules/projects/controllers/fotosProyecto.controlador.js
+// Description: Controlador de la galería de fotos de avance de proyectos en
+//              ProCivil Manager (PCM). Devuelve las imágenes adjuntas al
+//              proyecto con su fecha de captura, GPS y miniatura, agrupadas
+//              por día (línea de tiempo) y por tarea del cronograma o
+//              criterio de avance. Pueden consultarla admin, auditor, el
+//              líder asignado y el cliente del proyecto. Las fotos y sus
+//              miniaturas se entregan con enlaces firmados y temporales.
+
+// ============================================================================
+// Importación de dependencias y modelos
+// ============================================================================
+
+const mongoose = require('mongoose');                                        // Validación de ObjectId.
+const Proyectos = require('../models/proyecto.modelo');                      // Modelo de proyectos.
+const TareaProyecto = require('../models/tareaProyecto.modelo');             // Tareas del cronograma.
+const {
+  esFotoProcesable,
+  procesarFoto,
+  armarGaleria,
+} = require('../services/fotosProyecto.servicio');                           // EXIF, miniaturas y agrupación.
+const { enCuarentena } = require('../services/documentosProyecto.servicio'); // Adjuntos retenidos por la inspección.
+const { tieneAccesoProyecto } = require('../utils/accesoProyecto');          // Reglas de acceso por rol.
+const { enlaceVista } = require('../utils/enlacesFirmados');               // Enlaces firmados de fotos y miniaturas.
+
+// ============================================================================
+// Helpers internos
+// ============================================================================
+
+// Helper: crea un error de negocio con código HTTP.
+const crearError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Helper: responde errores de negocio o genéricos.
+const responderError = (res, error, mensaje) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`${mensaje}:`, error);
+  return res.status(500).json({ message: mensaje });
+};
+
+// Helper: lee una fecha opcional de la query (YYYY-MM-DD).
+const leerFechaFiltro = (valor, campo) => {
+  if (!valor) return undefined;
+  const fecha = new Date(valor);
+  if (Number.isNaN(fecha.getTime())) {
+    throw crearError(`La fecha "${campo}" no es válida`);
+  }
+  return fecha;
+};
+
+// Helper: procesa las imágenes subidas antes de existir la galería (sin datos
+// de foto). Se hace una sola vez por imagen y no interrumpe la consulta.
+// Las imágenes en cuarentena se omiten hasta que el admin las libere.
+const completarFotosPendientes = async (proyecto) => {
+  const pendientes = proyecto.adjuntos.filter((a) => esFotoProcesable(a.tipoMime) && !a.foto && !enCuarentena(a));
+  if (!pendientes.length) return;
+
+  for (const adjunto of pendientes) {
+    adjunto.foto = await procesarFoto(adjunto.ruta);
+  }
+  try {
+    await proyecto.save();
+  } catch (error) {
+    console.error('Error al guardar los datos de fotos del proyecto:', error);
+  }
+};
+
+// ============================================================================
+// Controladores
+// ============================================================================
+
+// --------------------------------------------------------------------------
+// Galería de fotos de avance (query opcional: desde, hasta).
+// --------------------------------------------------------------------------
+const obtenerGaleriaProyecto = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      throw crearError('ID de proyecto inválido');
+    }
+
+    const proyecto = await Proyectos.findById(req.params.id);
+    if (!proyecto) {
+      throw crearError('Proyecto no encontrado', 404);
+    }
+    if (!tieneAccesoProyecto(req.user, proyecto)) {
+      throw crearError('No tienes permisos para consultar las fotos de este proyecto.', 403);
+    }
+
+    const desde = leerFechaFiltro(req.query.desde, 'desde');
+    const hasta = leerFechaFiltro(req.query.hasta, 'hasta');
+
+    await completarFotosPendientes(proyecto);
+    const tareas = await TareaProyecto.find({ proyecto: proyecto._id }).select('nombre').lean();
+    const galeria = armarGaleria(proyecto, tareas, { desde, hasta });
+
+    // Las fotos no son públicas: cada una lleva enlaces firmados y temporales.
+    for (const foto of galeria.fotos) {
+      foto.url = await enlaceVista(req, foto.ruta);
+      foto.urlMiniatura = foto.miniatura ? await enlaceVista(req, foto.miniatura) : foto.url;
+    }
+
+    return res.status(200).json({
+      proyecto: { _id: proyecto._id, title: proyecto.title },
+      ...galeria,
+      // Actividades a las que se puede asociar una foto
+      opciones: {
+        tareas: tareas.map((t) => ({ _id: t._id, nombre: t.nombre })),
+        criterios: (proyecto.criteriosAvance || []).map((c) => ({ _id: c._id, nombre: c.nombre })),
+      },
+    });
+  } catch (error) {
+    return responderError(res, error, 'Error al obtener las fotos del proyecto');
+  }
+};
+
+// ============================================================================
+// Exportación de controladores
+// ============================================================================
+
+module.exports = {
+  obtenerGaleriaProyecto,
+};
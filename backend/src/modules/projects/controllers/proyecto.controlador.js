@@ -22,7 +22,48 @@ const PDFDocument = require('pdfkit');                                       //
 const fs = require('fs');                                                    // Módulo nativo de Node para trabajo con el sistema de archivos.
 const path = require('path');                                                // Módulo nativo de Node para construir rutas de archivos.
 const { sendProjectRequestEmail } = require('../../../core/services/correo.servicio'); // Servicio de envío de correos de proyectos.
-const calcularProgresoProyecto = require('../utils/calcularProgresoProyecto'); // Helper centralizado para calcular progreso total y detalle de un proyecto.
+const { calcularProgresoProyecto } = require('../utils/calcularProgresoProyecto'); // Helper centralizado para calcular progreso total y detalle de un proyecto.
+const TareaProyecto = require('../models/tareaProyecto.modelo');             // Tareas del cronograma del proyecto.
+const { calcularAvanceTareas } = require('../services/cronograma.servicio'); // Avance ponderado de las tareas.
+const {
+  obtenerDisponible,
+  aplicarMovimientoEnAlmacen,
+  promediarCosto,
+  ejecutarEnTransaccion,
+  evaluarAlertaStockAlmacen,
+} = require('../../inventory/services/stockAlmacen.servicio');                // Servicio de saldos por almacén (material × almacén).
+const {
+  esAsignacionLegada,
+  obtenerAlmacenReserva,
+  reservarAsignaciones,
+  liberarReservas,
+  liberarAsignacion,
+} = require('../services/reservaMaterial.servicio');                         // Reservas de material por proyecto.
+const { convertirAUnidadMaterial } = require('../../inventory/services/unidadMedida.servicio'); // Conversión de unidades de medida.
+const AuditLog = require('../../audit/models/auditoria.modelo');             // Modelo de auditoría.
+const { leerHojaCalculo } = require('../../../core/services/hojaCalculo.servicio'); // Lectura de archivos CSV/XLSX.
+const {
+  analizarImportacionProyectos,
+  crearProyectoImportado,
+} = require('../services/importacionProyecto.servicio');                     // Importación masiva de proyectos.
+const { calcularValorGanadoProyecto } = require('../services/valorGanado.servicio'); // Valor ganado (PV, EV, AC e índices).
+const {
+  esFotoProcesable,
+  procesarFoto,
+  eliminarMiniatura,
+} = require('../services/fotosProyecto.servicio');                          // EXIF y miniaturas de fotos de avance.
+const {
+  datosArchivo,
+  primeraVersion,
+  agregarVersion,
+  rutasArchivos,
+  rondaVigente,
+  estadoAprobacion,
+  etiquetaAprobacion,
+  enCuarentena,
+} = require('../services/documentosProyecto.servicio');                      // Revisiones, aprobación y cuarentena de los adjuntos.
+const { eliminarArchivos } = require('../../../core/services/almacenamiento.servicio'); // Archivos en disco local o S3.
+const { crearAlertaGenerica } = require('../../alerts/services/alerta.servicio'); // Alertas (y aviso por Socket.io).
 
 // ============================================================================
 // Helpers / Utilidades internas
@@ -379,6 +420,88 @@ const normalizarEstadoProyecto = (statusRaw) => {
   return 'otro';
 };
 
+// Helper: determina el almacén al que debe regresar el material no utilizado de una asignación.
+// Usa el almacén del movimiento de salida original (si lo tiene) y, si no, el almacén principal del material.
+const obtenerAlmacenDeAsignacion = async (item, material) => {
+  if (item && item.movimientoInventario) {
+    const movimientoOriginal = await MovimientoInventario.findById(item.movimientoInventario).select('almacen');
+    if (movimientoOriginal && movimientoOriginal.almacen) return movimientoOriginal.almacen;
+  }
+  return material.almacen;                                                  // Almacén principal del material.
+};
+
+// Helper: valida la tarea del cronograma o el criterio de avance al que se asocia
+// una foto. Valores vacíos quitan la asociación; undefined la deja como está.
+// Devuelve { datos } con los ids normalizados o { error } con el mensaje.
+const validarActividadFoto = async (proyecto, { tarea, criterio } = {}) => {
+  const datos = {};
+
+  if (tarea !== undefined) {
+    if (!tarea) {
+      datos.tarea = null;
+    } else {
+      const existe = await TareaProyecto.exists({ _id: tarea, proyecto: proyecto._id }).catch(() => null);
+      if (!existe) return { error: 'La tarea indicada no pertenece al cronograma del proyecto' };
+      datos.tarea = tarea;
+    }
+  }
+
+  if (criterio !== undefined) {
+    if (!criterio) {
+      datos.criterio = null;
+    } else {
+      const existe = (proyecto.criteriosAvance || []).some((c) => String(c._id) === String(criterio));
+      if (!existe) return { error: 'El criterio indicado no pertenece al proyecto' };
+      datos.criterio = criterio;
+    }
+  }
+
+  return { datos };
+};
+
+// Helper: registra en auditoría los adjuntos que la inspección dejó en
+// cuarentena y avisa a los admins (alerta sin usuario) para que los revisen.
+// No interrumpe la respuesta si algo falla.
+const notificarCuarentena = async (req, proyecto, adjuntos) => {
+  if (!adjuntos.length) return;
+
+  try {
+    await AuditLog.create({
+      user: req.user ? req.user.id : undefined,
+      action: 'ARCHIVO_EN_CUARENTENA',
+      resource: 'Proyecto',
+      details: {
+        proyecto: proyecto._id,
+        archivos: adjuntos.map((a) => ({
+          adjunto: a._id,
+          documento: a.nombreOriginal,
+          revision: a.revision,
+          motivos: a.cuarentena.motivos,
+        })),
+      },
+    });
+  } catch (errorAuditoria) {
+    console.error('Error al registrar auditoría de cuarentena:', errorAuditoria);
+  }
+
+  const io = req.app && req.app.get ? req.app.get('io') : null;
+  for (const adjunto of adjuntos) {
+    try {
+      await crearAlertaGenerica(
+        {
+          tipo: 'proyecto',
+          proyectoId: proyecto._id,
+          message: `El archivo "${adjunto.nombreOriginal}" del proyecto "${proyecto.title}" quedó en cuarentena: ${adjunto.cuarentena.motivos.join('; ')}`,
+          nivel: adjunto.cuarentena.antivirus === 'infectado' ? 'critica' : 'advertencia',
+        },
+        io
+      );
+    } catch (errorAlerta) {
+      console.error('Error al crear la alerta de cuarentena:', errorAlerta);
+    }
+  }
+};
+
 // ============================================================================
 // Controladores de Proyectos (implementación en español)
 // ============================================================================
@@ -634,6 +757,7 @@ const crearProyecto = async (req, res) => {
     // Validar y normalizar materiales a asignar, si vienen en la petición.
     // ----------------------------------------------------------------------
     let materialesAsignados = []; // Arreglo para almacenar los materiales normalizados.
+    const reservas = []; // Reservas de stock a realizar (material × almacén).
 
     // Solo se procesa si "materiales" es un arreglo no vacío.
     if (materiales && Array.isArray(materiales) && materiales.length > 0) {
@@ -654,20 +778,25 @@ const crearProyecto = async (req, res) => {
           });
         }
 
-        // Valida que el stock sea suficiente para la cantidad solicitada.
-        if (material.cantidad < item.cantidadAsignada) {
+        // Valida que el stock libre (no reservado) del almacén de la reserva sea suficiente.
+        const almacenReserva = obtenerAlmacenReserva(item, material);
+        const disponibleAlmacen = await obtenerDisponible(material, almacenReserva);
+        if (disponibleAlmacen < item.cantidadAsignada) {
           return res.status(400).json({
-            message: `Stock insuficiente para ${material.nombre}. Disponible: ${material.cantidad}, Requerido: ${item.cantidadAsignada}`,
+            message: `Stock insuficiente para ${material.nombre}. Disponible: ${disponibleAlmacen}, Requerido: ${item.cantidadAsignada}`,
           });
         }
 
         // Si todo es correcto, se agrega el material normalizado al arreglo de asignados.
         materialesAsignados.push({
           material: item.material, // Referencia al id del material.
-          cantidadAsignada: item.cantidadAsignada, // Cantidad reservada.
+          cantidadAsignada: item.cantidadAsignada, // Cantidad asignada.
           cantidadUtilizada: 0, // Por defecto, nada utilizado.
+          almacen: almacenReserva, // Almacén donde queda reservada.
+          cantidadReservada: item.cantidadAsignada, // Todo lo asignado queda reservado.
           fechaAsignacion: new Date(), // Fecha de asignación (ahora).
         });
+        reservas.push({ material, almacen: almacenReserva, cantidad: item.cantidadAsignada });
       }
     }
 
@@ -713,45 +842,26 @@ const crearProyecto = async (req, res) => {
       createdAt: new Date(), // Fecha de creación explícita (además del timestamp de Mongoose).
     });
 
-    // Guarda el proyecto en la base de datos.
-    const proyectoGuardado = await nuevoProyecto.save();
-
     // ----------------------------------------------------------------------
-    // Crear movimientos de inventario (salida) y actualizar stock.
+    // Reservar el stock asignado (todo o nada). El material sigue en el
+    // almacén hasta que se registre su uso en el proyecto.
     // ----------------------------------------------------------------------
-    if (materialesAsignados.length > 0) {
-      // Recorre cada material asignado por índice.
-      for (let i = 0; i < materialesAsignados.length; i++) {
-        // Obtiene el ítem de material asignado.
-        const item = materialesAsignados[i];
-        // Vuelve a obtener el documento de material desde la BD.
-        const material = await Material.findById(item.material);
-
-        // Crea un movimiento de inventario tipo "salida".
-        const movimiento = new MovimientoInventario({
-          material: item.material, // Id de material.
-          tipo: 'salida', // Tipo de movimiento: salida de stock.
-          cantidad: item.cantidadAsignada, // Cantidad asignada al proyecto.
-          motivo: `Asignación a proyecto: ${title}`, // Motivo descriptivo (si el esquema lo soporta).
-          proyecto: proyectoGuardado._id, // Referencia al proyecto (si el esquema lo soporta).
-          stockAnterior: material.cantidad, // Stock previo (si el esquema lo soporta).
-          stockNuevo: material.cantidad - item.cantidadAsignada, // Stock después de la salida.
-          fecha: new Date(), // Fecha del movimiento.
-        });
-
-        // Guarda el movimiento de inventario.
-        const movimientoGuardado = await movimiento.save();
-
-        // Actualiza el stock del material restando la cantidad asignada.
-        material.cantidad -= item.cantidadAsignada;
-        await material.save();
-
-        // Enlaza el movimiento de inventario en el arreglo de materiales del proyecto.
-        proyectoGuardado.materiales[i].movimientoInventario = movimientoGuardado._id;
+    try {
+      await reservarAsignaciones(reservas);
+    } catch (errorReserva) {
+      if (errorReserva.statusCode) {
+        return res.status(errorReserva.statusCode).json({ message: errorReserva.message });
       }
+      throw errorReserva;
+    }
 
-      // Guarda nuevamente el proyecto con los id de movimientos vinculados.
-      await proyectoGuardado.save();
+    // Guarda el proyecto en la base de datos (si falla, se liberan las reservas).
+    let proyectoGuardado;
+    try {
+      proyectoGuardado = await nuevoProyecto.save();
+    } catch (errorGuardado) {
+      await liberarReservas(reservas);
+      throw errorGuardado;
     }
 
     // ----------------------------------------------------------------------
@@ -815,6 +925,95 @@ const crearProyecto = async (req, res) => {
   }
 };
 
+// --------------------------------------------------------------------------
+// Importar proyectos desde un archivo CSV/XLSX.
+// Sin "confirmar" solo devuelve el reporte de validación por fila (dry-run);
+// con confirmar=true crea los proyectos válidos, uno por fila, de modo que
+// un fallo en una fila no detiene el resto.
+// --------------------------------------------------------------------------
+const importarProyectos = async (req, res) => {
+  try {
+    // Valida que venga el archivo (lo deja en memoria archivoImportacion).
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ message: 'Adjunte un archivo .csv o .xlsx en el campo "archivo".' });
+    }
+
+    // Lee y valida todas las filas contra usuarios y proyectos existentes.
+    const hoja = await leerHojaCalculo(req.file.buffer, req.file.originalname);
+    const analisis = await analizarImportacionProyectos(hoja);
+    const confirmar = req.body.confirmar === true || req.body.confirmar === 'true';
+
+    // Dry-run: solo el reporte.
+    if (!confirmar) {
+      return res.status(200).json({
+        modo: 'simulacion',
+        archivo: req.file.originalname,
+        resumen: analisis.resumen,
+        filas: analisis.filas,
+      });
+    }
+
+    if (analisis.resumen.validas === 0) {
+      return res.status(400).json({
+        message: 'El archivo no tiene filas válidas para importar.',
+        resumen: analisis.resumen,
+        filas: analisis.filas,
+      });
+    }
+
+    // Crea cada proyecto válido y anota el resultado en su fila.
+    let creados = 0;
+    for (const fila of analisis.filas) {
+      if (fila.estado !== 'valida') continue;
+      try {
+        const proyecto = await crearProyectoImportado(fila.datos);
+        fila.estado = 'creado';
+        fila.proyecto = proyecto._id;
+        creados += 1;
+      } catch (errorFila) {
+        console.error(`Error al importar la fila ${fila.fila}:`, errorFila);
+        fila.estado = 'error';
+        fila.errores = [errorFila.message || 'No se pudo crear el proyecto.'];
+      }
+    }
+
+    const resumen = {
+      ...analisis.resumen,
+      creados, // Proyectos creados.
+      fallidos: analisis.resumen.validas - creados, // Filas válidas que fallaron al guardar.
+    };
+
+    // Registra la importación en auditoría (sin tumbar la respuesta si falla).
+    try {
+      await AuditLog.create({
+        user: req.user ? req.user.id : undefined,
+        action: 'IMPORTAR_PROYECTOS',
+        resource: 'Proyecto',
+        details: { archivo: req.file.originalname, ...resumen },
+      });
+    } catch (errorAuditoria) {
+      console.error('Error al registrar auditoría de importación de proyectos:', errorAuditoria);
+    }
+
+    return res.status(201).json({
+      message: `Se importaron ${creados} de ${analisis.resumen.total} proyectos.`,
+      modo: 'importacion',
+      archivo: req.file.originalname,
+      resumen,
+      filas: analisis.filas,
+    });
+  } catch (error) {
+    // Errores de negocio (archivo vacío, columnas faltantes, etc.).
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error al importar proyectos:', error);
+    return res.status(500).json({ message: 'Error al importar los proyectos' });
+  }
+};
+
 // --------------------------------------------------------------------------
 // Obtener proyectos asociados al usuario autenticado (vista cliente).
 // --------------------------------------------------------------------------
@@ -995,10 +1194,16 @@ const obtenerProgresoDeProyecto = async (req, res) => {
     // --------------------------------------------------------------------
     let resultadoProgreso;
 
+    // Avance de las tareas del cronograma (null si el proyecto no tiene tareas).
+    const tareasProyecto = await TareaProyecto.find({ proyecto: proyecto._id })
+      .select('padre duracion porcentajeAvance')
+      .lean();
+    const avanceTareas = calcularAvanceTareas(tareasProyecto);
+
     try {
       // Si el helper existe y es función, se usa.
       if (typeof calcularProgresoProyecto === 'function') {
-        resultadoProgreso = calcularProgresoProyecto(proyecto);
+        resultadoProgreso = calcularProgresoProyecto(proyecto, { avanceTareas });
       } else {
         throw new Error('calcularProgresoProyecto no es una función');
       }
@@ -1042,6 +1247,8 @@ const obtenerProgresoDeProyecto = async (req, res) => {
       titulo: proyecto.title,
       progresoGuardado: proyecto.progress,
       progresoCalculado: resultadoProgreso.progresoTotal,
+      detalle: resultadoProgreso.detalle || null,
+      avanceTareas,
       resumen: resultadoProgreso.resumen || null,
       criterios: resultadoProgreso.criterios || proyecto.criteriosAvance || [],
     });
@@ -1211,41 +1418,19 @@ const actualizarProyectoPorId = async (req, res) => {
     }
 
     // ----------------------------------------------------------------------
-    // Actualizar asignación de materiales si se envía arreglo "materiales".
+    // Preparar la nueva asignación de materiales si se envía "materiales".
+    // Aquí solo se valida y se calcula (lecturas); el stock se toca después,
+    // dentro de la transacción.
     // ----------------------------------------------------------------------
-    if (materiales && Array.isArray(materiales)) {
-      // Primero se regresan al inventario los materiales anteriormente asignados.
-      for (const item of proyecto.materiales) {
-        // Busca el documento de material a partir del material poblado.
-        const material = await Material.findById(item.material._id);
-        if (material) {
-          // Calcula la cantidad a devolver (asignado - utilizado).
-          const cantidadDevolver = item.cantidadAsignada - item.cantidadUtilizada;
-
-          // Aumenta el stock del material con esa cantidad.
-          material.cantidad += cantidadDevolver;
-          await material.save();
-
-          // Crea un movimiento de inventario tipo "entrada".
-          const movimiento = new MovimientoInventario({
-            material: material._id, // Id del material.
-            tipo: 'entrada', // Movimiento tipo entrada al inventario.
-            cantidad: cantidadDevolver, // Cantidad devuelta.
-            motivo: `Devolución por actualización de proyecto: ${proyecto.title}`, // Motivo descriptivo.
-            proyecto: proyecto._id, // Referencia al proyecto.
-            stockAnterior: material.cantidad - cantidadDevolver, // Stock previo a la devolución.
-            stockNuevo: material.cantidad, // Stock posterior.
-            fecha: new Date(), // Fecha del movimiento.
-          });
-          // Guarda el movimiento de inventario.
-          await movimiento.save();
-        }
-      }
+    const devolucionesLegadas = []; // Legadas: lo no utilizado vuelve al almacén con una entrada.
+    const reservasVigentes = []; // Reservas actuales del proyecto (se liberan).
+    const reservasNuevas = []; // Reservas de la nueva asignación.
+    const conversionesLegadas = {}; // Legadas que, de restituirse sin transacción, pasan a llevarse como reserva.
+    let nuevosMateriales = null; // Arreglo de materiales que reemplaza al actual.
 
-      // Ahora se construye el nuevo arreglo de materiales asignados.
-      const nuevosMateriales = []; // Arreglo para materiales actualizados.
-
-      // Recorre los materiales enviados en la actualización.
+    if (materiales && Array.isArray(materiales)) {
+      // Primero se validan los materiales nuevos, antes de tocar stock o reservas.
+      const materialesNuevos = []; // Pares { item, material } ya validados.
       for (const item of materiales) {
         // Busca el material relacionado.
         const material = await Material.findById(item.material);
@@ -1255,48 +1440,170 @@ const actualizarProyectoPorId = async (req, res) => {
             message: `Material con ID ${item.material} no encontrado`,
           });
         }
+        materialesNuevos.push({ item, material });
+      }
 
-        // Verifica que el stock sea suficiente.
-        if (material.cantidad < item.cantidadAsignada) {
-          return res.status(400).json({
-            message: `Stock insuficiente para ${material.nombre}. Disponible: ${material.cantidad}, Requerido: ${item.cantidadAsignada}`,
+      // Asignación anterior: las reservas vigentes se liberan y las asignaciones
+      // legadas devuelven al inventario lo no utilizado (si queda algo).
+      for (const [indice, item] of proyecto.materiales.entries()) {
+        // Busca el documento de material a partir del material poblado.
+        const material = item.material ? await Material.findById(item.material._id) : null;
+        if (!material) continue;
+
+        if (!esAsignacionLegada(item)) {
+          reservasVigentes.push({
+            material,
+            almacen: obtenerAlmacenReserva(item, material),
+            cantidad: Number(item.cantidadReservada) || 0,
           });
+          continue;
         }
 
-        // Descuenta la cantidad asignada del stock.
-        material.cantidad -= item.cantidadAsignada;
-        await material.save();
-
-        // Crea un movimiento de inventario tipo "salida".
-        const movimiento = new MovimientoInventario({
-          material: material._id, // Id de material.
-          tipo: 'salida', // Tipo de movimiento: salida.
-          cantidad: item.cantidadAsignada, // Cantidad asignada.
-          motivo: `Actualización de proyecto: ${proyecto.title}`, // Motivo descriptivo.
-          proyecto: proyecto._id, // Referencia al proyecto.
-          stockAnterior: material.cantidad + item.cantidadAsignada, // Stock previo.
-          stockNuevo: material.cantidad, // Stock final.
-          fecha: new Date(), // Fecha del movimiento.
+        // Calcula la cantidad a devolver (asignado - utilizado).
+        const cantidadDevolver = (Number(item.cantidadAsignada) || 0) - (Number(item.cantidadUtilizada) || 0);
+        if (cantidadDevolver <= 0) continue;
+
+        const almacenDevolucion = await obtenerAlmacenDeAsignacion(item, material); // Almacén del que salió.
+        devolucionesLegadas.push({
+          material,
+          almacen: almacenDevolucion,
+          cantidad: cantidadDevolver,
+          costoUnitario: item.costoUnitario, // Regresa al costo con el que salió.
         });
-        // Guarda el movimiento de inventario y obtiene el documento.
-        const movimientoGuardado = await movimiento.save();
+        conversionesLegadas[`materiales.${indice}.almacen`] = almacenDevolucion;
+        conversionesLegadas[`materiales.${indice}.cantidadReservada`] = cantidadDevolver;
+      }
+
+      // Nuevo arreglo de materiales asignados y sus reservas.
+      nuevosMateriales = [];
+      for (const { item, material } of materialesNuevos) {
+        // Asignación anterior del mismo material (conserva consumo y costo ya registrados).
+        const previo = proyecto.materiales.find(
+          (m) => m.material && String(m.material._id) === String(material._id)
+        );
+        const cantidadUtilizada =
+          item.cantidadUtilizada !== undefined
+            ? Number(item.cantidadUtilizada) || 0
+            : Number(previo && previo.cantidadUtilizada) || 0;
+        const almacenReserva = obtenerAlmacenReserva(item.almacen ? item : previo || item, material);
+        const cantidadReservada = Math.max((Number(item.cantidadAsignada) || 0) - cantidadUtilizada, 0);
+
+        reservasNuevas.push({ material, almacen: almacenReserva, cantidad: cantidadReservada });
 
         // Agrega el material al arreglo de nuevos materiales.
         nuevosMateriales.push({
-          material: item.material, // Id de material.
+          material: material._id, // Id de material.
           cantidadAsignada: item.cantidadAsignada, // Cantidad asignada.
-          cantidadUtilizada: item.cantidadUtilizada || 0, // Cantidad ya utilizada o 0.
+          cantidadUtilizada, // Cantidad ya utilizada o 0.
+          almacen: almacenReserva, // Almacén donde queda reservada.
+          cantidadReservada, // Lo asignado aún no consumido.
           fechaAsignacion: new Date(), // Fecha de asignación actualizada.
-          movimientoInventario: movimientoGuardado._id, // Id del movimiento asociado.
+          costoUnitario: previo ? previo.costoUnitario : null, // Costo de lo ya consumido.
         });
       }
+    }
 
-      // Reemplaza el arreglo de materiales del proyecto por el nuevo.
-      proyecto.materiales = nuevosMateriales;
+    // ----------------------------------------------------------------------
+    // Al cerrar el proyecto (completado o cancelado) se libera lo reservado
+    // y no utilizado, para que quede disponible para otros proyectos.
+    // ----------------------------------------------------------------------
+    const estadosCierre = ['completado', 'cancelado'];
+    const cierraProyecto =
+      status &&
+      estadosCierre.includes(normalizarEstadoProyecto(proyecto.status)) &&
+      !estadosCierre.includes(normalizarEstadoProyecto(estadoAnterior));
+    const liberacionesCierre = []; // Reservas que se liberan al cerrar.
+    if (cierraProyecto) {
+      const asignacionesFinales = nuevosMateriales || proyecto.materiales;
+      for (const [indice, item] of asignacionesFinales.entries()) {
+        if (esAsignacionLegada(item) || !(Number(item.cantidadReservada) > 0)) continue;
+        const material = reservasNuevas[indice]
+          ? reservasNuevas[indice].material
+          : await Material.findById(item.material._id || item.material);
+        if (!material) continue;
+        liberacionesCierre.push({
+          material,
+          almacen: obtenerAlmacenReserva(item, material),
+          cantidad: Number(item.cantidadReservada),
+        });
+      }
     }
 
-    // Guarda el proyecto con todos los cambios.
-    await proyecto.save();
+    // ----------------------------------------------------------------------
+    // Devoluciones, cambio de reservas y guardado del proyecto, en una sola
+    // transacción: si la nueva asignación no se puede reservar o el proyecto
+    // no se guarda, no queda nada aplicado. El trabajo solo parte de lo
+    // calculado arriba, por lo que es seguro ante reintentos.
+    // ----------------------------------------------------------------------
+    try {
+      await ejecutarEnTransaccion(async (session) => {
+        for (const devolucion of devolucionesLegadas) {
+          const { saldoAnterior, saldoNuevo, costoUnitario } = await aplicarMovimientoEnAlmacen({
+            ...devolucion,
+            tipo: 'entrada',
+            session,
+          });
+
+          // Movimiento de inventario tipo "entrada" por la devolución.
+          await MovimientoInventario.create(
+            [
+              {
+                material: devolucion.material._id, // Id del material.
+                almacen: devolucion.almacen, // Almacén que recibe la devolución.
+                tipo: 'entrada', // Movimiento tipo entrada al inventario.
+                cantidad: devolucion.cantidad, // Cantidad devuelta.
+                motivo: `Devolución por actualización de proyecto: ${proyecto.title}`, // Motivo descriptivo.
+                proyecto: proyecto._id, // Referencia al proyecto.
+                stockAnterior: saldoAnterior, // Saldo del almacén previo a la devolución.
+                stockNuevo: saldoNuevo, // Saldo del almacén posterior.
+                costoUnitario, // Costo al que regresa el material.
+                costoTotal: devolucion.cantidad * costoUnitario, // Valor de la devolución.
+                fecha: new Date(), // Fecha del movimiento.
+              },
+            ],
+            { session }
+          );
+        }
+
+        if (nuevosMateriales) {
+          // Reserva la nueva asignación (todo o nada) en lugar de la anterior.
+          await liberarReservas(reservasVigentes, session);
+          try {
+            await reservarAsignaciones(reservasNuevas, session);
+          } catch (errorReserva) {
+            // Sin transacción (MongoDB standalone) no hay rollback: se restituye a mano
+            // la asignación anterior (lo devuelto de las legadas queda reservado)
+            // antes de informar el faltante.
+            if (!session) {
+              await reservarAsignaciones([
+                ...reservasVigentes,
+                ...devolucionesLegadas.map(({ material, almacen, cantidad }) => ({ material, almacen, cantidad })),
+              ]);
+              if (Object.keys(conversionesLegadas).length > 0) {
+                await Proyectos.updateOne({ _id: proyecto._id }, { $set: conversionesLegadas });
+              }
+            }
+            throw errorReserva;
+          }
+          proyecto.materiales = nuevosMateriales.map((item) => ({ ...item }));
+        }
+
+        if (cierraProyecto) {
+          await liberarReservas(liberacionesCierre, session);
+          proyecto.materiales.forEach((item) => {
+            if (!esAsignacionLegada(item)) item.cantidadReservada = 0;
+          });
+        }
+
+        // Guarda el proyecto con todos los cambios.
+        await proyecto.save({ session });
+      });
+    } catch (errorMateriales) {
+      if (errorMateriales.statusCode) {
+        return res.status(errorMateriales.statusCode).json({ message: errorMateriales.message });
+      }
+      throw errorMateriales;
+    }
 
     // Pobla materiales y movimientos para devolver la información enriquecida.
     await proyecto.populate('materiales.material');
@@ -1363,13 +1670,16 @@ const actualizarProyectoPorId = async (req, res) => {
 
 // --------------------------------------------------------------------------
 // Registrar uso de material asignado dentro de un proyecto.
-// (No toca el stock global de inventario).
+// Consume la reserva: registra la salida real del almacén de la reserva.
+// En asignaciones legadas (stock ya descontado al asignar) solo se anota el uso.
+// La cantidad puede informarse en cualquier unidad compatible ("unidad") y se
+// convierte a la unidad del material antes de validarla contra lo asignado.
 // --------------------------------------------------------------------------
 const registrarUsoDeMaterial = async (req, res) => {
   // Extrae el id del proyecto desde los parámetros de la ruta.
   const { proyectoId } = req.params;
-  // Extrae el id de material y la cantidad utilizada desde el cuerpo.
-  const { materialId, cantidadUtilizada } = req.body;
+  // Extrae el id de material, la cantidad utilizada y su unidad (opcional) desde el cuerpo.
+  const { materialId, cantidadUtilizada, unidad } = req.body;
 
   try {
     // Busca el proyecto por id.
@@ -1391,14 +1701,24 @@ const registrarUsoDeMaterial = async (req, res) => {
     }
 
     // Normaliza la cantidad utilizada recibida a número seguro.
-    const cantidadUtilizadaNumero = Number(cantidadUtilizada);             // Convierte el valor recibido a número.
+    const cantidadInformada = Number(cantidadUtilizada);                   // Convierte el valor recibido a número.
     // Valida que la cantidad sea un número válido y positivo.
-    if (!Number.isFinite(cantidadUtilizadaNumero) || cantidadUtilizadaNumero <= 0) {
+    if (!Number.isFinite(cantidadInformada) || cantidadInformada <= 0) {
       return res.status(400).json({
         message: 'La cantidad utilizada debe ser un número mayor a 0',
       });
     }
 
+    // Busca el material para conocer su unidad y sus conversiones.
+    const material = await Material.findById(materialId);
+    if (!material) {
+      return res.status(404).json({ message: `Material con ID ${materialId} no encontrado` });
+    }
+
+    // Lleva la cantidad a la unidad del material (la de asignaciones y saldos).
+    const conversion = await convertirAUnidadMaterial(material, cantidadInformada, unidad);
+    const cantidadUtilizadaNumero = conversion.cantidad;                  // Cantidad en la unidad del material.
+
     // Toma la cantidad ya utilizada (normalizada a número) o 0.
     const utilizadaActual = Number(materialProyecto.cantidadUtilizada) || 0; // Cantidad actualmente registrada como utilizada.
     // Calcula la nueva cantidad utilizada sumando la actual más la enviada.
@@ -1411,26 +1731,90 @@ const registrarUsoDeMaterial = async (req, res) => {
       });
     }
 
-    // Actualiza la cantidad utilizada en el documento del proyecto.
-    materialProyecto.cantidadUtilizada = nuevaCantidadUtilizada;
-    await proyecto.save();
+    if (esAsignacionLegada(materialProyecto)) {
+      // El material salió del inventario al asignarse: solo se actualiza el consumo.
+      materialProyecto.cantidadUtilizada = nuevaCantidadUtilizada;
+      await proyecto.save();
+    } else {
+      // Almacén de la reserva.
+      const almacenReserva = obtenerAlmacenReserva(materialProyecto, material);
+      const reservaPrevia = Number(materialProyecto.cantidadReservada) || 0;
+      const reservaConsumida = Math.min(reservaPrevia, cantidadUtilizadaNumero); // Lo que excede la reserva sale del stock libre.
+      const costoPrevio = materialProyecto.costoUnitario;
+
+      // Salida del almacén + movimiento + consumo del proyecto, en una sola transacción.
+      let aplicado;
+      try {
+        aplicado = await ejecutarEnTransaccion(async (session) => {
+          const resultado = await aplicarMovimientoEnAlmacen({
+            material,
+            almacen: almacenReserva,
+            tipo: 'salida',
+            cantidad: cantidadUtilizadaNumero,
+            reservaConsumida,
+            session,
+          });
 
-    // 🔄 También actualizamos el inventario global del material. Al consumir materiales en un proyecto
-    //     se debería descontar del stock total disponible para que los demás proyectos o solicitudes
-    //     reflejen correctamente la disponibilidad. Si el documento de material no existe ya se validó
-    //     previamente cuando se asignó, así que aquí simplemente se resta la cantidad utilizada. No
-    //     permitimos que la cantidad quede negativa.
-    try {
-      const materialDoc = await Material.findById(materialId);
-      if (materialDoc) {
-        const nuevaCantidadInventario = (Number(materialDoc.cantidad) || 0) - cantidadUtilizadaNumero;
-        materialDoc.cantidad = nuevaCantidadInventario < 0 ? 0 : nuevaCantidadInventario;
-        await materialDoc.save();
+          await MovimientoInventario.create(
+            [
+              {
+                material: material._id, // Id de material.
+                almacen: almacenReserva, // Almacén del que sale el material.
+                tipo: 'salida', // Tipo de movimiento: salida de stock.
+                cantidad: cantidadUtilizadaNumero, // Cantidad consumida en el proyecto.
+                unidadOriginal: conversion.unidadOriginal, // Unidad informada (si se convirtió).
+                cantidadOriginal: conversion.cantidadOriginal, // Cantidad informada (si se convirtió).
+                motivo: `Consumo en proyecto: ${proyecto.title}`, // Motivo descriptivo.
+                proyecto: proyecto._id, // Referencia al proyecto.
+                reservaConsumida, // Parte tomada de la reserva (vuelve a reservarse si se anula).
+                usuario: req.user ? req.user.email || req.user.id : 'sistema', // Usuario que registra el uso.
+                stockAnterior: resultado.saldoAnterior, // Saldo del almacén antes de la salida.
+                stockNuevo: resultado.saldoNuevo, // Saldo del almacén después de la salida.
+                costoUnitario: resultado.costoUnitario, // Costo promedio al que sale el material.
+                costoTotal: cantidadUtilizadaNumero * resultado.costoUnitario, // Valor de la salida.
+                lotes: resultado.lotes, // Lotes consumidos (FEFO) si el material controla lotes.
+                fecha: new Date(), // Fecha del movimiento.
+              },
+            ],
+            { session }
+          );
+
+          // Valores calculados desde lo leído antes de la transacción (seguro ante reintentos).
+          materialProyecto.cantidadUtilizada = nuevaCantidadUtilizada;
+          materialProyecto.cantidadReservada = reservaPrevia - reservaConsumida;
+          materialProyecto.costoUnitario = promediarCosto(
+            utilizadaActual,
+            costoPrevio,
+            cantidadUtilizadaNumero,
+            resultado.costoUnitario
+          );
+          await proyecto.save({ session });
+
+          return resultado;
+        });
+      } catch (errorSalida) {
+        if (errorSalida.statusCode) {
+          return res.status(errorSalida.statusCode).json({ message: errorSalida.message });
+        }
+        throw errorSalida;
+      }
+
+      // Evalúa el punto de reorden del almacén tras la salida.
+      try {
+        const io = req.app && req.app.get ? req.app.get('io') : null;
+        await evaluarAlertaStockAlmacen(
+          {
+            material,
+            almacen: almacenReserva,
+            saldo: aplicado.saldo,
+            saldoAnterior: aplicado.saldoAnterior,
+            saldoNuevo: aplicado.saldoNuevo,
+          },
+          io
+        );
+      } catch (alertError) {
+        console.error('Error al generar alerta de stock tras registrar uso de material:', alertError);
       }
-    } catch (err) {
-      console.error('Error al actualizar el stock del material tras registrar uso:', err);
-      // No detenemos el flujo; el consumo en el proyecto ya quedó registrado. Si esta operación
-      // falla, el stock se puede revisar y ajustar manualmente por un administrador.
     }
 
     // Envía respuesta exitosa con la entrada de material actualizada.
@@ -1439,6 +1823,10 @@ const registrarUsoDeMaterial = async (req, res) => {
       material: materialProyecto,
     });
   } catch (error) {
+    // Unidad no compatible con el material.
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     // Registra el error en consola.
     console.error('Error al registrar uso de material:', error);
     // Envía mensaje genérico de error.
@@ -1806,33 +2194,57 @@ const agregarAdjuntosAProyecto = async (req, res) => {
 
     // La descripción puede venir en el cuerpo (se aplica a todos los archivos de esta petición).
     const descripcion = req.body.descripcion || '';
+    // Categoría de documento con la que se inspeccionaron los archivos (de la URL).
+    const categoria = String(req.query.categoria || 'general');
+    // Nota de la primera emisión (revisión A), opcional.
+    const nota = req.body.nota || '';
     // Id del usuario que sube los archivos (se toma del middleware de auth si existe).
     const userId = req.user ? req.user.id : null;
 
-    // Mapea cada archivo subido a un subdocumento de adjunto.
+    // Tarea o criterio que documentan las fotos de esta petición (opcional).
+    const actividad = await validarActividadFoto(proyecto, {
+      tarea: req.body.tarea || undefined,
+      criterio: req.body.criterio || undefined,
+    });
+    if (actividad.error) {
+      return res.status(400).json({ message: actividad.error });
+    }
+
+    // Mapea cada archivo subido a un documento nuevo en su revisión A.
     const nuevosAdjuntos = req.files.map((file) => {
-      // Construye una ruta relativa normalizada con barras hacia adelante.
-      const relativePath = path
-        .join('uploads', 'proyectos', proyectoId, file.filename) // uploads/proyectos/<id>/<archivo>.
-        .replace(/\\/g, '/'); // Reemplaza backslashes por slashes para compatibilidad.
+      // Metadatos del archivo (ruta relativa uploads/proyectos/<id>/<archivo>).
+      const archivo = datosArchivo(file, proyectoId);
+      const version = primeraVersion(archivo, { autor: userId, nota });
 
       // Retorna el objeto de adjunto.
       return {
-        nombreOriginal: file.originalname, // Nombre original del archivo.
-        nombreArchivo: file.filename, // Nombre con el que se almacena.
-        tipoMime: file.mimetype, // Tipo MIME.
-        size: file.size, // Tamaño en bytes.
-        ruta: relativePath, // Ruta relativa para servir/descargar el archivo.
+        ...archivo, // Nombre original, nombre en disco, tipo MIME, tamaño y ruta.
         descripcion, // Descripción opcional.
+        categoria, // Categoría de documento.
         fechaSubida: new Date(), // Fecha de subida.
         subidoPor: userId, // Id del usuario que sube (si existe).
+        ...version, // Revisión A como vigente.
+        // Retenido por la inspección: queda pendiente de revisión del admin.
+        cuarentena: file.cuarentena ? { ...file.cuarentena, version: version.versionActual } : null,
       };
     });
 
+    // Las imágenes se procesan como fotos de avance (EXIF + miniatura),
+    // salvo las retenidas en cuarentena (se procesan al liberarlas).
+    for (const adjunto of nuevosAdjuntos) {
+      if (esFotoProcesable(adjunto.tipoMime) && !adjunto.cuarentena) {
+        adjunto.foto = { ...(await procesarFoto(adjunto.ruta)), ...actividad.datos };
+      }
+    }
+
     // Concatena los nuevos adjuntos a los existentes.
     proyecto.adjuntos = proyecto.adjuntos.concat(nuevosAdjuntos);
     await proyecto.save();
 
+    // Auditoría y aviso a los admins de los archivos retenidos.
+    const retenidos = proyecto.adjuntos.slice(-nuevosAdjuntos.length).filter(enCuarentena);
+    await notificarCuarentena(req, proyecto, retenidos);
+
     // Vuelve a obtener el proyecto con referencias pobladas para la respuesta.
     const proyectoActualizado = await Proyectos.findById(proyectoId)
       .populate('materiales.material')
@@ -1843,7 +2255,9 @@ const agregarAdjuntosAProyecto = async (req, res) => {
 
     // Envía respuesta exitosa con el proyecto actualizado.
     return res.status(201).json({
-      message: 'Archivos adjuntados correctamente',
+      message: retenidos.length
+        ? `Archivos adjuntados; ${retenidos.length === 1 ? '1 quedó' : `${retenidos.length} quedaron`} en cuarentena hasta que un administrador los revise`
+        : 'Archivos adjuntados correctamente',
       proyecto: proyectoActualizado,
     });
   } catch (error) {
@@ -1875,23 +2289,13 @@ const eliminarAdjuntoDeProyecto = async (req, res) => {
       return res.status(404).json({ message: 'Adjunto no encontrado' });
     }
 
-    // Obtiene la ruta relativa almacenada.
-    const storedPath = adjunto.ruta || '';
-    // Si tiene slash inicial, se remueve para evitar dobles separadores.
-    const relativePath = storedPath.startsWith('/') ? storedPath.substring(1) : storedPath;
-
-    // Construye la ruta absoluta al archivo físico.
-    const filePath = path.join(__dirname, '..', relativePath);
-
-    // Intenta eliminar el archivo físico; ignora el error si el archivo no existe.
-    fs.unlink(filePath, (err) => {
-      if (err && err.code !== 'ENOENT') {
-        console.error('Error al eliminar archivo físico:', err);
-      }
-    });
+    // Intenta eliminar los archivos de todas las revisiones; ignora los que no existan.
+    eliminarArchivos(rutasArchivos(adjunto), 'el archivo del adjunto');
+    // Si es una foto de avance, elimina también su miniatura.
+    eliminarMiniatura(adjunto);
 
     // Elimina el subdocumento del adjunto del arreglo.
-    adjunto.remove();
+    adjunto.deleteOne();
     await proyecto.save();
 
     // Vuelve a obtener el proyecto con referencias pobladas.
@@ -1916,7 +2320,8 @@ const eliminarAdjuntoDeProyecto = async (req, res) => {
 };
 
 // --------------------------------------------------------------------------
-// Actualizar un adjunto de un proyecto (descripción y opcionalmente archivo).
+// Actualizar un adjunto de un proyecto (descripción y opcionalmente una nueva
+// revisión del archivo; las revisiones anteriores se conservan).
 // --------------------------------------------------------------------------
 const actualizarAdjuntoDeProyecto = async (req, res) => {
   try {
@@ -1938,46 +2343,66 @@ const actualizarAdjuntoDeProyecto = async (req, res) => {
       return res.status(404).json({ message: 'Adjunto no encontrado' });
     }
 
+    // Mientras haya una revisión en cuarentena no se admiten revisiones nuevas.
+    if (req.file && enCuarentena(adjunto)) {
+      eliminarArchivos([req.file.clave], 'el archivo rechazado');
+      return res.status(409).json({
+        message: 'El documento tiene una revisión en cuarentena; espera la revisión del administrador',
+      });
+    }
+
     // Actualiza la descripción si se envió una cadena.
     if (typeof descripcion === 'string') {
       adjunto.descripcion = descripcion;
     }
 
-    // Si se adjunta un nuevo archivo, se reemplaza el anterior.
+    // Tarea o criterio que documenta la foto (cadena vacía = sin asociación).
+    const actividad = await validarActividadFoto(proyecto, {
+      tarea: req.body.tarea,
+      criterio: req.body.criterio,
+    });
+    if (actividad.error) {
+      return res.status(400).json({ message: actividad.error });
+    }
+
+    // Si se adjunta un nuevo archivo, se registra como nueva revisión vigente.
+    // El archivo de la revisión anterior se conserva (solo lectura); solo se
+    // descarta su miniatura, que la galería ya no muestra.
     if (req.file) {
-      // Construye ruta absoluta al archivo anterior para eliminarlo.
-      const storedPath = adjunto.ruta || '';
-      const relativeOld = storedPath.startsWith('/') ? storedPath.substring(1) : storedPath;
-      const oldFilePath = path.join(__dirname, '..', relativeOld);
-
-      // Elimina el archivo anterior si existe; ignora errores de "no encontrado".
-      fs.unlink(oldFilePath, (err) => {
-        if (err && err.code !== 'ENOENT') {
-          console.error('Error al eliminar archivo anterior:', err);
-        }
+      eliminarMiniatura(adjunto);
+      const version = agregarVersion(adjunto, datosArchivo(req.file, proyectoId), {
+        autor: req.user ? req.user.id : null,
+        nota: typeof req.body.nota === 'string' ? req.body.nota : '',
       });
-
-      // Construye la nueva ruta relativa para el archivo de reemplazo.
-      const newRelativePath = path
-        .join('uploads', 'proyectos', proyectoId, req.file.filename)
-        .replace(/\\/g, '/');
-
-      // Actualiza los metadatos del adjunto con la información del nuevo archivo.
-      adjunto.nombreOriginal = req.file.originalname;
-      adjunto.nombreArchivo = req.file.filename;
-      adjunto.tipoMime = req.file.mimetype;
-      adjunto.size = req.file.size;
-      adjunto.ruta = newRelativePath;
-      adjunto.fechaSubida = new Date();
-
-      // Actualiza el usuario que sube si viene en la request.
-      if (req.user && req.user.id) {
-        adjunto.subidoPor = req.user.id;
+      // Retenida por la inspección: queda pendiente de revisión del admin.
+      if (req.file.cuarentena) {
+        adjunto.cuarentena = { ...req.file.cuarentena, version: version._id };
       }
     }
 
+    // Datos de foto: se recalculan si cambió el archivo; la asociación se conserva.
+    const asociacionActual = {
+      tarea: adjunto.foto?.tarea || null,
+      criterio: adjunto.foto?.criterio || null,
+    };
+    // La revisión retenida en cuarentena no se procesa como foto hasta liberarla.
+    if (req.file) {
+      adjunto.foto = esFotoProcesable(adjunto.tipoMime) && !enCuarentena(adjunto)
+        ? { ...(await procesarFoto(adjunto.ruta)), ...asociacionActual, ...actividad.datos }
+        : null;
+    } else if (enCuarentena(adjunto)) {
+      adjunto.foto = null;
+    } else if (adjunto.foto && Object.keys(actividad.datos).length > 0) {
+      adjunto.foto = { ...adjunto.foto.toObject(), ...actividad.datos };
+    } else if (!adjunto.foto && esFotoProcesable(adjunto.tipoMime) && Object.keys(actividad.datos).length > 0) {
+      adjunto.foto = { ...(await procesarFoto(adjunto.ruta)), ...actividad.datos };
+    }
+
     // Guarda el proyecto con el adjunto actualizado.
     await proyecto.save();
+    if (req.file?.cuarentena) {
+      await notificarCuarentena(req, proyecto, [adjunto]);
+    }
 
     // Vuelve a obtener el proyecto con referencias pobladas.
     const proyectoActualizado = await Proyectos.findById(proyectoId)
@@ -2016,27 +2441,40 @@ const eliminarProyectoPorId = async (req, res) => {
       return res.status(404).json({ message: 'Proyecto no encontrado' });
     }
 
-    // Primero, devuelve los materiales asignados al inventario global.
+    // Primero, libera las reservas y devuelve al inventario lo que salió en asignaciones legadas.
     for (const item of proyecto.materiales) {
       // Busca el material correspondiente.
-      const material = await Material.findById(item.material._id);
-      if (material) {
+      const material = item.material ? await Material.findById(item.material._id) : null;
+      if (material && !esAsignacionLegada(item)) {
+        // El material sigue en el almacén: basta con liberar la reserva.
+        await liberarAsignacion(item, material);
+      } else if (material) {
         // Calcula la cantidad a devolver (asignado - utilizado).
         const cantidadDevolver = item.cantidadAsignada - item.cantidadUtilizada;
 
-        // Aumenta el stock del material.
-        material.cantidad += cantidadDevolver;
-        await material.save();
+        // Devuelve la cantidad al almacén del que salió (suma al saldo y al total del material).
+        const almacenDevolucion = await obtenerAlmacenDeAsignacion(item, material);
+        // Regresa al costo con el que salió, para no alterar el promedio del almacén.
+        const { saldoAnterior, saldoNuevo, costoUnitario } = await aplicarMovimientoEnAlmacen({
+          material,
+          almacen: almacenDevolucion,
+          tipo: 'entrada',
+          cantidad: cantidadDevolver,
+          costoUnitario: item.costoUnitario,
+        });
 
         // Registra un movimiento de inventario tipo "entrada".
         const movimiento = new MovimientoInventario({
           material: material._id, // Id de material.
+          almacen: almacenDevolucion, // Almacén que recibe la devolución.
           tipo: 'entrada', // Movimiento de entrada.
           cantidad: cantidadDevolver, // Cantidad devuelta.
           motivo: `Devolución por eliminación de proyecto: ${proyecto.title}`, // Motivo descriptivo.
           proyecto: proyecto._id, // Id del proyecto.
-          stockAnterior: material.cantidad - cantidadDevolver, // Stock anterior.
-          stockNuevo: material.cantidad, // Stock actual.
+          stockAnterior: saldoAnterior, // Saldo del almacén anterior.
+          stockNuevo: saldoNuevo, // Saldo del almacén actual.
+          costoUnitario, // Costo al que regresa el material.
+          costoTotal: cantidadDevolver * costoUnitario, // Valor de la devolución.
           fecha: new Date(), // Fecha del movimiento.
         });
         // Guarda el movimiento de inventario.
@@ -2425,6 +2863,9 @@ const exportarProyectoPorIdAPDF = async (req, res) => {
       return res.status(404).json({ message: 'Proyecto no encontrado' });
     }
 
+    // Valor ganado a la fecha (antes de abrir el stream del PDF).
+    const valorGanado = await calcularValorGanadoProyecto(proyecto);
+
     // Asegura que exista el directorio de exportación.
     const exportDir = path.join(__dirname, '..', 'exports');
     if (!fs.existsSync(exportDir)) {
@@ -2652,32 +3093,199 @@ const exportarProyectoPorIdAPDF = async (req, res) => {
       });
 
     // ----------------------------------------------------------------------
-    // PIE DE PÁGINA (para una sola página).
+    // SECCIÓN DE VALOR GANADO (presupuesto de materiales vs avance y costo).
     // ----------------------------------------------------------------------
-    const bottom = doc.page.height - 30;
-
+    const evY = descBoxY + 100;
     doc
-      .moveTo(40, bottom)
-      .lineTo(doc.page.width - 40, bottom)
-      .strokeColor('#E2E8F0')
-      .lineWidth(0.5)
+      .moveTo(40, evY)
+      .lineTo(48, evY)
+      .lineWidth(3)
+      .strokeColor(colors.success)
       .stroke();
 
     doc
-      .fontSize(8)
-      .fillColor(colors.secondary)
-      .font('Helvetica')
-      .text('Página 1 de 1', 40, bottom + 10, {
-        width: doc.page.width - 80,
-        align: 'center',
+      .fontSize(15)
+      .font('Helvetica-Bold')
+      .fillColor(colors.text)
+      .text('Valor Ganado', 52, evY - 4);
+
+    const evBoxY = evY + 22;
+    doc.roundedRect(40, evBoxY, 515, 90, 3).fill(colors.lightBg);
+    doc.fontSize(10).fillColor(colors.secondary);
+
+    if (valorGanado.sinPresupuesto) {
+      doc
+        .font('Helvetica')
+        .text(
+          'El proyecto no tiene presupuesto de materiales; el valor ganado se calcula a partir de él.',
+          55,
+          evBoxY + 15,
+          { width: 495 }
+        );
+    } else {
+      const moneda = (valor) => `$${Math.round(valor).toLocaleString('es-ES')}`;
+      const indiceTexto = (valor) => (valor === null ? '-' : valor.toFixed(2));
+
+      // Filas [etiqueta, valor] por columna.
+      const columnas = [
+        [
+          ['BAC', moneda(valorGanado.bac)],
+          ['PV', moneda(valorGanado.pv)],
+          ['EV', moneda(valorGanado.ev)],
+          ['AC', moneda(valorGanado.ac)],
+        ],
+        [
+          ['SPI', indiceTexto(valorGanado.spi)],
+          ['CPI', indiceTexto(valorGanado.cpi)],
+          ['EAC', moneda(valorGanado.eac)],
+          ['VAC', moneda(valorGanado.vac)],
+        ],
+        [
+          ['Avance planeado', `${valorGanado.avancePlaneado}%`],
+          ['Avance real', `${valorGanado.avanceReal}%`],
+        ],
+      ];
+
+      columnas.forEach((filas, indice) => {
+        const x = 55 + indice * 165;
+        filas.forEach(([etiqueta, valor], fila) => {
+          doc
+            .fillColor(colors.secondary)
+            .font('Helvetica-Bold')
+            .text(`${etiqueta}:`, x, evBoxY + 12 + fila * 15, { continued: true });
+          doc.font('Helvetica').text(` ${valor}`);
+        });
       });
 
+      // Estado del cronograma y del costo.
+      doc
+        .font('Helvetica-Bold')
+        .fillColor(valorGanado.atrasado ? colors.danger : colors.success)
+        .text(valorGanado.atrasado ? 'Atrasado' : 'Al día', 385, evBoxY + 42);
+      doc
+        .fillColor(valorGanado.sobrecosto ? colors.danger : colors.success)
+        .text(valorGanado.sobrecosto ? 'Sobre costo' : 'Dentro del presupuesto', 385, evBoxY + 57);
+    }
+
+    // ----------------------------------------------------------------------
+    // SECCIÓN DE DOCUMENTOS (revisión vigente y estado de aprobación).
+    // Las fotos de avance solo se listan si se enviaron a aprobación.
+    // ----------------------------------------------------------------------
+    const documentos = (proyecto.adjuntos || []).filter(
+      (a) => !esFotoProcesable(a.tipoMime) || (a.aprobaciones || []).length > 0
+    );
+    const coloresAprobacion = {
+      sin_enviar: colors.secondary,
+      en_revision: colors.warning,
+      aprobado: colors.success,
+      rechazado: colors.danger,
+    };
+
+    let docY = evBoxY + 110;
+    if (docY > doc.page.height - 120) {
+      doc.addPage();
+      docY = 50;
+    }
     doc
-      .fontSize(7)
-      .text('© 2025 - Sistema de Gestión de Proyectos', 40, bottom + 18, {
-        width: doc.page.width - 80,
-        align: 'center',
-      });
+      .moveTo(40, docY)
+      .lineTo(48, docY)
+      .lineWidth(3)
+      .strokeColor(colors.primary)
+      .stroke();
+
+    doc
+      .fontSize(15)
+      .font('Helvetica-Bold')
+      .fillColor(colors.text)
+      .text('Documentos y aprobaciones', 52, docY - 4);
+    docY += 24;
+
+    if (!documentos.length) {
+      doc
+        .fontSize(10)
+        .font('Helvetica')
+        .fillColor(colors.secondary)
+        .text('El proyecto no tiene documentos adjuntos.', 55, docY);
+    }
+
+    documentos.forEach((adjunto) => {
+      if (docY > doc.page.height - 90) {
+        doc.addPage();
+        docY = 50;
+      }
+
+      const estado = estadoAprobacion(adjunto);
+      const ronda = rondaVigente(adjunto);
+      // Quién aprobó/rechazó (o a quién está pendiente) en la ronda vigente.
+      const revisores = (ronda?.revisores || [])
+        .map((r) => {
+          const rol = r.rol === 'admin' ? 'Administración' : 'Cliente';
+          return r.estado === 'pendiente'
+            ? `${rol}: pendiente`
+            : `${rol}: ${r.estado} por ${r.nombre || 'usuario'} el ${formatearFecha(r.fecha)}`;
+        })
+        .join('  ·  ');
+
+      doc.roundedRect(40, docY, 515, 30, 3).fill(colors.lightBg);
+      doc
+        .fontSize(9)
+        .font('Helvetica-Bold')
+        .fillColor(colors.text)
+        .text(`${adjunto.nombreOriginal}  ·  Rev. ${adjunto.revision || 'A'}`, 50, docY + 5, {
+          width: 380,
+          lineBreak: false,
+          ellipsis: true,
+        });
+      // Una revisión retenida por la inspección se marca como "En cuarentena".
+      const retenido = enCuarentena(adjunto);
+      doc
+        .fillColor(retenido ? colors.danger : coloresAprobacion[estado] || colors.secondary)
+        .text(retenido ? 'En cuarentena' : etiquetaAprobacion(estado), 440, docY + 5, { width: 105, align: 'right' });
+      doc
+        .fontSize(8)
+        .font('Helvetica')
+        .fillColor(colors.secondary)
+        .text(retenido ? `Pendiente de revisión: ${adjunto.cuarentena.motivos.join('; ')}` : revisores || 'Sin enviar a aprobación', 50, docY + 17, {
+          width: 495,
+          lineBreak: false,
+          ellipsis: true,
+        });
+
+      docY += 36;
+    });
+
+    // ----------------------------------------------------------------------
+    // PIE DE PÁGINA (todas las páginas).
+    // ----------------------------------------------------------------------
+    const { count: pageCount } = doc.bufferedPageRange();
+    for (let i = 0; i < pageCount; i++) {
+      doc.switchToPage(i);
+      doc.page.margins.bottom = 0;                                         // Evita que el pie genere páginas extra
+      const bottom = doc.page.height - 30;
+
+      doc
+        .moveTo(40, bottom)
+        .lineTo(doc.page.width - 40, bottom)
+        .strokeColor('#E2E8F0')
+        .lineWidth(0.5)
+        .stroke();
+
+      doc
+        .fontSize(8)
+        .fillColor(colors.secondary)
+        .font('Helvetica')
+        .text(`Página ${i + 1} de ${pageCount}`, 40, bottom + 10, {
+          width: doc.page.width - 80,
+          align: 'center',
+        });
+
+      doc
+        .fontSize(7)
+        .text('© 2025 - Sistema de Gestión de Proyectos', 40, bottom + 18, {
+          width: doc.page.width - 80,
+          align: 'center',
+        });
+    }
 
     // Finaliza el documento PDF.
     doc.end();
@@ -2714,6 +3322,7 @@ module.exports = {
   obtenerProyectos,
   obtenerProyectosRecientes,
   crearProyecto,
+  importarProyectos,
   obtenerProyectosUsuario,
   obtenerProyectoPorId,
   obtenerProgresoDeProyecto,
@@ -0,0 +1,330 @@
+// File: BackEnd/src/modules/projects/controllers/tareaProyecto.controlador.js
+// Description: Controlador del cronograma de proyectos en ProCivil Manager
+//              (PCM). Gestiona las tareas de un proyecto (EDT, duración,
+//              predecesoras, responsable y avance) y devuelve el cronograma
+//              programado con la ruta crítica. Consultan el cronograma admin,
+//              auditor, el líder asignado y el cliente del proyecto; lo
+//              modifican el admin y el líder asignado.
+
+// ============================================================================
+// Importación de dependencias y modelos
+// ============================================================================
+
+const mongoose = require('mongoose');                                        // Validación de ObjectId.
+const Proyectos = require('../models/proyecto.modelo');                      // Modelo de proyectos.
+const TareaProyecto = require('../models/tareaProyecto.modelo');             // Modelo de tareas del cronograma.
+const User = require('../../users/models/usuario.modelo');                   // Modelo de usuarios (responsables).
+const {
+  TIPOS_RELACION,
+  obtenerDescendientes,
+  calcularCronograma,
+} = require('../services/cronograma.servicio');                              // Programación CPM y EDT.
+const { tieneAccesoProyecto } = require('../utils/accesoProyecto');          // Reglas de acceso por rol.
+
+// ============================================================================
+// Helpers internos
+// ============================================================================
+
+// Helper: crea un error de negocio con código HTTP.
+const crearError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Helper: busca el proyecto y valida el acceso del usuario autenticado.
+// Lectura: admin, auditor, líder asignado y cliente del proyecto.
+// Escritura: admin y líder asignado.
+const obtenerProyectoConAcceso = async (req, { escritura = false } = {}) => {
+  const proyectoId = req.params.id;
+  if (!mongoose.Types.ObjectId.isValid(proyectoId)) {
+    throw crearError('ID de proyecto inválido');
+  }
+
+  const proyecto = await Proyectos.findById(proyectoId).select(
+    'title startDate endDate lider cliente email status'
+  );
+  if (!proyecto) {
+    throw crearError('Proyecto no encontrado', 404);
+  }
+
+  if (tieneAccesoProyecto(req.user, proyecto, { escritura })) return proyecto;
+
+  throw crearError(
+    escritura
+      ? 'Solo el administrador o el líder asignado pueden modificar el cronograma de este proyecto.'
+      : 'No tienes permisos para consultar el cronograma de este proyecto.',
+    403
+  );
+};
+
+// Helper: valida y normaliza los campos de una tarea (creación o edición).
+// `tareas` son las demás tareas del proyecto; `tareaActual`, la que se edita.
+const normalizarDatosTarea = async (body, tareas, tareaActual = null) => {
+  const datos = {};
+  const idActual = tareaActual ? String(tareaActual._id) : null;
+  const porId = new Map(tareas.map((t) => [String(t._id), t]));
+
+  if (body.nombre !== undefined) {
+    if (typeof body.nombre !== 'string' || !body.nombre.trim()) {
+      throw crearError('El nombre de la tarea es obligatorio');
+    }
+    datos.nombre = body.nombre.trim();
+  } else if (!tareaActual) {
+    throw crearError('El nombre de la tarea es obligatorio');
+  }
+
+  if (body.descripcion !== undefined) datos.descripcion = String(body.descripcion || '').trim();
+
+  if (body.duracion !== undefined) {
+    const duracion = Number(body.duracion);
+    if (!Number.isFinite(duracion) || duracion < 0) {
+      throw crearError('La duración debe ser un número de días mayor o igual a 0');
+    }
+    datos.duracion = duracion;
+  }
+
+  if (body.porcentajeAvance !== undefined) {
+    const avance = Number(body.porcentajeAvance);
+    if (!Number.isFinite(avance) || avance < 0 || avance > 100) {
+      throw crearError('El porcentaje de avance debe estar entre 0 y 100');
+    }
+    datos.porcentajeAvance = avance;
+  }
+
+  if (body.orden !== undefined) {
+    const orden = Number(body.orden);
+    if (!Number.isFinite(orden)) throw crearError('El orden debe ser numérico');
+    datos.orden = orden;
+  }
+
+  if (body.inicioRestringido !== undefined) {
+    if (!body.inicioRestringido) {
+      datos.inicioRestringido = null;
+    } else {
+      const fecha = new Date(body.inicioRestringido);
+      if (Number.isNaN(fecha.getTime())) throw crearError('La fecha de inicio restringido no es válida');
+      datos.inicioRestringido = fecha;
+    }
+  }
+
+  // Tarea padre (EDT): del mismo proyecto y nunca la misma tarea o una subtarea suya
+  if (body.padre !== undefined) {
+    const padreId = body.padre ? String(body.padre) : null;
+    if (padreId) {
+      if (!porId.has(padreId)) throw crearError('La tarea padre no pertenece a este proyecto');
+      if (idActual && obtenerDescendientes(tareas, idActual).has(padreId)) {
+        throw crearError('Una tarea no puede quedar dentro de sí misma ni de una de sus subtareas');
+      }
+      const tienenDependencias = tareas.some(
+        (t) =>
+          (String(t._id) === padreId && (t.predecesoras || []).length > 0) ||
+          (t.predecesoras || []).some((p) => String(p.tarea) === padreId)
+      );
+      if (tienenDependencias) {
+        throw crearError(
+          'La tarea padre tiene dependencias. Las dependencias se definen entre tareas de detalle; quítelas antes de agregarle subtareas.'
+        );
+      }
+    }
+    datos.padre = padreId;
+  }
+
+  // Predecesoras: tareas de detalle del mismo proyecto, sin repetir
+  if (body.predecesoras !== undefined) {
+    if (!Array.isArray(body.predecesoras)) throw crearError('Las predecesoras deben ser un arreglo');
+    const padres = new Set(tareas.filter((t) => t.padre).map((t) => String(t.padre)));
+    if (idActual && padres.has(idActual) && body.predecesoras.length > 0) {
+      throw crearError('Las tareas resumen no llevan predecesoras; asígnelas a sus subtareas');
+    }
+    const vistas = new Set();
+    datos.predecesoras = body.predecesoras.map((pred) => {
+      const tareaId = String(pred?.tarea || '');
+      if (!porId.has(tareaId) || tareaId === idActual) {
+        throw crearError('Cada predecesora debe ser otra tarea de este proyecto');
+      }
+      if (padres.has(tareaId)) {
+        throw crearError(`La tarea "${porId.get(tareaId).nombre}" es resumen y no puede ser predecesora`);
+      }
+      if (vistas.has(tareaId)) throw crearError('Hay predecesoras repetidas');
+      vistas.add(tareaId);
+
+      const tipo = (pred.tipo || 'FS').toString().toUpperCase();
+      if (!TIPOS_RELACION.includes(tipo)) {
+        throw crearError(`Tipo de relación inválido: ${pred.tipo}. Use FS, SS o FF`);
+      }
+      const desfase = Number(pred.desfase || 0);
+      if (!Number.isFinite(desfase)) throw crearError('El desfase debe ser un número de días');
+      return { tarea: tareaId, tipo, desfase };
+    });
+  }
+
+  // Responsable: usuario activo que no sea cliente
+  if (body.responsable !== undefined) {
+    if (!body.responsable) {
+      datos.responsable = null;
+    } else {
+      const responsable = mongoose.Types.ObjectId.isValid(body.responsable)
+        ? await User.findOne({ _id: body.responsable, isDeleted: { $ne: true } }).select('role')
+        : null;
+      if (!responsable || responsable.role === 'cliente') {
+        throw crearError('El responsable debe ser un usuario activo del equipo (admin o líder de obra)');
+      }
+      datos.responsable = responsable._id;
+    }
+  }
+
+  return datos;
+};
+
+// Helper: responde errores de negocio o genéricos.
+const responderError = (res, error, mensaje) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`${mensaje}:`, error);
+  return res.status(500).json({ message: mensaje });
+};
+
+// ============================================================================
+// Controladores
+// ============================================================================
+
+// --------------------------------------------------------------------------
+// Obtener el cronograma programado de un proyecto (EDT + ruta crítica).
+// --------------------------------------------------------------------------
+const obtenerCronogramaProyecto = async (req, res) => {
+  try {
+    const proyecto = await obtenerProyectoConAcceso(req);
+
+    const tareas = await TareaProyecto.find({ proyecto: proyecto._id })
+      .populate('responsable', 'firstName lastName email role')
+      .lean();
+
+    const cronograma = calcularCronograma(proyecto, tareas);
+
+    return res.status(200).json({
+      proyecto: {
+        _id: proyecto._id,
+        title: proyecto.title,
+        startDate: proyecto.startDate,
+        endDate: proyecto.endDate,
+      },
+      ...cronograma,
+    });
+  } catch (error) {
+    return responderError(res, error, 'Error al obtener el cronograma del proyecto');
+  }
+};
+
+// --------------------------------------------------------------------------
+// Crear una tarea en el cronograma del proyecto.
+// --------------------------------------------------------------------------
+const crearTareaProyecto = async (req, res) => {
+  try {
+    const proyecto = await obtenerProyectoConAcceso(req, { escritura: true });
+    const tareas = await TareaProyecto.find({ proyecto: proyecto._id }).lean();
+
+    const datos = await normalizarDatosTarea(req.body, tareas);
+
+    // Por defecto la tarea queda al final de sus hermanas.
+    if (datos.orden === undefined) {
+      const hermanas = tareas.filter((t) => String(t.padre || '') === String(datos.padre || ''));
+      datos.orden = hermanas.reduce((maximo, t) => Math.max(maximo, t.orden || 0), 0) + 1;
+    }
+
+    const nuevaTarea = new TareaProyecto({
+      ...datos,
+      proyecto: proyecto._id,
+      creadoPor: req.user?.id || null,
+      actualizadoPor: req.user?.id || null,
+    });
+
+    // Valida que la nueva dependencia no forme un ciclo antes de guardar.
+    calcularCronograma(proyecto, [...tareas, nuevaTarea.toObject()]);
+
+    await nuevaTarea.save();
+    await nuevaTarea.populate('responsable', 'firstName lastName email role');
+
+    return res.status(201).json({ message: 'Tarea creada correctamente', tarea: nuevaTarea });
+  } catch (error) {
+    return responderError(res, error, 'Error al crear la tarea');
+  }
+};
+
+// --------------------------------------------------------------------------
+// Actualizar una tarea (datos, dependencias, responsable o avance).
+// --------------------------------------------------------------------------
+const actualizarTareaProyecto = async (req, res) => {
+  try {
+    const proyecto = await obtenerProyectoConAcceso(req, { escritura: true });
+    const tareas = await TareaProyecto.find({ proyecto: proyecto._id }).lean();
+
+    const tarea = await TareaProyecto.findOne({ _id: req.params.tareaId, proyecto: proyecto._id });
+    if (!tarea) {
+      return res.status(404).json({ message: 'Tarea no encontrada en este proyecto' });
+    }
+
+    const datos = await normalizarDatosTarea(req.body, tareas, tarea);
+    tarea.set({ ...datos, actualizadoPor: req.user?.id || null });
+
+    // Valida el cronograma resultante (ciclos) antes de guardar.
+    calcularCronograma(
+      proyecto,
+      tareas.map((t) => (String(t._id) === String(tarea._id) ? tarea.toObject() : t))
+    );
+
+    await tarea.save();
+    await tarea.populate('responsable', 'firstName lastName email role');
+
+    return res.status(200).json({ message: 'Tarea actualizada correctamente', tarea });
+  } catch (error) {
+    return responderError(res, error, 'Error al actualizar la tarea');
+  }
+};
+
+// --------------------------------------------------------------------------
+// Eliminar una tarea. Las tareas resumen se eliminan después de sus
+// subtareas; las dependencias hacia la tarea eliminada se quitan.
+// --------------------------------------------------------------------------
+const eliminarTareaProyecto = async (req, res) => {
+  try {
+    const proyecto = await obtenerProyectoConAcceso(req, { escritura: true });
+
+    const tarea = await TareaProyecto.findOne({ _id: req.params.tareaId, proyecto: proyecto._id });
+    if (!tarea) {
+      return res.status(404).json({ message: 'Tarea no encontrada en este proyecto' });
+    }
+
+    const subtareas = await TareaProyecto.countDocuments({ proyecto: proyecto._id, padre: tarea._id });
+    if (subtareas > 0) {
+      return res.status(400).json({
+        message: `La tarea tiene ${subtareas} subtarea(s). Elimínelas o muévalas antes de eliminarla.`,
+      });
+    }
+
+    await TareaProyecto.updateMany(
+      { proyecto: proyecto._id, 'predecesoras.tarea': tarea._id },
+      { $pull: { predecesoras: { tarea: tarea._id } } }
+    );
+    await tarea.deleteOne();
+
+    return res.status(200).json({ message: 'Tarea eliminada correctamente' });
+  } catch (error) {
+    return responderError(res, error, 'Error al eliminar la tarea');
+  }
+};
+
+// ============================================================================
+// Exportación de controladores
+// ============================================================================
+
+module.exports = {
+  obtenerCronogramaProyecto,
+  crearTareaProyecto,
+  actualizarTareaProyecto,
+  eliminarTareaProyecto,
+};
@@ -0,0 +1,149 @@
+// File: BackEnd/src/modules/projects/controllers/valorGanado.controlador.js
+// Description: Controlador de valor ganado (EVM) en ProCivil Manager (PCM).
+//              Expone el resumen del portafolio (PV, EV, AC, SPI, CPI, EAC y
+//              VAC por proyecto, con totales) para el dashboard y el detalle
+//              de un proyecto con su evolución en el tiempo (cortes diarios y
+//              curva planeada). Cada consulta actualiza el corte del día.
+
+// ============================================================================
+// Importación de dependencias y modelos
+// ============================================================================
+
+const mongoose = require('mongoose');                                        // Validación de ObjectId.
+const Proyectos = require('../models/proyecto.modelo');                      // Modelo de proyectos.
+const {
+  calcularIndicadores,
+  calcularValorGanadoProyecto,
+  registrarCorteValorGanado,
+  obtenerSerieValorGanado,
+} = require('../services/valorGanado.servicio');                             // Cálculo y cortes de valor ganado.
+const { tieneAccesoProyecto } = require('../utils/accesoProyecto');          // Reglas de acceso por rol.
+
+// ============================================================================
+// Helpers internos
+// ============================================================================
+
+// Helper: crea un error de negocio con código HTTP.
+const crearError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Helper: valida que el usuario pueda consultar el proyecto.
+// Admin y auditor: cualquiera; líder: los suyos; cliente: los asociados a su cuenta.
+const validarAccesoProyecto = (req, proyecto) => {
+  if (!tieneAccesoProyecto(req.user, proyecto)) {
+    throw crearError('No tienes permisos para consultar el valor ganado de este proyecto.', 403);
+  }
+};
+
+// Helper: responde errores de negocio o genéricos.
+const responderError = (res, error, mensaje) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`${mensaje}:`, error);
+  return res.status(500).json({ message: mensaje });
+};
+
+// Helper: registra el corte del día sin interrumpir la respuesta si falla.
+const registrarCorteSeguro = async (resultado) => {
+  try {
+    await registrarCorteValorGanado(resultado);
+  } catch (error) {
+    console.error('Error al registrar el corte de valor ganado:', error);
+  }
+};
+
+// ============================================================================
+// Controladores
+// ============================================================================
+
+// --------------------------------------------------------------------------
+// Valor ganado del portafolio (admin y auditor: todos; líder: los suyos).
+// --------------------------------------------------------------------------
+const obtenerValorGanadoPortafolio = async (req, res) => {
+  try {
+    const filtro = { activo: true };
+    if (req.user?.role === 'lider de obra') {
+      filtro.lider = req.user._id || req.user.id;
+    }
+
+    const proyectos = await Proyectos.find(filtro);
+
+    const resultados = [];
+    for (const proyecto of proyectos) {
+      const resultado = await calcularValorGanadoProyecto(proyecto);
+      await registrarCorteSeguro(resultado);
+      resultados.push(resultado);
+    }
+
+    // Primero los más comprometidos: menor CPI y luego menor SPI (sin índice al final).
+    const indice = (valor) => (valor === null ? Infinity : valor);
+    resultados.sort(
+      (a, b) =>
+        Number(a.sinPresupuesto) - Number(b.sinPresupuesto) ||
+        indice(a.cpi) - indice(b.cpi) ||
+        indice(a.spi) - indice(b.spi)
+    );
+
+    // Totales del portafolio (solo proyectos con presupuesto de materiales)
+    const conPresupuesto = resultados.filter((r) => !r.sinPresupuesto);
+    const suma = (campo) => conPresupuesto.reduce((total, r) => total + r[campo], 0);
+    const totales = { bac: suma('bac'), pv: suma('pv'), ev: suma('ev'), ac: suma('ac') };
+
+    return res.status(200).json({
+      fecha: new Date(),
+      proyectos: resultados,
+      totales: { ...totales, ...calcularIndicadores(totales) },
+      resumen: {
+        total: resultados.length,
+        conPresupuesto: conPresupuesto.length,
+        atrasados: resultados.filter((r) => r.atrasado).length,
+        sobrecosto: resultados.filter((r) => r.sobrecosto).length,
+      },
+    });
+  } catch (error) {
+    return responderError(res, error, 'Error al calcular el valor ganado del portafolio');
+  }
+};
+
+// --------------------------------------------------------------------------
+// Valor ganado de un proyecto con su evolución (cortes y curva planeada).
+// --------------------------------------------------------------------------
+const obtenerValorGanadoProyecto = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      throw crearError('ID de proyecto inválido');
+    }
+
+    const proyecto = await Proyectos.findById(req.params.id);
+    if (!proyecto) {
+      throw crearError('Proyecto no encontrado', 404);
+    }
+    validarAccesoProyecto(req, proyecto);
+
+    const { curvaPlaneada, ...actual } = await calcularValorGanadoProyecto(proyecto, {
+      incluirCurva: true,
+    });
+    await registrarCorteSeguro(actual);
+    const serie = await obtenerSerieValorGanado(proyecto._id);
+
+    return res.status(200).json({ actual, serie, curvaPlaneada });
+  } catch (error) {
+    return responderError(res, error, 'Error al calcular el valor ganado del proyecto');
+  }
+};
+
+// ============================================================================
+// Exportación de controladores
+// ============================================================================
+
+module.exports = {
+  obtenerValorGanadoPortafolio,
+  obtenerValorGanadoProyecto,
+};
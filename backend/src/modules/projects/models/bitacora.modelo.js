@@ -0,0 +1,170 @@
+// File: BackEnd/src/modules/projects/models/bitacora.modelo.js
+// Description: Modelo Mongoose para la bitácora de obra de un proyecto en
+//              ProCivil Manager (PCM). Cada entrada registra un día de obra:
+//              clima, personal, equipos, actividades, incidentes y fotos.
+//              El líder la firma (queda en solo lectura, con una huella
+//              SHA-256 de su contenido) y la interventoría puede refrendarla.
+//              Hay como máximo una entrada por proyecto y día.
+
+// ==============================
+// Importación de dependencias
+// ==============================
+const mongoose = require('mongoose'); // Importa Mongoose para definir el esquema y el modelo
+
+// ==============================
+// Catálogos
+// ==============================
+const CONDICIONES_CLIMA = ['soleado', 'parcialmente nublado', 'nublado', 'lluvia', 'tormenta'];
+const TIPOS_INCIDENTE = ['seguridad', 'calidad', 'ambiental', 'retraso', 'otro'];
+const GRAVEDADES_INCIDENTE = ['baja', 'media', 'alta'];
+const ESTADOS_BITACORA = ['borrador', 'firmada', 'refrendada'];
+
+// ==============================
+// Subesquemas
+// ==============================
+
+// Personal en obra por cargo (ej. 4 oficiales de la empresa X)
+const PersonalSchema = new mongoose.Schema(
+  {
+    cargo: { type: String, required: true, trim: true },    // Oficial, ayudante, topógrafo...
+    cantidad: { type: Number, required: true, min: 0 },     // Número de personas
+    empresa: { type: String, trim: true, default: '' },     // Contratista o subcontratista
+  },
+  { _id: false }
+);
+
+// Equipos y maquinaria utilizados en el día
+const EquipoSchema = new mongoose.Schema(
+  {
+    descripcion: { type: String, required: true, trim: true }, // Retroexcavadora, mezcladora...
+    cantidad: { type: Number, min: 0, default: 1 },            // Unidades en obra
+    horas: { type: Number, min: 0, default: 0 },               // Horas de uso en el día
+  },
+  { _id: false }
+);
+
+// Actividades ejecutadas (opcionalmente ligadas a una tarea del cronograma)
+const ActividadSchema = new mongoose.Schema(
+  {
+    descripcion: { type: String, required: true, trim: true },
+    tarea: {
+      type: mongoose.Schema.Types.ObjectId, // Tarea del cronograma relacionada
+      ref: 'TareaProyecto',
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Incidentes o novedades del día
+const IncidenteSchema = new mongoose.Schema(
+  {
+    tipo: { type: String, enum: TIPOS_INCIDENTE, default: 'otro' },
+    descripcion: { type: String, required: true, trim: true },
+    gravedad: { type: String, enum: GRAVEDADES_INCIDENTE, default: 'baja' },
+  },
+  { _id: false }
+);
+
+// Fotos del día (mismo formato de metadatos que los adjuntos del proyecto)
+const FotoSchema = new mongoose.Schema({
+  nombreOriginal: { type: String },     // Nombre original del archivo
+  nombreArchivo: { type: String },      // Nombre con el que se almacena en disco
+  tipoMime: { type: String },           // Tipo MIME (image/jpeg, image/png...)
+  size: { type: Number },               // Tamaño en bytes
+  ruta: { type: String },               // uploads/proyectos/<id>/<archivo>
+  descripcion: { type: String, default: '' },
+  fechaSubida: { type: Date, default: Date.now },
+});
+
+// ==============================
+// Definición del esquema BitacoraObra
+// ==============================
+const BitacoraObraSchema = new mongoose.Schema(
+  {
+    // Proyecto al que pertenece la entrada
+    proyecto: {
+      type: mongoose.Schema.Types.ObjectId, // Referencia al proyecto
+      ref: 'Proyectos',                     // Modelo referenciado
+      required: true,                       // Es obligatorio
+    },
+
+    // Consecutivo de la entrada dentro del proyecto (folio del libro)
+    numero: {
+      type: Number,
+      required: true,
+    },
+
+    // Día de obra que registra (medianoche UTC)
+    fecha: {
+      type: Date,
+      required: true,
+    },
+
+    // Condiciones climáticas del día
+    clima: {
+      condicion: { type: String, enum: CONDICIONES_CLIMA, default: 'soleado' },
+      temperatura: { type: Number, default: null }, // °C aproximados
+      observaciones: { type: String, trim: true, default: '' },
+    },
+
+    personal: { type: [PersonalSchema], default: [] },
+    equipos: { type: [EquipoSchema], default: [] },
+    actividades: { type: [ActividadSchema], default: [] },
+    incidentes: { type: [IncidenteSchema], default: [] },
+    fotos: { type: [FotoSchema], default: [] },
+
+    // Observaciones generales del día
+    observaciones: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+
+    // Estado de la entrada:
+    //  - borrador: editable por su autor.
+    //  - firmada: firmada por el autor; queda en solo lectura.
+    //  - refrendada: firmada además por la interventoría.
+    estado: {
+      type: String,
+      enum: ESTADOS_BITACORA,
+      default: 'borrador',
+    },
+
+    // Usuario que redactó la entrada
+    autor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    // Firma del autor (huella: SHA-256 del contenido firmado)
+    firma: {
+      usuario: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      nombre: { type: String, default: '' },
+      fecha: { type: Date, default: null },
+      huella: { type: String, default: '' },
+    },
+
+    // Refrendo de la interventoría
+    refrendo: {
+      usuario: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      nombre: { type: String, default: '' },
+      fecha: { type: Date, default: null },
+      observaciones: { type: String, trim: true, default: '' },
+    },
+  },
+  {
+    timestamps: true,                      // Agrega createdAt y updatedAt automáticamente
+    collection: 'bitacoras_obra',          // Nombre explícito de la colección en MongoDB
+  }
+);
+
+// Una entrada por proyecto y día; el consecutivo también es único por proyecto
+BitacoraObraSchema.index({ proyecto: 1, fecha: 1 }, { unique: true });
+BitacoraObraSchema.index({ proyecto: 1, numero: 1 }, { unique: true });
+
+// ==============================
+// Exportación del modelo
+// ==============================
+module.exports = mongoose.model('BitacoraObra', BitacoraObraSchema);
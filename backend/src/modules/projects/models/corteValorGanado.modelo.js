@@ -0,0 +1,64 @@
+// File: BackEnd/src/modules/projects/models/corteValorGanado.modelo.js
+// Description: Modelo Mongoose para los cortes diarios de valor ganado de un
+//              proyecto en ProCivil Manager (PCM). Cada corte congela PV, EV,
+//              AC y los índices derivados (SPI, CPI, EAC, VAC) de un día, de
+//              modo que la evolución del proyecto pueda graficarse aunque el
+//              avance y los costos cambien después. Hay como máximo un corte
+//              por proyecto y día; recalcular el mismo día lo reemplaza.
+
+// ==============================
+// Importación de dependencias
+// ==============================
+const mongoose = require('mongoose'); // Importa Mongoose para definir el esquema y el modelo
+
+// ==============================
+// Definición del esquema CorteValorGanado
+// ==============================
+const CorteValorGanadoSchema = new mongoose.Schema(
+  {
+    // Proyecto al que pertenece el corte
+    proyecto: {
+      type: mongoose.Schema.Types.ObjectId, // Referencia al proyecto
+      ref: 'Proyectos',                     // Modelo referenciado
+      required: true,                       // Es obligatorio
+    },
+
+    // Día del corte (medianoche UTC)
+    fecha: {
+      type: Date,
+      required: true,
+    },
+
+    // Presupuesto a la conclusión (BAC): total del presupuesto de materiales
+    bac: { type: Number, default: 0 },
+
+    // Valor planeado (PV), valor ganado (EV) y costo real (AC) en COP
+    pv: { type: Number, default: 0 },
+    ev: { type: Number, default: 0 },
+    ac: { type: Number, default: 0 },
+
+    // Índices de desempeño (null cuando el denominador es 0)
+    spi: { type: Number, default: null }, // EV / PV
+    cpi: { type: Number, default: null }, // EV / AC
+
+    // Proyecciones a la conclusión
+    eac: { type: Number, default: null }, // BAC / CPI
+    vac: { type: Number, default: null }, // BAC - EAC
+
+    // Avances usados en el cálculo (0–100)
+    avancePlaneado: { type: Number, default: 0 },
+    avanceReal: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,                      // Agrega createdAt y updatedAt automáticamente
+    collection: 'cortes_valor_ganado',     // Nombre explícito de la colección en MongoDB
+  }
+);
+
+// Un corte por proyecto y día (serie ordenada por fecha)
+CorteValorGanadoSchema.index({ proyecto: 1, fecha: 1 }, { unique: true });
+
+// ==============================
+// Exportación del modelo
+// ==============================
+module.exports = mongoose.model('CorteValorGanado', CorteValorGanadoSchema);
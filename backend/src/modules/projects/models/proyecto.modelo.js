@@ -10,6 +10,8 @@
 //              proyecto propio y criterios de avance por tipo/prioridad.// recientes de gestión de proyectos en PCM.
 
 const mongoose = require('mongoose');                                      // Importa Mongoose para definir el esquema y el modelo.
+const StockAlmacen = require('../../inventory/models/stockAlmacen.modelo'); // Saldos por almacén (para verificar disponibilidad).
+const { CATEGORIAS_ARCHIVO } = require('../../../core/services/inspeccionArchivos.servicio'); // Categorías de documento de los adjuntos.
 
 // 🔹 Esquema principal de Proyecto
 const ProyectoSchema = new mongoose.Schema(
@@ -122,8 +124,10 @@ const ProyectoSchema = new mongoose.Schema(
 
     /**
      * Archivos adjuntos asociados al proyecto.
-     * Cada adjunto representa un archivo físico almacenado en el servidor
-     * junto con metadatos básicos para poder mostrarlo y gestionarlo.
+     * Cada adjunto es un documento controlado: los campos de archivo
+     * (nombreOriginal, ruta, etc.) corresponden a la revisión vigente y
+     * `versiones` guarda todas las revisiones subidas (las anteriores quedan
+     * en solo lectura), junto con el historial de descargas.
      */
     adjuntos: [
       {
@@ -152,6 +156,11 @@ const ProyectoSchema = new mongoose.Schema(
           type: String,                                                   // Descripción opcional del adjunto.
           default: ''                                                     // Si no se envía, queda en blanco.
         },
+        categoria: {
+          type: String,                                                   // Categoría de documento (define los tipos de archivo admitidos).
+          enum: Object.keys(CATEGORIAS_ARCHIVO),                          // general, plano, contrato, informe, foto.
+          default: 'general'                                              // Adjuntos anteriores a las categorías.
+        },
         fechaSubida: {
           type: Date,                                                     // Fecha en que se subió el archivo.
           default: Date.now                                               // Por defecto, fecha actual.
@@ -160,6 +169,154 @@ const ProyectoSchema = new mongoose.Schema(
           type: mongoose.Schema.Types.ObjectId,                           // Usuario que subió el archivo.
           ref: 'User',                                                    // Referencia al modelo de usuarios.
           required: false                                                 // Opcional por compatibilidad con datos antiguos.
+        },
+        revision: {
+          type: String,                                                   // Letra de la revisión vigente (A, B, C...).
+          default: 'A'                                                    // Primera emisión.
+        },
+        versionActual: {
+          type: mongoose.Schema.Types.ObjectId,                           // _id de la versión vigente dentro de `versiones`.
+          default: null                                                   // null en adjuntos anteriores al control de versiones.
+        },
+        /**
+         * Revisiones del documento, de la más antigua a la más reciente.
+         * Nunca se modifican ni se borran mientras exista el documento.
+         */
+        versiones: [
+          {
+            revision: { type: String, required: true },                   // Letra de la revisión.
+            nombreOriginal: { type: String, required: true, trim: true }, // Nombre del archivo subido.
+            nombreArchivo: { type: String, required: true },              // Nombre en disco.
+            tipoMime: { type: String, required: true },                   // Tipo MIME.
+            size: { type: Number, required: true },                       // Tamaño en bytes.
+            ruta: { type: String, required: true },                       // uploads/proyectos/<id>/<archivo>.
+            fechaSubida: { type: Date, default: Date.now },               // Fecha de la revisión.
+            autor: {
+              type: mongoose.Schema.Types.ObjectId,                       // Usuario que subió la revisión.
+              ref: 'User',
+              default: null
+            },
+            nota: { type: String, trim: true, default: '' }               // Nota de cambio de la revisión.
+          }
+        ],
+        /**
+         * Historial de descargas: quién descargó qué revisión y cuándo.
+         */
+        descargas: [
+          {
+            usuario: {
+              type: mongoose.Schema.Types.ObjectId,                       // Usuario que descargó.
+              ref: 'User',
+              required: true
+            },
+            version: { type: mongoose.Schema.Types.ObjectId, required: true }, // Versión descargada.
+            revision: { type: String, required: true },                   // Letra de la revisión descargada.
+            fecha: { type: Date, default: Date.now }                      // Fecha de la descarga.
+          }
+        ],
+        /**
+         * Rondas de aprobación del documento, de la más antigua a la más
+         * reciente. Cada ronda aprueba una revisión concreta: el líder la
+         * envía al admin y/o al cliente y queda aprobada cuando todos los
+         * revisores aprueban, o rechazada con el primer rechazo. Una nueva
+         * revisión del archivo exige una nueva ronda.
+         */
+        aprobaciones: [
+          {
+            revision: { type: String, required: true },                   // Letra de la revisión enviada.
+            version: { type: mongoose.Schema.Types.ObjectId, required: true }, // Versión enviada.
+            estado: {
+              type: String,
+              enum: ['en_revision', 'aprobado', 'rechazado'],             // Estado de la ronda.
+              default: 'en_revision'
+            },
+            solicitadaPor: {
+              type: mongoose.Schema.Types.ObjectId,                       // Usuario que envió a revisión.
+              ref: 'User',
+              required: true
+            },
+            nombreSolicitante: { type: String, default: '' },             // Nombre al momento del envío.
+            fechaSolicitud: { type: Date, default: Date.now },            // Fecha del envío.
+            comentario: { type: String, trim: true, default: '' },        // Comentario del envío.
+            revisores: [
+              {
+                rol: { type: String, enum: ['admin', 'cliente'], required: true }, // A quién se enruta.
+                estado: {
+                  type: String,
+                  enum: ['pendiente', 'aprobado', 'rechazado'],
+                  default: 'pendiente'
+                },
+                usuario: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // Quién decidió.
+                nombre: { type: String, default: '' },                    // Nombre de quien decidió.
+                fecha: { type: Date, default: null },                     // Fecha de la decisión.
+                comentario: { type: String, trim: true, default: '' },    // Comentario de la decisión.
+                _id: false
+              }
+            ],
+            fechaCierre: { type: Date, default: null }                    // Fecha de aprobación o rechazo.
+          }
+        ],
+        /**
+         * Datos de foto de avance (solo imágenes; null en otros archivos).
+         * Fecha y GPS salen del EXIF; la miniatura la genera el servidor
+         * (fotosProyecto.servicio). La foto puede asociarse a una tarea del
+         * cronograma o a un criterio de avance para agruparla en la galería.
+         */
+        foto: {
+          type: new mongoose.Schema(
+            {
+              fechaCaptura: { type: Date, default: null },                // Fecha de captura (EXIF).
+              latitud: { type: Number, default: null },                   // Latitud GPS (grados decimales).
+              longitud: { type: Number, default: null },                  // Longitud GPS (grados decimales).
+              altitud: { type: Number, default: null },                   // Altitud GPS (metros).
+              ancho: { type: Number, default: null },                     // Ancho en píxeles (ya orientada).
+              alto: { type: Number, default: null },                      // Alto en píxeles (ya orientada).
+              miniatura: { type: String, default: null },                 // Ruta relativa de la miniatura JPEG.
+              tarea: {
+                type: mongoose.Schema.Types.ObjectId,                     // Tarea del cronograma que documenta.
+                ref: 'TareaProyecto',
+                default: null
+              },
+              criterio: {
+                type: mongoose.Schema.Types.ObjectId,                     // _id del criterio de avance que documenta.
+                default: null
+              }
+            },
+            { _id: false }
+          ),
+          default: null
+        },
+        /**
+         * Cuarentena de la revisión vigente: la inspección de la subida
+         * (firma del contenido, tipo declarado y antivirus) la marcó como
+         * sospechosa. Su archivo se guarda bajo "cuarentena/" y solo el admin
+         * puede descargarlo hasta que lo libere o lo descarte.
+         */
+        cuarentena: {
+          type: new mongoose.Schema(
+            {
+              estado: {
+                type: String,
+                enum: ['pendiente', 'liberado', 'descartado'],            // Revisión del admin.
+                default: 'pendiente'
+              },
+              version: { type: mongoose.Schema.Types.ObjectId, default: null }, // Versión retenida.
+              motivos: [{ type: String }],                                // Por qué se retuvo.
+              tipoDetectado: { type: String, default: '' },               // Firma del contenido (pdf, ejecutable...).
+              antivirus: {
+                type: String,
+                enum: ['limpio', 'infectado', 'error', 'omitido'],        // Resultado de ClamAV.
+                default: 'omitido'
+              },
+              firmaAntivirus: { type: String, default: null },            // Amenaza detectada por ClamAV.
+              fecha: { type: Date, default: Date.now },                   // Fecha de la retención.
+              revisadoPor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // Admin que decidió.
+              fechaRevision: { type: Date, default: null },               // Fecha de la decisión.
+              comentario: { type: String, trim: true, default: '' }       // Comentario de la decisión.
+            },
+            { _id: false }
+          ),
+          default: null
         }
       }
     ],
@@ -354,8 +511,12 @@ const ProyectoSchema = new mongoose.Schema(
      *  - cantidadAsignada: lo que se reserva para el proyecto.
      *  - cantidadUtilizada: lo que ya se consumió.
      *  - fechaAsignacion: cuándo se asignó.
-     *  - movimientoInventario: referencia al movimiento de salida que
-     *    dejó reservado ese material al proyecto (para trazabilidad).
+     *  - almacen / cantidadReservada: almacén donde queda la reserva y la
+     *    parte aún no consumida. El stock sigue en el almacén hasta que se
+     *    registra su uso (salida) o se libera al cerrar el proyecto.
+     *  - movimientoInventario: en asignaciones legadas (cantidadReservada
+     *    null), el movimiento de salida con el que el material dejó el
+     *    inventario al asignarse (para trazabilidad).
      */
     materiales: [
       {
@@ -378,6 +539,21 @@ const ProyectoSchema = new mongoose.Schema(
           type: Date,                                                     // Fecha en que se asignó el material.
           default: Date.now                                               // Por defecto, fecha actual.
         },
+        almacen: {
+          type: mongoose.Schema.Types.ObjectId,                           // Almacén en el que se reserva el material.
+          ref: 'Almacen',                                                 // Referencia al modelo de almacenes.
+          default: null                                                   // Asignaciones legadas: almacén del movimiento de salida.
+        },
+        cantidadReservada: {
+          type: Number,                                                   // Reserva vigente (asignado aún no consumido).
+          default: null,                                                  // null: asignación legada, su stock ya salió al asignarse.
+          min: 0                                                          // No se aceptan reservas negativas.
+        },
+        costoUnitario: {
+          type: Number,                                                   // Costo promedio ponderado al que salió del inventario.
+          default: null,                                                  // Asignaciones legadas: se valoran con el costo del material.
+          min: 0                                                          // No se aceptan costos negativos.
+        },
         movimientoInventario: {
           type: mongoose.Schema.Types.ObjectId,                           // Movimiento de inventario asociado.
           ref: 'MovimientoInventario'                                     // Referencia al modelo de movimientos.
@@ -424,13 +600,16 @@ ProyectoSchema.index(
 // --------------------------------------------------------
 
 /**
- * Calcula el costo total de los materiales asignados al proyecto.
- * Multiplica la cantidad asignada por el precio unitario de cada
- * material. Devuelve un número (suma en la misma moneda de precioUnitario).
+ * Calcula el costo total de los materiales consumidos por el proyecto.
+ * Cada asignación se valora al costo unitario con el que salió del
+ * inventario (costo promedio ponderado del almacén en ese momento), de
+ * modo que el consumo histórico no cambia si luego varía el precio.
+ * Las asignaciones legadas sin costo usan el costo promedio del material
+ * y, en último caso, su precio unitario.
  */
 ProyectoSchema.methods.calcularCostoMateriales = async function () {
   // Carga los documentos de Material vinculados a cada entrada de materiales.
-  await this.populate('materiales.material');                             // Poblamos los materiales para tener acceso a precioUnitario.
+  await this.populate('materiales.material');                             // Poblamos los materiales para tener acceso a sus costos.
 
   // Aseguramos trabajar siempre con un arreglo (aunque materiales venga undefined o nulo).
   const materialesAsignados = Array.isArray(this.materiales)
@@ -439,25 +618,36 @@ ProyectoSchema.methods.calcularCostoMateriales = async function () {
 
   // Recorre el arreglo de materiales y acumula el costo total.
   return materialesAsignados.reduce((total, item) => {
-    const precio = (item.material && item.material.precioUnitario) || 0;
+    let costo = item.costoUnitario;
+    if (costo === null || costo === undefined) {
+      const material = item.material || {};
+      costo = material.costoPromedio !== null && material.costoPromedio !== undefined
+        ? material.costoPromedio
+        : material.precioUnitario;
+    }
     // Para calcular el costo ejecutado tomamos la cantidad utilizada en vez de la asignada.
     // De esta manera el costo de materiales refleja lo que realmente se ha consumido y no solo
     // lo que se asignó al proyecto. Si no se ha consumido nada, cantidadUtilizada será 0.
     const cantidad = Number(item.cantidadUtilizada) || 0;
-    return total + cantidad * precio;
+    return total + cantidad * (Number(costo) || 0);
   }, 0);
 };
 
 /**
  * Verifica la disponibilidad de materiales en inventario con respecto
- * a las cantidades asignadas al proyecto.
+ * a las cantidades pendientes de consumir en el proyecto.
+ *
+ * Lo pendiente (asignado - utilizado) se cubre primero con la reserva del
+ * proyecto y luego con el stock libre del almacén (saldo - reservado), de
+ * modo que no se cuenta el material que otros proyectos ya comprometieron.
+ * Las asignaciones legadas ya salieron del inventario y se dan por cubiertas.
  *
  * Devuelve un arreglo de objetos con los materiales faltantes, donde
  * cada objeto contiene:
  *  - material: nombre del material.
- *  - requerido: cantidad asignada al proyecto.
- *  - disponible: cantidad disponible en inventario.
- *  - faltante: cuánto hace falta para cubrir lo asignado.
+ *  - requerido: cantidad pendiente del proyecto.
+ *  - disponible: reserva del proyecto más stock libre del almacén.
+ *  - faltante: cuánto hace falta para cubrir lo pendiente.
  */
 ProyectoSchema.methods.verificarDisponibilidad = async function () {
   // Poblamos los materiales para acceder a nombre y cantidad actual.
@@ -476,8 +666,23 @@ ProyectoSchema.methods.verificarDisponibilidad = async function () {
       continue;                                                           // Evita romper si hay datos inconsistentes.
     }
 
-    const disponible = Number(item.material.cantidad) || 0;               // Cantidad disponible actualmente en inventario.
-    const requerido = Number(item.cantidadAsignada) || 0;                 // Cantidad requerida para el proyecto.
+    // Asignación legada: el material salió del inventario al asignarse.
+    if (item.cantidadReservada === null || item.cantidadReservada === undefined) {
+      continue;
+    }
+
+    const requerido = Math.max(
+      (Number(item.cantidadAsignada) || 0) - (Number(item.cantidadUtilizada) || 0),
+      0
+    );                                                                    // Cantidad pendiente de consumir.
+    const saldo = await StockAlmacen.findOne({
+      material: item.material._id,
+      almacen: item.almacen || item.material.almacen,
+    }).lean();                                                            // Saldo del almacén de la reserva.
+    const libre = saldo
+      ? Math.max((Number(saldo.cantidad) || 0) - (Number(saldo.reservado) || 0), 0)
+      : 0;                                                                // Stock no comprometido con ningún proyecto.
+    const disponible = (Number(item.cantidadReservada) || 0) + libre;     // Reserva propia + stock libre.
 
     // Si la cantidad disponible es menor a la asignada, se considera faltante.
     if (disponible < requerido) {
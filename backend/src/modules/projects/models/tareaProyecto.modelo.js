@@ -0,0 +1,138 @@
+// File: BackEnd/src/modules/projects/models/tareaProyecto.modelo.js
+// Description: Modelo Mongoose para las tareas (actividades) del cronograma de
+//              un proyecto en ProCivil Manager (PCM). Las tareas forman una
+//              jerarquía EDT/WBS (padre → subtareas), tienen duración en días,
+//              predecesoras con relación FS/SS/FF y desfase, responsable y
+//              porcentaje de avance. Las fechas programadas, la holgura y la
+//              ruta crítica no se guardan: las calcula cronograma.servicio a
+//              partir de estas relaciones.
+
+// ==============================
+// Importación de dependencias
+// ==============================
+const mongoose = require('mongoose'); // Importa Mongoose para definir el esquema y el modelo
+
+// ==============================
+// Subesquema: predecesora
+// ==============================
+const PredecesoraSchema = new mongoose.Schema(
+  {
+    // Tarea de la que depende
+    tarea: {
+      type: mongoose.Schema.Types.ObjectId, // Referencia a la tarea predecesora
+      ref: 'TareaProyecto',                 // Modelo referenciado
+      required: true,                       // Es obligatoria
+    },
+
+    // Tipo de relación:
+    //  - FS: la tarea inicia cuando termina la predecesora (fin → inicio).
+    //  - SS: la tarea inicia cuando inicia la predecesora (inicio → inicio).
+    //  - FF: la tarea termina cuando termina la predecesora (fin → fin).
+    tipo: {
+      type: String,
+      enum: ['FS', 'SS', 'FF'],
+      default: 'FS',
+    },
+
+    // Desfase en días (positivo = espera, negativo = adelanto)
+    desfase: {
+      type: Number, // Días calendario
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+// ==============================
+// Definición del esquema TareaProyecto
+// ==============================
+const TareaProyectoSchema = new mongoose.Schema(
+  {
+    // Proyecto al que pertenece la tarea
+    proyecto: {
+      type: mongoose.Schema.Types.ObjectId, // Referencia al proyecto
+      ref: 'Proyectos',                     // Modelo referenciado
+      required: true,                       // Es obligatorio
+      index: true,                          // Tareas de un proyecto
+    },
+
+    // Tarea resumen de la que cuelga (null = primer nivel de la EDT)
+    padre: {
+      type: mongoose.Schema.Types.ObjectId, // Referencia a la tarea padre
+      ref: 'TareaProyecto',                 // Modelo referenciado
+      default: null,
+    },
+
+    // Posición entre las tareas hermanas (define el código EDT "1.2.3")
+    orden: {
+      type: Number,
+      default: 0,
+    },
+
+    // Nombre de la actividad (ej. "Excavación de zapatas")
+    nombre: {
+      type: String,   // Texto
+      required: true, // Campo requerido
+      trim: true,     // Normaliza el texto
+    },
+
+    // Descripción o alcance de la actividad
+    descripcion: {
+      type: String, // Texto libre
+      trim: true,   // Normaliza el texto
+      default: '',
+    },
+
+    // Duración en días calendario (0 = hito). En las tareas resumen se
+    // ignora: su duración sale de las subtareas.
+    duracion: {
+      type: Number, // Días
+      default: 1,
+      min: 0,       // No permite duraciones negativas
+    },
+
+    // Fecha de inicio más temprana permitida (restricción "no antes de").
+    // null = lo antes posible desde el inicio del proyecto.
+    inicioRestringido: {
+      type: Date,
+      default: null,
+    },
+
+    // Dependencias de la tarea
+    predecesoras: {
+      type: [PredecesoraSchema],
+      default: [],
+    },
+
+    // Responsable de la actividad
+    responsable: {
+      type: mongoose.Schema.Types.ObjectId, // Referencia al usuario
+      ref: 'User',                          // Modelo referenciado
+      default: null,
+    },
+
+    // Porcentaje de avance reportado (0–100)
+    porcentajeAvance: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+
+    // Trazabilidad
+    creadoPor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    actualizadoPor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: true,               // Agrega createdAt y updatedAt automáticamente
+    collection: 'tareas_proyecto',  // Nombre explícito de la colección en MongoDB
+  }
+);
+
+// Tareas hermanas en orden (armado de la EDT)
+TareaProyectoSchema.index({ proyecto: 1, padre: 1, orden: 1 });
+
+// ==============================
+// Exportación del modelo
+// ==============================
+module.exports = mongoose.model('TareaProyecto', TareaProyectoSchema);
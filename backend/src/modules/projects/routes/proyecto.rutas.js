@@ -1,9 +1,13 @@
 // File: BackEnd/src/modules/projects/routes/proyecto.rutas.js
 // Description: Define las rutas HTTP para gestionar proyectos, incluyendo
 //              creación, listado, actualización, eliminación, manejo de
-//              materiales, comentarios, líderes de obra y archivos adjuntos.
-//              Los permisos se controlan por rol (admin, líder de obra,
-//              cliente, auditor) según corresponda a cada operación.
+//              materiales, comentarios, líderes de obra, cronograma (tareas),
+//              valor ganado, bitácora de obra, archivos adjuntos (con
+//              revisiones, descargas directas o con enlace firmado,
+//              aprobación e inspección del contenido con cuarentena) y galería
+//              de fotos de avance. Los permisos se controlan por rol (admin,
+//              líder de obra, cliente, auditor) según corresponda a cada
+//              operación.
 
 const express = require('express');                          // Importa Express para crear el router HTTP.
 const router = express.Router();                             // Crea una instancia de router de Express.
@@ -12,6 +16,7 @@ const router = express.Router();                             // Crea una instanc
 const {
   obtenerProyectos,                                          // Obtener todos los proyectos (filtra según rol usando req.user).
   crearProyecto,                                             // Crear un nuevo proyecto.
+  importarProyectos,                                         // Importar proyectos desde CSV/XLSX.
   obtenerProyectosUsuario,                                  // Obtener proyectos asociados al usuario autenticado.
   obtenerProyectosRecientes,                                // Obtener últimos proyectos (para dashboard admin/líder/auditor).
   actualizarProyectoPorId,                                  // Actualizar proyecto por ID.
@@ -34,56 +39,104 @@ const {
   obtenerProgresoDeProyecto                                 // Obtener el progreso calculado de un proyecto.
 } = require('../controllers/proyecto.controlador');         // Ruta relativa al controlador de proyectos.
 
+// Controladores del cronograma (tareas, dependencias y ruta crítica)
+const {
+  obtenerCronogramaProyecto,                                 // Cronograma programado (EDT + ruta crítica).
+  crearTareaProyecto,                                        // Crear tarea.
+  actualizarTareaProyecto,                                   // Actualizar tarea (datos, dependencias, avance).
+  eliminarTareaProyecto                                      // Eliminar tarea.
+} = require('../controllers/tareaProyecto.controlador');
+
+// Controladores de valor ganado (PV, EV, AC, SPI, CPI, EAC, VAC)
+const {
+  obtenerValorGanadoPortafolio,                              // Resumen del portafolio para el dashboard.
+  obtenerValorGanadoProyecto                                 // Detalle y evolución de un proyecto.
+} = require('../controllers/valorGanado.controlador');
+
+// Controladores de la bitácora de obra (entradas diarias, firma y refrendo)
+const {
+  obtenerBitacoraProyecto,                                   // Entradas en orden cronológico.
+  crearEntradaBitacora,                                      // Registrar la entrada de un día.
+  actualizarEntradaBitacora,                                 // Editar una entrada en borrador.
+  eliminarEntradaBitacora,                                   // Eliminar una entrada en borrador.
+  firmarEntradaBitacora,                                     // Firma del autor (solo lectura desde ahí).
+  refrendarEntradaBitacora,                                  // Refrendo de la interventoría.
+  exportarBitacoraPDF                                        // Libro PDF de las entradas firmadas.
+} = require('../controllers/bitacora.controlador');
+
+// Controlador de la galería de fotos de avance (EXIF, miniaturas y agrupación)
+const { obtenerGaleriaProyecto } = require('../controllers/fotosProyecto.controlador');
+
+// Controlador del control documental de adjuntos (revisiones, descargas y aprobación)
+const {
+  obtenerVersionesAdjunto,
+  descargarAdjuntoProyecto,
+  obtenerEnlaceAdjunto,
+  enviarAdjuntoAAprobacion,
+  decidirAprobacionAdjunto,
+} = require('../controllers/documentosProyecto.controlador');
+
+// Controlador de la cuarentena de adjuntos sospechosos (revisión del admin)
+const {
+  listarArchivosEnCuarentena,
+  liberarAdjuntoCuarentena,
+  descartarAdjuntoCuarentena,
+} = require('../controllers/cuarentenaArchivos.controlador');
+
 // Middlewares de autenticación y autorización
 const authMiddleware = require('../../../core/middlewares/autenticacion.middleware'); // Middleware que valida el token JWT y adjunta req.user.
 const authorizeRoles = require('../../../core/middlewares/autorizarRoles.middleware'); // Middleware que restringe acceso según roles permitidos.
+const archivoImportacion = require('../../../core/middlewares/archivoImportacion.middleware'); // Middleware que recibe el CSV/XLSX en memoria.
 
-// Dependencias para subida de archivos (multer + sistema de archivos)
+// Dependencias para subida de archivos (multer + servicio de almacenamiento)
 const multer = require('multer');                            // Librería para manejar uploads multipart/form-data.
 const path = require('path');                                // Módulo nativo para trabajar con rutas de archivos.
-const fs = require('fs');                                    // Módulo nativo para operaciones sobre el sistema de archivos.
+const { crearMotorMulter } = require('../../../core/services/almacenamiento.servicio'); // Sube cada archivo al driver configurado (disco o S3).
+const { crearInspectorSubidas } = require('../../../core/services/inspeccionArchivos.servicio'); // Firma, tipos permitidos y antivirus.
+const { categoriaAdjunto } = require('../services/documentosProyecto.servicio'); // Categoría de un adjunto existente.
 
 // ====================================================================
 // Configuración de almacenamiento para archivos de proyectos (multer)
 // ====================================================================
 
-// Configura cómo y dónde se van a guardar los archivos adjuntos de cada proyecto.
-// IMPORTANTE: Se alinea con el controlador, que espera rutas del tipo
-// "uploads/proyectos/<id>/<archivo>" relativas a BackEnd/src/modules/projects.
-const storage = multer.diskStorage({
-  // Directorio destino según el ID de proyecto en la URL
-  destination: (req, file, cb) => {                          // Función que define la carpeta de destino.
-    const projectId = req.params.id;                         // Lee el ID del proyecto desde los parámetros de la ruta.
-
-    // Carpeta final: BackEnd/src/modules/projects/uploads/proyectos/<projectId>
-    const uploadPath = path.join(
-      __dirname,                                             // BackEnd/src/modules/projects/routes
-      '..',                                                  // BackEnd/src/modules/projects
-      'uploads',                                             // Subcarpeta "uploads"
-      'proyectos',                                           // Subcarpeta "proyectos" (en español, igual que en el controlador).
-      projectId                                              // Subcarpeta con el ID del proyecto.
-    );
-
-    fs.mkdirSync(uploadPath, { recursive: true });           // Crea la carpeta (y las intermedias) si no existen.
-    cb(null, uploadPath);                                    // Devuelve al callback la ruta donde se guardará el archivo.
-  },
-  // Nombre del archivo físico en disco
-  filename: (req, file, cb) => {                             // Función que define el nombre final del archivo.
-    const timestamp = Date.now();                            // Marca de tiempo para evitar nombres repetidos.
-    const random = Math.round(Math.random() * 1e9);          // Número aleatorio extra para unicidad.
-    const ext = path.extname(file.originalname);             // Obtiene la extensión original del archivo (.pdf, .jpg, etc.).
-    const safeName = `${timestamp}-${random}${ext}`;         // Construye un nombre seguro con timestamp + random + extensión.
-    cb(null, safeName);                                      // Devuelve el nombre de archivo a multer.
-  }
-});
-
-// Instancia de multer con el storage anterior y límites de tamaño
-const upload = multer({
-  storage,                                                   // Usa la configuración de almacenamiento definida arriba.
-  limits: {
-    fileSize: 20 * 1024 * 1024                               // Limita el tamaño máximo a 20 MB por archivo.
-  }
-});
+// Configura dónde se guardan los archivos adjuntos de cada proyecto.
+// IMPORTANTE: Se alinea con el controlador, que espera claves del tipo
+// "uploads/proyectos/<id>/<archivo>". El driver (ALMACENAMIENTO_DRIVER) decide
+// si quedan en disco (relativas a BackEnd/src/modules/projects) o en un bucket S3.
+// Antes de guardar, cada archivo se inspecciona: la extensión debe estar
+// permitida en su categoría de documento y el contenido (bytes mágicos y
+// antivirus, si hay clamd) debe corresponder a lo declarado. Los sospechosos
+// quedan en cuarentena ("cuarentena/uploads/...") hasta que un admin los revise.
+const crearUpload = (inspeccionar) =>
+  multer({
+    storage: crearMotorMulter({
+      // Carpeta destino según el ID de proyecto en la URL
+      carpeta: (req) => path.posix.join('uploads', 'proyectos', req.params.id),
+      // Nombre del archivo guardado
+      nombreArchivo: (req, file) => {
+        const timestamp = Date.now();                        // Marca de tiempo para evitar nombres repetidos.
+        const random = Math.round(Math.random() * 1e9);      // Número aleatorio extra para unicidad.
+        const ext = path.extname(file.originalname);         // Obtiene la extensión original del archivo (.pdf, .jpg, etc.).
+        return `${timestamp}-${random}${ext}`;               // Nombre seguro con timestamp + random + extensión.
+      },
+      inspeccionar,                                          // Validación del contenido antes de guardarlo.
+    }),
+    limits: {
+      fileSize: 20 * 1024 * 1024                             // Limita el tamaño máximo a 20 MB por archivo.
+    }
+  });
+
+// Adjuntos nuevos: categoría de la URL (?categoria=plano). El cuerpo multipart
+// aún no está completo al inspeccionar, así que no se toma de sus campos.
+const upload = crearUpload(crearInspectorSubidas({ categoria: (req) => String(req.query.categoria || '') }));
+
+// Nuevas revisiones: misma categoría que el adjunto existente.
+const uploadRevision = crearUpload(
+  crearInspectorSubidas({ categoria: (req) => categoriaAdjunto(req.params.id, req.params.adjuntoId) })
+);
+
+// Fotos de bitácora: solo imágenes y sin cuarentena (las sospechosas se rechazan).
+const uploadFotosBitacora = crearUpload(crearInspectorSubidas({ categoria: () => 'foto', permitirCuarentena: false }));
 
 // ====================================================================
 // Rutas generales de proyectos
@@ -120,6 +173,16 @@ router.post(
   crearProyecto                                               // Controlador que crea el proyecto y descuenta materiales del inventario.
 );
 
+// Importar proyectos desde un archivo CSV/XLSX (campo "archivo").
+// Sin confirmar=true solo valida y devuelve el reporte por fila (dry-run).
+router.post(
+  '/importar',                                                // Endpoint: POST /api/proyectos/importar
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin']),                                  // Igual que la creación: solo admin.
+  archivoImportacion,                                         // Recibe el archivo en memoria (req.file).
+  importarProyectos                                           // Controlador que valida y crea los proyectos.
+);
+
 // ====================================================================
 // Rutas de exportación (PDF)
 // ====================================================================
@@ -185,6 +248,56 @@ router.get(
   obtenerProgresoDeProyecto                                   // Controlador que devuelve { progresoTotal, detalle } para el proyecto.
 );
 
+// ====================================================================
+// Rutas de valor ganado
+// ====================================================================
+
+// Valor ganado de los proyectos visibles (admin/auditor: todos; líder: los suyos).
+// Debe declararse antes de '/:id' para no confundirse con un ID.
+router.get(
+  '/valor-ganado',                                            // Endpoint: GET /api/proyectos/valor-ganado
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'lider de obra', 'auditor']),      // Vista gerencial.
+  obtenerValorGanadoPortafolio                                // Controlador que calcula PV/EV/AC e índices por proyecto.
+);
+
+// Valor ganado de un proyecto con su evolución (cortes diarios y curva planeada).
+// El controlador valida el acceso igual que el progreso.
+router.get(
+  '/:id/valor-ganado',                                        // Endpoint: GET /api/proyectos/:id/valor-ganado
+  authMiddleware,                                             // Requiere usuario autenticado.
+  obtenerValorGanadoProyecto                                  // Controlador que devuelve { actual, serie, curvaPlaneada }.
+);
+
+// ====================================================================
+// Rutas de la cuarentena de archivos
+// ====================================================================
+
+// Archivos retenidos pendientes de revisión en todos los proyectos.
+// Debe declararse antes de '/:id' para no confundirse con un ID.
+router.get(
+  '/cuarentena',                                              // Endpoint: GET /api/proyectos/cuarentena
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin']),                                  // Solo el admin revisa la cuarentena.
+  listarArchivosEnCuarentena                                  // Controlador que lista los adjuntos retenidos.
+);
+
+// Liberar la revisión retenida de un adjunto (pasa a la carpeta normal). Body: comentario.
+router.post(
+  '/:id/adjuntos/:adjuntoId/cuarentena/liberar',              // Endpoint: POST /api/proyectos/:id/adjuntos/:adjuntoId/cuarentena/liberar
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin']),                                  // Solo admin.
+  liberarAdjuntoCuarentena                                    // Controlador que mueve el archivo y registra la revisión.
+);
+
+// Descartar la revisión retenida (se borra; vuelve a estar vigente la anterior). Body: comentario.
+router.post(
+  '/:id/adjuntos/:adjuntoId/cuarentena/descartar',            // Endpoint: POST /api/proyectos/:id/adjuntos/:adjuntoId/cuarentena/descartar
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin']),                                  // Solo admin.
+  descartarAdjuntoCuarentena                                  // Controlador que borra el archivo retenido.
+);
+
 // ====================================================================
 // Rutas específicas por usuario (cliente / líder / admin)
 // ====================================================================
@@ -232,6 +345,107 @@ router.delete(
   eliminarProyectoPorId                                       // Controlador que elimina el proyecto y devuelve materiales al inventario.
 );
 
+// ====================================================================
+// Rutas del cronograma (tareas del proyecto)
+// ====================================================================
+
+// Obtener el cronograma programado del proyecto.
+// El controlador valida el acceso: admin/auditor, líder asignado y cliente del proyecto.
+router.get(
+  '/:id/tareas',                                              // Endpoint: GET /api/proyectos/:id/tareas
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'lider de obra', 'cliente', 'auditor']), // Roles que pueden ver proyectos.
+  obtenerCronogramaProyecto                                   // Controlador que programa las tareas (CPM).
+);
+
+// Crear una tarea. Admin o líder asignado (validado en el controlador).
+router.post(
+  '/:id/tareas',                                              // Endpoint: POST /api/proyectos/:id/tareas
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'lider de obra']),                 // Solo admin o líder de obra.
+  crearTareaProyecto                                          // Controlador que valida dependencias y crea la tarea.
+);
+
+// Actualizar una tarea (datos, predecesoras, responsable o avance).
+router.put(
+  '/:id/tareas/:tareaId',                                     // Endpoint: PUT /api/proyectos/:id/tareas/:tareaId
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'lider de obra']),                 // Solo admin o líder de obra.
+  actualizarTareaProyecto                                     // Controlador que actualiza la tarea sin formar ciclos.
+);
+
+// Eliminar una tarea (sin subtareas).
+router.delete(
+  '/:id/tareas/:tareaId',                                     // Endpoint: DELETE /api/proyectos/:id/tareas/:tareaId
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'lider de obra']),                 // Solo admin o líder de obra.
+  eliminarTareaProyecto                                       // Controlador que elimina la tarea y sus referencias.
+);
+
+// ====================================================================
+// Rutas de la bitácora de obra
+// ====================================================================
+
+// Listar las entradas de la bitácora (orden cronológico).
+// El controlador valida el acceso: admin/auditor, líder asignado y cliente del proyecto.
+router.get(
+  '/:id/bitacora',                                            // Endpoint: GET /api/proyectos/:id/bitacora
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'lider de obra', 'cliente', 'auditor']), // Roles que pueden ver proyectos.
+  obtenerBitacoraProyecto                                     // Controlador que lista las entradas.
+);
+
+// Descargar el libro de bitácora (entradas firmadas) en PDF.
+router.get(
+  '/:id/bitacora/pdf',                                        // Endpoint: GET /api/proyectos/:id/bitacora/pdf
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'lider de obra', 'cliente', 'auditor']), // Roles que pueden ver proyectos.
+  exportarBitacoraPDF                                         // Controlador que genera el libro PDF.
+);
+
+// Registrar la entrada de un día. Admin o líder asignado (validado en el controlador).
+// Fotos en el campo "fotos"; listas (personal, equipos...) como JSON.
+router.post(
+  '/:id/bitacora',                                            // Endpoint: POST /api/proyectos/:id/bitacora
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'lider de obra']),                 // Solo admin o líder de obra.
+  uploadFotosBitacora.array('fotos', 10),                     // Usa multer: hasta 10 fotos en el campo "fotos".
+  crearEntradaBitacora                                        // Controlador que crea la entrada en borrador.
+);
+
+// Editar una entrada en borrador (solo su autor).
+router.put(
+  '/:id/bitacora/:entradaId',                                 // Endpoint: PUT /api/proyectos/:id/bitacora/:entradaId
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'lider de obra']),                 // Solo admin o líder de obra.
+  uploadFotosBitacora.array('fotos', 10),                     // Fotos nuevas (opcionales).
+  actualizarEntradaBitacora                                   // Controlador que rechaza entradas firmadas.
+);
+
+// Eliminar una entrada en borrador (solo su autor).
+router.delete(
+  '/:id/bitacora/:entradaId',                                 // Endpoint: DELETE /api/proyectos/:id/bitacora/:entradaId
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'lider de obra']),                 // Solo admin o líder de obra.
+  eliminarEntradaBitacora                                     // Controlador que borra la entrada y sus fotos.
+);
+
+// Firmar una entrada (solo su autor). Desde ese momento es de solo lectura.
+router.post(
+  '/:id/bitacora/:entradaId/firmar',                          // Endpoint: POST /api/proyectos/:id/bitacora/:entradaId/firmar
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'lider de obra']),                 // Solo admin o líder de obra.
+  firmarEntradaBitacora                                       // Controlador que firma y calcula la huella.
+);
+
+// Refrendar una entrada firmada (interventoría: admin o auditor distinto del autor).
+router.post(
+  '/:id/bitacora/:entradaId/refrendar',                       // Endpoint: POST /api/proyectos/:id/bitacora/:entradaId/refrendar
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'auditor']),                       // Solo la interventoría.
+  refrendarEntradaBitacora                                    // Controlador que registra el refrendo.
+);
+
 // ====================================================================
 // Rutas para gestión de archivos adjuntos del proyecto
 // ====================================================================
@@ -239,22 +453,27 @@ router.delete(
 // Subir uno o varios archivos a un proyecto
 // Campo de formulario: "archivos" (input type="file" multiple)
 // Admin y líder de obra pueden adjuntar documentos (actas, planos, etc.).
+// El parámetro de URL "categoria" (general, plano, contrato, informe, foto)
+// limita los tipos admitidos; los archivos sospechosos quedan en cuarentena.
+// Las imágenes se procesan como fotos de avance (EXIF + miniatura); los campos
+// opcionales "tarea" y "criterio" las asocian a una actividad.
 router.post(
-  '/:id/adjuntos',                                            // Endpoint: POST /api/proyectos/:id/adjuntos
+  '/:id/adjuntos',                                            // Endpoint: POST /api/proyectos/:id/adjuntos?categoria=
   authMiddleware,                                             // Requiere usuario autenticado.
   authorizeRoles(['admin', 'lider de obra']),                 // Solo admin o líder de obra pueden adjuntar archivos.
   upload.array('archivos', 10),                               // Usa multer: acepta hasta 10 archivos en el campo "archivos".
   agregarAdjuntosAProyecto                                    // Controlador que registra metadatos y rutas de los archivos.
 );
 
-// Actualizar un adjunto (descripción y/o reemplazar archivo)
-// Campo de archivo (opcional): "archivo".
+// Actualizar un adjunto (descripción y/o subir una nueva revisión)
+// Campo de archivo (opcional): "archivo"; campo "nota" con la nota de cambio.
+// La revisión anterior se conserva en solo lectura.
 router.put(
   '/:id/adjuntos/:adjuntoId',                                 // Endpoint: PUT /api/proyectos/:id/adjuntos/:adjuntoId
   authMiddleware,                                             // Requiere usuario autenticado.
   authorizeRoles(['admin', 'lider de obra']),                 // Solo admin o líder de obra pueden modificar adjuntos.
-  upload.single('archivo'),                                   // Usa multer: permite un único archivo opcional en el campo "archivo".
-  actualizarAdjuntoDeProyecto                                 // Controlador que actualiza descripción y/o reemplaza el archivo físico.
+  uploadRevision.single('archivo'),                           // Usa multer: permite un único archivo opcional en el campo "archivo".
+  actualizarAdjuntoDeProyecto                                 // Controlador que actualiza descripción y/o registra la nueva revisión.
 );
 
 // Eliminar un adjunto de un proyecto
@@ -263,7 +482,61 @@ router.delete(
   '/:id/adjuntos/:adjuntoId',                                 // Endpoint: DELETE /api/proyectos/:id/adjuntos/:adjuntoId
   authMiddleware,                                             // Requiere usuario autenticado.
   authorizeRoles(['admin', 'lider de obra']),                 // Solo admin o líder de obra.
-  eliminarAdjuntoDeProyecto                                   // Controlador que elimina el registro y el archivo físico.
+  eliminarAdjuntoDeProyecto                                   // Controlador que elimina el registro y los archivos de todas sus revisiones.
+);
+
+// Historial de revisiones y de descargas de un adjunto.
+// El controlador valida el acceso al proyecto.
+router.get(
+  '/:id/adjuntos/:adjuntoId/versiones',                       // Endpoint: GET /api/proyectos/:id/adjuntos/:adjuntoId/versiones
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'lider de obra', 'cliente', 'auditor']), // Roles que pueden ver proyectos.
+  obtenerVersionesAdjunto                                     // Controlador que lista revisiones y descargas.
+);
+
+// Descargar una revisión de un adjunto (query opcional: version; por defecto la vigente).
+// Cada descarga queda registrada en el historial del adjunto.
+router.get(
+  '/:id/adjuntos/:adjuntoId/descargar',                       // Endpoint: GET /api/proyectos/:id/adjuntos/:adjuntoId/descargar
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'lider de obra', 'cliente', 'auditor']), // Roles que pueden ver proyectos.
+  descargarAdjuntoProyecto                                    // Controlador que registra la descarga y envía el archivo.
+);
+
+// Enlace firmado y temporal para descargar una revisión (query opcional: version).
+// Con S3 es una URL prefirmada del bucket; en disco local apunta a /archivos/firmados.
+router.get(
+  '/:id/adjuntos/:adjuntoId/enlace',                          // Endpoint: GET /api/proyectos/:id/adjuntos/:adjuntoId/enlace
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'lider de obra', 'cliente', 'auditor']), // Roles que pueden ver proyectos.
+  obtenerEnlaceAdjunto                                        // Controlador que registra la descarga y genera la URL.
+);
+
+// Enviar la revisión vigente de un adjunto a aprobación del admin y/o el cliente.
+// Body: revisores ("admin", "cliente"), comentario. El controlador exige ser el líder asignado o admin.
+router.post(
+  '/:id/adjuntos/:adjuntoId/aprobacion',                      // Endpoint: POST /api/proyectos/:id/adjuntos/:adjuntoId/aprobacion
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'lider de obra']),                 // Solo admin o líder de obra.
+  enviarAdjuntoAAprobacion                                    // Controlador que abre la ronda de aprobación.
+);
+
+// Aprobar o rechazar la revisión en aprobación.
+// Body: decision ("aprobar" | "rechazar"), comentario (obligatorio al rechazar).
+router.post(
+  '/:id/adjuntos/:adjuntoId/aprobacion/decision',             // Endpoint: POST /api/proyectos/:id/adjuntos/:adjuntoId/aprobacion/decision
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'cliente']),                       // Revisores posibles: admin y cliente del proyecto.
+  decidirAprobacionAdjunto                                    // Controlador que registra la decisión.
+);
+
+// Galería de fotos de avance agrupada por día y por actividad.
+// Query opcional: desde, hasta (YYYY-MM-DD). El controlador valida el acceso.
+router.get(
+  '/:id/fotos',                                               // Endpoint: GET /api/proyectos/:id/fotos
+  authMiddleware,                                             // Requiere usuario autenticado.
+  authorizeRoles(['admin', 'lider de obra', 'cliente', 'auditor']), // Roles que pueden ver proyectos.
+  obtenerGaleriaProyecto                                      // Controlador que arma la galería.
 );
 
 // ====================================================================
@@ -0,0 +1,332 @@
+// File: BackEnd/src/modules/projects/services/cronograma.servicio.js
+// Description: Servicio de cronograma de proyectos en ProCivil Manager (PCM).
+//              Arma la EDT (códigos 1, 1.1, 1.2…) a partir de las tareas,
+//              programa las tareas de detalle con el método de la ruta
+//              crítica (CPM) respetando predecesoras FS/SS/FF con desfase y
+//              restricciones de inicio, consolida las tareas resumen y calcula
+//              el avance ponderado por duración que alimenta
+//              calcularProgresoProyecto, y el avance planeado a una fecha
+//              (valor ganado). Las fechas se manejan en días calendario
+//              desde el inicio del proyecto, como la duración del proyecto.
+
+/* ==============================
+ * Constantes y utilidades
+ * ============================== */
+
+const MS_POR_DIA = 1000 * 60 * 60 * 24;                                        // Milisegundos en un día
+const TIPOS_RELACION = ['FS', 'SS', 'FF'];                                     // Relaciones soportadas
+
+/**
+ * Crea un error de negocio con código HTTP asociado.
+ */
+function crearErrorCronograma(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Suma días calendario a una fecha.
+ */
+function sumarDias(fecha, dias) {
+  return new Date(new Date(fecha).getTime() + dias * MS_POR_DIA);
+}
+
+/**
+ * Días calendario completos entre dos fechas (b - a).
+ */
+function diferenciaDias(a, b) {
+  return Math.round((new Date(b).getTime() - new Date(a).getTime()) / MS_POR_DIA);
+}
+
+/**
+ * Redondea días a dos decimales (evita holguras de 1e-15 por flotantes).
+ */
+function redondear(valor) {
+  return Math.round(valor * 100) / 100;
+}
+
+/* ==========================================
+ * Estructura de desglose (EDT / WBS)
+ * ========================================== */
+
+/**
+ * Ordena las tareas como árbol (recorrido en profundidad por `orden`) y les
+ * asigna código EDT, nivel y si son tareas resumen (tienen subtareas).
+ *
+ * @param {Array<Object>} tareas Tareas del proyecto (documentos o POJOs).
+ * @returns {Array<Object>} Copias planas en orden de EDT con
+ *          { id, codigo, nivel, esResumen, hijos }.
+ */
+function armarEdt(tareas) {
+  const porId = new Map(tareas.map((t) => [String(t._id), t]));
+  const hijosPorPadre = new Map();
+  for (const tarea of tareas) {
+    // Un padre inexistente (borrado) deja la tarea en el primer nivel
+    const padre = tarea.padre && porId.has(String(tarea.padre)) ? String(tarea.padre) : null;
+    if (!hijosPorPadre.has(padre)) hijosPorPadre.set(padre, []);
+    hijosPorPadre.get(padre).push(tarea);
+  }
+  for (const hermanas of hijosPorPadre.values()) {
+    hermanas.sort((a, b) => (a.orden || 0) - (b.orden || 0) || new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  const resultado = [];
+  const visitar = (padre, prefijo, nivel) => {
+    (hijosPorPadre.get(padre) || []).forEach((tarea, indice) => {
+      const id = String(tarea._id);
+      const codigo = prefijo ? `${prefijo}.${indice + 1}` : String(indice + 1);
+      const hijos = (hijosPorPadre.get(id) || []).map((h) => String(h._id));
+      resultado.push({
+        ...(typeof tarea.toObject === 'function' ? tarea.toObject() : tarea),
+        id,
+        codigo,
+        nivel,
+        esResumen: hijos.length > 0,
+        hijos,
+      });
+      visitar(id, codigo, nivel + 1);
+    });
+  };
+  visitar(null, '', 1);
+  return resultado;
+}
+
+/**
+ * Ids de una tarea y todas sus subtareas (para impedir que una tarea quede
+ * colgando de sí misma o de una descendiente).
+ *
+ * @param {Array<Object>} tareas Tareas del proyecto.
+ * @param {string} tareaId Tarea raíz.
+ * @returns {Set<string>}
+ */
+function obtenerDescendientes(tareas, tareaId) {
+  const ids = new Set([String(tareaId)]);
+  let agregado = true;
+  while (agregado) {
+    agregado = false;
+    for (const tarea of tareas) {
+      if (tarea.padre && ids.has(String(tarea.padre)) && !ids.has(String(tarea._id))) {
+        ids.add(String(tarea._id));
+        agregado = true;
+      }
+    }
+  }
+  return ids;
+}
+
+/* ==========================================
+ * Programación (CPM)
+ * ========================================== */
+
+/**
+ * Orden topológico de las tareas de detalle según sus predecesoras.
+ *
+ * @throws {Error} 400 si las dependencias forman un ciclo.
+ */
+function ordenarTopologicamente(detalle) {
+  const pendientes = new Map(detalle.map((t) => [t.id, t.predecesoras.length]));
+  const sucesoras = new Map(detalle.map((t) => [t.id, []]));
+  for (const tarea of detalle) {
+    for (const pred of tarea.predecesoras) sucesoras.get(pred.tarea).push(tarea.id);
+  }
+
+  const cola = detalle.filter((t) => pendientes.get(t.id) === 0).map((t) => t.id);
+  const orden = [];
+  while (cola.length > 0) {
+    const id = cola.shift();
+    orden.push(id);
+    for (const sucesora of sucesoras.get(id)) {
+      pendientes.set(sucesora, pendientes.get(sucesora) - 1);
+      if (pendientes.get(sucesora) === 0) cola.push(sucesora);
+    }
+  }
+
+  if (orden.length < detalle.length) {
+    const enCiclo = detalle.filter((t) => !orden.includes(t.id)).map((t) => `${t.codigo} ${t.nombre}`);
+    throw crearErrorCronograma(`Las dependencias forman un ciclo entre: ${enCiclo.join(', ')}.`);
+  }
+  return orden;
+}
+
+/**
+ * Programa el cronograma de un proyecto.
+ *
+ * Las dependencias se definen entre tareas de detalle; las tareas resumen
+ * toman el inicio más temprano y el fin más tardío de sus subtareas. Para
+ * cada tarea de detalle se calcula inicio/fin temprano y tardío (en días
+ * desde el inicio del proyecto), la holgura total y si es crítica
+ * (holgura 0). `fin` es el último día de trabajo; en los hitos
+ * (duración 0) coincide con `inicio`.
+ *
+ * @param {Object} proyecto Proyecto (usa startDate y endDate).
+ * @param {Array<Object>} tareas Tareas del proyecto.
+ * @returns {{tareas: Array<Object>, resumen: Object}}
+ * @throws {Error} 400 si las dependencias forman un ciclo.
+ */
+function calcularCronograma(proyecto, tareas) {
+  const inicioProyecto = new Date(proyecto.startDate);
+  const edt = armarEdt(tareas);
+  const porId = new Map(edt.map((t) => [t.id, t]));
+
+  // Tareas de detalle con predecesoras válidas (ignora referencias a tareas borradas o resumen)
+  const detalle = edt.filter((t) => !t.esResumen);
+  for (const tarea of detalle) {
+    tarea.duracion = Math.max(0, Number(tarea.duracion) || 0);
+    tarea.predecesoras = (tarea.predecesoras || [])
+      .map((p) => ({
+        tarea: String(p.tarea),
+        tipo: TIPOS_RELACION.includes(p.tipo) ? p.tipo : 'FS',
+        desfase: Number(p.desfase) || 0,
+      }))
+      .filter((p) => porId.has(p.tarea) && !porId.get(p.tarea).esResumen && p.tarea !== tarea.id);
+  }
+
+  const orden = ordenarTopologicamente(detalle);
+
+  // ---- Pasada hacia adelante: inicio y fin tempranos ----
+  for (const id of orden) {
+    const tarea = porId.get(id);
+    let inicio = tarea.inicioRestringido
+      ? Math.max(0, diferenciaDias(inicioProyecto, tarea.inicioRestringido))
+      : 0;
+    for (const pred of tarea.predecesoras) {
+      const p = porId.get(pred.tarea);
+      if (pred.tipo === 'FS') inicio = Math.max(inicio, p.finTemprano + pred.desfase);
+      if (pred.tipo === 'SS') inicio = Math.max(inicio, p.inicioTemprano + pred.desfase);
+      if (pred.tipo === 'FF') inicio = Math.max(inicio, p.finTemprano + pred.desfase - tarea.duracion);
+    }
+    tarea.inicioTemprano = Math.max(0, inicio);
+    tarea.finTemprano = tarea.inicioTemprano + tarea.duracion;
+  }
+
+  const finCalculado = detalle.reduce((maximo, t) => Math.max(maximo, t.finTemprano), 0);
+
+  // ---- Pasada hacia atrás: inicio y fin tardíos ----
+  const sucesorasDe = new Map(detalle.map((t) => [t.id, []]));
+  for (const tarea of detalle) {
+    for (const pred of tarea.predecesoras) sucesorasDe.get(pred.tarea).push({ tarea, pred });
+  }
+  for (const id of [...orden].reverse()) {
+    const tarea = porId.get(id);
+    let fin = finCalculado;
+    for (const { tarea: s, pred } of sucesorasDe.get(id)) {
+      if (pred.tipo === 'FS') fin = Math.min(fin, s.inicioTardio - pred.desfase);
+      if (pred.tipo === 'SS') fin = Math.min(fin, s.inicioTardio - pred.desfase + tarea.duracion);
+      if (pred.tipo === 'FF') fin = Math.min(fin, s.finTardio - pred.desfase);
+    }
+    tarea.finTardio = fin;
+    tarea.inicioTardio = fin - tarea.duracion;
+    tarea.holgura = redondear(tarea.inicioTardio - tarea.inicioTemprano);
+    tarea.critica = tarea.holgura <= 0;
+  }
+
+  // ---- Tareas resumen: consolidan a sus subtareas (de abajo hacia arriba) ----
+  for (const tarea of [...edt].reverse()) {
+    if (!tarea.esResumen) continue;
+    const hijos = tarea.hijos.map((id) => porId.get(id));
+    tarea.inicioTemprano = Math.min(...hijos.map((h) => h.inicioTemprano));
+    tarea.finTemprano = Math.max(...hijos.map((h) => h.finTemprano));
+    tarea.duracion = tarea.finTemprano - tarea.inicioTemprano;
+    tarea.holgura = Math.min(...hijos.map((h) => h.holgura));
+    tarea.critica = hijos.some((h) => h.critica);
+    tarea.porcentajeAvance = promedioPonderado(hijos);
+    tarea.predecesoras = [];
+  }
+
+  // Fechas calendario
+  for (const tarea of edt) {
+    tarea.inicio = sumarDias(inicioProyecto, tarea.inicioTemprano);
+    tarea.fin = sumarDias(inicioProyecto, Math.max(tarea.inicioTemprano, tarea.finTemprano - 1));
+  }
+
+  const finProyectoCalculado = sumarDias(inicioProyecto, Math.max(0, finCalculado - 1));
+  return {
+    tareas: edt,
+    resumen: {
+      totalTareas: edt.length,
+      tareasDetalle: detalle.length,
+      inicio: inicioProyecto,
+      finCalculado: detalle.length > 0 ? finProyectoCalculado : null,
+      finPlaneado: proyecto.endDate || null,
+      duracionCalculada: finCalculado,
+      // Positivo: el cronograma termina después de la fecha de fin del proyecto
+      desfaseDias:
+        detalle.length > 0 && proyecto.endDate ? diferenciaDias(proyecto.endDate, finProyectoCalculado) : null,
+      avance: calcularAvanceTareas(tareas),
+      rutaCritica: edt.filter((t) => !t.esResumen && t.critica).map((t) => t.id),
+    },
+  };
+}
+
+/* ==========================================
+ * Avance
+ * ========================================== */
+
+/**
+ * Promedio del avance ponderado por duración (los hitos pesan igual entre sí
+ * cuando todas las tareas duran 0).
+ */
+function promedioPonderado(tareas) {
+  if (tareas.length === 0) return 0;
+  const totalDuracion = tareas.reduce((suma, t) => suma + (Number(t.duracion) || 0), 0);
+  const valor =
+    totalDuracion > 0
+      ? tareas.reduce((suma, t) => suma + (Number(t.duracion) || 0) * (Number(t.porcentajeAvance) || 0), 0) /
+        totalDuracion
+      : tareas.reduce((suma, t) => suma + (Number(t.porcentajeAvance) || 0), 0) / tareas.length;
+  return Math.round(valor * 10) / 10;
+}
+
+/**
+ * Avance del proyecto según sus tareas de detalle, ponderado por duración.
+ *
+ * @param {Array<Object>} tareas Tareas del proyecto.
+ * @returns {number|null} 0–100, o null si el proyecto no tiene tareas.
+ */
+function calcularAvanceTareas(tareas) {
+  if (!Array.isArray(tareas) || tareas.length === 0) return null;
+  const padres = new Set(tareas.filter((t) => t.padre).map((t) => String(t.padre)));
+  return promedioPonderado(tareas.filter((t) => !padres.has(String(t._id))));
+}
+
+/**
+ * Avance planeado a una fecha según el cronograma: cada tarea de detalle
+ * debería llevar completados los días transcurridos desde su inicio
+ * temprano (sin pasar de su duración). Se pondera por duración como
+ * calcularAvanceTareas; los hitos cuentan completos desde su fecha.
+ *
+ * @param {Object} proyecto Proyecto (usa startDate y endDate).
+ * @param {Array<Object>} tareas Tareas del proyecto.
+ * @param {Date} [fecha] Fecha de corte (hoy por defecto).
+ * @returns {number|null} 0–100, o null si el proyecto no tiene tareas.
+ */
+function calcularAvancePlaneado(proyecto, tareas, fecha = new Date()) {
+  if (!Array.isArray(tareas) || tareas.length === 0) return null;
+  const { tareas: programadas } = calcularCronograma(proyecto, tareas);
+  const transcurridos = (new Date(fecha).getTime() - new Date(proyecto.startDate).getTime()) / MS_POR_DIA;
+
+  const detalle = programadas
+    .filter((t) => !t.esResumen)
+    .map((t) => {
+      const avance =
+        t.duracion > 0
+          ? Math.min(1, Math.max(0, (transcurridos - t.inicioTemprano) / t.duracion))
+          : transcurridos >= t.inicioTemprano ? 1 : 0;
+      return { duracion: t.duracion, porcentajeAvance: avance * 100 };
+    });
+  return promedioPonderado(detalle);
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  TIPOS_RELACION,
+  armarEdt,
+  obtenerDescendientes,
+  calcularCronograma,
+  calcularAvanceTareas,
+  calcularAvancePlaneado,
+};
@@ -0,0 +1,278 @@
+// File: BackEnd/src/modules/projects/services/documentosProyecto.servicio.js
+// Description: Control de versiones de los adjuntos de proyectos en ProCivil
+//              Manager (PCM). Cada adjunto es un documento con revisiones
+//              (A, B, C... AA, AB...) que guardan archivo, fecha, autor y nota
+//              de cambio. Al subir una nueva revisión la anterior se conserva
+//              en el almacenamiento en solo lectura y el adjunto pasa a apuntar
+//              a la nueva.
+//              Incluye también el estado de aprobación de la revisión vigente
+//              y la cuarentena de las revisiones que la inspección retuvo.
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const path = require('path');                                                  // Claves de archivos
+const mongoose = require('mongoose');                                          // Ids de versiones
+const { CARPETA_CUARENTENA } = require('../../../core/services/almacenamiento.servicio'); // Prefijo de archivos retenidos
+
+/* ==============================
+ * Constantes y utilidades
+ * ============================== */
+
+const CAMPOS_ARCHIVO = ['nombreOriginal', 'nombreArchivo', 'tipoMime', 'size', 'ruta'];
+const ROLES_REVISORES = ['admin', 'cliente'];                                  // A quién se puede enrutar una aprobación
+const ETIQUETAS_APROBACION = {
+  sin_enviar: 'Sin enviar',
+  en_revision: 'En revisión',
+  aprobado: 'Aprobado',
+  rechazado: 'Rechazado',
+};
+
+/**
+ * Letra de la revisión siguiente: A → B, Z → AA, AZ → BA.
+ */
+function siguienteRevision(revision) {
+  const letras = String(revision || '').toUpperCase();
+  if (!/^[A-Z]+$/.test(letras)) return 'A';
+
+  const codigos = letras.split('').map((l) => l.charCodeAt(0) - 65);
+  let i = codigos.length - 1;
+  while (i >= 0 && codigos[i] === 25) {
+    codigos[i] = 0;
+    i -= 1;
+  }
+  if (i < 0) codigos.unshift(0);
+  else codigos[i] += 1;
+
+  return codigos.map((c) => String.fromCharCode(c + 65)).join('');
+}
+
+/**
+ * Metadatos de un archivo recibido por multer.
+ *
+ * @param {Object} file Archivo de multer.
+ * @param {string} proyectoId Id del proyecto (carpeta de destino).
+ * @returns {{ nombreOriginal: string, nombreArchivo: string, tipoMime: string, size: number, ruta: string }}
+ */
+function datosArchivo(file, proyectoId) {
+  return {
+    nombreOriginal: file.originalname,
+    nombreArchivo: file.filename,
+    tipoMime: file.mimetype,
+    size: file.size,
+    ruta: file.clave || path.posix.join('uploads', 'proyectos', String(proyectoId), file.filename),
+  };
+}
+
+/* ==========================================
+ * Revisiones
+ * ========================================== */
+
+/**
+ * Campos de control de versiones de un adjunto nuevo (revisión A).
+ *
+ * @param {Object} archivo Resultado de datosArchivo.
+ * @param {Object} opciones
+ * @param {string|null} opciones.autor Usuario que sube el archivo.
+ * @param {string} [opciones.nota] Nota de la emisión.
+ * @returns {{ revision: string, versionActual: ObjectId, versiones: Array }}
+ */
+function primeraVersion(archivo, { autor = null, nota = '' } = {}) {
+  const version = {
+    _id: new mongoose.Types.ObjectId(),
+    revision: 'A',
+    ...archivo,
+    fechaSubida: new Date(),
+    autor,
+    nota,
+  };
+  return { revision: 'A', versionActual: version._id, versiones: [version] };
+}
+
+/**
+ * Completa el historial de un adjunto subido antes del control de versiones:
+ * su archivo actual pasa a ser la revisión vigente.
+ *
+ * @param {Object} adjunto Subdocumento de adjunto.
+ * @returns {boolean} true si el adjunto se modificó (hay que guardar).
+ */
+function asegurarVersiones(adjunto) {
+  if (adjunto.versiones.length > 0 && adjunto.versionActual) return false;
+
+  if (adjunto.versiones.length === 0) {
+    adjunto.versiones.push({
+      revision: adjunto.revision || 'A',
+      ...Object.fromEntries(CAMPOS_ARCHIVO.map((campo) => [campo, adjunto[campo]])),
+      fechaSubida: adjunto.fechaSubida,
+      autor: adjunto.subidoPor || null,
+      nota: '',
+    });
+  }
+  const vigente = adjunto.versiones[adjunto.versiones.length - 1];
+  adjunto.revision = vigente.revision;
+  adjunto.versionActual = vigente._id;
+  return true;
+}
+
+/**
+ * Registra una nueva revisión del adjunto y la deja como vigente. La revisión
+ * anterior conserva su archivo en el almacenamiento.
+ *
+ * @param {Object} adjunto Subdocumento de adjunto.
+ * @param {Object} archivo Resultado de datosArchivo.
+ * @param {Object} opciones
+ * @param {string|null} opciones.autor Usuario que sube la revisión.
+ * @param {string} [opciones.nota] Nota de cambio.
+ * @returns {Object} Versión creada.
+ */
+function agregarVersion(adjunto, archivo, { autor = null, nota = '' } = {}) {
+  asegurarVersiones(adjunto);
+
+  const fechaSubida = new Date();
+  const revision = siguienteRevision(adjunto.revision);
+  adjunto.versiones.push({ revision, ...archivo, fechaSubida, autor, nota });
+  const version = adjunto.versiones[adjunto.versiones.length - 1];
+
+  CAMPOS_ARCHIVO.forEach((campo) => {
+    adjunto[campo] = archivo[campo];
+  });
+  adjunto.fechaSubida = fechaSubida;
+  adjunto.revision = revision;
+  adjunto.versionActual = version._id;
+  if (autor) adjunto.subidoPor = autor;
+
+  return version;
+}
+
+/**
+ * Busca una versión del adjunto; sin id devuelve la vigente.
+ */
+function obtenerVersion(adjunto, versionId) {
+  if (!versionId) {
+    return adjunto.versiones.id(adjunto.versionActual) || adjunto.versiones[adjunto.versiones.length - 1] || null;
+  }
+  return adjunto.versiones.id(versionId) || null;
+}
+
+/**
+ * Rutas relativas de todos los archivos del adjunto (todas sus revisiones).
+ */
+function rutasArchivos(adjunto) {
+  return [...new Set([adjunto.ruta, ...adjunto.versiones.map((v) => v.ruta)].filter(Boolean))];
+}
+
+/**
+ * Descarta la revisión vigente y deja vigente la anterior (p. ej. cuando el
+ * admin descarta una revisión retenida en cuarentena). Si es la única
+ * revisión no modifica nada: el documento completo debe eliminarse.
+ *
+ * @param {Object} adjunto Subdocumento de adjunto.
+ * @returns {{ version: Object, quedaDocumento: boolean }} Versión descartada
+ *   (objeto plano) e indicador de si el documento conserva revisiones.
+ */
+function descartarVersionVigente(adjunto) {
+  asegurarVersiones(adjunto);
+  const vigente = obtenerVersion(adjunto);
+  const version = vigente.toObject();
+  if (adjunto.versiones.length <= 1) return { version, quedaDocumento: false };
+
+  adjunto.versiones.pull(vigente._id);
+  const anterior = adjunto.versiones[adjunto.versiones.length - 1];
+  CAMPOS_ARCHIVO.forEach((campo) => {
+    adjunto[campo] = anterior[campo];
+  });
+  adjunto.fechaSubida = anterior.fechaSubida;
+  adjunto.revision = anterior.revision;
+  adjunto.versionActual = anterior._id;
+
+  return { version, quedaDocumento: true };
+}
+
+/* ==========================================
+ * Cuarentena
+ * ========================================== */
+
+/**
+ * Indica si el adjunto tiene una revisión retenida pendiente de revisión.
+ */
+function enCuarentena(adjunto) {
+  return adjunto?.cuarentena?.estado === 'pendiente';
+}
+
+/**
+ * Indica si el archivo de una versión sigue guardado en cuarentena.
+ */
+function versionEnCuarentena(version) {
+  return String(version?.ruta || '').replace(/^\/+/, '').startsWith(`${CARPETA_CUARENTENA}/`);
+}
+
+/**
+ * Categoría de documento de un adjunto existente, para inspeccionar sus
+ * nuevas revisiones con la misma lista de tipos permitidos.
+ *
+ * @param {string} proyectoId Id del proyecto.
+ * @param {string} adjuntoId Id del adjunto.
+ * @returns {Promise<string>} Categoría (por defecto "general").
+ */
+async function categoriaAdjunto(proyectoId, adjuntoId) {
+  if (!mongoose.Types.ObjectId.isValid(proyectoId) || !mongoose.Types.ObjectId.isValid(adjuntoId)) {
+    return 'general';
+  }
+  const proyecto = await mongoose
+    .model('Proyectos')
+    .findOne({ _id: proyectoId, 'adjuntos._id': adjuntoId }, { 'adjuntos.$': 1 })
+    .lean();
+  return proyecto?.adjuntos?.[0]?.categoria || 'general';
+}
+
+/* ==========================================
+ * Aprobación
+ * ========================================== */
+
+/**
+ * Ronda de aprobación de la revisión vigente (la última ronda, si se envió
+ * esa misma versión). null si la revisión vigente no se ha enviado.
+ */
+function rondaVigente(adjunto) {
+  const rondas = adjunto.aprobaciones || [];
+  const ultima = rondas[rondas.length - 1];
+  return ultima && String(ultima.version) === String(adjunto.versionActual) ? ultima : null;
+}
+
+/**
+ * Estado de aprobación de la revisión vigente:
+ * sin_enviar | en_revision | aprobado | rechazado.
+ */
+function estadoAprobacion(adjunto) {
+  return rondaVigente(adjunto)?.estado || 'sin_enviar';
+}
+
+/**
+ * Etiqueta legible de un estado de aprobación.
+ */
+function etiquetaAprobacion(estado) {
+  return ETIQUETAS_APROBACION[estado] || estado;
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  siguienteRevision,
+  datosArchivo,
+  primeraVersion,
+  asegurarVersiones,
+  agregarVersion,
+  obtenerVersion,
+  rutasArchivos,
+  descartarVersionVigente,
+  enCuarentena,
+  versionEnCuarentena,
+  categoriaAdjunto,
+  ROLES_REVISORES,
+  rondaVigente,
+  estadoAprobacion,
+  etiquetaAprobacion,
+};
@@ -0,0 +1,237 @@
+// File: BackEnd/src/modules/projects/services/fotosProyecto.servicio.js
+// Description: Servicio de fotos de avance de proyectos en ProCivil Manager
+//              (PCM). Para las imágenes adjuntas al proyecto extrae la fecha
+//              de captura y la ubicación GPS del EXIF, genera una miniatura
+//              en el servidor (carpeta "miniaturas" junto al archivo, en el
+//              almacenamiento configurado) y arma
+//              la galería del proyecto agrupada por día y por actividad del
+//              cronograma o criterio de avance.
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const path = require('path');                                                  // Claves de archivos
+const sharp = require('sharp');                                                // Miniaturas y dimensiones
+const exifr = require('exifr');                                                // Lectura de EXIF (fecha y GPS)
+const {
+  obtenerAlmacenamiento,
+  normalizarClave,
+  eliminarArchivos,
+} = require('../../../core/services/almacenamiento.servicio');                // Disco local o S3
+
+/* ==============================
+ * Constantes y utilidades
+ * ============================== */
+
+const MIME_FOTOS = ['image/jpeg', 'image/png', 'image/webp', 'image/tiff'];    // Imágenes que se procesan
+const LADO_MINIATURA = 480;                                                    // Lado máximo de la miniatura (px)
+const CARPETA_MINIATURAS = 'miniaturas';                                       // Subcarpeta junto a los originales
+
+/**
+ * Indica si un adjunto es una imagen que se procesa como foto de avance.
+ */
+function esFotoProcesable(tipoMime) {
+  return MIME_FOTOS.includes(String(tipoMime || '').toLowerCase());
+}
+
+/**
+ * Clave de día (YYYY-MM-DD) de una fecha.
+ */
+function claveDia(fecha) {
+  return new Date(fecha).toISOString().slice(0, 10);
+}
+
+/**
+ * Fecha con la que se ubica la foto en la línea de tiempo: la de captura
+ * (EXIF) o, si no la trae, la de subida.
+ */
+function fechaFoto(adjunto) {
+  return adjunto.foto?.fechaCaptura || adjunto.fechaSubida;
+}
+
+/* ==========================================
+ * Procesamiento de fotos
+ * ========================================== */
+
+/**
+ * Lee fecha de captura y GPS del EXIF. Las imágenes sin EXIF (capturas de
+ * pantalla, PNG exportados...) devuelven valores nulos.
+ *
+ * @param {Buffer} archivo Contenido de la imagen.
+ * @returns {Promise<{ fechaCaptura: Date|null, latitud: number|null, longitud: number|null, altitud: number|null }>}
+ */
+async function leerExif(archivo) {
+  const datos = await exifr.parse(archivo, {
+    gps: true,
+    // latitude/longitude (decimales) se derivan de las etiquetas GPS, que deben leerse
+    pick: [
+      'DateTimeOriginal',
+      'CreateDate',
+      'GPSLatitude',
+      'GPSLatitudeRef',
+      'GPSLongitude',
+      'GPSLongitudeRef',
+      'GPSAltitude',
+    ],
+  });
+  const fechaCaptura = datos?.DateTimeOriginal || datos?.CreateDate || null;
+  const coordenada = (valor) => (Number.isFinite(valor) ? valor : null);
+
+  return {
+    fechaCaptura: fechaCaptura instanceof Date && !Number.isNaN(fechaCaptura.getTime()) ? fechaCaptura : null,
+    latitud: coordenada(datos?.latitude),
+    longitud: coordenada(datos?.longitude),
+    altitud: coordenada(datos?.GPSAltitude),
+  };
+}
+
+/**
+ * Procesa una imagen recién subida: extrae EXIF y genera la miniatura JPEG
+ * (orientada según el EXIF) en "<carpeta del archivo>/miniaturas".
+ * Un fallo al leer el EXIF o al generar la miniatura no impide guardar el
+ * adjunto: se devuelve lo que se haya podido obtener.
+ *
+ * @param {string} rutaRelativa Ruta guardada en el adjunto.
+ * @returns {Promise<Object>} Datos para el campo `foto` del adjunto.
+ */
+async function procesarFoto(rutaRelativa) {
+  const foto = { fechaCaptura: null, latitud: null, longitud: null, altitud: null };
+  let archivo;
+
+  try {
+    archivo = await obtenerAlmacenamiento().leer(normalizarClave(rutaRelativa));
+  } catch (error) {
+    console.error(`No se pudo leer la foto ${rutaRelativa}:`, error.message);
+    return foto;
+  }
+
+  try {
+    Object.assign(foto, await leerExif(archivo));
+  } catch (error) {
+    console.error(`No se pudo leer el EXIF de ${rutaRelativa}:`, error.message);
+  }
+
+  try {
+    const clave = normalizarClave(rutaRelativa);
+    const miniatura = path.posix.join(path.posix.dirname(clave), CARPETA_MINIATURAS, `${path.posix.parse(clave).name}.jpg`);
+
+    const contenido = await sharp(archivo)
+      .rotate()                                                                // Aplica la orientación EXIF
+      .resize(LADO_MINIATURA, LADO_MINIATURA, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 75 })
+      .toBuffer();
+    await obtenerAlmacenamiento().guardar(miniatura, contenido, { tipoMime: 'image/jpeg' });
+
+    const { width, height, orientation } = await sharp(archivo).metadata();
+    const girada = orientation >= 5;                                           // 5–8: ancho y alto intercambiados
+    foto.ancho = girada ? height : width;
+    foto.alto = girada ? width : height;
+    foto.miniatura = miniatura;
+  } catch (error) {
+    console.error(`No se pudo generar la miniatura de ${rutaRelativa}:`, error.message);
+  }
+
+  return foto;
+}
+
+/**
+ * Borra la miniatura de un adjunto (si tiene) sin interrumpir el flujo.
+ */
+function eliminarMiniatura(adjunto) {
+  eliminarArchivos([adjunto?.foto?.miniatura], 'la miniatura');
+}
+
+/* ==========================================
+ * Galería
+ * ========================================== */
+
+/**
+ * Arma la galería de fotos de avance de un proyecto.
+ *
+ * @param {Object} proyecto Proyecto con `adjuntos` y `criteriosAvance`.
+ * @param {Array<Object>} tareas Tareas del cronograma (_id, nombre).
+ * @param {Object} [filtros]
+ * @param {Date} [filtros.desde] Incluye fotos desde esta fecha.
+ * @param {Date} [filtros.hasta] Incluye fotos hasta esta fecha (todo el día).
+ * @returns {{ total: number, fotos: Array, dias: Array, actividades: Array }}
+ *   `dias` va del más reciente al más antiguo; `actividades` agrupa por
+ *   tarea, criterio o "sin actividad".
+ */
+function armarGaleria(proyecto, tareas = [], filtros = {}) {
+  const nombresTareas = new Map(tareas.map((t) => [String(t._id), t.nombre]));
+  const nombresCriterios = new Map((proyecto.criteriosAvance || []).map((c) => [String(c._id), c.nombre]));
+  const desde = filtros.desde ? new Date(filtros.desde).getTime() : -Infinity;
+  const hasta = filtros.hasta ? new Date(filtros.hasta).getTime() + 24 * 60 * 60 * 1000 - 1 : Infinity;
+
+  const fotos = (proyecto.adjuntos || [])
+    .filter((a) => esFotoProcesable(a.tipoMime) && a.cuarentena?.estado !== 'pendiente') // Sin fotos retenidas
+    .map((a) => {
+      const foto = a.foto || {};
+      const tareaId = foto.tarea ? String(foto.tarea) : null;
+      const criterioId = foto.criterio ? String(foto.criterio) : null;
+      return {
+        _id: a._id,
+        nombreOriginal: a.nombreOriginal,
+        descripcion: a.descripcion,
+        ruta: a.ruta,
+        miniatura: foto.miniatura || null,
+        fecha: fechaFoto(a),
+        fechaCaptura: foto.fechaCaptura || null,
+        fechaSubida: a.fechaSubida,
+        latitud: foto.latitud ?? null,
+        longitud: foto.longitud ?? null,
+        ancho: foto.ancho ?? null,
+        alto: foto.alto ?? null,
+        tarea: tareaId ? { _id: tareaId, nombre: nombresTareas.get(tareaId) || 'Tarea eliminada' } : null,
+        criterio: criterioId
+          ? { _id: criterioId, nombre: nombresCriterios.get(criterioId) || 'Criterio eliminado' }
+          : null,
+      };
+    })
+    .filter((f) => {
+      const t = new Date(f.fecha).getTime();
+      return t >= desde && t <= hasta;
+    })
+    .sort((a, b) => new Date(b.fecha) - new Date(a.fecha));
+
+  // Línea de tiempo: un grupo por día
+  const dias = [];
+  fotos.forEach((f) => {
+    const clave = claveDia(f.fecha);
+    const ultimo = dias[dias.length - 1];
+    if (ultimo && ultimo.fecha === clave) ultimo.fotos.push(f._id);
+    else dias.push({ fecha: clave, fotos: [f._id] });
+  });
+
+  // Agrupación por actividad (tarea del cronograma, criterio o sin actividad)
+  const grupos = new Map();
+  fotos.forEach((f) => {
+    const clave = f.tarea ? `tarea:${f.tarea._id}` : f.criterio ? `criterio:${f.criterio._id}` : 'sin';
+    if (!grupos.has(clave)) {
+      grupos.set(clave, {
+        tipo: f.tarea ? 'tarea' : f.criterio ? 'criterio' : 'sin',
+        _id: f.tarea?._id || f.criterio?._id || null,
+        nombre: f.tarea?.nombre || f.criterio?.nombre || 'Sin actividad',
+        fotos: [],
+      });
+    }
+    grupos.get(clave).fotos.push(f._id);
+  });
+  const actividades = [...grupos.values()].sort(
+    (a, b) => Number(a.tipo === 'sin') - Number(b.tipo === 'sin') || b.fotos.length - a.fotos.length
+  );
+
+  return { total: fotos.length, fotos, dias, actividades };
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  esFotoProcesable,
+  procesarFoto,
+  eliminarMiniatura,
+  armarGaleria,
+};
@@ -0,0 +1,364 @@
+// File: BackEnd/src/modules/projects/services/importacionProyecto.servicio.js
+// Description: Servicio de importación masiva de proyectos en ProCivil Manager
+//              (PCM). Valida las filas leídas de un CSV/XLSX con las mismas
+//              reglas de crearProyecto (campos obligatorios, presupuesto,
+//              fechas, correos), resuelve el cliente y el líder de obra contra
+//              los usuarios registrados, detecta duplicados e inicializa los
+//              criterios de avance según tipo y prioridad. Pensado para migrar
+//              proyectos heredados al iniciar una interventoría.
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const Proyectos = require('../models/proyecto.modelo');                        // Modelo de proyectos
+const User = require('../../users/models/usuario.modelo');                     // Modelo de usuarios
+const Alerta = require('../../alerts/models/alerta.modelo');                   // Modelo de alertas
+const { generarCriteriosPorTipoYPrioridad } = require('../utils/calcularProgresoProyecto');
+const {
+  normalizarEncabezado,
+  leerNumero,
+  leerFecha,
+} = require('../../../core/services/hojaCalculo.servicio');                   // Lectura de CSV/XLSX
+
+/* ==========================================
+ * Columnas del archivo
+ * ========================================== */
+
+// Campo → encabezados aceptados (ya normalizados: sin tildes ni espacios).
+const COLUMNAS = {
+  title: ['titulo', 'title', 'proyecto', 'nombre'],
+  pais: ['pais'],
+  ciudad: ['ciudad'],
+  location: ['ubicacion', 'direccion', 'location'],
+  type: ['tipo', 'type'],
+  priority: ['prioridad', 'priority'],
+  startDate: ['fechainicio', 'inicio', 'startdate'],
+  endDate: ['fechafin', 'fin', 'enddate'],
+  budget: ['presupuesto', 'budget'],
+  emailCliente: ['emailcliente', 'correocliente', 'cliente'],
+  emailLider: ['emaillider', 'correolider', 'lider'],
+  comentario: ['comentario', 'observaciones'],
+};
+
+// Columnas sin las cuales no se analiza el archivo.
+const COLUMNAS_OBLIGATORIAS = ['title', 'pais', 'ciudad', 'type', 'startDate', 'endDate', 'budget'];
+
+const PRIORIDADES = ['alta', 'media', 'baja'];                                 // Valores del formulario de creación
+
+/**
+ * Crea un error de negocio con código HTTP asociado.
+ */
+function crearErrorImportacion(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Clave de comparación de textos (minúsculas, sin tildes ni espacios extra).
+ */
+function claveTexto(valor) {
+  return String(valor ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Mismo patrón de correo que usa el controlador de proyectos.
+ */
+function esCorreoValido(email) {
+  return /^[\w.-]+@[\w.-]+\.\w+$/.test(email);
+}
+
+/**
+ * Duración en días calendario incluyendo ambos extremos (igual que
+ * calcularDuracionDias en el controlador).
+ */
+function calcularDuracionDias(inicio, fin) {
+  const MS_POR_DIA = 1000 * 60 * 60 * 24;
+  return Math.floor((fin.getTime() - inicio.getTime()) / MS_POR_DIA) + 1;
+}
+
+/**
+ * Resuelve qué encabezado del archivo corresponde a cada campo.
+ *
+ * @param {string[]} encabezados Encabezados originales del archivo.
+ * @returns {Object} campo → encabezado normalizado presente en el archivo.
+ * @throws {Error} 400 si falta alguna columna obligatoria.
+ */
+function mapearColumnas(encabezados) {
+  const presentes = new Set(encabezados.map(normalizarEncabezado));
+  const mapa = {};
+  for (const [campo, alias] of Object.entries(COLUMNAS)) {
+    const encontrado = alias.find((clave) => presentes.has(clave));
+    if (encontrado) mapa[campo] = encontrado;
+  }
+
+  const faltantes = COLUMNAS_OBLIGATORIAS.filter((campo) => !mapa[campo]);
+  if (faltantes.length > 0) {
+    throw crearErrorImportacion(
+      `Faltan columnas obligatorias: ${faltantes.map((campo) => COLUMNAS[campo][0]).join(', ')}. ` +
+        'Columnas esperadas: titulo, pais, ciudad, tipo, fecha inicio, fecha fin, presupuesto y, ' +
+        'opcionales, ubicacion, prioridad, email cliente, email lider y comentario.'
+    );
+  }
+  return mapa;
+}
+
+/* ==========================================
+ * Análisis (dry-run)
+ * ========================================== */
+
+/**
+ * Valida las filas del archivo sin escribir nada en la base.
+ *
+ * Estados por fila:
+ *  - valida:    se creará el proyecto (ver `advertencias` no bloqueantes).
+ *  - error:     datos faltantes o inválidos (ver `errores`).
+ *  - duplicado: ya existe un proyecto activo con el mismo título en la
+ *               misma ciudad, o se repite una fila anterior.
+ *
+ * Sin correo de cliente el proyecto se importa como propio. Un correo que no
+ * pertenece a ningún usuario se conserva como correo de contacto (igual que
+ * en crearProyecto); uno que pertenece a un usuario de otro rol es un error.
+ *
+ * @param {{encabezados: string[], filas: Array<{fila: number, valores: Object}>}} hoja Resultado de leerHojaCalculo.
+ * @returns {Promise<{filas: Array, resumen: Object}>}
+ */
+async function analizarImportacionProyectos({ encabezados, filas }) {
+  const columnas = mapearColumnas(encabezados);
+  const leer = (valores, campo) => (columnas[campo] ? valores[columnas[campo]] : '');
+  const leerTexto = (valores, campo) => String(leer(valores, campo) ?? '').trim();
+
+  // Usuarios mencionados en el archivo (una sola consulta)
+  const correos = new Set();
+  for (const { valores } of filas) {
+    for (const campo of ['emailCliente', 'emailLider']) {
+      const correo = leerTexto(valores, campo).toLowerCase();
+      if (correo) correos.add(correo);
+    }
+  }
+  const usuarios = await User.find({ email: { $in: [...correos] }, isDeleted: { $ne: true } })
+    .select('email role firstName lastName')
+    .lean();
+  const usuariosPorCorreo = new Map(usuarios.map((u) => [u.email, u]));
+
+  // Proyectos vigentes (regla de duplicado: título + ciudad)
+  const existentes = await Proyectos.find({ activo: { $ne: false } }).select('title ciudad').lean();
+  const existentesPorClave = new Map(
+    existentes.map((p) => [[claveTexto(p.title), claveTexto(p.ciudad)].join('|'), p])
+  );
+
+  const vistasEnArchivo = new Map();                                           // clave → fila donde apareció primero
+  const resultado = filas.map(({ fila, valores }) => {
+    const errores = [];
+    const advertencias = [];
+
+    const title = leerTexto(valores, 'title');
+    const pais = leerTexto(valores, 'pais');
+    const ciudad = leerTexto(valores, 'ciudad');
+    const type = leerTexto(valores, 'type');
+    if (!title) errores.push('El título es obligatorio.');
+    if (!pais) errores.push('El país es obligatorio.');
+    if (!ciudad) errores.push('La ciudad es obligatoria.');
+    if (!type) errores.push('El tipo es obligatorio.');
+
+    // Sin ubicación detallada se usa la ciudad (crearProyecto la exige)
+    const location = leerTexto(valores, 'location') || ciudad;
+
+    const textoPrioridad = claveTexto(leer(valores, 'priority'));
+    const priority = textoPrioridad || 'media';
+    if (!PRIORIDADES.includes(priority)) {
+      errores.push(`La prioridad "${textoPrioridad}" no es válida (alta, media o baja).`);
+    }
+
+    const budget = leerNumero(leer(valores, 'budget'));
+    if (budget === null || Number.isNaN(budget) || budget <= 0) {
+      errores.push('El presupuesto debe ser un número mayor a 0.');
+    }
+
+    const startDate = leerFecha(leer(valores, 'startDate'));
+    const endDate = leerFecha(leer(valores, 'endDate'));
+    const inicioValido = startDate && !Number.isNaN(startDate.getTime());
+    const finValido = endDate && !Number.isNaN(endDate.getTime());
+    if (!inicioValido) errores.push('La fecha de inicio no es válida (use AAAA-MM-DD o DD/MM/AAAA).');
+    if (!finValido) errores.push('La fecha de fin no es válida (use AAAA-MM-DD o DD/MM/AAAA).');
+    if (inicioValido && finValido && startDate > endDate) {
+      errores.push('La fecha de inicio no puede ser posterior a la fecha de fin.');
+    }
+
+    // Cliente: correo opcional (sin correo → proyecto propio)
+    const email = leerTexto(valores, 'emailCliente').toLowerCase();
+    let cliente = null;
+    if (email) {
+      const usuarioCliente = usuariosPorCorreo.get(email);
+      if (!esCorreoValido(email)) {
+        errores.push(`El correo del cliente "${email}" no es válido.`);
+      } else if (usuarioCliente && usuarioCliente.role !== 'cliente') {
+        errores.push(`El correo ${email} pertenece a un usuario con rol ${usuarioCliente.role}, no a un cliente.`);
+      } else if (usuarioCliente) {
+        cliente = { _id: usuarioCliente._id, email: usuarioCliente.email };
+      } else {
+        advertencias.push(`No hay un cliente registrado con el correo ${email}; queda como correo de contacto.`);
+      }
+    }
+
+    // Líder de obra: correo opcional, pero si viene debe ser un líder registrado
+    const emailLider = leerTexto(valores, 'emailLider').toLowerCase();
+    let lider = null;
+    if (emailLider) {
+      const usuarioLider = usuariosPorCorreo.get(emailLider);
+      if (!usuarioLider) {
+        errores.push(`No existe un usuario con el correo ${emailLider}.`);
+      } else if (usuarioLider.role !== 'lider de obra') {
+        errores.push(`El usuario ${emailLider} no es un líder de obra.`);
+      } else {
+        lider = {
+          _id: usuarioLider._id,
+          email: usuarioLider.email,
+          nombre: `${usuarioLider.firstName || ''} ${usuarioLider.lastName || ''}`.trim(),
+        };
+      }
+    }
+
+    const datos = {
+      title,
+      pais,
+      ciudad,
+      location,
+      type,
+      priority,
+      budget,
+      startDate: inicioValido ? startDate : null,
+      endDate: finValido ? endDate : null,
+      email,
+      esProyectoPropio: !email,
+      cliente,
+      lider,
+      comentario: leerTexto(valores, 'comentario'),
+    };
+
+    if (errores.length > 0) {
+      return { fila, estado: 'error', errores, advertencias, datos };
+    }
+
+    const clave = [claveTexto(title), claveTexto(ciudad)].join('|');
+    const existente = existentesPorClave.get(clave);
+    if (existente) {
+      return {
+        fila,
+        estado: 'duplicado',
+        errores: [`Ya existe el proyecto "${existente.title}" en ${existente.ciudad}.`],
+        advertencias,
+        proyectoExistente: existente._id,
+        datos,
+      };
+    }
+    if (vistasEnArchivo.has(clave)) {
+      return {
+        fila,
+        estado: 'duplicado',
+        errores: [`Repite la fila ${vistasEnArchivo.get(clave)} del archivo.`],
+        advertencias,
+        datos,
+      };
+    }
+    vistasEnArchivo.set(clave, fila);
+
+    return { fila, estado: 'valida', errores: [], advertencias, datos };
+  });
+
+  return { filas: resultado, resumen: resumirAnalisis(resultado) };
+}
+
+/**
+ * Conteo de filas por estado y presupuesto total a importar.
+ */
+function resumirAnalisis(filas) {
+  const validas = filas.filter((f) => f.estado === 'valida');
+  return {
+    total: filas.length,
+    validas: validas.length,
+    conErrores: filas.filter((f) => f.estado === 'error').length,
+    duplicados: filas.filter((f) => f.estado === 'duplicado').length,
+    conAdvertencias: validas.filter((f) => f.advertencias.length > 0).length,
+    presupuestoTotal: validas.reduce((total, f) => total + f.datos.budget, 0),
+  };
+}
+
+/* ==========================================
+ * Creación
+ * ========================================== */
+
+/**
+ * Crea el proyecto de una fila válida con los mismos valores iniciales que
+ * crearProyecto (estado planning, progreso 0) y avisa al cliente y al líder
+ * con una alerta. No envía correos: una migración de decenas de proyectos
+ * no debe disparar una notificación por cada uno.
+ *
+ * @param {Object} datos Datos normalizados de la fila (analizarImportacionProyectos).
+ * @returns {Promise<Object>} Proyecto creado.
+ */
+async function crearProyectoImportado(datos) {
+  const proyecto = await Proyectos.create({
+    title: datos.title,
+    pais: datos.pais,
+    ciudad: datos.ciudad,
+    location: datos.location,
+    type: datos.type,
+    budget: datos.budget,
+    duration: calcularDuracionDias(datos.startDate, datos.endDate),
+    comentario: datos.comentario || '',
+    priority: datos.priority,
+    startDate: datos.startDate,
+    endDate: datos.endDate,
+    email: datos.email || '',
+    cliente: datos.cliente ? datos.cliente._id : null,
+    esProyectoPropio: datos.esProyectoPropio,
+    lider: datos.lider ? datos.lider._id : null,
+    status: 'planning',
+    progress: 0,
+    criteriosAvance: generarCriteriosPorTipoYPrioridad(datos.type, datos.priority),
+  });
+
+  // Alertas (un error aquí no deshace la importación)
+  try {
+    const alertas = [];
+    if (datos.cliente) {
+      alertas.push({
+        proyecto: proyecto._id,
+        usuario: datos.cliente._id,
+        tipo: 'solicitud',
+        message: `Se ha creado el proyecto ${proyecto.title} asociado a tu cuenta. Ya puedes consultarlo en tu panel de proyectos.`,
+        resolved: false,
+      });
+    }
+    if (datos.lider) {
+      alertas.push({
+        proyecto: proyecto._id,
+        usuario: datos.lider._id,
+        tipo: 'asignacion',
+        message: `Se te ha asignado el proyecto ${proyecto.title}`,
+      });
+    }
+    if (alertas.length > 0) await Alerta.insertMany(alertas);
+  } catch (alertaError) {
+    console.error('Error al crear las alertas del proyecto importado:', alertaError);
+  }
+
+  return proyecto;
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  COLUMNAS,
+  analizarImportacionProyectos,
+  crearProyectoImportado,
+};
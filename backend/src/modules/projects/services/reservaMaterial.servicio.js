@@ -0,0 +1,171 @@
+// File: BackEnd/src/modules/projects/services/reservaMaterial.servicio.js
+// Description: Reservas de material de los proyectos de ProCivil Manager (PCM).
+//              Asignar material a un proyecto lo reserva en un almacén (no lo
+//              saca del inventario); registrar su uso consume la reserva con
+//              una salida real, y cerrar o eliminar el proyecto libera lo que
+//              quedó sin usar. Las asignaciones legadas (cantidadReservada
+//              null) ya salieron del inventario al asignarse y se devuelven
+//              con una entrada, como antes. Anular un consumo lo descuenta
+//              del uso del proyecto y vuelve a reservar lo que había salido
+//              de la reserva.
+
+const Proyectos = require('../models/proyecto.modelo');                       // Proyectos (asignaciones de material)
+const {
+  reservarStock,
+  liberarReserva,
+} = require('../../inventory/services/stockAlmacen.servicio');                 // Reservas sobre los saldos por almacén
+
+/* ==========================================
+ * Helpers
+ * ========================================== */
+
+/**
+ * Indica si una asignación es legada: su stock salió del inventario al
+ * asignarse (no hay reserva que liberar ni consumir).
+ *
+ * @param {Object} item Elemento de proyecto.materiales.
+ * @returns {boolean}
+ */
+function esAsignacionLegada(item) {
+  return !item || item.cantidadReservada === null || item.cantidadReservada === undefined;
+}
+
+/**
+ * Almacén en el que está (o debe quedar) la reserva de una asignación:
+ * el indicado en la asignación o, si no hay, el principal del material.
+ *
+ * @param {Object} item Elemento de proyecto.materiales (o ítem del body).
+ * @param {Object} material Documento de material.
+ * @returns {Object|string|null} Id del almacén.
+ */
+function obtenerAlmacenReserva(item, material) {
+  return (item && item.almacen) || (material && material.almacen) || null;
+}
+
+/* ==========================================
+ * Reservar / liberar
+ * ========================================== */
+
+/**
+ * Reserva varias asignaciones a la vez. Si alguna no tiene stock
+ * disponible, libera las que ya se habían reservado y relanza el error
+ * (statusCode 400), de modo que no quedan reservas a medias.
+ *
+ * @param {Array<{material: Object, almacen: Object|string, cantidad: number}>} reservas
+ * @param {import('mongoose').ClientSession|null} [session] Sesión de transacción (opcional).
+ * @returns {Promise<void>}
+ */
+async function reservarAsignaciones(reservas, session = null) {
+  const hechas = [];
+  try {
+    for (const reserva of reservas) {
+      await reservarStock({ ...reserva, session });
+      hechas.push(reserva);
+    }
+  } catch (error) {
+    await liberarReservas(hechas, session);
+    throw error;
+  }
+}
+
+/**
+ * Libera un conjunto de reservas (p. ej. si el proyecto no llegó a guardarse).
+ *
+ * @param {Array<{material: Object, almacen: Object|string, cantidad: number}>} reservas
+ * @param {import('mongoose').ClientSession|null} [session] Sesión de transacción (opcional).
+ * @returns {Promise<void>}
+ */
+async function liberarReservas(reservas, session = null) {
+  for (const reserva of reservas) {
+    await liberarReserva({ ...reserva, session });
+  }
+}
+
+/**
+ * Libera la reserva vigente de una asignación y la deja en 0.
+ * No hace nada con asignaciones legadas.
+ *
+ * @param {Object} item Elemento de proyecto.materiales.
+ * @param {Object} material Documento de material.
+ * @returns {Promise<number>} Cantidad liberada.
+ */
+async function liberarAsignacion(item, material) {
+  if (esAsignacionLegada(item) || !material) return 0;
+
+  const cantidad = Number(item.cantidadReservada) || 0;
+  if (cantidad > 0) {
+    await liberarReserva({ material, almacen: obtenerAlmacenReserva(item, material), cantidad });
+  }
+  item.cantidadReservada = 0;
+  return cantidad;
+}
+
+/* ==========================================
+ * Anulación de consumos
+ * ========================================== */
+
+/**
+ * Revierte en el proyecto una salida de consumo que se anula: descuenta la
+ * cantidad de cantidadUtilizada, recalcula el costo promedio de lo que sigue
+ * consumido y vuelve a reservar lo que la salida había tomado de la reserva
+ * (sin pasar de lo asignado pendiente de uso). Debe llamarse después de que
+ * la compensación devolvió el stock al almacén.
+ *
+ * Consumos registrados antes de guardar reservaConsumida se reconocen por
+ * su motivo y se vuelven a reservar hasta completar lo pendiente.
+ *
+ * @param {Object} movimiento Salida de inventario anulada (con proyecto).
+ * @param {Object} material Documento de material.
+ * @param {import('mongoose').ClientSession|null} [session] Sesión de transacción (opcional).
+ * @returns {Promise<Object|null>} Proyecto actualizado o null si no aplica.
+ */
+async function revertirConsumoProyecto(movimiento, material, session = null) {
+  if (!movimiento || movimiento.tipo !== 'salida' || !movimiento.proyecto) return null;
+
+  const reservaRegistrada = movimiento.reservaConsumida !== null && movimiento.reservaConsumida !== undefined;
+  if (!reservaRegistrada && !/^Consumo en proyecto/.test(movimiento.motivo || '')) return null;
+
+  const proyecto = await Proyectos.findById(movimiento.proyecto).session(session);
+  if (!proyecto) return null;
+
+  const item = proyecto.materiales.find((m) => String(m.material) === String(movimiento.material));
+  if (!item || esAsignacionLegada(item)) return null;
+
+  const cantidad = Number(movimiento.cantidad) || 0;
+  const utilizadaPrevia = Number(item.cantidadUtilizada) || 0;
+  const utilizada = Math.max(utilizadaPrevia - cantidad, 0);
+  const reservada = Number(item.cantidadReservada) || 0;
+
+  // Solo se reserva de nuevo en el almacén al que volvió el stock
+  const almacenReserva = obtenerAlmacenReserva(item, material);
+  const mismoAlmacen = !movimiento.almacen || String(movimiento.almacen) === String(almacenReserva);
+  const pendiente = Math.max((Number(item.cantidadAsignada) || 0) - utilizada - reservada, 0);
+  const aReservar = mismoAlmacen
+    ? Math.min(reservaRegistrada ? Number(movimiento.reservaConsumida) || 0 : cantidad, pendiente)
+    : 0;
+
+  if (aReservar > 0) {
+    await reservarStock({ material, almacen: almacenReserva, cantidad: aReservar, session });
+  }
+
+  // Costo promedio de lo que sigue consumido (se retira el valor de esta salida)
+  const costoPrevio = item.costoUnitario;
+  const costoSalida = Number(movimiento.costoUnitario);
+  if (utilizada > 0 && costoPrevio !== null && costoPrevio !== undefined && Number.isFinite(costoSalida)) {
+    item.costoUnitario = Math.max((utilizadaPrevia * Number(costoPrevio) - cantidad * costoSalida) / utilizada, 0);
+  }
+  item.cantidadUtilizada = utilizada;
+  item.cantidadReservada = reservada + aReservar;
+
+  await proyecto.save({ session });
+  return proyecto;
+}
+
+module.exports = {
+  esAsignacionLegada,
+  obtenerAlmacenReserva,
+  reservarAsignaciones,
+  liberarReservas,
+  liberarAsignacion,
+  revertirConsumoProyecto,
+};
@@ -0,0 +1,252 @@
+// File: BackEnd/src/modules/projects/services/valorGanado.servicio.js
+// Description: Servicio de valor ganado (EVM) de proyectos en ProCivil Manager
+//              (PCM). Combina el presupuesto de materiales (BAC), el avance
+//              planeado (cronograma o, sin tareas, fechas del proyecto), el
+//              avance real (calcularProgresoProyecto) y el costo real de los
+//              materiales consumidos (calcularCostoMateriales) para obtener
+//              PV, EV, AC, SPI, CPI, EAC y VAC. Guarda un corte diario por
+//              proyecto para graficar la evolución en el tiempo.
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const Proyectos = require('../models/proyecto.modelo');                        // Modelo de proyectos
+const TareaProyecto = require('../models/tareaProyecto.modelo');               // Tareas del cronograma
+const CorteValorGanado = require('../models/corteValorGanado.modelo');         // Cortes diarios de valor ganado
+const PresupuestoMaterial = require('../../budgets/models/presupuesto.modelo'); // Presupuesto de materiales
+const { calcularProgresoProyecto } = require('../utils/calcularProgresoProyecto');
+const { calcularAvanceTareas, calcularAvancePlaneado } = require('./cronograma.servicio');
+
+/* ==============================
+ * Constantes y utilidades
+ * ============================== */
+
+const MS_POR_DIA = 1000 * 60 * 60 * 24;                                        // Milisegundos en un día
+const UMBRAL_INDICE = 0.95;                                                    // SPI/CPI por debajo: atrasado / sobrecosto (5 % de tolerancia)
+const PUNTOS_CURVA = 24;                                                       // Puntos máximos de la curva planeada
+const ESTADOS_CERRADOS = ['completed', 'cancelled', 'completado', 'cancelado', 'finalizado', 'terminado'];
+
+/**
+ * Redondea a dos decimales (montos e índices).
+ */
+function redondear(valor) {
+  return Math.round(valor * 100) / 100;
+}
+
+/**
+ * Medianoche UTC del día de la fecha (clave de los cortes diarios).
+ */
+function inicioDelDia(fecha = new Date()) {
+  const f = new Date(fecha);
+  return new Date(Date.UTC(f.getUTCFullYear(), f.getUTCMonth(), f.getUTCDate()));
+}
+
+/**
+ * Avance planeado lineal entre startDate y endDate (0–100), para proyectos
+ * sin cronograma.
+ */
+function calcularAvancePlaneadoLineal(proyecto, fecha = new Date()) {
+  const inicio = new Date(proyecto.startDate).getTime();
+  const fin = new Date(proyecto.endDate).getTime();
+  const ahora = new Date(fecha).getTime();
+  if (!Number.isFinite(inicio) || !Number.isFinite(fin) || fin <= inicio) {
+    return Number.isFinite(fin) && ahora >= fin ? 100 : 0;
+  }
+  const valor = ((ahora - inicio) / (fin - inicio)) * 100;
+  return Math.round(Math.min(100, Math.max(0, valor)) * 10) / 10;
+}
+
+/**
+ * Avance planeado a una fecha: por cronograma si el proyecto tiene tareas
+ * (y sus dependencias son válidas); si no, lineal por fechas.
+ *
+ * @returns {{ valor: number, fuente: 'cronograma'|'fechas' }}
+ */
+function obtenerAvancePlaneado(proyecto, tareas, fecha) {
+  try {
+    const valor = calcularAvancePlaneado(proyecto, tareas, fecha);
+    if (valor !== null) return { valor, fuente: 'cronograma' };
+  } catch (error) {
+    // Un ciclo en las dependencias no debe impedir el cálculo: se usan las fechas.
+  }
+  return { valor: calcularAvancePlaneadoLineal(proyecto, fecha), fuente: 'fechas' };
+}
+
+/* ==========================================
+ * Indicadores
+ * ========================================== */
+
+/**
+ * Índices y proyecciones de valor ganado a partir de BAC, PV, EV y AC.
+ * Sin costo real todavía (AC = 0) el CPI no está definido y se proyecta
+ * EAC = BAC.
+ *
+ * @param {{ bac: number, pv: number, ev: number, ac: number }} valores
+ * @returns {{ sv: number, cv: number, spi: number|null, cpi: number|null,
+ *   eac: number, vac: number, atrasado: boolean, sobrecosto: boolean }}
+ */
+function calcularIndicadores({ bac, pv, ev, ac }) {
+  const spi = pv > 0 ? redondear(ev / pv) : null;
+  const cpi = ac > 0 ? redondear(ev / ac) : null;
+  // Con EV = 0 y AC > 0 el CPI es 0: la proyección no es calculable y se usa AC + BAC.
+  const eac = cpi === null ? bac : cpi > 0 ? bac / cpi : ac + bac;
+
+  return {
+    sv: redondear(ev - pv),                            // Variación del cronograma (EV - PV)
+    cv: redondear(ev - ac),                            // Variación del costo (EV - AC)
+    spi,
+    cpi,
+    eac: redondear(eac),
+    vac: redondear(bac - eac),
+    atrasado: spi !== null && spi < UMBRAL_INDICE,
+    sobrecosto: cpi !== null && cpi < UMBRAL_INDICE,
+  };
+}
+
+/**
+ * Curva planeada (PV acumulado) desde el inicio hasta el fin del proyecto,
+ * con como máximo PUNTOS_CURVA puntos. Sirve de referencia en la gráfica.
+ */
+function calcularCurvaPlaneada(proyecto, tareas, bac) {
+  const inicio = inicioDelDia(proyecto.startDate);
+  const fin = inicioDelDia(proyecto.endDate);
+  if (Number.isNaN(inicio.getTime()) || Number.isNaN(fin.getTime()) || fin < inicio) return [];
+
+  const totalDias = Math.round((fin - inicio) / MS_POR_DIA);
+  const paso = Math.max(1, Math.ceil(totalDias / PUNTOS_CURVA));
+  const curva = [];
+  for (let dia = 0; dia <= totalDias + paso - 1; dia += paso) {
+    const fecha = new Date(inicio.getTime() + Math.min(dia, totalDias) * MS_POR_DIA);
+    const { valor } = obtenerAvancePlaneado(proyecto, tareas, fecha);
+    curva.push({ fecha, avancePlaneado: valor, pv: redondear((bac * valor) / 100) });
+  }
+  return curva;
+}
+
+/* ==========================================
+ * Valor ganado por proyecto
+ * ========================================== */
+
+/**
+ * Calcula el valor ganado de un proyecto a una fecha.
+ *
+ * @param {Object} proyecto Documento Mongoose de proyecto (usa calcularCostoMateriales).
+ * @param {Object} [opciones]
+ * @param {Date} [opciones.fecha] Fecha de corte (hoy por defecto).
+ * @param {boolean} [opciones.incluirCurva] Agrega la curva planeada completa.
+ * @returns {Promise<Object>} Valores, índices y avances del proyecto.
+ */
+async function calcularValorGanadoProyecto(proyecto, opciones = {}) {
+  const fecha = opciones.fecha ? new Date(opciones.fecha) : new Date();
+
+  const [presupuesto, tareas] = await Promise.all([
+    PresupuestoMaterial.findOne({ proyecto: proyecto._id }).select('totalPresupuesto').lean(),
+    TareaProyecto.find({ proyecto: proyecto._id }).lean(),
+  ]);
+
+  // BAC: presupuesto de materiales (el AC solo mide materiales consumidos)
+  const bac = Number(presupuesto?.totalPresupuesto) || 0;
+
+  // Avances planeado y real (0–100)
+  const planeado = obtenerAvancePlaneado(proyecto, tareas, fecha);
+  const { progresoTotal } = calcularProgresoProyecto(proyecto, {
+    avanceTareas: calcularAvanceTareas(tareas),
+  });
+
+  const ac = redondear(await proyecto.calcularCostoMateriales());
+  const pv = redondear((bac * planeado.valor) / 100);
+  const ev = redondear((bac * progresoTotal) / 100);
+
+  const resultado = {
+    proyecto: {
+      _id: proyecto._id,
+      title: proyecto.title,
+      status: proyecto.status,
+      startDate: proyecto.startDate,
+      endDate: proyecto.endDate,
+    },
+    fecha,
+    sinPresupuesto: bac <= 0,
+    bac,
+    pv,
+    ev,
+    ac,
+    ...calcularIndicadores({ bac, pv, ev, ac }),
+    avancePlaneado: planeado.valor,
+    avanceReal: progresoTotal,
+    fuenteAvancePlaneado: planeado.fuente,
+  };
+
+  if (opciones.incluirCurva) {
+    resultado.curvaPlaneada = bac > 0 ? calcularCurvaPlaneada(proyecto, tareas, bac) : [];
+  }
+  return resultado;
+}
+
+/* ==========================================
+ * Cortes diarios (evolución en el tiempo)
+ * ========================================== */
+
+/**
+ * Guarda (o reemplaza) el corte del día para un resultado de
+ * calcularValorGanadoProyecto. Los proyectos sin presupuesto no generan corte.
+ *
+ * @returns {Promise<Object|null>} Corte guardado o null.
+ */
+async function registrarCorteValorGanado(resultado) {
+  if (!resultado || resultado.sinPresupuesto) return null;
+  const campos = ['bac', 'pv', 'ev', 'ac', 'spi', 'cpi', 'eac', 'vac', 'avancePlaneado', 'avanceReal'];
+  const datos = Object.fromEntries(campos.map((campo) => [campo, resultado[campo]]));
+
+  return CorteValorGanado.findOneAndUpdate(
+    { proyecto: resultado.proyecto._id, fecha: inicioDelDia(resultado.fecha) },
+    { $set: datos },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+}
+
+/**
+ * Serie de cortes de un proyecto en orden cronológico.
+ */
+async function obtenerSerieValorGanado(proyectoId) {
+  return CorteValorGanado.find({ proyecto: proyectoId })
+    .select('-_id -proyecto -__v -createdAt -updatedAt')
+    .sort({ fecha: 1 })
+    .lean();
+}
+
+/**
+ * Registra el corte del día de todos los proyectos activos y abiertos.
+ * Lo ejecuta periódicamente server.js; un proyecto con error no detiene a
+ * los demás.
+ *
+ * @returns {Promise<number>} Cantidad de cortes registrados.
+ */
+async function registrarCortesProyectosActivos() {
+  const proyectos = await Proyectos.find({ activo: true });
+  let registrados = 0;
+  for (const proyecto of proyectos) {
+    if (ESTADOS_CERRADOS.includes(String(proyecto.status || '').toLowerCase())) continue;
+    try {
+      const corte = await registrarCorteValorGanado(await calcularValorGanadoProyecto(proyecto));
+      if (corte) registrados += 1;
+    } catch (error) {
+      console.error(`❌ Error al registrar el valor ganado del proyecto ${proyecto._id}:`, error);
+    }
+  }
+  return registrados;
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  UMBRAL_INDICE,
+  calcularIndicadores,
+  calcularValorGanadoProyecto,
+  registrarCorteValorGanado,
+  obtenerSerieValorGanado,
+  registrarCortesProyectosActivos,
+};
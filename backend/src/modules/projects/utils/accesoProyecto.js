@@ -0,0 +1,59 @@
+// File: BackEnd/src/modules/projects/utils/accesoProyecto.js
+// Description: Reglas de acceso a un proyecto según el rol del usuario en
+//              ProCivil Manager (PCM), compartidas por los submódulos del
+//              proyecto (cronograma, valor ganado, bitácora). Lectura: admin,
+//              auditor, líder asignado y cliente del proyecto (por referencia
+//              o correo). Escritura: admin y líder asignado.
+
+/**
+ * Indica si el usuario es el líder asignado del proyecto.
+ *
+ * @param {Object} usuario req.user.
+ * @param {Object} proyecto Proyecto con `lider` (id o documento poblado).
+ * @returns {boolean}
+ */
+function esLiderDelProyecto(usuario, proyecto) {
+  const usuarioId = (usuario?._id || usuario?.id || '').toString();
+  const liderId = proyecto?.lider?._id || proyecto?.lider;
+  return usuario?.role === 'lider de obra' && !!liderId && liderId.toString() === usuarioId;
+}
+
+/**
+ * Indica si el usuario es el cliente del proyecto (por referencia o correo).
+ *
+ * @param {Object} usuario req.user.
+ * @param {Object} proyecto Proyecto con `cliente` y `email`.
+ * @returns {boolean}
+ */
+function esClienteDelProyecto(usuario, proyecto) {
+  const usuarioId = (usuario?._id || usuario?.id || '').toString();
+  const clienteId = proyecto?.cliente?._id || proyecto?.cliente;
+  const esClientePorRef = !!clienteId && clienteId.toString() === usuarioId;
+  const esClientePorEmail =
+    !!proyecto?.email &&
+    !!usuario?.email &&
+    proyecto.email.toLowerCase() === usuario.email.toLowerCase();
+  return usuario?.role === 'cliente' && (esClientePorRef || esClientePorEmail);
+}
+
+/**
+ * Indica si el usuario puede consultar (o modificar) el proyecto.
+ *
+ * @param {Object} usuario req.user.
+ * @param {Object} proyecto Proyecto con `lider`, `cliente` y `email`.
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.escritura=false] true para exigir permiso de modificación.
+ * @returns {boolean}
+ */
+function tieneAccesoProyecto(usuario, proyecto, { escritura = false } = {}) {
+  if (usuario?.role === 'admin') return true;
+  if (esLiderDelProyecto(usuario, proyecto)) return true;
+  if (escritura) return false;
+  return usuario?.role === 'auditor' || esClienteDelProyecto(usuario, proyecto);
+}
+
+module.exports = {
+  esLiderDelProyecto,
+  esClienteDelProyecto,
+  tieneAccesoProyecto,
+};
@@ -638,6 +638,7 @@ function generarCriteriosPorTipoYPrioridad(type, priority) {
  *  - Tiempo transcurrido entre startDate y endDate.
  *  - Estado textual del proyecto (planning, active, completed, etc.).
  *  - Progreso manual (campo progress) que puede usarse como ajuste fino.
+ *  - Avance de las tareas del cronograma (opcional, ver opciones.avanceTareas).
  *
  * @param {Object} proyecto Documento de proyecto o POJO con al menos:
  *   - startDate: fecha de inicio
@@ -646,10 +647,12 @@ function generarCriteriosPorTipoYPrioridad(type, priority) {
  *   - progress: progreso manual (0–100)
  *   - criteriosAvance: arreglo de criterios de avance (opcional)
  * @param {Object} [opciones] Configuración opcional de pesos.
- * @param {Object} [opciones.pesos] Pesos de cada criterio (tiempo, estado, manual, criterios).
+ * @param {Object} [opciones.pesos] Pesos de cada criterio (tiempo, estado, manual, criterios, tareas).
+ * @param {number|null} [opciones.avanceTareas] Avance 0–100 de las tareas del cronograma
+ *   (calcularAvanceTareas). Si no se envía, el componente de tareas no participa.
  * @returns {{
  *   progresoTotal: number,
- *   detalle: { tiempo: number, estado: number, manual: number, criterios: number }
+ *   detalle: { tiempo: number, estado: number, manual: number, criterios: number, tareas: number|null }
  * }} Progreso general y desagregado.
  */
 function calcularProgresoProyecto(proyecto, opciones = {}) {
@@ -661,31 +664,47 @@ function calcularProgresoProyecto(proyecto, opciones = {}) {
         estado: 0,
         manual: 0,
         criterios: 0,
+        tareas: null,
       },
     };
   }
 
+  // El avance por tareas solo participa si el proyecto tiene cronograma.
+  const usaTareas = Number.isFinite(opciones.avanceTareas);
+
   // Pesos por defecto: damos mayor importancia a criteriosAvance,
   // luego al tiempo, y un peso menor al estado y al progreso manual.
-  const pesos = opciones.pesos || {
-    criterios: 0.6,   // Peso del avance por criterios de avance.
-    tiempo: 0.2,      // Peso del avance por tiempo transcurrido.
-    estado: 0.1,      // Peso del avance según estado textual.
-    manual: 0.1,      // Peso del progreso manual.
-  };
+  // Con cronograma, las tareas toman parte del peso de criterios y tiempo.
+  const pesos = opciones.pesos || (usaTareas
+    ? {
+      criterios: 0.4,   // Peso del avance por criterios de avance.
+      tareas: 0.3,      // Peso del avance ponderado de las tareas.
+      tiempo: 0.1,      // Peso del avance por tiempo transcurrido.
+      estado: 0.1,      // Peso del avance según estado textual.
+      manual: 0.1,      // Peso del progreso manual.
+    }
+    : {
+      criterios: 0.6,   // Peso del avance por criterios de avance.
+      tiempo: 0.2,      // Peso del avance por tiempo transcurrido.
+      estado: 0.1,      // Peso del avance según estado textual.
+      manual: 0.1,      // Peso del progreso manual.
+    });
 
   // Calcula cada componente de avance de forma independiente.
   const avanceCriterios = calcularAvancePorCriterios(proyecto.criteriosAvance); // 0–100.
   const avanceTiempo = calcularAvancePorTiempo(proyecto.startDate, proyecto.endDate); // 0–100.
   const avanceEstado = calcularAvancePorEstado(proyecto.status);               // 0–100.
   const avanceManual = normalizarProgresoManual(proyecto.progress);           // 0–100.
+  const avanceTareas = usaTareas ? opciones.avanceTareas : 0;                 // 0–100 (0 si no participa).
+  const pesoTareas = usaTareas ? pesos.tareas || 0 : 0;                       // Sin cronograma no pesa.
 
   // Suma total de pesos para normalizar el promedio ponderado.
   const sumaPesos =
     (pesos.criterios || 0) +
     (pesos.tiempo || 0) +
     (pesos.estado || 0) +
-    (pesos.manual || 0);
+    (pesos.manual || 0) +
+    pesoTareas;
 
   // Si por alguna razón la suma de pesos es 0, usamos solo el avance por criterios
   // y, si tampoco hay criterios, usamos el manual como último recurso.
@@ -701,16 +720,18 @@ function calcularProgresoProyecto(proyecto, opciones = {}) {
         estado: normalizarPorcentaje(avanceEstado),
         manual: fallbackManual,
         criterios: fallbackCriterios,
+        tareas: usaTareas ? normalizarPorcentaje(avanceTareas) : null,
       },
     };
   }
 
-  // Calculamos el promedio ponderado de los cuatro componentes.
+  // Calculamos el promedio ponderado de los componentes.
   const valorTotal =
     ((avanceCriterios * (pesos.criterios || 0)) +
       (avanceTiempo * (pesos.tiempo || 0)) +
       (avanceEstado * (pesos.estado || 0)) +
-      (avanceManual * (pesos.manual || 0))) /
+      (avanceManual * (pesos.manual || 0)) +
+      (avanceTareas * pesoTareas)) /
     sumaPesos;
 
   // Normalizamos el resultado total para garantizar un valor 0–100.
@@ -724,6 +745,7 @@ function calcularProgresoProyecto(proyecto, opciones = {}) {
       estado: normalizarPorcentaje(avanceEstado),
       manual: normalizarPorcentaje(avanceManual),
       criterios: normalizarPorcentaje(avanceCriterios),
+      tareas: usaTareas ? normalizarPorcentaje(avanceTareas) : null,
     },
   };
 }
@@ -0,0 +1,45 @@
+// File: BackEnd/src/modules/projects/utils/enlacesFirmados.js
+// Description: Enlaces firmados y temporales a los archivos de un proyecto
+//              en ProCivil Manager (PCM). Los archivos del proyecto no se
+//              sirven en rutas públicas: los endpoints autenticados (que ya
+//              validaron el acceso al proyecto) devuelven estos enlaces para
+//              vistas previas, miniaturas y fotos. Con S3 son URLs
+//              prefirmadas del bucket; en disco local apuntan al backend.
+
+const { generarUrlFirmada } = require('../../../core/services/almacenamiento.servicio'); // URLs firmadas del driver
+
+const EXPIRACION_VISTAS_SEGUNDOS = 15 * 60; // Vigencia de los enlaces de vistas previas (galería abierta)
+
+/**
+ * URL absoluta (el driver local devuelve rutas relativas al backend).
+ *
+ * @param {Object} req Petición Express (protocolo y host del backend).
+ * @param {string} url URL firmada.
+ * @returns {string}
+ */
+function urlAbsoluta(req, url) {
+  return /^https?:\/\//.test(url) ? url : `${req.protocol}://${req.get('host')}${url}`;
+}
+
+/**
+ * Enlace firmado para mostrar un archivo del proyecto (imagen o miniatura).
+ *
+ * @param {Object} req Petición Express.
+ * @param {string} ruta Ruta guardada del archivo.
+ * @returns {Promise<string|null>} URL absoluta, o null si no hay ruta o no se pudo firmar.
+ */
+async function enlaceVista(req, ruta) {
+  if (!ruta) return null;
+  try {
+    const { url } = await generarUrlFirmada(ruta, { expiraEn: EXPIRACION_VISTAS_SEGUNDOS });
+    return urlAbsoluta(req, url);
+  } catch (error) {
+    console.error(`No se pudo firmar el enlace de ${ruta}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  urlAbsoluta,
+  enlaceVista,
+};
@@ -0,0 +1,1054 @@
+// File: BackEnd/src/modules/purchases/controllers/ordenCompra.controlador.js
+// Description: Controlador de órdenes de compra de ProCivil Manager (PCM).
+//              Crea órdenes para un proveedor, un almacén y opcionalmente un
+//              proyecto (manuales, desde alertas de stock bajo o desde una
+//              solicitud de materiales aprobada), las aprueba o cancela y
+//              registra recepciones parciales o totales que generan entradas
+//              de inventario con el mismo flujo de saldos del módulo de
+//              inventario. Exporta la orden en PDF y audita cada acción.
+
+// Importa PDFKit para crear documentos PDF en memoria/stream.
+const PDFDocument = require('pdfkit');                                          // Creador de documentos PDF
+
+const OrdenCompra = require('../models/ordenCompra.modelo');                    // Modelo de órdenes de compra
+const Proveedor = require('../../suppliers/models/proveedor.modelo');           // Modelo de proveedores
+const Almacen = require('../../warehouses/models/almacen.modelo');              // Modelo de almacenes
+const Material = require('../../inventory/models/material.modelo');             // Modelo de materiales
+const MovimientoInventario = require('../../inventory/models/inventario.modelo'); // Movimientos de inventario
+const Alerta = require('../../alerts/models/alerta.modelo');                    // Alertas de stock bajo
+const Solicitud = require('../../requests/models/solicitud.modelo');            // Solicitudes de materiales
+const Reporte = require('../../reports/models/reporte.modelo');                 // Registro de reportes generados
+const AuditLog = require('../../audit/models/auditoria.modelo');                // Modelo de auditoría
+
+// Servicios de saldos por almacén (mismo flujo que las entradas manuales)
+const {
+  aplicarMovimientoEnAlmacen,
+  ejecutarEnTransaccion,
+  obtenerSaldo,
+  obtenerCostoReferencia,
+} = require('../../inventory/services/stockAlmacen.servicio');
+const { registrarPrecio } = require('../../inventory/services/historialPrecio.servicio'); // Historial de precios
+const { convertirAUnidadMaterial } = require('../../inventory/services/unidadMedida.servicio'); // Conversión de unidades
+const { evaluarVencimientos } = require('../../inventory/services/loteMaterial.servicio'); // Alertas de vencimiento de lotes
+const StockAlmacen = require('../../inventory/models/stockAlmacen.modelo');      // Saldos (mínimo por almacén)
+const { calcularSugerenciaMaterialAlmacen } = require('../../inventory/services/reabastecimiento.servicio'); // Cantidad sugerida
+const { generarNumeroOrden, calcularEstadoRecepcion } = require('../services/ordenCompra.servicio');
+
+/* ==============================
+ * Helpers internos
+ * ============================== */
+
+/**
+ * Crea un error de negocio con código HTTP (lo traducen los controladores).
+ *
+ * @param {string} message Mensaje para el cliente.
+ * @param {number} [statusCode=400] Código HTTP.
+ * @returns {Error} Error con statusCode.
+ */
+function crearErrorNegocio(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Identificador textual del usuario autenticado (correo, id o 'sistema').
+ */
+const obtenerUsuarioMovimiento = (req) =>
+  req.user
+    ? req.user.email || req.user.id || String(req.user._id || '')
+    : 'sistema';
+
+/**
+ * Precio sugerido para un material: el cotizado por el proveedor si lo
+ * suministra; si no, el costo de referencia del material.
+ *
+ * @param {Object} material Documento de material.
+ * @param {Object} proveedor Documento de proveedor.
+ * @returns {number} Precio unitario sugerido.
+ */
+function obtenerPrecioSugerido(material, proveedor) {
+  const cotizado = (proveedor.materiales || []).find(
+    (item) => String(item.material) === String(material._id)
+  );
+  return cotizado ? Number(cotizado.precioCotizado) || 0 : obtenerCostoReferencia(material);
+}
+
+/**
+ * Valida y normaliza los ítems recibidos en el body: material existente,
+ * sin repetir, cantidad > 0 y precio >= 0 (si no viene precio se usa el
+ * precio sugerido del proveedor). Si el ítem trae otra unidad, la cantidad
+ * y el precio informados se llevan a la unidad del material.
+ *
+ * @param {Array} items Ítems recibidos.
+ * @param {Object} proveedor Documento de proveedor.
+ * @returns {Promise<Array>} Ítems normalizados para el modelo.
+ */
+async function normalizarItems(items, proveedor) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw crearErrorNegocio('La orden debe tener al menos un ítem.');
+  }
+
+  const ids = items.map((item) => String(item && (item.material?._id || item.material) || ''));
+  if (ids.some((id) => !id)) {
+    throw crearErrorNegocio('Cada ítem debe indicar el material.');
+  }
+  if (new Set(ids).size !== ids.length) {
+    throw crearErrorNegocio('Un material no puede repetirse en la orden.');
+  }
+
+  const materiales = await Material.find({ _id: { $in: ids }, isDeleted: { $ne: true } });
+  if (materiales.length !== ids.length) {
+    throw crearErrorNegocio('Alguno de los materiales de la orden no existe.', 404);
+  }
+  const porId = new Map(materiales.map((m) => [String(m._id), m]));
+
+  const normalizados = [];
+  for (let i = 0; i < items.length; i += 1) {
+    const item = items[i];
+    const material = porId.get(ids[i]);
+    const cantidadInformada = Number(item.cantidad);
+    if (!Number.isFinite(cantidadInformada) || cantidadInformada <= 0) {
+      throw crearErrorNegocio(`La cantidad de "${material.nombre}" debe ser mayor que 0.`);
+    }
+    const conversion = await convertirAUnidadMaterial(material, cantidadInformada, item.unidad);
+
+    // El precio informado es por la unidad pedida; el sugerido ya está en la del material
+    const precioInformado =
+      item.precioUnitario !== undefined && item.precioUnitario !== null && item.precioUnitario !== '';
+    const precioUnitario = precioInformado
+      ? Number(item.precioUnitario) / conversion.factor
+      : obtenerPrecioSugerido(material, proveedor);
+    if (!Number.isFinite(precioUnitario) || precioUnitario < 0) {
+      throw crearErrorNegocio(`El precio de "${material.nombre}" debe ser un número mayor o igual a 0.`);
+    }
+    normalizados.push({
+      material: material._id,
+      cantidad: conversion.cantidad,
+      precioUnitario,
+      cantidadRecibida: 0,
+      unidad: conversion.unidadOriginal,
+      cantidadUnidad: conversion.cantidadOriginal,
+    });
+  }
+  return normalizados;
+}
+
+/**
+ * Construye los ítems de una orden a partir de alertas de stock bajo: un
+ * ítem por material, con la cantidad sugerida por el reabastecimiento
+ * (consumo del almacén durante la entrega más la cobertura, conservando el
+ * stock mínimo).
+ *
+ * @param {Array<string>} alertaIds Ids de alertas de tipo 'stock'.
+ * @param {Object} proveedor Documento de proveedor.
+ * @param {Object} almacen Documento de almacén.
+ * @returns {Promise<Object>} { items, alertas }
+ */
+async function construirItemsDesdeAlertas(alertaIds, proveedor, almacen) {
+  const alertas = await Alerta.find({ _id: { $in: alertaIds }, tipo: 'stock' });
+  if (alertas.length === 0) {
+    throw crearErrorNegocio('No se encontraron alertas de stock bajo para generar la orden.', 404);
+  }
+
+  const materialIds = [...new Set(alertas.filter((a) => a.material).map((a) => String(a.material)))];
+  const materiales = await Material.find({ _id: { $in: materialIds }, isDeleted: { $ne: true } });
+  if (materiales.length === 0) {
+    throw crearErrorNegocio('Las alertas seleccionadas no corresponden a materiales vigentes.');
+  }
+
+  const items = [];
+  for (const material of materiales) {
+    const saldoDoc = await StockAlmacen.findOne({ material: material._id, almacen: almacen._id }).lean();
+    const minimo =
+      saldoDoc && saldoDoc.stockMinimo !== null && saldoDoc.stockMinimo !== undefined
+        ? Number(saldoDoc.stockMinimo)
+        : Number(material.stockMinimo) || 0;
+    const sugerencia = await calcularSugerenciaMaterialAlmacen({
+      material,
+      almacen: almacen._id,
+      saldo: await obtenerSaldo(material, almacen._id),
+      stockMinimo: minimo,
+    });
+    items.push({
+      material: material._id,
+      cantidad: Math.max(sugerencia.cantidadSugerida, 1),
+      precioUnitario: obtenerPrecioSugerido(material, proveedor),
+      cantidadRecibida: 0,
+    });
+  }
+
+  return { items, alertas };
+}
+
+/**
+ * Construye los ítems de una orden a partir de una solicitud de materiales
+ * aprobada (mismas cantidades solicitadas).
+ *
+ * @param {string} solicitudId Id de la solicitud.
+ * @param {Object} proveedor Documento de proveedor.
+ * @returns {Promise<Object>} { items, solicitud }
+ */
+async function construirItemsDesdeSolicitud(solicitudId, proveedor) {
+  const solicitud = await Solicitud.findById(solicitudId);
+  if (!solicitud) {
+    throw crearErrorNegocio('Solicitud no encontrada', 404);
+  }
+  if (solicitud.tipo !== 'material') {
+    throw crearErrorNegocio('Solo las solicitudes de materiales pueden generar órdenes de compra.');
+  }
+  if (solicitud.estado !== 'aprobada') {
+    throw crearErrorNegocio('La solicitud debe estar aprobada para generar la orden de compra.');
+  }
+
+  const ordenVigente = await OrdenCompra.exists({
+    'origen.solicitud': solicitud._id,
+    estado: { $ne: 'cancelada' },
+  });
+  if (ordenVigente) {
+    throw crearErrorNegocio('Ya existe una orden de compra vigente para esta solicitud.', 409);
+  }
+
+  const items = await normalizarItems(
+    (solicitud.materiales || []).map((item) => ({ material: item.material, cantidad: item.cantidad })),
+    proveedor
+  );
+
+  return { items, solicitud };
+}
+
+/**
+ * Aplica los populate habituales de una orden de compra.
+ *
+ * @param {import('mongoose').Query} consulta Consulta de OrdenCompra.
+ * @returns {import('mongoose').Query} Consulta con populate.
+ */
+function poblarOrden(consulta) {
+  return consulta
+    .populate('proveedor', 'nombre nit ciudad direccion contacto plazoPagoDias condicionesPago')
+    .populate('almacen', 'nombre ciudad direccion')
+    .populate('proyecto', 'title')
+    .populate('items.material', 'nombre unidad categoria controlLotes')
+    .populate('creadoPor', 'firstName lastName email')
+    .populate('aprobadoPor', 'firstName lastName email');
+}
+
+/**
+ * Registra una acción sobre órdenes de compra en la auditoría.
+ * Un error aquí no debe romper la respuesta principal.
+ */
+async function registrarAuditoriaOrden(req, action, orden, details = {}) {
+  try {
+    await AuditLog.create({
+      user: req.user ? req.user.id : undefined,
+      action,
+      resource: 'OrdenCompra',
+      details: {
+        orden: orden._id.toString(),
+        numero: orden.numero,
+        estado: orden.estado,
+        ...details,
+      },
+    });
+  } catch (auditError) {
+    console.error('❌ Error al registrar auditoría de orden de compra:', auditError);
+  }
+}
+
+/**
+ * Respuesta de error común de los endpoints de órdenes de compra.
+ */
+function responderError(res, error, mensaje) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: 'Datos inválidos para la orden de compra', error: error.message });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: 'Identificador inválido', error: error.message });
+  }
+
+  console.error(`❌ ${mensaje}:`, error);
+  return res.status(500).json({ message: mensaje, error: error.message });
+}
+
+/* ==============================
+ * Crear orden de compra
+ * ============================== */
+
+/**
+ * 🧾 Crear una orden de compra (estado 'borrador').
+ *
+ * Body:
+ *  - proveedor (obligatorio), almacen (obligatorio), proyecto (opcional).
+ *  - items: [{ material, cantidad, precioUnitario?, unidad? }] (opcional si viene un origen).
+ *    Con otra unidad, la cantidad y el precio se llevan a la unidad del material.
+ *  - alertas: [ids] → genera los ítems desde alertas de stock bajo.
+ *  - solicitud: id → genera los ítems desde una solicitud de materiales aprobada.
+ *  - fechaEntregaEstimada, observaciones (opcionales).
+ *
+ * Si se envían ítems junto con un origen, se usan los ítems enviados y el
+ * origen queda registrado para trazabilidad.
+ */
+exports.createOrdenCompra = async (req, res) => {
+  try {
+    const { proveedor, almacen, proyecto, items, alertas, solicitud, fechaEntregaEstimada, observaciones } = req.body;
+
+    if (!proveedor || !almacen) {
+      return res.status(400).json({ message: 'Los campos "proveedor" y "almacen" son obligatorios.' });
+    }
+
+    const proveedorDB = await Proveedor.findOne({ _id: proveedor, isDeleted: { $ne: true } });
+    if (!proveedorDB) {
+      return res.status(404).json({ message: 'Proveedor no encontrado' });
+    }
+    if (proveedorDB.activo === false) {
+      return res.status(400).json({ message: 'El proveedor está inactivo.' });
+    }
+
+    const almacenDB = await Almacen.findOne({ _id: almacen, isDeleted: { $ne: true } });
+    if (!almacenDB) {
+      return res.status(404).json({ message: 'Almacén no encontrado' });
+    }
+
+    // Origen de la orden y sus ítems
+    const origen = { tipo: 'manual', alertas: [], solicitud: null };
+    let itemsOrden = null;
+    let proyectoOrden = proyecto || null;
+
+    if (solicitud) {
+      const desdeSolicitud = await construirItemsDesdeSolicitud(solicitud, proveedorDB);
+      origen.tipo = 'solicitud';
+      origen.solicitud = desdeSolicitud.solicitud._id;
+      itemsOrden = desdeSolicitud.items;
+      proyectoOrden = proyectoOrden || desdeSolicitud.solicitud.proyecto || null;
+    } else if (Array.isArray(alertas) && alertas.length > 0) {
+      const desdeAlertas = await construirItemsDesdeAlertas(alertas, proveedorDB, almacenDB);
+      origen.tipo = 'alerta';
+      origen.alertas = desdeAlertas.alertas.map((a) => a._id);
+      itemsOrden = desdeAlertas.items;
+    }
+
+    if (Array.isArray(items) && items.length > 0) {
+      itemsOrden = await normalizarItems(items, proveedorDB);
+    }
+
+    if (!itemsOrden) {
+      return res.status(400).json({
+        message: 'Debe enviar los ítems de la orden, alertas de stock o una solicitud aprobada.',
+      });
+    }
+
+    // Consecutivo con reintento ante colisiones (dos órdenes creadas a la vez)
+    let orden;
+    for (let intento = 0; intento < 3 && !orden; intento++) {
+      try {
+        orden = await OrdenCompra.create({
+          numero: await generarNumeroOrden(),
+          proveedor: proveedorDB._id,
+          almacen: almacenDB._id,
+          proyecto: proyectoOrden,
+          origen,
+          items: itemsOrden,
+          fechaEntregaEstimada: fechaEntregaEstimada || null,
+          observaciones: observaciones || '',
+          creadoPor: req.user ? req.user.id : null,
+        });
+      } catch (error) {
+        if (error.code !== 11000 || intento === 2) throw error;
+      }
+    }
+
+    await registrarAuditoriaOrden(req, 'CREATE_ORDEN_COMPRA', orden, {
+      proveedor: proveedorDB._id.toString(),
+      almacen: almacenDB._id.toString(),
+      origen: origen.tipo,
+      total: orden.total,
+    });
+
+    const ordenPoblada = await poblarOrden(OrdenCompra.findById(orden._id));
+
+    res.status(201).json({
+      message: 'Orden de compra creada correctamente',
+      data: ordenPoblada,
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al crear la orden de compra');
+  }
+};
+
+/* ==============================
+ * Listar órdenes de compra
+ * ============================== */
+
+/**
+ * 📋 Listar órdenes de compra.
+ *
+ * Query (opcionales): estado, proveedor, almacen, proyecto.
+ */
+exports.getOrdenesCompra = async (req, res) => {
+  try {
+    const { estado, proveedor, almacen, proyecto } = req.query;
+
+    const filtro = {};
+    if (estado) filtro.estado = estado;
+    if (proveedor) filtro.proveedor = proveedor;
+    if (almacen) filtro.almacen = almacen;
+    if (proyecto) filtro.proyecto = proyecto;
+
+    const ordenes = await poblarOrden(OrdenCompra.find(filtro).sort({ createdAt: -1 }));
+
+    res.status(200).json(ordenes);
+  } catch (error) {
+    responderError(res, error, 'Error al obtener las órdenes de compra');
+  }
+};
+
+/* ==============================
+ * Obtener orden de compra por ID
+ * ============================== */
+exports.getOrdenCompraById = async (req, res) => {
+  try {
+    const orden = await poblarOrden(OrdenCompra.findById(req.params.id)).populate(
+      'recepciones.items.material',
+      'nombre unidad'
+    );
+    if (!orden) {
+      return res.status(404).json({ message: 'Orden de compra no encontrada' });
+    }
+
+    res.status(200).json(orden);
+  } catch (error) {
+    responderError(res, error, 'Error al obtener la orden de compra');
+  }
+};
+
+/* ==============================
+ * Actualizar orden de compra
+ * ============================== */
+
+/**
+ * ✏️ Actualizar una orden en borrador (ítems, almacén, proyecto, fecha
+ * estimada y observaciones). Una orden aprobada ya no se edita.
+ */
+exports.updateOrdenCompra = async (req, res) => {
+  try {
+    const orden = await OrdenCompra.findById(req.params.id);
+    if (!orden) {
+      return res.status(404).json({ message: 'Orden de compra no encontrada' });
+    }
+    if (orden.estado !== 'borrador') {
+      return res.status(400).json({ message: 'Solo se pueden editar órdenes en borrador.' });
+    }
+
+    const { items, almacen, proyecto, fechaEntregaEstimada, observaciones } = req.body;
+
+    if (almacen !== undefined) {
+      const almacenDB = await Almacen.findOne({ _id: almacen, isDeleted: { $ne: true } });
+      if (!almacenDB) {
+        return res.status(404).json({ message: 'Almacén no encontrado' });
+      }
+      orden.almacen = almacenDB._id;
+    }
+
+    if (items !== undefined) {
+      const proveedorDB = await Proveedor.findById(orden.proveedor);
+      orden.items = await normalizarItems(items, proveedorDB || { materiales: [] });
+    }
+
+    if (proyecto !== undefined) orden.proyecto = proyecto || null;
+    if (fechaEntregaEstimada !== undefined) orden.fechaEntregaEstimada = fechaEntregaEstimada || null;
+    if (observaciones !== undefined) orden.observaciones = observaciones;
+
+    await orden.save();
+
+    await registrarAuditoriaOrden(req, 'UPDATE_ORDEN_COMPRA', orden, {
+      campos: Object.keys(req.body),
+      total: orden.total,
+    });
+
+    res.status(200).json({
+      message: 'Orden de compra actualizada correctamente',
+      data: await poblarOrden(OrdenCompra.findById(orden._id)),
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al actualizar la orden de compra');
+  }
+};
+
+/* ==============================
+ * Aprobar orden de compra
+ * ============================== */
+
+/**
+ * ✅ Aprobar una orden en borrador: queda lista para enviarse al proveedor
+ * y recibir mercancía.
+ */
+exports.aprobarOrdenCompra = async (req, res) => {
+  try {
+    const orden = await OrdenCompra.findOneAndUpdate(
+      { _id: req.params.id, estado: 'borrador' },
+      {
+        $set: {
+          estado: 'aprobada',
+          aprobadoPor: req.user ? req.user.id : null,
+          fechaAprobacion: new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    if (!orden) {
+      const existe = await OrdenCompra.exists({ _id: req.params.id });
+      return existe
+        ? res.status(400).json({ message: 'Solo se pueden aprobar órdenes en borrador.' })
+        : res.status(404).json({ message: 'Orden de compra no encontrada' });
+    }
+
+    await registrarAuditoriaOrden(req, 'APROBAR_ORDEN_COMPRA', orden, { total: orden.total });
+
+    res.status(200).json({
+      message: 'Orden de compra aprobada',
+      data: await poblarOrden(OrdenCompra.findById(orden._id)),
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al aprobar la orden de compra');
+  }
+};
+
+/* ==============================
+ * Cancelar orden de compra
+ * ============================== */
+
+/**
+ * 🚫 Cancelar una orden (borrador, aprobada o parcial). Lo ya recibido se
+ * conserva en el inventario; la orden deja de admitir recepciones.
+ *
+ * Body:
+ *  - motivo: motivo de la cancelación (obligatorio).
+ */
+exports.cancelarOrdenCompra = async (req, res) => {
+  try {
+    const motivo = String((req.body && req.body.motivo) || '').trim();
+    if (!motivo) {
+      return res.status(400).json({ message: 'Debe indicar el motivo de la cancelación.' });
+    }
+
+    const orden = await OrdenCompra.findOneAndUpdate(
+      { _id: req.params.id, estado: { $in: ['borrador', 'aprobada', 'parcial'] } },
+      {
+        $set: {
+          estado: 'cancelada',
+          canceladoPor: req.user ? req.user.id : null,
+          fechaCancelacion: new Date(),
+          motivoCancelacion: motivo,
+        },
+      },
+      { new: true }
+    );
+
+    if (!orden) {
+      const existe = await OrdenCompra.exists({ _id: req.params.id });
+      return existe
+        ? res.status(400).json({ message: 'La orden ya fue recibida por completo o está cancelada.' })
+        : res.status(404).json({ message: 'Orden de compra no encontrada' });
+    }
+
+    await registrarAuditoriaOrden(req, 'CANCELAR_ORDEN_COMPRA', orden, { motivo });
+
+    res.status(200).json({
+      message: 'Orden de compra cancelada',
+      data: await poblarOrden(OrdenCompra.findById(orden._id)),
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al cancelar la orden de compra');
+  }
+};
+
+/* ==============================
+ * Registrar recepción
+ * ============================== */
+
+/**
+ * 📦 Registrar una recepción (parcial o total) de una orden aprobada.
+ *
+ * Cada línea recibida genera una ENTRADA de inventario en el almacén de la
+ * orden, enlazada al proveedor y a la orden, valorada al precio pactado
+ * (o al costo informado en la recepción) con el mismo servicio de saldos
+ * que usan las entradas manuales. Todo se confirma en una transacción.
+ *
+ * Body:
+ *  - items: [{ material, cantidad, unidad?, costoUnitario?, lote?, fechaVencimiento? }] → líneas recibidas
+ *    (lote y fechaVencimiento son obligatorios para materiales con control de lotes).
+ *    Con otra unidad, la cantidad y el costo se llevan a la unidad del material
+ *    antes de compararlos con lo pendiente.
+ *  - completa: true → recibe todo lo pendiente (si no se envían items).
+ *  - observaciones (opcional).
+ */
+exports.registrarRecepcion = async (req, res) => {
+  try {
+    const { items, completa, observaciones } = req.body;
+
+    const orden = await OrdenCompra.findById(req.params.id);
+    if (!orden) {
+      return res.status(404).json({ message: 'Orden de compra no encontrada' });
+    }
+    if (!['aprobada', 'parcial'].includes(orden.estado)) {
+      return res.status(400).json({ message: 'Solo se pueden recibir órdenes aprobadas o parcialmente recibidas.' });
+    }
+
+    const almacenDB = await Almacen.findById(orden.almacen);
+    if (!almacenDB) {
+      return res.status(404).json({ message: 'Almacén no encontrado' });
+    }
+
+    // Líneas a recibir: las enviadas o todo lo pendiente
+    const pendientes = new Map(
+      orden.items.map((item) => [
+        String(item.material),
+        { item, pendiente: (Number(item.cantidad) || 0) - (Number(item.cantidadRecibida) || 0) },
+      ])
+    );
+
+    let lineas;
+    if (Array.isArray(items) && items.length > 0) {
+      lineas = items.map((linea) => ({
+        material: String(linea.material?._id || linea.material || ''),
+        cantidad: Number(linea.cantidad),
+        unidad: linea.unidad,
+        costoUnitario:
+          linea.costoUnitario !== undefined && linea.costoUnitario !== null && linea.costoUnitario !== ''
+            ? Number(linea.costoUnitario)
+            : null,
+        lote: String(linea.lote || '').trim(),
+        fechaVencimiento: linea.fechaVencimiento || null,
+      }));
+    } else if (completa === true) {
+      lineas = [...pendientes.entries()]
+        .filter(([, p]) => p.pendiente > 0)
+        .map(([material, p]) => ({
+          material,
+          cantidad: p.pendiente,
+          unidad: null,
+          costoUnitario: null,
+          lote: '',
+          fechaVencimiento: null,
+        }));
+    } else {
+      return res.status(400).json({ message: 'Debe indicar las líneas recibidas o completa=true.' });
+    }
+
+    if (new Set(lineas.map((l) => l.material)).size !== lineas.length) {
+      return res.status(400).json({ message: 'Un material no puede repetirse en la recepción.' });
+    }
+
+    const materiales = await Material.find({
+      _id: { $in: lineas.map((l) => l.material).filter((id) => pendientes.has(id)) },
+      isDeleted: { $ne: true },
+    });
+    const materialesPorId = new Map(materiales.map((m) => [String(m._id), m]));
+
+    for (const linea of lineas) {
+      const pendiente = pendientes.get(linea.material);
+      if (!pendiente) {
+        return res.status(400).json({ message: 'La recepción incluye un material que no está en la orden.' });
+      }
+      const materialDB = materialesPorId.get(linea.material);
+      if (!materialDB) {
+        return res.status(404).json({ message: 'Alguno de los materiales recibidos no existe o fue eliminado.' });
+      }
+      if (!Number.isFinite(linea.cantidad) || linea.cantidad <= 0) {
+        return res.status(400).json({ message: 'Las cantidades recibidas deben ser mayores que 0.' });
+      }
+      if (linea.costoUnitario !== null && (!Number.isFinite(linea.costoUnitario) || linea.costoUnitario < 0)) {
+        return res.status(400).json({ message: 'El costo unitario debe ser un número mayor o igual a 0.' });
+      }
+
+      // Cantidad y costo en la unidad del material (en la que se lleva lo pendiente)
+      const conversion = await convertirAUnidadMaterial(materialDB, linea.cantidad, linea.unidad);
+      linea.cantidad = conversion.cantidad;
+      linea.unidadOriginal = conversion.unidadOriginal;
+      linea.cantidadOriginal = conversion.cantidadOriginal;
+      if (linea.cantidad > pendiente.pendiente) {
+        return res.status(400).json({
+          message: `La cantidad recibida supera lo pendiente de la orden (pendiente: ${pendiente.pendiente}).`,
+        });
+      }
+      linea.costoUnitario =
+        linea.costoUnitario !== null
+          ? linea.costoUnitario / conversion.factor
+          : Number(pendiente.item.precioUnitario) || 0;
+    }
+
+    // Materiales perecederos: cada línea debe traer su lote y vencimiento
+    for (const linea of lineas) {
+      const materialDB = materialesPorId.get(linea.material);
+      if (materialDB.controlLotes && (!linea.lote || !linea.fechaVencimiento)) {
+        return res.status(400).json({
+          message: `El material "${materialDB.nombre}" controla lotes: indique el lote y la fecha de vencimiento recibidos.`,
+        });
+      }
+    }
+
+    const usuario = obtenerUsuarioMovimiento(req);
+    const ahora = new Date();
+
+    // Estado resultante de la orden tras la recepción
+    const itemsActualizados = orden.items.map((item) => {
+      const linea = lineas.find((l) => l.material === String(item.material));
+      return {
+        ...item.toObject(),
+        cantidadRecibida: (Number(item.cantidadRecibida) || 0) + (linea ? linea.cantidad : 0),
+      };
+    });
+    const estadoNuevo = calcularEstadoRecepcion({ items: itemsActualizados });
+
+    const { ordenActualizada, movimientos } = await ejecutarEnTransaccion(async (session) => {
+      // Reclamamos la orden primero: si otra recepción la cambió, se rechaza esta
+      const reclamada = await OrdenCompra.findOneAndUpdate(
+        { _id: orden._id, updatedAt: orden.updatedAt, estado: { $in: ['aprobada', 'parcial'] } },
+        { $set: { items: itemsActualizados, estado: estadoNuevo } },
+        { new: true, session }
+      );
+      if (!reclamada) {
+        throw crearErrorNegocio('La orden cambió mientras se registraba la recepción. Intente de nuevo.', 409);
+      }
+
+      const creados = [];
+      for (const linea of lineas) {
+        const materialDB = materialesPorId.get(linea.material);
+        const aplicado = await aplicarMovimientoEnAlmacen({
+          material: materialDB,
+          almacen: almacenDB._id,
+          tipo: 'entrada',
+          cantidad: linea.cantidad,
+          costoUnitario: linea.costoUnitario,
+          nombreAlmacen: almacenDB.nombre,
+          lotes: linea.lote
+            ? [{ lote: linea.lote, fechaVencimiento: linea.fechaVencimiento, cantidad: linea.cantidad }]
+            : [],
+          session,
+        });
+
+        const [movimiento] = await MovimientoInventario.create(
+          [
+            {
+              material: materialDB._id,
+              almacen: almacenDB._id,
+              tipo: 'entrada',
+              cantidad: linea.cantidad,
+              unidadOriginal: linea.unidadOriginal,
+              cantidadOriginal: linea.cantidadOriginal,
+              fecha: ahora,
+              descripcion: `Recepción de la orden de compra ${orden.numero}`,
+              observaciones: observaciones || '',
+              proyecto: orden.proyecto || undefined,
+              proveedor: orden.proveedor,
+              ordenCompra: orden._id,
+              motivo: `Recepción orden de compra ${orden.numero}`,
+              stockAnterior: aplicado.saldoAnterior,
+              stockNuevo: aplicado.saldoNuevo,
+              costoUnitario: aplicado.costoUnitario,
+              costoTotal: linea.cantidad * aplicado.costoUnitario,
+              lotes: aplicado.lotes,
+              usuario,
+            },
+          ],
+          { session }
+        );
+        creados.push(movimiento);
+      }
+
+      const conRecepcion = await OrdenCompra.findByIdAndUpdate(
+        orden._id,
+        {
+          $push: {
+            recepciones: {
+              fecha: ahora,
+              usuario,
+              observaciones: observaciones || '',
+              items: creados.map((mov) => ({
+                material: mov.material,
+                cantidad: mov.cantidad,
+                costoUnitario: mov.costoUnitario,
+                movimiento: mov._id,
+              })),
+            },
+          },
+        },
+        { new: true, session }
+      );
+
+      return { ordenActualizada: conRecepcion, movimientos: creados };
+    });
+
+    // 💲 Cada línea recibida alimenta el historial de precios del material
+    for (const movimiento of movimientos) {
+      try {
+        await registrarPrecio({
+          material: materialesPorId.get(String(movimiento.material)),
+          precio: movimiento.costoUnitario,
+          origen: 'entrada',
+          movimiento: movimiento._id,
+          almacen: almacenDB._id,
+          proveedor: orden.proveedor,
+          usuario,
+          fecha: ahora,
+        });
+      } catch (historialError) {
+        console.error('Error al registrar el precio de la recepción en el historial:', historialError);
+      }
+    }
+
+    // Orden completa: cerramos su origen (solicitud procesada / alertas resueltas)
+    if (ordenActualizada.estado === 'recibida') {
+      try {
+        if (ordenActualizada.origen && ordenActualizada.origen.solicitud) {
+          await Solicitud.updateOne(
+            { _id: ordenActualizada.origen.solicitud, estado: 'aprobada' },
+            { $set: { estado: 'procesada', fechaActualizacion: ahora } }
+          );
+        }
+        if (ordenActualizada.origen && ordenActualizada.origen.tipo === 'alerta') {
+          // Las alertas de stock se generan por administrador: se resuelven todas las del material
+          await Alerta.updateMany(
+            {
+              tipo: 'stock',
+              material: { $in: ordenActualizada.items.map((i) => i.material) },
+              resolved: false,
+              createdAt: { $lte: ordenActualizada.createdAt },
+            },
+            { $set: { resolved: true, visto: true, fechaVisto: ahora } }
+          );
+        }
+      } catch (origenError) {
+        console.error('Error al cerrar el origen de la orden de compra:', origenError);
+      }
+    }
+
+    // Lotes recibidos que ya están dentro de la ventana de aviso de vencimiento
+    if (materiales.some((m) => m.controlLotes)) {
+      try {
+        await evaluarVencimientos(req.app && req.app.get ? req.app.get('io') : null);
+      } catch (vencimientoError) {
+        console.error('❌ Error al evaluar vencimientos de lotes desde la recepción:', vencimientoError);
+      }
+    }
+
+    await registrarAuditoriaOrden(req, 'RECEPCION_ORDEN_COMPRA', ordenActualizada, {
+      movimientos: movimientos.map((m) => m._id.toString()),
+      lineas: lineas.map((l) => ({ material: l.material, cantidad: l.cantidad })),
+    });
+
+    res.status(201).json({
+      message:
+        ordenActualizada.estado === 'recibida'
+          ? 'Recepción registrada. La orden quedó recibida por completo.'
+          : 'Recepción parcial registrada correctamente',
+      data: {
+        orden: await poblarOrden(OrdenCompra.findById(ordenActualizada._id)),
+        movimientos,
+      },
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al registrar la recepción de la orden de compra');
+  }
+};
+
+/* ==============================
+ * Exportar orden de compra a PDF
+ * ============================== */
+
+/**
+ * 📄 Descargar la orden de compra en PDF (para enviarla al proveedor).
+ */
+exports.descargarOrdenCompraPDF = async (req, res) => {
+  try {
+    const orden = await poblarOrden(OrdenCompra.findById(req.params.id));
+    if (!orden) {
+      return res.status(404).json({ message: 'Orden de compra no encontrada' });
+    }
+
+    try {
+      const usuarioId = req.user ? req.user.id || req.user._id : null;
+      await Reporte.create({
+        usuario: usuarioId,
+        tipoReporte: 'orden_compra',
+        formato: 'pdf',
+        filtros: { orden: orden._id, numero: orden.numero },
+        ubicacionArchivo: null,
+        tamanoBytes: null,
+        estado: 'generado',
+      });
+    } catch (registroError) {
+      console.error('Error al registrar la exportación de la orden de compra:', registroError);
+    }
+
+    await registrarAuditoriaOrden(req, 'EXPORTAR_ORDEN_COMPRA', orden, { formato: 'pdf' });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${orden.numero}.pdf`);
+    generarPdfOrdenCompra(orden, res);
+  } catch (error) {
+    responderError(res, error, 'Error al generar el PDF de la orden de compra');
+  }
+};
+
+/**
+ * Dibuja la orden de compra en un PDF (A4 vertical) y la envía por el stream.
+ *
+ * @param {Object} orden Orden de compra poblada.
+ * @param {import('stream').Writable} destino Stream de salida (respuesta HTTP).
+ */
+function generarPdfOrdenCompra(orden, destino) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: 40, bottom: 50, left: 40, right: 40 },
+    bufferPages: true,                                                     // Permite numerar páginas al final
+  });
+  doc.pipe(destino);
+
+  const colors = {
+    primary: '#2563eb',
+    text: '#1e293b',
+    secondary: '#64748b',
+    lightGray: '#e2e8f0',
+  };
+  const moneda = (valor) =>
+    Number(valor || 0).toLocaleString('es-CO', { style: 'currency', currency: 'COP', maximumFractionDigits: 0 });
+  const numero = (valor) => Number(valor || 0).toLocaleString('es-CO', { maximumFractionDigits: 2 });
+  const fecha = (valor) => (valor ? new Date(valor).toLocaleDateString('es-CO') : '—');
+  const etiquetasEstado = {
+    borrador: 'Borrador',
+    aprobada: 'Aprobada',
+    parcial: 'Recibida parcialmente',
+    recibida: 'Recibida',
+    cancelada: 'Cancelada',
+  };
+
+  // Encabezado
+  doc.rect(0, 0, doc.page.width, 80).fill(colors.primary);
+  doc.fillColor('#ffffff').fontSize(22).font('Helvetica-Bold').text(`Orden de compra ${orden.numero}`, 40, 22);
+  doc
+    .fontSize(10)
+    .font('Helvetica')
+    .fillColor('#e0e7ff')
+    .text(`Estado: ${etiquetasEstado[orden.estado] || orden.estado}  ·  Fecha: ${fecha(orden.createdAt)}`, 40, 52);
+
+  // Datos del proveedor y de entrega
+  const proveedor = orden.proveedor || {};
+  const almacen = orden.almacen || {};
+  const plazo = Number(proveedor.plazoPagoDias) || 0;
+
+  doc.y = 100;
+  const yDatos = doc.y;
+  doc.fillColor(colors.text).fontSize(11).font('Helvetica-Bold').text('Proveedor', 40, yDatos);
+  doc
+    .font('Helvetica')
+    .fontSize(9)
+    .fillColor(colors.text)
+    .text(proveedor.nombre || '—', 40, yDatos + 16)
+    .text(`NIT: ${proveedor.nit || '—'}`)
+    .text(`Ciudad: ${proveedor.ciudad || '—'}`)
+    .text(`Contacto: ${[proveedor.contacto?.nombre, proveedor.contacto?.telefono].filter(Boolean).join(' · ') || '—'}`)
+    .text(`Pago: ${plazo > 0 ? `crédito a ${plazo} días` : 'contado'}${proveedor.condicionesPago ? ` (${proveedor.condicionesPago})` : ''}`);
+
+  doc.fontSize(11).font('Helvetica-Bold').text('Entrega', 320, yDatos);
+  doc
+    .font('Helvetica')
+    .fontSize(9)
+    .text(`Almacén: ${almacen.nombre || '—'}`, 320, yDatos + 16)
+    .text(`Dirección: ${[almacen.direccion, almacen.ciudad].filter(Boolean).join(', ') || '—'}`)
+    .text(`Proyecto: ${orden.proyecto ? orden.proyecto.title : 'Stock general'}`)
+    .text(`Entrega estimada: ${fecha(orden.fechaEntregaEstimada)}`);
+
+  doc.y = yDatos + 100;
+
+  // Tabla de ítems: [título, ancho, alineación]
+  const columnas = [
+    ['Material', 185, 'left'],
+    ['Unidad', 55, 'left'],
+    ['Cantidad', 60, 'right'],
+    ['Recibido', 60, 'right'],
+    ['Precio unit.', 75, 'right'],
+    ['Subtotal', 80, 'right'],
+  ];
+  const xInicial = 40;
+  const anchoTabla = columnas.reduce((acc, [, ancho]) => acc + ancho, 0);
+
+  const dibujarFila = (valores, opciones = {}) => {
+    if (doc.y > doc.page.height - 90) {
+      doc.addPage();
+      doc.y = 40;
+    }
+    const y = doc.y;
+    if (opciones.fondo) {
+      doc.rect(xInicial, y - 4, anchoTabla, 18).fill(opciones.fondo);
+    }
+    let x = xInicial;
+    doc.fillColor(colors.text).fontSize(9).font(opciones.negrita ? 'Helvetica-Bold' : 'Helvetica');
+    columnas.forEach(([, ancho, align], i) => {
+      doc.text(valores[i] === undefined || valores[i] === null ? '' : String(valores[i]), x + 3, y, {
+        width: ancho - 6,
+        align,
+        height: 11,
+        ellipsis: true,
+      });
+      x += ancho;
+    });
+    doc.y = y + 16;
+  };
+
+  dibujarFila(columnas.map(([titulo]) => titulo), { negrita: true, fondo: colors.lightGray });
+  orden.items.forEach((item) => {
+    dibujarFila([
+      item.material ? item.material.nombre : 'Material eliminado',
+      item.material ? item.material.unidad || 'unidad' : '',
+      numero(item.cantidad),
+      numero(item.cantidadRecibida),
+      moneda(item.precioUnitario),
+      moneda((Number(item.cantidad) || 0) * (Number(item.precioUnitario) || 0)),
+    ]);
+  });
+
+  doc.rect(xInicial, doc.y, anchoTabla, 1).fill(colors.lightGray);
+  doc.y += 6;
+  dibujarFila(['', '', '', '', 'Total', moneda(orden.total)], { negrita: true });
+
+  if (orden.observaciones) {
+    doc.moveDown();
+    doc.fillColor(colors.text).fontSize(10).font('Helvetica-Bold').text('Observaciones', xInicial);
+    doc.font('Helvetica').fontSize(9).fillColor(colors.secondary).text(orden.observaciones, { width: anchoTabla });
+  }
+
+  if (orden.estado === 'cancelada') {
+    doc.moveDown();
+    doc
+      .fillColor('#dc2626')
+      .fontSize(10)
+      .font('Helvetica-Bold')
+      .text(`Orden cancelada el ${fecha(orden.fechaCancelacion)}: ${orden.motivoCancelacion || ''}`, xInicial);
+  }
+
+  // Pie de página numerado
+  const { count: pageCount } = doc.bufferedPageRange();
+  for (let i = 0; i < pageCount; i++) {
+    doc.switchToPage(i);
+    doc.page.margins.bottom = 0;                                           // Evita que el pie genere páginas extra
+    doc
+      .fontSize(8)
+      .fillColor(colors.secondary)
+      .font('Helvetica')
+      .text(
+        `Página ${i + 1} de ${pageCount}  ·  Generado el ${new Date().toLocaleDateString('es-CO')}  ·  ProCivil Manager`,
+        40,
+        doc.page.height - 35,
+        { align: 'center', width: doc.page.width - 80 }
+      );
+  }
+
+  doc.end();
+}
@@ -0,0 +1,221 @@
+// File: BackEnd/src/modules/purchases/models/ordenCompra.modelo.js
+// Description: Modelo Mongoose para las órdenes de compra de ProCivil Manager
+//              (PCM). Una orden se emite a un proveedor para un almacén (y
+//              opcionalmente un proyecto), puede originarse en alertas de stock
+//              bajo o en una solicitud de materiales aprobada, se aprueba y se
+//              recibe de forma parcial o total. Cada recepción genera entradas
+//              de inventario enlazadas a la orden.
+
+// ==============================
+// Importación de dependencias
+// ==============================
+const mongoose = require('mongoose'); // Importa Mongoose para definir el esquema y el modelo
+
+// ==============================
+// Subesquema: ítem de la orden
+// ==============================
+const ItemOrdenSchema = new mongoose.Schema(
+  {
+    // Material que se compra
+    material: {
+      type: mongoose.Schema.Types.ObjectId, // Referencia al material
+      ref: 'Material',                      // Modelo referenciado
+      required: true,                       // Es obligatorio
+    },
+
+    // Cantidad pedida al proveedor (siempre en la unidad del material)
+    cantidad: {
+      type: Number,                                          // Valor numérico
+      required: true,                                        // Es obligatorio
+      min: [0.0001, 'La cantidad pedida debe ser mayor que 0'],
+    },
+
+    // Precio unitario pactado (COP)
+    precioUnitario: {
+      type: Number, // Valor numérico
+      required: true, // Es obligatorio
+      min: 0,       // No permite precios negativos
+    },
+
+    // Cantidad ya recibida en el almacén (suma de las recepciones)
+    cantidadRecibida: {
+      type: Number, // Valor numérico
+      default: 0,   // Al crear la orden no se ha recibido nada
+      min: 0,       // No permite valores negativos
+    },
+
+    // Unidad y cantidad tal como se pidieron cuando no coinciden con la
+    // unidad del material (ej. 20 bultos → cantidad = 1000 kg)
+    unidad: {
+      type: String,  // Código o alias de la unidad
+      trim: true,    // Normaliza el texto
+      default: null, // Null si se pidió en la unidad del material
+    },
+    cantidadUnidad: {
+      type: Number,  // Cantidad en la unidad pedida
+      min: 0,        // No permite valores negativos
+      default: null, // Null si se pidió en la unidad del material
+    },
+  },
+  { _id: false }
+);
+
+// ==============================
+// Subesquema: recepción de mercancía
+// ==============================
+const RecepcionSchema = new mongoose.Schema(
+  {
+    // Fecha de la recepción
+    fecha: {
+      type: Date,        // Fecha de recepción
+      default: Date.now, // Por defecto, el momento del registro
+    },
+
+    // Usuario que registró la recepción (correo / id)
+    usuario: {
+      type: String, // Identificador textual
+      default: 'sistema',
+    },
+
+    // Líneas recibidas, cada una con la entrada de inventario que generó
+    items: [
+      {
+        material: { type: mongoose.Schema.Types.ObjectId, ref: 'Material', required: true },
+        cantidad: { type: Number, required: true, min: 0 },
+        costoUnitario: { type: Number, min: 0 },
+        movimiento: { type: mongoose.Schema.Types.ObjectId, ref: 'MovimientoInventario' },
+        _id: false,
+      },
+    ],
+
+    // Observaciones de la recepción (remisión, novedades, etc.)
+    observaciones: {
+      type: String, // Texto libre
+      trim: true,   // Normaliza el texto
+    },
+  },
+  { _id: true }
+);
+
+// ==============================
+// Definición del esquema OrdenCompra
+// ==============================
+const OrdenCompraSchema = new mongoose.Schema(
+  {
+    // Consecutivo legible de la orden (ej. "OC-2026-0001")
+    numero: {
+      type: String,   // Texto
+      required: true, // Campo requerido
+      trim: true,     // Normaliza el texto
+    },
+
+    // Proveedor al que se emite la orden
+    proveedor: {
+      type: mongoose.Schema.Types.ObjectId, // Referencia al proveedor
+      ref: 'Proveedor',                     // Modelo referenciado
+      required: true,                       // Es obligatorio
+    },
+
+    // Almacén donde se recibirá la mercancía
+    almacen: {
+      type: mongoose.Schema.Types.ObjectId, // Referencia al almacén
+      ref: 'Almacen',                       // Modelo referenciado
+      required: true,                       // Es obligatorio
+    },
+
+    // Proyecto para el que se compra (opcional)
+    proyecto: {
+      type: mongoose.Schema.Types.ObjectId, // Referencia al proyecto
+      ref: 'Proyectos',                     // Modelo referenciado
+      default: null,                        // Sin proyecto = compra para stock general
+    },
+
+    // Origen de la orden:
+    //  - manual   : creada directamente por el administrador.
+    //  - alerta   : a partir de alertas de stock bajo.
+    //  - solicitud: a partir de una solicitud de materiales aprobada.
+    origen: {
+      tipo: {
+        type: String,
+        enum: ['manual', 'alerta', 'solicitud'],
+        default: 'manual',
+      },
+      alertas: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Alerta' }],
+      solicitud: { type: mongoose.Schema.Types.ObjectId, ref: 'Solicitud', default: null },
+    },
+
+    // Ítems de la orden
+    items: {
+      type: [ItemOrdenSchema],
+      validate: [(items) => Array.isArray(items) && items.length > 0, 'La orden debe tener al menos un ítem'],
+    },
+
+    // Valor total de la orden (suma de cantidad × precio), calculado al validar
+    total: {
+      type: Number, // Valor en COP
+      default: 0,
+    },
+
+    // Estado de la orden:
+    //  - borrador : editable, aún no aprobada.
+    //  - aprobada : enviada al proveedor, pendiente de recibir.
+    //  - parcial  : se recibió parte de la mercancía.
+    //  - recibida : toda la mercancía fue recibida.
+    //  - cancelada: anulada (no admite recepciones).
+    estado: {
+      type: String,
+      enum: ['borrador', 'aprobada', 'parcial', 'recibida', 'cancelada'],
+      default: 'borrador',
+      index: true,
+    },
+
+    // Fecha estimada de entrega acordada con el proveedor (opcional)
+    fechaEntregaEstimada: {
+      type: Date,
+      default: null,
+    },
+
+    // Observaciones generales de la orden
+    observaciones: {
+      type: String,
+      trim: true,
+    },
+
+    // Trazabilidad de creación, aprobación y cancelación
+    creadoPor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    aprobadoPor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    fechaAprobacion: { type: Date, default: null },
+    canceladoPor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    fechaCancelacion: { type: Date, default: null },
+    motivoCancelacion: { type: String, trim: true },
+
+    // Recepciones registradas (parciales o totales)
+    recepciones: {
+      type: [RecepcionSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,              // Agrega createdAt y updatedAt automáticamente
+    collection: 'ordenes_compra',  // Nombre explícito de la colección en MongoDB
+  }
+);
+
+// Consecutivo único de la orden
+OrdenCompraSchema.index({ numero: 1 }, { unique: true });
+// Órdenes de un proveedor por fecha
+OrdenCompraSchema.index({ proveedor: 1, createdAt: -1 });
+
+// Recalcula el total antes de validar (crear/editar)
+OrdenCompraSchema.pre('validate', function calcularTotal(next) {
+  this.total = (this.items || []).reduce(
+    (acc, item) => acc + (Number(item.cantidad) || 0) * (Number(item.precioUnitario) || 0),
+    0
+  );
+  next();
+});
+
+// ==============================
+// Exportación del modelo
+// ==============================
+module.exports = mongoose.model('OrdenCompra', OrdenCompraSchema);
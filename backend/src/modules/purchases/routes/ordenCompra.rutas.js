@@ -0,0 +1,123 @@
+// File: BackEnd/src/modules/purchases/routes/ordenCompra.rutas.js
+// Description: Rutas HTTP para las órdenes de compra de ProCivil Manager (PCM).
+//              Expone la creación (manual, desde alertas de stock bajo o desde
+//              solicitudes aprobadas), aprobación, cancelación, recepciones y
+//              la exportación a PDF. Solo el administrador modifica órdenes;
+//              admin, líder de obra y auditor pueden consultarlas.
+
+const express = require('express');                            // Importa Express para crear el router
+const router = express.Router();                               // Crea una instancia de router de Express
+
+// Importa el controlador de órdenes de compra
+const ordenCompraController = require('../controllers/ordenCompra.controlador');
+
+// Middlewares de seguridad
+const authMiddleware = require('../../../core/middlewares/autenticacion.middleware');  // Middleware para validar JWT y poblar req.user
+const authorizeRoles = require('../../../core/middlewares/autorizarRoles.middleware'); // Middleware para restringir acceso por rol
+
+// -----------------------------------------------------------------------------
+// Rutas de Órdenes de Compra
+// -----------------------------------------------------------------------------
+
+/**
+ * @route   POST /api/ordenes-compra
+ * @desc    Crear una orden de compra en borrador. Los ítems pueden enviarse
+ *          directamente o generarse desde "alertas" (stock bajo) o desde una
+ *          "solicitud" de materiales aprobada.
+ * @access  Privado (solo ADMIN)
+ */
+router.post(
+  '/',
+  authMiddleware,                                      // Verifica que el usuario esté autenticado
+  authorizeRoles(['admin']),                           // Solo administradores emiten órdenes
+  ordenCompraController.createOrdenCompra              // Controlador que crea la orden
+);
+
+/**
+ * @route   GET /api/ordenes-compra
+ * @desc    Listar órdenes de compra con filtros opcionales por estado,
+ *          proveedor, almacén o proyecto.
+ * @access  Privado (ADMIN, LÍDER DE OBRA, AUDITOR)
+ */
+router.get(
+  '/',
+  authMiddleware,                                      // Requiere usuario autenticado
+  authorizeRoles(['admin', 'lider de obra', 'auditor']), // Roles que consultan órdenes
+  ordenCompraController.getOrdenesCompra               // Controlador que retorna el listado
+);
+
+/**
+ * @route   GET /api/ordenes-compra/:id/pdf
+ * @desc    Descargar la orden de compra en PDF.
+ * @access  Privado (ADMIN, LÍDER DE OBRA, AUDITOR)
+ */
+router.get(
+  '/:id/pdf',
+  authMiddleware,                                      // Requiere usuario autenticado
+  authorizeRoles(['admin', 'lider de obra', 'auditor']), // Roles que exportan órdenes
+  ordenCompraController.descargarOrdenCompraPDF        // Controlador que genera el PDF
+);
+
+/**
+ * @route   GET /api/ordenes-compra/:id
+ * @desc    Obtener el detalle de una orden con sus recepciones.
+ * @access  Privado (ADMIN, LÍDER DE OBRA, AUDITOR)
+ */
+router.get(
+  '/:id',
+  authMiddleware,                                      // Requiere usuario autenticado
+  authorizeRoles(['admin', 'lider de obra', 'auditor']), // Roles que consultan órdenes
+  ordenCompraController.getOrdenCompraById             // Controlador que retorna la orden
+);
+
+/**
+ * @route   PUT /api/ordenes-compra/:id
+ * @desc    Actualizar una orden en borrador (ítems, almacén, proyecto, fechas).
+ * @access  Privado (solo ADMIN)
+ */
+router.put(
+  '/:id',
+  authMiddleware,                                      // Verifica autenticación
+  authorizeRoles(['admin']),                           // Solo administradores pueden modificar
+  ordenCompraController.updateOrdenCompra              // Controlador que actualiza la orden
+);
+
+/**
+ * @route   PATCH /api/ordenes-compra/:id/aprobar
+ * @desc    Aprobar una orden en borrador.
+ * @access  Privado (solo ADMIN)
+ */
+router.patch(
+  '/:id/aprobar',
+  authMiddleware,                                      // Verifica autenticación
+  authorizeRoles(['admin']),                           // Solo administradores aprueban
+  ordenCompraController.aprobarOrdenCompra             // Controlador que aprueba la orden
+);
+
+/**
+ * @route   PATCH /api/ordenes-compra/:id/cancelar
+ * @desc    Cancelar una orden (borrador, aprobada o parcial) indicando el motivo.
+ * @access  Privado (solo ADMIN)
+ */
+router.patch(
+  '/:id/cancelar',
+  authMiddleware,                                      // Verifica autenticación
+  authorizeRoles(['admin']),                           // Solo administradores cancelan
+  ordenCompraController.cancelarOrdenCompra            // Controlador que cancela la orden
+);
+
+/**
+ * @route   POST /api/ordenes-compra/:id/recepciones
+ * @desc    Registrar una recepción parcial o total; genera las entradas de
+ *          inventario en el almacén de la orden.
+ * @access  Privado (solo ADMIN)
+ */
+router.post(
+  '/:id/recepciones',
+  authMiddleware,                                      // Verifica autenticación
+  authorizeRoles(['admin']),                           // Solo administradores registran recepciones
+  ordenCompraController.registrarRecepcion             // Controlador que registra la recepción
+);
+
+// Exporta el router para ser montado en server.js bajo /api/ordenes-compra
+module.exports = router;
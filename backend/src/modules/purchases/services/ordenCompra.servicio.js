@@ -0,0 +1,87 @@
+// File: BackEnd/src/modules/purchases/services/ordenCompra.servicio.js
+// Description: Servicio de órdenes de compra de ProCivil Manager (PCM).
+//              Genera el consecutivo de las órdenes, deriva el estado de
+//              recepción a partir de las cantidades recibidas y revierte la
+//              recepción cuando se anula una entrada generada por una orden.
+
+const OrdenCompra = require('../models/ordenCompra.modelo');                   // Órdenes de compra
+
+/* ==========================================
+ * Consecutivo
+ * ========================================== */
+
+/**
+ * Genera el siguiente consecutivo de orden para el año en curso
+ * (OC-AAAA-0001, OC-AAAA-0002, ...). El índice único sobre "numero"
+ * protege contra duplicados si dos órdenes se crean a la vez; el
+ * controlador reintenta en ese caso.
+ *
+ * @param {Date} [fecha] Fecha de referencia (por defecto, ahora).
+ * @returns {Promise<string>} Consecutivo disponible.
+ */
+async function generarNumeroOrden(fecha = new Date()) {
+  const prefijo = `OC-${fecha.getFullYear()}-`;
+  const ultima = await OrdenCompra.findOne({ numero: { $regex: `^${prefijo}` } })
+    .sort({ numero: -1 })
+    .select('numero')
+    .lean();
+
+  const siguiente = ultima ? (parseInt(ultima.numero.slice(prefijo.length), 10) || 0) + 1 : 1;
+  return `${prefijo}${String(siguiente).padStart(4, '0')}`;
+}
+
+/* ==========================================
+ * Estado de recepción
+ * ========================================== */
+
+/**
+ * Estado que corresponde a una orden aprobada según lo recibido:
+ * 'recibida' si todos los ítems están completos, 'parcial' si se recibió
+ * algo y 'aprobada' si todavía no llega nada.
+ *
+ * @param {Object} orden Orden de compra (documento u objeto plano).
+ * @returns {('aprobada'|'parcial'|'recibida')} Estado de recepción.
+ */
+function calcularEstadoRecepcion(orden) {
+  const items = orden.items || [];
+  const completa = items.every((item) => (Number(item.cantidadRecibida) || 0) >= (Number(item.cantidad) || 0));
+  if (completa) return 'recibida';
+  const algoRecibido = items.some((item) => (Number(item.cantidadRecibida) || 0) > 0);
+  return algoRecibido ? 'parcial' : 'aprobada';
+}
+
+/**
+ * Revierte en la orden la cantidad recibida por una entrada que se anula,
+ * para que la orden vuelva a quedar pendiente de esa cantidad.
+ *
+ * @param {Object} movimiento Entrada de inventario anulada (con ordenCompra).
+ * @param {import('mongoose').ClientSession|null} [session] Sesión de transacción (opcional).
+ * @returns {Promise<Object|null>} Orden actualizada o null si no aplica.
+ */
+async function revertirRecepcionMovimiento(movimiento, session = null) {
+  if (!movimiento || !movimiento.ordenCompra || movimiento.tipo !== 'entrada') return null;
+
+  const orden = await OrdenCompra.findById(movimiento.ordenCompra).session(session);
+  if (!orden) return null;
+
+  const item = orden.items.find((i) => String(i.material) === String(movimiento.material));
+  if (!item) return null;
+
+  item.cantidadRecibida = Math.max((Number(item.cantidadRecibida) || 0) - (Number(movimiento.cantidad) || 0), 0);
+  if (orden.estado !== 'cancelada') {
+    orden.estado = calcularEstadoRecepcion(orden);
+  }
+
+  await orden.save({ session });
+  return orden;
+}
+
+/* ===========================
+ * Exportación del servicio
+ * =========================== */
+
+module.exports = {
+  generarNumeroOrden,
+  calcularEstadoRecepcion,
+  revertirRecepcionMovimiento,
+};
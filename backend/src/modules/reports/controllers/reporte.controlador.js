@@ -24,6 +24,7 @@ const AuditLog = require('../../audit/models/auditoria.modelo');            // M
  *  - PDF descargable con:
  *    * Total de proyectos.
  *    * Presupuesto total.
+ *    * Costo real de materiales consumidos (a costo promedio ponderado).
  *    * Progreso promedio.
  *    * Distribución por estado.
  *    * Distribución por tipo de proyecto.
@@ -96,6 +97,13 @@ exports.generarReporteEstadisticas = async (req, res) => {
       0
     );
 
+    // Costo real de los materiales consumidos: cada proyecto valora su consumo al
+    // costo con el que los materiales salieron del inventario (no al precio actual).
+    let costoMaterialesTotal = 0;
+    for (const proyecto of proyectos) {
+      costoMaterialesTotal += await proyecto.calcularCostoMateriales();   // Suma el costo ejecutado del proyecto
+    }
+
     // Cálculo del progreso promedio (en porcentaje).
     const progresoPromedio = proyectos.length
       ? (
@@ -239,11 +247,25 @@ exports.generarReporteEstadisticas = async (req, res) => {
       `${progresoPromedio}%`                                             // Porcentaje redondeado a 2 decimales
     );
 
+    // Tarjeta 4 (fila completa): Costo real de materiales consumidos.
+    const cardMaterialesY = cardY + cardHeight + cardSpacing;            // Debajo de la primera fila de tarjetas
+    drawCard(
+      doc,
+      50,
+      cardMaterialesY,
+      cardWidth * 3 + cardSpacing * 2,                                   // Ocupa el ancho de las tres tarjetas
+      cardHeight,
+      colors.secondary,
+      '🧱',
+      'Costo Real de Materiales Consumidos (costo promedio ponderado)',
+      `$${Math.round(costoMaterialesTotal).toLocaleString('es-ES')}`     // Costo formateado sin decimales
+    );
+
     // =====================================
     // 2.3 Sección de distribución por estado
     // =====================================
 
-    const sectionY = cardY + cardHeight + 50;                            // Posición Y debajo de las tarjetas
+    const sectionY = cardMaterialesY + cardHeight + 50;                  // Posición Y debajo de las tarjetas
     doc.y = sectionY;                                                    // Actualiza la coordenada Y del documento
 
     // Dibuja el encabezado de sección: "Distribución por Estado".
@@ -0,0 +1,569 @@
+// File: BackEnd/src/modules/suppliers/controllers/proveedor.controlador.js
+// Description: Controlador para gestionar los proveedores de ProCivil Manager (PCM).
+//              Expone operaciones CRUD (crear, listar, obtener por ID, actualizar
+//              y eliminar lógicamente) y el resumen de compras por proveedor,
+//              calculado a partir de las entradas de inventario enlazadas a cada
+//              proveedor (cantidad y valor comprado por material).
+
+/* ==============================
+ * Importación de dependencias
+ * ============================== */
+
+const mongoose = require('mongoose');                                          // ObjectId para filtros de agregación
+const Proveedor = require('../models/proveedor.modelo');                      // Modelo Mongoose de proveedores
+const Material = require('../../inventory/models/material.modelo');           // Modelo de materiales (validación de suministros)
+const MovimientoInventario = require('../../inventory/models/inventario.modelo'); // Entradas de inventario (compras)
+const AuditLog = require('../../audit/models/auditoria.modelo');              // Modelo de auditoría
+
+/* ==============================
+ * Helpers internos
+ * ============================== */
+
+/**
+ * Convierte un texto de fecha (YYYY-MM-DD o ISO) en Date.
+ * Si finDelDia es true y la fecha no trae hora, se toma el último
+ * milisegundo del día para que el rango sea inclusivo.
+ *
+ * @param {string} valor Texto de fecha recibido en la query.
+ * @param {boolean} [finDelDia=false] Ajustar al final del día.
+ * @returns {Date|null} Fecha válida o null.
+ */
+function parsearFecha(valor, finDelDia = false) {
+  if (!valor) return null;
+  const fecha = new Date(valor);
+  if (Number.isNaN(fecha.getTime())) return null;
+  if (finDelDia && /^\d{4}-\d{2}-\d{2}$/.test(String(valor))) {
+    fecha.setUTCHours(23, 59, 59, 999);
+  }
+  return fecha;
+}
+
+/**
+ * Crea un error de negocio con código HTTP (lo traducen los controladores).
+ *
+ * @param {string} message Mensaje para el cliente.
+ * @param {number} statusCode Código HTTP.
+ * @returns {Error} Error con statusCode.
+ */
+function crearErrorNegocio(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Valida y normaliza la lista de materiales suministrados: cada material
+ * debe existir, no repetirse y traer un precio cotizado >= 0.
+ *
+ * @param {Array} materiales Lista recibida en el body.
+ * @returns {Promise<Array>} Lista normalizada para el modelo.
+ */
+async function normalizarMateriales(materiales) {
+  if (materiales === undefined || materiales === null) return [];
+  if (!Array.isArray(materiales)) {
+    throw crearErrorNegocio('El campo "materiales" debe ser una lista.', 400);
+  }
+
+  const vistos = new Set();
+  const normalizados = materiales.map((item) => {
+    const materialId = item && (item.material?._id || item.material);
+    const precio = Number(item && item.precioCotizado);
+    if (!materialId) {
+      throw crearErrorNegocio('Cada material suministrado debe indicar el material.', 400);
+    }
+    if (!Number.isFinite(precio) || precio < 0) {
+      throw crearErrorNegocio('El precio cotizado debe ser un número mayor o igual a 0.', 400);
+    }
+    if (vistos.has(String(materialId))) {
+      throw crearErrorNegocio('Un material no puede repetirse en la lista del proveedor.', 400);
+    }
+    vistos.add(String(materialId));
+
+    const tiempoEntrega =
+      item.tiempoEntregaDias !== undefined && item.tiempoEntregaDias !== null && item.tiempoEntregaDias !== ''
+        ? Number(item.tiempoEntregaDias)
+        : undefined;
+
+    return {
+      material: materialId,
+      precioCotizado: precio,
+      fechaCotizacion: item.fechaCotizacion || new Date(),
+      tiempoEntregaDias: tiempoEntrega,
+    };
+  });
+
+  if (normalizados.length > 0) {
+    const existentes = await Material.countDocuments({
+      _id: { $in: normalizados.map((m) => m.material) },
+      isDeleted: { $ne: true },
+    });
+    if (existentes !== normalizados.length) {
+      throw crearErrorNegocio('Alguno de los materiales suministrados no existe.', 404);
+    }
+  }
+
+  return normalizados;
+}
+
+/**
+ * Verifica que no exista otro proveedor vigente con el mismo NIT.
+ *
+ * @param {string} nit NIT a validar.
+ * @param {string|null} [excluirId] Proveedor que se está editando.
+ */
+async function validarNitUnico(nit, excluirId = null) {
+  const filtro = { nit, isDeleted: { $ne: true } };
+  if (excluirId) filtro._id = { $ne: excluirId };
+  const existe = await Proveedor.exists(filtro);
+  if (existe) {
+    throw crearErrorNegocio(`Ya existe un proveedor registrado con el NIT ${nit}.`, 409);
+  }
+}
+
+/**
+ * Totales de compra por proveedor a partir de las entradas vigentes
+ * (no anuladas) enlazadas a cada proveedor.
+ *
+ * @param {Array} proveedorIds Ids de proveedores.
+ * @param {Object} [rango] Rango opcional { desde, hasta } (Date).
+ * @returns {Promise<Map<string, Object>>} Mapa id → { totalCompras, cantidadEntradas, ultimaCompra }.
+ */
+async function calcularTotalesCompras(proveedorIds, { desde = null, hasta = null } = {}) {
+  const filtro = {
+    proveedor: { $in: proveedorIds.map((id) => new mongoose.Types.ObjectId(String(id))) },
+    tipo: 'entrada',
+    anulado: { $ne: true },
+  };
+  if (desde || hasta) {
+    filtro.fecha = {};
+    if (desde) filtro.fecha.$gte = desde;
+    if (hasta) filtro.fecha.$lte = hasta;
+  }
+
+  const totales = await MovimientoInventario.aggregate([
+    { $match: filtro },
+    {
+      $group: {
+        _id: '$proveedor',
+        totalCompras: { $sum: { $ifNull: ['$costoTotal', 0] } },
+        cantidadEntradas: { $sum: 1 },
+        ultimaCompra: { $max: '$fecha' },
+      },
+    },
+  ]);
+
+  return new Map(totales.map((t) => [String(t._id), t]));
+}
+
+/**
+ * Registra una acción sobre proveedores en la auditoría.
+ * Un error aquí no debe romper la respuesta principal.
+ */
+async function registrarAuditoriaProveedor(req, action, proveedor, details = {}) {
+  try {
+    await AuditLog.create({
+      user: req.user ? req.user.id : undefined,
+      action,
+      resource: 'Proveedor',
+      details: {
+        proveedor: proveedor._id.toString(),
+        nombre: proveedor.nombre,
+        nit: proveedor.nit,
+        ...details,
+      },
+    });
+  } catch (auditError) {
+    console.error('❌ Error al registrar auditoría de proveedor:', auditError);
+  }
+}
+
+/* ==============================
+ * Crear nuevo proveedor
+ * ============================== */
+// Crea un proveedor con sus datos comerciales y materiales suministrados.
+exports.createProveedor = async (req, res) => {
+  try {
+    const {
+      nombre,
+      nit,
+      contacto,
+      ciudad,
+      direccion,
+      plazoPagoDias,
+      condicionesPago,
+      materiales,
+      activo,
+    } = req.body;
+
+    // Validaciones mínimas: nombre y NIT son obligatorios (el modelo también lo exige)
+    if (!nombre || !nit) {
+      return res.status(400).json({
+        message: 'Los campos "nombre" y "nit" son obligatorios para crear un proveedor.',
+      });
+    }
+
+    const nitNormalizado = String(nit).trim();
+    await validarNitUnico(nitNormalizado);
+
+    const nuevoProveedor = new Proveedor({
+      nombre: nombre.trim(),
+      nit: nitNormalizado,
+      contacto: contacto || undefined,
+      ciudad: ciudad ? ciudad.trim() : undefined,
+      direccion: direccion ? direccion.trim() : undefined,
+      plazoPagoDias:
+        plazoPagoDias !== undefined && plazoPagoDias !== null && plazoPagoDias !== ''
+          ? Number(plazoPagoDias)
+          : undefined,                                       // Si no viene, el modelo usa 0 (contado)
+      condicionesPago: condicionesPago ? condicionesPago.trim() : undefined,
+      materiales: await normalizarMateriales(materiales),
+      activo: typeof activo === 'boolean' ? activo : true,
+    });
+
+    await nuevoProveedor.save();
+
+    await registrarAuditoriaProveedor(req, 'CREATE_PROVEEDOR', nuevoProveedor, {
+      materiales: nuevoProveedor.materiales.length,
+    });
+
+    res.status(201).json({
+      message: 'Proveedor creado exitosamente',
+      data: nuevoProveedor,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Datos inválidos para crear el proveedor',
+        error: error.message,
+      });
+    }
+
+    console.error('❌ Error al crear el proveedor:', error);
+    res.status(500).json({
+      message: 'Error al crear el proveedor',
+      error: error.message,
+    });
+  }
+};
+
+/* ==============================
+ * Obtener todos los proveedores
+ * ============================== */
+// Devuelve el listado de proveedores no eliminados con su total de compras.
+// Filtros opcionales por query:
+//  - ?ciudad=Bogotá
+//  - ?activo=true / false
+//  - ?material=<id>   → solo proveedores que suministran ese material
+//  - ?q=texto         → busca en nombre o NIT
+exports.getProveedores = async (req, res) => {
+  try {
+    const { ciudad, activo, material, q } = req.query;
+
+    const filter = { isDeleted: { $ne: true } };
+
+    if (ciudad) {
+      filter.ciudad = { $regex: new RegExp(ciudad, 'i') };
+    }
+
+    if (activo === 'true') {
+      filter.activo = true;
+    } else if (activo === 'false') {
+      filter.activo = false;
+    }
+
+    if (material) {
+      filter['materiales.material'] = material;
+    }
+
+    if (q) {
+      const patron = new RegExp(String(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ nombre: patron }, { nit: patron }];
+    }
+
+    const proveedores = await Proveedor.find(filter)
+      .populate('materiales.material', 'nombre unidad categoria')
+      .sort({ nombre: 1 })
+      .lean();
+
+    // Totales de compra de todos los proveedores listados en una sola agregación
+    const totales = await calcularTotalesCompras(proveedores.map((p) => p._id));
+
+    res.status(200).json(
+      proveedores.map((proveedor) => {
+        const total = totales.get(String(proveedor._id));
+        return {
+          ...proveedor,
+          compras: {
+            totalCompras: total ? total.totalCompras : 0,
+            cantidadEntradas: total ? total.cantidadEntradas : 0,
+            ultimaCompra: total ? total.ultimaCompra : null,
+          },
+        };
+      })
+    );
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Identificador de material inválido',
+        error: error.message,
+      });
+    }
+
+    console.error('❌ Error al obtener los proveedores:', error);
+    res.status(500).json({
+      message: 'Error al obtener los proveedores',
+      error: error.message,
+    });
+  }
+};
+
+/* ==============================
+ * Obtener un proveedor por ID
+ * ============================== */
+// Devuelve el proveedor con sus materiales suministrados y su total de compras.
+exports.getProveedorById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const proveedor = await Proveedor.findOne({ _id: id, isDeleted: { $ne: true } })
+      .populate('materiales.material', 'nombre unidad categoria precioUnitario costoPromedio')
+      .lean();
+
+    if (!proveedor) {
+      return res.status(404).json({ message: 'Proveedor no encontrado' });
+    }
+
+    const total = (await calcularTotalesCompras([proveedor._id])).get(String(proveedor._id));
+
+    res.status(200).json({
+      ...proveedor,
+      compras: {
+        totalCompras: total ? total.totalCompras : 0,
+        cantidadEntradas: total ? total.cantidadEntradas : 0,
+        ultimaCompra: total ? total.ultimaCompra : null,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'ID de proveedor inválido',
+        error: error.message,
+      });
+    }
+
+    console.error('❌ Error al obtener el proveedor:', error);
+    res.status(500).json({
+      message: 'Error al obtener el proveedor',
+      error: error.message,
+    });
+  }
+};
+
+/* ==============================
+ * Compras de un proveedor
+ * ============================== */
+// Desglose de las compras (entradas vigentes) a un proveedor por material,
+// con cantidad, valor, costo unitario promedio y fecha de la última compra.
+// Query opcional: ?desde=YYYY-MM-DD&hasta=YYYY-MM-DD
+exports.getComprasProveedor = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const desde = parsearFecha(req.query.desde);
+    const hasta = parsearFecha(req.query.hasta, true);
+
+    const proveedor = await Proveedor.findOne({ _id: id, isDeleted: { $ne: true } }).lean();
+    if (!proveedor) {
+      return res.status(404).json({ message: 'Proveedor no encontrado' });
+    }
+
+    const filtro = {
+      proveedor: proveedor._id,
+      tipo: 'entrada',
+      anulado: { $ne: true },
+    };
+    if (desde || hasta) {
+      filtro.fecha = {};
+      if (desde) filtro.fecha.$gte = desde;
+      if (hasta) filtro.fecha.$lte = hasta;
+    }
+
+    const porMaterial = await MovimientoInventario.aggregate([
+      { $match: filtro },
+      {
+        $group: {
+          _id: '$material',
+          cantidad: { $sum: '$cantidad' },
+          valor: { $sum: { $ifNull: ['$costoTotal', 0] } },
+          entradas: { $sum: 1 },
+          ultimaCompra: { $max: '$fecha' },
+        },
+      },
+      {
+        $lookup: {
+          from: Material.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'material',
+        },
+      },
+      { $unwind: { path: '$material', preserveNullAndEmptyArrays: true } },
+      { $sort: { valor: -1 } },
+    ]);
+
+    const materiales = porMaterial.map((fila) => ({
+      material: fila.material
+        ? { _id: fila.material._id, nombre: fila.material.nombre, unidad: fila.material.unidad }
+        : { _id: fila._id, nombre: 'Material eliminado', unidad: '' },
+      cantidad: fila.cantidad,
+      valor: fila.valor,
+      costoPromedio: fila.cantidad > 0 ? fila.valor / fila.cantidad : 0,
+      entradas: fila.entradas,
+      ultimaCompra: fila.ultimaCompra,
+    }));
+
+    res.status(200).json({
+      proveedor: { _id: proveedor._id, nombre: proveedor.nombre, nit: proveedor.nit },
+      desde,
+      hasta,
+      totalCompras: materiales.reduce((acc, m) => acc + m.valor, 0),
+      cantidadEntradas: materiales.reduce((acc, m) => acc + m.entradas, 0),
+      materiales,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'ID de proveedor inválido',
+        error: error.message,
+      });
+    }
+
+    console.error('❌ Error al obtener las compras del proveedor:', error);
+    res.status(500).json({
+      message: 'Error al obtener las compras del proveedor',
+      error: error.message,
+    });
+  }
+};
+
+/* ==============================
+ * Actualizar proveedor
+ * ============================== */
+// Actualiza los datos de un proveedor existente (no eliminado lógicamente).
+exports.updateProveedor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const updateData = { ...req.body };
+
+    // Campos que este endpoint no debe modificar directamente
+    delete updateData.isDeleted;
+    delete updateData.compras;
+    delete updateData._id;
+
+    if (typeof updateData.nombre === 'string') updateData.nombre = updateData.nombre.trim();
+    if (typeof updateData.ciudad === 'string') updateData.ciudad = updateData.ciudad.trim();
+    if (typeof updateData.direccion === 'string') updateData.direccion = updateData.direccion.trim();
+    if (typeof updateData.condicionesPago === 'string') {
+      updateData.condicionesPago = updateData.condicionesPago.trim();
+    }
+    if (updateData.plazoPagoDias === '' || updateData.plazoPagoDias === null) {
+      updateData.plazoPagoDias = 0;
+    }
+
+    if (updateData.nit !== undefined) {
+      updateData.nit = String(updateData.nit).trim();
+      await validarNitUnico(updateData.nit, id);
+    }
+
+    if (updateData.materiales !== undefined) {
+      updateData.materiales = await normalizarMateriales(updateData.materiales);
+    }
+
+    const actualizado = await Proveedor.findOneAndUpdate(
+      { _id: id, isDeleted: { $ne: true } },
+      updateData,
+      {
+        new: true,
+        runValidators: true,
+      }
+    );
+
+    if (!actualizado) {
+      return res.status(404).json({ message: 'Proveedor no encontrado' });
+    }
+
+    await registrarAuditoriaProveedor(req, 'UPDATE_PROVEEDOR', actualizado, {
+      campos: Object.keys(updateData),
+    });
+
+    res.status(200).json({
+      message: 'Proveedor actualizado correctamente',
+      data: actualizado,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Datos inválidos para actualizar el proveedor',
+        error: error.message,
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'ID de proveedor inválido',
+        error: error.message,
+      });
+    }
+
+    console.error('❌ Error al actualizar el proveedor:', error);
+    res.status(500).json({
+      message: 'Error al actualizar el proveedor',
+      error: error.message,
+    });
+  }
+};
+
+/* ==============================
+ * Eliminar proveedor (lógico)
+ * ============================== */
+// Marca el proveedor como eliminado (isDeleted=true) y lo desactiva.
+// Las entradas ya registradas conservan la referencia para trazabilidad.
+exports.deleteProveedor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const proveedor = await Proveedor.findOne({ _id: id, isDeleted: { $ne: true } });
+    if (!proveedor) {
+      return res.status(404).json({ message: 'Proveedor no encontrado' });
+    }
+
+    proveedor.isDeleted = true;
+    proveedor.activo = false;
+    await proveedor.save();
+
+    await registrarAuditoriaProveedor(req, 'DELETE_PROVEEDOR', proveedor);
+
+    res.status(200).json({ message: 'Proveedor eliminado correctamente' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'ID de proveedor inválido',
+        error: error.message,
+      });
+    }
+
+    console.error('❌ Error al eliminar el proveedor:', error);
+    res.status(500).json({
+      message: 'Error al eliminar el proveedor',
+      error: error.message,
+    });
+  }
+};
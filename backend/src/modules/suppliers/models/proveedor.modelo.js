@@ -0,0 +1,133 @@
+// File: BackEnd/src/modules/suppliers/models/proveedor.modelo.js
+// Description: Modelo Mongoose para los proveedores de ProCivil Manager (PCM).
+//              Registra los datos comerciales del proveedor (NIT, contacto,
+//              ciudad, condiciones de pago) y los materiales que suministra
+//              con su precio cotizado. Las entradas de inventario pueden
+//              enlazarse a un proveedor para consolidar las compras.
+
+// ==============================
+// Importación de dependencias
+// ==============================
+const mongoose = require('mongoose'); // Importa Mongoose para definir el esquema y el modelo
+
+// ==============================
+// Subesquema: material suministrado
+// ==============================
+const MaterialSuministradoSchema = new mongoose.Schema(
+  {
+    // Material del catálogo que ofrece el proveedor
+    material: {
+      type: mongoose.Schema.Types.ObjectId, // Referencia al material
+      ref: 'Material',                      // Modelo referenciado
+      required: true,                       // Es obligatorio
+    },
+
+    // Precio unitario cotizado por el proveedor (COP)
+    precioCotizado: {
+      type: Number,   // Valor numérico
+      required: true, // Es obligatorio
+      min: 0,         // No permite precios negativos
+    },
+
+    // Fecha de la cotización (para saber qué tan vigente es el precio)
+    fechaCotizacion: {
+      type: Date,        // Fecha de la cotización
+      default: Date.now, // Por defecto, la fecha de registro
+    },
+
+    // Tiempo de entrega ofrecido, en días (opcional)
+    tiempoEntregaDias: {
+      type: Number, // Días calendario
+      min: 0,       // No permite valores negativos
+    },
+  },
+  { _id: false }
+);
+
+// ==============================
+// Definición del esquema Proveedor
+// ==============================
+const ProveedorSchema = new mongoose.Schema(
+  {
+    // Razón social o nombre comercial (obligatorio)
+    nombre: {
+      type: String,   // Nombre del proveedor
+      required: true, // Campo requerido
+      trim: true,     // Elimina espacios en blanco al inicio y al final
+    },
+
+    // NIT del proveedor (obligatorio). Único entre proveedores no eliminados
+    // (se valida en el controlador para permitir reutilizarlo tras una eliminación lógica).
+    nit: {
+      type: String,   // Se guarda como texto para conservar el dígito de verificación (ej. "900123456-7")
+      required: true, // Campo requerido
+      trim: true,     // Normaliza el texto
+    },
+
+    // Persona de contacto del proveedor
+    contacto: {
+      nombre: { type: String, trim: true },   // Nombre del asesor comercial
+      telefono: { type: String, trim: true }, // Teléfono de contacto
+      correo: { type: String, trim: true },   // Correo de contacto
+    },
+
+    // Ciudad del proveedor (útil para elegir proveedores cercanos a la obra)
+    ciudad: {
+      type: String, // Ej. "Bogotá", "Medellín"
+      trim: true,   // Normaliza el texto
+    },
+
+    // Dirección física (opcional)
+    direccion: {
+      type: String, // Dirección en texto libre
+      trim: true,   // Quita espacios sobrantes
+    },
+
+    // Plazo de pago en días (0 = contado)
+    plazoPagoDias: {
+      type: Number, // Días de crédito
+      min: 0,       // No permite valores negativos
+      default: 0,   // Por defecto, pago de contado
+    },
+
+    // Condiciones de pago adicionales en texto libre (anticipos, descuentos, etc.)
+    condicionesPago: {
+      type: String, // Texto libre
+      trim: true,   // Normaliza el texto
+    },
+
+    // Materiales que suministra con su precio cotizado
+    materiales: {
+      type: [MaterialSuministradoSchema], // Lista de materiales suministrados
+      default: [],                        // Por defecto, sin materiales
+    },
+
+    // Estado del proveedor:
+    //  true  → proveedor activo, seleccionable en nuevas entradas.
+    //  false → proveedor inactivo (se conserva su historial de compras).
+    activo: {
+      type: Boolean, // Valor booleano
+      default: true, // Por defecto, el proveedor se crea activo
+    },
+
+    // Eliminación lógica (los controladores filtran con { isDeleted: { $ne: true } }).
+    isDeleted: {
+      type: Boolean, // Valor booleano
+      default: false,
+    },
+  },
+  {
+    timestamps: true,         // Agrega createdAt y updatedAt automáticamente
+    collection: 'proveedores', // Nombre explícito de la colección en MongoDB
+  }
+);
+
+// Índice para búsquedas por NIT
+ProveedorSchema.index({ nit: 1 });
+
+// ==============================
+// Exportación del modelo
+// ==============================
+
+// Exporta el modelo "Proveedor" para usarlo en controladores y otros módulos.
+module.exports = mongoose.model('Proveedor', ProveedorSchema);
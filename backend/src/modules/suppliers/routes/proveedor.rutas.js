@@ -0,0 +1,98 @@
+// File: BackEnd/src/modules/suppliers/routes/proveedor.rutas.js
+// Description: Rutas HTTP para gestionar proveedores en ProCivil Manager (PCM).
+//              Expone el CRUD de proveedores y el resumen de compras por
+//              proveedor, protegidos por autenticación JWT y roles. Solo el
+//              administrador puede crear, actualizar o eliminar proveedores;
+//              admin, líder de obra y auditor pueden consultarlos.
+
+const express = require('express');                            // Importa Express para crear el router
+const router = express.Router();                               // Crea una instancia de router de Express
+
+// Importa el controlador de proveedores con la lógica de cada operación
+const proveedorController = require('../controllers/proveedor.controlador');
+
+// Middlewares de seguridad
+const authMiddleware = require('../../../core/middlewares/autenticacion.middleware');  // Middleware para validar JWT y poblar req.user
+const authorizeRoles = require('../../../core/middlewares/autorizarRoles.middleware'); // Middleware para restringir acceso por rol
+
+// -----------------------------------------------------------------------------
+// Rutas CRUD para Proveedores
+// -----------------------------------------------------------------------------
+
+/**
+ * @route   POST /api/proveedores
+ * @desc    Crear un nuevo proveedor (NIT, contacto, condiciones de pago y
+ *          materiales suministrados con su precio cotizado).
+ * @access  Privado (solo ADMIN)
+ */
+router.post(
+  '/',
+  authMiddleware,                                      // Verifica que el usuario esté autenticado
+  authorizeRoles(['admin']),                           // Restringe la ruta únicamente a administradores
+  proveedorController.createProveedor                  // Controlador que realiza la creación
+);
+
+/**
+ * @route   GET /api/proveedores
+ * @desc    Listar proveedores (no eliminados) con su total de compras,
+ *          con filtros opcionales por ciudad, activo, material o texto (q).
+ * @access  Privado (ADMIN, LÍDER DE OBRA, AUDITOR)
+ */
+router.get(
+  '/',
+  authMiddleware,                                      // Requiere usuario autenticado
+  authorizeRoles(['admin', 'lider de obra', 'auditor']), // Roles que consultan proveedores
+  proveedorController.getProveedores                   // Controlador que retorna el listado
+);
+
+/**
+ * @route   GET /api/proveedores/:id/compras
+ * @desc    Desglose de compras (entradas vigentes) al proveedor por material,
+ *          con rango opcional ?desde=YYYY-MM-DD&hasta=YYYY-MM-DD.
+ * @access  Privado (ADMIN, LÍDER DE OBRA, AUDITOR)
+ */
+router.get(
+  '/:id/compras',
+  authMiddleware,                                      // Requiere usuario autenticado
+  authorizeRoles(['admin', 'lider de obra', 'auditor']), // Roles que consultan compras
+  proveedorController.getComprasProveedor              // Controlador que retorna el desglose
+);
+
+/**
+ * @route   GET /api/proveedores/:id
+ * @desc    Obtener el detalle de un proveedor con sus materiales y total de compras.
+ * @access  Privado (ADMIN, LÍDER DE OBRA, AUDITOR)
+ */
+router.get(
+  '/:id',
+  authMiddleware,                                      // Requiere usuario autenticado
+  authorizeRoles(['admin', 'lider de obra', 'auditor']), // Roles que consultan proveedores
+  proveedorController.getProveedorById                 // Controlador que retorna el proveedor
+);
+
+/**
+ * @route   PUT /api/proveedores/:id
+ * @desc    Actualizar los datos de un proveedor existente.
+ * @access  Privado (solo ADMIN)
+ */
+router.put(
+  '/:id',
+  authMiddleware,                                      // Verifica autenticación
+  authorizeRoles(['admin']),                           // Solo administradores pueden modificar
+  proveedorController.updateProveedor                  // Controlador que actualiza el proveedor
+);
+
+/**
+ * @route   DELETE /api/proveedores/:id
+ * @desc    Eliminar lógicamente un proveedor (isDeleted=true, activo=false).
+ * @access  Privado (solo ADMIN)
+ */
+router.delete(
+  '/:id',
+  authMiddleware,                                      // Verifica autenticación
+  authorizeRoles(['admin']),                           // Solo administradores pueden eliminar
+  proveedorController.deleteProveedor                  // Controlador que realiza la eliminación lógica
+);
+
+// Exporta el router para ser montado en server.js bajo /api/proveedores
+module.exports = router;
@@ -34,7 +34,7 @@ const buildSafeUser = (user) => {
     lastName: user.lastName,                                              // Apellidos.
     email: user.email,                                                    // Correo electrónico.
     phone: user.phone,                                                    // Teléfono.
-    role: user.role,                                                      // Rol de la cuenta (admin | lider de obra | cliente).
+    role: user.role,                                                      // Rol de la cuenta (admin | lider de obra | cliente | auditor).
     nombreCompleto: user.nombreCompleto,                                  // Virtual definido en el modelo (firstName + lastName).
   };
 };
@@ -77,8 +77,8 @@ const assignRoleFromEmail = (email) => {
 //  🔹 Se basa en el ROL REAL del usuario, no en el email.
 // ================================================================
 const getRedirectPath = (role) => {
-  // Para admin, líder de obra y cliente usamos el mismo dashboard base (/admin).
-  if (role === 'admin' || role === 'lider de obra' || role === 'cliente') {
+  // Para admin, líder de obra, cliente y auditor usamos el mismo dashboard base (/admin).
+  if (role === 'admin' || role === 'lider de obra' || role === 'cliente' || role === 'auditor') {
     return '/admin';
   }
 
@@ -487,7 +487,7 @@ exports.getAllUsers = async (req, res) => {
       parseInt(req.query.limit, 10) > 0 ? parseInt(req.query.limit, 10) : 10;
     // Texto de búsqueda (se normaliza a minúsculas).
     const search = req.query.search ? req.query.search.toLowerCase().trim() : '';
-    // Filtro opcional por rol (?role=cliente|admin|lider de obra).
+    // Filtro opcional por rol (?role=cliente|admin|lider de obra|auditor).
     const roleFilter = req.query.role ? req.query.role : null;
 
     // Filtro base: solo usuarios no eliminados lógicamente.
@@ -544,6 +544,12 @@ exports.updateUserById = async (req, res) => {
     return res.status(400).json({ message: 'Correo electrónico inválido' });
   }
 
+  // Validar que el rol (si viene) sea uno de los definidos en el modelo.
+  const rolesValidos = User.schema.path('role').enumValues;
+  if (role && !rolesValidos.includes(role)) {
+    return res.status(400).json({ message: `Rol inválido. Use uno de: ${rolesValidos.join(', ')}` });
+  }
+
   try {
     // Buscar usuario por ID.
     const user = await User.findById(userId);
@@ -570,7 +576,7 @@ exports.updateUserById = async (req, res) => {
     user.lastName = lastName || user.lastName;
     user.phone = phone ? phone.replace(/[^\d]/g, '') : user.phone;
 
-    // Si viene un rol, se actualiza (validado por enum del modelo User).
+    // Si viene un rol, se actualiza (ya validado contra el enum del modelo User).
     if (role) {
       user.role = role;
     }
@@ -50,9 +50,11 @@ const userSchema = new mongoose.Schema(
     //  - 'cliente'      → acceso a sus proyectos / solicitudes.
     //  - 'lider de obra'→ acceso a módulos de obra e inventario asociado.
     //  - 'admin'        → acceso administrativo completo.
+    //  - 'auditor'      → interventoría / SGI: consulta (kardex, compras,
+    //                     proyectos) y refrendo de la bitácora, sin edición.
     role: {
       type: String,                                             // Cadena de texto.
-      enum: ['cliente', 'lider de obra', 'admin'],              // Valores permitidos.
+      enum: ['cliente', 'lider de obra', 'admin', 'auditor'],   // Valores permitidos.
       default: 'cliente',                                       // Si no se especifica, se asume cliente.
     },
 
@@ -14,6 +14,10 @@
 const Almacen = require('../models/almacen.modelo'); // Modelo Mongoose para la colección de almacenes
 // Importamos el modelo Material para comprobar dependencias en la eliminación de almacenes
 const Material = require('../../inventory/models/material.modelo');
+// Importamos el modelo de saldos por almacén para comprobar existencias antes de eliminar
+const StockAlmacen = require('../../inventory/models/stockAlmacen.modelo');
+// Servicio de saldos por almacén (material × almacén) para exponer el stock del almacén
+const { obtenerSaldosPorAlmacen } = require('../../inventory/services/stockAlmacen.servicio');
 
 /* ==============================
  * Crear nuevo almacén
@@ -138,6 +142,7 @@ exports.getAlmacenes = async (req, res) => {
  * ============================== */
 // Busca un almacén específico a partir del parámetro de ruta :id.
 // No devuelve almacenes marcados como eliminados (isDeleted=true).
+// Incluye "stock": saldos de los materiales activos guardados en este almacén.
 exports.getAlmacenById = async (req, res) => {
   try {
     // Extraemos el id desde los parámetros de la ruta
@@ -154,8 +159,14 @@ exports.getAlmacenById = async (req, res) => {
       return res.status(404).json({ message: 'Almacén no encontrado' });
     }
 
-    // Si existe, devolvemos 200 junto con el almacén
-    res.status(200).json(almacen);
+    // Saldos de materiales en este almacén (material × almacén)
+    const stock = await obtenerSaldosPorAlmacen(almacen._id);
+
+    // Si existe, devolvemos 200 junto con el almacén y su stock
+    res.status(200).json({
+      ...almacen.toObject(),
+      stock,
+    });
   } catch (error) {
     // Si el error es por ID mal formado (CastError), lo tratamos como 400
     if (error.name === 'CastError') {
@@ -283,6 +294,19 @@ exports.deleteAlmacen = async (req, res) => {
         });
       }
 
+      // También se bloquea si el almacén conserva saldo de algún material (aunque no sea su almacén principal)
+      const saldosConStock = await StockAlmacen.countDocuments({
+        almacen: id,
+        cantidad: { $gt: 0 },
+      });
+
+      if (saldosConStock > 0) {
+        return res.status(400).json({
+          message:
+            'No se puede eliminar el almacén porque aún tiene existencias de materiales. Traslade o ajuste el stock antes de eliminar.',
+        });
+      }
+
       // No hay materiales asociados, se procede con la eliminación lógica
       almacen.isDeleted = true;
       almacen.activo = false;
@@ -0,0 +1,107 @@
+// File: BackEnd/test/almacenamiento.test.js
+// Description: Pruebas del motor de multer del almacenamiento (node:test,
+//              driver local en una carpeta temporal): subida por archivo
+//              temporal, cuarentena, rechazos y archivos que superan el límite.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+// El driver local y la carpeta de temporales se fijan antes del primer uso
+const RAIZ = fs.mkdtempSync(path.join(os.tmpdir(), 'pcm-almacenamiento-'));
+process.env.ALMACENAMIENTO_DRIVER = 'local';
+process.env.ALMACENAMIENTO_LOCAL_RAIZ = path.join(RAIZ, 'archivos');
+process.env.TMPDIR = path.join(RAIZ, 'tmp');
+
+const {
+  normalizarClave,
+  obtenerAlmacenamiento,
+  crearMotorMulter,
+} = require('../src/core/services/almacenamiento.servicio');
+
+test.after(() => fs.rmSync(RAIZ, { recursive: true, force: true }));
+
+const TEMPORALES = path.join(RAIZ, 'tmp', 'pcm-subidas');
+
+/**
+ * Archivo como lo entrega multer, con el contenido en varias partes.
+ */
+const archivoSubido = (partes, extra = {}) => ({
+  originalname: 'plano.pdf',
+  mimetype: 'application/pdf',
+  stream: Object.assign(Readable.from(partes), extra),
+});
+
+const motor = (inspeccionar) => crearMotorMulter({
+  carpeta: () => 'uploads/proyectos/p1',
+  nombreArchivo: () => 'plano-1.pdf',
+  inspeccionar,
+});
+
+const manejar = (storage, file) =>
+  new Promise((resolve, reject) => {
+    storage._handleFile({}, file, (error, info) => (error ? reject(error) : resolve(info)));
+  });
+
+const temporalesPendientes = () => (fs.existsSync(TEMPORALES) ? fs.readdirSync(TEMPORALES) : []);
+
+test('normalizarClave quita barras iniciales y rechaza rutas que salen de la raíz', () => {
+  assert.equal(normalizarClave('/uploads\\proyectos/./p1/a.pdf'), 'uploads/proyectos/p1/a.pdf');
+  assert.throws(() => normalizarClave('uploads/../../etc/passwd'), (error) => error.statusCode === 400);
+  assert.throws(() => normalizarClave(''), (error) => error.statusCode === 400);
+});
+
+test('la subida se inspecciona desde un temporal en disco y se guarda completa', async () => {
+  const partes = [Buffer.from('%PDF-1.4\n'), Buffer.alloc(200 * 1024, 'a'), Buffer.from('%%EOF')];
+  const inspeccionados = [];
+
+  const info = await manejar(
+    motor(async (req, file, ruta) => {
+      assert.equal(typeof ruta, 'string');
+      inspeccionados.push(fs.readFileSync(ruta).length);
+      return { cuarentena: null };
+    }),
+    archivoSubido(partes)
+  );
+
+  const total = Buffer.concat(partes);
+  assert.deepEqual(info, { filename: 'plano-1.pdf', size: total.length, clave: 'uploads/proyectos/p1/plano-1.pdf', cuarentena: null });
+  assert.deepEqual(inspeccionados, [total.length]);
+  assert.deepEqual(await obtenerAlmacenamiento().leer(info.clave), total);
+  assert.deepEqual(temporalesPendientes(), []);
+});
+
+test('los archivos marcados por la inspección quedan bajo "cuarentena/"', async () => {
+  const cuarentena = { estado: 'pendiente', motivos: ['Contenido distinto'] };
+
+  const info = await manejar(motor(async () => ({ cuarentena })), archivoSubido([Buffer.from('MZ')]));
+
+  assert.equal(info.clave, 'cuarentena/uploads/proyectos/p1/plano-1.pdf');
+  assert.equal(info.cuarentena, cuarentena);
+  assert.equal(await obtenerAlmacenamiento().existe(info.clave), true);
+});
+
+test('un archivo rechazado o que supera el límite no se guarda y su temporal se borra', async () => {
+  const rechazo = Object.assign(new Error('Tipo no permitido'), { statusCode: 400 });
+  const storage = motor(async () => { throw rechazo; });
+
+  await assert.rejects(manejar(storage, archivoSubido([Buffer.from('%PDF-1.4')])), rechazo);
+  await assert.rejects(
+    manejar(motor(), archivoSubido([Buffer.from('%PDF-1.4')], { truncated: true })),
+    (error) => error.statusCode === 413
+  );
+
+  assert.deepEqual(temporalesPendientes(), []);
+});
+
+test('_removeFile elimina del driver el archivo ya subido', async () => {
+  const storage = motor();
+  const info = await manejar(storage, archivoSubido([Buffer.from('%PDF-1.4')]));
+
+  await new Promise((resolve, reject) => storage._removeFile({}, info, (error) => (error ? reject(error) : resolve())));
+
+  assert.equal(await obtenerAlmacenamiento().existe(info.clave), false);
+});
@@ -0,0 +1,83 @@
+// File: BackEnd/test/antivirus.test.js
+// Description: Pruebas del análisis con ClamAV (node:test, con un clamd
+//              simulado en TCP local): envío INSTREAM en bloques desde
+//              memoria o desde un archivo en disco y lectura de la respuesta.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+delete process.env.CLAMAV_SOCKET;                                             // Cada prueba configura su clamd.
+delete process.env.CLAMAV_HOST;
+
+const { analizarConAntivirus } = require('../src/core/services/antivirus.servicio');
+
+/**
+ * clamd simulado: reconstruye el contenido recibido por INSTREAM y responde
+ * con FOUND si contiene la firma EICAR de prueba.
+ */
+const iniciarClamd = async (t) => {
+  const recibidos = [];
+  const servidor = net.createServer((conexion) => {
+    let datos = Buffer.alloc(0);
+    conexion.on('data', (parte) => {
+      datos = Buffer.concat([datos, parte]);
+      let posicion = 'zINSTREAM\0'.length;
+      const bloques = [];
+      while (datos.length >= posicion + 4) {
+        const longitud = datos.readUInt32BE(posicion);
+        if (longitud === 0) {
+          const contenido = Buffer.concat(bloques);
+          recibidos.push({ contenido, bloques: bloques.length });
+          conexion.end(contenido.includes('EICAR') ? 'stream: Eicar-Test-Signature FOUND\0' : 'stream: OK\0');
+          return;
+        }
+        if (datos.length < posicion + 4 + longitud) return;
+        bloques.push(datos.subarray(posicion + 4, posicion + 4 + longitud));
+        posicion += 4 + longitud;
+      }
+    });
+  });
+  await new Promise((resolve) => servidor.listen(0, '127.0.0.1', resolve));
+
+  process.env.CLAMAV_HOST = '127.0.0.1';
+  process.env.CLAMAV_PORT = String(servidor.address().port);
+  t.after(() => {
+    servidor.close();
+    delete process.env.CLAMAV_HOST;
+  });
+  return recibidos;
+};
+
+test('sin clamd configurado el análisis se omite', async () => {
+  assert.deepEqual(await analizarConAntivirus(Buffer.from('hola')), { estado: 'omitido', firma: null });
+});
+
+test('un archivo en disco se envía completo en bloques de 64 KB', async (t) => {
+  const recibidos = await iniciarClamd(t);
+  const carpeta = fs.mkdtempSync(path.join(os.tmpdir(), 'pcm-antivirus-'));
+  t.after(() => fs.rmSync(carpeta, { recursive: true, force: true }));
+  const ruta = path.join(carpeta, 'plano');
+  const contenido = Buffer.alloc(200 * 1024, 'p');
+  fs.writeFileSync(ruta, contenido);
+
+  const resultado = await analizarConAntivirus(ruta);
+
+  assert.deepEqual(resultado, { estado: 'limpio', firma: null });
+  assert.equal(recibidos[0].bloques, 4);
+  assert.deepEqual(recibidos[0].contenido, contenido);
+});
+
+test('una amenaza se informa con su firma y un archivo inexistente con estado "error"', async (t) => {
+  await iniciarClamd(t);
+
+  const infectado = await analizarConAntivirus(Buffer.from('X5O!P%@AP EICAR-STANDARD-ANTIVIRUS-TEST-FILE'));
+  const inexistente = await analizarConAntivirus(path.join(os.tmpdir(), 'pcm-no-existe', 'archivo'));
+
+  assert.deepEqual(infectado, { estado: 'infectado', firma: 'Eicar-Test-Signature' });
+  assert.equal(inexistente.estado, 'error');
+  assert.match(inexistente.detalle, /ENOENT/);
+});
@@ -0,0 +1,172 @@
+// File: BackEnd/test/anulacionMovimientos.test.js
+// Description: Pruebas de la anulación de movimientos de inventario por el
+//              controlador (node:test, modelos en memoria): compensación del
+//              saldo, reversión de consumos de proyecto y liberación de la
+//              anulación cuando no se puede compensar.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarSaldosEnMemoria } = require('./apoyo/saldosEnMemoria');
+const { llamarControlador } = require('./apoyo/controlador');
+
+const MovimientoInventario = require('../src/modules/inventory/models/inventario.modelo');
+const Material = require('../src/modules/inventory/models/material.modelo');
+const Almacen = require('../src/modules/warehouses/models/almacen.modelo');
+const AuditLog = require('../src/modules/audit/models/auditoria.modelo');
+const Proveedor = require('../src/modules/suppliers/models/proveedor.modelo');
+const Proyectos = require('../src/modules/projects/models/proyecto.modelo');
+const { anularMovimiento } = require('../src/modules/inventory/controllers/inventario.controlador');
+
+const M1 = '650000000000000000000001';
+const A1 = '650000000000000000000011';
+const P1 = '650000000000000000000021';
+
+/**
+ * Instala los dobles: un saldo en A1, los movimientos indicados y un
+ * proyecto con una asignación del material.
+ */
+const prepararAnulacion = (t, { saldo, movimientos, asignacion }) => {
+  const estado = instalarSaldosEnMemoria({
+    saldos: [{ material: M1, almacen: A1, costoPromedio: 10, ...saldo }],
+    materiales: [{ _id: M1, cantidad: saldo.cantidad, costoPromedio: 10 }],
+  });
+  const registros = movimientos.map((m, i) => ({
+    _id: `mov${i + 1}`,
+    material: M1,
+    almacen: A1,
+    anulado: false,
+    lotes: [],
+    ...m,
+  }));
+  const creados = [];
+  const proyecto = {
+    _id: P1,
+    materiales: asignacion ? [{ material: M1, almacen: A1, ...asignacion }] : [],
+    guardado: 0,
+    save: async () => { proyecto.guardado += 1; },
+  };
+  const material = { _id: M1, nombre: 'Cemento', unidad: 'bulto', stockMinimo: 0, almacen: A1 };
+
+  const originales = [
+    [Material, 'findById', Material.findById],
+    [Almacen, 'findById', Almacen.findById],
+    [Proyectos, 'findById', Proyectos.findById],
+    [Proveedor, 'find', Proveedor.find],
+    [AuditLog, 'create', AuditLog.create],
+    ...['findById', 'find', 'updateMany', 'updateOne', 'create', 'aggregate'].map((m) => [
+      MovimientoInventario, m, MovimientoInventario[m],
+    ]),
+  ];
+  t.after(() => {
+    originales.forEach(([modelo, metodo, fn]) => { modelo[metodo] = fn; });
+    estado.restaurar();
+  });
+
+  const porFiltro = (filtro) =>
+    registros.filter((r) => (filtro._id ? r._id === filtro._id : r.trasladoId === filtro.trasladoId));
+  MovimientoInventario.findById = async (id) => registros.find((r) => r._id === id) || null;
+  MovimientoInventario.find = (filtro) => ({ sort: () => ({ session: async () => porFiltro(filtro) }) });
+  MovimientoInventario.updateMany = async (filtro, { $set }) => {
+    const afectados = porFiltro(filtro).filter((r) =>
+      filtro.anulado && filtro.anulado.$ne ? r.anulado !== true : r.anulado === filtro.anulado
+    );
+    afectados.forEach((r) => Object.assign(r, $set));
+    return { modifiedCount: afectados.length };
+  };
+  MovimientoInventario.updateOne = async ({ _id }, { $set }) => {
+    Object.assign(registros.find((r) => r._id === _id), $set);
+  };
+  MovimientoInventario.create = async (docs) =>
+    docs.map((doc) => {
+      const creado = { _id: `comp${creados.length + 1}`, ...doc };
+      creados.push(creado);
+      return creado;
+    });
+  MovimientoInventario.aggregate = async () => [];
+  Material.findById = async () => material;
+  Almacen.findById = () => ({ session: async () => ({ _id: A1, nombre: 'Principal' }) });
+  Proyectos.findById = () => ({ session: async () => proyecto });
+  Proveedor.find = () => ({ select: () => ({ lean: async () => [] }) });
+  AuditLog.create = async () => ({});
+
+  return { estado, registros, creados, proyecto, saldo: () => estado.saldos[0] };
+};
+
+const anular = (id) => llamarControlador(anularMovimiento, { params: { id }, body: { motivo: 'Registro equivocado' } });
+
+test('anular un consumo de proyecto devuelve el stock, descuenta el uso y vuelve a reservar', async (t) => {
+  // Asignados 10: se consumieron 4 a costo 10 y luego 3 a costo 17 (promedio 13)
+  const { registros, creados, proyecto, saldo } = prepararAnulacion(t, {
+    saldo: { cantidad: 13, reservado: 3 },
+    asignacion: { cantidadAsignada: 10, cantidadUtilizada: 7, cantidadReservada: 3, costoUnitario: 13 },
+    movimientos: [{
+      tipo: 'salida', cantidad: 3, proyecto: P1, reservaConsumida: 3, costoUnitario: 17,
+      motivo: 'Consumo en proyecto: Torre A', stockAnterior: 16, stockNuevo: 13,
+    }],
+  });
+
+  const { status } = await anular('mov1');
+
+  assert.equal(status, 200);
+  assert.equal(saldo().cantidad, 16);
+  assert.equal(saldo().reservado, 6);
+  const [item] = proyecto.materiales;
+  assert.equal(item.cantidadUtilizada, 4);
+  assert.equal(item.cantidadReservada, 6);
+  assert.equal(item.costoUnitario, 10);
+  assert.equal(proyecto.guardado, 1);
+
+  assert.equal(registros[0].anulado, true);
+  assert.equal(creados.length, 1);
+  assert.equal(creados[0].tipo, 'entrada');
+  assert.equal(creados[0].reservaConsumida, undefined); // El compensatorio no es un consumo
+});
+
+test('un consumo anterior a reservaConsumida se vuelve a reservar hasta completar lo pendiente', async (t) => {
+  const { proyecto, saldo } = prepararAnulacion(t, {
+    saldo: { cantidad: 12, reservado: 2 },
+    asignacion: { cantidadAsignada: 10, cantidadUtilizada: 5, cantidadReservada: 2, costoUnitario: 10 },
+    movimientos: [{ tipo: 'salida', cantidad: 3, proyecto: P1, costoUnitario: 10, motivo: 'Consumo en proyecto: Torre A' }],
+  });
+
+  assert.equal((await anular('mov1')).status, 200);
+
+  const [item] = proyecto.materiales;
+  assert.equal(item.cantidadUtilizada, 2);
+  assert.equal(item.cantidadReservada, 5);
+  assert.equal(saldo().reservado, 5);
+});
+
+test('una salida manual ligada a un proyecto no toca sus asignaciones', async (t) => {
+  const { proyecto, saldo } = prepararAnulacion(t, {
+    saldo: { cantidad: 8, reservado: 2 },
+    asignacion: { cantidadAsignada: 10, cantidadUtilizada: 5, cantidadReservada: 2 },
+    movimientos: [{ tipo: 'salida', cantidad: 2, proyecto: P1, costoUnitario: 10, motivo: 'Pérdida en obra' }],
+  });
+
+  assert.equal((await anular('mov1')).status, 200);
+
+  assert.equal(saldo().cantidad, 10);
+  assert.equal(saldo().reservado, 2);
+  assert.equal(proyecto.materiales[0].cantidadUtilizada, 5);
+  assert.equal(proyecto.guardado, 0);
+});
+
+test('si no hay stock para compensar una entrada, se rechaza y el movimiento sigue vigente', async (t) => {
+  const { registros, creados, saldo } = prepararAnulacion(t, {
+    saldo: { cantidad: 5, reservado: 3 },
+    movimientos: [{ tipo: 'entrada', cantidad: 4, costoUnitario: 10, stockAnterior: 1, stockNuevo: 5 }],
+  });
+
+  const { status, body } = await anular('mov1');
+
+  assert.equal(status, 400);
+  assert.match(body.message, /Disponible: 2/);
+  assert.equal(saldo().cantidad, 5);
+  assert.equal(registros[0].anulado, false);
+  assert.equal(creados.length, 0);
+
+  // Un segundo intento también se evalúa (la anulación no quedó reclamada)
+  assert.equal((await anular('mov1')).status, 400);
+});
@@ -0,0 +1,36 @@
+// File: BackEnd/test/apoyo/controlador.js
+// Description: Ejecuta un controlador Express con una petición y una
+//              respuesta mínimas y devuelve el código y el cuerpo enviados.
+
+/**
+ * Llama a un controlador (req, res) y espera a que responda.
+ *
+ * @param {Function} controlador Handler Express async (req, res).
+ * @param {Object} [peticion] Campos de req: body, params, query, user.
+ * @returns {Promise<{ status: number, body: Object }>} Código y cuerpo de la respuesta.
+ */
+function llamarControlador(controlador, { body = {}, params = {}, query = {}, user = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = {
+      body,
+      params,
+      query,
+      user: user || { id: 'usuario-prueba', email: 'prueba@pcm.local', role: 'admin' },
+      app: { get: () => null },                                               // Sin Socket.io
+    };
+    const res = {
+      statusCode: 200,
+      status(codigo) {
+        this.statusCode = codigo;
+        return this;
+      },
+      json(cuerpo) {
+        resolve({ status: this.statusCode, body: cuerpo });
+        return this;
+      },
+    };
+    Promise.resolve(controlador(req, res)).catch(reject);
+  });
+}
+
+module.exports = { llamarControlador };
@@ -0,0 +1,177 @@
+// File: BackEnd/test/apoyo/saldosEnMemoria.js
+// Description: Reemplazo en memoria de los modelos StockAlmacen y Material
+//              para probar el servicio de saldos sin MongoDB. Interpreta el
+//              subconjunto de filtros y actualizaciones que usa el servicio
+//              ($expr, $gte, $inc, $set, $setOnInsert, pipelines y upsert) y
+//              aplica cada actualización de forma atómica, pero siempre en
+//              un tick posterior, para que las peticiones en paralelo se
+//              intercalen como en un servidor real.
+
+const mongoose = require('mongoose');
+
+// Sin conexión: cualquier consulta que la prueba no sustituya falla de inmediato
+// (en vez de quedar en cola) y las transacciones caen al modo sin sesión.
+mongoose.set('bufferCommands', false);
+
+const StockAlmacen = require('../../src/modules/inventory/models/stockAlmacen.modelo');
+const Material = require('../../src/modules/inventory/models/material.modelo');
+
+/* ==========================================
+ * Evaluación de expresiones y filtros
+ * ========================================== */
+
+/**
+ * Evalúa una expresión de agregación sobre un documento plano.
+ *
+ * @param {*} expr Expresión ("$campo", literal u operador).
+ * @param {Object} doc Documento sobre el que se evalúa.
+ * @returns {*} Valor resultante.
+ */
+function evaluar(expr, doc) {
+  if (typeof expr === 'string' && expr.startsWith('$')) return doc[expr.slice(1)];
+  if (!expr || typeof expr !== 'object' || expr instanceof Date) return expr;
+
+  const [operador] = Object.keys(expr);
+  const args = [].concat(expr[operador]).map((arg) => evaluar(arg, doc));
+  switch (operador) {
+    case '$and': return args.every(Boolean);
+    case '$gte': return args[0] >= args[1];
+    case '$lte': return args[0] <= args[1];
+    case '$gt': return args[0] > args[1];
+    case '$add': return args.reduce((a, b) => a + b, 0);
+    case '$subtract': return args[0] - args[1];
+    case '$multiply': return args.reduce((a, b) => a * b, 1);
+    case '$divide': return args[0] / args[1];
+    case '$max': return Math.max(...args);
+    case '$ifNull': return args[0] === null || args[0] === undefined ? args[1] : args[0];
+    case '$cond': return args[0] ? args[1] : args[2];
+    default: throw new Error(`Operador no soportado en la prueba: ${operador}`);
+  }
+}
+
+/**
+ * Indica si un documento cumple un filtro de consulta.
+ *
+ * @param {Object} doc Documento plano.
+ * @param {Object} filtro Filtro de Mongo.
+ * @returns {boolean}
+ */
+function cumpleFiltro(doc, filtro) {
+  return Object.entries(filtro).every(([campo, condicion]) => {
+    if (campo === '$expr') return Boolean(evaluar(condicion, doc));
+    if (condicion && typeof condicion === 'object' && !Array.isArray(condicion) && '$gte' in condicion) {
+      return doc[campo] >= condicion.$gte;
+    }
+    return String(doc[campo]) === String(condicion);
+  });
+}
+
+/**
+ * Aplica una actualización ($inc/$set/$setOnInsert o pipeline) sobre un documento.
+ *
+ * @param {Object} doc Documento a modificar (se modifica en sitio).
+ * @param {Object|Array} actualizacion Actualización de Mongo.
+ * @param {boolean} insertado true si el documento se acaba de crear por upsert.
+ */
+function aplicarActualizacion(doc, actualizacion, insertado) {
+  if (Array.isArray(actualizacion)) {
+    actualizacion.forEach((etapa) => {
+      const valores = Object.fromEntries(
+        Object.entries(etapa.$set).map(([campo, expr]) => [campo, evaluar(expr, doc)])
+      );
+      Object.assign(doc, valores);
+    });
+    return;
+  }
+  Object.entries(actualizacion.$inc || {}).forEach(([campo, valor]) => {
+    doc[campo] = (doc[campo] || 0) + valor;
+  });
+  Object.assign(doc, actualizacion.$set || {});
+  if (insertado) Object.assign(doc, actualizacion.$setOnInsert || {});
+}
+
+// Campos de igualdad de un filtro (para crear el documento en un upsert).
+const camposIgualdad = (filtro) =>
+  Object.fromEntries(Object.entries(filtro).filter(([campo, valor]) => !campo.startsWith('$') && typeof valor !== 'object'));
+
+// Resultado con .session() encadenable, como las consultas de Mongoose.
+const consulta = (trabajo) => {
+  const promesa = new Promise((resolve) => setImmediate(resolve)).then(trabajo);
+  promesa.session = () => promesa;
+  return promesa;
+};
+
+/* ==========================================
+ * Instalación de los dobles
+ * ========================================== */
+
+/**
+ * Sustituye los métodos de StockAlmacen y Material que usa el servicio de
+ * saldos por versiones en memoria.
+ *
+ * @param {Object} [inicial]
+ * @param {Array} [inicial.saldos] Saldos iniciales { material, almacen, cantidad, reservado?, costoPromedio? }.
+ * @param {Array} [inicial.materiales] Materiales { _id, cantidad, costoPromedio? }.
+ * @returns {{ saldos: Array, materiales: Map, restaurar: Function }} Estado en memoria y función para deshacer los dobles.
+ */
+function instalarSaldosEnMemoria({ saldos = [], materiales = [] } = {}) {
+  const estado = {
+    saldos: saldos.map((saldo) => ({ reservado: 0, costoPromedio: null, ...saldo })),
+    materiales: new Map(materiales.map((material) => [String(material._id), { ...material }])),
+  };
+  const buscar = (filtro) => estado.saldos.find((saldo) => cumpleFiltro(saldo, filtro)) || null;
+
+  const originales = {
+    stock: ['exists', 'findOne', 'findOneAndUpdate', 'updateOne', 'aggregate'].map((m) => [m, StockAlmacen[m]]),
+    material: ['findByIdAndUpdate'].map((m) => [m, Material[m]]),
+  };
+
+  StockAlmacen.exists = (filtro) => consulta(() => (buscar(filtro) ? { _id: 'saldo' } : null));
+  StockAlmacen.findOne = (filtro) => consulta(() => {
+    const saldo = buscar(filtro);
+    return saldo ? { ...saldo } : null;
+  });
+  StockAlmacen.findOneAndUpdate = (filtro, actualizacion, opciones = {}) => consulta(() => {
+    let saldo = buscar(filtro);
+    let insertado = false;
+    if (!saldo) {
+      if (!opciones.upsert) return null;
+      saldo = { reservado: 0, costoPromedio: null, cantidad: 0, ...camposIgualdad(filtro) };
+      estado.saldos.push(saldo);
+      insertado = true;
+    }
+    const previo = { ...saldo };
+    aplicarActualizacion(saldo, actualizacion, insertado);
+    if (opciones.new) return { ...saldo };
+    return insertado ? null : previo;
+  });
+  StockAlmacen.updateOne = (filtro, actualizacion, opciones = {}) =>
+    StockAlmacen.findOneAndUpdate(filtro, actualizacion, { ...opciones, new: true });
+  StockAlmacen.aggregate = ([{ $match }]) => consulta(() => {
+    const propios = estado.saldos.filter((saldo) => cumpleFiltro(saldo, $match));
+    if (propios.length === 0) return [];
+    const material = estado.materiales.get(String($match.material)) || {};
+    const referencia = Number(material.costoPromedio) || 0;
+    return [{
+      _id: $match.material,
+      cantidad: propios.reduce((suma, s) => suma + s.cantidad, 0),
+      total: propios.reduce((suma, s) => suma + s.cantidad, 0),
+      valor: propios.reduce((suma, s) => suma + s.cantidad * (s.costoPromedio ?? referencia), 0),
+    }];
+  });
+
+  Material.findByIdAndUpdate = (id, actualizacion) => consulta(() => {
+    const material = estado.materiales.get(String(id));
+    if (!material) return null;
+    aplicarActualizacion(material, actualizacion, false);
+    return { ...material };
+  });
+
+  estado.restaurar = () => {
+    originales.stock.forEach(([metodo, fn]) => { StockAlmacen[metodo] = fn; });
+    originales.material.forEach(([metodo, fn]) => { Material[metodo] = fn; });
+  };
+  return estado;
+}
+
+module.exports = { instalarSaldosEnMemoria };
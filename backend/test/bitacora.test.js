@@ -0,0 +1,181 @@
+// File: BackEnd/test/bitacora.test.js
+// Description: Pruebas de la bitácora de obra (node:test, modelos en
+//              memoria): registro de entradas, firma del autor y solo
+//              lectura posterior, y refrendo de la interventoría.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { llamarControlador } = require('./apoyo/controlador');
+
+const Proyectos = require('../src/modules/projects/models/proyecto.modelo');
+const BitacoraObra = require('../src/modules/projects/models/bitacora.modelo');
+const User = require('../src/modules/users/models/usuario.modelo');
+const AuditLog = require('../src/modules/audit/models/auditoria.modelo');
+const {
+  crearEntradaBitacora,
+  actualizarEntradaBitacora,
+  firmarEntradaBitacora,
+  refrendarEntradaBitacora,
+} = require('../src/modules/projects/controllers/bitacora.controlador');
+
+const P1 = '650000000000000000000021';
+const E1 = '650000000000000000000071';
+const LIDER = { id: '650000000000000000000061', email: 'lider@pcm.local', role: 'lider de obra' };
+const AUDITOR = { id: '650000000000000000000062', email: 'auditor@auditorpcm.com', role: 'auditor' };
+const ADMIN = { id: '650000000000000000000063', email: 'admin@pcm.local', role: 'admin' };
+
+/**
+ * Proyecto del líder con una entrada (folio 4) en el estado indicado,
+ * escrita por el líder.
+ */
+const prepararBitacora = (t, { estado = 'borrador' } = {}) => {
+  const entrada = {
+    _id: E1,
+    proyecto: P1,
+    numero: 4,
+    fecha: new Date('2026-03-02T00:00:00Z'),
+    clima: { condicion: 'lluvioso', temperatura: 18, observaciones: '' },
+    personal: [{ cargo: 'Oficial', cantidad: 3 }],
+    equipos: [],
+    actividades: [{ descripcion: 'Vaciado de zapatas', tarea: null }],
+    incidentes: [],
+    fotos: [],
+    observaciones: '',
+    autor: LIDER.id,
+    estado,
+    guardado: 0,
+    set(datos) { Object.assign(entrada, datos); },
+    async save() { entrada.guardado += 1; },
+    toJSON: () => ({ ...entrada }),
+  };
+  const creadas = [];
+  const auditoria = [];
+
+  const originales = [
+    [Proyectos, 'findById', Proyectos.findById],
+    [BitacoraObra, 'findOne', BitacoraObra.findOne],
+    [BitacoraObra, 'findById', BitacoraObra.findById],
+    [BitacoraObra, 'create', BitacoraObra.create],
+    [User, 'findById', User.findById],
+    [AuditLog, 'create', AuditLog.create],
+  ];
+  t.after(() => originales.forEach(([modelo, metodo, fn]) => { modelo[metodo] = fn; }));
+
+  const proyecto = { _id: P1, title: 'Torre A', lider: { _id: LIDER.id } };
+  Proyectos.findById = () => ({ select: () => ({ populate: async () => proyecto }) });
+
+  // findOne: la entrada (obtenerEntrada) o el último folio (consecutivo)
+  BitacoraObra.findOne = () => {
+    const consulta = {
+      sort: () => consulta,
+      select: () => consulta,
+      then: (ok, error) => Promise.resolve(entrada).then(ok, error),
+    };
+    return consulta;
+  };
+  BitacoraObra.create = async (datos) => {
+    const creada = { _id: `e${creadas.length + 1}`, ...datos };
+    creadas.push(creada);
+    return creada;
+  };
+  BitacoraObra.findById = (id) => {
+    const doc = id === E1 ? entrada : creadas.find((c) => c._id === id);
+    const consulta = {
+      populate: () => consulta,
+      then: (ok, error) => Promise.resolve({ toJSON: () => ({ ...doc }) }).then(ok, error),
+    };
+    return consulta;
+  };
+  User.findById = () => ({ select: async () => ({ nombreCompleto: 'Ana Gómez' }) });
+  AuditLog.create = async (registro) => { auditoria.push(registro); return registro; };
+
+  return { entrada, creadas, auditoria };
+};
+
+const sobreEntrada = (controlador, user, body = {}) =>
+  llamarControlador(controlador, { params: { id: P1, entradaId: E1 }, body, user });
+
+test('la entrada toma el folio siguiente y descarta las filas vacías del formulario', async (t) => {
+  const { creadas } = prepararBitacora(t);
+
+  const { status, body } = await llamarControlador(crearEntradaBitacora, {
+    params: { id: P1 },
+    user: LIDER,
+    body: {
+      fecha: '2026-03-03',
+      clima: JSON.stringify({ condicion: 'soleado', temperatura: '24' }),
+      personal: JSON.stringify([{ cargo: 'Maestro', cantidad: 1 }, { cargo: ' ', cantidad: 0 }]),
+      actividades: [{ descripcion: '' }],
+    },
+  });
+
+  assert.equal(status, 201);
+  assert.equal(body.entrada.numero, 5);
+  assert.equal(creadas[0].autor, LIDER.id);
+  assert.deepEqual(creadas[0].fecha, new Date('2026-03-03T00:00:00Z'));
+  assert.deepEqual(creadas[0].clima, { condicion: 'soleado', temperatura: 24, observaciones: '' });
+  assert.deepEqual(creadas[0].personal, [{ cargo: 'Maestro', cantidad: 1 }]);
+  assert.deepEqual(creadas[0].actividades, []);
+});
+
+test('no se registran entradas de días futuros ni de proyectos de otro líder', async (t) => {
+  const { creadas } = prepararBitacora(t);
+  const manana = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const futura = await llamarControlador(crearEntradaBitacora, { params: { id: P1 }, user: LIDER, body: { fecha: manana } });
+  const ajena = await llamarControlador(crearEntradaBitacora, {
+    params: { id: P1 }, user: { ...LIDER, id: '650000000000000000000069' }, body: { fecha: '2026-03-03' },
+  });
+
+  assert.equal(futura.status, 400);
+  assert.equal(ajena.status, 403);
+  assert.equal(creadas.length, 0);
+});
+
+test('el autor firma la entrada con la huella del contenido y desde entonces es de solo lectura', async (t) => {
+  const { entrada, auditoria } = prepararBitacora(t);
+
+  const firma = await sobreEntrada(firmarEntradaBitacora, LIDER);
+  const edicion = await sobreEntrada(actualizarEntradaBitacora, LIDER, { observaciones: 'Corrección' });
+
+  assert.equal(firma.status, 200);
+  assert.equal(entrada.estado, 'firmada');
+  assert.equal(entrada.firma.nombre, 'Ana Gómez');
+  assert.match(entrada.firma.huella, /^[a-f0-9]{64}$/);
+  assert.deepEqual(auditoria.map((a) => a.action), ['FIRMAR_BITACORA']);
+  assert.equal(edicion.status, 409);
+  assert.equal(entrada.observaciones, '');
+});
+
+test('solo el autor puede firmar su entrada', async (t) => {
+  const { entrada } = prepararBitacora(t);
+
+  const { status } = await sobreEntrada(firmarEntradaBitacora, ADMIN);
+
+  assert.equal(status, 403);
+  assert.equal(entrada.estado, 'borrador');
+});
+
+test('la interventoría refrenda una sola vez las entradas firmadas de otros', async (t) => {
+  const { entrada } = prepararBitacora(t, { estado: 'firmada' });
+
+  const delLider = await sobreEntrada(refrendarEntradaBitacora, LIDER);
+  const delAuditor = await sobreEntrada(refrendarEntradaBitacora, AUDITOR, { observaciones: 'Conforme' });
+  const repetido = await sobreEntrada(refrendarEntradaBitacora, ADMIN);
+
+  assert.equal(delLider.status, 403);
+  assert.equal(delAuditor.status, 200);
+  assert.equal(entrada.estado, 'refrendada');
+  assert.deepEqual([entrada.refrendo.usuario, entrada.refrendo.observaciones], [AUDITOR.id, 'Conforme']);
+  assert.equal(repetido.status, 409);
+});
+
+test('un borrador no se refrenda', async (t) => {
+  const { entrada } = prepararBitacora(t);
+
+  const { status } = await sobreEntrada(refrendarEntradaBitacora, AUDITOR);
+
+  assert.equal(status, 409);
+  assert.equal(entrada.estado, 'borrador');
+});
@@ -0,0 +1,133 @@
+// File: BackEnd/test/conteosInventario.test.js
+// Description: Pruebas de los conteos físicos de inventario (node:test,
+//              modelos en memoria): consecutivo, resumen de diferencias y
+//              aplicación de las diferencias aprobadas sobre el saldo vigente.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarSaldosEnMemoria } = require('./apoyo/saldosEnMemoria');
+const { llamarControlador } = require('./apoyo/controlador');
+
+const ConteoInventario = require('../src/modules/inventory/models/conteoInventario.modelo');
+const MovimientoInventario = require('../src/modules/inventory/models/inventario.modelo');
+const Material = require('../src/modules/inventory/models/material.modelo');
+const Almacen = require('../src/modules/warehouses/models/almacen.modelo');
+const Proveedor = require('../src/modules/suppliers/models/proveedor.modelo');
+const AuditLog = require('../src/modules/audit/models/auditoria.modelo');
+const {
+  generarNumeroConteo,
+  calcularResumenConteo,
+} = require('../src/modules/inventory/services/conteoInventario.servicio');
+const { aplicarConteo } = require('../src/modules/inventory/controllers/conteoInventario.controlador');
+
+const M1 = '650000000000000000000001';
+const M2 = '650000000000000000000002';
+const A1 = '650000000000000000000011';
+const C1 = '650000000000000000000041';
+
+test('el resumen separa contados, pendientes, sobrantes y faltantes', () => {
+  const resumen = calcularResumenConteo({
+    items: [
+      { cantidadContada: 8, diferencia: -2 },
+      { cantidadContada: 5, diferencia: 1 },
+      { cantidadContada: 3, diferencia: 0 },
+      { cantidadContada: null, diferencia: null },
+    ],
+  });
+
+  assert.deepEqual(resumen, { total: 4, contados: 3, pendientes: 1, conDiferencia: 2, sobrantes: 1, faltantes: 1 });
+});
+
+test('el consecutivo del conteo sigue al último del año', async (t) => {
+  const original = ConteoInventario.findOne;
+  t.after(() => { ConteoInventario.findOne = original; });
+  ConteoInventario.findOne = () => ({ sort: () => ({ select: () => ({ lean: async () => ({ numero: 'CF-2026-0009' }) }) }) });
+
+  assert.equal(await generarNumeroConteo(new Date(2026, 3, 1)), 'CF-2026-0010');
+});
+
+/**
+ * Conteo en revisión de dos materiales en A1: M1 con faltante de 2 y M2
+ * con sobrante de 1.
+ */
+const prepararConteo = (t, saldos) => {
+  const estado = instalarSaldosEnMemoria({
+    saldos: saldos.map((saldo) => ({ almacen: A1, costoPromedio: 10, ...saldo })),
+    materiales: saldos.map((saldo) => ({ _id: saldo.material, cantidad: saldo.cantidad, costoPromedio: 10 })),
+  });
+  const item = (material, cantidadEsperada, cantidadContada) => ({
+    material, cantidadEsperada, cantidadContada, diferencia: cantidadContada - cantidadEsperada,
+  });
+  const conteo = {
+    _id: C1, numero: 'CF-2026-0001', almacen: A1, estado: 'en_revision', updatedAt: new Date(),
+    items: [item(M1, 10, 8), item(M2, 4, 5)],
+  };
+  conteo.items.forEach((i) => { i.toObject = () => ({ ...i }); });
+  conteo.toObject = () => ({ ...conteo });
+  const movimientos = [];
+
+  const originales = [
+    [ConteoInventario, 'findById', ConteoInventario.findById],
+    [ConteoInventario, 'findOneAndUpdate', ConteoInventario.findOneAndUpdate],
+    [ConteoInventario, 'findByIdAndUpdate', ConteoInventario.findByIdAndUpdate],
+    [Material, 'find', Material.find],
+    [Almacen, 'findById', Almacen.findById],
+    [MovimientoInventario, 'create', MovimientoInventario.create],
+    [MovimientoInventario, 'aggregate', MovimientoInventario.aggregate],
+    [Proveedor, 'find', Proveedor.find],
+    [AuditLog, 'create', AuditLog.create],
+  ];
+  t.after(() => {
+    originales.forEach(([modelo, metodo, fn]) => { modelo[metodo] = fn; });
+    estado.restaurar();
+  });
+
+  const consulta = { populate: () => consulta, then: (ok, error) => Promise.resolve(conteo).then(ok, error) };
+  ConteoInventario.findById = () => consulta;
+  ConteoInventario.findOneAndUpdate = async (filtro, { $set }) => Object.assign(conteo, $set);
+  ConteoInventario.findByIdAndUpdate = async () => conteo;
+  Material.find = async ({ _id }) =>
+    _id.$in.map((id) => ({ _id: String(id), nombre: `Material ${id}`, almacen: A1, stockMinimo: 0 }));
+  Almacen.findById = async () => ({ _id: A1, nombre: 'Principal' });
+  MovimientoInventario.create = async (docs) =>
+    docs.map((doc) => {
+      const movimiento = { _id: `mov${movimientos.length + 1}`, ...doc };
+      movimientos.push(movimiento);
+      return movimiento;
+    });
+  MovimientoInventario.aggregate = async () => [];
+  Proveedor.find = () => ({ select: () => ({ lean: async () => [] }) });
+  AuditLog.create = async () => ({});
+
+  const saldo = (material) => estado.saldos.find((s) => s.material === material);
+  return { conteo, movimientos, saldo };
+};
+
+test('solo se ajustan las diferencias aprobadas y se aplican sobre el saldo vigente', async (t) => {
+  // Después del conteo entraron 5 unidades de M1
+  const { conteo, movimientos, saldo } = prepararConteo(t, [
+    { material: M1, cantidad: 15 },
+    { material: M2, cantidad: 4 },
+  ]);
+
+  const { status } = await llamarControlador(aplicarConteo, { params: { id: C1 }, body: { aprobados: [M1] } });
+
+  assert.equal(status, 200);
+  assert.equal(saldo(M1).cantidad, 13);
+  assert.equal(saldo(M2).cantidad, 4);
+  assert.equal(conteo.estado, 'aplicado');
+  assert.deepEqual(conteo.items.map((i) => i.aprobado), [true, false]);
+  assert.equal(movimientos.length, 1);
+  assert.deepEqual([movimientos[0].stockAnterior, movimientos[0].stockNuevo, movimientos[0].costoTotal], [15, 13, 20]);
+});
+
+test('un conteo que ya no está en revisión no se aplica', async (t) => {
+  const { conteo, saldo } = prepararConteo(t, [{ material: M1, cantidad: 10 }, { material: M2, cantidad: 4 }]);
+  conteo.estado = 'aplicado';
+
+  const { status } = await llamarControlador(aplicarConteo, { params: { id: C1 }, body: { todos: true } });
+
+  assert.equal(status, 400);
+  assert.equal(saldo(M1).cantidad, 10);
+});
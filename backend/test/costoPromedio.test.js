@@ -0,0 +1,69 @@
+// File: BackEnd/test/costoPromedio.test.js
+// Description: Pruebas de la valoración por costo promedio ponderado
+//              (node:test, modelos en memoria): combinación de costos y
+//              promedio por almacén y consolidado al registrar entradas.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarSaldosEnMemoria } = require('./apoyo/saldosEnMemoria');
+const {
+  promediarCosto,
+  aplicarMovimientoEnAlmacen,
+} = require('../src/modules/inventory/services/stockAlmacen.servicio');
+
+// 10 unidades a 10 en el principal y 10 a 20 en el secundario (consolidado 15).
+const prepararSaldos = (t) => {
+  const estado = instalarSaldosEnMemoria({
+    saldos: [
+      { material: 'm1', almacen: 'a1', cantidad: 10, costoPromedio: 10 },
+      { material: 'm1', almacen: 'a2', cantidad: 10, costoPromedio: 20 },
+    ],
+    materiales: [{ _id: 'm1', cantidad: 20, costoPromedio: 15 }],
+  });
+  t.after(estado.restaurar);
+  const material = { _id: 'm1', nombre: 'Cemento', cantidad: 20, costoPromedio: 15, almacen: 'a1' };
+  const saldo = (almacen) => estado.saldos.find((s) => s.almacen === almacen);
+  return { estado, material, saldo };
+};
+
+test('promediarCosto pondera por cantidad y tolera lotes sin costo', () => {
+  assert.equal(promediarCosto(4, 10, 6, 20), 16);
+  assert.equal(promediarCosto(4, null, 6, 20), 20);
+  assert.equal(promediarCosto(4, 10, 6, undefined), 10);
+  assert.equal(promediarCosto(4, null, 6, null), null);
+  assert.equal(promediarCosto(0, 10, 0, 30), 30);                               // Sin cantidades: el más reciente
+});
+
+test('una entrada con costo recalcula el promedio del almacén y el consolidado', async (t) => {
+  const { estado, material, saldo } = prepararSaldos(t);
+
+  const resultado = await aplicarMovimientoEnAlmacen({
+    material, almacen: 'a1', tipo: 'entrada', cantidad: 10, costoUnitario: 16,
+  });
+
+  assert.equal(resultado.costoUnitario, 16);
+  assert.equal(saldo('a1').cantidad, 20);
+  assert.equal(saldo('a1').costoPromedio, 13);                               // (10 × 10 + 10 × 16) / 20
+  assert.equal(saldo('a2').costoPromedio, 20);
+  assert.equal(estado.materiales.get('m1').cantidad, 30);
+  assert.ok(Math.abs(estado.materiales.get('m1').costoPromedio - 460 / 30) < 1e-9);
+});
+
+test('una entrada sin costo no altera el promedio del almacén', async (t) => {
+  const { material, saldo } = prepararSaldos(t);
+
+  await aplicarMovimientoEnAlmacen({ material, almacen: 'a2', tipo: 'entrada', cantidad: 5 });
+
+  assert.equal(saldo('a2').cantidad, 15);
+  assert.equal(saldo('a2').costoPromedio, 20);
+});
+
+test('una salida sale al promedio del almacén sin cambiarlo', async (t) => {
+  const { material, saldo } = prepararSaldos(t);
+
+  const resultado = await aplicarMovimientoEnAlmacen({ material, almacen: 'a2', tipo: 'salida', cantidad: 4 });
+
+  assert.equal(resultado.costoUnitario, 20);
+  assert.equal(saldo('a2').costoPromedio, 20);
+});
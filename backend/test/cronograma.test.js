@@ -0,0 +1,102 @@
+// File: BackEnd/test/cronograma.test.js
+// Description: Pruebas del cronograma de proyectos (node:test): EDT,
+//              programación por ruta crítica con relaciones FS/SS/FF,
+//              restricciones de inicio, ciclos y avance real y planeado.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  armarEdt,
+  obtenerDescendientes,
+  calcularCronograma,
+  calcularAvanceTareas,
+  calcularAvancePlaneado,
+} = require('../src/modules/projects/services/cronograma.servicio');
+
+const proyecto = { startDate: new Date('2026-03-01T00:00:00Z'), endDate: new Date('2026-03-20T00:00:00Z') };
+
+const tarea = (id, datos = {}) => ({ _id: id, nombre: id, duracion: 0, predecesoras: [], porcentajeAvance: 0, ...datos });
+
+/**
+ * Obra (resumen) con excavación → cimentación; instalaciones empieza 2 días
+ * después de la cimentación (SS) y la entrega es un hito al terminarla.
+ */
+const tareasObra = () => [
+  tarea('t5', { nombre: 'Entrega', orden: 3, predecesoras: [{ tarea: 't3' }] }),
+  tarea('t1', { nombre: 'Obra', orden: 1 }),
+  tarea('t3', { nombre: 'Cimentación', padre: 't1', orden: 2, duracion: 10, porcentajeAvance: 50, predecesoras: [{ tarea: 't2', tipo: 'FS' }] }),
+  tarea('t2', { nombre: 'Excavación', padre: 't1', orden: 1, duracion: 5, porcentajeAvance: 100 }),
+  tarea('t4', { nombre: 'Instalaciones', orden: 2, duracion: 4, predecesoras: [{ tarea: 't3', tipo: 'SS', desfase: 2 }] }),
+];
+
+test('la EDT numera las tareas por nivel y orden, y un padre borrado deja la tarea en el primer nivel', () => {
+  const edt = armarEdt([...tareasObra(), tarea('t6', { padre: 'borrada', orden: 4 })]);
+
+  assert.deepEqual(edt.map((t) => [t.id, t.codigo, t.nivel, t.esResumen]), [
+    ['t1', '1', 1, true], ['t2', '1.1', 2, false], ['t3', '1.2', 2, false],
+    ['t4', '2', 1, false], ['t5', '3', 1, false], ['t6', '4', 1, false],
+  ]);
+  assert.deepEqual(edt[0].hijos, ['t2', 't3']);
+});
+
+test('los descendientes incluyen la tarea y todas sus subtareas', () => {
+  const tareas = [...tareasObra(), tarea('t7', { padre: 't3' })];
+
+  assert.deepEqual([...obtenerDescendientes(tareas, 't1')].sort(), ['t1', 't2', 't3', 't7']);
+  assert.deepEqual([...obtenerDescendientes(tareas, 't4')], ['t4']);
+});
+
+test('el cronograma calcula fechas tempranas, holguras y la ruta crítica', () => {
+  const { tareas, resumen } = calcularCronograma(proyecto, tareasObra());
+  const porId = new Map(tareas.map((t) => [t.id, t]));
+
+  assert.deepEqual(
+    ['t2', 't3', 't4', 't5'].map((id) => [porId.get(id).inicioTemprano, porId.get(id).finTemprano, porId.get(id).holgura]),
+    [[0, 5, 0], [5, 15, 0], [7, 11, 4], [15, 15, 0]]
+  );
+  assert.deepEqual(resumen.rutaCritica, ['t2', 't3', 't5']);
+  assert.deepEqual(porId.get('t3').fin, new Date('2026-03-15T00:00:00Z'));
+  assert.deepEqual(porId.get('t5').inicio, new Date('2026-03-16T00:00:00Z'));
+
+  // La tarea resumen consolida a sus subtareas
+  const obra = porId.get('t1');
+  assert.deepEqual([obra.inicioTemprano, obra.finTemprano, obra.critica, obra.porcentajeAvance], [0, 15, true, 66.7]);
+
+  assert.equal(resumen.duracionCalculada, 15);
+  assert.deepEqual(resumen.finCalculado, new Date('2026-03-15T00:00:00Z'));
+  assert.equal(resumen.desfaseDias, -5);
+});
+
+test('FF, desfases y restricciones de inicio mueven el inicio temprano', () => {
+  const { tareas } = calcularCronograma(proyecto, [
+    tarea('a', { duracion: 6 }),
+    tarea('b', { duracion: 2, predecesoras: [{ tarea: 'a', tipo: 'FF', desfase: 1 }] }),
+    tarea('c', { duracion: 1, inicioRestringido: new Date('2026-03-11T00:00:00Z'), predecesoras: [{ tarea: 'a' }] }),
+    tarea('d', { duracion: 3, predecesoras: [{ tarea: 'borrada' }, { tarea: 'd' }] }),
+  ]);
+
+  assert.deepEqual(tareas.map((t) => [t.id, t.inicioTemprano]), [['a', 0], ['b', 5], ['c', 10], ['d', 0]]);
+});
+
+test('las dependencias circulares se rechazan', () => {
+  assert.throws(
+    () => calcularCronograma(proyecto, [
+      tarea('a', { nombre: 'Muros', duracion: 2, predecesoras: [{ tarea: 'b' }] }),
+      tarea('b', { nombre: 'Techo', duracion: 2, predecesoras: [{ tarea: 'a' }] }),
+    ]),
+    (error) => error.statusCode === 400 && /ciclo entre: 1 Muros, 2 Techo/.test(error.message)
+  );
+});
+
+test('el avance se pondera por duración y el planeado por los días transcurridos', () => {
+  // (5 × 100 + 10 × 50 + 4 × 0 + 0) / 19
+  assert.equal(calcularAvanceTareas(tareasObra()), 52.6);
+  assert.equal(calcularAvanceTareas([]), null);
+  assert.equal(calcularAvanceTareas([tarea('h1', { porcentajeAvance: 100 }), tarea('h2')]), 50);
+
+  // Al día 7: excavación completa y 2 de 10 días de cimentación → (5 × 100 + 10 × 20) / 19
+  assert.equal(calcularAvancePlaneado(proyecto, tareasObra(), new Date('2026-03-08T00:00:00Z')), 36.8);
+  assert.equal(calcularAvancePlaneado(proyecto, tareasObra(), new Date('2026-04-01T00:00:00Z')), 100);
+  assert.equal(calcularAvancePlaneado(proyecto, []), null);
+});
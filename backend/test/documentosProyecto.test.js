@@ -0,0 +1,201 @@
+// File: BackEnd/test/documentosProyecto.test.js
+// Description: Pruebas del control de versiones de los adjuntos de proyectos
+//              (node:test, subdocumentos sin base de datos): letras de
+//              revisión, nuevas revisiones, adjuntos heredados, descarte de
+//              la revisión vigente y rondas de aprobación de entregables.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { llamarControlador } = require('./apoyo/controlador');
+
+const Proyectos = require('../src/modules/projects/models/proyecto.modelo');
+const User = require('../src/modules/users/models/usuario.modelo');
+const Alerta = require('../src/modules/alerts/models/alerta.modelo');
+const AuditLog = require('../src/modules/audit/models/auditoria.modelo');
+const {
+  siguienteRevision,
+  datosArchivo,
+  primeraVersion,
+  asegurarVersiones,
+  agregarVersion,
+  obtenerVersion,
+  rutasArchivos,
+  descartarVersionVigente,
+  versionEnCuarentena,
+  estadoAprobacion,
+  etiquetaAprobacion,
+} = require('../src/modules/projects/services/documentosProyecto.servicio');
+const {
+  enviarAdjuntoAAprobacion,
+  decidirAprobacionAdjunto,
+} = require('../src/modules/projects/controllers/documentosProyecto.controlador');
+
+const P1 = '650000000000000000000021';
+const U1 = '650000000000000000000061';
+const CLIENTE = '650000000000000000000064';
+const LIDER = { id: U1, email: 'lider@pcm.local', role: 'lider de obra' };
+const CLIENTE_USUARIO = { id: CLIENTE, email: 'cliente@pcm.local', role: 'cliente' };
+const ADMIN = { id: '650000000000000000000063', email: 'admin@pcm.local', role: 'admin' };
+
+/**
+ * Adjunto (subdocumento real del proyecto) con los campos indicados.
+ */
+const crearAdjunto = (campos) => new Proyectos({ _id: P1, adjuntos: [campos] }).adjuntos[0];
+
+const archivo = (nombre) => datosArchivo(
+  { originalname: `${nombre}.pdf`, filename: `${nombre}-123.pdf`, mimetype: 'application/pdf', size: 2048 },
+  P1
+);
+
+test('las revisiones siguen la secuencia A, B… Z, AA, AB… AZ, BA', () => {
+  assert.equal(siguienteRevision('A'), 'B');
+  assert.equal(siguienteRevision('z'), 'AA');
+  assert.equal(siguienteRevision('AZ'), 'BA');
+  assert.equal(siguienteRevision('ZZ'), 'AAA');
+  assert.equal(siguienteRevision(''), 'A');
+  assert.equal(siguienteRevision('R1'), 'A');
+});
+
+test('el archivo recibido usa la clave del almacenamiento o la carpeta del proyecto', () => {
+  assert.equal(archivo('plano').ruta, `uploads/proyectos/${P1}/plano-123.pdf`);
+  assert.equal(
+    datosArchivo({ originalname: 'a.pdf', filename: 'a.pdf', mimetype: 'application/pdf', size: 1, clave: 'cuarentena/x/a.pdf' }, P1).ruta,
+    'cuarentena/x/a.pdf'
+  );
+});
+
+test('una nueva revisión queda vigente y la anterior conserva su archivo', () => {
+  const adjunto = crearAdjunto({ ...archivo('plano'), ...primeraVersion(archivo('plano'), { autor: U1, nota: 'Emisión' }) });
+
+  const version = agregarVersion(adjunto, archivo('plano-rev'), { autor: U1, nota: 'Ajuste de cotas' });
+
+  assert.deepEqual([adjunto.revision, adjunto.nombreArchivo, adjunto.versiones.length], ['B', 'plano-rev-123.pdf', 2]);
+  assert.equal(String(adjunto.versionActual), String(version._id));
+  assert.equal(obtenerVersion(adjunto).nota, 'Ajuste de cotas');
+  assert.equal(obtenerVersion(adjunto, adjunto.versiones[0]._id).ruta, `uploads/proyectos/${P1}/plano-123.pdf`);
+  assert.deepEqual(rutasArchivos(adjunto), [
+    `uploads/proyectos/${P1}/plano-rev-123.pdf`,
+    `uploads/proyectos/${P1}/plano-123.pdf`,
+  ]);
+});
+
+test('un adjunto anterior al control de versiones toma su archivo como revisión vigente', () => {
+  const adjunto = crearAdjunto({ ...archivo('memoria'), subidoPor: U1 });
+
+  assert.equal(asegurarVersiones(adjunto), true);
+  assert.equal(asegurarVersiones(adjunto), false);
+  assert.equal(adjunto.versiones.length, 1);
+  assert.equal(String(adjunto.versiones[0].autor), U1);
+  assert.equal(String(adjunto.versionActual), String(adjunto.versiones[0]._id));
+
+  agregarVersion(adjunto, archivo('memoria-rev'));
+  assert.deepEqual(adjunto.versiones.map((v) => v.revision), ['A', 'B']);
+});
+
+test('descartar la revisión vigente devuelve el documento a la anterior', () => {
+  const adjunto = crearAdjunto({ ...archivo('plano'), ...primeraVersion(archivo('plano')) });
+  agregarVersion(adjunto, { ...archivo('retenido'), ruta: 'cuarentena/uploads/proyectos/x/retenido.pdf' });
+
+  const { version, quedaDocumento } = descartarVersionVigente(adjunto);
+
+  assert.equal(quedaDocumento, true);
+  assert.equal(versionEnCuarentena(version), true);
+  assert.deepEqual([adjunto.revision, adjunto.nombreArchivo, adjunto.versiones.length], ['A', 'plano-123.pdf', 1]);
+
+  // Con una sola revisión el documento completo debe eliminarse
+  assert.equal(descartarVersionVigente(adjunto).quedaDocumento, false);
+  assert.equal(adjunto.versiones.length, 1);
+});
+
+/**
+ * Proyecto del líder y su cliente con un plano en revisión A. Las alertas
+ * y la auditoría quedan en memoria.
+ */
+const prepararAprobacion = (t) => {
+  const proyecto = new Proyectos({
+    _id: P1, title: 'Torre A', lider: U1, cliente: CLIENTE,
+    adjuntos: [{ ...archivo('plano'), ...primeraVersion(archivo('plano')) }],
+  });
+  proyecto.save = async () => proyecto;
+  const adjunto = proyecto.adjuntos[0];
+  const alertas = [];
+  const auditoria = [];
+
+  const originales = [
+    [Proyectos, 'findById', Proyectos.findById],
+    [User, 'findById', User.findById],
+    [AuditLog, 'create', AuditLog.create],
+    [Alerta.prototype, 'save', Alerta.prototype.save],
+  ];
+  t.after(() => originales.forEach(([modelo, metodo, fn]) => { modelo[metodo] = fn; }));
+
+  Proyectos.findById = async () => proyecto;
+  User.findById = () => ({ select: async () => ({ nombreCompleto: 'Revisor' }) });
+  AuditLog.create = async (registro) => { auditoria.push(registro.action); return registro; };
+  Alerta.prototype.save = async function guardar() { alertas.push(this); return this; };
+
+  return { proyecto, adjunto, alertas, auditoria };
+};
+
+const sobreAdjunto = (controlador, adjunto, user, body) =>
+  llamarControlador(controlador, { params: { id: P1, adjuntoId: String(adjunto._id) }, user, body });
+
+test('la revisión enviada al admin y al cliente queda aprobada cuando ambos aprueban', async (t) => {
+  const { adjunto, alertas, auditoria } = prepararAprobacion(t);
+
+  const envio = await sobreAdjunto(enviarAdjuntoAAprobacion, adjunto, LIDER, { revisores: 'admin, cliente' });
+  assert.equal(envio.status, 201);
+  assert.equal(estadoAprobacion(adjunto), 'en_revision');
+  assert.deepEqual(alertas.map((a) => (a.usuario ? String(a.usuario) : null)), [null, CLIENTE]);
+
+  await sobreAdjunto(decidirAprobacionAdjunto, adjunto, CLIENTE_USUARIO, { decision: 'aprobar' });
+  assert.equal(estadoAprobacion(adjunto), 'en_revision');
+
+  const repetida = await sobreAdjunto(decidirAprobacionAdjunto, adjunto, CLIENTE_USUARIO, { decision: 'aprobar' });
+  assert.equal(repetida.status, 403);
+
+  await sobreAdjunto(decidirAprobacionAdjunto, adjunto, ADMIN, { decision: 'aprobar' });
+  assert.equal(estadoAprobacion(adjunto), 'aprobado');
+  assert.equal(etiquetaAprobacion(estadoAprobacion(adjunto)), 'Aprobado');
+  assert.deepEqual(auditoria, ['ENVIAR_DOCUMENTO_APROBACION', 'APROBAR_DOCUMENTO', 'APROBAR_DOCUMENTO']);
+  assert.match(alertas[alertas.length - 1].message, /quedó aprobado/);
+
+  const reenvio = await sobreAdjunto(enviarAdjuntoAAprobacion, adjunto, LIDER, { revisores: 'admin' });
+  assert.equal(reenvio.status, 409);
+});
+
+test('un rechazo exige comentario y cierra la ronda', async (t) => {
+  const { adjunto } = prepararAprobacion(t);
+  await sobreAdjunto(enviarAdjuntoAAprobacion, adjunto, LIDER, { revisores: ['admin', 'cliente'] });
+
+  const sinMotivo = await sobreAdjunto(decidirAprobacionAdjunto, adjunto, ADMIN, { decision: 'rechazar' });
+  assert.equal(sinMotivo.status, 400);
+
+  await sobreAdjunto(decidirAprobacionAdjunto, adjunto, ADMIN, { decision: 'rechazar', comentario: 'Faltan cotas' });
+  assert.equal(estadoAprobacion(adjunto), 'rechazado');
+  assert.equal(adjunto.aprobaciones[0].revisores[1].estado, 'pendiente');
+});
+
+test('una nueva revisión del archivo exige una nueva ronda de aprobación', async (t) => {
+  const { adjunto } = prepararAprobacion(t);
+  await sobreAdjunto(enviarAdjuntoAAprobacion, adjunto, LIDER, {});
+
+  agregarVersion(adjunto, archivo('plano-rev'));
+
+  assert.equal(estadoAprobacion(adjunto), 'sin_enviar');
+  const decision = await sobreAdjunto(decidirAprobacionAdjunto, adjunto, ADMIN, { decision: 'aprobar' });
+  assert.equal(decision.status, 409);
+  assert.match(decision.body.message, /nueva revisión/);
+});
+
+test('solo el líder asignado o el admin envían documentos, a revisores válidos', async (t) => {
+  const { adjunto } = prepararAprobacion(t);
+
+  const cliente = await sobreAdjunto(enviarAdjuntoAAprobacion, adjunto, CLIENTE_USUARIO, {});
+  const revisorInvalido = await sobreAdjunto(enviarAdjuntoAAprobacion, adjunto, LIDER, { revisores: 'auditor' });
+
+  assert.equal(cliente.status, 403);
+  assert.equal(revisorInvalido.status, 400);
+  assert.equal(adjunto.aprobaciones.length, 0);
+});
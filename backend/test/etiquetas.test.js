@@ -0,0 +1,53 @@
+// File: BackEnd/test/etiquetas.test.js
+// Description: Pruebas de las etiquetas QR (node:test): formato de los
+//              códigos, lectura de lo escaneado y hoja de etiquetas en PDF.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('node:stream');
+
+const {
+  codigoEtiquetaMaterial,
+  codigoEtiquetaAlmacen,
+  interpretarCodigoEtiqueta,
+  generarHojaEtiquetas,
+} = require('../src/modules/inventory/services/etiqueta.servicio');
+
+const M1 = '650000000000000000000001';
+const A1 = '650000000000000000000011';
+
+test('los códigos identifican un material, su ubicación en un almacén o un almacén', () => {
+  assert.equal(codigoEtiquetaMaterial(M1), `PCM-MAT:${M1}`);
+  assert.equal(codigoEtiquetaMaterial(M1, A1), `PCM-MAT:${M1}@${A1}`);
+  assert.equal(codigoEtiquetaAlmacen(A1), `PCM-ALM:${A1}`);
+});
+
+test('un código escaneado se interpreta con espacios, minúsculas o como id suelto', () => {
+  assert.deepEqual(interpretarCodigoEtiqueta(codigoEtiquetaMaterial(M1, A1)), { tipo: 'material', material: M1, almacen: A1 });
+  assert.deepEqual(interpretarCodigoEtiqueta(` pcm-alm:${A1.toUpperCase()} `), { tipo: 'almacen', material: null, almacen: A1 });
+  assert.deepEqual(interpretarCodigoEtiqueta(M1), { tipo: 'material', material: M1, almacen: null });
+});
+
+test('lo que no es un código PCM no se interpreta', () => {
+  assert.equal(interpretarCodigoEtiqueta('PCM-MAT:123'), null);
+  assert.equal(interpretarCodigoEtiqueta(`PCM-MAT:${M1}@bodega`), null);
+  assert.equal(interpretarCodigoEtiqueta(`PCM-XYZ:${M1}`), null);
+  assert.equal(interpretarCodigoEtiqueta(''), null);
+});
+
+test('la hoja de etiquetas es un PDF con una página por cada 24 etiquetas', async () => {
+  const destino = new PassThrough();
+  const partes = [];
+  destino.on('data', (parte) => partes.push(parte));
+  const terminado = new Promise((resolve) => destino.on('end', resolve));
+
+  const etiquetas = Array.from({ length: 25 }, (_, i) => ({
+    codigo: codigoEtiquetaMaterial(M1, A1), titulo: `Material ${i + 1}`, subtitulo: 'Principal',
+  }));
+  await generarHojaEtiquetas(etiquetas, destino);
+  await terminado;
+
+  const pdf = Buffer.concat(partes).toString('latin1');
+  assert.ok(pdf.startsWith('%PDF'));
+  assert.match(pdf, /\/Count 2\b/);
+});
@@ -0,0 +1,99 @@
+// File: BackEnd/test/fotosProyecto.test.js
+// Description: Pruebas de las fotos de avance de proyectos (node:test,
+//              almacenamiento local en una carpeta temporal): miniatura y
+//              dimensiones de la foto, y galería por día y por actividad.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+// El driver local se crea al primer uso: la raíz temporal debe fijarse antes
+const RAIZ = fs.mkdtempSync(path.join(os.tmpdir(), 'pcm-fotos-'));
+process.env.ALMACENAMIENTO_DRIVER = 'local';
+process.env.ALMACENAMIENTO_LOCAL_RAIZ = RAIZ;
+
+const { obtenerAlmacenamiento } = require('../src/core/services/almacenamiento.servicio');
+const {
+  esFotoProcesable,
+  procesarFoto,
+  armarGaleria,
+} = require('../src/modules/projects/services/fotosProyecto.servicio');
+
+test.after(() => fs.rmSync(RAIZ, { recursive: true, force: true }));
+
+test('solo las imágenes JPG, PNG, WEBP y TIFF se procesan como fotos', () => {
+  assert.equal(esFotoProcesable('image/jpeg'), true);
+  assert.equal(esFotoProcesable('IMAGE/PNG'), true);
+  assert.equal(esFotoProcesable('image/gif'), false);
+  assert.equal(esFotoProcesable('application/pdf'), false);
+  assert.equal(esFotoProcesable(undefined), false);
+});
+
+test('la foto queda con su miniatura junto al original y sus dimensiones', async () => {
+  const original = await sharp({ create: { width: 1200, height: 600, channels: 3, background: '#777' } }).jpeg().toBuffer();
+  await obtenerAlmacenamiento().guardar('uploads/proyectos/p1/avance.jpg', original);
+
+  const foto = await procesarFoto('/uploads/proyectos/p1/avance.jpg');
+
+  assert.equal(foto.miniatura, 'uploads/proyectos/p1/miniaturas/avance.jpg');
+  assert.deepEqual([foto.ancho, foto.alto, foto.fechaCaptura, foto.latitud], [1200, 600, null, null]);
+  const miniatura = await sharp(await obtenerAlmacenamiento().leer(foto.miniatura)).metadata();
+  assert.deepEqual([miniatura.width, miniatura.height], [480, 240]);
+});
+
+test('si la imagen no se puede leer el adjunto se guarda sin datos de foto', async () => {
+  await obtenerAlmacenamiento().guardar('uploads/proyectos/p1/danada.jpg', Buffer.from('no es una imagen'));
+
+  const danada = await procesarFoto('uploads/proyectos/p1/danada.jpg');
+  const inexistente = await procesarFoto('uploads/proyectos/p1/no-existe.jpg');
+
+  assert.equal(danada.miniatura, undefined);
+  assert.deepEqual(inexistente, { fechaCaptura: null, latitud: null, longitud: null, altitud: null });
+});
+
+/**
+ * Adjunto de imagen con los datos de foto indicados.
+ */
+const adjunto = (id, fechaSubida, foto = {}, extra = {}) => ({
+  _id: id, nombreOriginal: `${id}.jpg`, tipoMime: 'image/jpeg', ruta: `uploads/proyectos/p1/${id}.jpg`,
+  fechaSubida: new Date(fechaSubida), foto, ...extra,
+});
+
+const proyecto = {
+  criteriosAvance: [{ _id: 'c1', nombre: 'Estructura' }],
+  adjuntos: [
+    adjunto('f1', '2026-03-05T15:00:00Z', { tarea: 't1' }),
+    adjunto('f2', '2026-03-06T10:00:00Z', { fechaCaptura: new Date('2026-03-04T09:00:00Z'), criterio: 'c1' }),
+    adjunto('f3', '2026-03-05T08:00:00Z', { tarea: 't1' }),
+    adjunto('f4', '2026-03-07T08:00:00Z', { tarea: 'borrada' }),
+    adjunto('f5', '2026-03-07T09:00:00Z'),
+    adjunto('f6', '2026-03-07T09:00:00Z', {}, { cuarentena: { estado: 'pendiente' } }),
+    adjunto('acta', '2026-03-07T09:00:00Z', {}, { tipoMime: 'application/pdf' }),
+  ],
+};
+
+test('la galería ordena por fecha de captura y agrupa por día y por actividad', () => {
+  const galeria = armarGaleria(proyecto, [{ _id: 't1', nombre: 'Excavación' }]);
+
+  assert.equal(galeria.total, 5);
+  assert.deepEqual(galeria.dias, [
+    { fecha: '2026-03-07', fotos: ['f5', 'f4'] },
+    { fecha: '2026-03-05', fotos: ['f1', 'f3'] },
+    { fecha: '2026-03-04', fotos: ['f2'] },
+  ]);
+  assert.deepEqual(galeria.actividades.map((a) => [a.tipo, a.nombre, a.fotos]), [
+    ['tarea', 'Excavación', ['f1', 'f3']],
+    ['tarea', 'Tarea eliminada', ['f4']],
+    ['criterio', 'Estructura', ['f2']],
+    ['sin', 'Sin actividad', ['f5']],
+  ]);
+});
+
+test('el filtro de fechas incluye todo el día final', () => {
+  const galeria = armarGaleria(proyecto, [], { desde: '2026-03-05', hasta: '2026-03-05' });
+
+  assert.deepEqual(galeria.fotos.map((f) => f._id), ['f1', 'f3']);
+});
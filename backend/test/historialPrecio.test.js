@@ -0,0 +1,103 @@
+// File: BackEnd/test/historialPrecio.test.js
+// Description: Pruebas del historial de precios de materiales (node:test,
+//              colección en memoria): registro de ediciones con el precio
+//              previo y precio vigente en una fecha.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const HistorialPrecio = require('../src/modules/inventory/models/historialPrecio.modelo');
+const {
+  registrarPrecio,
+  obtenerPrecioEnFecha,
+  obtenerHistorialPrecios,
+} = require('../src/modules/inventory/services/historialPrecio.servicio');
+
+/**
+ * Sustituye HistorialPrecio por una colección en memoria que entiende los
+ * filtros por material y rango de fecha que usa el servicio.
+ */
+const prepararHistorial = (t, iniciales = []) => {
+  const registros = iniciales.map((r) => ({ ...r, fecha: new Date(r.fecha) }));
+  const originales = ['create', 'exists', 'findOne', 'find'].map((m) => [m, HistorialPrecio[m]]);
+  t.after(() => originales.forEach(([metodo, fn]) => { HistorialPrecio[metodo] = fn; }));
+
+  const cumple = (r, { material, fecha = {} }) =>
+    r.material === material &&
+    (!fecha.$lte || r.fecha <= fecha.$lte) &&
+    (!fecha.$lt || r.fecha < fecha.$lt) &&
+    (!fecha.$gte || r.fecha >= fecha.$gte);
+  const ordenados = (filtro, sentido) =>
+    registros.filter((r) => cumple(r, filtro)).sort((a, b) => sentido * (a.fecha - b.fecha));
+  const conSesion = (valor) => {
+    const promesa = Promise.resolve(valor);
+    promesa.session = () => promesa;
+    return promesa;
+  };
+
+  HistorialPrecio.create = async (docs) => docs.map((doc) => {
+    const registro = { ...doc, fecha: new Date(doc.fecha) };
+    registros.push(registro);
+    return registro;
+  });
+  HistorialPrecio.exists = (filtro) => conSesion(registros.some((r) => cumple(r, filtro)) ? { _id: 'h' } : null);
+  HistorialPrecio.findOne = (filtro) => ({
+    sort: ({ fecha }) => ({ lean: async () => ordenados(filtro, fecha)[0] || null }),
+  });
+  HistorialPrecio.find = (filtro) => {
+    const resultado = { sort: () => resultado, populate: () => resultado, lean: async () => ordenados(filtro, 1) };
+    return resultado;
+  };
+  return registros;
+};
+
+const material = { _id: 'm1', precioUnitario: 32000, createdAt: new Date('2025-06-01') };
+
+test('la primera edición de un material legado guarda también el precio previo', async (t) => {
+  const registros = prepararHistorial(t);
+
+  await registrarPrecio({
+    material, precio: 35000, precioAnterior: 32000, origen: 'edicion', fecha: new Date('2026-03-01'),
+  });
+  await registrarPrecio({
+    material, precio: 36000, precioAnterior: 35000, origen: 'edicion', fecha: new Date('2026-04-01'),
+  });
+
+  assert.deepEqual(registros.map((r) => [r.origen, r.precio]), [
+    ['creacion', 32000],
+    ['edicion', 35000],
+    ['edicion', 36000],
+  ]);
+  assert.deepEqual(registros[0].fecha, material.createdAt);
+});
+
+test('el precio en una fecha es el último registrado hasta ese día inclusive', async (t) => {
+  prepararHistorial(t, [
+    { material: 'm1', precio: 30000, fecha: '2026-01-10', origen: 'creacion' },
+    { material: 'm1', precio: 34000, fecha: '2026-03-15T15:00:00Z', origen: 'entrada' },
+  ]);
+
+  assert.equal((await obtenerPrecioEnFecha(material, '2026-03-14')).precio, 30000);
+  assert.equal((await obtenerPrecioEnFecha(material, '2026-03-15')).precio, 34000);
+  assert.equal(await obtenerPrecioEnFecha(material, '2025-12-31'), null);
+});
+
+test('un material sin historial responde con su precio actual', async (t) => {
+  prepararHistorial(t);
+
+  const precio = await obtenerPrecioEnFecha(material, '2026-01-01');
+
+  assert.deepEqual([precio.precio, precio.origen], [32000, 'actual']);
+});
+
+test('el historial de un rango trae el precio vigente al inicio', async (t) => {
+  prepararHistorial(t, [
+    { material: 'm1', precio: 30000, fecha: '2025-01-10', origen: 'creacion' },
+    { material: 'm1', precio: 34000, fecha: '2026-02-01', origen: 'entrada' },
+  ]);
+
+  const historial = await obtenerHistorialPrecios(material, { desde: '2026-01-01', hasta: '2026-06-30' });
+
+  assert.equal(historial.precioInicial, 30000);
+  assert.deepEqual(historial.registros.map((r) => r.precio), [34000]);
+});
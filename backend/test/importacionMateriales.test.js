@@ -0,0 +1,118 @@
+// File: BackEnd/test/importacionMateriales.test.js
+// Description: Pruebas de la importación masiva de materiales (node:test,
+//              consultas sustituidas): lectura del CSV, números y fechas de
+//              hoja de cálculo, y análisis previo de las filas.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Material = require('../src/modules/inventory/models/material.modelo');
+const Almacen = require('../src/modules/warehouses/models/almacen.modelo');
+const {
+  normalizarEncabezado,
+  leerHojaCalculo,
+  leerNumero,
+  leerFecha,
+} = require('../src/core/services/hojaCalculo.servicio');
+const { analizarImportacionMateriales } = require('../src/modules/inventory/services/importacionMaterial.servicio');
+
+const A1 = '650000000000000000000011';
+
+test('los encabezados se comparan sin tildes, espacios ni mayúsculas', () => {
+  assert.equal(normalizarEncabezado(' Stock Mínimo '), 'stockminimo');
+  assert.equal(normalizarEncabezado('CATEGORÍA'), 'categoria');
+  assert.equal(normalizarEncabezado(undefined), '');
+});
+
+test('los números aceptan coma o punto decimal y separadores de miles', () => {
+  assert.equal(leerNumero('1.250,50'), 1250.5);
+  assert.equal(leerNumero('1,250.50'), 1250.5);
+  assert.equal(leerNumero('$ 3.500'), 3500);
+  assert.equal(leerNumero('1.000.000'), 1000000);
+  assert.equal(leerNumero('0.125'), 0.125);
+  assert.equal(leerNumero('2,5'), 2.5);
+  assert.equal(leerNumero(7), 7);
+  assert.equal(leerNumero(''), null);
+  assert.ok(Number.isNaN(leerNumero('diez')));
+});
+
+test('las fechas aceptan ISO, día/mes/año y la serie de Excel, sin correr fechas imposibles', () => {
+  const iso = new Date(Date.UTC(2026, 2, 5));
+  assert.deepEqual(leerFecha('2026-03-05'), iso);
+  assert.deepEqual(leerFecha('05/03/2026'), iso);
+  assert.deepEqual(leerFecha('5-3-2026'), iso);
+  assert.deepEqual(leerFecha(46086), iso);
+  assert.equal(leerFecha(' '), null);
+  assert.ok(Number.isNaN(leerFecha('31/02/2026').getTime()));
+  assert.ok(Number.isNaN(leerFecha('marzo 5').getTime()));
+});
+
+test('el CSV de Excel (punto y coma, BOM y comillas) se lee por encabezado normalizado', async () => {
+  const csv = '\uFEFFNombre;Categoría;Observación\r\n"Cemento; gris";Obra gris;"dice ""50 kg"""\r\n;;\r\nArena;Agregados;\r\n';
+
+  const { encabezados, filas } = await leerHojaCalculo(Buffer.from(csv, 'utf8'), 'materiales.csv');
+
+  assert.deepEqual(encabezados, ['Nombre', 'Categoría', 'Observación']);
+  assert.deepEqual(filas, [
+    { fila: 2, valores: { nombre: 'Cemento; gris', categoria: 'Obra gris', observacion: 'dice "50 kg"' } },
+    { fila: 4, valores: { nombre: 'Arena', categoria: 'Agregados', observacion: '' } },
+  ]);
+});
+
+test('se rechazan formatos no soportados y archivos sin datos', async () => {
+  await assert.rejects(leerHojaCalculo(Buffer.from('x'), 'materiales.pdf'), /Formato no soportado/);
+  await assert.rejects(leerHojaCalculo(Buffer.from('\n\n'), 'materiales.csv'), /no tiene datos/);
+  await assert.rejects(leerHojaCalculo(Buffer.from('nombre;unidad\n'), 'materiales.csv'), /solo tiene encabezados/);
+});
+
+/**
+ * Almacén "Principal" con un cemento gris en kg ya registrado.
+ */
+const prepararCatalogo = (t) => {
+  const originales = [
+    [Almacen, 'find', Almacen.find],
+    [Material, 'find', Material.find],
+  ];
+  t.after(() => originales.forEach(([modelo, metodo, fn]) => { modelo[metodo] = fn; }));
+
+  const consulta = (docs) => () => ({ select: () => ({ lean: async () => docs }) });
+  Almacen.find = consulta([{ _id: A1, nombre: 'Principal' }]);
+  Material.find = consulta([{ _id: 'm1', nombre: 'Cemento gris', categoria: 'Obra gris', unidad: 'kg', almacen: A1 }]);
+};
+
+const ENCABEZADOS = ['Nombre', 'Categoría', 'Unidad', 'Precio', 'Stock mínimo', 'Almacén', 'Cantidad'];
+const fila = (numero, [nombre, categoria, unidad, precio, stockminimo, almacen, cantidad]) => ({
+  fila: numero,
+  valores: { nombre, categoria, unidad, precio, stockminimo, almacen, cantidad },
+});
+
+test('el análisis marca filas válidas, con errores y duplicadas contra la base o el archivo', async (t) => {
+  prepararCatalogo(t);
+
+  const { filas, resumen } = await analizarImportacionMateriales({
+    encabezados: ENCABEZADOS,
+    filas: [
+      fila(2, ['Arena', 'Agregados', 'm3', '85.000', '2', 'principal', '10']),
+      fila(3, ['CEMENTO GRIS', 'Obra Gris', 'KG', '700', '50', A1, '']),
+      fila(4, ['arena', 'agregados', 'M3', '90000', '0', 'Principal', '']),
+      fila(5, ['Varilla', '', 'und', '-1', '5', 'Bodega norte', '']),
+    ],
+  });
+
+  assert.deepEqual(filas.map((f) => f.estado), ['valida', 'duplicado', 'duplicado', 'error']);
+  assert.equal(filas[0].datos.precioUnitario, 85000);
+  assert.match(filas[2].errores[0], /Repite la fila 2/);
+  assert.equal(filas[3].errores.length, 3);
+  assert.deepEqual(resumen, {
+    total: 4, validas: 1, conErrores: 1, duplicados: 2, conStockInicial: 1, valorInicial: 850000,
+  });
+});
+
+test('sin las columnas obligatorias no se analiza el archivo', async (t) => {
+  prepararCatalogo(t);
+
+  await assert.rejects(
+    analizarImportacionMateriales({ encabezados: ['Nombre', 'Unidad', 'Precio'], filas: [] }),
+    (error) => error.statusCode === 400 && /Faltan columnas obligatorias: categoria, stockminimo, almacen/.test(error.message)
+  );
+});
@@ -0,0 +1,105 @@
+// File: BackEnd/test/importacionProyectos.test.js
+// Description: Pruebas de la importación masiva de proyectos (node:test,
+//              modelos sustituidos): análisis previo de las filas (cliente,
+//              líder, fechas y duplicados) y creación del proyecto importado.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Proyectos = require('../src/modules/projects/models/proyecto.modelo');
+const User = require('../src/modules/users/models/usuario.modelo');
+const Alerta = require('../src/modules/alerts/models/alerta.modelo');
+const {
+  analizarImportacionProyectos,
+  crearProyectoImportado,
+} = require('../src/modules/projects/services/importacionProyecto.servicio');
+
+const U1 = '650000000000000000000051';
+const U2 = '650000000000000000000052';
+
+/**
+ * Un cliente, un líder de obra y un proyecto "Torre A" en Cali ya registrados.
+ */
+const prepararBase = (t) => {
+  const originales = [
+    [User, 'find', User.find],
+    [Proyectos, 'find', Proyectos.find],
+    [Proyectos, 'create', Proyectos.create],
+    [Alerta, 'insertMany', Alerta.insertMany],
+  ];
+  t.after(() => originales.forEach(([modelo, metodo, fn]) => { modelo[metodo] = fn; }));
+
+  const consulta = (docs) => () => ({ select: () => ({ lean: async () => docs }) });
+  User.find = consulta([
+    { _id: U1, email: 'cliente@correo.com', role: 'cliente' },
+    { _id: U2, email: 'lider@correo.com', role: 'lider de obra', firstName: 'Ana', lastName: 'Gómez' },
+  ]);
+  Proyectos.find = consulta([{ _id: 'p0', title: 'Torre A', ciudad: 'Cali' }]);
+
+  const alertas = [];
+  Proyectos.create = async (datos) => ({ _id: 'p1', ...datos });
+  Alerta.insertMany = async (docs) => { alertas.push(...docs); return docs; };
+  return { alertas };
+};
+
+const ENCABEZADOS = ['Título', 'País', 'Ciudad', 'Tipo', 'Prioridad', 'Fecha inicio', 'Fecha fin', 'Presupuesto', 'Email cliente', 'Email líder'];
+const fila = (numero, [titulo, pais, ciudad, tipo, prioridad, fechainicio, fechafin, presupuesto, emailcliente, emaillider]) => ({
+  fila: numero,
+  valores: { titulo, pais, ciudad, tipo, prioridad, fechainicio, fechafin, presupuesto, emailcliente, emaillider },
+});
+
+test('el análisis resuelve cliente y líder, y marca errores y duplicados', async (t) => {
+  prepararBase(t);
+
+  const { filas, resumen } = await analizarImportacionProyectos({
+    encabezados: ENCABEZADOS,
+    filas: [
+      fila(2, ['Bodega sur', 'Colombia', 'Palmira', 'industrial', 'Alta', '01/02/2026', '2026-06-30', '1.500.000', 'CLIENTE@correo.com', 'lider@correo.com']),
+      fila(3, ['Casa 4', 'Colombia', 'Cali', 'residencial', '', '2026-03-01', '2026-04-01', '800000', 'nuevo@correo.com', '']),
+      fila(4, ['torre a', 'Colombia', 'CALI', 'residencial', 'media', '2026-03-01', '2026-04-01', '900000', '', '']),
+      fila(5, ['Puente', 'Colombia', 'Yumbo', 'vial', 'urgente', '2026-05-01', '2026-04-01', '0', '', 'cliente@correo.com']),
+    ],
+  });
+
+  assert.deepEqual(filas.map((f) => f.estado), ['valida', 'valida', 'duplicado', 'error']);
+  assert.deepEqual(filas[0].datos.cliente, { _id: U1, email: 'cliente@correo.com' });
+  assert.deepEqual(filas[0].datos.lider, { _id: U2, email: 'lider@correo.com', nombre: 'Ana Gómez' });
+  assert.equal(filas[0].datos.budget, 1500000);
+  assert.equal(filas[1].datos.priority, 'media');
+  assert.equal(filas[1].datos.location, 'Cali');
+  assert.match(filas[1].advertencias[0], /correo de contacto/);
+  assert.deepEqual(filas[3].errores, [
+    'La prioridad "urgente" no es válida (alta, media o baja).',
+    'El presupuesto debe ser un número mayor a 0.',
+    'La fecha de inicio no puede ser posterior a la fecha de fin.',
+    'El usuario cliente@correo.com no es un líder de obra.',
+  ]);
+  assert.deepEqual(resumen, {
+    total: 4, validas: 2, conErrores: 1, duplicados: 1, conAdvertencias: 1, presupuestoTotal: 2300000,
+  });
+});
+
+test('sin las columnas obligatorias no se analiza el archivo', async (t) => {
+  prepararBase(t);
+
+  await assert.rejects(
+    analizarImportacionProyectos({ encabezados: ['Título', 'Ciudad'], filas: [] }),
+    (error) => error.statusCode === 400 &&
+      /Faltan columnas obligatorias: pais, tipo, fechainicio, fechafin, presupuesto\./.test(error.message)
+  );
+});
+
+test('el proyecto importado queda en planificación y avisa al cliente y al líder', async (t) => {
+  const { alertas } = prepararBase(t);
+  const { filas } = await analizarImportacionProyectos({
+    encabezados: ENCABEZADOS,
+    filas: [fila(2, ['Bodega sur', 'Colombia', 'Palmira', 'industrial', 'alta', '2026-02-01', '2026-02-28', '1000', 'cliente@correo.com', 'lider@correo.com'])],
+  });
+
+  const proyecto = await crearProyectoImportado(filas[0].datos);
+
+  assert.deepEqual([proyecto.status, proyecto.progress, proyecto.duration], ['planning', 0, 28]);
+  assert.deepEqual([proyecto.cliente, proyecto.lider, proyecto.esProyectoPropio], [U1, U2, false]);
+  assert.ok(proyecto.criteriosAvance.length > 0);
+  assert.deepEqual(alertas.map((a) => [a.usuario, a.tipo]), [[U1, 'solicitud'], [U2, 'asignacion']]);
+});
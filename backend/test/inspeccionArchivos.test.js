@@ -0,0 +1,104 @@
+// File: BackEnd/test/inspeccionArchivos.test.js
+// Description: Pruebas de la detección de firmas y de la inspección de
+//              archivos subidos (node:test, sin base de datos ni clamd).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+delete process.env.CLAMAV_SOCKET;                                             // Sin antivirus: solo firma y MIME.
+delete process.env.CLAMAV_HOST;
+
+const {
+  detectarFirma,
+  inspeccionarArchivo,
+  crearInspectorSubidas,
+} = require('../src/core/services/inspeccionArchivos.servicio');
+
+const pdf = Buffer.from('%PDF-1.4\n1 0 obj\n<<>>\nendobj\n');
+const ejecutableConPdf = Buffer.concat([Buffer.from('MZ\x90\x00\x03\x00\x00\x00', 'latin1'), Buffer.from('%PDF-1.4\n')]);
+
+test('detectarFirma reconoce un PDF al inicio o tras espacios en blanco', () => {
+  assert.equal(detectarFirma(pdf), 'pdf');
+  assert.equal(detectarFirma(Buffer.concat([Buffer.from('\r\n  '), pdf])), 'pdf');
+});
+
+test('detectarFirma no acepta "%PDF-" más adelante en el contenido', () => {
+  assert.equal(detectarFirma(Buffer.from('basura binaria\x00\x01%PDF-1.4', 'latin1')), 'desconocido');
+});
+
+test('detectarFirma prioriza ejecutables y scripts sobre otras firmas', () => {
+  assert.equal(detectarFirma(ejecutableConPdf), 'ejecutable');
+  assert.equal(detectarFirma(Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x25, 0x50, 0x44, 0x46, 0x2d])), 'ejecutable');
+  assert.equal(detectarFirma(Buffer.from('#!/bin/sh\n%PDF-1.4\n')), 'script');
+});
+
+test('inspeccionarArchivo deja pasar un PDF legítimo', async () => {
+  const resultado = await inspeccionarArchivo(pdf, { nombre: 'factura.pdf', tipoMime: 'application/pdf' });
+  assert.equal(resultado.sospechoso, false);
+  assert.equal(resultado.tipoDetectado, 'pdf');
+});
+
+test('inspeccionarArchivo marca como sospechoso un ejecutable con cabecera PDF (políglota)', async () => {
+  const resultado = await inspeccionarArchivo(ejecutableConPdf, { nombre: 'factura.pdf', tipoMime: 'application/pdf' });
+  assert.equal(resultado.sospechoso, true);
+  assert.equal(resultado.tipoDetectado, 'ejecutable');
+  assert.match(resultado.motivos.join(' '), /ejecutable/);
+});
+
+test('inspeccionarArchivo rechaza con 400 los tipos no permitidos en la categoría', async () => {
+  await assert.rejects(
+    inspeccionarArchivo(pdf, { nombre: 'factura.pdf', tipoMime: 'application/pdf', categoria: 'foto' }),
+    (error) => error.statusCode === 400
+  );
+  await assert.rejects(
+    inspeccionarArchivo(pdf, { nombre: 'factura.pdf', categoria: 'constructor' }),
+    (error) => error.statusCode === 400
+  );
+});
+
+test('inspeccionarArchivo lee la firma del archivo temporal cuando recibe su ruta', async (t) => {
+  const carpeta = fs.mkdtempSync(path.join(os.tmpdir(), 'pcm-inspeccion-'));
+  t.after(() => fs.rmSync(carpeta, { recursive: true, force: true }));
+  const legitimo = path.join(carpeta, 'legitimo');
+  const ejecutable = path.join(carpeta, 'ejecutable');
+  fs.writeFileSync(legitimo, Buffer.concat([pdf, Buffer.alloc(64 * 1024, 'x')]));
+  fs.writeFileSync(ejecutable, ejecutableConPdf);
+
+  const resultado = await inspeccionarArchivo(legitimo, { nombre: 'factura.pdf', tipoMime: 'application/pdf' });
+  const sospechoso = await inspeccionarArchivo(ejecutable, { nombre: 'factura.pdf', tipoMime: 'application/pdf' });
+
+  assert.deepEqual([resultado.tipoDetectado, resultado.sospechoso], ['pdf', false]);
+  assert.deepEqual([sospechoso.tipoDetectado, sospechoso.sospechoso], ['ejecutable', true]);
+});
+
+test('el inspector de subidas toma la categoría de la URL sin depender de los campos del cuerpo', async () => {
+  const inspeccionar = crearInspectorSubidas({ categoria: (req) => String(req.query.categoria || '') });
+  const factura = { originalname: 'factura.pdf', mimetype: 'application/pdf' };
+
+  // El campo "categoria" del cuerpo (aún sin recibir o de otro valor) no cuenta
+  assert.deepEqual(await inspeccionar({ query: {}, body: { categoria: 'foto' } }, factura, pdf), { cuarentena: null });
+  assert.deepEqual(await inspeccionar({ query: { categoria: 'contrato' }, body: {} }, factura, pdf), { cuarentena: null });
+  await assert.rejects(
+    inspeccionar({ query: { categoria: 'foto' }, body: { categoria: 'contrato' } }, factura, pdf),
+    (error) => error.statusCode === 400 && /categoría Foto/.test(error.message)
+  );
+  await assert.rejects(
+    inspeccionar({ query: { categoria: ['plano', 'foto'] }, body: {} }, factura, pdf),
+    (error) => error.statusCode === 400 && /no válida/.test(error.message)
+  );
+});
+
+test('el inspector envía a cuarentena los sospechosos o los rechaza si la subida no la admite', async () => {
+  const factura = { originalname: 'factura.pdf', mimetype: 'application/pdf' };
+
+  const { cuarentena } = await crearInspectorSubidas()({ query: {} }, factura, ejecutableConPdf);
+  assert.deepEqual([cuarentena.estado, cuarentena.tipoDetectado, cuarentena.antivirus], ['pendiente', 'ejecutable', 'omitido']);
+
+  await assert.rejects(
+    crearInspectorSubidas({ permitirCuarentena: false })({ query: {} }, factura, ejecutableConPdf),
+    (error) => error.statusCode === 400 && /fue rechazado/.test(error.message)
+  );
+});
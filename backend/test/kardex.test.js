@@ -0,0 +1,145 @@
+// File: BackEnd/test/kardex.test.js
+// Description: Pruebas del kardex de un material (node:test, modelos en
+//              memoria): saldos reconstruidos desde el saldo actual, traslados
+//              en tránsito y exportación a CSV sin fórmulas.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MovimientoInventario = require('../src/modules/inventory/models/inventario.modelo');
+const StockAlmacen = require('../src/modules/inventory/models/stockAlmacen.modelo');
+const { construirKardex, kardexACsv } = require('../src/modules/inventory/services/kardex.servicio');
+
+const A1 = { _id: 'a1', nombre: 'Principal' };
+const A2 = { _id: 'a2', nombre: 'Obra norte' };
+
+/**
+ * Sustituye las consultas del kardex: los movimientos indicados y los
+ * saldos actuales por almacén.
+ */
+const prepararKardex = (t, { movimientos, saldos }) => {
+  const originales = [
+    [MovimientoInventario, 'find', MovimientoInventario.find],
+    [StockAlmacen, 'exists', StockAlmacen.exists],
+    [StockAlmacen, 'find', StockAlmacen.find],
+  ];
+  t.after(() => originales.forEach(([modelo, metodo, fn]) => { modelo[metodo] = fn; }));
+
+  const filtrados = { filtro: null };
+  MovimientoInventario.find = (filtro) => {
+    filtrados.filtro = filtro;
+    const resultado = { sort: () => resultado, populate: () => resultado, lean: async () => movimientos };
+    return resultado;
+  };
+  StockAlmacen.exists = () => ({ session: async () => ({ _id: 'saldo' }) });
+  StockAlmacen.find = () => ({ populate: () => ({ sort: async () => saldos }) });
+  return filtrados;
+};
+
+const material = { _id: 'm1', nombre: 'Cemento', unidad: 'bulto', cantidad: 12, costoPromedio: 12, almacen: 'a1' };
+
+test('el kardex parte del saldo actual y reconstruye el inicial y el final del rango', async (t) => {
+  prepararKardex(t, {
+    movimientos: [
+      { _id: 'e1', tipo: 'entrada', cantidad: 10, costoUnitario: 10, fecha: '2026-01-05', almacen: A1 },
+      { _id: 's1', tipo: 'salida', cantidad: 4, costoUnitario: 10, fecha: '2026-02-10', almacen: A1 },
+      { _id: 'e2', tipo: 'entrada', cantidad: 6, costoUnitario: 16, fecha: '2026-03-15', almacen: A1 },
+    ],
+    saldos: [{ almacen: A1, cantidad: 12, costoPromedio: 13 }],
+  });
+
+  const kardex = await construirKardex({ material, desde: '2026-02-01', hasta: '2026-02-28' });
+
+  assert.equal(kardex.saldoInicial, 10);
+  assert.equal(kardex.valorInicial, 100);
+  assert.equal(kardex.movimientos.length, 1);
+  assert.deepEqual(
+    [kardex.movimientos[0].salida, kardex.movimientos[0].saldo, kardex.movimientos[0].valorSaldo],
+    [4, 6, 60]
+  );
+  assert.equal(kardex.saldoFinal, 6);
+  assert.equal(kardex.valorFinal, 60);
+  assert.equal(kardex.totalSalidas, 4);
+});
+
+test('el tramo de entrada de un traslado cuenta en la fecha de recepción y no mientras viaja', async (t) => {
+  prepararKardex(t, {
+    movimientos: [
+      { _id: 't1', tipo: 'traslado', sentidoTraslado: 'entrada', cantidad: 3, costoUnitario: 10,
+        fecha: '2026-01-28', fechaRecepcion: '2026-02-03', stockAnterior: 0, stockNuevo: 3, almacen: A2 },
+      { _id: 't2', tipo: 'traslado', sentidoTraslado: 'entrada', cantidad: 2, costoUnitario: 10,
+        fecha: '2026-02-05', almacen: A2 },
+    ],
+    saldos: [{ almacen: A2, cantidad: 3, costoPromedio: 10 }],
+  });
+
+  const kardex = await construirKardex({ material, almacen: A2, desde: '2026-02-01', hasta: '2026-02-28' });
+
+  assert.equal(kardex.saldoInicial, 0);
+  assert.deepEqual(kardex.movimientos.map((f) => f.entrada), [3, 0]);
+  assert.equal(kardex.saldoFinal, 3);
+});
+
+test('el kardex del almacén principal incluye los movimientos legados sin almacén', async (t) => {
+  const consulta = prepararKardex(t, { movimientos: [], saldos: [{ almacen: A1, cantidad: 0 }] });
+
+  await construirKardex({ material, almacen: A1 });
+
+  assert.deepEqual(consulta.filtro.almacen, { $in: ['a1', null] });
+});
+
+// Kardex mínimo con el formato de construirKardex.
+const crearKardex = (fila = {}) => ({
+  material: { nombre: 'Cemento gris', unidad: 'bulto' },
+  almacen: { nombre: 'Principal' },
+  desde: new Date('2026-01-01'),
+  hasta: new Date('2026-01-31'),
+  saldoInicial: 10,
+  valorInicial: 100,
+  movimientos: [
+    {
+      fecha: new Date('2026-01-15'),
+      tipo: 'ajuste',
+      detalle: 'Ajuste',
+      almacen: 'Principal',
+      proyecto: '',
+      entrada: 0,
+      salida: 0,
+      saldo: -3,
+      costoUnitario: 10,
+      valorMovimiento: -30,
+      valorSaldo: -30,
+      ...fila,
+    },
+  ],
+  totalEntradas: 0,
+  totalSalidas: 0,
+  saldoFinal: -3,
+  valorFinal: -30,
+});
+
+// Celdas de la fila del movimiento (la línea siguiente a "Saldo inicial").
+const celdasMovimiento = (csv) => {
+  const lineas = csv.split('\r\n');
+  return lineas[lineas.findIndex((l) => l.includes('Saldo inicial')) + 1].split(';');
+};
+
+test('kardexACsv neutraliza textos que la hoja de cálculo ejecutaría como fórmula', () => {
+  const celdas = celdasMovimiento(
+    kardexACsv(crearKardex({ detalle: '=HYPERLINK("http://x")', almacen: '+1', proyecto: '@SUMA(A1)' }))
+  );
+  assert.equal(celdas[2], `"'=HYPERLINK(""http://x"")"`);
+  assert.equal(celdas[3], "'+1");
+  assert.equal(celdas[4], "'@SUMA(A1)");
+
+  const otras = celdasMovimiento(kardexACsv(crearKardex({ detalle: '-2+3', almacen: '\tBodega' })));
+  assert.equal(otras[2], "'-2+3");
+  assert.equal(otras[3], "'\tBodega");
+});
+
+test('kardexACsv deja los números negativos y los textos normales sin cambios', () => {
+  const celdas = celdasMovimiento(kardexACsv(crearKardex()));
+  assert.equal(celdas[2], 'Ajuste');
+  assert.equal(celdas[7], '-3');
+  assert.equal(celdas[9], '-30');
+});
@@ -0,0 +1,108 @@
+// File: BackEnd/test/lotesMaterial.test.js
+// Description: Pruebas de los lotes de materiales perecederos (node:test,
+//              lotes en memoria): vencimiento, orden FEFO, validación de los
+//              lotes informados y consumo de una salida.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const LoteMaterial = require('../src/modules/inventory/models/loteMaterial.modelo');
+const {
+  estaVencido,
+  ordenarFEFO,
+  normalizarLotes,
+  consumirLotes,
+} = require('../src/modules/inventory/services/loteMaterial.servicio');
+
+const HOY = new Date(2026, 5, 15, 10, 0, 0);
+
+test('un lote vence al terminar el día de su fecha de vencimiento', () => {
+  assert.equal(estaVencido({ fechaVencimiento: new Date(2026, 5, 15) }, HOY), false);
+  assert.equal(estaVencido({ fechaVencimiento: new Date(2026, 5, 14, 23, 0) }, HOY), true);
+  assert.equal(estaVencido({ fechaVencimiento: null }, HOY), false);
+});
+
+test('FEFO ordena por vencimiento, deja al final los que no vencen y desempata por ingreso', () => {
+  const lotes = [
+    { lote: 'sin-fecha', fechaVencimiento: null },
+    { lote: 'julio-b', fechaVencimiento: '2026-07-01', createdAt: '2026-02-01' },
+    { lote: 'junio', fechaVencimiento: '2026-06-20' },
+    { lote: 'julio-a', fechaVencimiento: '2026-07-01', createdAt: '2026-01-01' },
+  ];
+
+  assert.deepEqual(ordenarFEFO(lotes).map((l) => l.lote), ['junio', 'julio-a', 'julio-b', 'sin-fecha']);
+  assert.equal(lotes[0].lote, 'sin-fecha');                                     // No altera la lista original
+});
+
+test('los lotes informados deben tener número, cantidad positiva y fecha válida, sin repetirse', () => {
+  assert.deepEqual(normalizarLotes([{ lote: ' L-1 ', cantidad: '4', fechaVencimiento: '2026-07-01' }]), [
+    { lote: 'L-1', cantidad: 4, fechaVencimiento: new Date('2026-07-01') },
+  ]);
+  assert.deepEqual(normalizarLotes(undefined), []);
+  assert.throws(() => normalizarLotes([{ cantidad: 1 }]), /número/);
+  assert.throws(() => normalizarLotes([{ lote: 'L-1', cantidad: 0 }]), /mayor que 0/);
+  assert.throws(() => normalizarLotes([{ lote: 'L-1', cantidad: 1, fechaVencimiento: 'ayer' }]), /no es válida/);
+  assert.throws(() => normalizarLotes([{ lote: 'L-1', cantidad: 1 }, { lote: 'L-1', cantidad: 2 }]), /repetirse/);
+});
+
+/**
+ * Lotes en memoria del material en el almacén (find + descuento atómico).
+ */
+const prepararLotes = (t, lotes) => {
+  const registros = lotes.map((lote, i) => ({ _id: `l${i + 1}`, ...lote }));
+  const originales = ['find', 'updateOne'].map((m) => [m, LoteMaterial[m]]);
+  t.after(() => originales.forEach(([metodo, fn]) => { LoteMaterial[metodo] = fn; }));
+
+  LoteMaterial.find = () => ({ session: async () => registros.filter((r) => r.cantidad > 0).map((r) => ({ ...r })) });
+  LoteMaterial.updateOne = async ({ _id, cantidad }, { $inc }) => {
+    const lote = registros.find((r) => r._id === _id && r.cantidad >= cantidad.$gte);
+    if (!lote) return { modifiedCount: 0 };
+    lote.cantidad += $inc.cantidad;
+    return { modifiedCount: 1 };
+  };
+  return registros;
+};
+
+const material = { _id: 'm1', nombre: 'Aditivo' };
+const en = (dias) => new Date(Date.now() + dias * 24 * 60 * 60 * 1000);
+
+test('una salida consume primero el lote que vence antes, sin tocar los vencidos', async (t) => {
+  const registros = prepararLotes(t, [
+    { lote: 'vencido', cantidad: 5, fechaVencimiento: en(-3) },
+    { lote: 'tardio', cantidad: 5, fechaVencimiento: en(60) },
+    { lote: 'proximo', cantidad: 3, fechaVencimiento: en(1) },
+  ]);
+
+  const consumidos = await consumirLotes({ material, almacen: 'a1', cantidad: 6, saldo: 13 });
+
+  assert.deepEqual(consumidos.map((c) => [c.lote, c.cantidad]), [['proximo', 3], ['tardio', 3]]);
+  assert.deepEqual(registros.map((r) => r.cantidad), [5, 2, 0]);
+});
+
+test('un lote vencido solo sale si se indica y el stock sin lote va al final', async (t) => {
+  const registros = prepararLotes(t, [
+    { lote: 'vencido', cantidad: 5, fechaVencimiento: en(-3) },
+    { lote: 'vigente', cantidad: 2, fechaVencimiento: en(30) },
+  ]);
+
+  const consumidos = await consumirLotes({
+    material, almacen: 'a1', cantidad: 8, saldo: 9, lotes: [{ lote: 'vencido', cantidad: 5 }],
+  });
+
+  // 5 del vencido (indicado), 2 del vigente y 1 del stock sin lote (9 - 7)
+  assert.deepEqual(consumidos.map((c) => [c.lote, c.cantidad]), [['vencido', 5], ['vigente', 2]]);
+  assert.deepEqual(registros.map((r) => r.cantidad), [0, 0]);
+});
+
+test('si lo vigente no alcanza se rechaza la salida e informa lo vencido', async (t) => {
+  const registros = prepararLotes(t, [
+    { lote: 'vencido', cantidad: 5, fechaVencimiento: en(-3) },
+    { lote: 'vigente', cantidad: 2, fechaVencimiento: en(30) },
+  ]);
+
+  await assert.rejects(
+    consumirLotes({ material, almacen: 'a1', cantidad: 4, saldo: 7 }),
+    (error) => error.statusCode === 400 && /vigente: 2, en lotes vencidos: 5/.test(error.message)
+  );
+  assert.deepEqual(registros.map((r) => r.cantidad), [5, 2]);
+});
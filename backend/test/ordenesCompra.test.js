@@ -0,0 +1,140 @@
+// File: BackEnd/test/ordenesCompra.test.js
+// Description: Pruebas de las órdenes de compra (node:test, modelos en
+//              memoria): consecutivo, estado de recepción y recepciones en
+//              otra unidad o de materiales eliminados.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarSaldosEnMemoria } = require('./apoyo/saldosEnMemoria');
+const { llamarControlador } = require('./apoyo/controlador');
+
+const OrdenCompra = require('../src/modules/purchases/models/ordenCompra.modelo');
+const Material = require('../src/modules/inventory/models/material.modelo');
+const Almacen = require('../src/modules/warehouses/models/almacen.modelo');
+const MovimientoInventario = require('../src/modules/inventory/models/inventario.modelo');
+const HistorialPrecio = require('../src/modules/inventory/models/historialPrecio.modelo');
+const UnidadMedida = require('../src/modules/inventory/models/unidadMedida.modelo');
+const AuditLog = require('../src/modules/audit/models/auditoria.modelo');
+const { generarNumeroOrden, calcularEstadoRecepcion } = require('../src/modules/purchases/services/ordenCompra.servicio');
+const { registrarRecepcion } = require('../src/modules/purchases/controllers/ordenCompra.controlador');
+
+const M1 = '650000000000000000000001';
+const A1 = '650000000000000000000011';
+const O1 = '650000000000000000000031';
+
+test('el estado de recepción depende de lo recibido en cada ítem', () => {
+  const orden = (recibidas) => ({
+    items: recibidas.map((cantidadRecibida) => ({ cantidad: 10, cantidadRecibida })),
+  });
+
+  assert.equal(calcularEstadoRecepcion(orden([0, 0])), 'aprobada');
+  assert.equal(calcularEstadoRecepcion(orden([10, 4])), 'parcial');
+  assert.equal(calcularEstadoRecepcion(orden([10, 10])), 'recibida');
+});
+
+test('el consecutivo de la orden sigue al último del año', async (t) => {
+  const original = OrdenCompra.findOne;
+  t.after(() => { OrdenCompra.findOne = original; });
+  let ultima = { numero: 'OC-2026-0041' };
+  OrdenCompra.findOne = () => ({ sort: () => ({ select: () => ({ lean: async () => ultima }) }) });
+
+  assert.equal(await generarNumeroOrden(new Date(2026, 5, 1)), 'OC-2026-0042');
+  ultima = null;
+  assert.equal(await generarNumeroOrden(new Date(2027, 0, 2)), 'OC-2027-0001');
+});
+
+/**
+ * Orden aprobada de 1000 kg de cemento a 700 el kg; el material también se
+ * compra por bultos de 50 kg.
+ */
+const prepararRecepcion = (t, { materialEliminado = false } = {}) => {
+  const estado = instalarSaldosEnMemoria({
+    saldos: [{ material: M1, almacen: A1, cantidad: 0 }],
+    materiales: [{ _id: M1, cantidad: 0 }],
+  });
+  const material = {
+    _id: M1, nombre: 'Cemento', unidad: 'kg', conversiones: [{ unidad: 'bulto', factor: 50 }],
+    stockMinimo: 0, almacen: A1, isDeleted: materialEliminado,
+  };
+  const orden = {
+    _id: O1, numero: 'OC-2026-0001', estado: 'aprobada', almacen: A1, proveedor: 'p1', updatedAt: new Date(),
+    items: [{ material: M1, cantidad: 1000, precioUnitario: 700, cantidadRecibida: 0 }],
+  };
+  orden.items.forEach((item) => { item.toObject = () => ({ ...item }); });
+  const movimientos = [];
+
+  const originales = [
+    [OrdenCompra, 'findById', OrdenCompra.findById],
+    [OrdenCompra, 'findOneAndUpdate', OrdenCompra.findOneAndUpdate],
+    [OrdenCompra, 'findByIdAndUpdate', OrdenCompra.findByIdAndUpdate],
+    [Material, 'find', Material.find],
+    [Almacen, 'findById', Almacen.findById],
+    [MovimientoInventario, 'create', MovimientoInventario.create],
+    [HistorialPrecio, 'create', HistorialPrecio.create],
+    [UnidadMedida, 'bulkWrite', UnidadMedida.bulkWrite],
+    [UnidadMedida, 'find', UnidadMedida.find],
+    [AuditLog, 'create', AuditLog.create],
+  ];
+  t.after(() => {
+    originales.forEach(([modelo, metodo, fn]) => { modelo[metodo] = fn; });
+    estado.restaurar();
+  });
+
+  const consultaOrden = { populate: () => consultaOrden, then: (ok, error) => Promise.resolve(orden).then(ok, error) };
+  OrdenCompra.findById = () => consultaOrden;
+  OrdenCompra.findOneAndUpdate = async (filtro, { $set }) => Object.assign(orden, $set);
+  OrdenCompra.findByIdAndUpdate = async () => orden;
+  Material.find = async ({ isDeleted }) => (material.isDeleted && isDeleted ? [] : [material]);
+  Almacen.findById = async () => ({ _id: A1, nombre: 'Principal' });
+  MovimientoInventario.create = async (docs) =>
+    docs.map((doc) => {
+      const movimiento = { _id: `mov${movimientos.length + 1}`, ...doc };
+      movimientos.push(movimiento);
+      return movimiento;
+    });
+  HistorialPrecio.create = async (docs) => docs;
+  UnidadMedida.bulkWrite = async () => ({});
+  UnidadMedida.find = () => ({ lean: async () => [] });
+  AuditLog.create = async () => ({});
+
+  return { estado, orden, movimientos };
+};
+
+const recibir = (items) => llamarControlador(registrarRecepcion, { params: { id: O1 }, body: { items } });
+
+test('una recepción en bultos entra al almacén y descuenta lo pendiente en kg', async (t) => {
+  const { estado, orden, movimientos } = prepararRecepcion(t);
+
+  const { status } = await recibir([{ material: M1, cantidad: 10, unidad: 'bulto', costoUnitario: 35000 }]);
+
+  assert.equal(status, 201);
+  assert.equal(estado.saldos[0].cantidad, 500);
+  assert.equal(orden.items[0].cantidadRecibida, 500);
+  assert.equal(orden.estado, 'parcial');
+  assert.deepEqual(
+    [movimientos[0].cantidad, movimientos[0].costoUnitario, movimientos[0].unidadOriginal, movimientos[0].cantidadOriginal],
+    [500, 700, 'bulto', 10]
+  );
+});
+
+test('lo pendiente se compara en la unidad del material', async (t) => {
+  const { estado, orden } = prepararRecepcion(t);
+
+  const { status, body } = await recibir([{ material: M1, cantidad: 21, unidad: 'bulto' }]);
+
+  assert.equal(status, 400);
+  assert.match(body.message, /pendiente: 1000/);
+  assert.equal(estado.saldos[0].cantidad, 0);
+  assert.equal(orden.estado, 'aprobada');
+});
+
+test('no se reciben materiales eliminados', async (t) => {
+  const { estado, movimientos } = prepararRecepcion(t, { materialEliminado: true });
+
+  const { status } = await recibir([{ material: M1, cantidad: 100 }]);
+
+  assert.equal(status, 404);
+  assert.equal(estado.saldos[0].cantidad, 0);
+  assert.equal(movimientos.length, 0);
+});
@@ -0,0 +1,86 @@
+// File: BackEnd/test/proveedores.test.js
+// Description: Pruebas del registro de proveedores por el controlador
+//              (node:test, modelos sustituidos): NIT único y validación de
+//              los materiales suministrados con su precio cotizado.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { llamarControlador } = require('./apoyo/controlador');
+
+const Proveedor = require('../src/modules/suppliers/models/proveedor.modelo');
+const Material = require('../src/modules/inventory/models/material.modelo');
+const AuditLog = require('../src/modules/audit/models/auditoria.modelo');
+const { createProveedor } = require('../src/modules/suppliers/controllers/proveedor.controlador');
+
+const M1 = '650000000000000000000001';
+const M2 = '650000000000000000000002';
+
+/**
+ * Sustituye las consultas del registro: NIT ya usados, materiales
+ * existentes y el guardado del proveedor.
+ */
+const prepararProveedores = (t, { nitsExistentes = [], materialesExistentes = [M1, M2] } = {}) => {
+  const guardados = [];
+  const originales = [
+    [Proveedor, 'exists', Proveedor.exists],
+    [Proveedor.prototype, 'save', Proveedor.prototype.save],
+    [Material, 'countDocuments', Material.countDocuments],
+    [AuditLog, 'create', AuditLog.create],
+  ];
+  t.after(() => originales.forEach(([modelo, metodo, fn]) => { modelo[metodo] = fn; }));
+
+  Proveedor.exists = async ({ nit }) => (nitsExistentes.includes(nit) ? { _id: 'p0' } : null);
+  Proveedor.prototype.save = async function () {
+    guardados.push(this);
+    return this;
+  };
+  Material.countDocuments = async ({ _id }) => _id.$in.filter((id) => materialesExistentes.includes(String(id))).length;
+  AuditLog.create = async () => ({});
+  return guardados;
+};
+
+const crear = (body) => llamarControlador(createProveedor, { body });
+
+test('un proveedor se registra con su NIT normalizado y los materiales cotizados', async (t) => {
+  const guardados = prepararProveedores(t);
+
+  const { status } = await crear({
+    nombre: ' Ferretería El Constructor ',
+    nit: ' 900123456-7 ',
+    plazoPagoDias: '30',
+    materiales: [{ material: M1, precioCotizado: '32000', tiempoEntregaDias: '3' }],
+  });
+
+  assert.equal(status, 201);
+  const [proveedor] = guardados;
+  assert.equal(proveedor.nombre, 'Ferretería El Constructor');
+  assert.equal(proveedor.nit, '900123456-7');
+  assert.equal(proveedor.plazoPagoDias, 30);
+  assert.equal(proveedor.materiales[0].precioCotizado, 32000);
+  assert.equal(proveedor.materiales[0].tiempoEntregaDias, 3);
+});
+
+test('no se registran dos proveedores vigentes con el mismo NIT', async (t) => {
+  const guardados = prepararProveedores(t, { nitsExistentes: ['900123456-7'] });
+
+  const { status } = await crear({ nombre: 'Otro', nit: '900123456-7' });
+
+  assert.equal(status, 409);
+  assert.equal(guardados.length, 0);
+});
+
+test('los materiales suministrados deben existir, no repetirse y tener precio válido', async (t) => {
+  const guardados = prepararProveedores(t, { materialesExistentes: [M1] });
+  const base = { nombre: 'Ferretería', nit: '800' };
+
+  const repetido = await crear({
+    ...base,
+    materiales: [{ material: M1, precioCotizado: 1 }, { material: M1, precioCotizado: 2 }],
+  });
+  const negativo = await crear({ ...base, materiales: [{ material: M1, precioCotizado: -5 }] });
+  const inexistente = await crear({ ...base, materiales: [{ material: M2, precioCotizado: 5 }] });
+
+  assert.deepEqual([repetido.status, negativo.status, inexistente.status], [400, 400, 404]);
+  assert.equal(guardados.length, 0);
+});
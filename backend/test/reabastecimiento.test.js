@@ -0,0 +1,80 @@
+// File: BackEnd/test/reabastecimiento.test.js
+// Description: Pruebas de las sugerencias de reabastecimiento (node:test,
+//              consultas sustituidas): punto de reorden, estado y cantidad
+//              sugerida, y tiempo de entrega del proveedor más rápido.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MovimientoInventario = require('../src/modules/inventory/models/inventario.modelo');
+const Proveedor = require('../src/modules/suppliers/models/proveedor.modelo');
+const {
+  calcularSugerencia,
+  calcularSugerenciaMaterialAlmacen,
+} = require('../src/modules/inventory/services/reabastecimiento.servicio');
+
+const M1 = '650000000000000000000001';
+const A1 = '650000000000000000000011';
+
+test('con saldo sobre el punto de reorden no se sugiere pedir', () => {
+  // 180 en 90 días = 2 diarios; reorden = 2 × 7 + 10 = 24
+  const sugerencia = calcularSugerencia({ saldo: 50, consumo: 180, stockMinimo: 10 });
+
+  assert.equal(sugerencia.consumoDiario, 2);
+  assert.equal(sugerencia.diasStock, 25);
+  assert.equal(sugerencia.puntoReorden, 24);
+  assert.equal(sugerencia.estado, 'ok');
+  assert.equal(sugerencia.cantidadSugerida, 0);
+});
+
+test('en el punto de reorden se pide lo que cubre la entrega, la cobertura y el mínimo', () => {
+  const sugerencia = calcularSugerencia({ saldo: 18, consumo: 180, stockMinimo: 5 });
+
+  assert.equal(sugerencia.puntoReorden, 19);
+  assert.equal(sugerencia.estado, 'reordenar');
+  assert.equal(sugerencia.cantidadSugerida, 2 * (7 + 30) + 5 - 18);
+});
+
+test('es crítico si el saldo no alcanza el tiempo de entrega o está en el mínimo', () => {
+  assert.equal(calcularSugerencia({ saldo: 12, consumo: 180, stockMinimo: 0 }).estado, 'critico');
+  assert.equal(calcularSugerencia({ saldo: 3, consumo: 0, stockMinimo: 3 }).estado, 'critico');
+  assert.equal(calcularSugerencia({ saldo: 3, consumo: 0, stockMinimo: 3 }).cantidadSugerida, 0);
+});
+
+test('sin consumo ni mínimo el material queda sin sugerencia', () => {
+  const sugerencia = calcularSugerencia({ saldo: 4, consumo: 0, stockMinimo: 0 });
+
+  assert.equal(sugerencia.estado, 'sin_consumo');
+  assert.equal(sugerencia.diasStock, null);
+  assert.equal(sugerencia.fechaAgotamiento, null);
+});
+
+test('la sugerencia de un almacén usa su consumo y el proveedor que entrega antes', async (t) => {
+  const originales = [
+    [MovimientoInventario, 'aggregate', MovimientoInventario.aggregate],
+    [Proveedor, 'find', Proveedor.find],
+  ];
+  t.after(() => originales.forEach(([modelo, metodo, fn]) => { modelo[metodo] = fn; }));
+
+  MovimientoInventario.aggregate = async () => [
+    { _id: { material: M1, almacen: A1 }, cantidad: 270 },
+    { _id: { material: M1, almacen: 'otro' }, cantidad: 900 },
+  ];
+  Proveedor.find = () => ({
+    select: () => ({
+      lean: async () => [
+        { materiales: [{ material: M1, tiempoEntregaDias: 10 }] },
+        { materiales: [{ material: M1, tiempoEntregaDias: 4 }, { material: 'otro', tiempoEntregaDias: 1 }] },
+      ],
+    }),
+  });
+
+  const sugerencia = await calcularSugerenciaMaterialAlmacen({
+    material: { _id: M1 }, almacen: { _id: A1 }, saldo: 13, stockMinimo: 2,
+  });
+
+  assert.equal(sugerencia.consumoDiario, 3);
+  assert.equal(sugerencia.tiempoEntregaDias, 4);
+  assert.equal(sugerencia.estado, 'reordenar');
+  assert.equal(sugerencia.cantidadSugerida, 3 * (4 + 30) + 2 - 13);
+});
@@ -0,0 +1,162 @@
+// File: BackEnd/test/reservasProyecto.test.js
+// Description: Pruebas de las reservas de material de los proyectos
+//              (node:test, modelos en memoria): helpers de asignación y
+//              cambio de la asignación al actualizar un proyecto (todo o
+//              nada, devoluciones de asignaciones legadas).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarSaldosEnMemoria } = require('./apoyo/saldosEnMemoria');
+const { llamarControlador } = require('./apoyo/controlador');
+
+const Proyectos = require('../src/modules/projects/models/proyecto.modelo');
+const Material = require('../src/modules/inventory/models/material.modelo');
+const MovimientoInventario = require('../src/modules/inventory/models/inventario.modelo');
+const {
+  esAsignacionLegada,
+  obtenerAlmacenReserva,
+} = require('../src/modules/projects/services/reservaMaterial.servicio');
+const { actualizarProyectoPorId } = require('../src/modules/projects/controllers/proyecto.controlador');
+
+const M1 = '650000000000000000000001';
+const M2 = '650000000000000000000002';
+const A1 = '650000000000000000000011';
+const A2 = '650000000000000000000012';
+const P1 = '650000000000000000000021';
+
+test('una asignación es legada si no lleva cantidad reservada', () => {
+  assert.equal(esAsignacionLegada({ cantidadReservada: null }), true);
+  assert.equal(esAsignacionLegada({}), true);
+  assert.equal(esAsignacionLegada({ cantidadReservada: 0 }), false);
+});
+
+test('la reserva queda en el almacén de la asignación o en el principal del material', () => {
+  assert.equal(obtenerAlmacenReserva({ almacen: A2 }, { almacen: A1 }), A2);
+  assert.equal(obtenerAlmacenReserva({}, { almacen: A1 }), A1);
+  assert.equal(obtenerAlmacenReserva(null, null), null);
+});
+
+/**
+ * Proyecto con las asignaciones indicadas sobre saldos en A1. Los
+ * materiales tienen su almacén principal en A1.
+ */
+const prepararProyecto = (t, { saldos, asignaciones }) => {
+  const estado = instalarSaldosEnMemoria({
+    saldos: saldos.map((saldo) => ({ almacen: A1, costoPromedio: 10, ...saldo })),
+    materiales: saldos.map((saldo) => ({ _id: saldo.material, cantidad: saldo.cantidad, costoPromedio: 10 })),
+  });
+  const movimientos = [];
+  const actualizaciones = [];
+  const proyecto = {
+    _id: P1,
+    title: 'Torre A',
+    status: 'en progreso',
+    materiales: asignaciones.map((a) => ({ almacen: A1, ...a, material: { _id: a.material } })),
+    guardado: 0,
+    save: async () => { proyecto.guardado += 1; },
+    populate: async () => proyecto,
+  };
+
+  const originales = [
+    [Proyectos, 'findById', Proyectos.findById],
+    [Proyectos, 'updateOne', Proyectos.updateOne],
+    [Material, 'findById', Material.findById],
+    [MovimientoInventario, 'create', MovimientoInventario.create],
+  ];
+  t.after(() => {
+    originales.forEach(([modelo, metodo, fn]) => { modelo[metodo] = fn; });
+    estado.restaurar();
+  });
+
+  Proyectos.findById = () => ({ populate: async () => proyecto });
+  Proyectos.updateOne = async (filtro, cambios) => { actualizaciones.push(cambios.$set); };
+  Material.findById = async (id) => ({ _id: String(id), nombre: `Material ${id}`, almacen: A1, stockMinimo: 0 });
+  MovimientoInventario.create = async (docs) => {
+    movimientos.push(...docs);
+    return docs;
+  };
+
+  const saldo = (material) => estado.saldos.find((s) => s.material === material);
+  return { proyecto, movimientos, actualizaciones, saldo };
+};
+
+const actualizar = (materiales) =>
+  llamarControlador(actualizarProyectoPorId, { params: { id: P1 }, body: { materiales } });
+
+test('cambiar la asignación libera la reserva anterior y reserva la nueva', async (t) => {
+  const { proyecto, saldo } = prepararProyecto(t, {
+    saldos: [{ material: M1, cantidad: 10, reservado: 4 }],
+    asignaciones: [{ material: M1, cantidadAsignada: 5, cantidadUtilizada: 1, cantidadReservada: 4 }],
+  });
+
+  const { status } = await actualizar([{ material: M1, cantidadAsignada: 8 }]);
+
+  assert.equal(status, 200);
+  assert.equal(saldo(M1).reservado, 7);
+  assert.equal(proyecto.materiales[0].cantidadReservada, 7);
+  assert.equal(proyecto.guardado, 1);
+});
+
+test('si la nueva asignación no cabe, se conserva la anterior y el proyecto no se guarda', async (t) => {
+  const { proyecto, saldo } = prepararProyecto(t, {
+    saldos: [
+      { material: M1, cantidad: 10, reservado: 4 },
+      { material: M2, cantidad: 3 },
+    ],
+    asignaciones: [{ material: M1, cantidadAsignada: 4, cantidadUtilizada: 0, cantidadReservada: 4 }],
+  });
+
+  const { status, body } = await actualizar([
+    { material: M1, cantidadAsignada: 2 },
+    { material: M2, cantidadAsignada: 5 },
+  ]);
+
+  assert.equal(status, 400);
+  assert.match(body.message, /Disponible: 3/);
+  assert.equal(saldo(M1).reservado, 4);
+  assert.equal(saldo(M2).reservado, 0);
+  assert.equal(proyecto.materiales[0].cantidadReservada, 4);
+  assert.equal(proyecto.guardado, 0);
+});
+
+test('una asignación legada devuelve solo lo no utilizado y, si se usó todo, no genera entrada', async (t) => {
+  const { proyecto, movimientos, saldo } = prepararProyecto(t, {
+    saldos: [
+      { material: M1, cantidad: 5 },
+      { material: M2, cantidad: 5 },
+    ],
+    asignaciones: [
+      { material: M1, cantidadAsignada: 6, cantidadUtilizada: 6, cantidadReservada: null, costoUnitario: 10 },
+      { material: M2, cantidadAsignada: 6, cantidadUtilizada: 2, cantidadReservada: null, costoUnitario: 10 },
+    ],
+  });
+
+  const { status } = await actualizar([{ material: M2, cantidadAsignada: 6 }]);
+
+  assert.equal(status, 200);
+  assert.equal(movimientos.length, 1);
+  assert.deepEqual([String(movimientos[0].material), movimientos[0].tipo, movimientos[0].cantidad], [M2, 'entrada', 4]);
+  assert.equal(saldo(M1).cantidad, 5);
+  assert.equal(saldo(M2).cantidad, 9);
+  assert.equal(saldo(M2).reservado, 4);
+  assert.equal(proyecto.materiales[0].cantidadReservada, 4);
+});
+
+test('sin transacciones, un faltante deja reservado lo devuelto de las legadas', async (t) => {
+  const { proyecto, actualizaciones, saldo } = prepararProyecto(t, {
+    saldos: [
+      { material: M1, cantidad: 5 },
+      { material: M2, cantidad: 1 },
+    ],
+    asignaciones: [{ material: M1, cantidadAsignada: 6, cantidadUtilizada: 2, cantidadReservada: null }],
+  });
+
+  const { status } = await actualizar([{ material: M2, cantidadAsignada: 3 }]);
+
+  assert.equal(status, 400);
+  assert.equal(saldo(M1).cantidad, 9);
+  assert.equal(saldo(M1).reservado, 4);
+  assert.deepEqual(actualizaciones, [{ 'materiales.0.almacen': A1, 'materiales.0.cantidadReservada': 4 }]);
+  assert.equal(proyecto.guardado, 0);
+});
@@ -0,0 +1,84 @@
+// File: BackEnd/test/salidasConcurrentes.test.js
+// Description: Pruebas de concurrencia del servicio de saldos (node:test,
+//              modelos en memoria que intercalan las peticiones): las
+//              salidas y reservas simultáneas nunca venden más de lo que
+//              hay. La prueba contra MongoDB real es npm run test:concurrencia.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarSaldosEnMemoria } = require('./apoyo/saldosEnMemoria');
+const { aplicarMovimientoEnAlmacen, reservarStock } = require('../src/modules/inventory/services/stockAlmacen.servicio');
+
+const STOCK_INICIAL = 10;
+
+const prepararSaldo = (t, saldo = {}) => {
+  const estado = instalarSaldosEnMemoria({
+    saldos: [{ material: 'm1', almacen: 'a1', cantidad: STOCK_INICIAL, costoPromedio: 5, ...saldo }],
+    materiales: [{ _id: 'm1', cantidad: STOCK_INICIAL, costoPromedio: 5 }],
+  });
+  t.after(estado.restaurar);
+  return estado;
+};
+
+// Cada petición trae su propia copia del material, como en el controlador
+const salida = (cantidad) =>
+  aplicarMovimientoEnAlmacen({
+    material: { _id: 'm1', nombre: 'Cemento', cantidad: STOCK_INICIAL, almacen: 'a1' },
+    almacen: 'a1',
+    tipo: 'salida',
+    cantidad,
+  });
+
+test('salidas simultáneas: solo se aplican las que caben y el resto se rechaza por stock', async (t) => {
+  const estado = prepararSaldo(t);
+
+  const resultados = await Promise.allSettled(Array.from({ length: 25 }, () => salida(1)));
+
+  const aplicadas = resultados.filter((r) => r.status === 'fulfilled');
+  const rechazadas = resultados.filter((r) => r.status === 'rejected');
+  assert.equal(aplicadas.length, STOCK_INICIAL);
+  assert.equal(rechazadas.length, 25 - STOCK_INICIAL);
+  rechazadas.forEach((r) => assert.equal(r.reason.statusCode, 400));
+
+  assert.equal(estado.saldos[0].cantidad, 0);
+  assert.equal(estado.materiales.get('m1').cantidad, 0);
+  aplicadas.forEach((r) => assert.ok(r.value.saldoNuevo >= 0));
+
+  // Cada salida aplicada vio un saldo distinto: ninguna leyó un valor ya gastado
+  const saldosNuevos = aplicadas.map((r) => r.value.saldoNuevo).sort((a, b) => a - b);
+  assert.deepEqual(saldosNuevos, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+});
+
+test('salidas simultáneas de distinto tamaño nunca dejan el saldo negativo', async (t) => {
+  const estado = prepararSaldo(t);
+
+  const resultados = await Promise.allSettled([4, 4, 4, 3, 2].map(salida));
+
+  const descontado = resultados
+    .map((r, i) => (r.status === 'fulfilled' ? [4, 4, 4, 3, 2][i] : 0))
+    .reduce((a, b) => a + b, 0);
+  assert.ok(descontado <= STOCK_INICIAL);
+  assert.equal(estado.saldos[0].cantidad, STOCK_INICIAL - descontado);
+  assert.equal(estado.materiales.get('m1').cantidad, STOCK_INICIAL - descontado);
+});
+
+test('reservas y salidas simultáneas no comprometen más de lo que hay', async (t) => {
+  const estado = prepararSaldo(t);
+  const material = { _id: 'm1', nombre: 'Cemento', almacen: 'a1' };
+
+  const resultados = await Promise.allSettled([
+    reservarStock({ material, almacen: 'a1', cantidad: 6 }),
+    salida(3),
+    reservarStock({ material, almacen: 'a1', cantidad: 3 }),
+    salida(3),
+  ]);
+
+  const [saldo] = estado.saldos;
+  assert.ok(saldo.cantidad >= 0);
+  assert.ok(saldo.reservado <= saldo.cantidad, `reservado ${saldo.reservado} > cantidad ${saldo.cantidad}`);
+  assert.ok(resultados.some((r) => r.status === 'rejected'));
+  resultados
+    .filter((r) => r.status === 'rejected')
+    .forEach((r) => assert.equal(r.reason.statusCode, 400));
+});
@@ -0,0 +1,102 @@
+// File: BackEnd/test/stockAlmacen.test.js
+// Description: Pruebas de la aplicación de entradas, salidas y ajustes sobre
+//              los saldos por almacén (node:test, modelos en memoria).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarSaldosEnMemoria } = require('./apoyo/saldosEnMemoria');
+const { aplicarMovimientoEnAlmacen } = require('../src/modules/inventory/services/stockAlmacen.servicio');
+
+// Material con saldo en dos almacenes: 8 en el principal (3 reservados) y 4 en el secundario.
+const prepararSaldos = (t) => {
+  const estado = instalarSaldosEnMemoria({
+    saldos: [
+      { material: 'm1', almacen: 'a1', cantidad: 8, reservado: 3, costoPromedio: 10 },
+      { material: 'm1', almacen: 'a2', cantidad: 4, costoPromedio: 10 },
+    ],
+    materiales: [{ _id: 'm1', cantidad: 12, costoPromedio: 10 }],
+  });
+  t.after(estado.restaurar);
+  const material = { _id: 'm1', nombre: 'Cemento', cantidad: 12, costoPromedio: 10, almacen: 'a1' };
+  const saldo = (almacen) => estado.saldos.find((s) => s.almacen === almacen);
+  return { estado, material, saldo };
+};
+
+test('una salida descuenta solo el almacén indicado y el total consolidado', async (t) => {
+  const { estado, material, saldo } = prepararSaldos(t);
+
+  const resultado = await aplicarMovimientoEnAlmacen({ material, almacen: 'a2', tipo: 'salida', cantidad: 3 });
+
+  assert.equal(resultado.saldoAnterior, 4);
+  assert.equal(resultado.saldoNuevo, 1);
+  assert.equal(saldo('a1').cantidad, 8);
+  assert.equal(estado.materiales.get('m1').cantidad, 9);
+  assert.equal(material.cantidad, 9);
+});
+
+test('una salida no puede tomar lo reservado para proyectos', async (t) => {
+  const { saldo } = prepararSaldos(t);
+  const material = { _id: 'm1', nombre: 'Cemento', cantidad: 12, almacen: 'a1' };
+
+  await assert.rejects(
+    aplicarMovimientoEnAlmacen({ material, almacen: 'a1', tipo: 'salida', cantidad: 6 }),
+    (error) => error.statusCode === 400 && /Disponible: 5/.test(error.message)
+  );
+  assert.equal(saldo('a1').cantidad, 8);
+
+  // Consumiendo la reserva sí alcanza, y la reserva baja en la misma actualización
+  await aplicarMovimientoEnAlmacen({ material, almacen: 'a1', tipo: 'salida', cantidad: 6, reservaConsumida: 3 });
+  assert.equal(saldo('a1').cantidad, 2);
+  assert.equal(saldo('a1').reservado, 0);
+});
+
+test('un ajuste fija el saldo del almacén y mueve el total por la diferencia', async (t) => {
+  const { estado, material, saldo } = prepararSaldos(t);
+
+  const resultado = await aplicarMovimientoEnAlmacen({ material, almacen: 'a2', tipo: 'ajuste', cantidad: 10 });
+
+  assert.equal(resultado.saldoAnterior, 4);
+  assert.equal(resultado.saldoNuevo, 10);
+  assert.equal(saldo('a2').cantidad, 10);
+  assert.equal(estado.materiales.get('m1').cantidad, 18);
+});
+
+test('un ajuste por debajo de lo reservado se rechaza sin tocar el saldo', async (t) => {
+  const { estado, material, saldo } = prepararSaldos(t);
+
+  await assert.rejects(
+    aplicarMovimientoEnAlmacen({ material, almacen: 'a1', tipo: 'ajuste', cantidad: 2, nombreAlmacen: 'Principal' }),
+    (error) => error.statusCode === 400 && /3 reservado/.test(error.message)
+  );
+  assert.equal(saldo('a1').cantidad, 8);
+  assert.equal(saldo('a1').reservado, 3);
+  assert.equal(estado.materiales.get('m1').cantidad, 12);
+
+  // Justo lo reservado sí se permite (disponible 0)
+  await aplicarMovimientoEnAlmacen({ material, almacen: 'a1', tipo: 'ajuste', cantidad: 3 });
+  assert.equal(saldo('a1').cantidad, 3);
+});
+
+test('un ajuste en un almacén sin saldo lo crea con la cantidad indicada', async (t) => {
+  const { estado, material, saldo } = prepararSaldos(t);
+
+  const resultado = await aplicarMovimientoEnAlmacen({ material, almacen: 'a3', tipo: 'ajuste', cantidad: 5 });
+
+  assert.equal(resultado.saldoAnterior, 0);
+  assert.equal(saldo('a3').cantidad, 5);
+  assert.equal(estado.materiales.get('m1').cantidad, 17);
+});
+
+test('no se aceptan cantidades negativas ni tipos desconocidos', async (t) => {
+  const { material } = prepararSaldos(t);
+
+  await assert.rejects(
+    aplicarMovimientoEnAlmacen({ material, almacen: 'a1', tipo: 'entrada', cantidad: -1 }),
+    { statusCode: 400 }
+  );
+  await assert.rejects(
+    aplicarMovimientoEnAlmacen({ material, almacen: 'a1', tipo: 'traslado', cantidad: 1 }),
+    { statusCode: 400 }
+  );
+});
@@ -0,0 +1,167 @@
+// File: BackEnd/test/traslados.test.js
+// Description: Pruebas de los traslados entre almacenes (directos y en
+//              tránsito) por el controlador de movimientos (node:test,
+//              modelos en memoria).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarSaldosEnMemoria } = require('./apoyo/saldosEnMemoria');
+const { llamarControlador } = require('./apoyo/controlador');
+
+const MovimientoInventario = require('../src/modules/inventory/models/inventario.modelo');
+const Material = require('../src/modules/inventory/models/material.modelo');
+const Almacen = require('../src/modules/warehouses/models/almacen.modelo');
+const AuditLog = require('../src/modules/audit/models/auditoria.modelo');
+const Proveedor = require('../src/modules/suppliers/models/proveedor.modelo');
+const { createTraslado, confirmarTraslado } = require('../src/modules/inventory/controllers/inventario.controlador');
+
+// Ids con formato ObjectId (el cálculo de reabastecimiento los convierte)
+const M1 = '650000000000000000000001';
+const A1 = '650000000000000000000011';
+const A2 = '650000000000000000000012';
+
+const ALMACENES = {
+  [A1]: { _id: A1, nombre: 'Principal' },
+  [A2]: { _id: A2, nombre: 'Obra norte' },
+};
+
+/**
+ * Origen con 8 unidades a costo 10 y destino con 4 a costo 20; los
+ * movimientos creados quedan en memoria.
+ */
+const prepararTraslado = (t) => {
+  const estado = instalarSaldosEnMemoria({
+    saldos: [
+      { material: M1, almacen: A1, cantidad: 8, costoPromedio: 10 },
+      { material: M1, almacen: A2, cantidad: 4, costoPromedio: 20 },
+    ],
+    materiales: [{ _id: M1, cantidad: 12, costoPromedio: 40 / 3 }],
+  });
+  const movimientos = [];
+  const material = () => ({
+    _id: M1,
+    nombre: 'Cemento',
+    unidad: 'bulto',
+    stockMinimo: 0,
+    almacen: A1,
+    ...estado.materiales.get(M1),
+  });
+
+  const originales = [
+    [Material, 'findOne', Material.findOne],
+    [Material, 'findById', Material.findById],
+    [Almacen, 'findOne', Almacen.findOne],
+    [MovimientoInventario, 'create', MovimientoInventario.create],
+    [MovimientoInventario, 'findOne', MovimientoInventario.findOne],
+    [MovimientoInventario, 'findOneAndUpdate', MovimientoInventario.findOneAndUpdate],
+    [MovimientoInventario, 'aggregate', MovimientoInventario.aggregate],
+    [Proveedor, 'find', Proveedor.find],
+    [AuditLog, 'create', AuditLog.create],
+  ];
+  t.after(() => {
+    originales.forEach(([modelo, metodo, fn]) => { modelo[metodo] = fn; });
+    estado.restaurar();
+  });
+
+  Material.findOne = async () => material();
+  Material.findById = () => ({ session: async () => material() });
+  Almacen.findOne = async ({ _id }) => ALMACENES[_id] || null;
+  MovimientoInventario.create = async (docs) =>
+    docs.map((doc) => {
+      const movimiento = { _id: `mov${movimientos.length + 1}`, ...doc, save: async () => movimiento };
+      movimientos.push(movimiento);
+      return movimiento;
+    });
+  MovimientoInventario.findOneAndUpdate = async (filtro, cambios) => {
+    const movimiento = movimientos.find((m) =>
+      Object.entries(filtro).every(([campo, valor]) => m[campo] === valor)
+    );
+    return movimiento ? Object.assign(movimiento, cambios) : null;
+  };
+  MovimientoInventario.findOne = (filtro) => ({
+    select: () => ({
+      session: async () =>
+        movimientos.find((m) => m.trasladoId === filtro.trasladoId && m.sentidoTraslado === filtro.sentidoTraslado) ||
+        null,
+    }),
+  });
+  MovimientoInventario.aggregate = async () => [];                            // Sin historial de consumo
+  Proveedor.find = () => ({ select: () => ({ lean: async () => [] }) });
+  AuditLog.create = async () => ({});
+
+  const saldo = (almacen) => estado.saldos.find((s) => s.almacen === almacen);
+  return { estado, movimientos, saldo };
+};
+
+test('un traslado directo mueve el stock entre almacenes sin cambiar el total', async (t) => {
+  const { estado, movimientos, saldo } = prepararTraslado(t);
+
+  const { status, body } = await llamarControlador(createTraslado, {
+    body: { material: M1, almacenOrigen: A1, almacenDestino: A2, cantidad: 3 },
+  });
+
+  assert.equal(status, 201);
+  assert.equal(saldo(A1).cantidad, 5);
+  assert.equal(saldo(A2).cantidad, 7);
+  assert.equal(estado.materiales.get(M1).cantidad, 12);
+
+  // Ambos tramos comparten trasladoId y viajan al costo del origen
+  assert.equal(movimientos.length, 2);
+  assert.deepEqual(movimientos.map((m) => m.sentidoTraslado), ['salida', 'entrada']);
+  assert.ok(movimientos.every((m) => m.trasladoId === body.data.trasladoId && m.costoUnitario === 10));
+  assert.deepEqual([movimientos[1].stockAnterior, movimientos[1].stockNuevo], [4, 7]);
+
+  // El destino promedia lo que tenía (4 × 20) con lo recibido (3 × 10)
+  assert.ok(Math.abs(saldo(A2).costoPromedio - 110 / 7) < 1e-9);
+});
+
+test('un traslado sin stock suficiente en el origen no mueve nada', async (t) => {
+  const { movimientos, saldo } = prepararTraslado(t);
+
+  const { status, body } = await llamarControlador(createTraslado, {
+    body: { material: M1, almacenOrigen: A1, almacenDestino: A2, cantidad: 9 },
+  });
+
+  assert.equal(status, 400);
+  assert.match(body.message, /Disponible: 8/);
+  assert.equal(saldo(A1).cantidad, 8);
+  assert.equal(saldo(A2).cantidad, 4);
+  assert.equal(movimientos.length, 0);
+});
+
+test('un traslado en tránsito solo suma en el destino al confirmar, y una sola vez', async (t) => {
+  const { estado, movimientos, saldo } = prepararTraslado(t);
+
+  const creado = await llamarControlador(createTraslado, {
+    body: { material: M1, almacenOrigen: A1, almacenDestino: A2, cantidad: 3, enTransito: true },
+  });
+  assert.equal(creado.status, 201);
+  assert.equal(saldo(A1).cantidad, 5);
+  assert.equal(saldo(A2).cantidad, 4);
+  assert.equal(estado.materiales.get(M1).cantidad, 9); // Lo que viaja no está en ningún almacén
+  assert.equal(movimientos[1].stockNuevo, undefined);
+
+  const params = { trasladoId: creado.body.data.trasladoId };
+  const confirmado = await llamarControlador(confirmarTraslado, { params });
+  assert.equal(confirmado.status, 200);
+  assert.equal(saldo(A2).cantidad, 7);
+  assert.equal(estado.materiales.get(M1).cantidad, 12);
+  assert.deepEqual([movimientos[1].stockAnterior, movimientos[1].stockNuevo], [4, 7]);
+  assert.ok(movimientos.every((m) => m.estadoTraslado === 'recibido'));
+
+  const repetido = await llamarControlador(confirmarTraslado, { params });
+  assert.equal(repetido.status, 400);
+  assert.equal(saldo(A2).cantidad, 7);
+});
+
+test('el origen y el destino de un traslado deben ser distintos', async (t) => {
+  const { movimientos } = prepararTraslado(t);
+
+  const { status } = await llamarControlador(createTraslado, {
+    body: { material: M1, almacenOrigen: A1, almacenDestino: A1, cantidad: 1 },
+  });
+
+  assert.equal(status, 400);
+  assert.equal(movimientos.length, 0);
+});
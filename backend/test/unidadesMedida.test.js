@@ -0,0 +1,86 @@
+// File: BackEnd/test/unidadesMedida.test.js
+// Description: Pruebas de las unidades de medida (node:test, catálogo en
+//              memoria): forma de escribir las unidades, conversión a la
+//              unidad del material y validación de sus equivalencias.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const UnidadMedida = require('../src/modules/inventory/models/unidadMedida.modelo');
+const {
+  UNIDADES_BASE,
+  normalizarUnidad,
+  convertirAUnidadMaterial,
+  listarUnidadesMaterial,
+  normalizarConversiones,
+} = require('../src/modules/inventory/services/unidadMedida.servicio');
+
+/**
+ * Catálogo base en memoria (sin escribir en la base de datos).
+ */
+const prepararCatalogo = (t) => {
+  const originales = ['bulkWrite', 'find'].map((m) => [m, UnidadMedida[m]]);
+  t.after(() => originales.forEach(([metodo, fn]) => { UnidadMedida[metodo] = fn; }));
+
+  UnidadMedida.bulkWrite = async () => ({});
+  UnidadMedida.find = () => ({ lean: async () => UNIDADES_BASE.map((u) => ({ ...u })) });
+};
+
+const cemento = { nombre: 'Cemento', unidad: 'kg', conversiones: [{ unidad: 'Bulto', factor: 50 }] };
+const pintura = { nombre: 'Pintura', unidad: 'cuñete', conversiones: [{ unidad: 'gal', factor: 0.2 }] };
+
+test('las unidades se comparan sin tildes, puntos, mayúsculas ni superíndices', () => {
+  assert.equal(normalizarUnidad(' M³ '), 'm3');
+  assert.equal(normalizarUnidad('Mt²'), 'mt2');
+  assert.equal(normalizarUnidad('Galón'), 'galon');
+  assert.equal(normalizarUnidad('Kg.'), 'kg');
+  assert.equal(normalizarUnidad(null), '');
+});
+
+test('sin unidad o con la del material la cantidad no cambia', async (t) => {
+  prepararCatalogo(t);
+
+  assert.deepEqual(await convertirAUnidadMaterial(cemento, '12', undefined), {
+    cantidad: 12, factor: 1, unidadOriginal: null, cantidadOriginal: null,
+  });
+  assert.equal((await convertirAUnidadMaterial(cemento, 12, 'Kilos')).unidadOriginal, null);
+});
+
+test('se convierte por equivalencia del material, por magnitud o a través de una equivalencia', async (t) => {
+  prepararCatalogo(t);
+
+  assert.deepEqual(await convertirAUnidadMaterial(cemento, 3, 'bulto'), {
+    cantidad: 150, factor: 50, unidadOriginal: 'bulto', cantidadOriginal: 3,
+  });
+  assert.equal((await convertirAUnidadMaterial(cemento, 2, 'ton')).cantidad, 2000);
+  // 37.854 l = 10 gal = 2 cuñetes
+  assert.equal((await convertirAUnidadMaterial(pintura, 37.854, 'litros')).cantidad, 2);
+});
+
+test('una unidad incompatible se rechaza con las unidades válidas del material', async (t) => {
+  prepararCatalogo(t);
+
+  await assert.rejects(
+    convertirAUnidadMaterial(cemento, 1, 'm3'),
+    (error) => error.statusCode === 400 && /Unidades válidas: kg, Bulto, g, t, lb\./.test(error.message)
+  );
+});
+
+test('las unidades del material incluyen sus equivalencias y las del catálogo compatibles', async (t) => {
+  prepararCatalogo(t);
+
+  const unidades = await listarUnidadesMaterial(pintura);
+
+  assert.deepEqual(unidades.map((u) => [u.unidad, u.origen]), [
+    ['cuñete', 'material'], ['gal', 'equivalencia'], ['m3', 'catalogo'], ['l', 'catalogo'],
+  ]);
+});
+
+test('las equivalencias deben tener unidad distinta a la del material, sin repetir y con factor positivo', () => {
+  assert.deepEqual(normalizarConversiones([{ unidad: ' Bulto ', factor: '50' }], 'kg'), [{ unidad: 'Bulto', factor: 50 }]);
+  assert.deepEqual(normalizarConversiones(null, 'kg'), []);
+  assert.throws(() => normalizarConversiones({}, 'kg'), /lista/);
+  assert.throws(() => normalizarConversiones([{ unidad: 'KG', factor: 1 }], 'kg'), /propia unidad/);
+  assert.throws(() => normalizarConversiones([{ unidad: 'bulto', factor: 50 }, { unidad: 'Bulto', factor: 40 }], 'kg'), /repetida/);
+  assert.throws(() => normalizarConversiones([{ unidad: 'bulto', factor: 0 }], 'kg'), /mayor que 0/);
+});
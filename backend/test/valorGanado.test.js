@@ -0,0 +1,118 @@
+// File: BackEnd/test/valorGanado.test.js
+// Description: Pruebas del valor ganado de proyectos (node:test, modelos
+//              sustituidos): índices y proyecciones, valor planeado por
+//              fechas o por cronograma y corte diario.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TareaProyecto = require('../src/modules/projects/models/tareaProyecto.modelo');
+const CorteValorGanado = require('../src/modules/projects/models/corteValorGanado.modelo');
+const PresupuestoMaterial = require('../src/modules/budgets/models/presupuesto.modelo');
+const {
+  calcularIndicadores,
+  calcularValorGanadoProyecto,
+  registrarCorteValorGanado,
+} = require('../src/modules/projects/services/valorGanado.servicio');
+
+const P1 = '650000000000000000000021';
+
+test('los índices comparan lo ganado con lo planeado y con lo gastado', () => {
+  assert.deepEqual(calcularIndicadores({ bac: 1000, pv: 500, ev: 400, ac: 500 }), {
+    sv: -100, cv: -100, spi: 0.8, cpi: 0.8, eac: 1250, vac: -250, atrasado: true, sobrecosto: true,
+  });
+
+  // Dentro de la tolerancia del 5 % no se marca atraso ni sobrecosto
+  const enTolerancia = calcularIndicadores({ bac: 1000, pv: 500, ev: 480, ac: 500 });
+  assert.deepEqual([enTolerancia.spi, enTolerancia.atrasado, enTolerancia.sobrecosto], [0.96, false, false]);
+});
+
+test('sin costo real se proyecta el presupuesto y sin valor ganado se suma lo gastado', () => {
+  const sinCosto = calcularIndicadores({ bac: 1000, pv: 0, ev: 0, ac: 0 });
+  assert.deepEqual([sinCosto.spi, sinCosto.cpi, sinCosto.eac, sinCosto.vac], [null, null, 1000, 0]);
+
+  const sinAvance = calcularIndicadores({ bac: 1000, pv: 200, ev: 0, ac: 300 });
+  assert.deepEqual([sinAvance.cpi, sinAvance.eac, sinAvance.vac], [0, 1300, -300]);
+});
+
+/**
+ * Presupuesto de materiales y tareas del proyecto en memoria; los cortes
+ * guardados quedan en `cortes`.
+ */
+const prepararProyecto = (t, { totalPresupuesto, tareas = [] }) => {
+  const originales = [
+    [PresupuestoMaterial, 'findOne', PresupuestoMaterial.findOne],
+    [TareaProyecto, 'find', TareaProyecto.find],
+    [CorteValorGanado, 'findOneAndUpdate', CorteValorGanado.findOneAndUpdate],
+  ];
+  t.after(() => originales.forEach(([modelo, metodo, fn]) => { modelo[metodo] = fn; }));
+
+  const cortes = [];
+  PresupuestoMaterial.findOne = () => ({
+    select: () => ({ lean: async () => (totalPresupuesto === null ? null : { totalPresupuesto }) }),
+  });
+  TareaProyecto.find = () => ({ lean: async () => tareas });
+  CorteValorGanado.findOneAndUpdate = (filtro, { $set }) => ({
+    lean: async () => {
+      cortes.push({ ...filtro, ...$set });
+      return cortes[cortes.length - 1];
+    },
+  });
+
+  const proyecto = {
+    _id: P1,
+    title: 'Torre A',
+    status: 'en progreso',
+    startDate: new Date('2025-01-01T00:00:00Z'),
+    endDate: new Date('2025-01-21T00:00:00Z'),
+    criteriosAvance: [],
+    progress: 0,
+    calcularCostoMateriales: async () => 300.456,
+  };
+  return { proyecto, cortes };
+};
+
+test('sin cronograma el valor planeado avanza linealmente entre las fechas del proyecto', async (t) => {
+  const { proyecto } = prepararProyecto(t, { totalPresupuesto: 2000 });
+
+  const resultado = await calcularValorGanadoProyecto(proyecto, { fecha: new Date('2025-01-06T00:00:00Z') });
+
+  assert.deepEqual(
+    [resultado.bac, resultado.avancePlaneado, resultado.pv, resultado.ac, resultado.fuenteAvancePlaneado],
+    [2000, 25, 500, 300.46, 'fechas']
+  );
+  assert.equal(resultado.ev, Math.round(2000 * resultado.avanceReal) / 100);
+  assert.equal(resultado.spi, Math.round((resultado.ev / 500) * 100) / 100);
+});
+
+test('con tareas el valor planeado sigue el cronograma y la curva llega al presupuesto', async (t) => {
+  const { proyecto } = prepararProyecto(t, {
+    totalPresupuesto: 2000,
+    tareas: [
+      { _id: 'a', nombre: 'Excavación', duracion: 4, predecesoras: [] },
+      { _id: 'b', nombre: 'Cimentación', duracion: 4, predecesoras: [{ tarea: 'a' }] },
+    ],
+  });
+
+  const resultado = await calcularValorGanadoProyecto(proyecto, {
+    fecha: new Date('2025-01-03T00:00:00Z'),
+    incluirCurva: true,
+  });
+
+  // Día 2 de 8: mitad de la excavación
+  assert.deepEqual([resultado.avancePlaneado, resultado.pv, resultado.fuenteAvancePlaneado], [25, 500, 'cronograma']);
+  const ultimo = resultado.curvaPlaneada[resultado.curvaPlaneada.length - 1];
+  assert.deepEqual(ultimo, { fecha: proyecto.endDate, avancePlaneado: 100, pv: 2000 });
+});
+
+test('el corte diario se guarda a medianoche UTC y se omite sin presupuesto', async (t) => {
+  const { proyecto, cortes } = prepararProyecto(t, { totalPresupuesto: null });
+  const sinPresupuesto = await calcularValorGanadoProyecto(proyecto, { fecha: new Date('2025-01-06T15:30:00Z') });
+
+  assert.equal(sinPresupuesto.sinPresupuesto, true);
+  assert.equal(await registrarCorteValorGanado(sinPresupuesto), null);
+
+  await registrarCorteValorGanado({ ...sinPresupuesto, sinPresupuesto: false, bac: 100 });
+  assert.equal(cortes.length, 1);
+  assert.deepEqual([cortes[0].proyecto, cortes[0].fecha, cortes[0].bac], [P1, new Date('2025-01-06T00:00:00Z'), 100]);
+});
@@ -0,0 +1,163 @@
+// File: frontend/src/modules/inventory/modals/ModalCrearConteoInventario.jsx
+// Description: Modal para abrir un conteo físico de inventario en ProCivil
+//              Manager (PCM). Se elige el almacén y, para un conteo cíclico,
+//              opcionalmente una categoría de materiales; el backend guarda
+//              el saldo actual de cada material como cantidad esperada.
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { X } from 'lucide-react';
+
+// Clases compartidas de los inputs del formulario.
+const claseInput =
+  'w-full px-4 py-2 bg-pcm-bg/70 border border-white/10 rounded-lg text-pcm-text text-sm ' +
+  'placeholder:text-pcm-muted focus:outline-none focus:ring-2 focus:ring-pcm-primary/80';
+
+// Estado inicial del formulario
+const FORMULARIO_VACIO = {
+  almacen: '',
+  categoria: '',                                                            // Vacío = todo el almacén
+  descripcion: '',
+};
+
+// ============================================
+// Componente funcional ModalCrearConteoInventario
+// ============================================
+//
+// Props:
+//
+//  - estaAbierto: bandera booleana que indica si el modal está visible.
+//  - alCerrar:    función que se llama al cerrar/cancelar.
+//  - alEnviar:    función que recibe el payload listo para el backend.
+//  - catalogos:   { almacenes, materiales }.
+//
+const ModalCrearConteoInventario = ({ estaAbierto, alCerrar, alEnviar, catalogos }) => {
+  const [form, setForm] = useState(FORMULARIO_VACIO);
+  const [enviando, setEnviando] = useState(false);
+
+  // Reinicia el formulario cada vez que se abre el modal
+  useEffect(() => {
+    if (estaAbierto) setForm(FORMULARIO_VACIO);
+  }, [estaAbierto]);
+
+  const { almacenes = [], materiales = [] } = catalogos || {};
+
+  // Categorías existentes en el catálogo de materiales
+  const categorias = useMemo(
+    () =>
+      [...new Set(materiales.map((material) => (material.categoria || '').trim()).filter(Boolean))].sort((a, b) =>
+        a.localeCompare(b, 'es')
+      ),
+    [materiales]
+  );
+
+  if (!estaAbierto) return null;
+
+  const actualizarCampo = (campo, valor) => setForm((prev) => ({ ...prev, [campo]: valor }));
+
+  // Arma el payload y lo delega al padre.
+  const manejarEnvioFormulario = async (evento) => {
+    evento.preventDefault();
+
+    setEnviando(true);
+    try {
+      await alEnviar({
+        almacen: form.almacen,
+        categoria: form.categoria || undefined,
+        descripcion: form.descripcion.trim(),
+      });
+    } finally {
+      setEnviando(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 p-4 animate-fade-in-soft"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="titulo-modal-conteo-inventario"
+    >
+      <div className="bg-pcm-surfaceSoft/95 rounded-pcm-xl max-w-lg w-full border border-sky-500/40 shadow-pcm-soft animate-scale-in">
+        {/* Encabezado */}
+        <div className="p-6 border-b border-white/10 flex items-center justify-between gap-3">
+          <h3 id="titulo-modal-conteo-inventario" className="text-xl font-semibold text-pcm-text">
+            Nuevo conteo físico
+          </h3>
+          <button
+            type="button"
+            onClick={alCerrar}
+            className="text-pcm-muted hover:text-pcm-text transition duration-200"
+          >
+            <X size={24} />
+          </button>
+        </div>
+
+        <form onSubmit={manejarEnvioFormulario} className="p-6 space-y-4">
+          <div>
+            <label className="block text-pcm-text text-sm font-semibold mb-2">Almacén *</label>
+            <select
+              value={form.almacen}
+              onChange={(e) => actualizarCampo('almacen', e.target.value)}
+              required
+              className={claseInput}
+            >
+              <option value="">Seleccione un almacén</option>
+              {almacenes.map((almacen) => (
+                <option key={almacen._id} value={almacen._id}>
+                  {almacen.nombre}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-pcm-text text-sm font-semibold mb-2">Categoría</label>
+            <select
+              value={form.categoria}
+              onChange={(e) => actualizarCampo('categoria', e.target.value)}
+              className={claseInput}
+            >
+              <option value="">Todo el almacén</option>
+              {categorias.map((categoria) => (
+                <option key={categoria} value={categoria}>
+                  {categoria}
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-pcm-muted mt-1">
+              Elija una categoría para un conteo cíclico parcial.
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-pcm-text text-sm font-semibold mb-2">Descripción</label>
+            <input
+              type="text"
+              value={form.descripcion}
+              onChange={(e) => actualizarCampo('descripcion', e.target.value)}
+              placeholder="Ej. Conteo mensual de cementos"
+              className={claseInput}
+            />
+          </div>
+
+          {/* Botones de acción */}
+          <div className="flex gap-3 pt-4">
+            <button type="button" onClick={alCerrar} className="pcm-btn-ghost flex-1 text-sm font-semibold">
+              Cancelar
+            </button>
+            <button
+              type="submit"
+              disabled={!form.almacen || enviando}
+              className="pcm-btn-primary flex-1 text-sm font-semibold disabled:opacity-50"
+            >
+              {enviando ? 'Abriendo...' : 'Abrir conteo'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// Exporta el modal para usarlo en VistaConteosInventario.
+export default ModalCrearConteoInventario;
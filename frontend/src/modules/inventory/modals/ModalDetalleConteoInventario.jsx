@@ -0,0 +1,519 @@
+// File: frontend/src/modules/inventory/modals/ModalDetalleConteoInventario.jsx
+// Description: Modal de un conteo físico de inventario en ProCivil Manager
+//              (PCM). Mientras el conteo está abierto, admin y líder de obra
+//              registran las cantidades contadas (en móvil se muestra una
+//              tarjeta por material). En revisión, el administrador aprueba
+//              las diferencias y las aplica como ajustes de inventario, o
+//              reabre el conteo. También permite cancelarlo con motivo.
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { X, ClipboardCheck, Loader, Save, Send, CheckCircle, RotateCcw, Ban, Search, AlertTriangle } from 'lucide-react';
+import {
+  obtenerConteoInventarioPorId,
+  registrarCantidadesConteo,
+  enviarConteoARevision,
+  reabrirConteoInventario,
+  aplicarConteoInventario,
+  cancelarConteoInventario,
+} from '../../../services/api/api.js';
+
+// Etiquetas y colores por estado del conteo
+export const ESTADOS_CONTEO = {
+  abierto: { etiqueta: 'Abierto', clase: 'bg-sky-500/20 text-sky-200 border-sky-400/40' },
+  en_revision: { etiqueta: 'En revisión', clase: 'bg-amber-500/20 text-amber-200 border-amber-400/40' },
+  aplicado: { etiqueta: 'Aplicado', clase: 'bg-emerald-500/20 text-emerald-200 border-emerald-400/40' },
+  cancelado: { etiqueta: 'Cancelado', clase: 'bg-red-500/20 text-red-200 border-red-400/40' },
+};
+
+const formatoNumero = (valor) => Number(valor || 0).toLocaleString('es-CO', { maximumFractionDigits: 2 });
+
+// Clases compartidas de los inputs.
+const claseInput =
+  'w-full px-3 py-1.5 bg-pcm-bg/70 border border-white/10 rounded-lg text-pcm-text text-sm ' +
+  'placeholder:text-pcm-muted focus:outline-none focus:ring-2 focus:ring-pcm-primary/80';
+
+// Texto y color de la diferencia contada - esperada
+const describirDiferencia = (diferencia) => {
+  if (diferencia === null || diferencia === undefined) return { texto: '-', clase: 'text-pcm-muted' };
+  if (diferencia > 0) return { texto: `+${formatoNumero(diferencia)}`, clase: 'text-emerald-300' };
+  if (diferencia < 0) return { texto: `-${formatoNumero(Math.abs(diferencia))}`, clase: 'text-red-300' };
+  return { texto: '0', clase: 'text-pcm-muted' };
+};
+
+// Componente principal del modal de conteo
+const ModalDetalleConteoInventario = ({ conteo: conteoInicial, esAdmin, puedeContar, onClose, onActualizado, showToast }) => {
+  const [conteo, setConteo] = useState(conteoInicial);
+  const [loading, setLoading] = useState(false);
+  const [procesando, setProcesando] = useState(false);
+  const [capturas, setCapturas] = useState({});                             // { materialId: { cantidadContada, observacion } }
+  const [aprobados, setAprobados] = useState({});                           // { materialId: boolean }
+  const [busqueda, setBusqueda] = useState('');
+  const [soloPendientes, setSoloPendientes] = useState(false);
+  const [motivoCancelacion, setMotivoCancelacion] = useState('');
+  const [mostrarCancelar, setMostrarCancelar] = useState(false);
+
+  // Carga el detalle completo (con el saldo actual de cada material)
+  const cargarDetalle = useCallback(async () => {
+    if (!conteoInicial?._id) return;
+    setLoading(true);
+    try {
+      const data = await obtenerConteoInventarioPorId(conteoInicial._id);
+      setConteo(data);
+      setCapturas({});
+      // En revisión, todas las diferencias quedan aprobadas por defecto
+      setAprobados(
+        Object.fromEntries(
+          (data.items || [])
+            .filter((item) => item.diferencia !== null && Number(item.diferencia) !== 0)
+            .map((item) => [item.material?._id || item.material, true])
+        )
+      );
+    } catch (err) {
+      console.error('Error al obtener el conteo de inventario:', err);
+      showToast?.(err?.message || 'No se pudo cargar el conteo', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [conteoInicial, showToast]);
+
+  useEffect(() => {
+    cargarDetalle();
+  }, [cargarDetalle]);
+
+  // Helper para cerrar con tecla Esc
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // Ítems visibles según la búsqueda y el filtro de pendientes
+  const itemsVisibles = useMemo(() => {
+    const term = busqueda.toLowerCase();
+    return (conteo?.items || []).filter(
+      (item) =>
+        (item.material?.nombre || '').toLowerCase().includes(term) &&
+        (!soloPendientes || item.cantidadContada === null || item.cantidadContada === undefined)
+    );
+  }, [conteo, busqueda, soloPendientes]);
+
+  if (!conteo) return null;
+
+  const estado = ESTADOS_CONTEO[conteo.estado] || ESTADOS_CONTEO.abierto;
+  const enCaptura = puedeContar && conteo.estado === 'abierto';
+  const enRevision = esAdmin && conteo.estado === 'en_revision';
+  const admiteCancelacion = esAdmin && ['abierto', 'en_revision'].includes(conteo.estado);
+  const resumen = conteo.resumen || {};
+  const hayCambios = Object.keys(capturas).length > 0;
+
+  // Ejecuta una acción sobre el conteo y refresca el detalle y la lista
+  const ejecutarAccion = async (accion, mensajeExito) => {
+    setProcesando(true);
+    try {
+      const respuesta = await accion();
+      showToast?.(respuesta?.message || mensajeExito, 'success');
+      await cargarDetalle();
+      await onActualizado?.();
+      return true;
+    } catch (err) {
+      console.error('Error en la acción del conteo de inventario:', err);
+      showToast?.(err?.message || 'No se pudo completar la acción', 'error');
+      return false;
+    } finally {
+      setProcesando(false);
+    }
+  };
+
+  // Cantidades digitadas y aún no guardadas
+  const construirItemsCapturados = () =>
+    Object.entries(capturas).map(([material, captura]) => {
+      const item = conteo.items.find((i) => (i.material?._id || i.material) === material);
+      const cantidad = captura.cantidadContada ?? item?.cantidadContada ?? '';
+      return {
+        material,
+        cantidadContada: cantidad === '' ? null : Number(cantidad),
+        observacion: captura.observacion ?? item?.observacion ?? '',
+      };
+    });
+
+  const handleGuardar = () =>
+    ejecutarAccion(() => registrarCantidadesConteo(conteo._id, construirItemsCapturados()), 'Cantidades registradas');
+
+  // Guarda lo pendiente y pasa el conteo a revisión
+  const handleEnviarRevision = () =>
+    ejecutarAccion(async () => {
+      if (hayCambios) await registrarCantidadesConteo(conteo._id, construirItemsCapturados());
+      return enviarConteoARevision(conteo._id);
+    }, 'Conteo enviado a revisión');
+
+  const handleReabrir = () => ejecutarAccion(() => reabrirConteoInventario(conteo._id), 'Conteo reabierto');
+
+  const handleAplicar = () => {
+    const ids = Object.entries(aprobados)
+      .filter(([, aprobado]) => aprobado)
+      .map(([material]) => material);
+    return ejecutarAccion(() => aplicarConteoInventario(conteo._id, ids), 'Conteo aplicado');
+  };
+
+  const handleCancelar = async () => {
+    if (!motivoCancelacion.trim()) {
+      showToast?.('Indica el motivo de la cancelación', 'warning');
+      return;
+    }
+    const ok = await ejecutarAccion(
+      () => cancelarConteoInventario(conteo._id, motivoCancelacion.trim()),
+      'Conteo cancelado'
+    );
+    if (ok) {
+      setMostrarCancelar(false);
+      setMotivoCancelacion('');
+    }
+  };
+
+  const actualizarCaptura = (materialId, campo, valor) =>
+    setCapturas((prev) => ({ ...prev, [materialId]: { ...prev[materialId], [campo]: valor } }));
+
+  // Valores mostrados de un ítem (lo digitado tiene prioridad sobre lo guardado)
+  const valoresItem = (item) => {
+    const materialId = item.material?._id || item.material;
+    const captura = capturas[materialId] || {};
+    const cantidad = captura.cantidadContada ?? (item.cantidadContada ?? '');
+    const diferencia = cantidad === '' ? null : Number(cantidad) - (Number(item.cantidadEsperada) || 0);
+    const movido =
+      item.saldoActual !== undefined &&
+      ['abierto', 'en_revision'].includes(conteo.estado) &&
+      Number(item.saldoActual) !== Number(item.cantidadEsperada);
+    return {
+      materialId,
+      cantidad,
+      observacion: captura.observacion ?? (item.observacion || ''),
+      diferencia: describirDiferencia(diferencia),
+      conDiferencia: diferencia !== null && diferencia !== 0,
+      movido,
+    };
+  };
+
+  // Casilla de aprobación de una diferencia (revisión)
+  const renderAprobacion = (item, valores) =>
+    enRevision && valores.conDiferencia ? (
+      <label className="inline-flex items-center gap-2 text-xs text-pcm-text">
+        <input
+          type="checkbox"
+          checked={!!aprobados[valores.materialId]}
+          onChange={(e) => setAprobados((prev) => ({ ...prev, [valores.materialId]: e.target.checked }))}
+          className="accent-pcm-primary"
+        />
+        Aprobar
+      </label>
+    ) : conteo.estado === 'aplicado' && item.movimiento ? (
+      <span className="text-xs text-emerald-300">Ajustado</span>
+    ) : null;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-2 md:p-4"
+      role="dialog"
+      aria-modal="true"
+    >
+      {/* Fondo oscuro clickeable para cerrar */}
+      <div className="absolute inset-0" onClick={onClose}></div>
+      {/* Contenedor del modal */}
+      <div className="relative bg-pcm-surfaceSoft/95 rounded-pcm-xl w-full max-w-5xl shadow-pcm-soft overflow-hidden animate-fade-in-soft">
+        {/* Encabezado */}
+        <div className="flex items-center justify-between p-4 md:p-6 border-b border-white/10">
+          <div className="flex items-center gap-3">
+            <div className="hidden sm:flex w-12 h-12 rounded-2xl bg-pcm-primary items-center justify-center">
+              <ClipboardCheck size={24} className="text-white" />
+            </div>
+            <div>
+              <h3 className="text-xl md:text-2xl font-semibold text-pcm-text">Conteo {conteo.numero}</h3>
+              <p className="text-xs text-pcm-muted">
+                {conteo.almacen?.nombre || '-'}
+                {conteo.categoria ? ` · ${conteo.categoria}` : ' · Todo el almacén'}
+              </p>
+              <span className={`text-xs font-semibold border rounded-full px-2 py-0.5 ${estado.clase}`}>
+                {estado.etiqueta}
+              </span>
+            </div>
+          </div>
+          <button onClick={onClose} className="text-pcm-muted hover:text-pcm-text">
+            <X size={24} />
+          </button>
+        </div>
+
+        {/* Cuerpo del modal */}
+        <div className="p-4 md:p-6 space-y-6 max-h-[80vh] overflow-y-auto">
+          {loading && (
+            <div className="flex justify-center">
+              <Loader className="animate-spin text-pcm-primary" size={24} />
+            </div>
+          )}
+
+          {/* Resumen del avance */}
+          <div className="flex flex-wrap gap-2 text-xs">
+            <span className="border border-white/10 rounded-full px-3 py-1 text-pcm-text">
+              Contados {resumen.contados ?? 0} / {resumen.total ?? 0}
+            </span>
+            <span className="border border-emerald-400/40 rounded-full px-3 py-1 text-emerald-200">
+              Sobrantes {resumen.sobrantes ?? 0}
+            </span>
+            <span className="border border-red-400/40 rounded-full px-3 py-1 text-red-200">
+              Faltantes {resumen.faltantes ?? 0}
+            </span>
+            {conteo.descripcion && <span className="px-1 py-1 text-pcm-muted">{conteo.descripcion}</span>}
+          </div>
+
+          {conteo.estado === 'cancelado' && (
+            <p className="text-red-300 text-sm">
+              Cancelado el{' '}
+              {conteo.fechaCancelacion ? new Date(conteo.fechaCancelacion).toLocaleDateString('es-CO') : '-'}:{' '}
+              {conteo.motivoCancelacion}
+            </p>
+          )}
+
+          {conteo.estado === 'aplicado' && (
+            <p className="text-emerald-300 text-sm">
+              Aplicado el{' '}
+              {conteo.fechaAplicacion ? new Date(conteo.fechaAplicacion).toLocaleString('es-CO') : '-'}. Las
+              diferencias aprobadas quedaron como ajustes con motivo "Conteo físico {conteo.numero}".
+            </p>
+          )}
+
+          {/* Búsqueda y filtro de pendientes */}
+          <div className="flex flex-col sm:flex-row gap-3">
+            <div className="flex-1 relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-pcm-muted" size={18} />
+              <input
+                type="text"
+                value={busqueda}
+                onChange={(e) => setBusqueda(e.target.value)}
+                placeholder="Buscar material..."
+                className={`${claseInput} pl-9`}
+              />
+            </div>
+            <label className="inline-flex items-center gap-2 text-sm text-pcm-text">
+              <input
+                type="checkbox"
+                checked={soloPendientes}
+                onChange={(e) => setSoloPendientes(e.target.checked)}
+                className="accent-pcm-primary"
+              />
+              Solo sin contar
+            </label>
+          </div>
+
+          {/* Móvil: una tarjeta por material */}
+          <div className="md:hidden space-y-3">
+            {itemsVisibles.map((item) => {
+              const valores = valoresItem(item);
+              return (
+                <div key={valores.materialId} className="border border-white/10 rounded-lg p-3 space-y-2">
+                  <div className="flex items-start justify-between gap-2">
+                    <p className="text-sm font-semibold text-pcm-text">
+                      {item.material?.nombre || 'Material eliminado'}
+                      <span className="text-pcm-muted font-normal"> / {item.material?.unidad || 'unidad'}</span>
+                    </p>
+                    {renderAprobacion(item, valores)}
+                  </div>
+                  <div className="grid grid-cols-2 gap-2 text-xs text-pcm-muted">
+                    <span>Esperado: {formatoNumero(item.cantidadEsperada)}</span>
+                    <span className={`text-right font-semibold ${valores.diferencia.clase}`}>
+                      Diferencia: {valores.diferencia.texto}
+                    </span>
+                  </div>
+                  {valores.movido && (
+                    <p className="text-xs text-amber-300 inline-flex items-center gap-1">
+                      <AlertTriangle size={12} /> Saldo actual {formatoNumero(item.saldoActual)}: hubo movimientos
+                      después de abrir el conteo.
+                    </p>
+                  )}
+                  {enCaptura ? (
+                    <div className="grid grid-cols-2 gap-2">
+                      <input
+                        type="number"
+                        inputMode="decimal"
+                        min="0"
+                        step="any"
+                        value={valores.cantidad}
+                        onChange={(e) => actualizarCaptura(valores.materialId, 'cantidadContada', e.target.value)}
+                        placeholder="Contado"
+                        className={claseInput}
+                      />
+                      <input
+                        type="text"
+                        value={valores.observacion}
+                        onChange={(e) => actualizarCaptura(valores.materialId, 'observacion', e.target.value)}
+                        placeholder="Observación"
+                        className={claseInput}
+                      />
+                    </div>
+                  ) : (
+                    <p className="text-sm text-pcm-text">
+                      Contado: {valores.cantidad === '' ? '-' : formatoNumero(valores.cantidad)}
+                      {valores.observacion ? <span className="text-pcm-muted"> · {valores.observacion}</span> : null}
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Escritorio: tabla */}
+          <div className="hidden md:block overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-white/10 text-pcm-muted text-xs">
+                  <th className="text-left p-2">Material</th>
+                  <th className="text-right p-2">Esperado</th>
+                  <th className="text-right p-2">Contado</th>
+                  <th className="text-right p-2">Diferencia</th>
+                  <th className="text-left p-2">Observación</th>
+                  <th className="text-left p-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {itemsVisibles.map((item) => {
+                  const valores = valoresItem(item);
+                  return (
+                    <tr key={valores.materialId} className="border-b border-white/5 text-pcm-text">
+                      <td className="p-2">
+                        {item.material?.nombre || 'Material eliminado'}
+                        <span className="text-pcm-muted"> / {item.material?.unidad || 'unidad'}</span>
+                        {valores.movido && (
+                          <span
+                            className="ml-2 inline-flex items-center gap-1 text-xs text-amber-300"
+                            title="Hubo movimientos después de abrir el conteo"
+                          >
+                            <AlertTriangle size={12} /> Actual {formatoNumero(item.saldoActual)}
+                          </span>
+                        )}
+                      </td>
+                      <td className="p-2 text-right">{formatoNumero(item.cantidadEsperada)}</td>
+                      <td className="p-2 text-right w-32">
+                        {enCaptura ? (
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={valores.cantidad}
+                            onChange={(e) => actualizarCaptura(valores.materialId, 'cantidadContada', e.target.value)}
+                            className={claseInput}
+                          />
+                        ) : valores.cantidad === '' ? (
+                          '-'
+                        ) : (
+                          formatoNumero(valores.cantidad)
+                        )}
+                      </td>
+                      <td className={`p-2 text-right font-semibold ${valores.diferencia.clase}`}>
+                        {valores.diferencia.texto}
+                      </td>
+                      <td className="p-2">
+                        {enCaptura ? (
+                          <input
+                            type="text"
+                            value={valores.observacion}
+                            onChange={(e) => actualizarCaptura(valores.materialId, 'observacion', e.target.value)}
+                            className={claseInput}
+                          />
+                        ) : (
+                          <span className="text-pcm-muted">{valores.observacion || '-'}</span>
+                        )}
+                      </td>
+                      <td className="p-2">{renderAprobacion(item, valores)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {itemsVisibles.length === 0 && (
+            <p className="text-center text-sm text-pcm-muted">No hay materiales con los filtros seleccionados.</p>
+          )}
+
+          {/* Acciones */}
+          {(enCaptura || enRevision || admiteCancelacion) && (
+            <div className="border-t border-white/10 pt-4 space-y-3">
+              <div className="flex flex-col sm:flex-row flex-wrap gap-3">
+                {enCaptura && (
+                  <button
+                    onClick={handleGuardar}
+                    disabled={procesando || !hayCambios}
+                    className="pcm-btn-primary inline-flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold disabled:opacity-50"
+                  >
+                    <Save size={16} /> Guardar conteo
+                  </button>
+                )}
+                {enCaptura && (
+                  <button
+                    onClick={handleEnviarRevision}
+                    disabled={procesando}
+                    className="pcm-btn-ghost inline-flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold disabled:opacity-50"
+                  >
+                    <Send size={16} /> Enviar a revisión
+                  </button>
+                )}
+                {enRevision && (
+                  <button
+                    onClick={handleAplicar}
+                    disabled={procesando}
+                    className="pcm-btn-primary inline-flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold disabled:opacity-50"
+                  >
+                    <CheckCircle size={16} /> Aplicar diferencias aprobadas
+                  </button>
+                )}
+                {enRevision && (
+                  <button
+                    onClick={handleReabrir}
+                    disabled={procesando}
+                    className="pcm-btn-ghost inline-flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold disabled:opacity-50"
+                  >
+                    <RotateCcw size={16} /> Reabrir conteo
+                  </button>
+                )}
+                {admiteCancelacion && !mostrarCancelar && (
+                  <button
+                    onClick={() => setMostrarCancelar(true)}
+                    className="pcm-btn-danger inline-flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold"
+                  >
+                    <Ban size={16} /> Cancelar conteo
+                  </button>
+                )}
+              </div>
+
+              {mostrarCancelar && (
+                <div className="flex flex-col md:flex-row gap-3">
+                  <input
+                    type="text"
+                    value={motivoCancelacion}
+                    onChange={(e) => setMotivoCancelacion(e.target.value)}
+                    placeholder="Motivo de la cancelación"
+                    className={`${claseInput} flex-1`}
+                  />
+                  <button
+                    onClick={handleCancelar}
+                    disabled={procesando}
+                    className="pcm-btn-danger px-4 py-2 text-sm font-semibold disabled:opacity-50"
+                  >
+                    Confirmar cancelación
+                  </button>
+                  <button
+                    onClick={() => setMostrarCancelar(false)}
+                    className="pcm-btn-ghost px-4 py-2 text-sm font-semibold"
+                  >
+                    Volver
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModalDetalleConteoInventario;
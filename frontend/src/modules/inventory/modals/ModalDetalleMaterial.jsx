@@ -1,12 +1,38 @@
 // File: frontend/src/modules/inventory/modals/ModalDetalleMaterial.jsx
 // Description: Modal que muestra el detalle completo de un material, incluyendo
-//              sus atributos y la información del almacén asociado. Se utiliza
+//              sus atributos, la información del almacén asociado y el desglose
+//              de existencias por almacén (material × almacén) y la tendencia
+//              de su precio en el último año (historial de precios) y, si el
+//              material controla lotes, sus lotes con vencimiento. Se utiliza
 //              para visualizar rápidamente los datos de un material desde la
 //              vista de inventarios de ProCivil Manager (PCM). El modal es
 //              autónomo y adapta su apariencia según el rol del usuario.
 
 import React, { useEffect, useState, useMemo } from 'react';
-import { X, Package, Warehouse as IconoAlmacen, DollarSign, Boxes } from 'lucide-react';
+import { X, Package, Warehouse as IconoAlmacen, DollarSign, Boxes, TrendingUp, CalendarClock } from 'lucide-react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from 'recharts';
+import {
+  obtenerMaterialPorId,
+  obtenerHistorialPreciosMaterial,
+  obtenerPrecioMaterialEnFecha,
+  obtenerLotesMaterial,
+} from '../../../services/api/api.js';
+
+// Etiquetas legibles para el origen de cada precio del historial.
+const ETIQUETAS_ORIGEN_PRECIO = {
+  creacion: 'Precio inicial',
+  edicion: 'Cambio de precio',
+  entrada: 'Costo de compra',
+  actual: 'Precio actual',
+};
 
 /**
  * ModalDetalleMaterial
@@ -14,7 +40,7 @@ import { X, Package, Warehouse as IconoAlmacen, DollarSign, Boxes } from 'lucide
  * Props:
  *  - estaAbierto: boolean. Si true, el modal se renderiza; si false, retorna null.
  *  - material: object. Objeto de material completo con campos nombre, categoria,
- *    unidad, precioUnitario, cantidad, stockMinimo y relación poblada 'almacen'.
+ *    unidad, precioUnitario, costoPromedio, cantidad, stockMinimo y relación poblada 'almacen'.
  *  - alCerrar: function. Callback que se ejecuta al cerrar el modal (clic en X, overlay o ESC).
  */
 const ModalDetalleMaterial = ({ estaAbierto, material, alCerrar }) => {
@@ -45,6 +71,127 @@ const ModalDetalleMaterial = ({ estaAbierto, material, alCerrar }) => {
     return 'lider';
   }, [rolUsuario]);
 
+  // Saldos del material en cada almacén (se consultan al abrir el modal).
+  const [stockPorAlmacen, setStockPorAlmacen] = useState([]);
+  const [cargandoStock, setCargandoStock] = useState(false);
+
+  useEffect(() => {
+    if (!estaAbierto || !material?._id) return;
+    let cancelado = false;
+    const cargarStock = async () => {
+      setCargandoStock(true);
+      try {
+        const detalle = await obtenerMaterialPorId(material._id);
+        if (!cancelado) {
+          setStockPorAlmacen(Array.isArray(detalle?.stockPorAlmacen) ? detalle.stockPorAlmacen : []);
+        }
+      } catch (error) {
+        console.error('Error al obtener el stock por almacén del material:', error);
+        if (!cancelado) setStockPorAlmacen([]);
+      } finally {
+        if (!cancelado) setCargandoStock(false);
+      }
+    };
+    cargarStock();
+    return () => {
+      cancelado = true;
+    };
+  }, [estaAbierto, material?._id]);
+
+  // Lotes con existencias (solo materiales con control de lotes), en orden FEFO.
+  const [lotes, setLotes] = useState([]);
+  const [cargandoLotes, setCargandoLotes] = useState(false);
+
+  useEffect(() => {
+    if (!estaAbierto || !material?._id || !material?.controlLotes) {
+      setLotes([]);
+      return;
+    }
+    let cancelado = false;
+    const cargarLotes = async () => {
+      setCargandoLotes(true);
+      try {
+        const respuesta = await obtenerLotesMaterial(material._id);
+        if (!cancelado) setLotes(Array.isArray(respuesta?.lotes) ? respuesta.lotes : []);
+      } catch (error) {
+        console.error('Error al obtener los lotes del material:', error);
+        if (!cancelado) setLotes([]);
+      } finally {
+        if (!cancelado) setCargandoLotes(false);
+      }
+    };
+    cargarLotes();
+    return () => {
+      cancelado = true;
+    };
+  }, [estaAbierto, material?._id, material?.controlLotes]);
+
+  // Historial de precios del último año (para la gráfica de tendencia).
+  const [historialPrecios, setHistorialPrecios] = useState(null);
+  const [cargandoPrecios, setCargandoPrecios] = useState(false);
+
+  // Consulta puntual: precio vigente en una fecha elegida por el usuario.
+  const [fechaConsultaPrecio, setFechaConsultaPrecio] = useState('');
+  const [precioEnFecha, setPrecioEnFecha] = useState(null);
+  const [errorPrecioEnFecha, setErrorPrecioEnFecha] = useState('');
+
+  useEffect(() => {
+    if (!estaAbierto || !material?._id) return;
+    let cancelado = false;
+    const cargarPrecios = async () => {
+      setCargandoPrecios(true);
+      try {
+        const historial = await obtenerHistorialPreciosMaterial(material._id);
+        if (!cancelado) setHistorialPrecios(historial);
+      } catch (error) {
+        console.error('Error al obtener el historial de precios del material:', error);
+        if (!cancelado) setHistorialPrecios(null);
+      } finally {
+        if (!cancelado) setCargandoPrecios(false);
+      }
+    };
+    cargarPrecios();
+    setFechaConsultaPrecio('');
+    setPrecioEnFecha(null);
+    setErrorPrecioEnFecha('');
+    return () => {
+      cancelado = true;
+    };
+  }, [estaAbierto, material?._id]);
+
+  // Puntos de la gráfica: precio vigente al inicio del rango + cada registro.
+  const datosGraficaPrecios = useMemo(() => {
+    if (!historialPrecios) return [];
+    const puntos = [];
+    if (historialPrecios.precioInicial !== null && historialPrecios.precioInicial !== undefined) {
+      puntos.push({
+        fecha: new Date(historialPrecios.desde).getTime(),
+        precio: Number(historialPrecios.precioInicial),
+        origen: 'Vigente al inicio',
+      });
+    }
+    (historialPrecios.registros || []).forEach((registro) => {
+      puntos.push({
+        fecha: new Date(registro.fecha).getTime(),
+        precio: Number(registro.precio),
+        origen: ETIQUETAS_ORIGEN_PRECIO[registro.origen] || registro.origen,
+      });
+    });
+    return puntos;
+  }, [historialPrecios]);
+
+  const consultarPrecioEnFecha = async () => {
+    if (!fechaConsultaPrecio || !material?._id) return;
+    setErrorPrecioEnFecha('');
+    setPrecioEnFecha(null);
+    try {
+      const resultado = await obtenerPrecioMaterialEnFecha(material._id, fechaConsultaPrecio);
+      setPrecioEnFecha(resultado);
+    } catch (error) {
+      setErrorPrecioEnFecha(error?.message || 'No se pudo consultar el precio en esa fecha.');
+    }
+  };
+
   // Si el modal no está abierto o no hay material, no renderiza nada.
   if (!estaAbierto || !material) return null;
 
@@ -127,7 +274,7 @@ const ModalDetalleMaterial = ({ estaAbierto, material, alCerrar }) => {
             </div>
 
             {/* Contenido del detalle */}
-            <div className="space-y-4 text-sm sm:text-base">
+            <div className="space-y-4 text-sm sm:text-base max-h-[75vh] pcm-scroll-y pr-1">
               <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
                 <span className="font-semibold">Nombre:</span>
                 <span>{material.nombre || '-'}</span>
@@ -145,7 +292,11 @@ const ModalDetalleMaterial = ({ estaAbierto, material, alCerrar }) => {
                 <span>{material.precioUnitario !== undefined && material.precioUnitario !== null ? formatoCop.format(Number(material.precioUnitario)) : '-'}</span>
               </div>
               <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
-                <span className="font-semibold">Cantidad:</span>
+                <span className="font-semibold">Costo promedio:</span>
+                <span>{material.costoPromedio !== undefined && material.costoPromedio !== null ? formatoCop.format(Number(material.costoPromedio)) : '-'}</span>
+              </div>
+              <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                <span className="font-semibold">Cantidad total:</span>
                 <span>{material.cantidad !== undefined && material.cantidad !== null ? material.cantidad : '-'}</span>
               </div>
               <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
@@ -162,6 +313,180 @@ const ModalDetalleMaterial = ({ estaAbierto, material, alCerrar }) => {
                   {almacenTelefono && <>, {' '}{almacenTelefono}</>}
                 </span>
               </div>
+
+              {/* Desglose de existencias por almacén */}
+              <div className="pt-3 border-t border-white/10">
+                <p className="font-semibold flex items-center gap-1 mb-2">
+                  <Boxes size={18} /> Stock por almacén:
+                </p>
+                {cargandoStock ? (
+                  <p className="text-pcm-muted text-sm">Cargando existencias...</p>
+                ) : stockPorAlmacen.length === 0 ? (
+                  <p className="text-pcm-muted text-sm">Sin existencias registradas en almacenes.</p>
+                ) : (
+                  <ul className="space-y-1 max-h-48 overflow-y-auto pr-1">
+                    {stockPorAlmacen.map((saldo) => {
+                      const minimo =
+                        saldo.stockMinimo !== null && saldo.stockMinimo !== undefined
+                          ? Number(saldo.stockMinimo)
+                          : Number(material.stockMinimo) || 0;
+                      const enMinimo = minimo > 0 && Number(saldo.cantidad) <= minimo;
+                      return (
+                        <li
+                          key={saldo._id}
+                          className="flex items-center justify-between gap-2 rounded-lg bg-pcm-bg/60 px-3 py-1.5"
+                        >
+                          <span>
+                            {saldo.almacen?.nombre || 'Almacén'}
+                            {saldo.almacen?.ciudad && (
+                              <span className="text-pcm-muted text-xs"> · {saldo.almacen.ciudad}</span>
+                            )}
+                          </span>
+                          <span className={enMinimo ? 'text-red-400 font-semibold' : 'font-semibold'}>
+                            {saldo.cantidad} {material.unidad || ''}
+                            {Number(saldo.reservado) > 0 && (
+                              <span className="text-pcm-muted text-xs font-normal">
+                                {' '}· {saldo.reservado} reservado para proyectos
+                              </span>
+                            )}
+                          </span>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+              </div>
+
+              {/* Lotes y vencimientos (materiales perecederos) */}
+              {material.controlLotes && (
+                <div className="pt-3 border-t border-white/10">
+                  <p className="font-semibold flex items-center gap-1 mb-2">
+                    <CalendarClock size={18} /> Lotes (aviso {material.diasAvisoVencimiento ?? 30} días antes de vencer):
+                  </p>
+                  {cargandoLotes ? (
+                    <p className="text-pcm-muted text-sm">Cargando lotes...</p>
+                  ) : lotes.length === 0 ? (
+                    <p className="text-pcm-muted text-sm">Sin lotes con existencias.</p>
+                  ) : (
+                    <ul className="space-y-1 max-h-48 overflow-y-auto pr-1">
+                      {lotes.map((lote) => {
+                        const dias = lote.diasParaVencer;
+                        const porVencer =
+                          !lote.vencido && dias !== null && dias <= (Number(material.diasAvisoVencimiento) || 0);
+                        return (
+                          <li
+                            key={lote._id}
+                            className="flex items-center justify-between gap-2 rounded-lg bg-pcm-bg/60 px-3 py-1.5"
+                          >
+                            <span>
+                              Lote {lote.lote}
+                              <span className="text-pcm-muted text-xs"> · {lote.almacen?.nombre || 'Almacén'}</span>
+                            </span>
+                            <span className="text-right">
+                              <span className="font-semibold">
+                                {lote.cantidad} {material.unidad || ''}
+                              </span>
+                              <span
+                                className={`block text-xs ${
+                                  lote.vencido ? 'text-red-400 font-semibold' : porVencer ? 'text-amber-300' : 'text-pcm-muted'
+                                }`}
+                              >
+                                {lote.fechaVencimiento
+                                  ? `${lote.vencido ? 'Venció' : 'Vence'} ${new Date(lote.fechaVencimiento).toLocaleDateString('es-CO', { timeZone: 'UTC' })}`
+                                  : 'Sin vencimiento'}
+                                {!lote.vencido && dias !== null && ` (${dias} días)`}
+                              </span>
+                            </span>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  )}
+                </div>
+              )}
+
+              {/* Tendencia del precio en el último año */}
+              <div className="pt-3 border-t border-white/10">
+                <p className="font-semibold flex items-center gap-1 mb-2">
+                  <TrendingUp size={18} /> Historial de precios (último año):
+                </p>
+                {cargandoPrecios ? (
+                  <p className="text-pcm-muted text-sm">Cargando historial de precios...</p>
+                ) : datosGraficaPrecios.length === 0 ? (
+                  <p className="text-pcm-muted text-sm">Sin cambios de precio registrados en el último año.</p>
+                ) : (
+                  <ResponsiveContainer width="100%" height={200}>
+                    <LineChart data={datosGraficaPrecios}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="rgba(148,163,184,0.1)" />
+                      <XAxis
+                        dataKey="fecha"
+                        type="number"
+                        scale="time"
+                        domain={['dataMin', 'dataMax']}
+                        stroke="#94a3b8"
+                        style={{ fontSize: '11px' }}
+                        tickFormatter={(valor) =>
+                          new Date(valor).toLocaleDateString('es-CO', { month: 'short', year: '2-digit' })
+                        }
+                      />
+                      <YAxis
+                        stroke="#94a3b8"
+                        style={{ fontSize: '11px' }}
+                        width={70}
+                        tickFormatter={(valor) => formatoCop.format(valor)}
+                      />
+                      <Tooltip
+                        contentStyle={{
+                          backgroundColor: 'rgba(15, 23, 42, 0.95)',
+                          border: '1px solid rgba(148,163,184,0.2)',
+                          borderRadius: '12px',
+                        }}
+                        labelStyle={{ color: '#f1f5f9' }}
+                        labelFormatter={(valor) => new Date(valor).toLocaleDateString('es-CO')}
+                        formatter={(valor, _nombre, item) => [formatoCop.format(valor), item?.payload?.origen || 'Precio']}
+                      />
+                      <Line
+                        type="stepAfter"
+                        dataKey="precio"
+                        stroke="var(--pcm-color-acento)"
+                        strokeWidth={2}
+                        dot={{ r: 3 }}
+                      />
+                    </LineChart>
+                  </ResponsiveContainer>
+                )}
+
+                {/* Consulta del precio vigente en una fecha */}
+                <div className="mt-3 flex flex-col sm:flex-row sm:items-center gap-2">
+                  <label className="text-sm text-pcm-muted flex items-center gap-1" htmlFor="fechaPrecioMaterial">
+                    <DollarSign size={16} /> Precio en la fecha:
+                  </label>
+                  <input
+                    id="fechaPrecioMaterial"
+                    type="date"
+                    value={fechaConsultaPrecio}
+                    onChange={(e) => setFechaConsultaPrecio(e.target.value)}
+                    className="rounded-lg bg-pcm-bg/60 border border-white/10 px-2 py-1 text-sm"
+                  />
+                  <button
+                    type="button"
+                    onClick={consultarPrecioEnFecha}
+                    disabled={!fechaConsultaPrecio}
+                    className="rounded-lg border border-white/20 px-3 py-1 text-sm hover:bg-white/10 disabled:opacity-50"
+                  >
+                    Consultar
+                  </button>
+                  {precioEnFecha && (
+                    <span className="text-sm font-semibold">
+                      {formatoCop.format(Number(precioEnFecha.precio))}
+                      <span className="text-pcm-muted text-xs font-normal">
+                        {' '}· {ETIQUETAS_ORIGEN_PRECIO[precioEnFecha.origen] || precioEnFecha.origen}
+                      </span>
+                    </span>
+                  )}
+                  {errorPrecioEnFecha && <span className="text-red-400 text-sm">{errorPrecioEnFecha}</span>}
+                </div>
+              </div>
             </div>
           </div>
         </div>
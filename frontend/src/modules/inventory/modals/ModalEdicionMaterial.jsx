@@ -360,6 +360,132 @@ const ModalEdicionMaterial = ({
                     />
                   </div>
 
+                  {/* Control de lotes: materiales perecederos (cemento, pinturas, aditivos) */}
+                  <div className="md:col-span-2 grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+                    <label className="flex items-start gap-3 text-sm text-pcm-text cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(datosFormulario.controlLotes)}
+                        onChange={(evento) =>
+                          actualizarDatosFormulario({
+                            ...datosFormulario,
+                            controlLotes: evento.target.checked,
+                          })
+                        }
+                        className="mt-1 accent-pcm-primary"
+                      />
+                      <span>
+                        <span className="font-semibold">Controlar lotes y vencimiento</span>
+                        <span className="block text-xs text-pcm-muted">
+                          Las entradas exigen lote y fecha de vencimiento; las salidas consumen primero el lote que vence antes.
+                        </span>
+                      </span>
+                    </label>
+
+                    {datosFormulario.controlLotes && (
+                      <div>
+                        <label className="block text-pcm-text text-sm font-semibold mb-2">
+                          Días de aviso antes del vencimiento
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          max="365"
+                          value={datosFormulario.diasAvisoVencimiento}
+                          onChange={(evento) =>
+                            actualizarDatosFormulario({
+                              ...datosFormulario,
+                              diasAvisoVencimiento: evento.target.value,
+                            })
+                          }
+                          placeholder="30"
+                          className="
+                          w-full px-4 py-2
+                          bg-pcm-surfaceSoft
+                          border border-pcm-borderSoft
+                          rounded-lg
+                          text-pcm-text
+                          placeholder-slate-400
+                          focus:outline-none
+                          focus:ring-2 focus:ring-pcm-primary/60
+                        "
+                        />
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Equivalencias con otras unidades (bulto, galón, m³ de concreto…) */}
+                  <div className="md:col-span-2 space-y-2">
+                    <div className="flex items-center justify-between">
+                      <label className="block text-pcm-text text-sm font-semibold">
+                        Conversiones de unidad
+                      </label>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          actualizarDatosFormulario({
+                            ...datosFormulario,
+                            conversiones: [...(datosFormulario.conversiones || []), { unidad: '', factor: '' }],
+                          })
+                        }
+                        className="pcm-btn-secondary text-xs flex items-center gap-1"
+                      >
+                        <Plus size={14} /> Agregar
+                      </button>
+                    </div>
+                    <p className="text-xs text-pcm-muted">
+                      1 unidad alterna equivale a "factor" {datosFormulario.unidad || 'unidades del material'}.
+                      Las conversiones genéricas (kg ↔ t, m³ ↔ l) ya vienen del catálogo.
+                    </p>
+                    {(datosFormulario.conversiones || []).map((conv, idx) => (
+                      <div key={idx} className="grid grid-cols-[1fr_1fr_auto] gap-2 items-center">
+                        <input
+                          type="text"
+                          value={conv.unidad}
+                          onChange={(evento) =>
+                            actualizarDatosFormulario({
+                              ...datosFormulario,
+                              conversiones: datosFormulario.conversiones.map((c, i) =>
+                                i === idx ? { ...c, unidad: evento.target.value } : c,
+                              ),
+                            })
+                          }
+                          placeholder="Unidad (ej. bulto)"
+                          className="w-full px-3 py-2 bg-pcm-surfaceSoft border border-pcm-borderSoft rounded-lg text-pcm-text placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-pcm-primary/60"
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          value={conv.factor}
+                          onChange={(evento) =>
+                            actualizarDatosFormulario({
+                              ...datosFormulario,
+                              conversiones: datosFormulario.conversiones.map((c, i) =>
+                                i === idx ? { ...c, factor: evento.target.value } : c,
+                              ),
+                            })
+                          }
+                          placeholder={`Factor (${datosFormulario.unidad || 'unidad'})`}
+                          className="w-full px-3 py-2 bg-pcm-surfaceSoft border border-pcm-borderSoft rounded-lg text-pcm-text placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-pcm-primary/60"
+                        />
+                        <button
+                          type="button"
+                          onClick={() =>
+                            actualizarDatosFormulario({
+                              ...datosFormulario,
+                              conversiones: datosFormulario.conversiones.filter((_, i) => i !== idx),
+                            })
+                          }
+                          className="p-2 text-red-500 hover:text-red-600"
+                          title="Quitar conversión"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+
                   {/* ──────────────
                     * Asignaciones por almacén
                     * Permite definir múltiples combinaciones de almacén, cantidad y stock mínimo.
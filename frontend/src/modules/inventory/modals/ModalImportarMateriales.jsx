@@ -0,0 +1,345 @@
+// File: frontend/src/modules/inventory/modals/ModalImportarMateriales.jsx
+// Description: Modal de importación masiva del catálogo de materiales desde
+//              un archivo CSV o XLSX. Primero valida el archivo en el backend
+//              (dry-run) y muestra, fila por fila, los errores y duplicados;
+//              al confirmar crea los materiales válidos con su stock inicial
+//              (entrada de inventario). El modal es autónomo y adapta su
+//              apariencia según el rol del usuario.
+
+import React, { useEffect, useState, useMemo } from 'react';
+import { X, Upload, FileDown, Loader2, AlertCircle, CheckCircle2 } from 'lucide-react';
+import { importarMateriales } from '../../../services/api/api.js';
+
+// Encabezados de la plantilla (el backend también acepta variantes sin tildes).
+const COLUMNAS_PLANTILLA = ['Nombre', 'Categoría', 'Unidad', 'Precio', 'Stock mínimo', 'Almacén', 'Cantidad'];
+
+// Texto y color de cada estado de fila.
+const ESTADOS_FILA = {
+  valida: { texto: 'Válida', clase: 'text-green-400' },
+  creado: { texto: 'Creado', clase: 'text-green-400' },
+  duplicado: { texto: 'Duplicado', clase: 'text-amber-300' },
+  error: { texto: 'Error', clase: 'text-red-400' },
+};
+
+/**
+ * ModalImportarMateriales
+ *
+ * Props:
+ *  - estaAbierto: boolean. Si true, el modal se renderiza; si false, retorna null.
+ *  - alCerrar: function. Callback al cerrar el modal (clic en X, overlay o ESC).
+ *  - alImportar: function. Callback tras una importación confirmada (recargar la vista).
+ */
+const ModalImportarMateriales = ({ estaAbierto, alCerrar, alImportar }) => {
+  // Lee el rol del usuario desde localStorage para ajustar colores.
+  const [rolUsuario, setRolUsuario] = useState('admin');
+
+  useEffect(() => {
+    try {
+      const datoUsuario = localStorage.getItem('pcm_usuario');
+      if (datoUsuario) {
+        const usuario = JSON.parse(datoUsuario);
+        const rolDetectado =
+          usuario?.rol || usuario?.role || usuario?.tipoRol || 'admin';
+        setRolUsuario(rolDetectado);
+      }
+    } catch (error) {
+      console.error('Error al leer el rol del usuario en ModalImportarMateriales:', error);
+      setRolUsuario('admin');
+    }
+  }, []);
+
+  // Deriva el rol visual (admin, cliente, auditor, lider) para colores de fondo.
+  const rolVisual = useMemo(() => {
+    const rolLower = (rolUsuario || '').toString().toLowerCase();
+    if (rolLower.includes('admin')) return 'admin';
+    if (rolLower.includes('auditor')) return 'auditor';
+    if (rolLower.includes('client') || rolLower.includes('cliente')) return 'cliente';
+    return 'lider';
+  }, [rolUsuario]);
+
+  const [archivo, setArchivo] = useState(null);                 // Archivo elegido por el usuario.
+  const [reporte, setReporte] = useState(null);                 // Respuesta del backend (simulación o importación).
+  const [procesando, setProcesando] = useState(null);           // 'validar' | 'importar' mientras se envía.
+  const [mensajeError, setMensajeError] = useState(null);
+  const [soloProblemas, setSoloProblemas] = useState(false);    // Oculta las filas válidas/creadas.
+
+  // Reinicia el estado cada vez que se abre el modal.
+  useEffect(() => {
+    if (!estaAbierto) return;
+    setArchivo(null);
+    setReporte(null);
+    setMensajeError(null);
+    setSoloProblemas(false);
+  }, [estaAbierto]);
+
+  // Bloquea el scroll del body mientras el modal está abierto.
+  useEffect(() => {
+    if (!estaAbierto) return;
+    const overflowOriginal = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    return () => {
+      document.body.style.overflow = overflowOriginal;
+    };
+  }, [estaAbierto]);
+
+  // Permite cerrar con la tecla ESC (salvo mientras se importa).
+  useEffect(() => {
+    if (!estaAbierto) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && !procesando) {
+        if (typeof alCerrar === 'function') alCerrar();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [estaAbierto, alCerrar, procesando]);
+
+  if (!estaAbierto) return null;
+
+  const formatoCop = new Intl.NumberFormat('es-CO', {
+    style: 'currency',
+    currency: 'COP',
+    minimumFractionDigits: 0,
+  });
+  const formatoNumero = new Intl.NumberFormat('es-CO', { maximumFractionDigits: 2 });
+
+  // Envía el archivo al backend: simulación (confirmar=false) o importación.
+  const enviarArchivo = async (confirmar) => {
+    if (!archivo) return;
+    try {
+      setProcesando(confirmar ? 'importar' : 'validar');
+      setMensajeError(null);
+      const respuesta = await importarMateriales(archivo, confirmar);
+      setReporte(respuesta);
+      if (confirmar && typeof alImportar === 'function') alImportar(respuesta);
+    } catch (error) {
+      console.error('Error al importar materiales:', error);
+      setMensajeError(error?.message || 'No se pudo procesar el archivo.');
+    } finally {
+      setProcesando(null);
+    }
+  };
+
+  // Descarga una plantilla CSV con los encabezados y una fila de ejemplo.
+  const descargarPlantilla = () => {
+    const contenido = [
+      COLUMNAS_PLANTILLA.join(';'),
+      ['Cemento gris 50 kg', 'Aglomerantes', 'bulto', '32000', '20', 'Bodega principal', '150'].join(';'),
+    ].join('\r\n');
+    const blob = new Blob([`\uFEFF${contenido}\r\n`], { type: 'text/csv;charset=utf-8' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'Plantilla_materiales.csv';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const importado = reporte?.modo === 'importacion';
+  const resumen = reporte?.resumen;
+  const filasVisibles = (reporte?.filas || []).filter(
+    (fila) => !soloProblemas || fila.estado === 'error' || fila.estado === 'duplicado'
+  );
+
+  const claseCampo =
+    'w-full rounded-lg bg-pcm-bg border border-pcm-borderSoft px-3 py-2 text-sm text-pcm-text';
+
+  return (
+    <div
+      className="fixed inset-0 z-40 flex items-center justify-center px-4 sm:px-6"
+      role="dialog"
+      aria-modal="true"
+      onClick={(e) => {
+        // Permite cerrar al hacer clic en el overlay.
+        if (e.target === e.currentTarget && !procesando && typeof alCerrar === 'function') alCerrar();
+      }}
+    >
+      {/* Overlay */}
+      <div className="absolute inset-0 bg-black/75 pcm-overlay-suave" />
+
+      {/* Contenedor del modal */}
+      <div
+        className={`relative w-full max-w-5xl animate-entrada-suave-arriba pcm-panel pcm-panel--${rolVisual}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Borde animado PCM */}
+        <div className="pcm-borde-animado">
+          <div
+            className="pcm-borde-animado-contenido bg-pcm-surface rounded-[var(--radius-pcm-xl,1.5rem)] shadow-pcm-profunda border border-pcm-borderSoft text-pcm-text px-6 py-5"
+          >
+            {/* Encabezado con título y botón cerrar */}
+            <div className="flex items-center justify-between border-b pb-4 mb-4" style={{ borderBottomColor: 'var(--pcm-color-acento-border)' }}>
+              <h3 className="text-xl font-semibold flex items-center gap-2">
+                <Upload size={22} /> Importar materiales
+              </h3>
+              <button
+                type="button"
+                onClick={alCerrar}
+                disabled={!!procesando}
+                className="w-9 h-9 rounded-lg border border-white/20 flex items-center justify-center text-pcm-muted hover:text-pcm-text hover:bg-white/10 transition-all duration-150"
+              >
+                <X size={20} />
+              </button>
+            </div>
+
+            {/* Selección de archivo y acciones */}
+            <p className="text-pcm-muted text-sm mb-3">
+              Columnas: {COLUMNAS_PLANTILLA.join(', ')} (opcional). El almacén puede ir por nombre. Primero se
+              valida el archivo; nada se guarda hasta confirmar la importación.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-4 gap-3 mb-4 text-sm">
+              <label className="flex flex-col gap-1 sm:col-span-2">
+                <span className="text-pcm-muted">Archivo (.csv o .xlsx)</span>
+                <input
+                  type="file"
+                  accept=".csv,.xlsx"
+                  onChange={(e) => {
+                    setArchivo(e.target.files?.[0] || null);
+                    setReporte(null);
+                    setMensajeError(null);
+                  }}
+                  disabled={!!procesando}
+                  className={claseCampo}
+                />
+              </label>
+              <div className="flex items-end gap-2 sm:col-span-2">
+                <button
+                  type="button"
+                  onClick={descargarPlantilla}
+                  className="flex-1 inline-flex items-center justify-center gap-1 rounded-lg px-3 py-2 text-xs font-semibold text-pcm-muted border border-pcm-borderSoft"
+                >
+                  <FileDown size={14} />
+                  Plantilla CSV
+                </button>
+                <button
+                  type="button"
+                  onClick={() => enviarArchivo(false)}
+                  disabled={!archivo || !!procesando || importado}
+                  className="flex-1 inline-flex items-center justify-center gap-1 rounded-lg px-3 py-2 text-xs font-semibold text-white disabled:opacity-60"
+                  style={{ backgroundColor: 'var(--pcm-color-acento)' }}
+                >
+                  {procesando === 'validar' ? <Loader2 size={14} className="animate-spin" /> : <CheckCircle2 size={14} />}
+                  {procesando === 'validar' ? 'Validando...' : 'Validar archivo'}
+                </button>
+              </div>
+            </div>
+
+            {mensajeError && (
+              <div className="flex items-center gap-2 rounded-lg border border-red-400/40 bg-red-500/10 px-3 py-2 mb-4 text-sm text-red-300">
+                <AlertCircle size={16} /> {mensajeError}
+              </div>
+            )}
+
+            {/* Resumen del análisis o de la importación */}
+            {resumen && (
+              <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+                <span className="rounded-full bg-white/5 border border-white/10 px-3 py-1">
+                  {resumen.total} filas
+                </span>
+                <span className="rounded-full bg-green-500/10 border border-green-400/40 px-3 py-1 text-green-300">
+                  {importado ? `${resumen.creados} creados` : `${resumen.validas} válidas`}
+                </span>
+                <span className="rounded-full bg-amber-500/10 border border-amber-400/40 px-3 py-1 text-amber-200">
+                  {resumen.duplicados} duplicados
+                </span>
+                <span className="rounded-full bg-red-500/10 border border-red-400/40 px-3 py-1 text-red-300">
+                  {importado ? resumen.conErrores + resumen.fallidos : resumen.conErrores} con errores
+                </span>
+                <span className="text-pcm-muted">
+                  Stock inicial: {resumen.conStockInicial} materiales · {formatoCop.format(resumen.valorInicial || 0)}
+                </span>
+                <label className="ml-auto flex items-center gap-2 text-pcm-muted">
+                  <input
+                    type="checkbox"
+                    checked={soloProblemas}
+                    onChange={(e) => setSoloProblemas(e.target.checked)}
+                  />
+                  Solo errores y duplicados
+                </label>
+              </div>
+            )}
+
+            {/* Detalle por fila */}
+            {reporte && (
+              <div className="max-h-[22rem] pcm-scroll-y rounded-xl border border-pcm-borderSoft mb-4">
+                <table className="w-full text-xs sm:text-sm">
+                  <thead className="bg-pcm-surfaceSoft/80 text-pcm-muted sticky top-0">
+                    <tr>
+                      <th className="p-2 text-left">Fila</th>
+                      <th className="p-2 text-left">Estado</th>
+                      <th className="p-2 text-left">Material</th>
+                      <th className="p-2 text-left">Almacén</th>
+                      <th className="p-2 text-right">Cantidad</th>
+                      <th className="p-2 text-right">Precio</th>
+                      <th className="p-2 text-left">Observaciones</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {filasVisibles.length === 0 ? (
+                      <tr>
+                        <td className="p-4 text-center text-pcm-muted" colSpan={7}>
+                          No hay filas para mostrar.
+                        </td>
+                      </tr>
+                    ) : (
+                      filasVisibles.map((fila) => {
+                        const estado = ESTADOS_FILA[fila.estado] || ESTADOS_FILA.error;
+                        const datos = fila.datos || {};
+                        return (
+                          <tr key={fila.fila} className="border-t border-white/5 align-top">
+                            <td className="p-2">{fila.fila}</td>
+                            <td className={`p-2 font-semibold ${estado.clase}`}>{estado.texto}</td>
+                            <td className="p-2">
+                              {datos.nombre || '—'}
+                              {datos.unidad && <span className="text-pcm-muted"> · {datos.unidad}</span>}
+                            </td>
+                            <td className="p-2">{datos.almacen?.nombre || datos.almacen || '—'}</td>
+                            <td className="p-2 text-right">
+                              {Number.isFinite(datos.cantidad) ? formatoNumero.format(datos.cantidad) : '—'}
+                            </td>
+                            <td className="p-2 text-right">
+                              {Number.isFinite(datos.precioUnitario) ? formatoCop.format(datos.precioUnitario) : '—'}
+                            </td>
+                            <td className="p-2 text-pcm-muted">{(fila.errores || []).join(' ') || ''}</td>
+                          </tr>
+                        );
+                      })
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {/* Confirmación */}
+            {reporte && !importado && (
+              <div className="flex justify-end">
+                <button
+                  type="button"
+                  onClick={() => enviarArchivo(true)}
+                  disabled={!!procesando || !resumen?.validas}
+                  className="inline-flex items-center gap-2 rounded-lg px-4 py-2 text-sm font-semibold text-white disabled:opacity-60"
+                  style={{ backgroundColor: 'var(--pcm-color-acento)' }}
+                >
+                  {procesando === 'importar' ? <Loader2 size={16} className="animate-spin" /> : <Upload size={16} />}
+                  {procesando === 'importar'
+                    ? 'Importando...'
+                    : `Importar ${resumen?.validas || 0} materiales`}
+                </button>
+              </div>
+            )}
+
+            {importado && (
+              <p className="text-sm text-green-300 flex items-center gap-2">
+                <CheckCircle2 size={16} /> {reporte.message}
+              </p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModalImportarMateriales;
@@ -0,0 +1,325 @@
+// File: frontend/src/modules/inventory/modals/ModalKardexMaterial.jsx
+// Description: Modal que muestra el kardex (tarjeta de control de existencias)
+//              de un material: saldo inicial, movimientos con saldo corrido,
+//              costo unitario y valor corrido, y saldo final. Permite filtrar
+//              por almacén y rango de fechas y exportar a PDF o CSV. El modal
+//              es autónomo y adapta su apariencia según el rol del usuario.
+
+import React, { useEffect, useState, useMemo } from 'react';
+import { X, BookOpen, FileDown, Loader2, AlertCircle } from 'lucide-react';
+import {
+  obtenerKardexMaterial,
+  descargarKardexMaterial,
+  obtenerMaterialPorId,
+} from '../../../services/api/api.js';
+
+/**
+ * ModalKardexMaterial
+ *
+ * Props:
+ *  - estaAbierto: boolean. Si true, el modal se renderiza; si false, retorna null.
+ *  - material: object. Material cuyo kardex se consulta (usa _id, nombre y unidad).
+ *  - alCerrar: function. Callback que se ejecuta al cerrar el modal (clic en X, overlay o ESC).
+ */
+const ModalKardexMaterial = ({ estaAbierto, material, alCerrar }) => {
+  // Lee el rol del usuario desde localStorage para ajustar colores.
+  const [rolUsuario, setRolUsuario] = useState('lider');
+
+  useEffect(() => {
+    try {
+      const datoUsuario = localStorage.getItem('pcm_usuario');
+      if (datoUsuario) {
+        const usuario = JSON.parse(datoUsuario);
+        const rolDetectado =
+          usuario?.rol || usuario?.role || usuario?.tipoRol || 'lider';
+        setRolUsuario(rolDetectado);
+      }
+    } catch (error) {
+      console.error('Error al leer el rol del usuario en ModalKardexMaterial:', error);
+      setRolUsuario('lider');
+    }
+  }, []);
+
+  // Deriva el rol visual (admin, cliente, auditor, lider) para colores de fondo.
+  const rolVisual = useMemo(() => {
+    const rolLower = (rolUsuario || '').toString().toLowerCase();
+    if (rolLower.includes('admin')) return 'admin';
+    if (rolLower.includes('auditor')) return 'auditor';
+    if (rolLower.includes('client') || rolLower.includes('cliente')) return 'cliente';
+    return 'lider';
+  }, [rolUsuario]);
+
+  // Filtros del kardex (almacén vacío = consolidado).
+  const [filtros, setFiltros] = useState({ almacen: '', desde: '', hasta: '' });
+  const [almacenes, setAlmacenes] = useState([]);           // Almacenes con saldo del material.
+  const [kardex, setKardex] = useState(null);               // Kardex devuelto por el backend.
+  const [cargando, setCargando] = useState(false);
+  const [mensajeError, setMensajeError] = useState(null);
+  const [exportando, setExportando] = useState(null);       // 'pdf' | 'csv' mientras se descarga.
+
+  // Carga los almacenes donde el material tiene saldo (para el selector).
+  useEffect(() => {
+    if (!estaAbierto || !material?._id) return;
+    let cancelado = false;
+    obtenerMaterialPorId(material._id)
+      .then((detalle) => {
+        if (cancelado) return;
+        const saldos = Array.isArray(detalle?.stockPorAlmacen) ? detalle.stockPorAlmacen : [];
+        setAlmacenes(saldos.map((saldo) => saldo.almacen).filter(Boolean));
+      })
+      .catch((error) => {
+        console.error('Error al obtener los almacenes del material:', error);
+        if (!cancelado) setAlmacenes([]);
+      });
+    return () => {
+      cancelado = true;
+    };
+  }, [estaAbierto, material?._id]);
+
+  // Consulta el kardex cada vez que cambian los filtros.
+  useEffect(() => {
+    if (!estaAbierto || !material?._id) return;
+    let cancelado = false;
+    const cargarKardex = async () => {
+      setCargando(true);
+      setMensajeError(null);
+      try {
+        const datos = await obtenerKardexMaterial(material._id, filtros);
+        if (!cancelado) setKardex(datos);
+      } catch (error) {
+        console.error('Error al obtener el kardex:', error);
+        if (!cancelado) setMensajeError(error?.message || 'No se pudo obtener el kardex.');
+      } finally {
+        if (!cancelado) setCargando(false);
+      }
+    };
+    cargarKardex();
+    return () => {
+      cancelado = true;
+    };
+  }, [estaAbierto, material?._id, filtros]);
+
+  // Bloquea el scroll del body mientras el modal está abierto.
+  useEffect(() => {
+    if (!estaAbierto) return;
+    const overflowOriginal = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    return () => {
+      document.body.style.overflow = overflowOriginal;
+    };
+  }, [estaAbierto]);
+
+  // Permite cerrar con la tecla ESC.
+  useEffect(() => {
+    if (!estaAbierto) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        if (typeof alCerrar === 'function') alCerrar();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [estaAbierto, alCerrar]);
+
+  // Si el modal no está abierto o no hay material, no renderiza nada.
+  if (!estaAbierto || !material) return null;
+
+  // Formateadores en es-CO.
+  const formatoCop = new Intl.NumberFormat('es-CO', {
+    style: 'currency',
+    currency: 'COP',
+    minimumFractionDigits: 0,
+  });
+  const formatoNumero = new Intl.NumberFormat('es-CO', { maximumFractionDigits: 2 });
+  const formatoFecha = (valor) => (valor ? new Date(valor).toLocaleDateString('es-CO') : '—');
+
+  // Descarga el kardex en el formato indicado con los filtros actuales.
+  const manejarExportar = async (formato) => {
+    try {
+      setExportando(formato);
+      await descargarKardexMaterial(
+        material._id,
+        filtros,
+        formato,
+        `Kardex_${(material.nombre || 'material').replace(/\s+/g, '_')}`
+      );
+    } catch (error) {
+      setMensajeError(error?.message || 'No se pudo exportar el kardex.');
+    } finally {
+      setExportando(null);
+    }
+  };
+
+  // Actualiza un filtro puntual.
+  const cambiarFiltro = (campo) => (e) =>
+    setFiltros((previos) => ({ ...previos, [campo]: e.target.value }));
+
+  const claseCampo =
+    'w-full rounded-lg bg-pcm-bg border border-pcm-borderSoft px-3 py-2 text-sm text-pcm-text';
+
+  return (
+    <div
+      className="fixed inset-0 z-40 flex items-center justify-center px-4 sm:px-6"
+      role="dialog"
+      aria-modal="true"
+      onClick={(e) => {
+        // Permite cerrar al hacer clic en el overlay.
+        if (e.target === e.currentTarget && typeof alCerrar === 'function') alCerrar();
+      }}
+    >
+      {/* Overlay */}
+      <div className="absolute inset-0 bg-black/75 pcm-overlay-suave" />
+
+      {/* Contenedor del modal */}
+      <div
+        className={`relative w-full max-w-5xl animate-entrada-suave-arriba pcm-panel pcm-panel--${rolVisual}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Borde animado PCM */}
+        <div className="pcm-borde-animado">
+          <div
+            className="pcm-borde-animado-contenido bg-pcm-surface rounded-[var(--radius-pcm-xl,1.5rem)] shadow-pcm-profunda border border-pcm-borderSoft text-pcm-text px-6 py-5"
+          >
+            {/* Encabezado con título y botón cerrar */}
+            <div className="flex items-center justify-between border-b pb-4 mb-4" style={{ borderBottomColor: 'var(--pcm-color-acento-border)' }}>
+              <h3 className="text-xl font-semibold flex items-center gap-2">
+                <BookOpen size={22} /> Kardex · {material.nombre || 'Material'}
+              </h3>
+              <button
+                type="button"
+                onClick={alCerrar}
+                className="w-9 h-9 rounded-lg border border-white/20 flex items-center justify-center text-pcm-muted hover:text-pcm-text hover:bg-white/10 transition-all duration-150"
+              >
+                <X size={20} />
+              </button>
+            </div>
+
+            {/* Filtros y exportación */}
+            <div className="grid grid-cols-1 sm:grid-cols-4 gap-3 mb-4 text-sm">
+              <label className="flex flex-col gap-1">
+                <span className="text-pcm-muted">Almacén</span>
+                <select value={filtros.almacen} onChange={cambiarFiltro('almacen')} className={claseCampo}>
+                  <option value="">Consolidado</option>
+                  {almacenes.map((almacen) => (
+                    <option key={almacen._id} value={almacen._id}>
+                      {almacen.nombre}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-pcm-muted">Desde</span>
+                <input type="date" value={filtros.desde} onChange={cambiarFiltro('desde')} className={claseCampo} />
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-pcm-muted">Hasta</span>
+                <input type="date" value={filtros.hasta} onChange={cambiarFiltro('hasta')} className={claseCampo} />
+              </label>
+              <div className="flex items-end gap-2">
+                {['pdf', 'csv'].map((formato) => (
+                  <button
+                    key={formato}
+                    type="button"
+                    onClick={() => manejarExportar(formato)}
+                    disabled={!!exportando}
+                    className="flex-1 inline-flex items-center justify-center gap-1 rounded-lg px-3 py-2 text-xs font-semibold text-white disabled:opacity-60"
+                    style={{ backgroundColor: 'var(--pcm-color-acento)' }}
+                  >
+                    <FileDown size={14} />
+                    {exportando === formato ? 'Exportando...' : formato.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Tabla del kardex */}
+            {cargando ? (
+              <div className="flex flex-col items-center justify-center py-10">
+                <Loader2 className="animate-spin mb-3" size={36} style={{ color: 'var(--pcm-color-acento)' }} />
+                <p className="text-pcm-muted">Cargando kardex...</p>
+              </div>
+            ) : mensajeError ? (
+              <div className="text-center py-10 text-red-400">
+                <AlertCircle size={40} className="mx-auto mb-3" />
+                <p>{mensajeError}</p>
+              </div>
+            ) : kardex ? (
+              <div className="max-h-[28rem] pcm-scroll-y rounded-xl border border-pcm-borderSoft">
+                <table className="w-full text-xs sm:text-sm">
+                  <thead className="bg-pcm-surfaceSoft/80 text-pcm-muted sticky top-0">
+                    <tr>
+                      <th className="p-2 text-left">Fecha</th>
+                      <th className="p-2 text-left">Tipo</th>
+                      <th className="p-2 text-left">Detalle</th>
+                      <th className="p-2 text-left">Almacén</th>
+                      <th className="p-2 text-right">Entrada</th>
+                      <th className="p-2 text-right">Salida</th>
+                      <th className="p-2 text-right">Saldo</th>
+                      <th className="p-2 text-right">Costo unit.</th>
+                      <th className="p-2 text-right">Valor saldo</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <tr className="font-semibold bg-pcm-bg/60">
+                      <td className="p-2" colSpan={6}>Saldo inicial</td>
+                      <td className="p-2 text-right">{formatoNumero.format(kardex.saldoInicial)}</td>
+                      <td className="p-2" />
+                      <td className="p-2 text-right">{formatoCop.format(kardex.valorInicial)}</td>
+                    </tr>
+                    {kardex.movimientos.length === 0 ? (
+                      <tr>
+                        <td className="p-4 text-center text-pcm-muted" colSpan={9}>
+                          No hay movimientos en el periodo seleccionado.
+                        </td>
+                      </tr>
+                    ) : (
+                      kardex.movimientos.map((fila) => (
+                        <tr
+                          key={fila._id}
+                          className={`border-t border-white/5 ${fila.anulado ? 'opacity-60' : ''}`}
+                        >
+                          <td className="p-2">{formatoFecha(fila.fecha)}</td>
+                          <td className="p-2 capitalize">
+                            {fila.tipo}
+                            {fila.sentidoTraslado && (
+                              <span className="text-pcm-muted"> ({fila.sentidoTraslado})</span>
+                            )}
+                          </td>
+                          <td className="p-2">
+                            {fila.detalle || '—'}
+                            {fila.anulado && <span className="ml-1 text-red-400">(anulado)</span>}
+                            {fila.movimientoAnulado && <span className="ml-1 text-amber-300">(anulación)</span>}
+                          </td>
+                          <td className="p-2">{fila.almacen || '—'}</td>
+                          <td className="p-2 text-right text-green-400">
+                            {fila.entrada ? formatoNumero.format(fila.entrada) : ''}
+                          </td>
+                          <td className="p-2 text-right text-red-400">
+                            {fila.salida ? formatoNumero.format(fila.salida) : ''}
+                          </td>
+                          <td className="p-2 text-right font-semibold">{formatoNumero.format(fila.saldo)}</td>
+                          <td className="p-2 text-right">{formatoCop.format(fila.costoUnitario)}</td>
+                          <td className="p-2 text-right">{formatoCop.format(fila.valorSaldo)}</td>
+                        </tr>
+                      ))
+                    )}
+                    <tr className="font-semibold bg-pcm-bg/60 border-t border-white/10">
+                      <td className="p-2" colSpan={4}>Saldo final</td>
+                      <td className="p-2 text-right text-green-400">{formatoNumero.format(kardex.totalEntradas)}</td>
+                      <td className="p-2 text-right text-red-400">{formatoNumero.format(kardex.totalSalidas)}</td>
+                      <td className="p-2 text-right">{formatoNumero.format(kardex.saldoFinal)}</td>
+                      <td className="p-2" />
+                      <td className="p-2 text-right">{formatoCop.format(kardex.valorFinal)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            ) : null}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModalKardexMaterial;
@@ -2,7 +2,11 @@
 // Description: Modal autónomo para visualizar el historial de movimientos de un material
 //              de inventario en ProCivil Manager (PCM). Muestra ficha básica del material
 //              (categoría, unidad, precio, stock) y el listado de movimientos de entrada/
-//              salida. Ya NO usa ModalGenerico: implementa su propio overlay, cierre por ESC,
+//              salida/traslado (con confirmación de recepción de traslados en tránsito y
+//              anulación de movimientos mediante un movimiento compensatorio). Incluye un
+//              registro de movimientos por escaneo: el lector de etiquetas QR (tipo teclado,
+//              termina con Enter) elige el material y el almacén sin buscarlos en listas.
+//              Ya NO usa ModalGenerico: implementa su propio overlay, cierre por ESC,
 //              bloqueo de scroll del body y adaptación visual por rol usando las clases
 //              .pcm-panel y .pcm-panel--ROL definidas en index.css, además del tema PCM
 //              (paleta, sombras, bordes, helpers y animaciones).
@@ -14,6 +18,7 @@ import React, {
   useEffect,                         // Hook para manejar efectos secundarios (carga, scroll, teclado).
   useState,                          // Hook para manejar estado local (movimientos, loading, error, rol).
   useMemo,                           // Hook para derivar valores calculados (rol visual y clases por rol).
+  useRef,                            // Hook para enfocar los campos del registro por escaneo.
 } from 'react';
 
 // =========================
@@ -29,12 +34,33 @@ import {
   ClipboardList,                     // Ícono de lista para el encabezado de movimientos.
   AlertCircle,                       // Ícono de alerta para errores o estados vacíos.
   Loader2,                           // Ícono tipo spinner para estados de carga.
+  ArrowLeftRight,                    // Ícono de doble flecha para traslados entre almacenes.
+  CheckCircle2,                      // Ícono de check para confirmar la recepción de un traslado.
+  Ban,                               // Ícono de prohibido para anular movimientos.
+  ScanLine,                          // Ícono de escáner para el registro por escaneo.
 } from 'lucide-react';
 
 // =========================
 //   Servicios de API PCM
 // =========================
-import { obtenerMovimientosInventario } from '../../../services/api/api.js'; // Servicio que trae la lista de movimientos de inventario.
+import {
+  obtenerMovimientosInventario,      // Servicio que trae la lista de movimientos de inventario.
+  confirmarTrasladoInventario,       // Servicio que confirma la recepción de un traslado en tránsito.
+  anularMovimientoInventario,        // Servicio que anula un movimiento (crea su compensatorio).
+  crearMovimientoInventario,         // Servicio que registra una entrada o salida.
+  obtenerUnidadesMaterial,           // Servicio que trae las unidades compatibles del material.
+  resolverCodigoEtiqueta,            // Servicio que traduce un código escaneado a material / almacén.
+} from '../../../services/api/api.js';
+
+// Valores iniciales del formulario de registro por escaneo.
+const FORM_ESCANEO_INICIAL = {
+  tipo: 'salida',                    // Movimiento más frecuente en bodega (despacho a obra).
+  cantidad: '',
+  unidad: '',                        // Vacío → unidad del material.
+  lote: '',
+  fechaVencimiento: '',
+  descripcion: '',
+};
 
 /**
  * Componente ModalMovimientosMaterial
@@ -44,10 +70,13 @@ import { obtenerMovimientosInventario } from '../../../services/api/api.js'; //
  *                          se va a visualizar (contiene nombre, unidad, etc.).
  *  - alCerrar:             función para cerrar el modal, controlada por el
  *                          componente padre (overlay, botón de cerrar, tecla ESC).
+ *  - modoEscaneo:          abre el modal directamente en el registro por escaneo;
+ *                          permite abrirlo sin material (se elige escaneando).
  */
 const ModalMovimientosMaterial = ({
   materialSeleccionado,              // Material actualmente seleccionado para ver su histórico.
   alCerrar,                          // Función que se ejecuta cuando se quiere cerrar el modal.
+  modoEscaneo = false,               // true → abre con el panel de escaneo activo.
 }) => {
   // ======================================================================
   //   Estado local (movimientos, carga, error)
@@ -56,9 +85,34 @@ const ModalMovimientosMaterial = ({
   const [movimientos, setMovimientos] = useState([]);     // Lista de movimientos filtrados y ordenados (inicia vacía).
   const [estaCargando, setEstaCargando] = useState(false); // Bandera booleana para el estado de carga desde la API.
   const [mensajeError, setMensajeError] = useState(null); // Texto de error para mostrar en la interfaz, null si no hay error.
+  const [versionDatos, setVersionDatos] = useState(0);    // Contador para forzar la recarga tras confirmar un traslado.
+  const [trasladoConfirmando, setTrasladoConfirmando] = useState(null); // trasladoId que se está confirmando (deshabilita el botón).
+  const [movimientoAnulando, setMovimientoAnulando] = useState(null); // Id del movimiento con el formulario de anulación abierto.
+  const [motivoAnulacion, setMotivoAnulacion] = useState('');       // Motivo escrito para la anulación.
+  const [estaAnulando, setEstaAnulando] = useState(false);          // Bandera mientras se envía la anulación.
+
+  // ======================================================================
+  //   Estado local del registro por escaneo
+  // ======================================================================
 
-  // Flag derivado: el modal está abierto si existe un material seleccionado.
-  const estaAbierto = !!materialSeleccionado;             // Convierte el objeto en booleano (true si no es null/undefined).
+  const [escaneoAbierto, setEscaneoAbierto] = useState(!!modoEscaneo); // Panel de escaneo visible.
+  const [codigoEscaneado, setCodigoEscaneado] = useState('');       // Texto que va escribiendo el lector.
+  const [materialEscaneado, setMaterialEscaneado] = useState(null); // Material elegido por escaneo (reemplaza al de la prop).
+  const [almacenEscaneado, setAlmacenEscaneado] = useState(null);   // Almacén elegido por escaneo.
+  const [saldoEscaneado, setSaldoEscaneado] = useState(null);       // Saldo del material en el almacén escaneado.
+  const [unidadesEscaneo, setUnidadesEscaneo] = useState([]);       // Unidades compatibles del material escaneado.
+  const [formEscaneo, setFormEscaneo] = useState(FORM_ESCANEO_INICIAL); // Tipo, cantidad, unidad y lote del movimiento.
+  const [mensajeEscaneo, setMensajeEscaneo] = useState(null);       // { tipo: 'ok' | 'error', texto } del último paso.
+  const [estaResolviendo, setEstaResolviendo] = useState(false);    // Bandera mientras se consulta el código.
+  const [estaRegistrando, setEstaRegistrando] = useState(false);    // Bandera mientras se guarda el movimiento.
+  const inputEscaneoRef = useRef(null);                             // Campo que recibe la lectura del escáner.
+  const inputCantidadRef = useRef(null);                            // Campo de cantidad (foco tras elegir el material).
+
+  // Material que muestra el modal: el último escaneado o, si no hay, el de la prop.
+  const materialActivo = materialEscaneado || materialSeleccionado;
+
+  // Flag derivado: el modal está abierto si hay material o si se abrió en modo escaneo.
+  const estaAbierto = !!materialActivo || !!modoEscaneo;    // Convierte a booleano (true si hay algo que mostrar).
 
   // ======================================================================
   //   Estado local de rol del usuario (para colores dinámicos por rol)
@@ -112,7 +166,10 @@ const ModalMovimientosMaterial = ({
   //   Efecto: cargar movimientos cuando cambia el material seleccionado
   // ======================================================================
   useEffect(() => {
-    if (!materialSeleccionado) return;                       // Si no hay material, no se carga nada.
+    if (!materialActivo) {                             // Si no hay material, no se carga nada.
+      setMovimientos([]);
+      return;
+    }
 
     // Función interna asíncrona para cargar movimientos desde la API.
     const cargarMovimientos = async () => {
@@ -132,7 +189,7 @@ const ModalMovimientosMaterial = ({
 
         // Obtiene el id del material seleccionado, tolerando _id o id.
         const idMaterialSeleccionado =
-          materialSeleccionado._id || materialSeleccionado.id; // Usa _id si existe; si no, id genérico.
+          materialActivo._id || materialActivo.id; // Usa _id si existe; si no, id genérico.
 
         // Filtra los movimientos que pertenecen a este material.
         const movimientosFiltrados = movimientosData.filter((movimiento) => {
@@ -167,7 +224,176 @@ const ModalMovimientosMaterial = ({
     };
 
     cargarMovimientos();                                // Ejecuta la función interna para cargar los movimientos.
-  }, [materialSeleccionado]);                           // Se ejecuta cada vez que cambia el material seleccionado.
+  }, [materialActivo, versionDatos]);             // Se ejecuta al cambiar el material o al forzar una recarga.
+
+  // ======================================================================
+  //   Registro de movimientos por escaneo
+  // ======================================================================
+
+  // Admin y líder de obra registran movimientos (el líder, solo salidas).
+  const puedeRegistrarPorEscaneo = rolVisual === 'admin' || rolVisual === 'lider';
+  const soloSalidas = rolVisual !== 'admin';
+
+  // Efecto: al abrir el panel, el foco queda en el campo del escáner.
+  useEffect(() => {
+    if (escaneoAbierto && inputEscaneoRef.current) inputEscaneoRef.current.focus();
+  }, [escaneoAbierto]);
+
+  // Efecto: carga las unidades del material activo para el selector de unidad.
+  const idMaterialActivo = materialActivo ? materialActivo._id || materialActivo.id : null;
+  useEffect(() => {
+    if (!escaneoAbierto || !idMaterialActivo) return;
+    let cancelado = false;
+    obtenerUnidadesMaterial(idMaterialActivo)
+      .then((data) => {
+        if (!cancelado) setUnidadesEscaneo(data?.unidades || []);
+      })
+      .catch((error) => {
+        console.error('Error al cargar unidades del material:', error);
+        if (!cancelado) setUnidadesEscaneo([]);
+      });
+    return () => {
+      cancelado = true;
+    };
+  }, [escaneoAbierto, idMaterialActivo]);
+
+  // Procesa la lectura del escáner (llega completa cuando el lector envía Enter).
+  const manejarCodigoEscaneado = async () => {
+    const codigo = codigoEscaneado.trim();
+    if (!codigo || estaResolviendo) return;
+    try {
+      setEstaResolviendo(true);
+      setMensajeEscaneo(null);
+      const resultado = await resolverCodigoEtiqueta(codigo);
+
+      // Un material distinto reinicia cantidad, unidad y lote.
+      if (resultado.material) {
+        if (String(resultado.material._id) !== String(idMaterialActivo)) {
+          setFormEscaneo((prev) => ({ ...FORM_ESCANEO_INICIAL, tipo: prev.tipo }));
+        }
+        setMaterialEscaneado(resultado.material);
+      }
+      if (resultado.almacen) setAlmacenEscaneado(resultado.almacen);
+      setSaldoEscaneado(resultado.almacen ? resultado.saldo : null);
+
+      setMensajeEscaneo({
+        tipo: 'ok',
+        texto: resultado.material
+          ? `Material: ${resultado.material.nombre}${resultado.almacen ? ` · Almacén: ${resultado.almacen.nombre}` : ''}`
+          : `Almacén: ${resultado.almacen.nombre}`,
+      });
+
+      // Con material elegido se pasa a la cantidad; si no, se espera otra lectura.
+      if (resultado.material || materialActivo) {
+        setTimeout(() => inputCantidadRef.current && inputCantidadRef.current.focus(), 0);
+      }
+    } catch (error) {
+      console.error('Error al resolver código escaneado:', error);
+      setMensajeEscaneo({ tipo: 'error', texto: error?.message || 'No se pudo leer el código.' });
+    } finally {
+      setCodigoEscaneado('');
+      setEstaResolviendo(false);
+    }
+  };
+
+  // Registra el movimiento con el material y almacén escaneados.
+  const manejarRegistrarEscaneo = async (evento) => {
+    if (evento) evento.preventDefault();
+    if (!idMaterialActivo || !almacenEscaneado || estaRegistrando) return;
+
+    const tipo = soloSalidas ? 'salida' : formEscaneo.tipo;
+    const cantidad = Number(formEscaneo.cantidad);
+    if (!Number.isFinite(cantidad) || cantidad <= 0) {
+      setMensajeEscaneo({ tipo: 'error', texto: 'Ingrese una cantidad mayor a 0.' });
+      return;
+    }
+
+    try {
+      setEstaRegistrando(true);
+      setMensajeEscaneo(null);
+
+      const payload = {
+        material: idMaterialActivo,
+        almacen: almacenEscaneado._id,
+        tipo,
+        cantidad,
+        descripcion: formEscaneo.descripcion.trim() || `Registro por escaneo (${tipo})`,
+      };
+      if (formEscaneo.unidad) payload.unidad = formEscaneo.unidad;
+      if (formEscaneo.lote.trim()) payload.lote = formEscaneo.lote.trim();
+      if (tipo === 'entrada' && formEscaneo.fechaVencimiento) {
+        payload.fechaVencimiento = formEscaneo.fechaVencimiento;
+      }
+
+      const respuesta = await crearMovimientoInventario(payload);
+      const data = respuesta?.data || {};
+
+      if (data.materialActualizado) setMaterialEscaneado(data.materialActualizado);
+      if (data.stockAlmacen) {
+        const cantidadSaldo = Number(data.stockAlmacen.cantidad) || 0;
+        const reservado = Number(data.stockAlmacen.reservado) || 0;
+        setSaldoEscaneado({
+          cantidad: cantidadSaldo,
+          reservado,
+          disponible: Math.max(cantidadSaldo - reservado, 0),
+        });
+      }
+
+      setMensajeEscaneo({
+        tipo: 'ok',
+        texto: `${tipo === 'entrada' ? 'Entrada' : 'Salida'} registrada: ${cantidad} ${
+          formEscaneo.unidad || materialActivo.unidad || 'unidad'
+        } de ${materialActivo.nombre}.`,
+      });
+      setFormEscaneo((prev) => ({ ...FORM_ESCANEO_INICIAL, tipo: prev.tipo, unidad: prev.unidad }));
+      setVersionDatos((v) => v + 1);                    // Recarga el historial con el nuevo movimiento.
+    } catch (error) {
+      console.error('Error al registrar movimiento por escaneo:', error);
+      setMensajeEscaneo({ tipo: 'error', texto: error?.message || 'No se pudo registrar el movimiento.' });
+    } finally {
+      setEstaRegistrando(false);
+      // Listo para la siguiente lectura.
+      if (inputEscaneoRef.current) inputEscaneoRef.current.focus();
+    }
+  };
+
+  // Solo admin y líder de obra pueden confirmar la recepción de traslados.
+  const puedeConfirmarTraslados = rolVisual === 'admin' || rolVisual === 'lider';
+
+  // Confirma la recepción de un traslado en tránsito y recarga el historial.
+  const manejarConfirmarTraslado = async (trasladoId) => {
+    if (!trasladoId) return;
+    try {
+      setTrasladoConfirmando(trasladoId);               // Deshabilita el botón mientras se confirma.
+      await confirmarTrasladoInventario(trasladoId);    // Llama al backend para sumar el stock en destino.
+      setVersionDatos((v) => v + 1);                    // Fuerza la recarga de los movimientos.
+    } catch (error) {
+      console.error('Error al confirmar traslado:', error);
+      setMensajeError(error?.message || 'No se pudo confirmar la recepción del traslado.');
+    } finally {
+      setTrasladoConfirmando(null);
+    }
+  };
+
+  // Solo el administrador puede anular movimientos.
+  const puedeAnularMovimientos = rolVisual === 'admin';
+
+  // Anula el movimiento seleccionado con el motivo escrito y recarga el historial.
+  const manejarAnularMovimiento = async (movimientoId) => {
+    if (!movimientoId || !motivoAnulacion.trim()) return;
+    try {
+      setEstaAnulando(true);                            // Deshabilita el formulario mientras se anula.
+      await anularMovimientoInventario(movimientoId, motivoAnulacion.trim());
+      setMovimientoAnulando(null);                      // Cierra el formulario de anulación.
+      setMotivoAnulacion('');
+      setVersionDatos((v) => v + 1);                    // Fuerza la recarga de los movimientos.
+    } catch (error) {
+      console.error('Error al anular movimiento:', error);
+      setMensajeError(error?.message || 'No se pudo anular el movimiento.');
+    } finally {
+      setEstaAnulando(false);
+    }
+  };
 
   // ======================================================================
   //   Efecto: bloquear scroll del body mientras el modal está abierto
@@ -205,13 +431,19 @@ const ModalMovimientosMaterial = ({
   }, [estaAbierto, alCerrar]);                          // Dependencias: estado de apertura y callback de cierre.
 
   // ======================================================================
-  //   Guard de seguridad: sin material seleccionado no se renderiza nada
+  //   Guard de seguridad: sin material ni modo escaneo no se renderiza nada
   // ======================================================================
-  if (!materialSeleccionado) return null;               // Evita renderizar el modal si no hay material válido.
+  if (!estaAbierto) return null;                        // Evita renderizar el modal si no hay nada que mostrar.
 
   // Texto de título principal del modal (siempre el nombre o un fallback).
-  const tituloMaterial =
-    materialSeleccionado.nombre || 'Material sin nombre'; // Fallback si el material no tiene nombre.
+  const tituloMaterial = materialActivo
+    ? materialActivo.nombre || 'Material sin nombre'    // Fallback si el material no tiene nombre.
+    : 'Registro por escaneo';                           // Modo escaneo aún sin material.
+
+  // La entrada de un material con control de lotes exige lote y vencimiento.
+  const tipoEscaneo = soloSalidas ? 'salida' : formEscaneo.tipo;
+  const pideLote = !!materialActivo?.controlLotes;
+  const pideVencimiento = pideLote && tipoEscaneo === 'entrada';
 
   // ======================================================================
   //   Render principal: overlay + contenedor centrado con borde animado
@@ -290,286 +522,644 @@ const ModalMovimientosMaterial = ({
                     {tituloMaterial}
                   </h3>
                   <p className="text-pcm-muted text-sm">       {/* Subtítulo con el contexto de la sección. */}
-                    Historial de movimientos
+                    {materialActivo ? 'Historial de movimientos' : 'Escanee la etiqueta de un material'}
                   </p>
                 </div>
               </div>
+
+              {/* Botón para mostrar/ocultar el registro por escaneo */}
+              {puedeRegistrarPorEscaneo && (
+                <button
+                  type="button"
+                  onClick={() => setEscaneoAbierto((abierto) => !abierto)}
+                  className="inline-flex items-center gap-2 rounded-xl px-4 py-2 text-sm font-semibold text-white shadow-pcm-suave"
+                  style={{ backgroundColor: 'var(--pcm-color-acento)' }}
+                >
+                  <ScanLine size={18} />
+                  {escaneoAbierto ? 'Ocultar escaneo' : 'Registrar por escaneo'}
+                </button>
+              )}
             </div>
 
-            {/* Sección de información general del material */}
-            <div
-              className="
-                bg-pcm-surfaceSoft/70 backdrop-blur-sm
-                rounded-2xl p-6
-                border border-pcm-borderSoft
-                mb-8
-              "
-            >
-              <h4
-                className="text-xl font-bold mb-6 flex items-center gap-2"
-                style={{
-                  color: 'var(--pcm-color-acento)',          // Título de sección en color de acento por rol.
-                }}
+            {/* Registro de movimientos por escaneo (lector QR tipo teclado) */}
+            {puedeRegistrarPorEscaneo && escaneoAbierto && (
+              <div
+                className="
+                  bg-pcm-surfaceSoft/70 backdrop-blur-sm
+                  rounded-2xl p-6
+                  border border-pcm-borderSoft
+                  mb-8
+                "
               >
-                <Warehouse size={22} />                       {/* Ícono de almacén para la ficha del material. */}
-                Información del material
-              </h4>
+                <h4
+                  className="text-xl font-bold mb-4 flex items-center gap-2"
+                  style={{
+                    color: 'var(--pcm-color-acento)',        // Título de sección en color de acento por rol.
+                  }}
+                >
+                  <ScanLine size={22} />                      {/* Ícono de escáner. */}
+                  Registro por escaneo
+                </h4>
 
-              {/* Grid con datos básicos (categoría, unidad, precio, stock) */}
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-5">
-                {/* Campo: Categoría */}
-                <div>
-                  <p
-                    className="
-                      font-semibold text-xs uppercase tracking-wider mb-1.5
-                    "
-                    style={{
-                      color: 'var(--pcm-color-acento)',      // Etiqueta en color de acento.
-                    }}
-                  >
-                    Categoría
+                {/* Campo que recibe la lectura: el lector escribe el código y envía Enter */}
+                <label className="block text-xs font-semibold uppercase tracking-wider mb-1.5 text-pcm-muted">
+                  Código escaneado
+                </label>
+                <input
+                  ref={inputEscaneoRef}
+                  type="text"
+                  value={codigoEscaneado}
+                  onChange={(e) => setCodigoEscaneado(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      e.preventDefault();
+                      manejarCodigoEscaneado();
+                    }
+                  }}
+                  disabled={estaResolviendo}
+                  placeholder="Escanee la etiqueta del material, de la ubicación o del almacén"
+                  autoComplete="off"
+                  className="w-full rounded-lg bg-pcm-bg border border-pcm-borderSoft px-3 py-2 text-sm text-pcm-text font-mono"
+                />
+
+                {/* Resumen de lo elegido hasta ahora */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mt-4 text-sm">
+                  <p className="text-pcm-muted">
+                    <strong style={{ color: 'var(--pcm-color-acento)' }}>Material:</strong>{' '}
+                    {materialActivo ? materialActivo.nombre : 'sin escanear'}
                   </p>
-                  <p className="text-pcm-text text-base capitalize">
-                    {materialSeleccionado.categoria || 'Sin categoría'} {/* Fallback si no hay categoría. */}
+                  <p className="text-pcm-muted">
+                    <strong style={{ color: 'var(--pcm-color-acento)' }}>Almacén:</strong>{' '}
+                    {almacenEscaneado ? almacenEscaneado.nombre : 'sin escanear'}
+                    {saldoEscaneado && materialActivo && (
+                      <>
+                        {' '}· disponible {saldoEscaneado.disponible} {materialActivo.unidad || 'unidad'}
+                      </>
+                    )}
                   </p>
                 </div>
 
-                {/* Campo: Unidad */}
-                <div>
+                {mensajeEscaneo && (
                   <p
-                    className="
-                      font-semibold text-xs uppercase tracking-wider mb-1.5
-                    "
-                    style={{
-                      color: 'var(--pcm-color-acento)',      // Etiqueta en color de acento.
-                    }}
+                    className={`mt-3 text-sm ${mensajeEscaneo.tipo === 'error' ? 'text-red-400' : 'text-green-400'}`}
+                    role="status"
                   >
-                    Unidad
-                  </p>
-                  <p className="text-pcm-text text-base">
-                    {materialSeleccionado.unidad || 'unidad'} // Fallback a “unidad” si no se define.
+                    {mensajeEscaneo.texto}
                   </p>
-                </div>
+                )}
 
-                {/* Campo: Precio unitario */}
-                <div>
-                  <p
-                    className="
-                      font-semibold text-xs uppercase tracking-wider mb-1.5
-                    "
+                {/* Datos del movimiento: tipo, cantidad, unidad y lote */}
+                <form onSubmit={manejarRegistrarEscaneo} className="mt-4 flex flex-col gap-3">
+                  <div className="flex flex-wrap items-end gap-3">
+                    <div>
+                      <label className="block text-xs font-semibold uppercase tracking-wider mb-1.5 text-pcm-muted">
+                        Tipo
+                      </label>
+                      <select
+                        value={tipoEscaneo}
+                        onChange={(e) => setFormEscaneo((prev) => ({ ...prev, tipo: e.target.value }))}
+                        disabled={soloSalidas}
+                        className="rounded-lg bg-pcm-bg border border-pcm-borderSoft px-3 py-2 text-sm text-pcm-text"
+                      >
+                        <option value="salida">Salida</option>
+                        {!soloSalidas && <option value="entrada">Entrada</option>}
+                      </select>
+                    </div>
+
+                    <div>
+                      <label className="block text-xs font-semibold uppercase tracking-wider mb-1.5 text-pcm-muted">
+                        Cantidad
+                      </label>
+                      <input
+                        ref={inputCantidadRef}
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={formEscaneo.cantidad}
+                        onChange={(e) => setFormEscaneo((prev) => ({ ...prev, cantidad: e.target.value }))}
+                        className="w-32 rounded-lg bg-pcm-bg border border-pcm-borderSoft px-3 py-2 text-sm text-pcm-text"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-xs font-semibold uppercase tracking-wider mb-1.5 text-pcm-muted">
+                        Unidad
+                      </label>
+                      <select
+                        value={formEscaneo.unidad}
+                        onChange={(e) => setFormEscaneo((prev) => ({ ...prev, unidad: e.target.value }))}
+                        disabled={!materialActivo}
+                        className="rounded-lg bg-pcm-bg border border-pcm-borderSoft px-3 py-2 text-sm text-pcm-text"
+                      >
+                        <option value="">{materialActivo?.unidad || 'Unidad del material'}</option>
+                        {unidadesEscaneo
+                          .filter((u) => u.origen !== 'material')
+                          .map((u) => (
+                            <option key={u.unidad} value={u.unidad}>
+                              {u.unidad} (= {u.factor} {materialActivo?.unidad || ''})
+                            </option>
+                          ))}
+                      </select>
+                    </div>
+
+                    {pideLote && (
+                      <div>
+                        <label className="block text-xs font-semibold uppercase tracking-wider mb-1.5 text-pcm-muted">
+                          Lote{pideVencimiento ? '' : ' (opcional)'}
+                        </label>
+                        <input
+                          type="text"
+                          value={formEscaneo.lote}
+                          onChange={(e) => setFormEscaneo((prev) => ({ ...prev, lote: e.target.value }))}
+                          className="w-32 rounded-lg bg-pcm-bg border border-pcm-borderSoft px-3 py-2 text-sm text-pcm-text"
+                        />
+                      </div>
+                    )}
+
+                    {pideVencimiento && (
+                      <div>
+                        <label className="block text-xs font-semibold uppercase tracking-wider mb-1.5 text-pcm-muted">
+                          Vencimiento
+                        </label>
+                        <input
+                          type="date"
+                          value={formEscaneo.fechaVencimiento}
+                          onChange={(e) => setFormEscaneo((prev) => ({ ...prev, fechaVencimiento: e.target.value }))}
+                          className="rounded-lg bg-pcm-bg border border-pcm-borderSoft px-3 py-2 text-sm text-pcm-text"
+                        />
+                      </div>
+                    )}
+                  </div>
+
+                  <input
+                    type="text"
+                    value={formEscaneo.descripcion}
+                    onChange={(e) => setFormEscaneo((prev) => ({ ...prev, descripcion: e.target.value }))}
+                    placeholder="Descripción (opcional)"
+                    className="w-full rounded-lg bg-pcm-bg border border-pcm-borderSoft px-3 py-2 text-sm text-pcm-text"
+                  />
+
+                  <div className="flex justify-end">
+                    <button
+                      type="submit"
+                      disabled={
+                        estaRegistrando ||
+                        !materialActivo ||
+                        !almacenEscaneado ||
+                        !(Number(formEscaneo.cantidad) > 0)
+                      }
+                      className="inline-flex items-center gap-2 rounded-lg px-4 py-2 text-sm font-semibold text-white disabled:opacity-60"
+                      style={{ backgroundColor: 'var(--pcm-color-acento)' }}
+                    >
+                      {tipoEscaneo === 'entrada' ? <ArrowDownCircle size={16} /> : <ArrowUpCircle size={16} />}
+                      {estaRegistrando ? 'Registrando...' : `Registrar ${tipoEscaneo}`}
+                    </button>
+                  </div>
+                </form>
+              </div>
+            )}
+
+            {materialActivo && (
+              <>
+                {/* Sección de información general del material */}
+                <div
+                  className="
+                    bg-pcm-surfaceSoft/70 backdrop-blur-sm
+                    rounded-2xl p-6
+                    border border-pcm-borderSoft
+                    mb-8
+                  "
+                >
+                  <h4
+                    className="text-xl font-bold mb-6 flex items-center gap-2"
                     style={{
-                      color: 'var(--pcm-color-acento)',      // Etiqueta en color de acento.
+                      color: 'var(--pcm-color-acento)',          // Título de sección en color de acento por rol.
                     }}
                   >
-                    Precio unitario
-                  </p>
-                  <p className="text-pcm-text text-base flex items-center gap-2">
-                    <DollarSign
-                      size={16}
-                      style={{ color: 'var(--pcm-color-acento)' }} // Ícono en color de acento.
-                    />
-                    $
-                    {materialSeleccionado.precioUnitario
-                      ? materialSeleccionado.precioUnitario.toLocaleString('es-CO') // Formato local colombiano.
-                      : '0'}
-                  </p>
+                    <Warehouse size={22} />                       {/* Ícono de almacén para la ficha del material. */}
+                    Información del material
+                  </h4>
+
+                  {/* Grid con datos básicos (categoría, unidad, precio, stock) */}
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-5">
+                    {/* Campo: Categoría */}
+                    <div>
+                      <p
+                        className="
+                          font-semibold text-xs uppercase tracking-wider mb-1.5
+                        "
+                        style={{
+                          color: 'var(--pcm-color-acento)',      // Etiqueta en color de acento.
+                        }}
+                      >
+                        Categoría
+                      </p>
+                      <p className="text-pcm-text text-base capitalize">
+                        {materialActivo.categoria || 'Sin categoría'} {/* Fallback si no hay categoría. */}
+                      </p>
+                    </div>
+
+                    {/* Campo: Unidad */}
+                    <div>
+                      <p
+                        className="
+                          font-semibold text-xs uppercase tracking-wider mb-1.5
+                        "
+                        style={{
+                          color: 'var(--pcm-color-acento)',      // Etiqueta en color de acento.
+                        }}
+                      >
+                        Unidad
+                      </p>
+                      <p className="text-pcm-text text-base">
+                        {materialActivo.unidad || 'unidad'} // Fallback a “unidad” si no se define.
+                      </p>
+                    </div>
+
+                    {/* Campo: Precio unitario */}
+                    <div>
+                      <p
+                        className="
+                          font-semibold text-xs uppercase tracking-wider mb-1.5
+                        "
+                        style={{
+                          color: 'var(--pcm-color-acento)',      // Etiqueta en color de acento.
+                        }}
+                      >
+                        Precio unitario
+                      </p>
+                      <p className="text-pcm-text text-base flex items-center gap-2">
+                        <DollarSign
+                          size={16}
+                          style={{ color: 'var(--pcm-color-acento)' }} // Ícono en color de acento.
+                        />
+                        $
+                        {materialActivo.precioUnitario
+                          ? materialActivo.precioUnitario.toLocaleString('es-CO') // Formato local colombiano.
+                          : '0'}
+                      </p>
+                    </div>
+
+                    {/* Campo: Stock actual */}
+                    <div>
+                      <p
+                        className="
+                          font-semibold text-xs uppercase tracking-wider mb-1.5
+                        "
+                        style={{
+                          color: 'var(--pcm-color-acento)',      // Etiqueta en color de acento.
+                        }}
+                      >
+                        Stock actual
+                      </p>
+                      <p className="text-pcm-text text-base">
+                        {materialActivo.cantidad}{' '}
+                        {materialActivo.unidad || 'unidad'} // Muestra cantidad + unidad.
+                      </p>
+                    </div>
+                  </div>
                 </div>
 
-                {/* Campo: Stock actual */}
-                <div>
-                  <p
-                    className="
-                      font-semibold text-xs uppercase tracking-wider mb-1.5
-                    "
+                {/* Sección del historial de movimientos de inventario */}
+                <div
+                  className="
+                    bg-pcm-surfaceSoft/70 backdrop-blur-sm
+                    rounded-2xl p-6
+                    border border-pcm-borderSoft
+                  "
+                >
+                  <h4
+                    className="text-xl font-bold mb-6 flex items-center gap-2"
                     style={{
-                      color: 'var(--pcm-color-acento)',      // Etiqueta en color de acento.
+                      color: 'var(--pcm-color-acento)',          // Título en color de acento por rol.
                     }}
                   >
-                    Stock actual
-                  </p>
-                  <p className="text-pcm-text text-base">
-                    {materialSeleccionado.cantidad}{' '}
-                    {materialSeleccionado.unidad || 'unidad'} // Muestra cantidad + unidad.
-                  </p>
-                </div>
-              </div>
-            </div>
+                    <ClipboardList size={22} />                   {/* Ícono de lista. */}
+                    Movimientos del inventario
+                  </h4>
 
-            {/* Sección del historial de movimientos de inventario */}
-            <div
-              className="
-                bg-pcm-surfaceSoft/70 backdrop-blur-sm
-                rounded-2xl p-6
-                border border-pcm-borderSoft
-              "
-            >
-              <h4
-                className="text-xl font-bold mb-6 flex items-center gap-2"
-                style={{
-                  color: 'var(--pcm-color-acento)',          // Título en color de acento por rol.
-                }}
-              >
-                <ClipboardList size={22} />                   {/* Ícono de lista. */}
-                Movimientos del inventario
-              </h4>
-
-              {/* Control de estados: cargando, error, lista con datos o vacía */}
-              {estaCargando ? (
-                // Estado: cargando movimientos desde la API.
-                <div className="flex flex-col items-center justify-center py-10">
-                  <Loader2
-                    className="animate-spin mb-3"
-                    size={36}
-                    style={{
-                      color: 'var(--pcm-color-acento)',      // Spinner en color de acento por rol.
-                    }}
-                  />
-                  <p className="text-pcm-muted">
-                    Cargando movimientos...
-                  </p>
-                </div>
-              ) : mensajeError ? (
-                // Estado: ocurrió un error al cargar los movimientos.
-                <div className="text-center py-10 text-red-400">
-                  <AlertCircle size={48} className="mx-auto mb-3" />
-                  <p>{mensajeError}</p>
-                </div>
-              ) : movimientos.length > 0 ? (
-                // Estado: hay movimientos para mostrar.
-                <div className="space-y-4 max-h-96 pr-2 pcm-scroll-y">
-                  {/* Recorre y pinta cada movimiento en una tarjeta */}
-                  {movimientos.map((movimiento, indice) => {
-                    const esEntrada = movimiento.tipo === 'entrada'; // true para entrada, false para salida.
-
-                    // Texto de fecha legible en formato es-CO.
-                    const textoFecha = movimiento.fecha
-                      ? new Date(movimiento.fecha).toLocaleDateString('es-CO')
-                      : 'Sin fecha';
-
-                    // Determina el nombre del almacén (objeto o string).
-                    const nombreAlmacen =
-                      typeof movimiento.almacen === 'object' &&
-                      movimiento.almacen !== null
-                        ? movimiento.almacen.nombre
-                        : movimiento.almacen;
-
-                    // Determina el nombre/resumen del usuario responsable.
-                    const nombreUsuario =
-                      typeof movimiento.usuario === 'object' &&
-                      movimiento.usuario !== null
-                        ? movimiento.usuario.nombre ||
-                          movimiento.usuario.email ||
-                          'Usuario'
-                        : movimiento.usuario;
-
-                    return (
-                      <div
-                        key={indice}                          // Usa índice como key en este contexto controlado.
-                        className="
-                          bg-pcm-bg/60
-                          rounded-xl p-5
-                          border border-pcm-borderSoft
-                          hover:bg-pcm-surfaceSoft/80
-                          transition-all
-                        "
+                  {/* Control de estados: cargando, error, lista con datos o vacía */}
+                  {estaCargando ? (
+                    // Estado: cargando movimientos desde la API.
+                    <div className="flex flex-col items-center justify-center py-10">
+                      <Loader2
+                        className="animate-spin mb-3"
+                        size={36}
                         style={{
-                          borderColor: 'rgba(148,163,184,0.4)', // Borde base neutro suave.
+                          color: 'var(--pcm-color-acento)',      // Spinner en color de acento por rol.
                         }}
-                      >
-                        {/* Fila superior: tipo, descripción, cantidad y fecha */}
-                        <div className="flex justify-between items-start mb-4">
-                          {/* Lado izquierdo: ícono y tipo de movimiento */}
-                          <div className="flex items-center gap-3">
-                            {esEntrada ? (
-                              <ArrowDownCircle
-                                size={24}
-                                className="text-green-400 shrink-0" // Ícono verde para entradas (shrink-0 permitido).
-                              />
-                            ) : (
-                              <ArrowUpCircle
-                                size={24}
-                                className="text-red-400 shrink-0"   // Ícono rojo para salidas.
-                              />
+                      />
+                      <p className="text-pcm-muted">
+                        Cargando movimientos...
+                      </p>
+                    </div>
+                  ) : mensajeError ? (
+                    // Estado: ocurrió un error al cargar los movimientos.
+                    <div className="text-center py-10 text-red-400">
+                      <AlertCircle size={48} className="mx-auto mb-3" />
+                      <p>{mensajeError}</p>
+                    </div>
+                  ) : movimientos.length > 0 ? (
+                    // Estado: hay movimientos para mostrar.
+                    <div className="space-y-4 max-h-96 pr-2 pcm-scroll-y">
+                      {/* Recorre y pinta cada movimiento en una tarjeta */}
+                      {movimientos.map((movimiento, indice) => {
+                        const esTraslado = movimiento.tipo === 'traslado'; // true para tramos de traslado.
+                        const esEntrada =
+                          movimiento.tipo === 'entrada' ||
+                          (esTraslado && movimiento.sentidoTraslado === 'entrada'); // Entradas y tramos de entrada suman.
+                        const enTransito = esTraslado && movimiento.estadoTraslado === 'en_transito';
+                        const esAnulado = !!movimiento.anulado;                 // Movimiento revertido por un compensatorio.
+                        const esCompensatorio = !!movimiento.movimientoAnulado; // Movimiento que anula a otro.
+                        const formularioAbierto = movimientoAnulando === movimiento._id;
+
+                        // Nombres de origen/destino para traslados (objeto poblado o string).
+                        const nombreOrigen = movimiento.almacenOrigen?.nombre || movimiento.almacenOrigen;
+                        const nombreDestino = movimiento.almacenDestino?.nombre || movimiento.almacenDestino;
+
+                        // Texto de fecha legible en formato es-CO.
+                        const textoFecha = movimiento.fecha
+                          ? new Date(movimiento.fecha).toLocaleDateString('es-CO')
+                          : 'Sin fecha';
+
+                        // Determina el nombre del almacén (objeto o string).
+                        const nombreAlmacen =
+                          typeof movimiento.almacen === 'object' &&
+                          movimiento.almacen !== null
+                            ? movimiento.almacen.nombre
+                            : movimiento.almacen;
+
+                        // Determina el nombre/resumen del usuario responsable.
+                        const nombreUsuario =
+                          typeof movimiento.usuario === 'object' &&
+                          movimiento.usuario !== null
+                            ? movimiento.usuario.nombre ||
+                              movimiento.usuario.email ||
+                              'Usuario'
+                            : movimiento.usuario;
+
+                        return (
+                          <div
+                            key={indice}                          // Usa índice como key en este contexto controlado.
+                            className={`
+                              bg-pcm-bg/60
+                              rounded-xl p-5
+                              border border-pcm-borderSoft
+                              hover:bg-pcm-surfaceSoft/80
+                              transition-all
+                              ${esAnulado ? 'opacity-60' : ''}
+                            `}
+                            style={{
+                              borderColor: 'rgba(148,163,184,0.4)', // Borde base neutro suave.
+                            }}
+                          >
+                            {/* Fila superior: tipo, descripción, cantidad y fecha */}
+                            <div className="flex justify-between items-start mb-4">
+                              {/* Lado izquierdo: ícono y tipo de movimiento */}
+                              <div className="flex items-center gap-3">
+                                {esTraslado ? (
+                                  <ArrowLeftRight
+                                    size={24}
+                                    className={`${esEntrada ? 'text-green-400' : 'text-red-400'} shrink-0`} // Color según el tramo.
+                                  />
+                                ) : esEntrada ? (
+                                  <ArrowDownCircle
+                                    size={24}
+                                    className="text-green-400 shrink-0" // Ícono verde para entradas (shrink-0 permitido).
+                                  />
+                                ) : (
+                                  <ArrowUpCircle
+                                    size={24}
+                                    className="text-red-400 shrink-0"   // Ícono rojo para salidas.
+                                  />
+                                )}
+
+                                <div>
+                                  <h5 className="text-white font-semibold text-lg mb-1 capitalize">
+                                    {movimiento.tipo}              {/* Tipo: entrada/salida/ajuste, etc. */}
+                                    {esTraslado && (
+                                      <span className="text-sm font-normal text-pcm-muted">
+                                        {' '}({movimiento.sentidoTraslado})
+                                      </span>
+                                    )}
+                                    {esAnulado && (
+                                      <span className="ml-2 text-xs font-semibold uppercase text-red-400">
+                                        Anulado
+                                      </span>
+                                    )}
+                                    {esCompensatorio && (
+                                      <span className="ml-2 text-xs font-semibold uppercase text-amber-300">
+                                        Anulación
+                                      </span>
+                                    )}
+                                  </h5>
+                                  <p className="text-pcm-muted text-sm">
+                                    {movimiento.descripcion ||
+                                      'Movimiento sin descripción'} // Fallback descriptivo.
+                                  </p>
+                                </div>
+                              </div>
+
+                              {/* Lado derecho: cantidad movida y fecha */}
+                              <div className="text-right">
+                                <p
+                                  className={`
+                                    font-bold text-xl
+                                    ${esEntrada ? 'text-green-400' : 'text-red-400'}
+                                  `}
+                                >
+                                  {movimiento.cantidad}{' '}
+                                  {materialActivo.unidad || 'unidad'}
+                                </p>
+                                <p className="text-pcm-muted text-xs flex items-center justify-end gap-1 mt-1">
+                                  <Calendar
+                                    size={14}
+                                    style={{
+                                      color: 'var(--pcm-color-acento)', // Ícono de calendario con color de acento.
+                                    }}
+                                  />
+                                  {textoFecha}
+                                </p>
+                              </div>
+                            </div>
+
+                            {/* Información adicional: almacén asociado */}
+                            {nombreAlmacen && (
+                              <p className="text-pcm-muted text-sm mt-1">
+                                <strong
+                                  style={{
+                                    color: 'var(--pcm-color-acento)', // Etiqueta en color de acento.
+                                  }}
+                                >
+                                  Almacén:
+                                </strong>{' '}
+                                {nombreAlmacen}
+                              </p>
                             )}
 
-                            <div>
-                              <h5 className="text-white font-semibold text-lg mb-1 capitalize">
-                                {movimiento.tipo}              {/* Tipo: entrada/salida/ajuste, etc. */}
-                              </h5>
-                              <p className="text-pcm-muted text-sm">
-                                {movimiento.descripcion ||
-                                  'Movimiento sin descripción'} // Fallback descriptivo.
+                            {/* Información adicional: proveedor de la compra (solo entradas enlazadas) */}
+                            {movimiento.proveedor && typeof movimiento.proveedor === 'object' && (
+                              <p className="text-pcm-muted text-sm mt-1">
+                                <strong
+                                  style={{
+                                    color: 'var(--pcm-color-acento)', // Etiqueta en color de acento.
+                                  }}
+                                >
+                                  Proveedor:
+                                </strong>{' '}
+                                {movimiento.proveedor.nombre}
+                                {movimiento.proveedor.nit && <> (NIT {movimiento.proveedor.nit})</>}
                               </p>
-                            </div>
-                          </div>
+                            )}
+
+                            {/* Información adicional: costo al que se valoró el movimiento */}
+                            {movimiento.costoUnitario !== undefined && movimiento.costoUnitario !== null && (
+                              <p className="text-pcm-muted text-sm mt-1">
+                                <strong
+                                  style={{
+                                    color: 'var(--pcm-color-acento)', // Etiqueta en color de acento.
+                                  }}
+                                >
+                                  Costo:
+                                </strong>{' '}
+                                ${Number(movimiento.costoUnitario).toLocaleString('es-CO', { maximumFractionDigits: 2 })}
+                                /{materialActivo.unidad || 'unidad'}
+                                {movimiento.costoTotal !== undefined && movimiento.costoTotal !== null && (
+                                  <> · Total ${Number(movimiento.costoTotal).toLocaleString('es-CO', { maximumFractionDigits: 2 })}</>
+                                )}
+                              </p>
+                            )}
+
+                            {/* Información adicional: origen/destino y estado del traslado */}
+                            {esTraslado && (
+                              <div className="flex flex-wrap items-center justify-between gap-2 mt-1">
+                                <p className="text-pcm-muted text-sm">
+                                  <strong
+                                    style={{
+                                      color: 'var(--pcm-color-acento)', // Etiqueta en color de acento.
+                                    }}
+                                  >
+                                    Traslado:
+                                  </strong>{' '}
+                                  {nombreOrigen || '—'} → {nombreDestino || '—'}{' '}
+                                  <span
+                                    className={
+                                      esAnulado ? 'text-red-400' : enTransito ? 'text-amber-300' : 'text-green-400'
+                                    }
+                                  >
+                                    ({esAnulado ? 'anulado' : enTransito ? 'en tránsito' : 'recibido'})
+                                  </span>
+                                </p>
+                                {enTransito &&
+                                  movimiento.sentidoTraslado === 'entrada' &&
+                                  puedeConfirmarTraslados && (
+                                    <button
+                                      type="button"
+                                      onClick={() => manejarConfirmarTraslado(movimiento.trasladoId)}
+                                      disabled={trasladoConfirmando === movimiento.trasladoId}
+                                      className="inline-flex items-center gap-1 rounded-lg px-3 py-1 text-xs font-semibold text-white disabled:opacity-60"
+                                      style={{ backgroundColor: 'var(--pcm-color-acento)' }}
+                                    >
+                                      <CheckCircle2 size={14} />
+                                      {trasladoConfirmando === movimiento.trasladoId
+                                        ? 'Confirmando...'
+                                        : 'Confirmar recepción'}
+                                    </button>
+                                  )}
+                              </div>
+                            )}
+
+                            {/* Información adicional: usuario responsable */}
+                            {nombreUsuario && (
+                              <p className="text-pcm-muted text-sm mt-1">
+                                <strong
+                                  style={{
+                                    color: 'var(--pcm-color-acento)', // Etiqueta en color de acento.
+                                  }}
+                                >
+                                  Responsable:
+                                </strong>{' '}
+                                {nombreUsuario}
+                              </p>
+                            )}
+
+                            {/* Información adicional: motivo de la anulación */}
+                            {esAnulado && movimiento.motivoAnulacion && (
+                              <p className="text-pcm-muted text-sm mt-1">
+                                <strong className="text-red-400">Motivo de anulación:</strong>{' '}
+                                {movimiento.motivoAnulacion}
+                              </p>
+                            )}
 
-                          {/* Lado derecho: cantidad movida y fecha */}
-                          <div className="text-right">
-                            <p
-                              className={`
-                                font-bold text-xl
-                                ${esEntrada ? 'text-green-400' : 'text-red-400'}
-                              `}
-                            >
-                              {movimiento.cantidad}{' '}
-                              {materialSeleccionado.unidad || 'unidad'}
-                            </p>
-                            <p className="text-pcm-muted text-xs flex items-center justify-end gap-1 mt-1">
-                              <Calendar
-                                size={14}
-                                style={{
-                                  color: 'var(--pcm-color-acento)', // Ícono de calendario con color de acento.
-                                }}
-                              />
-                              {textoFecha}
-                            </p>
+                            {/* Acción: anular (solo admin, movimientos vigentes que no sean compensatorios) */}
+                            {puedeAnularMovimientos && !esAnulado && !esCompensatorio && (
+                              formularioAbierto ? (
+                                <div className="mt-3 flex flex-col gap-2">
+                                  <textarea
+                                    value={motivoAnulacion}
+                                    onChange={(e) => setMotivoAnulacion(e.target.value)}
+                                    placeholder="Motivo de la anulación"
+                                    rows={2}
+                                    className="w-full rounded-lg bg-pcm-bg border border-pcm-borderSoft px-3 py-2 text-sm text-pcm-text"
+                                  />
+                                  <div className="flex justify-end gap-2">
+                                    <button
+                                      type="button"
+                                      onClick={() => {
+                                        setMovimientoAnulando(null);
+                                        setMotivoAnulacion('');
+                                      }}
+                                      disabled={estaAnulando}
+                                      className="rounded-lg px-3 py-1 text-xs font-semibold text-pcm-muted border border-pcm-borderSoft"
+                                    >
+                                      Cancelar
+                                    </button>
+                                    <button
+                                      type="button"
+                                      onClick={() => manejarAnularMovimiento(movimiento._id)}
+                                      disabled={estaAnulando || !motivoAnulacion.trim()}
+                                      className="inline-flex items-center gap-1 rounded-lg px-3 py-1 text-xs font-semibold text-white bg-red-500 disabled:opacity-60"
+                                    >
+                                      <Ban size={14} />
+                                      {estaAnulando ? 'Anulando...' : 'Confirmar anulación'}
+                                    </button>
+                                  </div>
+                                </div>
+                              ) : (
+                                <div className="mt-3 flex justify-end">
+                                  <button
+                                    type="button"
+                                    onClick={() => {
+                                      setMovimientoAnulando(movimiento._id);
+                                      setMotivoAnulacion('');
+                                    }}
+                                    className="inline-flex items-center gap-1 rounded-lg px-3 py-1 text-xs font-semibold text-red-400 border border-red-400/60"
+                                  >
+                                    <Ban size={14} />
+                                    {esTraslado ? 'Anular traslado' : 'Anular'}
+                                  </button>
+                                </div>
+                              )
+                            )}
                           </div>
-                        </div>
-
-                        {/* Información adicional: almacén asociado */}
-                        {nombreAlmacen && (
-                          <p className="text-pcm-muted text-sm mt-1">
-                            <strong
-                              style={{
-                                color: 'var(--pcm-color-acento)', // Etiqueta en color de acento.
-                              }}
-                            >
-                              Almacén:
-                            </strong>{' '}
-                            {nombreAlmacen}
-                          </p>
-                        )}
-
-                        {/* Información adicional: usuario responsable */}
-                        {nombreUsuario && (
-                          <p className="text-pcm-muted text-sm mt-1">
-                            <strong
-                              style={{
-                                color: 'var(--pcm-color-acento)', // Etiqueta en color de acento.
-                              }}
-                            >
-                              Responsable:
-                            </strong>{' '}
-                            {nombreUsuario}
-                          </p>
-                        )}
-                      </div>
-                    );
-                  })}
+                        );
+                      })}
+                    </div>
+                  ) : (
+                    // Estado: no se encontraron movimientos para este material.
+                    <div className="text-center py-10">
+                      <AlertCircle
+                        size={48}
+                        className="mx-auto text-pcm-muted mb-3"
+                      />
+                      <p className="text-pcm-muted text-lg">
+                        No se registran movimientos para este material.
+                      </p>
+                    </div>
+                  )}
                 </div>
-              ) : (
-                // Estado: no se encontraron movimientos para este material.
-                <div className="text-center py-10">
-                  <AlertCircle
-                    size={48}
-                    className="mx-auto text-pcm-muted mb-3"
-                  />
-                  <p className="text-pcm-muted text-lg">
-                    No se registran movimientos para este material.
-                  </p>
-                </div>
-              )}
-            </div>
+              </>
+            )}
           </div>
         </div>
       </div>
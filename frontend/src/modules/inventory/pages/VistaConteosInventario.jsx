@@ -0,0 +1,379 @@
+// File: frontend/src/modules/inventory/pages/VistaConteosInventario.jsx
+// Description: Vista de conteos físicos de inventario (conteo cíclico) en
+//              ProCivil Manager (PCM). Lista los conteos por almacén con su
+//              avance y diferencias; admin y líder de obra abren conteos y
+//              registran cantidades (también desde el móvil), y el
+//              administrador revisa y aplica las diferencias como ajustes.
+//              El auditor consulta en modo lectura.
+
+// =========================
+//   Importaciones básicas
+// =========================
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  Search,                                                                    // Ícono de lupa para el buscador.
+  ClipboardCheck,                                                            // Ícono de conteo físico.
+  Plus,                                                                      // Ícono de suma para "Nuevo conteo".
+  X,                                                                         // Ícono de cierre para el toast.
+  Loader,                                                                    // Ícono de cargando (spinner).
+  CheckCircle,                                                               // Ícono de éxito.
+  AlertCircle,                                                               // Ícono de advertencia.
+  XCircle,                                                                   // Ícono de error.
+  Info,                                                                      // Ícono de información.
+  Eye,                                                                       // Ícono de ojo para el detalle.
+} from 'lucide-react';
+
+// =========================
+//   Servicios de API
+// =========================
+import {
+  obtenerConteosInventario,                                                 // Lista conteos físicos.
+  crearConteoInventario,                                                    // Abre un conteo.
+  obtenerAlmacenes,                                                         // Almacenes a contar.
+  obtenerMateriales,                                                        // Catálogo (categorías).
+} from '../../../services/api/api.js';
+
+// =========================
+//   Modales del módulo
+// =========================
+import ModalCrearConteoInventario from '../modals/ModalCrearConteoInventario';
+import ModalDetalleConteoInventario, { ESTADOS_CONTEO } from '../modals/ModalDetalleConteoInventario';
+
+// ---------------------------------------------------------------------
+//   Componente de notificación tipo "toast"
+// ---------------------------------------------------------------------
+const Toast = ({ message, type, onClose }) => {
+  const icons = {
+    success: <CheckCircle size={20} />,
+    error: <XCircle size={20} />,
+    warning: <AlertCircle size={20} />,
+    info: <Info size={20} />,
+  };
+
+  const styles = {
+    success: 'bg-emerald-600/95 border-emerald-400/80',
+    error: 'bg-red-600/95 border-red-400/80',
+    warning: 'bg-amber-600/95 border-amber-400/80',
+    info: 'bg-pcm-surfaceSoft/95 border-pcm-primary/70',
+  };
+
+  // Auto-cierre del toast después de 4 segundos.
+  useEffect(() => {
+    const timer = setTimeout(onClose, 4000);
+    return () => clearTimeout(timer);
+  }, [onClose]);
+
+  return (
+    <div
+      className={`${styles[type] || styles.info} border-2 rounded-xl shadow-pcm-soft
+                  p-4 flex items-start gap-3 min-w-[280px] max-w-md
+                  animate-slide-in-down`}
+    >
+      <div className="text-white mt-0.5">{icons[type] || icons.info}</div>
+      <div className="flex-1">
+        <p className="text-white font-semibold text-sm leading-relaxed">{message}</p>
+      </div>
+      <button onClick={onClose} className="text-white/80 hover:text-white transition duration-150">
+        <X size={18} />
+      </button>
+    </div>
+  );
+};
+
+// ---------------------------------------------------------------------
+//   Helper para clases de panel según el rol del usuario
+// ---------------------------------------------------------------------
+const obtenerClasesPanelPorRol = (rolUsuario) => {
+  const rolNormalizado = (rolUsuario || '').toString().toLowerCase().trim();
+  if (rolNormalizado.includes('admin')) return 'pcm-panel pcm-panel-fondo pcm-panel--admin';
+  if (rolNormalizado.includes('lider') || rolNormalizado.includes('líder')) {
+    return 'pcm-panel pcm-panel-fondo pcm-panel--lider';
+  }
+  if (rolNormalizado.includes('auditor')) return 'pcm-panel pcm-panel-fondo pcm-panel--auditor';
+  return 'pcm-panel pcm-panel-fondo';
+};
+
+// ---------------------------------------------------------------------
+//   Componente principal: VistaConteosInventario
+// ---------------------------------------------------------------------
+const VistaConteosInventario = ({ rolUsuario = '' }) => {
+  // =========================
+  //   Estados principales
+  // =========================
+  const [conteos, setConteos] = useState([]);                               // Conteos físicos.
+  const [catalogos, setCatalogos] = useState({ almacenes: [], materiales: [] }); // Datos para abrir conteos.
+  const [loading, setLoading] = useState(true);                             // Carga inicial.
+  const [searchTerm, setSearchTerm] = useState('');                         // Texto de búsqueda.
+  const [filtroEstado, setFiltroEstado] = useState('');                     // Estado seleccionado.
+  const [showModal, setShowModal] = useState(false);                        // Modal de creación.
+  const [conteoDetalle, setConteoDetalle] = useState(null);                 // Conteo en el modal de detalle.
+  const [toasts, setToasts] = useState([]);                                 // Toasts activos.
+
+  const rolNormalizado = (rolUsuario || '').toString().toLowerCase();
+  const esAdmin = rolNormalizado === 'admin';                               // Solo admin aplica o cancela.
+  const puedeContar = esAdmin || rolNormalizado === 'lider de obra';        // Admin y líder abren y cuentan.
+
+  // =========================
+  //   Notificaciones (toasts)
+  // =========================
+  const showToast = useCallback((message, type = 'info') => {
+    const id = Date.now();
+    setToasts((prev) => [...prev, { id, message, type }]);
+  }, []);
+
+  const removeToast = (id) => {
+    setToasts((prev) => prev.filter((toast) => toast.id !== id));
+  };
+
+  // =========================
+  //   Carga de datos
+  // =========================
+  const cargarConteos = useCallback(async () => {
+    try {
+      const data = await obtenerConteosInventario();
+      setConteos(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error('Error al cargar conteos de inventario:', err);
+      showToast(err?.message || 'Error al cargar los conteos de inventario', 'error');
+    }
+  }, [showToast]);
+
+  // Catálogos del formulario de apertura (admin y líder)
+  const cargarCatalogos = useCallback(async () => {
+    try {
+      const [almacenes, materiales] = await Promise.all([obtenerAlmacenes(), obtenerMateriales()]);
+      setCatalogos({
+        almacenes: Array.isArray(almacenes) ? almacenes : [],
+        materiales: Array.isArray(materiales) ? materiales : [],
+      });
+    } catch (err) {
+      console.error('Error al cargar datos para conteos de inventario:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    const cargarDatos = async () => {
+      setLoading(true);
+      try {
+        await cargarConteos();
+        if (puedeContar) await cargarCatalogos();
+      } finally {
+        setLoading(false);
+      }
+    };
+    cargarDatos();
+  }, [cargarConteos, cargarCatalogos, puedeContar]);
+
+  // =========================
+  //   Handlers de acciones
+  // =========================
+  const handleCrear = async (payload) => {
+    try {
+      const respuesta = await crearConteoInventario(payload);
+      await cargarConteos();
+      setShowModal(false);
+      showToast(respuesta?.message || 'Conteo abierto', 'success');
+      if (respuesta?.data) setConteoDetalle(respuesta.data);
+    } catch (err) {
+      console.error('Error al abrir conteo de inventario:', err);
+      showToast(err?.message || 'Error al abrir el conteo', 'error');
+    }
+  };
+
+  // =========================
+  //   Filtro
+  // =========================
+  const filteredConteos = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    return conteos.filter(
+      (conteo) =>
+        (!filtroEstado || conteo.estado === filtroEstado) &&
+        (conteo.numero?.toLowerCase().includes(term) ||
+          conteo.almacen?.nombre?.toLowerCase().includes(term) ||
+          conteo.categoria?.toLowerCase().includes(term))
+    );
+  }, [conteos, searchTerm, filtroEstado]);
+
+  // =========================
+  //   Estado de carga
+  // =========================
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <Loader className="animate-spin text-pcm-primary" size={48} />
+      </div>
+    );
+  }
+
+  // =========================
+  //   Render principal
+  // =========================
+  return (
+    <>
+      {/* Contenedor de notificaciones toast */}
+      <div className="fixed top-4 right-4 z-50 space-y-3">
+        {toasts.map((toast) => (
+          <Toast key={toast.id} message={toast.message} type={toast.type} onClose={() => removeToast(toast.id)} />
+        ))}
+      </div>
+
+      {/* Tarjeta principal con adaptación por rol */}
+      <div
+        className={`
+          ${obtenerClasesPanelPorRol(rolUsuario)}
+          bg-pcm-surfaceSoft/80
+          backdrop-blur-sm
+          rounded-pcm-xl
+          border border-white/10
+          shadow-pcm-soft
+        `}
+      >
+        {/* Encabezado: título, botón nuevo conteo y filtros */}
+        <div className="p-6 border-b border-white/10">
+          <div className="flex items-center justify-between mb-4 gap-4">
+            <div className="flex items-center gap-3">
+              <ClipboardCheck className="text-pcm-primary" size={28} />
+              <h3 className="text-xl font-semibold text-pcm-text">Conteos de Inventario</h3>
+            </div>
+
+            {puedeContar && (
+              <button
+                onClick={() => setShowModal(true)}
+                className="pcm-btn-primary flex items-center gap-2 px-4 py-2
+                           rounded-xl font-semibold hover:scale-105
+                           transition duration-150"
+              >
+                <Plus size={20} />
+                <span>Nuevo conteo</span>
+              </button>
+            )}
+          </div>
+
+          <div className="flex flex-col md:flex-row gap-3">
+            <div className="flex-1 relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-pcm-muted" size={20} />
+              <input
+                type="text"
+                placeholder="Buscar por número, almacén o categoría..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="w-full pl-10 pr-4 py-2
+                           bg-pcm-bg/70 border border-white/10
+                           rounded-lg text-sm text-pcm-text
+                           placeholder:text-pcm-muted
+                           focus:outline-none focus:ring-2 focus:ring-pcm-primary/70"
+              />
+            </div>
+            <select
+              value={filtroEstado}
+              onChange={(e) => setFiltroEstado(e.target.value)}
+              className="px-4 py-2 bg-pcm-bg/70 border border-white/10 rounded-lg text-sm text-pcm-text
+                         focus:outline-none focus:ring-2 focus:ring-pcm-primary/70"
+            >
+              <option value="">Todos los estados</option>
+              {Object.entries(ESTADOS_CONTEO).map(([valor, { etiqueta }]) => (
+                <option key={valor} value={valor}>
+                  {etiqueta}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="mt-3 text-xs text-pcm-muted">
+            Mostrando {filteredConteos.length} de {conteos.length} conteos
+          </div>
+        </div>
+
+        {/* Tabla de conteos */}
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-white/10 bg-pcm-bg/80">
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Número</th>
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Almacén</th>
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Alcance</th>
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Fecha</th>
+                <th className="text-right p-4 text-xs font-semibold text-pcm-muted tracking-wide">Contados</th>
+                <th className="text-right p-4 text-xs font-semibold text-pcm-muted tracking-wide">Diferencias</th>
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Estado</th>
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Acciones</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredConteos.length > 0 ? (
+                filteredConteos.map((conteo) => {
+                  const estado = ESTADOS_CONTEO[conteo.estado] || ESTADOS_CONTEO.abierto;
+                  const resumen = conteo.resumen || {};
+                  return (
+                    <tr
+                      key={conteo._id}
+                      className="border-b border-white/10 hover:bg-pcm-surfaceSoft/70 transition duration-150"
+                    >
+                      <td className="p-4 text-sm text-pcm-text font-semibold">{conteo.numero}</td>
+                      <td className="p-4 text-sm text-pcm-text">{conteo.almacen?.nombre || '-'}</td>
+                      <td className="p-4 text-sm text-pcm-text">{conteo.categoria || 'Todo el almacén'}</td>
+                      <td className="p-4 text-sm text-pcm-text">
+                        {conteo.createdAt ? new Date(conteo.createdAt).toLocaleDateString('es-CO') : '-'}
+                      </td>
+                      <td className="p-4 text-sm text-pcm-text text-right">
+                        {resumen.contados ?? 0} / {resumen.total ?? 0}
+                      </td>
+                      <td className="p-4 text-sm text-right">
+                        <span className="text-emerald-300">+{resumen.sobrantes ?? 0}</span>{' '}
+                        <span className="text-red-300">-{resumen.faltantes ?? 0}</span>
+                      </td>
+                      <td className="p-4">
+                        <span className={`text-xs font-semibold border rounded-full px-2 py-0.5 ${estado.clase}`}>
+                          {estado.etiqueta}
+                        </span>
+                      </td>
+                      <td className="p-4">
+                        <button
+                          onClick={() => setConteoDetalle(conteo)}
+                          className="inline-flex h-8 w-8 items-center justify-center rounded-full bg-black/40 border border-pcm-borderSoft hover:bg-black/60 transition"
+                          title="Ver / contar"
+                        >
+                          <Eye size={16} className="text-pcm-text" />
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })
+              ) : (
+                <tr>
+                  <td colSpan={8} className="p-8 text-center text-sm text-pcm-muted">
+                    {conteos.length === 0
+                      ? 'No hay conteos de inventario registrados.'
+                      : 'No se encontraron conteos con los filtros seleccionados'}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Modal de apertura de conteo */}
+      <ModalCrearConteoInventario
+        estaAbierto={showModal}
+        alCerrar={() => setShowModal(false)}
+        alEnviar={handleCrear}
+        catalogos={catalogos}
+      />
+
+      {/* Modal del conteo: captura, revisión y aplicación */}
+      {conteoDetalle && (
+        <ModalDetalleConteoInventario
+          conteo={conteoDetalle}
+          esAdmin={esAdmin}
+          puedeContar={puedeContar}
+          onClose={() => setConteoDetalle(null)}
+          onActualizado={cargarConteos}
+          showToast={showToast}
+        />
+      )}
+    </>
+  );
+};
+
+export default VistaConteosInventario;
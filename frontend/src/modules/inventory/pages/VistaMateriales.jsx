@@ -2,7 +2,8 @@
 // Description: Vista de gestión de materiales del módulo de inventarios.
 //              Permite listar, filtrar y revisar materiales por almacén,
 //              ver alertas de stock bajo, consultar movimientos de cada
-//              material y, según el rol del usuario, crear/editar/eliminar
+//              material, imprimir etiquetas QR, registrar movimientos
+//              por escaneo y, según el rol del usuario, crear/editar/eliminar
 //              materiales (solo admin) o solicitar nuevos materiales
 //              (rol líder), utilizando el tema visual PCM y los servicios
 //              centralizados de API.
@@ -33,6 +34,10 @@ import {
   XCircle,                             // Ícono de error para notificaciones.
   Info,                                // Ícono de información para notificaciones.
   ClipboardList,                       // Ícono de lista para movimientos/solicitudes.
+  BookOpen,                            // Ícono de libro para el kardex del material.
+  QrCode,                              // Ícono de QR para descargar etiquetas.
+  ScanLine,                            // Ícono de escáner para el registro por escaneo.
+  Upload,                              // Ícono de carga para la importación masiva.
 } from 'lucide-react';
 
 // =========================
@@ -42,6 +47,8 @@ import ModalMovimientosMaterial from '../modals/ModalMovimientosMaterial.jsx'; /
 import ModalEdicionMaterial from '../modals/ModalEdicionMaterial.jsx';         // Modal reutilizable para crear/editar materiales.
 import ModalEliminarMaterial from '../modals/ModalEliminarMaterial.jsx';       // Modal de confirmación de eliminación de material.
 import ModalDetalleMaterial from '../modals/ModalDetalleMaterial.jsx';         // Modal para ver el detalle completo de un material.
+import ModalKardexMaterial from '../modals/ModalKardexMaterial.jsx';           // Modal con el kardex (saldos y valores corridos) de un material.
+import ModalImportarMateriales from '../modals/ModalImportarMateriales.jsx';   // Modal de importación masiva desde CSV/XLSX.
 // Se elimina la importación de ModalGenerico para cumplir la regla de modales autónomos PCM.
 
 // ==========================================
@@ -54,6 +61,8 @@ import {
   actualizarMaterial,                                                    // Servicio: actualizar material.
   eliminarMaterial,                                                      // Servicio: eliminar material.
   crearSolicitud,                                                        // Servicio: crear solicitud (para rol líder).
+  descargarEtiquetasMateriales,                                          // Servicio: hoja PDF de etiquetas QR de materiales.
+  descargarEtiquetasAlmacenes,                                           // Servicio: hoja PDF de etiquetas QR de almacenes.
 } from '../../../services/api/api.js';                                   // Importa la capa de servicios centralizada (ESM con extensión .js).
 
 // =======================================================================
@@ -172,8 +181,15 @@ const VistaMateriales = ({ rolUsuario: rolUsuarioProp }) => {
   // Material seleccionado para ver sus detalles en un modal aparte
   const [materialDetalle, setMaterialDetalle] = useState(null);
 
+  // Material seleccionado para consultar/exportar su kardex
+  const [materialKardex, setMaterialKardex] = useState(null);
+
   const [mostrarModalSolicitud, setMostrarModalSolicitud] = useState(false); // Controla el modal de solicitud de nuevo material.
 
+  const [mostrarEscaneo, setMostrarEscaneo] = useState(false);          // Abre el modal de movimientos en modo escaneo.
+  const [mostrarImportacion, setMostrarImportacion] = useState(false);  // Abre el modal de importación masiva.
+  const [descargandoEtiquetas, setDescargandoEtiquetas] = useState(false); // Bandera mientras se genera una hoja de etiquetas.
+
   // =========================
   //   Formularios
   // =========================
@@ -193,6 +209,9 @@ const VistaMateriales = ({ rolUsuario: rolUsuarioProp }) => {
     categoria: '',           // Categoría del material.
     unidad: '',              // Unidad de medida (kg, m, unidad, etc.).
     precioUnitario: '',      // Precio por unidad (string para evitar mostrar 0 por defecto).
+    controlLotes: false,     // Material perecedero: entradas con lote y vencimiento.
+    diasAvisoVencimiento: '30', // Días de anticipación del aviso de vencimiento.
+    conversiones: [],        // Equivalencias con otras unidades: [{ unidad, factor }].
     asignaciones: [          // Arreglo de asignaciones de cantidades por almacén.
       {
         almacen: '',         // ID del almacén asociado.
@@ -301,6 +320,32 @@ const VistaMateriales = ({ rolUsuario: rolUsuarioProp }) => {
     );
   };
 
+  // ─────────────────────────────────────────────────────────────
+  // Etiquetas QR (hojas PDF para imprimir)
+  // ─────────────────────────────────────────────────────────────
+  // Con un almacén filtrado se imprimen etiquetas de ubicación (material +
+  // almacén), que al escanearlas eligen ambos a la vez.
+  const manejarDescargarEtiquetas = async (tipo) => {
+    try {
+      setDescargandoEtiquetas(true);
+      if (tipo === 'almacenes') {
+        await descargarEtiquetasAlmacenes(
+          filtroAlmacen !== 'todos' ? { almacenes: [filtroAlmacen] } : {},
+        );
+      } else {
+        await descargarEtiquetasMateriales({
+          almacen: filtroAlmacen !== 'todos' ? filtroAlmacen : '',
+          categoria: filtroCategoria !== 'todas' ? filtroCategoria : '',
+        });
+      }
+      mostrarToast('Etiquetas generadas. Imprímalas en hoja carta a escala 100%.', 'success');
+    } catch (error) {
+      mostrarToast(error?.message || 'No se pudieron generar las etiquetas.', 'error');
+    } finally {
+      setDescargandoEtiquetas(false);
+    }
+  };
+
   // ─────────────────────────────────────────────────────────────
   // Carga de datos desde la API (materiales + almacenes)
   // ─────────────────────────────────────────────────────────────
@@ -349,6 +394,9 @@ const VistaMateriales = ({ rolUsuario: rolUsuarioProp }) => {
       categoria: '',
       unidad: '',
       precioUnitario: '',
+      controlLotes: false,
+      diasAvisoVencimiento: '30',
+      conversiones: [],
       asignaciones: [
         {
           almacen: '',
@@ -423,6 +471,14 @@ const VistaMateriales = ({ rolUsuario: rolUsuarioProp }) => {
         material.precioUnitario !== undefined && material.precioUnitario !== null
           ? String(material.precioUnitario)
           : '',
+      controlLotes: Boolean(material.controlLotes),
+      diasAvisoVencimiento:
+        material.diasAvisoVencimiento !== undefined && material.diasAvisoVencimiento !== null
+          ? String(material.diasAvisoVencimiento)
+          : '30',
+      conversiones: Array.isArray(material.conversiones)
+        ? material.conversiones.map((conv) => ({ unidad: conv.unidad || '', factor: String(conv.factor ?? '') }))
+        : [],
       asignaciones,
     });
     setMostrarModalEdicion(true);                                       // Abre el modal.
@@ -435,7 +491,8 @@ const VistaMateriales = ({ rolUsuario: rolUsuarioProp }) => {
 
   const manejarGuardarMaterial = async () => {
     // Extrae campos globales y asignaciones del formulario
-    const { nombre, categoria, unidad, precioUnitario, asignaciones } = datosFormularioMaterial;
+    const { nombre, categoria, unidad, precioUnitario, controlLotes, diasAvisoVencimiento, conversiones, asignaciones } =
+      datosFormularioMaterial;
 
     // Validaciones básicas de texto
     if (!nombre || !nombre.trim()) {
@@ -464,6 +521,26 @@ const VistaMateriales = ({ rolUsuario: rolUsuarioProp }) => {
       return;
     }
 
+    // Días de aviso de vencimiento (solo si el material controla lotes)
+    const diasAvisoNum = Number(diasAvisoVencimiento);
+    if (controlLotes && (!Number.isInteger(diasAvisoNum) || diasAvisoNum < 0 || diasAvisoNum > 365)) {
+      mostrarToast('Los días de aviso de vencimiento deben ser un entero entre 0 y 365', 'warning');
+      return;
+    }
+
+    // Equivalencias con otras unidades (se ignoran las filas vacías)
+    const conversionesPreparadas = [];
+    for (const conv of conversiones || []) {
+      const unidadConv = (conv.unidad || '').trim();
+      if (!unidadConv && !conv.factor) continue;
+      const factorNum = Number(conv.factor);
+      if (!unidadConv || !Number.isFinite(factorNum) || factorNum <= 0) {
+        mostrarToast('Cada conversión debe tener una unidad y un factor mayor que 0', 'warning');
+        return;
+      }
+      conversionesPreparadas.push({ unidad: unidadConv, factor: factorNum });
+    }
+
     // Validar asignaciones individuales y preparar lista de payloads
     const idsEnLista = new Set();
     const asignacionesPreparadas = [];
@@ -546,6 +623,9 @@ const VistaMateriales = ({ rolUsuario: rolUsuarioProp }) => {
             cantidad: asig.cantidad,
             stockMinimo: asig.stockMinimo,
             almacen: asig.almacen,
+            controlLotes: Boolean(controlLotes),
+            ...(controlLotes ? { diasAvisoVencimiento: diasAvisoNum } : {}),
+            conversiones: conversionesPreparadas,
           };
           if (asig.id) {
             await actualizarMaterial(asig.id, payload);
@@ -565,6 +645,9 @@ const VistaMateriales = ({ rolUsuario: rolUsuarioProp }) => {
             cantidad: asig.cantidad,
             stockMinimo: asig.stockMinimo,
             almacen: asig.almacen,
+            controlLotes: Boolean(controlLotes),
+            ...(controlLotes ? { diasAvisoVencimiento: diasAvisoNum } : {}),
+            conversiones: conversionesPreparadas,
           };
           await crearMaterial(payload);
         }
@@ -867,6 +950,15 @@ const VistaMateriales = ({ rolUsuario: rolUsuarioProp }) => {
         />
       )}
 
+      {/* Modal de kardex de material */}
+      {materialKardex && (
+        <ModalKardexMaterial
+          estaAbierto={!!materialKardex}
+          material={materialKardex}
+          alCerrar={() => setMaterialKardex(null)}
+        />
+      )}
+
       {/* Modal autónomo para que el líder solicite un nuevo material */}
       {mostrarModalSolicitud && (
         <div
@@ -1028,6 +1120,48 @@ const VistaMateriales = ({ rolUsuario: rolUsuarioProp }) => {
                 </div>
               )}
 
+              {/* Botones de etiquetas QR y registro por escaneo (admin y líder) */}
+              {(esAdmin || esLiderObra) && (
+                <>
+                  <button
+                    type="button"
+                    onClick={() => manejarDescargarEtiquetas('materiales')}
+                    disabled={descargandoEtiquetas}
+                    title="Usa los filtros de categoría y almacén; con almacén se imprimen etiquetas de ubicación"
+                    className="flex items-center gap-2 px-4 py-2
+                               bg-white/5 hover:bg-white/10 border border-white/10
+                               text-pcm-text rounded-lg text-sm font-semibold
+                               transition-all disabled:opacity-60"
+                  >
+                    <QrCode size={18} />
+                    Etiquetas de materiales
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => manejarDescargarEtiquetas('almacenes')}
+                    disabled={descargandoEtiquetas}
+                    className="flex items-center gap-2 px-4 py-2
+                               bg-white/5 hover:bg-white/10 border border-white/10
+                               text-pcm-text rounded-lg text-sm font-semibold
+                               transition-all disabled:opacity-60"
+                  >
+                    <QrCode size={18} />
+                    Etiquetas de almacenes
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setMostrarEscaneo(true)}
+                    className="flex items-center gap-2 px-4 py-2
+                               bg-pcm-primary hover:bg-pcm-secondary
+                               text-white rounded-lg text-sm font-semibold
+                               transition-all shadow-pcm-soft"
+                  >
+                    <ScanLine size={18} />
+                    Registrar por escaneo
+                  </button>
+                </>
+              )}
+
               {/* Botón para solicitar nuevo material (rol líder, no admin) */}
               {esLiderObra && !esAdmin && (
                 <button
@@ -1043,6 +1177,21 @@ const VistaMateriales = ({ rolUsuario: rolUsuarioProp }) => {
                 </button>
               )}
 
+              {/* Botón para importar materiales desde CSV/XLSX (solo admin) */}
+              {esAdmin && (
+                <button
+                  type="button"
+                  onClick={() => setMostrarImportacion(true)}
+                  className="flex items-center gap-2 px-4 py-2
+                             bg-white/5 hover:bg-white/10 border border-white/10
+                             text-pcm-text rounded-lg text-sm font-semibold
+                             transition-all"
+                >
+                  <Upload size={18} />
+                  Importar
+                </button>
+              )}
+
               {/* Botón para crear nuevo material (solo admin) */}
               {esAdmin && (
                 <button
@@ -1306,6 +1455,19 @@ const VistaMateriales = ({ rolUsuario: rolUsuarioProp }) => {
                             Detalle
                           </button>
 
+                          {/* Botón para ver el kardex del material (disponible para admin y líder) */}
+                          <button
+                            type="button"
+                            onClick={() => setMaterialKardex(material)}
+                            className="px-3 py-1 rounded-lg border border-white/10
+                                       text-pcm-text text-xs font-semibold
+                                       hover:bg-white/10 flex items-center gap-1
+                                       transition duration-150"
+                          >
+                            <BookOpen size={14} />
+                            Kardex
+                          </button>
+
                           {/* Botones de editar/eliminar: sólo admin */}
                           {esAdmin && (
                             <>
@@ -1363,6 +1525,28 @@ const VistaMateriales = ({ rolUsuario: rolUsuarioProp }) => {
           alCerrar={() => setMaterialSeleccionado(null)}
         />
       )}
+
+      {/* Modal de movimientos en modo escaneo (el material se elige con el lector QR) */}
+      {mostrarEscaneo && (
+        <ModalMovimientosMaterial
+          modoEscaneo
+          materialSeleccionado={null}
+          alCerrar={() => {
+            setMostrarEscaneo(false);
+            cargarDatos();                                               // Refresca los saldos tras los movimientos.
+          }}
+        />
+      )}
+
+      {/* Modal de importación masiva de materiales (solo admin) */}
+      <ModalImportarMateriales
+        estaAbierto={mostrarImportacion}
+        alCerrar={() => setMostrarImportacion(false)}
+        alImportar={(respuesta) => {
+          mostrarToast(respuesta?.message || 'Materiales importados', 'success');
+          cargarDatos();                                                 // Muestra los materiales recién creados.
+        }}
+      />
     </>
   );
 };
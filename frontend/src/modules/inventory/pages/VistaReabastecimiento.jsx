@@ -0,0 +1,310 @@
+// File: frontend/src/modules/inventory/pages/VistaReabastecimiento.jsx
+// Description: Vista de sugerencias de reabastecimiento del módulo de
+//              inventarios. Para cada material y almacén muestra el consumo
+//              diario promedio (salidas del periodo), los días de stock que
+//              quedan, el punto de reorden y la cantidad sugerida a pedir con
+//              su costo estimado, ordenados por urgencia. Admin, líder de obra
+//              y auditor la consultan; la carga de datos es propia.
+
+// =========================
+//   Importaciones básicas
+// =========================
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  RefreshCw,                                                                 // Ícono de reabastecimiento.
+  AlertTriangle,                                                             // Ícono de críticos.
+  Loader,                                                                    // Ícono de cargando (spinner).
+  Package,                                                                   // Ícono de material.
+} from 'lucide-react';
+
+// =========================
+//   Servicios de API
+// =========================
+import {
+  obtenerReabastecimiento,                                                  // Sugerencias por material y almacén.
+  obtenerAlmacenes,                                                         // Almacenes para el filtro.
+} from '../../../services/api/api.js';
+
+// Formateador de moneda colombiana sin decimales
+const formatoCop = new Intl.NumberFormat('es-CO', {
+  style: 'currency',
+  currency: 'COP',
+  maximumFractionDigits: 0,
+});
+
+const formatoNumero = (valor) => Number(valor || 0).toLocaleString('es-CO', { maximumFractionDigits: 2 });
+
+// Etiquetas y colores por estado de reabastecimiento
+const ESTADOS_REABASTECIMIENTO = {
+  critico: { etiqueta: 'Crítico', clase: 'bg-red-500/20 text-red-200 border-red-400/40' },
+  reordenar: { etiqueta: 'Reordenar', clase: 'bg-amber-500/20 text-amber-200 border-amber-400/40' },
+  ok: { etiqueta: 'Suficiente', clase: 'bg-emerald-500/20 text-emerald-200 border-emerald-400/40' },
+  sin_consumo: { etiqueta: 'Sin consumo', clase: 'bg-slate-500/20 text-slate-200 border-slate-400/40' },
+};
+
+// ---------------------------------------------------------------------
+//   Helper para clases de panel según el rol del usuario
+// ---------------------------------------------------------------------
+const obtenerClasesPanelPorRol = (rolUsuario) => {
+  const rolNormalizado = (rolUsuario || '').toString().toLowerCase().trim();
+  if (rolNormalizado.includes('admin')) return 'pcm-panel pcm-panel-fondo pcm-panel--admin';
+  if (rolNormalizado.includes('lider') || rolNormalizado.includes('líder')) {
+    return 'pcm-panel pcm-panel-fondo pcm-panel--lider';
+  }
+  if (rolNormalizado.includes('auditor')) return 'pcm-panel pcm-panel-fondo pcm-panel--auditor';
+  return 'pcm-panel pcm-panel-fondo';
+};
+
+// Clases compartidas de los controles de filtro.
+const claseControl =
+  'px-3 py-2 bg-pcm-bg/70 border border-white/10 rounded-lg text-sm text-pcm-text ' +
+  'focus:outline-none focus:ring-2 focus:ring-pcm-primary/70';
+
+// ---------------------------------------------------------------------
+//   Componente principal: VistaReabastecimiento
+// ---------------------------------------------------------------------
+const VistaReabastecimiento = ({ rolUsuario = '' }) => {
+  // =========================
+  //   Estados principales
+  // =========================
+  const [reporte, setReporte] = useState(null);                             // { parametros, resumen, items }.
+  const [almacenes, setAlmacenes] = useState([]);                           // Almacenes para el filtro.
+  const [loading, setLoading] = useState(true);                             // Carga del reporte.
+  const [error, setError] = useState('');                                   // Mensaje de error.
+  const [filtros, setFiltros] = useState({                                  // Parámetros del cálculo.
+    almacen: '',
+    dias: 90,
+    cobertura: 30,
+    soloPedidos: true,
+  });
+
+  // =========================
+  //   Carga de datos
+  // =========================
+  const cargarReporte = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await obtenerReabastecimiento({
+        ...filtros,
+        soloPedidos: filtros.soloPedidos ? 'true' : undefined,
+      });
+      setReporte(data);
+    } catch (err) {
+      console.error('Error al cargar el reabastecimiento:', err);
+      setError(err?.message || 'No se pudieron calcular las sugerencias de reabastecimiento.');
+      setReporte(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [filtros]);
+
+  useEffect(() => {
+    cargarReporte();
+  }, [cargarReporte]);
+
+  useEffect(() => {
+    obtenerAlmacenes()
+      .then((data) => setAlmacenes(Array.isArray(data) ? data : []))
+      .catch((err) => console.error('Error al cargar almacenes:', err));
+  }, []);
+
+  const actualizarFiltro = (campo, valor) => setFiltros((prev) => ({ ...prev, [campo]: valor }));
+
+  const items = reporte?.items || [];
+  const resumen = reporte?.resumen || { criticos: 0, porReordenar: 0, costoEstimado: 0 };
+
+  // =========================
+  //   Render principal
+  // =========================
+  return (
+    <div
+      className={`
+        ${obtenerClasesPanelPorRol(rolUsuario)}
+        bg-pcm-surfaceSoft/80
+        backdrop-blur-sm
+        rounded-pcm-xl
+        border border-white/10
+        shadow-pcm-soft
+      `}
+    >
+      {/* Encabezado: título, resumen y filtros */}
+      <div className="p-6 border-b border-white/10 space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <RefreshCw className="text-pcm-primary" size={28} />
+            <div>
+              <h3 className="text-xl font-semibold text-pcm-text">Reabastecimiento</h3>
+              <p className="text-pcm-muted text-sm">
+                Consumo promedio, días de stock y cantidad sugerida por material y almacén.
+              </p>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 text-xs font-semibold">
+            <span className="flex items-center gap-1 border rounded-full px-3 py-1 bg-red-500/15 border-red-400/40 text-red-200">
+              <AlertTriangle size={14} /> {resumen.criticos} críticos
+            </span>
+            <span className="border rounded-full px-3 py-1 bg-amber-500/15 border-amber-400/40 text-amber-200">
+              {resumen.porReordenar} por reordenar
+            </span>
+            <span className="border rounded-full px-3 py-1 bg-white/5 border-white/10 text-pcm-text">
+              Costo estimado: {formatoCop.format(resumen.costoEstimado || 0)}
+            </span>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            value={filtros.almacen}
+            onChange={(e) => actualizarFiltro('almacen', e.target.value)}
+            className={claseControl}
+          >
+            <option value="">Todos los almacenes</option>
+            {almacenes.map((almacen) => (
+              <option key={almacen._id} value={almacen._id}>
+                {almacen.nombre}
+              </option>
+            ))}
+          </select>
+
+          <label className="flex items-center gap-2 text-sm text-pcm-muted">
+            Historial
+            <select
+              value={filtros.dias}
+              onChange={(e) => actualizarFiltro('dias', Number(e.target.value))}
+              className={claseControl}
+            >
+              {[30, 60, 90, 180, 365].map((dias) => (
+                <option key={dias} value={dias}>
+                  {dias} días
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex items-center gap-2 text-sm text-pcm-muted">
+            Cobertura
+            <input
+              type="number"
+              min="0"
+              max="365"
+              value={filtros.cobertura}
+              onChange={(e) => actualizarFiltro('cobertura', Math.max(0, Math.min(365, Number(e.target.value) || 0)))}
+              className={`${claseControl} w-20`}
+            />
+            días
+          </label>
+
+          <button
+            type="button"
+            onClick={() => actualizarFiltro('soloPedidos', !filtros.soloPedidos)}
+            className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${
+              filtros.soloPedidos
+                ? 'bg-amber-500 text-white shadow-pcm-soft'
+                : 'bg-white/5 border border-white/10 text-pcm-text hover:bg-white/10'
+            }`}
+          >
+            {filtros.soloPedidos ? '✓ ' : ''}
+            Solo por pedir
+          </button>
+        </div>
+      </div>
+
+      {/* Tabla de sugerencias */}
+      {loading ? (
+        <div className="flex items-center justify-center h-48">
+          <Loader className="animate-spin text-pcm-primary" size={40} />
+        </div>
+      ) : error ? (
+        <p className="p-8 text-center text-sm text-red-400">{error}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-white/10 bg-pcm-bg/80 text-xs text-pcm-muted">
+                <th className="text-left p-4 font-semibold">Material</th>
+                <th className="text-left p-4 font-semibold">Almacén</th>
+                <th className="text-right p-4 font-semibold">Saldo / mín.</th>
+                <th className="text-right p-4 font-semibold">Consumo diario</th>
+                <th className="text-right p-4 font-semibold">Días de stock</th>
+                <th className="text-right p-4 font-semibold">Punto de reorden</th>
+                <th className="text-right p-4 font-semibold">Entrega</th>
+                <th className="text-right p-4 font-semibold">Sugerido</th>
+                <th className="text-right p-4 font-semibold">Costo est.</th>
+                <th className="text-left p-4 font-semibold">Estado</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.length > 0 ? (
+                items.map((fila) => {
+                  const estado = ESTADOS_REABASTECIMIENTO[fila.estado] || ESTADOS_REABASTECIMIENTO.ok;
+                  const unidad = fila.material.unidad || '';
+                  return (
+                    <tr
+                      key={`${fila.material._id}-${fila.almacen._id}`}
+                      className="border-b border-white/5 hover:bg-pcm-bg/40 transition duration-150 text-pcm-text"
+                    >
+                      <td className="p-4">
+                        <div className="flex items-center gap-2">
+                          <Package className="text-pcm-primary" size={16} />
+                          <span className="font-semibold">{fila.material.nombre}</span>
+                        </div>
+                      </td>
+                      <td className="p-4 text-pcm-muted">{fila.almacen.nombre}</td>
+                      <td className="p-4 text-right">
+                        {formatoNumero(fila.saldo)}
+                        <span className="text-pcm-muted text-xs"> / {formatoNumero(fila.stockMinimo)} {unidad}</span>
+                      </td>
+                      <td className="p-4 text-right">
+                        {fila.consumoDiario > 0 ? `${formatoNumero(fila.consumoDiario)} ${unidad}` : '—'}
+                      </td>
+                      <td className="p-4 text-right">
+                        {fila.diasStock !== null ? (
+                          <span title={fila.fechaAgotamiento ? `Agotamiento estimado: ${new Date(fila.fechaAgotamiento).toLocaleDateString('es-CO')}` : ''}>
+                            {formatoNumero(fila.diasStock)}
+                          </span>
+                        ) : (
+                          '—'
+                        )}
+                      </td>
+                      <td className="p-4 text-right">{formatoNumero(fila.puntoReorden)}</td>
+                      <td className="p-4 text-right">{fila.tiempoEntregaDias} días</td>
+                      <td className="p-4 text-right font-semibold">
+                        {fila.cantidadSugerida > 0 ? `${formatoNumero(fila.cantidadSugerida)} ${unidad}` : '—'}
+                      </td>
+                      <td className="p-4 text-right">
+                        {fila.costoEstimado > 0 ? formatoCop.format(fila.costoEstimado) : '—'}
+                      </td>
+                      <td className="p-4">
+                        <span className={`text-xs font-semibold border rounded-full px-2 py-0.5 ${estado.clase}`}>
+                          {estado.etiqueta}
+                        </span>
+                      </td>
+                    </tr>
+                  );
+                })
+              ) : (
+                <tr>
+                  <td colSpan={10} className="p-8 text-center text-sm text-pcm-muted">
+                    {filtros.soloPedidos
+                      ? 'Ningún material necesita reabastecerse con los parámetros actuales.'
+                      : 'No hay saldos de inventario para analizar.'}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Nota sobre el cálculo */}
+      <p className="px-6 py-4 text-[11px] text-pcm-muted border-t border-white/10">
+        Punto de reorden = consumo diario × días de entrega del proveedor + stock mínimo. La cantidad sugerida cubre la
+        entrega más los días de cobertura y conserva el mínimo como stock de seguridad.
+      </p>
+    </div>
+  );
+};
+
+export default VistaReabastecimiento;
@@ -0,0 +1,238 @@
+// File: frontend/src/modules/projects/components/AprobacionAdjunto.jsx
+// Description: Aprobación de entregables del proyecto en ProCivil Manager
+//              (PCM). Muestra el estado de aprobación de la revisión vigente
+//              de un adjunto (quién lo envió, a quién se enrutó y quién lo
+//              aprobó o rechazó, con sus comentarios) y las rondas anteriores.
+//              El líder asignado (o el admin) envía la revisión al admin y/o
+//              al cliente; el revisor con la aprobación pendiente decide.
+
+// =========================
+// Importaciones principales
+// =========================
+import React, { useState } from 'react';  // React y hooks.
+import {
+  ClipboardCheck,                          // Ícono del bloque de aprobación.
+  Send,                                    // Ícono para enviar a aprobación.
+  Check,                                   // Ícono de aprobar.
+  X,                                       // Ícono de rechazar.
+  AlertCircle,                             // Ícono para errores.
+} from 'lucide-react';
+
+import {
+  enviarAdjuntoAAprobacion,                // POST /proyectos/:id/adjuntos/:adjuntoId/aprobacion
+  decidirAprobacionAdjunto,                // POST /proyectos/:id/adjuntos/:adjuntoId/aprobacion/decision
+} from '../../../services/api/api.js';
+
+// =========================
+// Constantes y utilidades
+// =========================
+
+// Etiquetas y colores por estado de aprobación (mismos valores del backend)
+export const ESTADOS_APROBACION = {
+  sin_enviar: { etiqueta: 'Sin enviar', clase: 'bg-pcm-bg border-white/10 text-pcm-muted' },
+  en_revision: { etiqueta: 'En revisión', clase: 'bg-amber-500/15 border-amber-500/40 text-amber-300' },
+  aprobado: { etiqueta: 'Aprobado', clase: 'bg-emerald-500/15 border-emerald-500/40 text-emerald-300' },
+  rechazado: { etiqueta: 'Rechazado', clase: 'bg-red-500/15 border-red-500/40 text-red-300' },
+};
+
+const ROLES_REVISORES = { admin: 'Administración', cliente: 'Cliente' };
+const ESTADOS_REVISOR = { pendiente: 'Pendiente', aprobado: 'Aprobó', rechazado: 'Rechazó' };
+
+const formatearFechaHora = (valor) => (valor ? new Date(valor).toLocaleString('es-CO') : '—');
+
+// Ronda de la revisión vigente: la última, si se envió esa misma versión
+const obtenerRondaVigente = (adjunto) => {
+  const rondas = adjunto?.aprobaciones || [];
+  const ultima = rondas[rondas.length - 1];
+  return ultima && String(ultima.version) === String(adjunto.versionActual) ? ultima : null;
+};
+
+// Estado de aprobación de la revisión vigente de un adjunto
+export const estadoAprobacionAdjunto = (adjunto) => obtenerRondaVigente(adjunto)?.estado || 'sin_enviar';
+
+/**
+ * Aprobación de un adjunto.
+ *
+ * Props:
+ * - idProyecto: id del proyecto.
+ * - adjunto: adjunto del proyecto (con revision, versionActual y aprobaciones).
+ * - rolUsuario: rol del usuario actual ('admin', 'lider de obra', 'cliente', 'auditor').
+ * - puedeEnviar: true para admin o líder (el backend valida que sea el líder asignado).
+ * - alActualizar: callback con el adjunto actualizado.
+ */
+const AprobacionAdjunto = ({ idProyecto, adjunto, rolUsuario = '', puedeEnviar = false, alActualizar }) => {
+  const [revisores, setRevisores] = useState(['admin']); // Destinos de la aprobación.
+  const [comentario, setComentario] = useState('');      // Comentario del envío o de la decisión.
+  const [guardando, setGuardando] = useState(false);     // Operación en curso.
+  const [error, setError] = useState('');                // Mensaje de error visible.
+
+  const ronda = obtenerRondaVigente(adjunto);
+  const estado = ronda?.estado || 'sin_enviar';
+  const anteriores = (adjunto.aprobaciones || []).filter((r) => r !== ronda).reverse();
+  const puedeDecidir =
+    estado === 'en_revision' && ronda.revisores.some((r) => r.rol === rolUsuario && r.estado === 'pendiente');
+  const puedeEnviarAhora = puedeEnviar && (estado === 'sin_enviar' || estado === 'rechazado');
+
+  const alternarRevisor = (rol) =>
+    setRevisores((prev) => (prev.includes(rol) ? prev.filter((r) => r !== rol) : [...prev, rol]));
+
+  // Ejecuta el envío o la decisión y notifica el adjunto actualizado
+  const ejecutar = async (accion) => {
+    setGuardando(true);
+    try {
+      const resultado = await accion();
+      setComentario('');
+      setError('');
+      if (alActualizar && resultado?.adjunto) alActualizar(resultado.adjunto);
+    } catch (err) {
+      setError(err.message || 'No fue posible completar la operación');
+    } finally {
+      setGuardando(false);
+    }
+  };
+
+  const enviar = () => {
+    if (!revisores.length) {
+      setError('Elige al menos un revisor');
+      return;
+    }
+    ejecutar(() => enviarAdjuntoAAprobacion(idProyecto, adjunto._id, { revisores, comentario: comentario.trim() }));
+  };
+
+  const decidir = (decision) => {
+    if (decision === 'rechazar' && !comentario.trim()) {
+      setError('Indica el motivo del rechazo');
+      return;
+    }
+    ejecutar(() => decidirAprobacionAdjunto(idProyecto, adjunto._id, { decision, comentario: comentario.trim() }));
+  };
+
+  return (
+    <div className="mt-2 rounded-xl border border-white/10 bg-pcm-bg/60 p-3 space-y-3 text-xs">
+      <div className="flex items-center justify-between gap-2">
+        <p className="flex items-center gap-2 font-semibold text-pcm-text">
+          <ClipboardCheck size={14} />
+          Aprobación · Rev. {adjunto.revision || 'A'}
+        </p>
+        <span className={`rounded-full border px-2 py-0.5 ${ESTADOS_APROBACION[estado].clase}`}>
+          {ESTADOS_APROBACION[estado].etiqueta}
+        </span>
+      </div>
+
+      {/* Mensaje de error */}
+      {error && (
+        <div className="flex items-start gap-2 rounded-lg border border-red-500/40 bg-red-500/10 px-3 py-2 text-red-300">
+          <AlertCircle size={14} className="mt-0.5 shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {/* Ronda de la revisión vigente */}
+      {ronda && (
+        <div className="space-y-1">
+          <p className="text-pcm-muted">
+            Enviado por {ronda.nombreSolicitante || 'usuario'} el {formatearFechaHora(ronda.fechaSolicitud)}
+            {ronda.comentario && ` · ${ronda.comentario}`}
+          </p>
+          {ronda.revisores.map((r) => (
+            <p key={r.rol} className="text-pcm-text">
+              <span className="font-semibold">{ROLES_REVISORES[r.rol]}:</span> {ESTADOS_REVISOR[r.estado]}
+              {r.estado !== 'pendiente' && (
+                <span className="text-pcm-muted">
+                  {' '}
+                  · {r.nombre} · {formatearFechaHora(r.fecha)}
+                  {r.comentario && ` · “${r.comentario}”`}
+                </span>
+              )}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {/* Enviar a aprobación (líder asignado / admin) */}
+      {puedeEnviarAhora && (
+        <div className="space-y-2">
+          <div className="flex flex-wrap items-center gap-3 text-pcm-text">
+            <span className="text-pcm-muted">Enviar a:</span>
+            {Object.entries(ROLES_REVISORES).map(([rol, etiqueta]) => (
+              <label key={rol} className="inline-flex items-center gap-1">
+                <input type="checkbox" checked={revisores.includes(rol)} onChange={() => alternarRevisor(rol)} />
+                {etiqueta}
+              </label>
+            ))}
+          </div>
+          <div className="flex flex-col md:flex-row gap-2">
+            <input
+              type="text"
+              value={comentario}
+              onChange={(e) => setComentario(e.target.value)}
+              placeholder="Comentario para los revisores (opcional)"
+              className="flex-1 bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+            />
+            <button
+              type="button"
+              onClick={enviar}
+              disabled={guardando}
+              className="pcm-btn-primary inline-flex items-center justify-center gap-1 px-3 py-1 disabled:opacity-50"
+            >
+              <Send size={14} />
+              {estado === 'rechazado' ? 'Reenviar' : 'Enviar a aprobación'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Decisión del revisor pendiente */}
+      {puedeDecidir && (
+        <div className="flex flex-col md:flex-row gap-2">
+          <input
+            type="text"
+            value={comentario}
+            onChange={(e) => setComentario(e.target.value)}
+            placeholder="Comentario (obligatorio al rechazar)"
+            className="flex-1 bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+          />
+          <button
+            type="button"
+            onClick={() => decidir('aprobar')}
+            disabled={guardando}
+            className="inline-flex items-center justify-center gap-1 rounded-lg bg-emerald-600/30 hover:bg-emerald-600/50 px-3 py-1 text-emerald-200 disabled:opacity-50"
+          >
+            <Check size={14} />
+            Aprobar
+          </button>
+          <button
+            type="button"
+            onClick={() => decidir('rechazar')}
+            disabled={guardando}
+            className="inline-flex items-center justify-center gap-1 rounded-lg bg-red-600/20 hover:bg-red-600/40 px-3 py-1 text-red-300 disabled:opacity-50"
+          >
+            <X size={14} />
+            Rechazar
+          </button>
+        </div>
+      )}
+
+      {/* Rondas anteriores */}
+      {anteriores.length > 0 && (
+        <div>
+          <p className="mb-1 font-semibold text-pcm-text">Rondas anteriores</p>
+          <ul className="space-y-0.5 text-pcm-muted">
+            {anteriores.map((r) => (
+              <li key={r._id}>
+                Rev. {r.revision} · {ESTADOS_APROBACION[r.estado]?.etiqueta || r.estado} ·{' '}
+                {formatearFechaHora(r.fechaCierre || r.fechaSolicitud)}
+                {r.revisores
+                  .filter((rev) => rev.comentario)
+                  .map((rev) => ` · ${ROLES_REVISORES[rev.rol]}: “${rev.comentario}”`)
+                  .join('')}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AprobacionAdjunto;
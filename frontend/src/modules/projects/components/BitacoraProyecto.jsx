@@ -0,0 +1,766 @@
+// File: frontend/src/modules/projects/components/BitacoraProyecto.jsx
+// Description: Bitácora de obra del proyecto en ProCivil Manager (PCM).
+//              Lista las entradas diarias en orden cronológico (clima,
+//              personal, equipos, actividades, incidentes y fotos) con su
+//              estado de firma. El líder asignado (o el admin) registra y
+//              edita sus borradores y los firma; la interventoría (admin o
+//              auditor) refrenda las entradas firmadas. Las entradas
+//              firmadas se descargan como libro PDF.
+
+// =========================
+// Importaciones principales
+// =========================
+import React, { useCallback, useEffect, useState } from 'react'; // React y hooks.
+import {
+  NotebookPen,                             // Ícono del bloque de bitácora.
+  Plus,                                    // Ícono para agregar entradas y filas.
+  Pencil,                                  // Ícono para editar un borrador.
+  Trash2,                                  // Ícono para eliminar.
+  X,                                       // Ícono para cancelar el formulario.
+  AlertCircle,                             // Ícono para errores e incidentes.
+  PenLine,                                 // Ícono de firma.
+  ShieldCheck,                             // Ícono de refrendo.
+  Download,                                // Ícono de descarga del libro PDF.
+} from 'lucide-react';
+
+import {
+  obtenerBitacoraProyecto,                 // GET /proyectos/:id/bitacora
+  crearEntradaBitacora,                    // POST /proyectos/:id/bitacora
+  actualizarEntradaBitacora,               // PUT /proyectos/:id/bitacora/:entradaId
+  eliminarEntradaBitacora,                 // DELETE /proyectos/:id/bitacora/:entradaId
+  firmarEntradaBitacora,                   // POST /proyectos/:id/bitacora/:entradaId/firmar
+  refrendarEntradaBitacora,                // POST /proyectos/:id/bitacora/:entradaId/refrendar
+  descargarBitacoraPDF,                    // GET /proyectos/:id/bitacora/pdf
+  obtenerCronogramaProyecto,               // Tareas para ligar actividades.
+} from '../../../services/api/api.js';
+
+// =========================
+// Constantes y utilidades
+// =========================
+
+// Catálogos (mismos valores del backend)
+const CONDICIONES_CLIMA = ['soleado', 'parcialmente nublado', 'nublado', 'lluvia', 'tormenta'];
+const TIPOS_INCIDENTE = ['seguridad', 'calidad', 'ambiental', 'retraso', 'otro'];
+const GRAVEDADES_INCIDENTE = ['baja', 'media', 'alta'];
+
+// Etiquetas y colores por estado de la entrada
+const ESTADOS = {
+  borrador: { etiqueta: 'Borrador', clase: 'bg-amber-500/15 border-amber-500/40 text-amber-300' },
+  firmada: { etiqueta: 'Firmada', clase: 'bg-pcm-primary/15 border-pcm-primary/40 text-pcm-primary' },
+  refrendada: { etiqueta: 'Refrendada', clase: 'bg-emerald-500/15 border-emerald-500/40 text-emerald-300' },
+};
+
+// Filas vacías de cada lista del formulario
+const FILAS_VACIAS = {
+  personal: { cargo: '', cantidad: 1, empresa: '' },
+  equipos: { descripcion: '', cantidad: 1, horas: 0 },
+  actividades: { descripcion: '', tarea: '' },
+  incidentes: { tipo: 'otro', descripcion: '', gravedad: 'baja' },
+};
+
+// Hoy en formato YYYY-MM-DD (fecha local del usuario)
+const hoy = () => {
+  const ahora = new Date();
+  return new Date(ahora.getTime() - ahora.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+// Estado inicial del formulario de entrada
+const formularioVacio = () => ({
+  fecha: hoy(),
+  clima: { condicion: 'soleado', temperatura: '', observaciones: '' },
+  personal: [],
+  equipos: [],
+  actividades: [],
+  incidentes: [],
+  observaciones: '',
+});
+
+// Las fechas de la bitácora llegan a medianoche UTC
+const formatearFecha = (valor) =>
+  valor ? new Date(valor).toLocaleDateString('es-CO', { timeZone: 'UTC', dateStyle: 'full' }) : '—';
+const formatearFechaHora = (valor) => (valor ? new Date(valor).toLocaleString('es-CO') : '—');
+
+// Nombre visible de un usuario
+const nombreUsuario = (u) =>
+  u ? `${u.firstName || ''} ${u.lastName || ''}`.trim() || u.email || 'Usuario' : '';
+
+// Usuario autenticado guardado por el inicio de sesión
+const leerUsuarioActual = () => {
+  try {
+    return JSON.parse(localStorage.getItem('user') || '{}');
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * Lista editable de filas (personal, equipos, actividades o incidentes).
+ *
+ * Props:
+ * - titulo: etiqueta de la lista.
+ * - filas: arreglo de objetos.
+ * - columnas: [{ campo, placeholder, tipo: 'text'|'number'|'select', opciones, clase }].
+ * - alCambiar: recibe el nuevo arreglo.
+ * - filaVacia: objeto para la fila nueva.
+ */
+const ListaEditable = ({ titulo, filas, columnas, alCambiar, filaVacia }) => {
+  const cambiarCelda = (indice, campo, valor) =>
+    alCambiar(filas.map((fila, i) => (i === indice ? { ...fila, [campo]: valor } : fila)));
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-xs text-pcm-muted">{titulo}</span>
+        <button
+          type="button"
+          onClick={() => alCambiar([...filas, { ...filaVacia }])}
+          className="text-xs text-pcm-primary inline-flex items-center gap-1"
+        >
+          <Plus size={12} />
+          Agregar
+        </button>
+      </div>
+      {filas.map((fila, indice) => (
+        <div key={indice} className="flex flex-col md:flex-row gap-2 text-sm">
+          {columnas.map((col) =>
+            col.tipo === 'select' ? (
+              <select
+                key={col.campo}
+                value={fila[col.campo]}
+                onChange={(e) => cambiarCelda(indice, col.campo, e.target.value)}
+                className={`${col.clase || 'flex-1'} bg-pcm-bg/80 border border-white/10 rounded px-2 py-1`}
+              >
+                {col.opciones.map((op) => (
+                  <option key={op.valor} value={op.valor}>
+                    {op.etiqueta}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input
+                key={col.campo}
+                type={col.tipo || 'text'}
+                min={col.tipo === 'number' ? '0' : undefined}
+                value={fila[col.campo]}
+                placeholder={col.placeholder}
+                title={col.placeholder}
+                onChange={(e) => cambiarCelda(indice, col.campo, e.target.value)}
+                className={`${col.clase || 'flex-1'} bg-pcm-bg/80 border border-white/10 rounded px-2 py-1`}
+              />
+            )
+          )}
+          <button
+            type="button"
+            onClick={() => alCambiar(filas.filter((_, i) => i !== indice))}
+            className="text-red-300 hover:text-red-200 px-2"
+            aria-label="Quitar fila"
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Bitácora de obra de un proyecto.
+ *
+ * Props:
+ * - idProyecto: id del proyecto.
+ * - puedeRegistrar: true para admin o líder de obra (el backend valida que sea el líder asignado).
+ * - puedeRefrendar: true para la interventoría (admin o auditor).
+ */
+const BitacoraProyecto = ({ idProyecto, puedeRegistrar = false, puedeRefrendar = false }) => {
+  const [entradas, setEntradas] = useState([]);         // Entradas en orden cronológico.
+  const [cargando, setCargando] = useState(false);      // Carga de la bitácora.
+  const [error, setError] = useState('');               // Mensaje de error visible.
+  const [formulario, setFormulario] = useState(null);   // null = formulario cerrado.
+  const [entradaEditada, setEntradaEditada] = useState(null); // Entrada en edición (null = nueva).
+  const [fotosNuevas, setFotosNuevas] = useState([]);   // Archivos seleccionados.
+  const [fotosEliminar, setFotosEliminar] = useState([]); // Ids de fotos a quitar.
+  const [tareas, setTareas] = useState([]);             // Tareas del cronograma para las actividades.
+  const [guardando, setGuardando] = useState(false);    // Operación en curso.
+  const [confirmacion, setConfirmacion] = useState(null); // { id, accion: 'firmar'|'eliminar'|'refrendar' }.
+  const [observacionesRefrendo, setObservacionesRefrendo] = useState('');
+
+  const usuarioActual = leerUsuarioActual();
+  const esAutor = (entrada) =>
+    !!usuarioActual.email &&
+    (entrada.autor?.email || '').toLowerCase() === usuarioActual.email.toLowerCase();
+
+  // Carga de las entradas desde el backend
+  const cargarBitacora = useCallback(async () => {
+    if (!idProyecto) return;
+    setCargando(true);
+    try {
+      const data = await obtenerBitacoraProyecto(idProyecto);
+      setEntradas(data.entradas || []);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'No fue posible cargar la bitácora');
+    } finally {
+      setCargando(false);
+    }
+  }, [idProyecto]);
+
+  useEffect(() => {
+    setFormulario(null);
+    setConfirmacion(null);
+    cargarBitacora();
+  }, [cargarBitacora]);
+
+  // ------------------------------------------------------------------
+  // Formulario de entrada
+  // ------------------------------------------------------------------
+  const cargarTareas = async () => {
+    try {
+      const data = await obtenerCronogramaProyecto(idProyecto);
+      setTareas((data.tareas || []).filter((t) => !t.esResumen));
+    } catch (err) {
+      setTareas([]); // Sin cronograma las actividades quedan sin tarea.
+    }
+  };
+
+  const abrirFormulario = (entrada = null) => {
+    setEntradaEditada(entrada);
+    setFotosNuevas([]);
+    setFotosEliminar([]);
+    setError('');
+    setFormulario(
+      entrada
+        ? {
+            fecha: String(entrada.fecha).slice(0, 10),
+            clima: {
+              condicion: entrada.clima?.condicion || 'soleado',
+              temperatura: entrada.clima?.temperatura ?? '',
+              observaciones: entrada.clima?.observaciones || '',
+            },
+            personal: entrada.personal || [],
+            equipos: entrada.equipos || [],
+            actividades: (entrada.actividades || []).map((a) => ({
+              descripcion: a.descripcion,
+              tarea: a.tarea?._id || a.tarea || '',
+            })),
+            incidentes: entrada.incidentes || [],
+            observaciones: entrada.observaciones || '',
+          }
+        : formularioVacio()
+    );
+    cargarTareas();
+  };
+
+  const cambiarCampo = (campo, valor) => setFormulario((prev) => ({ ...prev, [campo]: valor }));
+  const cambiarClima = (campo, valor) =>
+    setFormulario((prev) => ({ ...prev, clima: { ...prev.clima, [campo]: valor } }));
+
+  const guardarEntrada = async (e) => {
+    e.preventDefault();
+    if (!formulario.fecha) {
+      setError('La fecha de la entrada es obligatoria');
+      return;
+    }
+
+    const datos = {
+      ...formulario,
+      personal: formulario.personal.map((p) => ({ ...p, cantidad: Number(p.cantidad) || 0 })),
+      equipos: formulario.equipos.map((eq) => ({
+        ...eq,
+        cantidad: Number(eq.cantidad) || 0,
+        horas: Number(eq.horas) || 0,
+      })),
+      actividades: formulario.actividades.map((a) => ({ ...a, tarea: a.tarea || null })),
+    };
+
+    setGuardando(true);
+    try {
+      if (entradaEditada) {
+        await actualizarEntradaBitacora(idProyecto, entradaEditada._id, datos, fotosNuevas, fotosEliminar);
+      } else {
+        await crearEntradaBitacora(idProyecto, datos, fotosNuevas);
+      }
+      setFormulario(null);
+      setEntradaEditada(null);
+      await cargarBitacora();
+    } catch (err) {
+      setError(err.message || 'No fue posible guardar la entrada');
+    } finally {
+      setGuardando(false);
+    }
+  };
+
+  // ------------------------------------------------------------------
+  // Firma, refrendo, eliminación y libro PDF
+  // ------------------------------------------------------------------
+  const ejecutarConfirmacion = async () => {
+    const { id, accion } = confirmacion;
+    setGuardando(true);
+    try {
+      if (accion === 'firmar') await firmarEntradaBitacora(idProyecto, id);
+      if (accion === 'eliminar') await eliminarEntradaBitacora(idProyecto, id);
+      if (accion === 'refrendar') await refrendarEntradaBitacora(idProyecto, id, observacionesRefrendo);
+      setConfirmacion(null);
+      setObservacionesRefrendo('');
+      await cargarBitacora();
+    } catch (err) {
+      setError(err.message || 'No fue posible completar la operación');
+    } finally {
+      setGuardando(false);
+    }
+  };
+
+  const descargarLibro = async () => {
+    try {
+      await descargarBitacoraPDF(idProyecto);
+    } catch (err) {
+      setError(err.message || 'No fue posible descargar la bitácora');
+    }
+  };
+
+  const hayFirmadas = entradas.some((en) => en.estado !== 'borrador');
+
+  return (
+    <div className="bg-pcm-surfaceSoft/80 backdrop-blur-sm rounded-pcm-xl p-6 border border-white/10 shadow-pcm-soft">
+      {/* Encabezado del bloque */}
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-4">
+        <h4 className="text-xl font-bold text-pcm-primary flex items-center gap-2">
+          <NotebookPen size={22} />
+          Bitácora de obra
+        </h4>
+        <div className="flex flex-wrap gap-2">
+          {hayFirmadas && (
+            <button
+              type="button"
+              onClick={descargarLibro}
+              className="pcm-btn-secondary inline-flex items-center gap-2 px-4 py-2 text-sm"
+            >
+              <Download size={16} />
+              Libro PDF
+            </button>
+          )}
+          {puedeRegistrar && !formulario && (
+            <button
+              type="button"
+              onClick={() => abrirFormulario()}
+              className="pcm-btn-primary inline-flex items-center gap-2 px-4 py-2 text-sm"
+            >
+              <Plus size={16} />
+              Nueva entrada
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Mensaje de error */}
+      {error && (
+        <div className="mb-4 flex items-start gap-2 rounded-pcm-xl border border-red-500/40 bg-red-500/10 px-4 py-3 text-sm text-red-300">
+          <AlertCircle size={16} className="mt-0.5 shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {/* Formulario de entrada */}
+      {formulario && (
+        <form
+          onSubmit={guardarEntrada}
+          className="mb-5 rounded-pcm-xl border border-white/10 bg-pcm-bg/60 p-4 space-y-4"
+        >
+          <div className="flex items-center justify-between">
+            <p className="text-sm font-semibold text-pcm-text">
+              {entradaEditada ? `Editar folio ${entradaEditada.numero}` : 'Nueva entrada'}
+            </p>
+            <button
+              type="button"
+              onClick={() => setFormulario(null)}
+              className="text-pcm-muted hover:text-pcm-text"
+              aria-label="Cancelar"
+            >
+              <X size={16} />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-pcm-muted">Fecha</span>
+              <input
+                type="date"
+                max={hoy()}
+                value={formulario.fecha}
+                onChange={(e) => cambiarCampo('fecha', e.target.value)}
+                className="bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+              />
+            </label>
+
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-pcm-muted">Clima</span>
+              <select
+                value={formulario.clima.condicion}
+                onChange={(e) => cambiarClima('condicion', e.target.value)}
+                className="bg-pcm-bg/80 border border-white/10 rounded px-2 py-1 capitalize"
+              >
+                {CONDICIONES_CLIMA.map((c) => (
+                  <option key={c} value={c}>
+                    {c}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-pcm-muted">Temperatura (°C)</span>
+              <input
+                type="number"
+                value={formulario.clima.temperatura}
+                onChange={(e) => cambiarClima('temperatura', e.target.value)}
+                className="bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+              />
+            </label>
+
+            <label className="flex flex-col gap-1 md:col-span-3">
+              <span className="text-xs text-pcm-muted">Observaciones del clima</span>
+              <input
+                type="text"
+                value={formulario.clima.observaciones}
+                onChange={(e) => cambiarClima('observaciones', e.target.value)}
+                className="bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+                placeholder="Ej. Lluvia en la tarde, se suspendió el vaciado"
+              />
+            </label>
+          </div>
+
+          <ListaEditable
+            titulo="Personal en obra"
+            filas={formulario.personal}
+            filaVacia={FILAS_VACIAS.personal}
+            alCambiar={(filas) => cambiarCampo('personal', filas)}
+            columnas={[
+              { campo: 'cargo', placeholder: 'Cargo (ej. oficial)' },
+              { campo: 'cantidad', placeholder: 'Cantidad', tipo: 'number', clase: 'md:w-24' },
+              { campo: 'empresa', placeholder: 'Empresa / contratista' },
+            ]}
+          />
+
+          <ListaEditable
+            titulo="Equipos y maquinaria"
+            filas={formulario.equipos}
+            filaVacia={FILAS_VACIAS.equipos}
+            alCambiar={(filas) => cambiarCampo('equipos', filas)}
+            columnas={[
+              { campo: 'descripcion', placeholder: 'Equipo (ej. retroexcavadora)' },
+              { campo: 'cantidad', placeholder: 'Cantidad', tipo: 'number', clase: 'md:w-24' },
+              { campo: 'horas', placeholder: 'Horas de uso', tipo: 'number', clase: 'md:w-24' },
+            ]}
+          />
+
+          <ListaEditable
+            titulo="Actividades ejecutadas"
+            filas={formulario.actividades}
+            filaVacia={FILAS_VACIAS.actividades}
+            alCambiar={(filas) => cambiarCampo('actividades', filas)}
+            columnas={[
+              { campo: 'descripcion', placeholder: 'Actividad' },
+              {
+                campo: 'tarea',
+                tipo: 'select',
+                clase: 'md:w-56',
+                opciones: [
+                  { valor: '', etiqueta: 'Sin tarea del cronograma' },
+                  ...tareas.map((t) => ({ valor: t.id, etiqueta: `${t.codigo} ${t.nombre}` })),
+                ],
+              },
+            ]}
+          />
+
+          <ListaEditable
+            titulo="Incidentes"
+            filas={formulario.incidentes}
+            filaVacia={FILAS_VACIAS.incidentes}
+            alCambiar={(filas) => cambiarCampo('incidentes', filas)}
+            columnas={[
+              {
+                campo: 'tipo',
+                tipo: 'select',
+                clase: 'md:w-36',
+                opciones: TIPOS_INCIDENTE.map((t) => ({ valor: t, etiqueta: t })),
+              },
+              { campo: 'descripcion', placeholder: 'Descripción del incidente' },
+              {
+                campo: 'gravedad',
+                tipo: 'select',
+                clase: 'md:w-28',
+                opciones: GRAVEDADES_INCIDENTE.map((g) => ({ valor: g, etiqueta: `Gravedad ${g}` })),
+              },
+            ]}
+          />
+
+          <label className="flex flex-col gap-1 text-sm">
+            <span className="text-xs text-pcm-muted">Observaciones generales</span>
+            <textarea
+              rows={2}
+              value={formulario.observaciones}
+              onChange={(e) => cambiarCampo('observaciones', e.target.value)}
+              className="bg-pcm-bg/80 border border-white/10 rounded px-2 py-1 resize-none"
+            />
+          </label>
+
+          {/* Fotos: las existentes se pueden quitar mientras la entrada sea borrador */}
+          <div className="space-y-2 text-sm">
+            <span className="text-xs text-pcm-muted">Fotos (JPG, PNG o WEBP)</span>
+            {entradaEditada && entradaEditada.fotos?.length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {entradaEditada.fotos.map((foto) => {
+                  const quitada = fotosEliminar.includes(foto._id);
+                  return (
+                    <button
+                      key={foto._id}
+                      type="button"
+                      onClick={() =>
+                        setFotosEliminar((prev) =>
+                          quitada ? prev.filter((id) => id !== foto._id) : [...prev, foto._id]
+                        )
+                      }
+                      className={`px-2 py-1 rounded border text-xs ${
+                        quitada ? 'border-red-500/40 text-red-300 line-through' : 'border-white/10 text-pcm-text'
+                      }`}
+                      title={quitada ? 'Conservar foto' : 'Quitar foto'}
+                    >
+                      {foto.nombreOriginal}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+            <input
+              type="file"
+              accept="image/jpeg,image/png,image/webp"
+              multiple
+              onChange={(e) => setFotosNuevas(Array.from(e.target.files || []))}
+              className="block text-xs text-pcm-muted"
+            />
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setFormulario(null)}
+              className="pcm-btn-secondary text-sm px-4 py-2"
+            >
+              Cancelar
+            </button>
+            <button
+              type="submit"
+              disabled={guardando}
+              className="pcm-btn-primary text-sm px-4 py-2 disabled:opacity-50"
+            >
+              {guardando ? 'Guardando...' : 'Guardar borrador'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Entradas */}
+      {cargando && entradas.length === 0 ? (
+        <p className="text-sm text-pcm-muted">Cargando bitácora...</p>
+      ) : entradas.length === 0 ? (
+        <p className="text-sm text-pcm-muted">Este proyecto aún no tiene entradas en la bitácora.</p>
+      ) : (
+        <div className="space-y-3">
+          {entradas.map((entrada) => {
+            const estado = ESTADOS[entrada.estado] || ESTADOS.borrador;
+            const enConfirmacion = confirmacion?.id === entrada._id ? confirmacion.accion : null;
+            const totalPersonal = (entrada.personal || []).reduce((t, p) => t + (Number(p.cantidad) || 0), 0);
+            return (
+              <div key={entrada._id} className="rounded-pcm-xl border border-white/10 bg-pcm-bg/60 p-4 text-sm">
+                {/* Encabezado de la entrada */}
+                <div className="flex flex-col md:flex-row md:items-center justify-between gap-2 mb-2">
+                  <div>
+                    <p className="font-semibold text-pcm-text capitalize">
+                      Folio {entrada.numero} · {formatearFecha(entrada.fecha)}
+                    </p>
+                    <p className="text-xs text-pcm-muted">
+                      {entrada.clima?.condicion}
+                      {entrada.clima?.temperatura != null ? ` · ${entrada.clima.temperatura} °C` : ''}
+                      {entrada.clima?.observaciones ? ` · ${entrada.clima.observaciones}` : ''}
+                      {` · ${totalPersonal} persona(s) en obra · ${nombreUsuario(entrada.autor)}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <span className={`px-3 py-1 rounded-full border text-xs ${estado.clase}`}>{estado.etiqueta}</span>
+                    {entrada.estado === 'borrador' && esAutor(entrada) && !enConfirmacion && (
+                      <>
+                        <button
+                          type="button"
+                          onClick={() => abrirFormulario(entrada)}
+                          className="text-pcm-muted hover:text-pcm-primary"
+                          title="Editar borrador"
+                        >
+                          <Pencil size={14} />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setConfirmacion({ id: entrada._id, accion: 'eliminar' })}
+                          className="text-pcm-muted hover:text-red-300"
+                          title="Eliminar borrador"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setConfirmacion({ id: entrada._id, accion: 'firmar' })}
+                          className="pcm-btn-primary inline-flex items-center gap-1 px-3 py-1 text-xs"
+                        >
+                          <PenLine size={12} />
+                          Firmar
+                        </button>
+                      </>
+                    )}
+                    {entrada.estado === 'firmada' && puedeRefrendar && !esAutor(entrada) && !enConfirmacion && (
+                      <button
+                        type="button"
+                        onClick={() => setConfirmacion({ id: entrada._id, accion: 'refrendar' })}
+                        className="pcm-btn-secondary inline-flex items-center gap-1 px-3 py-1 text-xs"
+                      >
+                        <ShieldCheck size={12} />
+                        Refrendar
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {/* Confirmaciones en línea */}
+                {enConfirmacion && (
+                  <div className="mb-2 flex flex-col md:flex-row md:items-center gap-2 text-xs">
+                    <span className={enConfirmacion === 'eliminar' ? 'text-red-300' : 'text-pcm-text'}>
+                      {enConfirmacion === 'eliminar'
+                        ? '¿Eliminar este borrador?'
+                        : enConfirmacion === 'firmar'
+                        ? 'Al firmar, la entrada queda en solo lectura. ¿Firmar?'
+                        : '¿Refrendar como interventoría?'}
+                    </span>
+                    {enConfirmacion === 'refrendar' && (
+                      <input
+                        type="text"
+                        value={observacionesRefrendo}
+                        onChange={(e) => setObservacionesRefrendo(e.target.value)}
+                        placeholder="Observaciones (opcional)"
+                        className="flex-1 bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+                      />
+                    )}
+                    <button
+                      type="button"
+                      onClick={ejecutarConfirmacion}
+                      disabled={guardando}
+                      className="font-semibold text-pcm-primary disabled:opacity-50"
+                    >
+                      Sí
+                    </button>
+                    <button type="button" onClick={() => setConfirmacion(null)} className="text-pcm-muted">
+                      No
+                    </button>
+                  </div>
+                )}
+
+                {/* Detalle */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-xs text-pcm-text">
+                  {(entrada.actividades || []).length > 0 && (
+                    <div>
+                      <p className="text-pcm-muted mb-1">Actividades</p>
+                      <ul className="list-disc pl-4 space-y-0.5">
+                        {entrada.actividades.map((a, i) => (
+                          <li key={i}>
+                            {a.descripcion}
+                            {a.tarea?.nombre ? <span className="text-pcm-muted"> · {a.tarea.nombre}</span> : null}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                  {((entrada.personal || []).length > 0 || (entrada.equipos || []).length > 0) && (
+                    <div>
+                      <p className="text-pcm-muted mb-1">Personal y equipos</p>
+                      <ul className="list-disc pl-4 space-y-0.5">
+                        {(entrada.personal || []).map((p, i) => (
+                          <li key={`p${i}`}>
+                            {p.cantidad} {p.cargo}
+                            {p.empresa ? ` (${p.empresa})` : ''}
+                          </li>
+                        ))}
+                        {(entrada.equipos || []).map((eq, i) => (
+                          <li key={`e${i}`}>
+                            {eq.cantidad} × {eq.descripcion}
+                            {eq.horas ? ` · ${eq.horas} h` : ''}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                  {(entrada.incidentes || []).length > 0 && (
+                    <div className="md:col-span-2">
+                      <p className="text-pcm-muted mb-1">Incidentes</p>
+                      <ul className="space-y-0.5">
+                        {entrada.incidentes.map((inc, i) => (
+                          <li
+                            key={i}
+                            className={`flex items-start gap-1 ${inc.gravedad === 'alta' ? 'text-red-300' : ''}`}
+                          >
+                            <AlertCircle size={12} className="mt-0.5 shrink-0" />
+                            <span>
+                              [{inc.tipo} · {inc.gravedad}] {inc.descripcion}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                  {entrada.observaciones && (
+                    <p className="md:col-span-2 text-pcm-muted">{entrada.observaciones}</p>
+                  )}
+                </div>
+
+                {/* Fotos */}
+                {(entrada.fotos || []).length > 0 && (
+                  <div className="mt-3 flex flex-wrap gap-2">
+                    {entrada.fotos.map((foto) => {
+                      const url = foto.url;                  // Enlace firmado y temporal del backend.
+                      return (
+                        <a key={foto._id} href={url} target="_blank" rel="noopener noreferrer" title={foto.nombreOriginal}>
+                          <img
+                            src={url}
+                            alt={foto.nombreOriginal}
+                            className="h-20 w-28 object-cover rounded border border-white/10"
+                          />
+                        </a>
+                      );
+                    })}
+                  </div>
+                )}
+
+                {/* Firmas */}
+                {entrada.estado !== 'borrador' && (
+                  <div className="mt-3 pt-2 border-t border-white/10 text-[11px] text-pcm-muted space-y-0.5">
+                    <p>
+                      Firmó {entrada.firma?.nombre || nombreUsuario(entrada.autor)} ·{' '}
+                      {formatearFechaHora(entrada.firma?.fecha)}
+                    </p>
+                    <p className="truncate" title={entrada.firma?.huella}>
+                      Huella: {entrada.firma?.huella}
+                    </p>
+                    {entrada.estado === 'refrendada' && (
+                      <p className="text-emerald-300">
+                        Refrendó (interventoría) {entrada.refrendo?.nombre} ·{' '}
+                        {formatearFechaHora(entrada.refrendo?.fecha)}
+                        {entrada.refrendo?.observaciones ? ` · ${entrada.refrendo.observaciones}` : ''}
+                      </p>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BitacoraProyecto;
@@ -0,0 +1,656 @@
+// File: frontend/src/modules/projects/components/CronogramaProyecto.jsx
+// Description: Cronograma del proyecto en ProCivil Manager (PCM). Muestra las
+//              tareas en jerarquía EDT con un diagrama de Gantt (barras por
+//              fechas calculadas, tareas resumen, hitos y ruta crítica
+//              resaltada) y, para admin o líder asignado, un formulario para
+//              crear, editar y eliminar tareas con predecesoras FS/SS/FF,
+//              responsable y porcentaje de avance. La programación (fechas,
+//              holguras y ruta crítica) la calcula el backend.
+
+// =========================
+// Importaciones principales
+// =========================
+import React, { useCallback, useEffect, useState } from 'react'; // React y hooks.
+import {
+  CalendarRange,                           // Ícono del bloque de cronograma.
+  Plus,                                    // Ícono para agregar tareas/predecesoras.
+  Pencil,                                  // Ícono para editar una tarea.
+  Trash2,                                  // Ícono para eliminar.
+  X,                                       // Ícono para cancelar el formulario.
+  AlertCircle,                             // Ícono para errores y desfases.
+} from 'lucide-react';
+
+import {
+  obtenerCronogramaProyecto,               // GET /proyectos/:id/tareas
+  crearTareaProyecto,                      // POST /proyectos/:id/tareas
+  actualizarTareaProyecto,                 // PUT /proyectos/:id/tareas/:tareaId
+  eliminarTareaProyecto,                   // DELETE /proyectos/:id/tareas/:tareaId
+} from '../../../services/api/api.js';
+
+// =========================
+// Constantes y utilidades
+// =========================
+
+// Tipos de relación entre tareas (mismo catálogo del backend)
+const TIPOS_RELACION = [
+  { valor: 'FS', etiqueta: 'Fin → Inicio' },
+  { valor: 'SS', etiqueta: 'Inicio → Inicio' },
+  { valor: 'FF', etiqueta: 'Fin → Fin' },
+];
+
+// Estado inicial del formulario de tarea
+const FORMULARIO_VACIO = {
+  nombre: '',
+  descripcion: '',
+  padre: '',
+  duracion: 1,
+  inicioRestringido: '',
+  responsable: '',
+  porcentajeAvance: 0,
+  predecesoras: [],
+};
+
+// Las fechas del cronograma llegan a medianoche UTC
+const formatearFecha = (valor) =>
+  valor ? new Date(valor).toLocaleDateString('es-CO', { timeZone: 'UTC' }) : '—';
+
+// Días entre dos fechas (medianoche UTC)
+const diasEntre = (desde, hasta) =>
+  Math.round((new Date(hasta).getTime() - new Date(desde).getTime()) / 86400000);
+
+// Nombre visible de un usuario
+const nombreUsuario = (u) =>
+  u ? `${u.firstName || ''} ${u.lastName || ''}`.trim() || u.email || 'Usuario' : '';
+
+/**
+ * Cronograma (EDT + Gantt) de un proyecto.
+ *
+ * Props:
+ * - idProyecto: id del proyecto.
+ * - puedeEditar: true para admin o líder de obra (el backend valida que sea el líder asignado).
+ * - responsables: usuarios seleccionables como responsables de tareas.
+ * - alCambiar: callback opcional tras crear, editar o eliminar una tarea.
+ */
+const CronogramaProyecto = ({ idProyecto, puedeEditar = false, responsables = [], alCambiar }) => {
+  const [cronograma, setCronograma] = useState(null);   // { proyecto, tareas, resumen }.
+  const [cargando, setCargando] = useState(false);      // Carga del cronograma.
+  const [error, setError] = useState('');               // Mensaje de error visible.
+  const [formulario, setFormulario] = useState(null);   // null = formulario cerrado.
+  const [tareaEditada, setTareaEditada] = useState(null); // Id de la tarea en edición (null = nueva).
+  const [guardando, setGuardando] = useState(false);    // Guardado en curso.
+  const [tareaAEliminar, setTareaAEliminar] = useState(null); // Id pendiente de confirmación.
+
+  // Carga del cronograma desde el backend
+  const cargarCronograma = useCallback(async () => {
+    if (!idProyecto) return;
+    setCargando(true);
+    try {
+      const data = await obtenerCronogramaProyecto(idProyecto);
+      setCronograma(data);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'No fue posible cargar el cronograma');
+    } finally {
+      setCargando(false);
+    }
+  }, [idProyecto]);
+
+  useEffect(() => {
+    setFormulario(null);
+    setTareaAEliminar(null);
+    cargarCronograma();
+  }, [cargarCronograma]);
+
+  const tareas = cronograma?.tareas || [];
+  const resumen = cronograma?.resumen || null;
+
+  // ------------------------------------------------------------------
+  // Escala del Gantt: cubre la duración calculada y la fecha de fin planeada
+  // ------------------------------------------------------------------
+  const diasPlaneados =
+    resumen?.inicio && resumen?.finPlaneado ? diasEntre(resumen.inicio, resumen.finPlaneado) + 1 : 0;
+  const totalDias = Math.max(resumen?.duracionCalculada || 0, diasPlaneados, 1);
+  const porcentaje = (dias) => `${Math.min(100, Math.max(0, (dias / totalDias) * 100))}%`;
+
+  // Marcas del eje (unas seis, redondeadas a semanas cuando el plazo es largo)
+  const paso = totalDias <= 14 ? Math.max(1, Math.ceil(totalDias / 7)) : Math.ceil(totalDias / 6 / 7) * 7;
+  const marcas = [];
+  for (let dia = 0; dia < totalDias; dia += paso) marcas.push(dia);
+
+  // ------------------------------------------------------------------
+  // Formulario de tarea
+  // ------------------------------------------------------------------
+  const abrirNueva = (padre = '') => {
+    setTareaEditada(null);
+    setFormulario({ ...FORMULARIO_VACIO, padre });
+    setError('');
+  };
+
+  const abrirEdicion = (tarea) => {
+    setTareaEditada(tarea.id);
+    setFormulario({
+      nombre: tarea.nombre || '',
+      descripcion: tarea.descripcion || '',
+      padre: tarea.padre ? String(tarea.padre) : '',
+      duracion: tarea.esResumen ? 1 : tarea.duracion ?? 1,
+      inicioRestringido: tarea.inicioRestringido ? String(tarea.inicioRestringido).slice(0, 10) : '',
+      responsable: tarea.responsable?._id || '',
+      porcentajeAvance: tarea.porcentajeAvance ?? 0,
+      predecesoras: (tarea.predecesoras || []).map((p) => ({
+        tarea: String(p.tarea),
+        tipo: p.tipo || 'FS',
+        desfase: p.desfase ?? 0,
+      })),
+    });
+    setError('');
+  };
+
+  const cambiarCampo = (campo, valor) => setFormulario((prev) => ({ ...prev, [campo]: valor }));
+
+  const cambiarPredecesora = (indice, campo, valor) =>
+    setFormulario((prev) => ({
+      ...prev,
+      predecesoras: prev.predecesoras.map((p, i) => (i === indice ? { ...p, [campo]: valor } : p)),
+    }));
+
+  const tareaEnEdicion = tareas.find((t) => t.id === tareaEditada) || null;
+  const editandoResumen = !!tareaEnEdicion?.esResumen;
+
+  // Padres posibles: ni la propia tarea ni sus subtareas (mismo prefijo EDT)
+  const padresPosibles = tareas.filter(
+    (t) =>
+      !tareaEnEdicion ||
+      (t.id !== tareaEnEdicion.id && !t.codigo.startsWith(`${tareaEnEdicion.codigo}.`))
+  );
+
+  // Predecesoras posibles: tareas de detalle distintas de la editada
+  const predecesorasPosibles = tareas.filter((t) => !t.esResumen && t.id !== tareaEditada);
+
+  const guardarTarea = async (e) => {
+    e.preventDefault();
+    if (!formulario.nombre.trim()) {
+      setError('El nombre de la tarea es obligatorio');
+      return;
+    }
+
+    const datos = {
+      nombre: formulario.nombre.trim(),
+      descripcion: formulario.descripcion,
+      padre: formulario.padre || null,
+      inicioRestringido: formulario.inicioRestringido || null,
+      responsable: formulario.responsable || null,
+      porcentajeAvance: Number(formulario.porcentajeAvance) || 0,
+    };
+    // Las tareas resumen toman duración y dependencias de sus subtareas
+    if (!editandoResumen) {
+      datos.duracion = Number(formulario.duracion) || 0;
+      datos.predecesoras = formulario.predecesoras
+        .filter((p) => p.tarea)
+        .map((p) => ({ tarea: p.tarea, tipo: p.tipo, desfase: Number(p.desfase) || 0 }));
+    }
+
+    setGuardando(true);
+    try {
+      if (tareaEditada) {
+        await actualizarTareaProyecto(idProyecto, tareaEditada, datos);
+      } else {
+        await crearTareaProyecto(idProyecto, datos);
+      }
+      setFormulario(null);
+      setTareaEditada(null);
+      await cargarCronograma();
+      if (alCambiar) alCambiar();
+    } catch (err) {
+      setError(err.message || 'No fue posible guardar la tarea');
+    } finally {
+      setGuardando(false);
+    }
+  };
+
+  const confirmarEliminacion = async (idTarea) => {
+    setGuardando(true);
+    try {
+      await eliminarTareaProyecto(idProyecto, idTarea);
+      setTareaAEliminar(null);
+      if (tareaEditada === idTarea) setFormulario(null);
+      await cargarCronograma();
+      if (alCambiar) alCambiar();
+    } catch (err) {
+      setError(err.message || 'No fue posible eliminar la tarea');
+    } finally {
+      setGuardando(false);
+    }
+  };
+
+  // Código EDT de una tarea por id (para el detalle de predecesoras, ej. "1.2FS+3")
+  const codigoTarea = (id) => tareas.find((t) => t.id === String(id))?.codigo || '?';
+
+  return (
+    <div className="bg-pcm-surfaceSoft/80 backdrop-blur-sm rounded-pcm-xl p-6 border border-white/10 shadow-pcm-soft">
+      {/* Encabezado del bloque */}
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-4">
+        <h4 className="text-xl font-bold text-pcm-primary flex items-center gap-2">
+          <CalendarRange size={22} />
+          Cronograma
+        </h4>
+        {puedeEditar && !formulario && (
+          <button
+            type="button"
+            onClick={() => abrirNueva()}
+            className="pcm-btn-primary inline-flex items-center gap-2 px-4 py-2 text-sm"
+          >
+            <Plus size={16} />
+            Nueva tarea
+          </button>
+        )}
+      </div>
+
+      {/* Resumen de la programación */}
+      {resumen && resumen.tareasDetalle > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4 text-xs">
+          <span className="px-3 py-1 rounded-full bg-pcm-bg/70 border border-white/10 text-pcm-text">
+            Inicio: {formatearFecha(resumen.inicio)}
+          </span>
+          <span className="px-3 py-1 rounded-full bg-pcm-bg/70 border border-white/10 text-pcm-text">
+            Fin calculado: {formatearFecha(resumen.finCalculado)}
+          </span>
+          <span className="px-3 py-1 rounded-full bg-pcm-bg/70 border border-white/10 text-pcm-text">
+            Fin planeado: {formatearFecha(resumen.finPlaneado)}
+          </span>
+          {resumen.desfaseDias !== null && (
+            <span
+              className={`px-3 py-1 rounded-full border inline-flex items-center gap-1 ${
+                resumen.desfaseDias > 0
+                  ? 'bg-red-500/15 border-red-500/40 text-red-300'
+                  : 'bg-emerald-500/15 border-emerald-500/40 text-emerald-300'
+              }`}
+            >
+              {resumen.desfaseDias > 0 && <AlertCircle size={12} />}
+              {resumen.desfaseDias > 0
+                ? `${resumen.desfaseDias} día(s) de retraso`
+                : `${Math.abs(resumen.desfaseDias)} día(s) de margen`}
+            </span>
+          )}
+          <span className="px-3 py-1 rounded-full bg-pcm-primary/15 border border-pcm-primary/40 text-pcm-primary">
+            Avance por tareas: {resumen.avance ?? 0}%
+          </span>
+        </div>
+      )}
+
+      {/* Mensaje de error */}
+      {error && (
+        <div className="mb-4 flex items-start gap-2 rounded-pcm-xl border border-red-500/40 bg-red-500/10 px-4 py-3 text-sm text-red-300">
+          <AlertCircle size={16} className="mt-0.5 shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {/* Formulario de tarea */}
+      {formulario && (
+        <form
+          onSubmit={guardarTarea}
+          className="mb-5 rounded-pcm-xl border border-white/10 bg-pcm-bg/60 p-4 space-y-3"
+        >
+          <div className="flex items-center justify-between">
+            <p className="text-sm font-semibold text-pcm-text">
+              {tareaEditada ? 'Editar tarea' : 'Nueva tarea'}
+            </p>
+            <button
+              type="button"
+              onClick={() => setFormulario(null)}
+              className="text-pcm-muted hover:text-pcm-text"
+              aria-label="Cancelar"
+            >
+              <X size={16} />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+            <label className="flex flex-col gap-1 md:col-span-2">
+              <span className="text-xs text-pcm-muted">Nombre</span>
+              <input
+                type="text"
+                value={formulario.nombre}
+                onChange={(e) => cambiarCampo('nombre', e.target.value)}
+                className="bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+                placeholder="Ej. Excavación de zapatas"
+              />
+            </label>
+
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-pcm-muted">Tarea padre (EDT)</span>
+              <select
+                value={formulario.padre}
+                onChange={(e) => cambiarCampo('padre', e.target.value)}
+                className="bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+              >
+                <option value="">Primer nivel</option>
+                {padresPosibles.map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {t.codigo} {t.nombre}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-pcm-muted">Responsable</span>
+              <select
+                value={formulario.responsable}
+                onChange={(e) => cambiarCampo('responsable', e.target.value)}
+                className="bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+              >
+                <option value="">Sin asignar</option>
+                {responsables.map((u) => (
+                  <option key={u._id} value={u._id}>
+                    {nombreUsuario(u)}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            {!editandoResumen && (
+              <label className="flex flex-col gap-1">
+                <span className="text-xs text-pcm-muted">Duración (días, 0 = hito)</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={formulario.duracion}
+                  onChange={(e) => cambiarCampo('duracion', e.target.value)}
+                  className="bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+                />
+              </label>
+            )}
+
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-pcm-muted">No iniciar antes de</span>
+              <input
+                type="date"
+                value={formulario.inicioRestringido}
+                onChange={(e) => cambiarCampo('inicioRestringido', e.target.value)}
+                className="bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+              />
+            </label>
+
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-pcm-muted">Avance (%)</span>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={formulario.porcentajeAvance}
+                onChange={(e) => cambiarCampo('porcentajeAvance', e.target.value)}
+                className="bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+              />
+            </label>
+
+            <label className="flex flex-col gap-1 md:col-span-2">
+              <span className="text-xs text-pcm-muted">Descripción</span>
+              <textarea
+                rows={2}
+                value={formulario.descripcion}
+                onChange={(e) => cambiarCampo('descripcion', e.target.value)}
+                className="bg-pcm-bg/80 border border-white/10 rounded px-2 py-1 resize-none"
+              />
+            </label>
+          </div>
+
+          {/* Predecesoras (solo tareas de detalle) */}
+          {editandoResumen ? (
+            <p className="text-xs text-pcm-muted">
+              Las tareas resumen toman duración, fechas y dependencias de sus subtareas.
+            </p>
+          ) : (
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <span className="text-xs text-pcm-muted">Predecesoras</span>
+                <button
+                  type="button"
+                  onClick={() =>
+                    cambiarCampo('predecesoras', [
+                      ...formulario.predecesoras,
+                      { tarea: '', tipo: 'FS', desfase: 0 },
+                    ])
+                  }
+                  disabled={predecesorasPosibles.length === 0}
+                  className="text-xs text-pcm-primary inline-flex items-center gap-1 disabled:opacity-50"
+                >
+                  <Plus size={12} />
+                  Agregar
+                </button>
+              </div>
+              {formulario.predecesoras.map((pred, indice) => (
+                <div key={indice} className="flex flex-col md:flex-row gap-2 text-sm">
+                  <select
+                    value={pred.tarea}
+                    onChange={(e) => cambiarPredecesora(indice, 'tarea', e.target.value)}
+                    className="flex-1 bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+                  >
+                    <option value="">Seleccione una tarea</option>
+                    {predecesorasPosibles.map((t) => (
+                      <option key={t.id} value={t.id}>
+                        {t.codigo} {t.nombre}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={pred.tipo}
+                    onChange={(e) => cambiarPredecesora(indice, 'tipo', e.target.value)}
+                    className="md:w-40 bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+                  >
+                    {TIPOS_RELACION.map((tipo) => (
+                      <option key={tipo.valor} value={tipo.valor}>
+                        {tipo.valor} · {tipo.etiqueta}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    value={pred.desfase}
+                    onChange={(e) => cambiarPredecesora(indice, 'desfase', e.target.value)}
+                    className="md:w-24 bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+                    title="Desfase en días (negativo = adelanto)"
+                  />
+                  <button
+                    type="button"
+                    onClick={() =>
+                      cambiarCampo(
+                        'predecesoras',
+                        formulario.predecesoras.filter((_, i) => i !== indice)
+                      )
+                    }
+                    className="text-red-300 hover:text-red-200 px-2"
+                    aria-label="Quitar predecesora"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setFormulario(null)}
+              className="pcm-btn-secondary text-sm px-4 py-2"
+            >
+              Cancelar
+            </button>
+            <button
+              type="submit"
+              disabled={guardando}
+              className="pcm-btn-primary text-sm px-4 py-2 disabled:opacity-50"
+            >
+              {guardando ? 'Guardando...' : 'Guardar tarea'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Gantt */}
+      {cargando && !cronograma ? (
+        <p className="text-sm text-pcm-muted">Cargando cronograma...</p>
+      ) : tareas.length === 0 ? (
+        <p className="text-sm text-pcm-muted">
+          Este proyecto aún no tiene tareas programadas.
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <div className="min-w-[720px]">
+            {/* Eje de tiempo */}
+            <div className="flex text-[11px] text-pcm-muted border-b border-white/10 pb-1 mb-1">
+              <div className="w-64 shrink-0">Tarea</div>
+              <div className="relative flex-1 h-4">
+                {marcas.map((dia) => (
+                  <span key={dia} className="absolute" style={{ left: porcentaje(dia) }}>
+                    {resumen?.inicio ? formatearFecha(new Date(new Date(resumen.inicio).getTime() + dia * 86400000)) : `Día ${dia}`}
+                  </span>
+                ))}
+              </div>
+            </div>
+
+            {tareas.map((tarea) => {
+              const esHito = !tarea.esResumen && tarea.duracion === 0;
+              const avance = Math.min(100, Math.max(0, Number(tarea.porcentajeAvance) || 0));
+              return (
+                <div key={tarea.id} className="flex items-center py-1 border-b border-white/5 group">
+                  {/* Columna de la tarea */}
+                  <div
+                    className="w-64 shrink-0 pr-2 text-xs"
+                    style={{ paddingLeft: `${(tarea.nivel - 1) * 12}px` }}
+                  >
+                    <div className="flex items-center gap-1">
+                      <span className="text-pcm-muted">{tarea.codigo}</span>
+                      <span
+                        className={`truncate ${tarea.esResumen ? 'font-semibold text-pcm-text' : 'text-pcm-text'}`}
+                        title={tarea.descripcion || tarea.nombre}
+                      >
+                        {tarea.nombre}
+                      </span>
+                      {puedeEditar && (
+                        <span className="ml-auto hidden group-hover:inline-flex items-center gap-1">
+                          {tarea.esResumen || (tarea.predecesoras || []).length === 0 ? (
+                            <button
+                              type="button"
+                              onClick={() => abrirNueva(tarea.id)}
+                              className="text-pcm-muted hover:text-pcm-primary"
+                              title="Agregar subtarea"
+                            >
+                              <Plus size={12} />
+                            </button>
+                          ) : null}
+                          <button
+                            type="button"
+                            onClick={() => abrirEdicion(tarea)}
+                            className="text-pcm-muted hover:text-pcm-primary"
+                            title="Editar tarea"
+                          >
+                            <Pencil size={12} />
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setTareaAEliminar(tarea.id)}
+                            className="text-pcm-muted hover:text-red-300"
+                            title="Eliminar tarea"
+                          >
+                            <Trash2 size={12} />
+                          </button>
+                        </span>
+                      )}
+                    </div>
+                    <div className="text-[10px] text-pcm-muted truncate">
+                      {formatearFecha(tarea.inicio)} – {formatearFecha(tarea.fin)}
+                      {tarea.responsable ? ` · ${nombreUsuario(tarea.responsable)}` : ''}
+                      {!tarea.esResumen && (tarea.predecesoras || []).length > 0
+                        ? ` · Dep.: ${tarea.predecesoras
+                            .map((p) => `${codigoTarea(p.tarea)}${p.tipo}${p.desfase ? (p.desfase > 0 ? `+${p.desfase}` : p.desfase) : ''}`)
+                            .join(', ')}`
+                        : ''}
+                    </div>
+                    {tareaAEliminar === tarea.id && (
+                      <div className="mt-1 flex items-center gap-2 text-[11px]">
+                        <span className="text-red-300">¿Eliminar tarea?</span>
+                        <button
+                          type="button"
+                          onClick={() => confirmarEliminacion(tarea.id)}
+                          disabled={guardando}
+                          className="text-red-300 font-semibold disabled:opacity-50"
+                        >
+                          Sí
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setTareaAEliminar(null)}
+                          className="text-pcm-muted"
+                        >
+                          No
+                        </button>
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Barra del Gantt */}
+                  <div className="relative flex-1 h-6">
+                    {esHito ? (
+                      <div
+                        className={`absolute top-1 w-3 h-3 rotate-45 ${tarea.critica ? 'bg-red-400' : 'bg-pcm-primary'}`}
+                        style={{ left: `calc(${porcentaje(tarea.inicioTemprano)} - 6px)` }}
+                        title={`Hito · ${formatearFecha(tarea.inicio)}`}
+                      />
+                    ) : tarea.esResumen ? (
+                      <div
+                        className="absolute top-2 h-2 bg-pcm-text/70 rounded-sm"
+                        style={{
+                          left: porcentaje(tarea.inicioTemprano),
+                          width: porcentaje(tarea.duracion),
+                        }}
+                        title={`${tarea.duracion} día(s) · avance ${avance}%`}
+                      />
+                    ) : (
+                      <div
+                        className={`absolute top-1 h-4 rounded overflow-hidden border ${
+                          tarea.critica
+                            ? 'bg-red-500/30 border-red-400/70'
+                            : 'bg-pcm-primary/25 border-pcm-primary/60'
+                        }`}
+                        style={{
+                          left: porcentaje(tarea.inicioTemprano),
+                          width: porcentaje(tarea.duracion),
+                        }}
+                        title={`${tarea.duracion} día(s) · holgura ${tarea.holgura} · avance ${avance}%`}
+                      >
+                        <div
+                          className={`h-full ${tarea.critica ? 'bg-red-400/80' : 'bg-pcm-primary/80'}`}
+                          style={{ width: `${avance}%` }}
+                        />
+                      </div>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+
+            {/* Leyenda */}
+            <div className="flex flex-wrap gap-4 mt-3 text-[11px] text-pcm-muted">
+              <span className="inline-flex items-center gap-1">
+                <span className="w-3 h-3 rounded-sm bg-red-400/80" /> Ruta crítica
+              </span>
+              <span className="inline-flex items-center gap-1">
+                <span className="w-3 h-3 rounded-sm bg-pcm-primary/80" /> Con holgura
+              </span>
+              <span className="inline-flex items-center gap-1">
+                <span className="w-3 h-1.5 rounded-sm bg-pcm-text/70" /> Tarea resumen
+              </span>
+              <span className="inline-flex items-center gap-1">
+                <span className="w-2.5 h-2.5 rotate-45 bg-pcm-primary" /> Hito
+              </span>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CronogramaProyecto;
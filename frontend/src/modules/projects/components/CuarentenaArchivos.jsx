@@ -0,0 +1,192 @@
+// File: frontend/src/modules/projects/components/CuarentenaArchivos.jsx
+// Description: Revisión de la cuarentena de archivos en ProCivil Manager
+//              (PCM). Lista para el admin los adjuntos que la inspección de
+//              la subida retuvo (contenido que no corresponde al tipo
+//              declarado, ejecutables o detecciones del antivirus) con sus
+//              motivos, y permite liberarlos o descartarlos con un comentario.
+//              El admin puede descargar el archivo retenido para revisarlo.
+
+// =========================
+// Importaciones principales
+// =========================
+import React, { useEffect, useState } from 'react';  // React y hooks.
+import {
+  ShieldAlert,                                         // Ícono del bloque de cuarentena.
+  Check,                                               // Ícono de liberar.
+  Trash2,                                              // Ícono de descartar.
+  Download,                                            // Ícono de descarga para revisión.
+  AlertCircle,                                         // Ícono para errores.
+} from 'lucide-react';
+
+import {
+  obtenerArchivosEnCuarentena,                         // GET /proyectos/cuarentena
+  liberarAdjuntoCuarentena,                            // POST /proyectos/:id/adjuntos/:adjuntoId/cuarentena/liberar
+  descartarAdjuntoCuarentena,                          // POST /proyectos/:id/adjuntos/:adjuntoId/cuarentena/descartar
+  descargarAdjuntoProyecto,                            // GET /proyectos/:id/adjuntos/:adjuntoId/descargar
+} from '../../../services/api/api.js';
+
+// =========================
+// Constantes y utilidades
+// =========================
+
+// Resultado del antivirus (mismos valores del backend)
+const ESTADOS_ANTIVIRUS = {
+  limpio: 'Antivirus: limpio',
+  infectado: 'Antivirus: amenaza detectada',
+  error: 'Antivirus: no se pudo analizar',
+  omitido: 'Antivirus: no configurado',
+};
+
+const formatearFechaHora = (valor) => (valor ? new Date(valor).toLocaleString('es-CO') : '—');
+
+const nombreUsuario = (usuario) =>
+  usuario ? `${usuario.firstName || ''} ${usuario.lastName || ''}`.trim() || usuario.email : 'usuario';
+
+/**
+ * Panel de cuarentena de archivos (solo admin).
+ * Si no hay archivos retenidos no se muestra.
+ */
+const CuarentenaArchivos = () => {
+  const [archivos, setArchivos] = useState([]);        // [{ proyecto, adjunto, cuarentena }].
+  const [comentarios, setComentarios] = useState({});  // Comentario por adjunto.
+  const [procesandoId, setProcesandoId] = useState(null); // Adjunto con una operación en curso.
+  const [error, setError] = useState('');              // Mensaje de error visible.
+  const [aviso, setAviso] = useState('');              // Resultado de la última decisión.
+
+  // Carga inicial de los archivos retenidos
+  useEffect(() => {
+    let activo = true;
+    obtenerArchivosEnCuarentena()
+      .then((respuesta) => activo && setArchivos(respuesta?.archivos || []))
+      .catch((err) => activo && setError(err.message || 'No fue posible cargar la cuarentena'));
+    return () => {
+      activo = false;
+    };
+  }, []);
+
+  // Libera o descarta un archivo y lo quita de la lista
+  const decidir = async (item, accion) => {
+    const { proyecto, adjunto } = item;
+    setProcesandoId(adjunto._id);
+    try {
+      const datos = { comentario: (comentarios[adjunto._id] || '').trim() };
+      const resultado =
+        accion === 'liberar'
+          ? await liberarAdjuntoCuarentena(proyecto._id, adjunto._id, datos)
+          : await descartarAdjuntoCuarentena(proyecto._id, adjunto._id, datos);
+      setArchivos((prev) => prev.filter((a) => a.adjunto._id !== adjunto._id));
+      setAviso(`${adjunto.nombreOriginal}: ${resultado?.message || 'decisión registrada'}`);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'No fue posible completar la operación');
+    } finally {
+      setProcesandoId(null);
+    }
+  };
+
+  // Descarga el archivo retenido para revisarlo
+  const descargar = async ({ proyecto, adjunto }) => {
+    try {
+      await descargarAdjuntoProyecto(proyecto._id, adjunto._id, { nombre: adjunto.nombreOriginal });
+    } catch (err) {
+      setError(err.message || 'No fue posible descargar el archivo');
+    }
+  };
+
+  if (!archivos.length && !error && !aviso) return null;
+
+  return (
+    <div className="bg-pcm-surfaceSoft/80 backdrop-blur-sm rounded-pcm-xl p-6 border border-red-500/30 shadow-pcm-soft animate-slide-up-soft space-y-3">
+      <h3 className="text-lg font-semibold text-pcm-text flex items-center gap-2">
+        <ShieldAlert size={20} className="text-red-300" />
+        Archivos en cuarentena
+        <span className="rounded-full border border-red-500/40 bg-red-500/10 px-2 text-xs text-red-300">
+          {archivos.length}
+        </span>
+      </h3>
+
+      {/* Mensajes */}
+      {error && (
+        <div className="flex items-start gap-2 rounded-lg border border-red-500/40 bg-red-500/10 px-3 py-2 text-xs text-red-300">
+          <AlertCircle size={14} className="mt-0.5 shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+      {aviso && <p className="text-xs text-emerald-300">{aviso}</p>}
+
+      {archivos.length === 0 ? (
+        <p className="text-sm text-pcm-muted">No hay archivos pendientes de revisión.</p>
+      ) : (
+        <div className="space-y-2 max-h-96 pcm-scroll-y pr-2">
+          {archivos.map((item) => {
+            const { proyecto, adjunto, cuarentena } = item;
+            const procesando = procesandoId === adjunto._id;
+            return (
+              <div key={adjunto._id} className="rounded-xl border border-white/10 bg-pcm-bg/70 p-3 space-y-2 text-xs">
+                <div className="flex flex-wrap items-start justify-between gap-2">
+                  <div>
+                    <p className="text-sm font-semibold text-pcm-text">
+                      {adjunto.nombreOriginal} · Rev. {adjunto.revision || 'A'}
+                    </p>
+                    <p className="text-pcm-muted">
+                      {proyecto.title} · {nombreUsuario(adjunto.subidoPor)} · {formatearFechaHora(cuarentena.fecha)}
+                    </p>
+                  </div>
+                  <span className="rounded-full border border-white/10 bg-pcm-bg px-2 py-0.5 text-pcm-muted">
+                    {ESTADOS_ANTIVIRUS[cuarentena.antivirus] || cuarentena.antivirus}
+                    {cuarentena.firmaAntivirus && ` · ${cuarentena.firmaAntivirus}`}
+                  </span>
+                </div>
+
+                <ul className="list-disc pl-5 text-red-300">
+                  {(cuarentena.motivos || []).map((motivo) => (
+                    <li key={motivo}>{motivo}</li>
+                  ))}
+                </ul>
+
+                <div className="flex flex-col md:flex-row gap-2">
+                  <input
+                    type="text"
+                    value={comentarios[adjunto._id] || ''}
+                    onChange={(e) => setComentarios((prev) => ({ ...prev, [adjunto._id]: e.target.value }))}
+                    placeholder="Comentario de la revisión (opcional)"
+                    className="flex-1 bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => descargar(item)}
+                    className="inline-flex items-center justify-center gap-1 rounded-lg bg-pcm-bg/80 hover:bg-pcm-bg border border-white/10 px-3 py-1 text-pcm-text"
+                    title="Descargar para revisar"
+                  >
+                    <Download size={14} />
+                    Revisar
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => decidir(item, 'liberar')}
+                    disabled={procesando}
+                    className="inline-flex items-center justify-center gap-1 rounded-lg bg-emerald-600/30 hover:bg-emerald-600/50 px-3 py-1 text-emerald-200 disabled:opacity-50"
+                  >
+                    <Check size={14} />
+                    Liberar
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => decidir(item, 'descartar')}
+                    disabled={procesando}
+                    className="inline-flex items-center justify-center gap-1 rounded-lg bg-red-600/30 hover:bg-red-600/50 px-3 py-1 text-red-200 disabled:opacity-50"
+                  >
+                    <Trash2 size={14} />
+                    Descartar
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CuarentenaArchivos;
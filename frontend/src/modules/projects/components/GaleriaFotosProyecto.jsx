@@ -0,0 +1,260 @@
+// File: frontend/src/modules/projects/components/GaleriaFotosProyecto.jsx
+// Description: Galería de fotos de avance del proyecto en ProCivil Manager
+//              (PCM). Muestra las imágenes adjuntas como línea de tiempo por
+//              día o agrupadas por tarea del cronograma / criterio de avance,
+//              con miniaturas generadas en el servidor, fecha de captura y
+//              enlace al mapa cuando la foto trae GPS. Quien gestiona los
+//              archivos del proyecto puede asociar cada foto a una actividad.
+
+// =========================
+// Importaciones principales
+// =========================
+import React, { useCallback, useEffect, useState } from 'react'; // React y hooks.
+import {
+  Camera,                                  // Ícono del bloque de fotos.
+  CalendarDays,                            // Ícono de la vista por fecha.
+  ListTree,                                // Ícono de la vista por actividad.
+  MapPin,                                  // Ícono de ubicación GPS.
+  AlertCircle,                             // Ícono para errores.
+} from 'lucide-react';
+
+import {
+  obtenerFotosProyecto,                    // GET /proyectos/:id/fotos
+  actualizarAdjuntoProyecto,               // PUT /proyectos/:id/adjuntos/:adjuntoId
+} from '../../../services/api/api.js';
+
+// =========================
+// Constantes y utilidades
+// =========================
+
+// Rangos rápidos de fechas (días hacia atrás; null = todo)
+const RANGOS = [
+  { clave: 'semana', etiqueta: 'Última semana', dias: 7 },
+  { clave: 'mes', etiqueta: 'Último mes', dias: 30 },
+  { clave: 'todo', etiqueta: 'Todo', dias: null },
+];
+
+// Fecha YYYY-MM-DD de hace N días (fecha local del usuario)
+const haceDias = (dias) => {
+  const fecha = new Date(Date.now() - dias * 24 * 60 * 60 * 1000);
+  return new Date(fecha.getTime() - fecha.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+// Formatos de fecha
+const formatearDia = (valor) =>
+  new Date(valor).toLocaleDateString('es-CO', { timeZone: 'UTC', dateStyle: 'full' });
+const formatearFechaHora = (valor) => (valor ? new Date(valor).toLocaleString('es-CO') : '—');
+
+// Valor del selector de actividad: "tarea:<id>", "criterio:<id>" o ''
+const valorActividad = (foto) =>
+  foto.tarea ? `tarea:${foto.tarea._id}` : foto.criterio ? `criterio:${foto.criterio._id}` : '';
+
+/**
+ * Galería de fotos de avance de un proyecto.
+ *
+ * Props:
+ * - idProyecto: id del proyecto.
+ * - puedeAsociar: true para quien gestiona los archivos (admin o líder asignado).
+ * - recarga: valor que, al cambiar, vuelve a cargar la galería (ej. tras subir archivos).
+ */
+const GaleriaFotosProyecto = ({ idProyecto, puedeAsociar = false, recarga }) => {
+  const [galeria, setGaleria] = useState(null);         // Respuesta del backend.
+  const [vista, setVista] = useState('fecha');          // 'fecha' | 'actividad'.
+  const [rango, setRango] = useState('todo');           // Clave de RANGOS.
+  const [cargando, setCargando] = useState(false);      // Carga de la galería.
+  const [guardando, setGuardando] = useState(null);     // Id de la foto que se está asociando.
+  const [error, setError] = useState('');               // Mensaje de error visible.
+
+  // Carga de la galería desde el backend
+  const cargarGaleria = useCallback(async () => {
+    if (!idProyecto) return;
+    const { dias } = RANGOS.find((r) => r.clave === rango);
+    setCargando(true);
+    try {
+      const data = await obtenerFotosProyecto(idProyecto, dias ? { desde: haceDias(dias) } : {});
+      setGaleria(data);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'No fue posible cargar las fotos del proyecto');
+    } finally {
+      setCargando(false);
+    }
+  }, [idProyecto, rango]);
+
+  useEffect(() => {
+    cargarGaleria();
+  }, [cargarGaleria, recarga]);
+
+  // Asocia (o desasocia) una foto a una tarea o criterio
+  const asociarActividad = async (foto, valor) => {
+    const [tipo, id] = valor.split(':');
+    setGuardando(foto._id);
+    try {
+      await actualizarAdjuntoProyecto(idProyecto, foto._id, {
+        tarea: tipo === 'tarea' ? id : '',
+        criterio: tipo === 'criterio' ? id : '',
+      });
+      await cargarGaleria();
+    } catch (err) {
+      setError(err.message || 'No fue posible asociar la foto');
+    } finally {
+      setGuardando(null);
+    }
+  };
+
+  const fotosPorId = new Map((galeria?.fotos || []).map((f) => [String(f._id), f]));
+  const grupos =
+    vista === 'fecha'
+      ? (galeria?.dias || []).map((d) => ({ clave: d.fecha, titulo: formatearDia(d.fecha), fotos: d.fotos }))
+      : (galeria?.actividades || []).map((a) => ({
+          clave: `${a.tipo}:${a._id}`,
+          titulo: a.tipo === 'criterio' ? `Criterio: ${a.nombre}` : a.nombre,
+          fotos: a.fotos,
+        }));
+  const tareas = galeria?.opciones?.tareas || [];
+  const criterios = galeria?.opciones?.criterios || [];
+
+  // Tarjeta de una foto
+  const renderFoto = (foto) => {
+    const src = foto.urlMiniatura || foto.url;                 // Enlaces firmados y temporales del backend.
+    const tieneGps = foto.latitud !== null && foto.longitud !== null;
+
+    return (
+      <div key={foto._id} className="rounded-pcm-xl border border-white/10 bg-pcm-bg/60 overflow-hidden">
+        <a href={foto.url} target="_blank" rel="noreferrer" title="Ver original">
+          <img
+            src={src}
+            alt={foto.descripcion || foto.nombreOriginal}
+            loading="lazy"
+            className="w-full h-36 object-cover hover:opacity-90 transition"
+          />
+        </a>
+        <div className="p-2 space-y-1 text-xs">
+          <p className="text-pcm-text truncate" title={foto.descripcion || foto.nombreOriginal}>
+            {foto.descripcion || foto.nombreOriginal}
+          </p>
+          <p className="text-pcm-muted">
+            {foto.fechaCaptura ? formatearFechaHora(foto.fechaCaptura) : `Subida ${formatearFechaHora(foto.fechaSubida)}`}
+          </p>
+          {tieneGps && (
+            <a
+              href={`https://www.google.com/maps?q=${foto.latitud},${foto.longitud}`}
+              target="_blank"
+              rel="noreferrer"
+              className="inline-flex items-center gap-1 text-pcm-primary hover:underline"
+            >
+              <MapPin size={12} />
+              {foto.latitud.toFixed(5)}, {foto.longitud.toFixed(5)}
+            </a>
+          )}
+          {puedeAsociar ? (
+            <select
+              value={valorActividad(foto)}
+              disabled={guardando === foto._id}
+              onChange={(e) => asociarActividad(foto, e.target.value)}
+              className="w-full bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+              aria-label="Actividad de la foto"
+            >
+              <option value="">Sin actividad</option>
+              {tareas.length > 0 && (
+                <optgroup label="Tareas del cronograma">
+                  {tareas.map((t) => (
+                    <option key={t._id} value={`tarea:${t._id}`}>
+                      {t.nombre}
+                    </option>
+                  ))}
+                </optgroup>
+              )}
+              {criterios.length > 0 && (
+                <optgroup label="Criterios de avance">
+                  {criterios.map((c) => (
+                    <option key={c._id} value={`criterio:${c._id}`}>
+                      {c.nombre}
+                    </option>
+                  ))}
+                </optgroup>
+              )}
+            </select>
+          ) : (
+            (foto.tarea || foto.criterio) && (
+              <p className="text-pcm-muted truncate">{foto.tarea?.nombre || foto.criterio?.nombre}</p>
+            )
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-pcm-surfaceSoft/80 backdrop-blur-sm rounded-pcm-xl p-6 border border-white/10 shadow-pcm-soft">
+      {/* Encabezado del bloque */}
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-4">
+        <h4 className="text-xl font-bold text-pcm-primary flex items-center gap-2">
+          <Camera size={22} />
+          Fotos de avance
+          {galeria && <span className="text-sm font-normal text-pcm-muted">({galeria.total})</span>}
+        </h4>
+        <div className="flex flex-wrap gap-2 text-xs">
+          {RANGOS.map((r) => (
+            <button
+              key={r.clave}
+              type="button"
+              onClick={() => setRango(r.clave)}
+              className={`px-3 py-1 rounded-full border ${
+                rango === r.clave
+                  ? 'bg-pcm-primary/20 border-pcm-primary/60 text-pcm-primary'
+                  : 'border-white/10 text-pcm-muted hover:text-pcm-text'
+              }`}
+            >
+              {r.etiqueta}
+            </button>
+          ))}
+          <button
+            type="button"
+            onClick={() => setVista(vista === 'fecha' ? 'actividad' : 'fecha')}
+            className="pcm-btn-secondary inline-flex items-center gap-1 px-3 py-1"
+          >
+            {vista === 'fecha' ? <ListTree size={14} /> : <CalendarDays size={14} />}
+            {vista === 'fecha' ? 'Por actividad' : 'Por fecha'}
+          </button>
+        </div>
+      </div>
+
+      {/* Mensaje de error */}
+      {error && (
+        <div className="mb-4 flex items-start gap-2 rounded-pcm-xl border border-red-500/40 bg-red-500/10 px-4 py-3 text-sm text-red-300">
+          <AlertCircle size={16} className="mt-0.5 shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {cargando && !galeria ? (
+        <p className="text-sm text-pcm-muted">Cargando fotos...</p>
+      ) : !grupos.length ? (
+        <p className="text-sm text-pcm-muted">
+          {rango === 'todo'
+            ? 'Aún no hay fotos de avance. Las imágenes adjuntas al proyecto aparecen aquí.'
+            : 'No hay fotos en este rango de fechas.'}
+        </p>
+      ) : (
+        <div className="space-y-5">
+          {grupos.map((grupo) => (
+            <section key={grupo.clave}>
+              <p className="mb-2 text-sm font-semibold text-pcm-text">
+                {grupo.titulo}
+                <span className="ml-2 font-normal text-pcm-muted">
+                  {grupo.fotos.length} {grupo.fotos.length === 1 ? 'foto' : 'fotos'}
+                </span>
+              </p>
+              <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-3">
+                {grupo.fotos.map((id) => fotosPorId.get(String(id))).filter(Boolean).map(renderFoto)}
+              </div>
+            </section>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GaleriaFotosProyecto;
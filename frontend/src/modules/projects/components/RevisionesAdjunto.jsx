@@ -0,0 +1,239 @@
+// File: frontend/src/modules/projects/components/RevisionesAdjunto.jsx
+// Description: Panel de control documental de un adjunto del proyecto en
+//              ProCivil Manager (PCM). Lista las revisiones del documento
+//              (letra, fecha, autor y nota de cambio) marcando la vigente,
+//              permite descargar cualquiera de ellas (las anteriores son de
+//              solo lectura) o copiar un enlace temporal para compartirla, y
+//              muestra el historial de descargas. Quien
+//              gestiona los archivos puede subir una nueva revisión.
+
+// =========================
+// Importaciones principales
+// =========================
+import React, { useCallback, useEffect, useState } from 'react'; // React y hooks.
+import {
+  History,                                 // Ícono del historial de revisiones.
+  Download,                                // Ícono de descarga de una revisión.
+  Link2,                                   // Ícono del enlace temporal de una revisión.
+  Upload,                                  // Ícono para subir una nueva revisión.
+  AlertCircle,                             // Ícono para errores.
+} from 'lucide-react';
+
+import {
+  obtenerVersionesAdjunto,                 // GET /proyectos/:id/adjuntos/:adjuntoId/versiones
+  descargarAdjuntoProyecto,                // GET /proyectos/:id/adjuntos/:adjuntoId/descargar
+  obtenerEnlaceAdjunto,                    // GET /proyectos/:id/adjuntos/:adjuntoId/enlace
+  actualizarAdjuntoProyecto,               // PUT /proyectos/:id/adjuntos/:adjuntoId (nueva revisión)
+} from '../../../services/api/api.js';
+
+// =========================
+// Utilidades
+// =========================
+const formatearFechaHora = (valor) => (valor ? new Date(valor).toLocaleString('es-CO') : '—');
+const nombreUsuario = (usuario) =>
+  usuario ? `${usuario.firstName || ''} ${usuario.lastName || ''}`.trim() || usuario.email : 'Usuario no disponible';
+
+/**
+ * Revisiones e historial de descargas de un adjunto.
+ *
+ * Props:
+ * - idProyecto: id del proyecto.
+ * - adjunto: adjunto del proyecto ({ _id, nombreOriginal, revision }).
+ * - puedeGestionar: true para admin o líder (suben nuevas revisiones).
+ * - alActualizar: callback con la lista de adjuntos tras subir una revisión.
+ */
+const RevisionesAdjunto = ({ idProyecto, adjunto, puedeGestionar = false, alActualizar }) => {
+  const [datos, setDatos] = useState(null);             // { documento, versiones, descargas }.
+  const [error, setError] = useState('');               // Mensaje de error visible.
+  const [archivo, setArchivo] = useState(null);         // Archivo de la nueva revisión.
+  const [nota, setNota] = useState('');                 // Nota de cambio.
+  const [guardando, setGuardando] = useState(false);    // Subida en curso.
+  const [aviso, setAviso] = useState('');               // Confirmación del enlace copiado.
+
+  // Carga de revisiones y descargas
+  const cargarRevisiones = useCallback(async () => {
+    try {
+      setDatos(await obtenerVersionesAdjunto(idProyecto, adjunto._id));
+      setError('');
+    } catch (err) {
+      setError(err.message || 'No fue posible cargar las revisiones');
+    }
+  }, [idProyecto, adjunto._id]);
+
+  useEffect(() => {
+    cargarRevisiones();
+  }, [cargarRevisiones]);
+
+  // Descarga de una revisión (queda en el historial)
+  const descargarVersion = async (version) => {
+    try {
+      await descargarAdjuntoProyecto(idProyecto, adjunto._id, {
+        version: version._id,
+        nombre: version.nombreOriginal,
+      });
+      await cargarRevisiones();
+    } catch (err) {
+      setError(err.message || 'No fue posible descargar la revisión');
+    }
+  };
+
+  // Enlace firmado y temporal de una revisión (se copia al portapapeles)
+  const copiarEnlace = async (version) => {
+    try {
+      const { url, expiraEn } = await obtenerEnlaceAdjunto(idProyecto, adjunto._id, version._id);
+      await navigator.clipboard.writeText(url);
+      setAviso(`Enlace de la revisión ${version.revision} copiado (vence ${formatearFechaHora(expiraEn)})`);
+      setError('');
+      await cargarRevisiones();
+    } catch (err) {
+      setAviso('');
+      setError(err.message || 'No fue posible generar el enlace');
+    }
+  };
+
+  // Subida de una nueva revisión
+  const subirRevision = async (e) => {
+    e.preventDefault();
+    if (!archivo) {
+      setError('Selecciona el archivo de la nueva revisión');
+      return;
+    }
+    if (!nota.trim()) {
+      setError('Describe el cambio de la nueva revisión');
+      return;
+    }
+
+    setGuardando(true);
+    try {
+      const resultado = await actualizarAdjuntoProyecto(idProyecto, adjunto._id, { file: archivo, nota: nota.trim() });
+      setArchivo(null);
+      setNota('');
+      e.target.reset();
+      if (alActualizar && Array.isArray(resultado?.proyecto?.adjuntos)) {
+        alActualizar(resultado.proyecto.adjuntos);
+      }
+      await cargarRevisiones();
+    } catch (err) {
+      setError(err.message || 'No fue posible subir la revisión');
+    } finally {
+      setGuardando(false);
+    }
+  };
+
+  return (
+    <div className="mt-2 rounded-xl border border-white/10 bg-pcm-bg/60 p-3 space-y-3 text-xs">
+      <p className="flex items-center gap-2 font-semibold text-pcm-text">
+        <History size={14} />
+        Revisiones de {adjunto.nombreOriginal}
+      </p>
+
+      {/* Mensaje de error */}
+      {error && (
+        <div className="flex items-start gap-2 rounded-lg border border-red-500/40 bg-red-500/10 px-3 py-2 text-red-300">
+          <AlertCircle size={14} className="mt-0.5 shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+      {aviso && <p className="text-emerald-300">{aviso}</p>}
+
+      {!datos ? (
+        <p className="text-pcm-muted">Cargando revisiones...</p>
+      ) : (
+        <>
+          {/* Revisiones (la más reciente primero) */}
+          <div className="space-y-1">
+            {datos.versiones.map((v) => (
+              <div
+                key={v._id}
+                className="flex items-center justify-between gap-2 rounded-lg border border-white/10 px-2 py-1.5"
+              >
+                <div className="min-w-0">
+                  <p className="text-pcm-text">
+                    <span className="font-semibold">Rev. {v.revision}</span>
+                    {v.vigente ? (
+                      <span className="ml-2 rounded-full bg-emerald-500/15 border border-emerald-500/40 px-2 py-0.5 text-emerald-300">
+                        Vigente
+                      </span>
+                    ) : (
+                      <span className="ml-2 rounded-full bg-pcm-bg border border-white/10 px-2 py-0.5 text-pcm-muted">
+                        Reemplazada
+                      </span>
+                    )}
+                    <span className="ml-2 text-pcm-muted">{v.nombreOriginal}</span>
+                  </p>
+                  <p className="text-pcm-muted">
+                    {formatearFechaHora(v.fechaSubida)} · {nombreUsuario(v.autor)}
+                    {v.nota && ` · ${v.nota}`}
+                  </p>
+                </div>
+                <div className="flex shrink-0 gap-1">
+                  <button
+                    type="button"
+                    onClick={() => copiarEnlace(v)}
+                    className="p-1.5 rounded-lg bg-pcm-bg/80 hover:bg-pcm-bg text-pcm-text border border-white/10"
+                    title={`Copiar enlace temporal de la revisión ${v.revision}`}
+                  >
+                    <Link2 size={14} />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => descargarVersion(v)}
+                    className="p-1.5 rounded-lg bg-pcm-bg/80 hover:bg-pcm-bg text-pcm-text border border-white/10"
+                    title={`Descargar revisión ${v.revision}`}
+                  >
+                    <Download size={14} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {/* Historial de descargas */}
+          <div>
+            <p className="mb-1 font-semibold text-pcm-text">Descargas</p>
+            {datos.descargas.length === 0 ? (
+              <p className="text-pcm-muted">Aún no se ha descargado este documento.</p>
+            ) : (
+              <ul className="max-h-32 pcm-scroll-y space-y-0.5 text-pcm-muted">
+                {datos.descargas.map((d) => (
+                  <li key={d._id}>
+                    {formatearFechaHora(d.fecha)} · {nombreUsuario(d.usuario)} · Rev. {d.revision}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+
+      {/* Nueva revisión (solo admin / líder) */}
+      {puedeGestionar && (
+        <form onSubmit={subirRevision} className="flex flex-col md:flex-row gap-2">
+          <input
+            type="file"
+            onChange={(e) => setArchivo(e.target.files?.[0] || null)}
+            className="text-pcm-muted md:w-56"
+            aria-label="Archivo de la nueva revisión"
+          />
+          <input
+            type="text"
+            value={nota}
+            onChange={(e) => setNota(e.target.value)}
+            placeholder="Nota de cambio (ej. ajuste de cotas en eje 3)"
+            className="flex-1 bg-pcm-bg/80 border border-white/10 rounded px-2 py-1"
+          />
+          <button
+            type="submit"
+            disabled={guardando}
+            className="pcm-btn-primary inline-flex items-center justify-center gap-1 px-3 py-1 disabled:opacity-50"
+          >
+            <Upload size={14} />
+            {guardando ? 'Subiendo...' : 'Nueva revisión'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default RevisionesAdjunto;
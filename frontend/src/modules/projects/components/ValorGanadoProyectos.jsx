@@ -0,0 +1,300 @@
+// File: frontend/src/modules/projects/components/ValorGanadoProyectos.jsx
+// Description: Bloque de valor ganado (EVM) para el dashboard de ProCivil
+//              Manager (PCM). Lista por proyecto el presupuesto de materiales
+//              (BAC), PV, EV, AC, SPI, CPI, EAC y VAC, resalta las obras
+//              atrasadas o con sobrecosto y, al seleccionar un proyecto,
+//              grafica su evolución (cortes diarios frente a la curva
+//              planeada). Los cálculos los hace el backend.
+
+// =========================
+// Importaciones principales
+// =========================
+import React, { useEffect, useMemo, useState } from 'react';  // React y hooks.
+import {
+  LineChart,                                               // Gráfica de evolución.
+  Line,                                                    // Series PV/EV/AC.
+  XAxis,                                                   // Eje de fechas.
+  YAxis,                                                   // Eje de montos.
+  CartesianGrid,                                           // Cuadrícula de fondo.
+  Tooltip,                                                 // Tooltip con valores.
+  Legend,                                                  // Leyenda de series.
+  ResponsiveContainer,                                     // Contenedor adaptable.
+} from 'recharts';
+import { TrendingUp, AlertCircle } from 'lucide-react';     // Íconos del bloque.
+
+import {
+  obtenerValorGanadoProyectos,                             // GET /proyectos/valor-ganado
+  obtenerValorGanadoProyecto,                              // GET /proyectos/:id/valor-ganado
+} from '../../../services/api/api.js';
+
+// =========================
+// Utilidades de formato
+// =========================
+
+// Moneda abreviada con signo (los VAC pueden ser negativos).
+const formatearMoneda = (valor) => {
+  const numero = Number(valor) || 0;
+  const signo = numero < 0 ? '-' : '';
+  const absoluto = Math.abs(numero);
+  if (absoluto >= 1_000_000_000) return `${signo}$${(absoluto / 1_000_000_000).toFixed(2)}B`;
+  if (absoluto >= 1_000_000) return `${signo}$${(absoluto / 1_000_000).toFixed(2)}M`;
+  if (absoluto >= 1_000) return `${signo}$${(absoluto / 1_000).toFixed(1)}K`;
+  return `${signo}$${Math.round(absoluto).toLocaleString()}`;
+};
+
+// Índice con dos decimales o guion si no está definido.
+const formatearIndice = (valor) => (valor === null || valor === undefined ? '—' : Number(valor).toFixed(2));
+
+// Color del índice: rojo si está bajo el umbral del backend (marcado como alerta).
+const claseIndice = (valor, enAlerta) =>
+  valor === null || valor === undefined
+    ? 'text-pcm-muted'
+    : enAlerta
+      ? 'text-rose-300 font-semibold'
+      : 'text-emerald-300';
+
+// Fecha corta (los cortes se guardan a medianoche UTC).
+const formatearFechaCorta = (valor) =>
+  new Date(valor).toLocaleDateString('es-CO', { timeZone: 'UTC', day: '2-digit', month: 'short' });
+
+/**
+ * Bloque de valor ganado del portafolio.
+ *
+ * Props:
+ * - titulo: texto del encabezado (opcional).
+ */
+const ValorGanadoProyectos = ({ titulo = 'Valor ganado por proyecto' }) => {
+  const [datos, setDatos] = useState(null);                 // { proyectos, totales, resumen }.
+  const [cargando, setCargando] = useState(false);          // Carga del portafolio.
+  const [error, setError] = useState('');                   // Mensaje de error.
+  const [idSeleccionado, setIdSeleccionado] = useState(''); // Proyecto graficado.
+  const [evolucion, setEvolucion] = useState(null);         // { actual, serie, curvaPlaneada }.
+  const [cargandoEvolucion, setCargandoEvolucion] = useState(false);
+
+  // Carga inicial del portafolio
+  useEffect(() => {
+    let activo = true;
+    setCargando(true);
+    obtenerValorGanadoProyectos()
+      .then((respuesta) => {
+        if (!activo) return;
+        setDatos(respuesta);
+        // Grafica por defecto el proyecto más comprometido con presupuesto.
+        const primero = (respuesta?.proyectos || []).find((p) => !p.sinPresupuesto);
+        if (primero) setIdSeleccionado(primero.proyecto._id);
+      })
+      .catch((err) => activo && setError(err.message || 'No fue posible calcular el valor ganado'))
+      .finally(() => activo && setCargando(false));
+    return () => {
+      activo = false;
+    };
+  }, []);
+
+  // Evolución del proyecto seleccionado
+  useEffect(() => {
+    if (!idSeleccionado) return undefined;
+    let activo = true;
+    setCargandoEvolucion(true);
+    obtenerValorGanadoProyecto(idSeleccionado)
+      .then((respuesta) => activo && setEvolucion(respuesta))
+      .catch(() => activo && setEvolucion(null))
+      .finally(() => activo && setCargandoEvolucion(false));
+    return () => {
+      activo = false;
+    };
+  }, [idSeleccionado]);
+
+  // Une la curva planeada y los cortes reales en una sola serie por fecha.
+  const datosGrafica = useMemo(() => {
+    if (!evolucion) return [];
+    const porFecha = new Map();
+    const punto = (fecha) => {
+      const clave = new Date(fecha).toISOString().slice(0, 10);
+      if (!porFecha.has(clave)) porFecha.set(clave, { clave, fecha: formatearFechaCorta(fecha) });
+      return porFecha.get(clave);
+    };
+    (evolucion.curvaPlaneada || []).forEach((p) => {
+      punto(p.fecha).planeado = p.pv;
+    });
+    (evolucion.serie || []).forEach((c) => {
+      Object.assign(punto(c.fecha), { pv: c.pv, ev: c.ev, ac: c.ac });
+    });
+    return [...porFecha.values()].sort((a, b) => a.clave.localeCompare(b.clave));
+  }, [evolucion]);
+
+  const proyectos = datos?.proyectos || [];
+  const totales = datos?.totales;
+  const resumen = datos?.resumen;
+
+  // Sin proyectos no se muestra el bloque.
+  if (!cargando && !error && proyectos.length === 0) return null;
+
+  return (
+    <div
+      className="bg-pcm-surfaceSoft/80 backdrop-blur-xl rounded-pcm-xl p-6
+                 border border-white/10 shadow-pcm-soft animate-slide-up-soft"
+    >
+      {/* Encabezado con resumen del portafolio */}
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3 mb-4">
+        <div>
+          <h3 className="text-xl font-semibold text-pcm-text flex items-center">
+            <span className="w-1 h-6 bg-pcm-primary rounded-full mr-3" />
+            {titulo}
+          </h3>
+          <p className="text-[11px] text-pcm-muted mt-1">
+            Presupuesto de materiales (BAC) frente al avance planeado y real y al costo de
+            materiales consumidos. SPI o CPI bajo 0.95 marcan atraso o sobrecosto.
+          </p>
+        </div>
+
+        {resumen && totales && (
+          <div className="flex flex-wrap gap-2 text-xs">
+            <span className="px-3 py-1 rounded-full bg-rose-500/15 border border-rose-500/40 text-rose-300">
+              Atrasados: {resumen.atrasados}
+            </span>
+            <span className="px-3 py-1 rounded-full bg-amber-500/15 border border-amber-500/40 text-amber-300">
+              Sobre costo: {resumen.sobrecosto}
+            </span>
+            <span className="px-3 py-1 rounded-full bg-pcm-bg/70 border border-white/10 text-pcm-text">
+              SPI: {formatearIndice(totales.spi)} · CPI: {formatearIndice(totales.cpi)}
+            </span>
+            <span className="px-3 py-1 rounded-full bg-pcm-bg/70 border border-white/10 text-pcm-text">
+              VAC: {formatearMoneda(totales.vac)}
+            </span>
+          </div>
+        )}
+      </div>
+
+      {cargando && <p className="text-sm text-pcm-muted">Calculando valor ganado...</p>}
+
+      {error && (
+        <div className="flex items-start gap-2 rounded-pcm-xl border border-rose-500/40 bg-rose-500/10 px-4 py-3 text-sm text-rose-300">
+          <AlertCircle size={16} className="mt-0.5 shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {proyectos.length > 0 && (
+        <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+          {/* Tabla por proyecto */}
+          <div className="xl:col-span-3 overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-pcm-muted border-b border-white/10">
+                  <th className="py-2 pr-2">Proyecto</th>
+                  <th className="py-2 px-2 text-right">BAC</th>
+                  <th className="py-2 px-2 text-right">PV</th>
+                  <th className="py-2 px-2 text-right">EV</th>
+                  <th className="py-2 px-2 text-right">AC</th>
+                  <th className="py-2 px-2 text-right">SPI</th>
+                  <th className="py-2 px-2 text-right">CPI</th>
+                  <th className="py-2 px-2 text-right">EAC</th>
+                  <th className="py-2 pl-2 text-right">VAC</th>
+                </tr>
+              </thead>
+              <tbody>
+                {proyectos.map((p) => {
+                  const seleccionado = p.proyecto._id === idSeleccionado;
+                  return (
+                    <tr
+                      key={p.proyecto._id}
+                      onClick={() => !p.sinPresupuesto && setIdSeleccionado(p.proyecto._id)}
+                      className={`border-b border-white/5 ${
+                        p.sinPresupuesto ? 'opacity-60' : 'cursor-pointer hover:bg-pcm-bg/40'
+                      } ${seleccionado ? 'bg-pcm-primary/10' : ''}`}
+                    >
+                      <td className="py-2 pr-2 text-pcm-text max-w-[180px] truncate" title={p.proyecto.title}>
+                        {p.proyecto.title}
+                      </td>
+                      {p.sinPresupuesto ? (
+                        <td colSpan={8} className="py-2 px-2 text-right text-pcm-muted">
+                          Sin presupuesto de materiales
+                        </td>
+                      ) : (
+                        <>
+                          <td className="py-2 px-2 text-right text-pcm-text">{formatearMoneda(p.bac)}</td>
+                          <td className="py-2 px-2 text-right text-pcm-text">{formatearMoneda(p.pv)}</td>
+                          <td className="py-2 px-2 text-right text-pcm-text">{formatearMoneda(p.ev)}</td>
+                          <td className="py-2 px-2 text-right text-pcm-text">{formatearMoneda(p.ac)}</td>
+                          <td className={`py-2 px-2 text-right ${claseIndice(p.spi, p.atrasado)}`}>
+                            {formatearIndice(p.spi)}
+                          </td>
+                          <td className={`py-2 px-2 text-right ${claseIndice(p.cpi, p.sobrecosto)}`}>
+                            {formatearIndice(p.cpi)}
+                          </td>
+                          <td className="py-2 px-2 text-right text-pcm-text">{formatearMoneda(p.eac)}</td>
+                          <td
+                            className={`py-2 pl-2 text-right ${p.vac < 0 ? 'text-rose-300' : 'text-pcm-text'}`}
+                          >
+                            {formatearMoneda(p.vac)}
+                          </td>
+                        </>
+                      )}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Evolución del proyecto seleccionado */}
+          <div className="xl:col-span-2">
+            <p className="text-sm font-semibold text-pcm-text mb-1 flex items-center gap-2">
+              <TrendingUp size={16} className="text-pcm-primary" />
+              {evolucion?.actual?.proyecto?.title || 'Evolución'}
+            </p>
+            {evolucion?.actual && (
+              <p className="text-[11px] text-pcm-muted mb-3">
+                Avance planeado {evolucion.actual.avancePlaneado}% (
+                {evolucion.actual.fuenteAvancePlaneado === 'cronograma' ? 'según cronograma' : 'según fechas'}
+                ) · avance real {evolucion.actual.avanceReal}%
+              </p>
+            )}
+
+            {cargandoEvolucion ? (
+              <p className="text-sm text-pcm-muted">Cargando evolución...</p>
+            ) : datosGrafica.length === 0 ? (
+              <p className="text-sm text-pcm-muted">Seleccione un proyecto con presupuesto.</p>
+            ) : (
+              <ResponsiveContainer width="100%" height={240}>
+                <LineChart data={datosGrafica}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(148,163,184,0.1)" />
+                  <XAxis dataKey="fecha" stroke="#94a3b8" style={{ fontSize: '11px' }} />
+                  <YAxis
+                    stroke="#94a3b8"
+                    style={{ fontSize: '11px' }}
+                    tickFormatter={(valor) => formatearMoneda(valor)}
+                  />
+                  <Tooltip
+                    contentStyle={{
+                      backgroundColor: 'rgba(15, 23, 42, 0.95)',
+                      border: '1px solid rgba(148,163,184,0.2)',
+                      borderRadius: '12px',
+                    }}
+                    labelStyle={{ color: '#f1f5f9' }}
+                    formatter={(valor) => formatearMoneda(valor)}
+                  />
+                  <Legend wrapperStyle={{ fontSize: '11px' }} />
+                  <Line
+                    type="monotone"
+                    dataKey="planeado"
+                    name="PV planeado"
+                    stroke="#94a3b8"
+                    strokeDasharray="4 4"
+                    dot={false}
+                    connectNulls
+                  />
+                  <Line type="monotone" dataKey="pv" name="PV" stroke="#3B82F6" dot={{ r: 3 }} connectNulls />
+                  <Line type="monotone" dataKey="ev" name="EV" stroke="#10B981" dot={{ r: 3 }} connectNulls />
+                  <Line type="monotone" dataKey="ac" name="AC" stroke="#F97316" dot={{ r: 3 }} connectNulls />
+                </LineChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ValorGanadoProyectos;
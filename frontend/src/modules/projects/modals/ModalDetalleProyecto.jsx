@@ -1,10 +1,12 @@
 // File: frontend/src/modules/projects/modals/ModalDetalleProyecto.jsx
 // Description: Modal de detalle de proyecto para ProCivil Manager (PCM). Muestra
 //              información general del proyecto, materiales asignados y sus
-//              estadísticas, presupuesto y costos, comentarios, asignación
-//              de líder de obra, equipo y archivos adjuntos. Integra llamadas
-//              al backend para descargar PDF, cargar presupuesto/costos, gestionar
-//              líder, comentarios y adjuntos, usando el tema visual global PCM
+//              estadísticas, presupuesto y costos, cronograma (Gantt),
+//              bitácora de obra, comentarios, asignación de líder de obra, equipo, archivos
+//              adjuntos (con revisiones, historial de descargas y aprobación) y galería de
+//              fotos de avance. Integra llamadas al backend para descargar PDF,
+//              cargar presupuesto/costos, gestionar líder, comentarios y
+//              adjuntos, usando el tema visual global PCM
 //              (colores pcm, sombras, radios, animaciones personalizadas y lógica
 //              de colores por rol en el workspace). Implementa su propio overlay,
 //              bloqueo de scroll del body y cierre por ESC, sin usar ModalGenerico.
@@ -30,6 +32,8 @@ import {
   Image as ImageIcon,                         // Ícono genérico tipo imagen cuando el adjunto no es miniatura vista.
   Trash2,                                     // Ícono de papelera para eliminar adjuntos.
   ChevronDown,                                // Ícono de flecha hacia abajo para dropdown de líderes.
+  History,                                    // Ícono para ver las revisiones de un adjunto.
+  ShieldAlert,                                // Ícono para adjuntos retenidos en cuarentena.
 } from 'lucide-react';                        // Importa todos los íconos desde lucide-react.
 
 // Importación de servicios de API del backend PCM
@@ -43,17 +47,34 @@ import {
   removeLeader,                              // Servicio que remueve el líder de obra del proyecto.
   uploadProjectFiles,                        // Servicio que sube archivos adjuntos al proyecto.
   deleteAdjunto,                             // Servicio que elimina un adjunto de un proyecto.
+  descargarAdjuntoProyecto,                  // Servicio que descarga un adjunto registrando la descarga.
+  obtenerFotosProyecto,                      // Galería de fotos (enlaces firmados para las vistas previas).
   obtenerProyectoPorId,                      // Nuevo servicio: obtener detalles de proyecto por ID.
   registrarUsoMaterialProyecto,              // Nuevo servicio: registrar uso de material asignado.
+  obtenerUnidadesMaterial,                   // Servicio que lista las unidades compatibles de un material.
 } from '../../../services/api/api.js';       // Importa todos los servicios desde la capa centralizada de API.
 
 // Importación del modal de presupuesto de proyecto
 import ModalPresupuestoProyecto from './ModalPresupuestoProyecto.jsx'; // Modal específico para crear/editar el presupuesto de materiales.
 
-// Base URL de la API para construir rutas de archivos
-const API_BASE_URL = (                        // Define la URL base de la API para construir URLs de adjuntos.
-  import.meta.env.VITE_API_URL || 'http://localhost:5000/api' // Usa variable de entorno o valor por defecto.
-).replace(/\/api$/, '');                      // Elimina el sufijo /api para poder concatenar rutas de archivos.
+// Cronograma del proyecto (EDT, dependencias y Gantt)
+import CronogramaProyecto from '../components/CronogramaProyecto.jsx';
+import BitacoraProyecto from '../components/BitacoraProyecto.jsx';
+import GaleriaFotosProyecto from '../components/GaleriaFotosProyecto.jsx';
+import RevisionesAdjunto from '../components/RevisionesAdjunto.jsx';
+import AprobacionAdjunto, {
+  ESTADOS_APROBACION,
+  estadoAprobacionAdjunto,
+} from '../components/AprobacionAdjunto.jsx';
+
+// Categorías de documento: limitan los tipos de archivo que admite el backend.
+const CATEGORIAS_DOCUMENTO = [
+  { valor: 'general', etiqueta: 'General' },
+  { valor: 'plano', etiqueta: 'Plano (PDF, DWG, DXF, imagen)' },
+  { valor: 'contrato', etiqueta: 'Contrato (PDF, Word)' },
+  { valor: 'informe', etiqueta: 'Informe (PDF, Office, CSV)' },
+  { valor: 'foto', etiqueta: 'Foto de obra (JPG, PNG, WebP, TIFF)' },
+];
 
 // Componente principal: ModalDetalleProyecto
 const ModalDetalleProyecto = ({               // Define el componente funcional ModalDetalleProyecto.
@@ -90,10 +111,18 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
   // Mapa de cantidades a consumir por cada material (clave: id del material).
   const [usoValues, setUsoValues] = useState({});
 
+  // Unidad elegida para el consumo y unidades compatibles por material
+  // (se cargan al abrir el selector; clave: id del material).
+  const [usoUnidades, setUsoUnidades] = useState({});
+  const [unidadesPorMaterial, setUnidadesPorMaterial] = useState({});
+
   // Estados para adjuntos / archivos
   const [adjuntos, setAdjuntos] = useState([]);              // Lista de archivos adjuntos del proyecto.
   const [uploadingFiles, setUploadingFiles] = useState(false); // Bandera de carga mientras se suben archivos.
   const [deletingFileId, setDeletingFileId] = useState(null); // ID del archivo que se está eliminando.
+  const [revisionesFileId, setRevisionesFileId] = useState(null); // ID del adjunto con el panel de revisiones y aprobación abierto.
+  const [categoriaArchivos, setCategoriaArchivos] = useState('general'); // Categoría de documento de la próxima subida.
+  const [vistasPrevias, setVistasPrevias] = useState({});    // Enlace firmado de la miniatura por ID de adjunto.
 
   // Efecto: carga de datos cada vez que cambia el proyecto
   useEffect(() => {                                         // Efecto que se dispara al cambiar selectedProject.
@@ -107,6 +136,7 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
 
     // Reinicia los valores de consumo cuando se cambia de proyecto.
     setUsoValues({});
+    setUsoUnidades({});
 
     setLoadingBudget(true);                                 // Marca que se está cargando el presupuesto.
     setLoadingCost(true);                                   // Marca que se están cargando los costos.
@@ -234,22 +264,31 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
    *
    * @param {string} materialId ID del material asignado al proyecto.
    * @param {number|string} cantidad Cantidad a consumir.
+   * @param {string} [unidad] Unidad de la cantidad (por defecto, la del material).
    */
-  const handleRegistrarUso = async (materialId, cantidad) => {
+  const handleRegistrarUso = async (materialId, cantidad, unidad) => {
     const qty = Number(cantidad);
     // Valida número positivo y diferente de 0
     if (!Number.isFinite(qty) || qty <= 0) return;
     if (!projectDetails || !projectDetails._id) return;
     try {
-      await registrarUsoMaterialProyecto(projectDetails._id, materialId, qty);
-      // Actualiza localmente la cantidad utilizada del material
+      const respuesta = await registrarUsoMaterialProyecto(projectDetails._id, materialId, qty, unidad || undefined);
+      // Actualiza localmente la cantidad utilizada (y la reserva restante) del material
       setProjectDetails((prev) => {
         if (!prev || !Array.isArray(prev.materiales)) return prev;
         const updated = prev.materiales.map((m) => {
           const id = m.material?._id || m.material;
           if (id?.toString() === materialId.toString()) {
-            const nuevaUtilizada = (Number(m.cantidadUtilizada) || 0) + qty;
-            return { ...m, cantidadUtilizada: nuevaUtilizada };
+            const actualizado = respuesta?.material;
+            // El backend devuelve lo utilizado ya convertido a la unidad del material
+            const nuevaUtilizada = actualizado
+              ? Number(actualizado.cantidadUtilizada) || 0
+              : (Number(m.cantidadUtilizada) || 0) + qty;
+            return {
+              ...m,
+              cantidadUtilizada: nuevaUtilizada,
+              cantidadReservada: actualizado ? actualizado.cantidadReservada : m.cantidadReservada,
+            };
           }
           return m;
         });
@@ -271,6 +310,22 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
     }
   };
 
+  /**
+   * Carga (una sola vez) las unidades en que se puede registrar el consumo
+   * de un material: la propia, sus equivalencias y las del catálogo.
+   *
+   * @param {string} materialId ID del material.
+   */
+  const cargarUnidadesUso = async (materialId) => {
+    if (!materialId || unidadesPorMaterial[materialId]) return;
+    try {
+      const data = await obtenerUnidadesMaterial(materialId);
+      setUnidadesPorMaterial((prev) => ({ ...prev, [materialId]: data?.unidades || [] }));
+    } catch (error) {
+      console.error('Error al cargar unidades del material:', error);
+    }
+  };
+
   // Manejo de comentarios
   const handleAddComment = async () => {                   // Función asincrónica para agregar un comentario.
     if (!selectedProject || !selectedProject._id) return;  // Verifica que exista proyecto válido.
@@ -402,7 +457,10 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
     try {
       const result = await uploadProjectFiles(             // Llama al servicio de subida de archivos.
         selectedProject._id,
-        files
+        files,
+        '',
+        {},
+        categoriaArchivos                                  // Categoría con la que el backend inspecciona los archivos.
       );
       let nuevosAdjuntos = [];                             // Arreglo temporal para los adjuntos finales.
 
@@ -420,15 +478,21 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
         setAdjuntos(nuevosAdjuntos);                       // Reemplaza la lista actual por la nueva.
       }
 
-      setFeedback({                                        // Feedback de éxito.
-        type: 'success',
-        message: 'Archivo(s) adjuntado(s) correctamente al proyecto.',
+      const previos = new Set(adjuntos.map((a) => a._id)); // Adjuntos que ya existían antes de la subida.
+      const retenidos = nuevosAdjuntos.filter(             // Archivos nuevos que el backend dejó en cuarentena.
+        (a) => !previos.has(a._id) && a.cuarentena?.estado === 'pendiente'
+      );
+      setFeedback({                                        // Feedback de éxito (o aviso de cuarentena).
+        type: retenidos.length > 0 ? 'error' : 'success',
+        message: retenidos.length > 0
+          ? result.message
+          : 'Archivo(s) adjuntado(s) correctamente al proyecto.',
       });
     } catch (error) {
       console.error('Error al subir archivos:', error);    // Loguea error.
-      setFeedback({                                        // Feedback de error.
+      setFeedback({                                        // Feedback de error (p. ej. tipo no permitido en la categoría).
         type: 'error',
-        message: 'No se pudieron adjuntar los archivos.',
+        message: error?.message || 'No se pudieron adjuntar los archivos.',
       });
     } finally {
       setUploadingFiles(false);                            // Quita la bandera de subida.
@@ -480,7 +544,28 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
     }
   };
 
+  const handleDownloadFile = async (file) => {            // Descarga la revisión vigente (queda en el historial).
+    if (!selectedProject || !selectedProject._id) return;
+
+    try {
+      await descargarAdjuntoProyecto(selectedProject._id, file._id, {
+        nombre: file.nombreOriginal,
+      });
+    } catch (error) {
+      console.error('Error al descargar archivo:', error); // Loguea el error.
+      setFeedback({                                        // Feedback de error.
+        type: 'error',
+        message: error.message || 'No se pudo descargar el archivo.',
+      });
+    }
+  };
+
   // Estadísticas de materiales
+  // Costo unitario de una asignación: el costo con el que salió del inventario
+  // (promedio ponderado); en asignaciones antiguas, el costo promedio o el precio del material.
+  const obtenerCostoAsignacion = (item) =>
+    item?.costoUnitario ?? item?.material?.costoPromedio ?? item?.material?.precioUnitario ?? 0;
+
   const calcularEstadisticasMateriales = () => {           // Calcula estadísticas globales de materiales.
     const materiales = projectDetails?.materiales;
     if (!projectDetails || !Array.isArray(materiales) || materiales.length === 0) {
@@ -496,7 +581,7 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
     const utilizado = materiales.reduce((sum, m) => sum + (m.cantidadUtilizada || 0), 0);
     const disponible = total - utilizado;
     const costoTotal = materiales.reduce((sum, m) => {
-      const precio = m.material?.precioUnitario || 0;
+      const precio = obtenerCostoAsignacion(m);
       const cant = m.cantidadAsignada || 0;
       return sum + cant * precio;
     }, 0);
@@ -546,6 +631,23 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
   const canManageFiles =                                   // Determina si el usuario puede gestionar archivos.
     currentUserRole === 'admin' || currentUserRole === 'lider de obra';
 
+  // Cronograma: admin o líder (el backend exige además que sea el líder asignado).
+  const canEditSchedule =
+    currentUserRole === 'admin' || currentUserRole === 'lider de obra';
+  const scheduleResponsibles =                             // Responsables seleccionables para las tareas.
+    leaders.length > 0
+      ? leaders
+      : selectedProject?.lider && selectedProject.lider._id
+      ? [selectedProject.lider]
+      : [];
+
+  // Bitácora: registra admin o líder (asignado, validado en el backend);
+  // refrenda la interventoría (admin o auditor).
+  const canWriteSiteLog =
+    currentUserRole === 'admin' || currentUserRole === 'lider de obra';
+  const canCountersignSiteLog =
+    currentUserRole === 'admin' || currentUserRole === 'auditor';
+
   const clasePanelRol =                                    // Clase de panel con modificador por rol (para colores dinámicos).
     currentUserRole === 'admin'
       ? 'pcm-panel pcm-panel--admin'
@@ -557,6 +659,32 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
       ? 'pcm-panel pcm-panel--auditor'
       : 'pcm-panel pcm-panel--lider';                      // Fallback visual: líder.
 
+  // Vistas previas de las imágenes adjuntas: los archivos no son públicos,
+  // así que se usan los enlaces firmados y temporales de la galería.
+  useEffect(() => {
+    const proyectoId = selectedProject?._id;
+    const hayImagenes = adjuntos.some((a) => a.tipoMime?.startsWith('image/'));
+    if (!proyectoId || !hayImagenes) {
+      setVistasPrevias({});
+      return undefined;
+    }
+
+    let activo = true;
+    obtenerFotosProyecto(proyectoId)
+      .then((galeria) => {
+        if (!activo) return;
+        const enlaces = {};
+        (galeria?.fotos || []).forEach((foto) => {
+          enlaces[foto._id] = foto.urlMiniatura || foto.url;
+        });
+        setVistasPrevias(enlaces);
+      })
+      .catch(() => activo && setVistasPrevias({})); // Sin vista previa se muestra el ícono genérico.
+    return () => {
+      activo = false;
+    };
+  }, [selectedProject?._id, adjuntos]);
+
   // Flag de apertura del modal y efectos visuales globales
   const estaAbierto = !!selectedProject;                   // El modal se considera abierto si hay un proyecto seleccionado.
 
@@ -925,7 +1053,7 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
                                   : 0;
 
                               const costoMaterial =
-                                (item.material?.precioUnitario || 0) * asignada; // Costo estimado del material.
+                                obtenerCostoAsignacion(item) * asignada; // Costo del material asignado.
 
                               return (
                                 <div
@@ -951,7 +1079,7 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
                                       </p>
                                       <p className="text-pcm-muted text-xs">
                                         $
-                                        {(item.material?.precioUnitario || 0).toLocaleString(
+                                        {Number(obtenerCostoAsignacion(item)).toLocaleString(
                                           'es-CO',
                                           { minimumFractionDigits: 2 }
                                         )}
@@ -988,6 +1116,13 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
                                   </div>
                                 </div>
 
+                                {/* Reserva vigente en el almacén (asignaciones con reserva) */}
+                                {item.cantidadReservada !== null && item.cantidadReservada !== undefined && (
+                                  <p className="text-pcm-muted text-xs mb-4">
+                                    Reservado en almacén: {item.cantidadReservada}
+                                  </p>
+                                )}
+
                                 {/* Barra de progreso por material */}
                                 <div>
                                   <div className="flex justify-between items-center mb-2">
@@ -1013,37 +1148,62 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
                                 </div>
 
                                 {/* Registro de uso de material (solo admin/líder) */}
-                                {(currentUserRole === 'admin' || currentUserRole === 'lider de obra') && (
-                                  <div className="mt-4 flex flex-col md:flex-row md:items-center gap-2">
-                                    <input
-                                      type="number"
-                                      min="0"
-                                      max={Math.max(0, asignada - utilizada)}
-                                      placeholder="Cantidad a usar"
-                                      className="w-full md:w-24 bg-pcm-bg/80 border border-white/10 rounded px-2 py-1 text-sm text-center"
-                                      value={usoValues[item.material?._id || item.material] || ''}
-                                      onChange={(e) => {
-                                        const val = e.target.value;
-                                        setUsoValues((prev) => ({
-                                          ...prev,
-                                          [item.material?._id || item.material]: val,
-                                        }));
-                                      }}
-                                    />
-                                    <button
-                                      type="button"
-                                      onClick={() => handleRegistrarUso(item.material?._id || item.material, usoValues[item.material?._id || item.material])}
-                                      disabled={
-                                        !usoValues[item.material?._id || item.material] ||
-                                        Number(usoValues[item.material?._id || item.material]) <= 0 ||
-                                        Number(usoValues[item.material?._id || item.material]) > (asignada - utilizada)
-                                      }
-                                      className="pcm-btn-secondary text-xs font-semibold disabled:opacity-50"
-                                    >
-                                      Usar
-                                    </button>
-                                  </div>
-                                )}
+                                {(currentUserRole === 'admin' || currentUserRole === 'lider de obra') && (() => {
+                                  const idMaterial = item.material?._id || item.material;
+                                  const unidadesMaterial = unidadesPorMaterial[idMaterial] || [];
+                                  const unidadUso = usoUnidades[idMaterial] || '';
+                                  // Factor de la unidad elegida hacia la unidad del material (1 si es la propia)
+                                  const factorUso =
+                                    unidadesMaterial.find((u) => u.unidad === unidadUso)?.factor || 1;
+                                  const cantidadUso = Number(usoValues[idMaterial]) || 0;
+                                  return (
+                                    <div className="mt-4 flex flex-col md:flex-row md:items-center gap-2">
+                                      <input
+                                        type="number"
+                                        min="0"
+                                        placeholder="Cantidad a usar"
+                                        className="w-full md:w-24 bg-pcm-bg/80 border border-white/10 rounded px-2 py-1 text-sm text-center"
+                                        value={usoValues[idMaterial] || ''}
+                                        onChange={(e) => {
+                                          const val = e.target.value;
+                                          setUsoValues((prev) => ({
+                                            ...prev,
+                                            [idMaterial]: val,
+                                          }));
+                                        }}
+                                      />
+                                      <select
+                                        className="w-full md:w-32 bg-pcm-bg/80 border border-white/10 rounded px-2 py-1 text-sm"
+                                        value={unidadUso}
+                                        onFocus={() => cargarUnidadesUso(idMaterial)}
+                                        onChange={(e) =>
+                                          setUsoUnidades((prev) => ({ ...prev, [idMaterial]: e.target.value }))
+                                        }
+                                        title="Unidad en que se registra el consumo"
+                                      >
+                                        <option value="">{item.material?.unidad || 'Unidad del material'}</option>
+                                        {unidadesMaterial
+                                          .filter((u) => u.origen !== 'material')
+                                          .map((u) => (
+                                            <option key={u.unidad} value={u.unidad}>
+                                              {u.unidad} (= {u.factor} {item.material?.unidad || ''})
+                                            </option>
+                                          ))}
+                                      </select>
+                                      <button
+                                        type="button"
+                                        onClick={() => handleRegistrarUso(idMaterial, usoValues[idMaterial], unidadUso)}
+                                        disabled={
+                                          cantidadUso <= 0 ||
+                                          cantidadUso * factorUso > (asignada - utilizada)
+                                        }
+                                        className="pcm-btn-secondary text-xs font-semibold disabled:opacity-50"
+                                      >
+                                        Usar
+                                      </button>
+                                    </div>
+                                  );
+                                })()}
 
                                 {/* Fecha de asignación si existe */}
                                 {item.fechaAsignacion && (
@@ -1074,6 +1234,20 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
                     </div>
                   )}
 
+                  {/* Bloque: Cronograma (tareas, dependencias y Gantt) */}
+                  <CronogramaProyecto
+                    idProyecto={selectedProject._id}
+                    puedeEditar={canEditSchedule}
+                    responsables={scheduleResponsibles}
+                  />
+
+                  {/* Bloque: Bitácora de obra (entradas diarias firmadas) */}
+                  <BitacoraProyecto
+                    idProyecto={selectedProject._id}
+                    puedeRegistrar={canWriteSiteLog}
+                    puedeRefrendar={canCountersignSiteLog}
+                  />
+
                   {/* Bloque: Archivos adjuntos */}
                   <div className="bg-pcm-surfaceSoft/80 backdrop-blur-sm rounded-pcm-xl p-6 border border-white/10 shadow-pcm-soft">
                     <h4 className="text-xl font-bold text-pcm-primary mb-4 flex items-center gap-2">
@@ -1083,24 +1257,30 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
 
                     {/* Lista de adjuntos si existen */}
                     {adjuntos && adjuntos.length > 0 ? (
-                      <div className="space-y-3 max-h-64 pcm-scroll-y pr-2 mb-4">
+                      <div className="space-y-3 max-h-96 pcm-scroll-y pr-2 mb-4">
                         {adjuntos.map((file) => {
                           const isImage = file.tipoMime?.startsWith('image/'); // Determina si el archivo es imagen.
-                          const fileUrl = `${API_BASE_URL}${file.ruta || ''}`;  // Construye la URL pública del archivo.
-                          const esPdf = (file.tipoMime && file.tipoMime.includes('pdf')) || (file.nombreOriginal && file.nombreOriginal.toLowerCase().endsWith('.pdf'));
+                          const fileUrl = vistasPrevias[file._id];         // Enlace firmado de la vista previa (si es foto).
                           const sizeKb = file.size
                             ? (file.size / 1024).toFixed(1)
                             : null;                                  // Tamaño en KB si existe.
+                          const aprobacion = ESTADOS_APROBACION[estadoAprobacionAdjunto(file)]; // Estado de aprobación de la revisión vigente.
+                          const retenido = file.cuarentena?.estado === 'pendiente'; // Revisión vigente en cuarentena (sin vista previa).
 
                           return (
+                            <div key={file._id}>
                             <div
-                              key={file._id}
                               className="flex items-center justify-between bg-pcm-bg/70 rounded-xl p-3 border border-white/10 hover:border-pcm-primary/40 transition-all"
                             >
                               {/* Izquierda: miniatura + nombre + metadatos */}
                               <div className="flex items-center gap-3">
                                 <div className="w-10 h-10 rounded-lg overflow-hidden bg-pcm-bg flex items-center justify-center border border-white/10">
-                                  {isImage ? (
+                                  {retenido ? (
+                                    <ShieldAlert
+                                      size={20}
+                                      className="text-red-300"
+                                    />
+                                  ) : isImage && fileUrl ? (
                                     <img
                                       src={fileUrl}
                                       alt={file.nombreOriginal || 'Adjunto'}
@@ -1114,17 +1294,28 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
                                   )}
                                 </div>
                                 <div>
-                                  <a
-                                    href={fileUrl}
-                                    target="_blank"
-                                    rel="noopener noreferrer"
-                                    className="text-sm font-semibold text-pcm-text hover:text-pcm-primary line-clamp-1"
+                                  <button
+                                    type="button"
+                                    onClick={() => handleDownloadFile(file)}  // Descarga registrada de la revisión vigente.
+                                    className="text-left text-sm font-semibold text-pcm-text hover:text-pcm-primary line-clamp-1"
                                     title={file.nombreOriginal || file.nombre}
-                                    download={esPdf ? undefined : ''}
                                   >
                                     {file.nombreOriginal || file.nombre || 'Archivo adjunto'}
-                                  </a>
+                                  </button>
                                   <p className="text-xs text-pcm-muted">
+                                    {retenido ? (
+                                      <span
+                                        className="mr-1 rounded-full border px-1.5 border-red-500/40 bg-red-500/10 text-red-300"
+                                        title={(file.cuarentena.motivos || []).join('\n')}
+                                      >
+                                        En cuarentena
+                                      </span>
+                                    ) : (
+                                      <span className={`mr-1 rounded-full border px-1.5 ${aprobacion.clase}`}>
+                                        {aprobacion.etiqueta}
+                                      </span>
+                                    )}
+                                    Rev. {file.revision || 'A'} ·{' '}
                                     {file.tipoMime || 'Tipo desconocido'}
                                     {sizeKb && ` · ${sizeKb} KB`}
                                     {file.fechaSubida && (
@@ -1139,16 +1330,30 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
 
                               {/* Derecha: acciones sobre el archivo */}
                               <div className="flex items-center gap-2">
-                                {/* Ver / descargar */}
-                                <a
-                                  href={fileUrl}
-                                  target="_blank"
-                                  rel="noopener noreferrer"
-                                  className="px-2 py-1 text-xs rounded-lg bg-pcm-bg/80 hover:bg-pcm-bg text-pcm-text border border-white/10"
-                                  download={esPdf ? undefined : ''}
+                                {/* Descargar la revisión vigente (queda registrada; en cuarentena solo el admin) */}
+                                {(!retenido || currentUserRole === 'admin') && (
+                                  <button
+                                    onClick={() => handleDownloadFile(file)}  // Handler de descarga registrada.
+                                    className="px-2 py-1 text-xs rounded-lg bg-pcm-bg/80 hover:bg-pcm-bg text-pcm-text border border-white/10"
+                                  >
+                                    Descargar
+                                  </button>
+                                )}
+
+                                {/* Revisiones e historial de descargas */}
+                                <button
+                                  onClick={() =>
+                                    setRevisionesFileId(revisionesFileId === file._id ? null : file._id)
+                                  }
+                                  className={`p-2 rounded-lg border border-white/10 ${
+                                    revisionesFileId === file._id
+                                      ? 'bg-pcm-primary/20 text-pcm-primary'
+                                      : 'bg-pcm-bg/80 hover:bg-pcm-bg text-pcm-text'
+                                  }`}
+                                  title="Revisiones, descargas y aprobación"
                                 >
-                                  Ver / Descargar
-                                </a>
+                                  <History size={16} />
+                                </button>
 
                                 {/* Eliminar (solo admin / líder) */}
                                 {canManageFiles && (
@@ -1163,6 +1368,34 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
                                 )}
                               </div>
                             </div>
+
+                            {/* Panel de revisiones y aprobación del adjunto */}
+                            {revisionesFileId === file._id && (
+                              <>
+                                <RevisionesAdjunto
+                                  idProyecto={selectedProject._id}
+                                  adjunto={file}
+                                  puedeGestionar={canManageFiles}
+                                  alActualizar={setAdjuntos}
+                                />
+                                <AprobacionAdjunto
+                                  idProyecto={selectedProject._id}
+                                  adjunto={file}
+                                  rolUsuario={currentUserRole}
+                                  puedeEnviar={canManageFiles}
+                                  alActualizar={(actualizado) =>
+                                    setAdjuntos((prev) =>
+                                      prev.map((a) =>
+                                        a._id === actualizado._id
+                                          ? { ...a, aprobaciones: actualizado.aprobaciones }
+                                          : a
+                                      )
+                                    )
+                                  }
+                                />
+                              </>
+                            )}
+                            </div>
                           );
                         })}
                       </div>
@@ -1175,31 +1408,57 @@ const ModalDetalleProyecto = ({               // Define el componente funcional
                     {/* Input para subir archivos (solo admin / líder) */}
                     {canManageFiles && (
                       <div className="space-y-2">
-                        <label className="inline-flex items-center gap-2 px-4 py-2 rounded-lg bg-pcm-primary hover:bg-pcm-secondary text-white text-xs font-semibold cursor-pointer transition-all hover:scale-105">
-                          <Paperclip size={16} />
-                          <span>
-                            {uploadingFiles
-                              ? 'Subiendo archivos...'
-                              : 'Adjuntar archivos'}
-                          </span>
-                          <input
-                            id="archivos-proyecto"            // Id único del campo de archivos para accesibilidad/autofill.
-                            name="archivosProyecto"           // Name único del campo de archivos (recomendado por Lighthouse).
-                            type="file"                       // Tipo de input: selector de archivos.
-                            multiple                          // Permite seleccionar varios archivos a la vez.
-                            className="hidden"                // Input oculto, se usa el label como disparador visual.
-                            onChange={handleUploadFiles}      // Handler de subida de archivos.
-                            disabled={uploadingFiles}         // Deshabilitado mientras se suben archivos.
-                          />
-                        </label>
+                        <div className="flex flex-wrap items-center gap-2">
+                          <select
+                            id="categoria-archivos"           // Id único del selector de categoría.
+                            name="categoriaArchivos"          // Name único del selector de categoría.
+                            value={categoriaArchivos}
+                            onChange={(e) => setCategoriaArchivos(e.target.value)}
+                            disabled={uploadingFiles}
+                            className="px-3 py-2 rounded-lg bg-pcm-bg/80 border border-white/10 text-pcm-text text-xs"
+                            title="Categoría de documento"
+                          >
+                            {CATEGORIAS_DOCUMENTO.map((c) => (
+                              <option key={c.valor} value={c.valor}>
+                                {c.etiqueta}
+                              </option>
+                            ))}
+                          </select>
+                          <label className="inline-flex items-center gap-2 px-4 py-2 rounded-lg bg-pcm-primary hover:bg-pcm-secondary text-white text-xs font-semibold cursor-pointer transition-all hover:scale-105">
+                            <Paperclip size={16} />
+                            <span>
+                              {uploadingFiles
+                                ? 'Subiendo archivos...'
+                                : 'Adjuntar archivos'}
+                            </span>
+                            <input
+                              id="archivos-proyecto"            // Id único del campo de archivos para accesibilidad/autofill.
+                              name="archivosProyecto"           // Name único del campo de archivos (recomendado por Lighthouse).
+                              type="file"                       // Tipo de input: selector de archivos.
+                              multiple                          // Permite seleccionar varios archivos a la vez.
+                              className="hidden"                // Input oculto, se usa el label como disparador visual.
+                              onChange={handleUploadFiles}      // Handler de subida de archivos.
+                              disabled={uploadingFiles}         // Deshabilitado mientras se suben archivos.
+                            />
+                          </label>
+                        </div>
                         <p className="text-xs text-pcm-muted">
                           Puedes adjuntar planos, informes, fotos de obra, etc.
                           El tamaño máximo depende de la configuración del servidor.
+                          Los archivos cuyo contenido no corresponde a su tipo quedan en
+                          cuarentena hasta que un administrador los revise.
                         </p>
                       </div>
                     )}
                   </div>
 
+                  {/* Bloque: Fotos de avance (imágenes adjuntas, por fecha o actividad) */}
+                  <GaleriaFotosProyecto
+                    idProyecto={selectedProject._id}
+                    puedeAsociar={canManageFiles}
+                    recarga={adjuntos.length}
+                  />
+
                   {/* Bloque: Comentarios */}
                   <div className="bg-pcm-surfaceSoft/80 backdrop-blur-sm rounded-pcm-xl p-6 border border-white/10 shadow-pcm-soft">
                     <h4 className="text-xl font-bold text-pcm-primary mb-4">
@@ -17,6 +17,7 @@ import {
   obtenerPresupuestoProyecto,
   guardarPresupuestoProyecto,
   obtenerMateriales,
+  obtenerUnidadesMaterial,
 } from '../../../services/api/api.js';
 
 // Librerías para generación de PDF
@@ -40,6 +41,7 @@ const ModalPresupuestoProyecto = ({ projectId, isOpen, onClose, onSaved }) => {
   const [total, setTotal] = useState(0); // Total calculado del presupuesto
   const [newItem, setNewItem] = useState({ materialId: '', cantidad: '', costo: '' }); // Datos del nuevo ítem
   const [feedback, setFeedback] = useState(null); // Mensajes de error o éxito
+  const [unidadesPorMaterial, setUnidadesPorMaterial] = useState({}); // Unidades compatibles por material (carga diferida)
 
   // Carga inicial de presupuesto y materiales al abrir el modal
   useEffect(() => {
@@ -55,11 +57,15 @@ const ModalPresupuestoProyecto = ({ projectId, isOpen, onClose, onSaved }) => {
           materialId: it.material._id || it.material,
           materialName: it.material.nombre || 'Sin nombre',
           categoria: it.material.categoria || '',
-          unidad: it.material.unidad || '',
-          // Cantidad prevista para el presupuesto
-          cantidad: it.cantidadPrevista,
-          // Costo previsto por unidad
-          costo: it.costoPrevisto,
+          unidadMaterial: it.material.unidad || '',
+          // Unidad en que se presupuestó la línea (si difiere de la del material)
+          unidad: it.unidad || it.material.unidad || '',
+          // Cantidad prevista para el presupuesto (en la unidad de la línea)
+          cantidad: it.unidad ? it.cantidadUnidad : it.cantidadPrevista,
+          // Costo previsto por unidad de la línea (el subtotal no cambia)
+          costo: it.unidad && it.cantidadUnidad
+            ? (it.costoPrevisto * it.cantidadPrevista) / it.cantidadUnidad
+            : it.costoPrevisto,
           // Incluye campos adicionales del material para mostrar en la tabla o para reutilizar
           precioUnitario: it.material.precioUnitario || 0,
           stock: it.material.cantidad,
@@ -93,7 +99,7 @@ const ModalPresupuestoProyecto = ({ projectId, isOpen, onClose, onSaved }) => {
   /**
    * Maneja el cambio de un campo en una línea de presupuesto
    * @param {number} index Índice del ítem a modificar
-   * @param {string} field Campo a actualizar ("cantidad" o "costo")
+   * @param {string} field Campo a actualizar ("cantidad", "costo" o "unidad")
    * @param {string|number} value Nuevo valor
    */
   const handleItemChange = (index, field, value) => {
@@ -104,6 +110,21 @@ const ModalPresupuestoProyecto = ({ projectId, isOpen, onClose, onSaved }) => {
     );
   };
 
+  /**
+   * Carga (una sola vez) las unidades compatibles con un material para
+   * poder presupuestarlo en otra unidad (bultos, toneladas, galones…).
+   * @param {string} materialId ID del material
+   */
+  const cargarUnidades = async (materialId) => {
+    if (!materialId || unidadesPorMaterial[materialId]) return;
+    try {
+      const data = await obtenerUnidadesMaterial(materialId);
+      setUnidadesPorMaterial((prev) => ({ ...prev, [materialId]: data?.unidades || [] }));
+    } catch (err) {
+      console.error('Error al cargar unidades del material:', err);
+    }
+  };
+
   /**
    * Elimina un ítem del presupuesto
    * @param {number} index Índice del ítem a eliminar
@@ -130,6 +151,7 @@ const ModalPresupuestoProyecto = ({ projectId, isOpen, onClose, onSaved }) => {
         materialId,
         materialName: materialObj.nombre || 'Sin nombre',
         categoria: materialObj.categoria || '',
+        unidadMaterial: materialObj.unidad || '',
         unidad: materialObj.unidad || '',
         cantidad: Number(cantidad) || 0,
         costo: Number(costo) || 0,
@@ -153,6 +175,8 @@ const ModalPresupuestoProyecto = ({ projectId, isOpen, onClose, onSaved }) => {
           material: it.materialId,
           cantidadPrevista: Number(it.cantidad) || 0,
           costoPrevisto: Number(it.costo) || 0,
+          // El backend convierte cantidad y costo a la unidad del material
+          unidad: it.unidad && it.unidad !== it.unidadMaterial ? it.unidad : undefined,
         })),
       };
       await guardarPresupuestoProyecto(projectId, payload);
@@ -269,7 +293,24 @@ const ModalPresupuestoProyecto = ({ projectId, isOpen, onClose, onSaved }) => {
                       <tr key={idx} className="border-b border-white/10">
                         <td className="px-2 py-1 whitespace-nowrap">{it.materialName}</td>
                         <td className="px-2 py-1 whitespace-nowrap">{it.categoria || '-'}</td>
-                        <td className="px-2 py-1 whitespace-nowrap">{it.unidad || '-'}</td>
+                        <td className="px-2 py-1 whitespace-nowrap">
+                          <select
+                            value={it.unidad}
+                            onFocus={() => cargarUnidades(it.materialId)}
+                            onChange={(e) => handleItemChange(idx, 'unidad', e.target.value)}
+                            className="w-24 bg-pcm-bg/80 border border-white/10 rounded px-1 py-1 text-sm"
+                          >
+                            {/* La unidad actual siempre está disponible, aunque aún no se hayan cargado las demás */}
+                            {!(unidadesPorMaterial[it.materialId] || []).some((u) => u.unidad === it.unidad) && (
+                              <option value={it.unidad}>{it.unidad || '-'}</option>
+                            )}
+                            {(unidadesPorMaterial[it.materialId] || []).map((u) => (
+                              <option key={u.unidad} value={u.unidad}>
+                                {u.origen === 'material' ? u.unidad : `${u.unidad} (= ${u.factor} ${it.unidadMaterial})`}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
                         <td className="px-2 py-1">
                           <input
                             type="number"
@@ -2,7 +2,9 @@
 // Description: Vista interna del workspace que muestra el historial de proyectos/obras
 //              asociados al cliente autenticado. Consume el endpoint /proyectos/mis-proyectos
 //              usando JWT, permite filtrar por estado y por texto (título o ubicación), y
-//              muestra tarjetas con resumen y un modal con detalles. Es una vista privada
+//              muestra tarjetas con resumen y un modal con detalles, los documentos enviados
+//              a su aprobación y la galería de fotos de avance (por fecha o por actividad).
+//              Es una vista privada
 //              diseñada para el rol cliente, integrada al TableroTrabajo y al tema visual PCM
 //              (paleta pcm, sombras, helpers de panel y animaciones).
 
@@ -19,8 +21,18 @@ import {
   MapPin,                                                 // Ícono para ubicación del proyecto.
   Eye,                                                    // Ícono para ver detalles en el modal.
   X,                                                      // Ícono para cerrar el modal.
+  Download,                                               // Ícono para descargar un documento.
 } from 'lucide-react';
 
+// Descarga registrada de documentos (queda en el historial del adjunto).
+import { descargarAdjuntoProyecto } from '../../../services/api/api.js';
+
+// Aprobación de documentos enviados al cliente.
+import AprobacionAdjunto from '../components/AprobacionAdjunto.jsx';
+
+// Galería de fotos de avance del proyecto (solo lectura para el cliente).
+import GaleriaFotosProyecto from '../components/GaleriaFotosProyecto.jsx';
+
 // ======================================
 // Componente principal de historial (cliente)
 // ======================================
@@ -42,6 +54,7 @@ const HistorialProyectosCliente = ({ rolUsuario = '' }) => {
   // Estado del modal de detalle
   // ==========================
   const [proyectoSeleccionado, setProyectoSeleccionado] = useState(null); // Proyecto para el modal.
+  const [errorDocumento, setErrorDocumento] = useState('');            // Error al descargar un documento.
 
   // Lista de estados posibles para generar los filtros tipo "chips".
   const estadosDisponibles = [
@@ -178,6 +191,37 @@ const HistorialProyectosCliente = ({ rolUsuario = '' }) => {
     return coincideTexto && coincideEstado;               // Aplica ambos filtros.
   });
 
+  // ==========================
+  // Documentos enviados a aprobación del cliente
+  // ==========================
+  const documentosCliente = (proyectoSeleccionado?.adjuntos || []).filter((adjunto) =>
+    (adjunto.aprobaciones || []).some((ronda) => ronda.revisores.some((r) => r.rol === 'cliente'))
+  );
+
+  // Reemplaza el adjunto actualizado en el proyecto abierto y en la lista.
+  const actualizarAdjunto = (actualizado) => {
+    const reemplazar = (proyecto) => ({
+      ...proyecto,
+      adjuntos: (proyecto.adjuntos || []).map((a) =>
+        a._id === actualizado._id ? { ...a, aprobaciones: actualizado.aprobaciones } : a
+      ),
+    });
+    setProyectoSeleccionado((prev) => (prev ? reemplazar(prev) : prev));
+    setProyectos((prev) => prev.map((p) => (p._id === proyectoSeleccionado?._id ? reemplazar(p) : p)));
+  };
+
+  // Descarga la revisión vigente de un documento (queda registrada).
+  const descargarDocumento = async (adjunto) => {
+    try {
+      setErrorDocumento('');
+      await descargarAdjuntoProyecto(proyectoSeleccionado._id, adjunto._id, {
+        nombre: adjunto.nombreOriginal,
+      });
+    } catch (err) {
+      setErrorDocumento(err.message || 'No fue posible descargar el documento.');
+    }
+  };
+
   // ==========================
   // Render principal
   // ==========================
@@ -350,7 +394,7 @@ const HistorialProyectosCliente = ({ rolUsuario = '' }) => {
           />
 
           {/* Contenedor del modal */}
-          <div className="relative w-full max-w-xl rounded-pcm-xl bg-pcm-surfaceSoft/95 border border-white/10 shadow-pcm-soft px-5 py-6 md:px-6 md:py-7 animate-pagina-in">
+          <div className="relative w-full max-w-4xl max-h-[90vh] pcm-scroll-y rounded-pcm-xl bg-pcm-surfaceSoft/95 border border-white/10 shadow-pcm-soft px-5 py-6 md:px-6 md:py-7 animate-pagina-in">
             {/* Botón cerrar */}
             <button
               type="button"
@@ -416,6 +460,47 @@ const HistorialProyectosCliente = ({ rolUsuario = '' }) => {
                     'Sin comentarios registrados.'}
                 </p>
               </div>
+
+              {/* Documentos enviados a aprobación del cliente */}
+              {documentosCliente.length > 0 && (
+                <div className="space-y-2">
+                  <h4 className="text-sm font-semibold text-pcm-text">
+                    Documentos para tu aprobación
+                  </h4>
+                  {errorDocumento && (
+                    <p className="text-xs text-red-300">{errorDocumento}</p>
+                  )}
+                  {documentosCliente.map((adjunto) => (
+                    <div
+                      key={adjunto._id}
+                      className="rounded-xl border border-white/10 bg-pcm-bg/70 p-3"
+                    >
+                      <div className="flex items-center justify-between gap-2">
+                        <p className="text-sm text-pcm-text truncate" title={adjunto.nombreOriginal}>
+                          {adjunto.nombreOriginal}
+                        </p>
+                        <button
+                          type="button"
+                          onClick={() => descargarDocumento(adjunto)}
+                          className="inline-flex items-center gap-1 rounded-lg border border-white/10 bg-pcm-bg/80 px-2 py-1 text-xs text-pcm-text hover:bg-pcm-bg"
+                        >
+                          <Download size={12} />
+                          Descargar
+                        </button>
+                      </div>
+                      <AprobacionAdjunto
+                        idProyecto={proyectoSeleccionado._id}
+                        adjunto={adjunto}
+                        rolUsuario="cliente"
+                        alActualizar={actualizarAdjunto}
+                      />
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {/* Fotos de avance de la obra */}
+              <GaleriaFotosProyecto idProyecto={proyectoSeleccionado._id} />
             </div>
 
             {/* Botón cerrar abajo (para pantallas pequeñas) */}
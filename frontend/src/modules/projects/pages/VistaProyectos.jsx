@@ -23,11 +23,14 @@ import {
   Edit,                                                             // Ícono de editar.
   Trash2,                                                           // Ícono de eliminar.
   PlusCircle,                                                       // Ícono de crear nuevo proyecto.
+  Upload,                                                           // Ícono de importación masiva.
   ChevronDown                                                       // Ícono de flecha para indicar listas desplegables.
 } from 'lucide-react';
 
 // Importa la función de servicio para descargar en PDF la lista de proyectos.
 import { descargarProyectosPDF } from '../../../services/api/api.js';   // Servicio HTTP que genera y descarga el PDF de proyectos desde el backend.
+import ModalImportarProyectos from '../modals/ModalImportarProyectos.jsx'; // Modal de importación masiva desde CSV/XLSX.
+import CuarentenaArchivos from '../components/CuarentenaArchivos.jsx';    // Revisión de adjuntos retenidos (solo admin).
 
 /**
  * Componente principal de la vista de proyectos (VistaProyectos).
@@ -39,6 +42,7 @@ import { descargarProyectosPDF } from '../../../services/api/api.js';   // Servi
  *  - onEditProject:     Función para lanzar el flujo de edición de un proyecto.
  *  - onDeleteProject:   Función para iniciar el flujo de eliminación de un proyecto.
  *  - onCreateProject:   Función para iniciar el flujo de creación (abre modal global en el Tablero).
+ *  - onProjectsImported: Función que recarga los proyectos tras una importación masiva.
  */
 const VistaProyectos = ({
   projects = [],                                                    // Lista de proyectos (nombre nuevo recomendado).
@@ -46,7 +50,8 @@ const VistaProyectos = ({
   onViewDetails,                                                    // Callback para ver detalles de un proyecto.
   onEditProject,                                                    // Callback para editar un proyecto.
   onDeleteProject,                                                  // Callback para iniciar eliminación de un proyecto.
-  onCreateProject                                                   // Callback para iniciar creación (modal global en Tablero).
+  onCreateProject,                                                  // Callback para iniciar creación (modal global en Tablero).
+  onProjectsImported                                                // Callback para recargar proyectos tras importar.
 }) => {
   // =========================
   // Fuente base de proyectos
@@ -77,6 +82,7 @@ const VistaProyectos = ({
   const [isYearMenuOpen, setIsYearMenuOpen] = useState(false);
   const [locationFilter, setLocationFilter] = useState('todos');    // Filtro por ubicación geográfica.
   const [showFilters, setShowFilters] = useState(false);            // Bandera para mostrar/ocultar filtros avanzados.
+  const [showImportModal, setShowImportModal] = useState(false);    // Bandera para el modal de importación (solo admin).
 
   // Estados para controlar apertura de cada dropdown personalizado.
   const [isTypeMenuOpen, setIsTypeMenuOpen] = useState(false);      // Controla el menú de tipo de proyecto.
@@ -476,6 +482,20 @@ const VistaProyectos = ({
               </button>
             )}
 
+            {/* Botón para importar proyectos desde CSV/XLSX: sólo visible para admin */}
+            {isAdmin && (
+              <button
+                type="button"
+                onClick={() => setShowImportModal(true)}
+                className="inline-flex items-center gap-2 px-4 py-2 bg-white/5 hover:bg-white/10
+                           border border-white/10 text-pcm-text rounded-pcm-xl text-sm font-semibold
+                           transition-all duration-150"
+              >
+                <Upload size={18} />
+                Importar
+              </button>
+            )}
+
             {/* Botón para descargar PDF de proyectos */}
             <button
               type="button"
@@ -1146,6 +1166,9 @@ const VistaProyectos = ({
         </div>
       </div>
 
+      {/* Archivos retenidos en cuarentena pendientes de revisión (solo admin) */}
+      {isAdmin && <CuarentenaArchivos />}
+
       {/* Lista de proyectos en formato tarjetas */}
       {filteredProjects.length > 0 ? (                             // Si hay proyectos después del filtrado...
         <div className="space-y-4">                                {/* Contenedor vertical de tarjetas (deja el scroll al layout padre). */}
@@ -1283,6 +1306,15 @@ const VistaProyectos = ({
           </button>
         </div>
       )}
+
+      {/* Modal de importación masiva de proyectos (solo admin) */}
+      <ModalImportarProyectos
+        estaAbierto={showImportModal}
+        alCerrar={() => setShowImportModal(false)}
+        alImportar={() => {
+          if (typeof onProjectsImported === 'function') onProjectsImported(); // El Tablero recarga la lista.
+        }}
+      />
     </div>
   );
 };
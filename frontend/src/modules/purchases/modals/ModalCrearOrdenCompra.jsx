@@ -0,0 +1,408 @@
+// File: frontend/src/modules/purchases/modals/ModalCrearOrdenCompra.jsx
+// Description: Modal para crear una orden de compra en ProCivil Manager (PCM).
+//              Permite elegir proveedor, almacén de recepción y proyecto
+//              (opcional), y armar los ítems de tres formas: manualmente,
+//              desde alertas de stock bajo (el backend calcula la cantidad a
+//              reponer) o desde una solicitud de materiales aprobada.
+
+import React, { useState, useEffect } from 'react';
+import { X, Plus, Trash2 } from 'lucide-react';
+
+// Clases compartidas de los inputs del formulario.
+const claseInput =
+  'w-full px-4 py-2 bg-pcm-bg/70 border border-white/10 rounded-lg text-pcm-text text-sm ' +
+  'placeholder:text-pcm-muted focus:outline-none focus:ring-2 focus:ring-pcm-primary/80';
+
+// Estado inicial del formulario
+const FORMULARIO_VACIO = {
+  proveedor: '',
+  almacen: '',
+  proyecto: '',
+  origen: 'manual',                                                         // manual | alerta | solicitud
+  alertas: [],                                                              // Ids de alertas seleccionadas
+  solicitud: '',
+  items: [],                                                                // [{ material, cantidad, precioUnitario }]
+  fechaEntregaEstimada: '',
+  observaciones: '',
+};
+
+// ============================================
+// Componente funcional ModalCrearOrdenCompra
+// ============================================
+//
+// Props:
+//
+//  - estaAbierto: bandera booleana que indica si el modal está visible.
+//  - alCerrar:    función que se llama al cerrar/cancelar.
+//  - alEnviar:    función que recibe el payload listo para el backend.
+//  - catalogos:   { proveedores, almacenes, proyectos, materiales, alertasStock, solicitudesAprobadas }.
+//  - rolUsuario:  rol del usuario actual.
+//
+const ModalCrearOrdenCompra = ({ estaAbierto, alCerrar, alEnviar, catalogos, rolUsuario = 'admin' }) => {
+  const [form, setForm] = useState(FORMULARIO_VACIO);
+  const [enviando, setEnviando] = useState(false);
+
+  // Reinicia el formulario cada vez que se abre el modal
+  useEffect(() => {
+    if (estaAbierto) setForm(FORMULARIO_VACIO);
+  }, [estaAbierto]);
+
+  if (!estaAbierto) return null;
+
+  const {
+    proveedores = [],
+    almacenes = [],
+    proyectos = [],
+    materiales = [],
+    alertasStock = [],
+    solicitudesAprobadas = [],
+  } = catalogos || {};
+
+  const esAdmin = (rolUsuario || '').toString().toLowerCase().includes('admin');
+  const proveedorSeleccionado = proveedores.find((p) => p._id === form.proveedor);
+
+  // Actualiza un campo simple del formulario.
+  const actualizarCampo = (campo, valor) => setForm((prev) => ({ ...prev, [campo]: valor }));
+
+  // Precio sugerido: el cotizado por el proveedor elegido, si lo suministra.
+  const precioSugerido = (materialId) => {
+    const cotizado = (proveedorSeleccionado?.materiales || []).find(
+      (item) => (item.material?._id || item.material) === materialId
+    );
+    return cotizado ? cotizado.precioCotizado : '';
+  };
+
+  // Actualiza un campo de una fila de ítems.
+  const actualizarItem = (indice, campo, valor) =>
+    setForm((prev) => ({
+      ...prev,
+      items: prev.items.map((item, i) => {
+        if (i !== indice) return item;
+        const actualizado = { ...item, [campo]: valor };
+        if (campo === 'material' && item.precioUnitario === '') {
+          actualizado.precioUnitario = precioSugerido(valor);
+        }
+        return actualizado;
+      }),
+    }));
+
+  const agregarItem = () =>
+    setForm((prev) => ({ ...prev, items: [...prev.items, { material: '', cantidad: '', precioUnitario: '' }] }));
+
+  const quitarItem = (indice) =>
+    setForm((prev) => ({ ...prev, items: prev.items.filter((_, i) => i !== indice) }));
+
+  // Marca / desmarca una alerta de stock bajo.
+  const alternarAlerta = (id) =>
+    setForm((prev) => ({
+      ...prev,
+      alertas: prev.alertas.includes(id) ? prev.alertas.filter((a) => a !== id) : [...prev.alertas, id],
+    }));
+
+  // Arma el payload según el origen elegido y lo delega al padre.
+  const manejarEnvioFormulario = async (evento) => {
+    evento.preventDefault();
+
+    const payload = {
+      proveedor: form.proveedor,
+      almacen: form.almacen,
+      proyecto: form.proyecto || undefined,
+      fechaEntregaEstimada: form.fechaEntregaEstimada || undefined,
+      observaciones: form.observaciones.trim(),
+    };
+
+    if (form.origen === 'manual') {
+      payload.items = form.items.map((item) => ({
+        material: item.material,
+        cantidad: Number(item.cantidad),
+        precioUnitario: item.precioUnitario === '' ? undefined : Number(item.precioUnitario),
+      }));
+    } else if (form.origen === 'alerta') {
+      payload.alertas = form.alertas;
+    } else {
+      payload.solicitud = form.solicitud;
+    }
+
+    setEnviando(true);
+    try {
+      await alEnviar(payload);
+    } finally {
+      setEnviando(false);
+    }
+  };
+
+  const puedeEnviar =
+    esAdmin &&
+    form.proveedor &&
+    form.almacen &&
+    ((form.origen === 'manual' && form.items.length > 0) ||
+      (form.origen === 'alerta' && form.alertas.length > 0) ||
+      (form.origen === 'solicitud' && form.solicitud));
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 p-4 animate-fade-in-soft"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="titulo-modal-orden-compra"
+    >
+      <div className="bg-pcm-surfaceSoft/95 rounded-pcm-xl max-w-3xl w-full border border-sky-500/40 shadow-pcm-soft animate-scale-in">
+        {/* Encabezado */}
+        <div className="p-6 border-b border-white/10 flex items-center justify-between gap-3">
+          <h3 id="titulo-modal-orden-compra" className="text-xl font-semibold text-pcm-text">
+            Nueva orden de compra
+          </h3>
+          <button
+            type="button"
+            onClick={alCerrar}
+            className="text-pcm-muted hover:text-pcm-text transition duration-200"
+          >
+            <X size={24} />
+          </button>
+        </div>
+
+        <form onSubmit={manejarEnvioFormulario} className="p-6 space-y-4 max-h-[75vh] pcm-scroll-y">
+          {/* Proveedor, almacén y proyecto */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-pcm-text text-sm font-semibold mb-2">Proveedor *</label>
+              <select
+                value={form.proveedor}
+                onChange={(e) => actualizarCampo('proveedor', e.target.value)}
+                required
+                className={claseInput}
+              >
+                <option value="">Selecciona un proveedor</option>
+                {proveedores.map((proveedor) => (
+                  <option key={proveedor._id} value={proveedor._id}>
+                    {proveedor.nombre} ({proveedor.nit})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-pcm-text text-sm font-semibold mb-2">Almacén de recepción *</label>
+              <select
+                value={form.almacen}
+                onChange={(e) => actualizarCampo('almacen', e.target.value)}
+                required
+                className={claseInput}
+              >
+                <option value="">Selecciona un almacén</option>
+                {almacenes.map((almacen) => (
+                  <option key={almacen._id} value={almacen._id}>
+                    {almacen.nombre}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-pcm-text text-sm font-semibold mb-2">Proyecto</label>
+              <select
+                value={form.proyecto}
+                onChange={(e) => actualizarCampo('proyecto', e.target.value)}
+                disabled={form.origen === 'solicitud'}
+                className={claseInput}
+              >
+                <option value="">{form.origen === 'solicitud' ? 'El de la solicitud' : 'Stock general'}</option>
+                {proyectos.map((proyecto) => (
+                  <option key={proyecto._id} value={proyecto._id}>
+                    {proyecto.title}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Origen de los ítems */}
+          <div>
+            <label className="block text-pcm-text text-sm font-semibold mb-2">Origen de los ítems</label>
+            <div className="flex flex-wrap gap-2">
+              {[
+                ['manual', 'Manual'],
+                ['alerta', `Alertas de stock bajo (${alertasStock.length})`],
+                ['solicitud', `Solicitud aprobada (${solicitudesAprobadas.length})`],
+              ].map(([valor, etiqueta]) => (
+                <button
+                  key={valor}
+                  type="button"
+                  onClick={() => actualizarCampo('origen', valor)}
+                  className={`px-3 py-1.5 rounded-full text-xs font-semibold border transition ${
+                    form.origen === valor
+                      ? 'bg-pcm-primary/20 border-pcm-primary text-pcm-text'
+                      : 'border-white/10 text-pcm-muted hover:text-pcm-text'
+                  }`}
+                >
+                  {etiqueta}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Ítems manuales */}
+          {form.origen === 'manual' && (
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <label className="text-pcm-text text-sm font-semibold">Ítems</label>
+                <button
+                  type="button"
+                  onClick={agregarItem}
+                  className="pcm-btn-ghost inline-flex items-center gap-1 px-3 py-1 text-xs font-semibold"
+                >
+                  <Plus size={14} /> Agregar ítem
+                </button>
+              </div>
+
+              {form.items.length === 0 ? (
+                <p className="text-xs text-pcm-muted">Agrega al menos un material.</p>
+              ) : (
+                <div className="space-y-2">
+                  {form.items.map((item, indice) => (
+                    <div key={indice} className="grid grid-cols-12 gap-2 items-center">
+                      <select
+                        value={item.material}
+                        onChange={(e) => actualizarItem(indice, 'material', e.target.value)}
+                        required
+                        className={`${claseInput} col-span-6`}
+                      >
+                        <option value="">Selecciona un material</option>
+                        {materiales.map((material) => (
+                          <option key={material._id} value={material._id}>
+                            {material.nombre} ({material.unidad || 'unidad'})
+                          </option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={item.cantidad}
+                        onChange={(e) => actualizarItem(indice, 'cantidad', e.target.value)}
+                        required
+                        placeholder="Cantidad"
+                        className={`${claseInput} col-span-2`}
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={item.precioUnitario}
+                        onChange={(e) => actualizarItem(indice, 'precioUnitario', e.target.value)}
+                        placeholder="Precio unit."
+                        className={`${claseInput} col-span-3`}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => quitarItem(indice)}
+                        className="col-span-1 text-red-400 hover:text-red-300 transition duration-150 flex justify-center"
+                        title="Quitar ítem"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <p className="text-[11px] text-pcm-muted mt-2">
+                Sin precio se usa el cotizado por el proveedor o el costo de referencia del material.
+              </p>
+            </div>
+          )}
+
+          {/* Alertas de stock bajo */}
+          {form.origen === 'alerta' && (
+            <div>
+              <label className="block text-pcm-text text-sm font-semibold mb-2">Materiales con stock bajo</label>
+              {alertasStock.length === 0 ? (
+                <p className="text-xs text-pcm-muted">No hay alertas de stock bajo pendientes.</p>
+              ) : (
+                <div className="space-y-1 max-h-48 pcm-scroll-y">
+                  {alertasStock.map((alerta) => (
+                    <label key={alerta._id} className="flex items-start gap-2 text-sm text-pcm-text cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={form.alertas.includes(alerta._id)}
+                        onChange={() => alternarAlerta(alerta._id)}
+                        className="mt-1"
+                      />
+                      <span>
+                        <span className="font-semibold">{alerta.material?.nombre || 'Material'}</span>
+                        <span className="text-pcm-muted"> · {alerta.message}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              )}
+              <p className="text-[11px] text-pcm-muted mt-2">
+                La cantidad de cada ítem es la sugerida por el reabastecimiento (consumo, tiempo de entrega y mínimo).
+              </p>
+            </div>
+          )}
+
+          {/* Solicitud aprobada */}
+          {form.origen === 'solicitud' && (
+            <div>
+              <label className="block text-pcm-text text-sm font-semibold mb-2">Solicitud de materiales</label>
+              <select
+                value={form.solicitud}
+                onChange={(e) => actualizarCampo('solicitud', e.target.value)}
+                required
+                className={claseInput}
+              >
+                <option value="">Selecciona una solicitud aprobada</option>
+                {solicitudesAprobadas.map((solicitud) => (
+                  <option key={solicitud._id} value={solicitud._id}>
+                    {solicitud.titulo || 'Solicitud'} ·{' '}
+                    {(solicitud.materiales || [])
+                      .map((m) => `${m.material?.nombre || 'material'} x${m.cantidad}`)
+                      .join(', ')}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Fecha estimada y observaciones */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-pcm-text text-sm font-semibold mb-2">Entrega estimada</label>
+              <input
+                type="date"
+                value={form.fechaEntregaEstimada}
+                onChange={(e) => actualizarCampo('fechaEntregaEstimada', e.target.value)}
+                className={claseInput}
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-pcm-text text-sm font-semibold mb-2">Observaciones</label>
+              <input
+                type="text"
+                value={form.observaciones}
+                onChange={(e) => actualizarCampo('observaciones', e.target.value)}
+                placeholder="Condiciones de entrega, remisión, etc."
+                className={claseInput}
+              />
+            </div>
+          </div>
+
+          {/* Botones de acción */}
+          <div className="flex gap-3 pt-4">
+            <button type="button" onClick={alCerrar} className="pcm-btn-ghost flex-1 text-sm font-semibold">
+              Cancelar
+            </button>
+            <button
+              type="submit"
+              disabled={!puedeEnviar || enviando}
+              className="pcm-btn-primary flex-1 text-sm font-semibold disabled:opacity-50"
+            >
+              {enviando ? 'Creando...' : 'Crear orden'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// Exporta el modal para usarlo en VistaOrdenesCompra.
+export default ModalCrearOrdenCompra;
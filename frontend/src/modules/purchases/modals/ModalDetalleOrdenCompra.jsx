@@ -0,0 +1,460 @@
+// File: frontend/src/modules/purchases/modals/ModalDetalleOrdenCompra.jsx
+// Description: Modal de detalle de una orden de compra en ProCivil Manager
+//              (PCM). Muestra proveedor, almacén, ítems con lo recibido y el
+//              historial de recepciones. Al administrador le permite aprobar
+//              la orden, cancelarla con motivo y registrar recepciones
+//              parciales o totales (que generan entradas de inventario).
+//              Cualquier rol con acceso puede descargar el PDF.
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, ShoppingCart, PackageCheck, FileDown, Loader, CheckCircle, Ban } from 'lucide-react';
+import {
+  obtenerOrdenCompraPorId,
+  aprobarOrdenCompra,
+  cancelarOrdenCompra,
+  registrarRecepcionOrdenCompra,
+  descargarOrdenCompraPDF,
+} from '../../../services/api/api.js';
+
+// Formateador de moneda colombiana sin decimales
+const formatoCop = new Intl.NumberFormat('es-CO', {
+  style: 'currency',
+  currency: 'COP',
+  maximumFractionDigits: 0,
+});
+
+// Etiquetas y colores por estado de la orden
+export const ESTADOS_ORDEN = {
+  borrador: { etiqueta: 'Borrador', clase: 'bg-slate-500/20 text-slate-200 border-slate-400/40' },
+  aprobada: { etiqueta: 'Aprobada', clase: 'bg-sky-500/20 text-sky-200 border-sky-400/40' },
+  parcial: { etiqueta: 'Parcial', clase: 'bg-amber-500/20 text-amber-200 border-amber-400/40' },
+  recibida: { etiqueta: 'Recibida', clase: 'bg-emerald-500/20 text-emerald-200 border-emerald-400/40' },
+  cancelada: { etiqueta: 'Cancelada', clase: 'bg-red-500/20 text-red-200 border-red-400/40' },
+};
+
+const formatoNumero = (valor) => Number(valor || 0).toLocaleString('es-CO', { maximumFractionDigits: 2 });
+
+// Clases compartidas de los inputs.
+const claseInput =
+  'w-full px-3 py-1.5 bg-pcm-bg/70 border border-white/10 rounded-lg text-pcm-text text-sm ' +
+  'placeholder:text-pcm-muted focus:outline-none focus:ring-2 focus:ring-pcm-primary/80';
+
+// Componente principal del modal de detalle de orden de compra
+const ModalDetalleOrdenCompra = ({ orden: ordenInicial, esAdmin, onClose, onActualizada, showToast }) => {
+  const [orden, setOrden] = useState(ordenInicial);
+  const [loading, setLoading] = useState(false);
+  const [procesando, setProcesando] = useState(false);
+  const [recepcion, setRecepcion] = useState({});                           // { materialId: { cantidad, costoUnitario, lote, fechaVencimiento } }
+  const [observacionesRecepcion, setObservacionesRecepcion] = useState('');
+  const [motivoCancelacion, setMotivoCancelacion] = useState('');
+  const [mostrarCancelar, setMostrarCancelar] = useState(false);
+
+  // Carga el detalle completo (con recepciones)
+  const cargarDetalle = useCallback(async () => {
+    if (!ordenInicial?._id) return;
+    setLoading(true);
+    try {
+      const data = await obtenerOrdenCompraPorId(ordenInicial._id);
+      setOrden(data);
+      setRecepcion({});
+    } catch (err) {
+      console.error('Error al obtener la orden de compra:', err);
+      showToast?.(err?.message || 'No se pudo cargar la orden de compra', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [ordenInicial, showToast]);
+
+  useEffect(() => {
+    cargarDetalle();
+  }, [cargarDetalle]);
+
+  // Helper para cerrar con tecla Esc
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  if (!orden) return null;
+
+  const estado = ESTADOS_ORDEN[orden.estado] || ESTADOS_ORDEN.borrador;
+  const admiteRecepcion = esAdmin && ['aprobada', 'parcial'].includes(orden.estado);
+  // Materiales perecederos pendientes: su recepción exige lote y fecha de vencimiento
+  const hayLotes = (orden.items || []).some(
+    (item) => item.material?.controlLotes && (Number(item.cantidad) || 0) > (Number(item.cantidadRecibida) || 0)
+  );
+  const admiteCancelacion = esAdmin && ['borrador', 'aprobada', 'parcial'].includes(orden.estado);
+
+  // Ejecuta una acción sobre la orden y refresca el detalle y la lista
+  const ejecutarAccion = async (accion, mensajeExito) => {
+    setProcesando(true);
+    try {
+      const respuesta = await accion();
+      showToast?.(respuesta?.message || mensajeExito, 'success');
+      await cargarDetalle();
+      await onActualizada?.();
+      return true;
+    } catch (err) {
+      console.error('Error en la acción de orden de compra:', err);
+      showToast?.(err?.message || 'No se pudo completar la acción', 'error');
+      return false;
+    } finally {
+      setProcesando(false);
+    }
+  };
+
+  const handleAprobar = () => ejecutarAccion(() => aprobarOrdenCompra(orden._id), 'Orden aprobada');
+
+  const handleCancelar = async () => {
+    if (!motivoCancelacion.trim()) {
+      showToast?.('Indica el motivo de la cancelación', 'warning');
+      return;
+    }
+    const ok = await ejecutarAccion(
+      () => cancelarOrdenCompra(orden._id, motivoCancelacion.trim()),
+      'Orden cancelada'
+    );
+    if (ok) {
+      setMostrarCancelar(false);
+      setMotivoCancelacion('');
+    }
+  };
+
+  // Recepción de las cantidades digitadas (parcial)
+  const handleRecibir = async () => {
+    const items = Object.entries(recepcion)
+      .filter(([, linea]) => Number(linea.cantidad) > 0)
+      .map(([material, linea]) => ({
+        material,
+        cantidad: Number(linea.cantidad),
+        costoUnitario: linea.costoUnitario === '' || linea.costoUnitario === undefined ? undefined : Number(linea.costoUnitario),
+        lote: linea.lote ? linea.lote.trim() : undefined,
+        fechaVencimiento: linea.fechaVencimiento || undefined,
+      }));
+
+    if (items.length === 0) {
+      showToast?.('Indica al menos una cantidad recibida', 'warning');
+      return;
+    }
+
+    const ok = await ejecutarAccion(
+      () => registrarRecepcionOrdenCompra(orden._id, { items, observaciones: observacionesRecepcion.trim() }),
+      'Recepción registrada'
+    );
+    if (ok) setObservacionesRecepcion('');
+  };
+
+  // Recepción de todo lo pendiente
+  const handleRecibirTodo = async () => {
+    const ok = await ejecutarAccion(
+      () => registrarRecepcionOrdenCompra(orden._id, { completa: true, observaciones: observacionesRecepcion.trim() }),
+      'Recepción registrada'
+    );
+    if (ok) setObservacionesRecepcion('');
+  };
+
+  const handleDescargarPdf = async () => {
+    try {
+      await descargarOrdenCompraPDF(orden._id, orden.numero);
+    } catch (err) {
+      showToast?.(err?.message || 'No se pudo descargar el PDF', 'error');
+    }
+  };
+
+  const actualizarRecepcion = (materialId, campo, valor) =>
+    setRecepcion((prev) => ({ ...prev, [materialId]: { ...prev[materialId], [campo]: valor } }));
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4"
+      role="dialog"
+      aria-modal="true"
+    >
+      {/* Fondo oscuro clickeable para cerrar */}
+      <div className="absolute inset-0" onClick={onClose}></div>
+      {/* Contenedor del modal */}
+      <div className="relative bg-pcm-surfaceSoft/95 rounded-pcm-xl w-full max-w-5xl shadow-pcm-soft overflow-hidden animate-fade-in-soft">
+        {/* Encabezado */}
+        <div className="flex items-center justify-between p-6 border-b border-white/10">
+          <div className="flex items-center gap-3">
+            <div className="w-12 h-12 rounded-2xl bg-pcm-primary flex items-center justify-center">
+              <ShoppingCart size={24} className="text-white" />
+            </div>
+            <div>
+              <h3 className="text-2xl font-semibold text-pcm-text">Orden {orden.numero}</h3>
+              <span className={`text-xs font-semibold border rounded-full px-2 py-0.5 ${estado.clase}`}>
+                {estado.etiqueta}
+              </span>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handleDescargarPdf}
+              className="pcm-btn-ghost inline-flex items-center gap-1 px-3 py-1.5 text-xs font-semibold"
+            >
+              <FileDown size={16} /> PDF
+            </button>
+            <button onClick={onClose} className="text-pcm-muted hover:text-pcm-text">
+              <X size={24} />
+            </button>
+          </div>
+        </div>
+
+        {/* Cuerpo del modal */}
+        <div className="p-6 space-y-8 max-h-[75vh] overflow-y-auto">
+          {loading && (
+            <div className="flex justify-center">
+              <Loader className="animate-spin text-pcm-primary" size={24} />
+            </div>
+          )}
+
+          {/* Información general */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-x-8 gap-y-4">
+            <div>
+              <p className="text-pcm-primary/70 text-xs uppercase font-semibold mb-1">Proveedor</p>
+              <p className="text-pcm-text text-base">{orden.proveedor?.nombre || '-'}</p>
+              <p className="text-pcm-muted text-xs">NIT {orden.proveedor?.nit || '-'}</p>
+            </div>
+            <div>
+              <p className="text-pcm-primary/70 text-xs uppercase font-semibold mb-1">Almacén</p>
+              <p className="text-pcm-text text-base">{orden.almacen?.nombre || '-'}</p>
+            </div>
+            <div>
+              <p className="text-pcm-primary/70 text-xs uppercase font-semibold mb-1">Proyecto</p>
+              <p className="text-pcm-text text-base">{orden.proyecto?.title || 'Stock general'}</p>
+            </div>
+            <div>
+              <p className="text-pcm-primary/70 text-xs uppercase font-semibold mb-1">Origen</p>
+              <p className="text-pcm-text text-base">
+                {{ manual: 'Manual', alerta: 'Alertas de stock bajo', solicitud: 'Solicitud de materiales' }[
+                  orden.origen?.tipo
+                ] || 'Manual'}
+              </p>
+            </div>
+            <div>
+              <p className="text-pcm-primary/70 text-xs uppercase font-semibold mb-1">Entrega estimada</p>
+              <p className="text-pcm-text text-base">
+                {orden.fechaEntregaEstimada ? new Date(orden.fechaEntregaEstimada).toLocaleDateString('es-CO') : '-'}
+              </p>
+            </div>
+            <div>
+              <p className="text-pcm-primary/70 text-xs uppercase font-semibold mb-1">Total</p>
+              <p className="text-pcm-text text-base font-semibold">{formatoCop.format(orden.total || 0)}</p>
+            </div>
+          </div>
+
+          {orden.estado === 'cancelada' && (
+            <p className="text-red-300 text-sm">
+              Cancelada el{' '}
+              {orden.fechaCancelacion ? new Date(orden.fechaCancelacion).toLocaleDateString('es-CO') : '-'}:{' '}
+              {orden.motivoCancelacion}
+            </p>
+          )}
+
+          {/* Ítems y recepción */}
+          <div>
+            <div className="flex items-center gap-2 mb-3">
+              <PackageCheck size={20} className="text-pcm-primary" />
+              <h4 className="text-lg font-semibold text-pcm-text">Ítems</h4>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-white/10 text-pcm-muted text-xs">
+                    <th className="text-left p-2">Material</th>
+                    <th className="text-right p-2">Pedido</th>
+                    <th className="text-right p-2">Recibido</th>
+                    <th className="text-right p-2">Precio unit.</th>
+                    <th className="text-right p-2">Subtotal</th>
+                    {admiteRecepcion && <th className="text-right p-2">Recibir</th>}
+                    {admiteRecepcion && <th className="text-right p-2">Costo unit.</th>}
+                    {admiteRecepcion && hayLotes && <th className="text-left p-2">Lote / vence</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {(orden.items || []).map((item, i) => {
+                    const materialId = item.material?._id || item.material;
+                    const pendiente = Math.max((Number(item.cantidad) || 0) - (Number(item.cantidadRecibida) || 0), 0);
+                    return (
+                      <tr key={materialId || i} className="border-b border-white/5 text-pcm-text">
+                        <td className="p-2">
+                          {item.material?.nombre || 'Material eliminado'}
+                          <span className="text-pcm-muted"> / {item.material?.unidad || 'unidad'}</span>
+                        </td>
+                        <td className="p-2 text-right">{formatoNumero(item.cantidad)}</td>
+                        <td className="p-2 text-right">{formatoNumero(item.cantidadRecibida)}</td>
+                        <td className="p-2 text-right">{formatoCop.format(item.precioUnitario || 0)}</td>
+                        <td className="p-2 text-right font-semibold">
+                          {formatoCop.format((Number(item.cantidad) || 0) * (Number(item.precioUnitario) || 0))}
+                        </td>
+                        {admiteRecepcion && (
+                          <td className="p-2 w-28">
+                            <input
+                              type="number"
+                              min="0"
+                              max={pendiente}
+                              step="any"
+                              disabled={pendiente <= 0}
+                              value={recepcion[materialId]?.cantidad ?? ''}
+                              onChange={(e) => actualizarRecepcion(materialId, 'cantidad', e.target.value)}
+                              placeholder={formatoNumero(pendiente)}
+                              className={claseInput}
+                            />
+                          </td>
+                        )}
+                        {admiteRecepcion && (
+                          <td className="p-2 w-32">
+                            <input
+                              type="number"
+                              min="0"
+                              step="any"
+                              disabled={pendiente <= 0}
+                              value={recepcion[materialId]?.costoUnitario ?? ''}
+                              onChange={(e) => actualizarRecepcion(materialId, 'costoUnitario', e.target.value)}
+                              placeholder={String(item.precioUnitario ?? '')}
+                              className={claseInput}
+                            />
+                          </td>
+                        )}
+                        {admiteRecepcion && hayLotes && (
+                          <td className="p-2 w-44">
+                            {item.material?.controlLotes && (
+                              <div className="space-y-1">
+                                <input
+                                  type="text"
+                                  disabled={pendiente <= 0}
+                                  value={recepcion[materialId]?.lote ?? ''}
+                                  onChange={(e) => actualizarRecepcion(materialId, 'lote', e.target.value)}
+                                  placeholder="Lote"
+                                  className={claseInput}
+                                />
+                                <input
+                                  type="date"
+                                  disabled={pendiente <= 0}
+                                  value={recepcion[materialId]?.fechaVencimiento ?? ''}
+                                  onChange={(e) => actualizarRecepcion(materialId, 'fechaVencimiento', e.target.value)}
+                                  className={claseInput}
+                                />
+                              </div>
+                            )}
+                          </td>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {admiteRecepcion && (
+              <div className="mt-4 flex flex-col md:flex-row gap-3">
+                <input
+                  type="text"
+                  value={observacionesRecepcion}
+                  onChange={(e) => setObservacionesRecepcion(e.target.value)}
+                  placeholder="Observaciones de la recepción (remisión, novedades...)"
+                  className={`${claseInput} flex-1`}
+                />
+                <button
+                  onClick={handleRecibir}
+                  disabled={procesando}
+                  className="pcm-btn-primary px-4 py-2 text-sm font-semibold disabled:opacity-50"
+                >
+                  Registrar recepción
+                </button>
+                <button
+                  onClick={handleRecibirTodo}
+                  disabled={procesando || hayLotes}
+                  title={hayLotes ? 'Los materiales con control de lotes se reciben indicando lote y vencimiento' : undefined}
+                  className="pcm-btn-ghost px-4 py-2 text-sm font-semibold disabled:opacity-50"
+                >
+                  Recibir todo lo pendiente
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Historial de recepciones */}
+          {Array.isArray(orden.recepciones) && orden.recepciones.length > 0 && (
+            <div>
+              <h4 className="text-lg font-semibold text-pcm-text mb-3">Recepciones</h4>
+              <div className="space-y-3">
+                {orden.recepciones.map((rec) => (
+                  <div key={rec._id} className="border border-white/10 rounded-lg p-3 text-sm text-pcm-text">
+                    <p className="text-xs text-pcm-muted mb-1">
+                      {rec.fecha ? new Date(rec.fecha).toLocaleString('es-CO') : '-'} · {rec.usuario}
+                      {rec.observaciones ? ` · ${rec.observaciones}` : ''}
+                    </p>
+                    <ul className="list-disc list-inside">
+                      {(rec.items || []).map((linea, i) => (
+                        <li key={i}>
+                          {linea.material?.nombre || 'Material'}: {formatoNumero(linea.cantidad)}{' '}
+                          {linea.material?.unidad || ''} a {formatoCop.format(linea.costoUnitario || 0)}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Acciones del administrador */}
+          {esAdmin && (orden.estado === 'borrador' || admiteCancelacion) && (
+            <div className="border-t border-white/10 pt-4 space-y-3">
+              <div className="flex flex-wrap gap-3">
+                {orden.estado === 'borrador' && (
+                  <button
+                    onClick={handleAprobar}
+                    disabled={procesando}
+                    className="pcm-btn-primary inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold disabled:opacity-50"
+                  >
+                    <CheckCircle size={16} /> Aprobar orden
+                  </button>
+                )}
+                {admiteCancelacion && !mostrarCancelar && (
+                  <button
+                    onClick={() => setMostrarCancelar(true)}
+                    className="pcm-btn-danger inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold"
+                  >
+                    <Ban size={16} /> Cancelar orden
+                  </button>
+                )}
+              </div>
+
+              {mostrarCancelar && (
+                <div className="flex flex-col md:flex-row gap-3">
+                  <input
+                    type="text"
+                    value={motivoCancelacion}
+                    onChange={(e) => setMotivoCancelacion(e.target.value)}
+                    placeholder="Motivo de la cancelación"
+                    className={`${claseInput} flex-1`}
+                  />
+                  <button
+                    onClick={handleCancelar}
+                    disabled={procesando}
+                    className="pcm-btn-danger px-4 py-2 text-sm font-semibold disabled:opacity-50"
+                  >
+                    Confirmar cancelación
+                  </button>
+                  <button
+                    onClick={() => setMostrarCancelar(false)}
+                    className="pcm-btn-ghost px-4 py-2 text-sm font-semibold"
+                  >
+                    Volver
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModalDetalleOrdenCompra;
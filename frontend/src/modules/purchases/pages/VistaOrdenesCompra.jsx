@@ -0,0 +1,442 @@
+// File: frontend/src/modules/purchases/pages/VistaOrdenesCompra.jsx
+// Description: Vista para la gestión de órdenes de compra en ProCivil Manager
+//              (PCM). Lista las órdenes con su proveedor, almacén, total y
+//              estado; permite al administrador crearlas (manuales, desde
+//              alertas de stock bajo o desde solicitudes de materiales
+//              aprobadas), aprobarlas, cancelarlas y registrar recepciones.
+//              Líder de obra y auditor consultan en modo lectura.
+
+// =========================
+//   Importaciones básicas
+// =========================
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  Search,                                                                    // Ícono de lupa para el buscador.
+  ShoppingCart,                                                              // Ícono de orden de compra.
+  Plus,                                                                      // Ícono de suma para "Nueva orden".
+  X,                                                                         // Ícono de cierre para el toast.
+  Loader,                                                                    // Ícono de cargando (spinner).
+  CheckCircle,                                                               // Ícono de éxito.
+  AlertCircle,                                                               // Ícono de advertencia.
+  XCircle,                                                                   // Ícono de error.
+  Info,                                                                      // Ícono de información.
+  Eye,                                                                       // Ícono de ojo para el detalle.
+} from 'lucide-react';
+
+// =========================
+//   Servicios de API
+// =========================
+import {
+  obtenerOrdenesCompra,                                                     // Lista órdenes de compra.
+  crearOrdenCompra,                                                         // Crea una orden (borrador).
+  obtenerProveedores,                                                       // Proveedores para el formulario.
+  obtenerAlmacenes,                                                         // Almacenes de recepción.
+  obtenerProyectos,                                                         // Proyectos (opcional en la orden).
+  obtenerMateriales,                                                        // Catálogo de materiales.
+  obtenerAlertas,                                                           // Alertas de stock bajo (origen).
+  obtenerSolicitudes,                                                       // Solicitudes aprobadas (origen).
+} from '../../../services/api/api.js';
+
+// =========================
+//   Modales del módulo
+// =========================
+import ModalCrearOrdenCompra from '../modals/ModalCrearOrdenCompra';
+import ModalDetalleOrdenCompra, { ESTADOS_ORDEN } from '../modals/ModalDetalleOrdenCompra';
+
+// Formateador de moneda colombiana sin decimales
+const formatoCop = new Intl.NumberFormat('es-CO', {
+  style: 'currency',
+  currency: 'COP',
+  maximumFractionDigits: 0,
+});
+
+// ---------------------------------------------------------------------
+//   Componente de notificación tipo "toast"
+// ---------------------------------------------------------------------
+const Toast = ({ message, type, onClose }) => {
+  const icons = {
+    success: <CheckCircle size={20} />,
+    error: <XCircle size={20} />,
+    warning: <AlertCircle size={20} />,
+    info: <Info size={20} />,
+  };
+
+  const styles = {
+    success: 'bg-emerald-600/95 border-emerald-400/80',
+    error: 'bg-red-600/95 border-red-400/80',
+    warning: 'bg-amber-600/95 border-amber-400/80',
+    info: 'bg-pcm-surfaceSoft/95 border-pcm-primary/70',
+  };
+
+  // Auto-cierre del toast después de 4 segundos.
+  useEffect(() => {
+    const timer = setTimeout(onClose, 4000);
+    return () => clearTimeout(timer);
+  }, [onClose]);
+
+  return (
+    <div
+      className={`${styles[type] || styles.info} border-2 rounded-xl shadow-pcm-soft
+                  p-4 flex items-start gap-3 min-w-[280px] max-w-md
+                  animate-slide-in-down`}
+    >
+      <div className="text-white mt-0.5">{icons[type] || icons.info}</div>
+      <div className="flex-1">
+        <p className="text-white font-semibold text-sm leading-relaxed">{message}</p>
+      </div>
+      <button onClick={onClose} className="text-white/80 hover:text-white transition duration-150">
+        <X size={18} />
+      </button>
+    </div>
+  );
+};
+
+// ---------------------------------------------------------------------
+//   Helper para clases de panel según el rol del usuario
+// ---------------------------------------------------------------------
+const obtenerClasesPanelPorRol = (rolUsuario) => {
+  const rolNormalizado = (rolUsuario || '').toString().toLowerCase().trim();
+  if (rolNormalizado.includes('admin')) return 'pcm-panel pcm-panel-fondo pcm-panel--admin';
+  if (rolNormalizado.includes('lider') || rolNormalizado.includes('líder')) {
+    return 'pcm-panel pcm-panel-fondo pcm-panel--lider';
+  }
+  if (rolNormalizado.includes('auditor')) return 'pcm-panel pcm-panel-fondo pcm-panel--auditor';
+  return 'pcm-panel pcm-panel-fondo';
+};
+
+// ---------------------------------------------------------------------
+//   Componente principal: VistaOrdenesCompra
+// ---------------------------------------------------------------------
+const VistaOrdenesCompra = ({ rolUsuario = '' }) => {
+  // =========================
+  //   Estados principales
+  // =========================
+  const [ordenes, setOrdenes] = useState([]);                               // Órdenes de compra.
+  const [catalogos, setCatalogos] = useState({                              // Datos para el formulario (admin).
+    proveedores: [],
+    almacenes: [],
+    proyectos: [],
+    materiales: [],
+    alertasStock: [],
+    solicitudesAprobadas: [],
+  });
+  const [loading, setLoading] = useState(true);                             // Carga inicial.
+  const [searchTerm, setSearchTerm] = useState('');                         // Texto de búsqueda.
+  const [filtroEstado, setFiltroEstado] = useState('');                     // Estado seleccionado.
+  const [showModal, setShowModal] = useState(false);                        // Modal de creación.
+  const [ordenDetalle, setOrdenDetalle] = useState(null);                   // Orden en el modal de detalle.
+  const [toasts, setToasts] = useState([]);                                 // Toasts activos.
+
+  const esAdmin = (rolUsuario || '').toString().toLowerCase() === 'admin';  // Solo admin modifica.
+
+  // =========================
+  //   Notificaciones (toasts)
+  // =========================
+  const showToast = useCallback((message, type = 'info') => {
+    const id = Date.now();
+    setToasts((prev) => [...prev, { id, message, type }]);
+  }, []);
+
+  const removeToast = (id) => {
+    setToasts((prev) => prev.filter((toast) => toast.id !== id));
+  };
+
+  // =========================
+  //   Carga de datos
+  // =========================
+  const cargarOrdenes = useCallback(async () => {
+    try {
+      const data = await obtenerOrdenesCompra();
+      setOrdenes(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error('Error al cargar órdenes de compra:', err);
+      showToast(err?.message || 'Error al cargar las órdenes de compra', 'error');
+    }
+  }, [showToast]);
+
+  // Catálogos del formulario de creación (solo admin)
+  const cargarCatalogos = useCallback(async () => {
+    try {
+      const [proveedores, almacenes, proyectos, materiales, alertas, solicitudes] = await Promise.all([
+        obtenerProveedores({ activo: true }),
+        obtenerAlmacenes(),
+        obtenerProyectos(),
+        obtenerMateriales(),
+        obtenerAlertas({ tipo: 'stock', resolved: 'false', limit: 200 }),
+        obtenerSolicitudes({ tipo: 'material', estado: 'aprobada' }),
+      ]);
+
+      // Las alertas de stock se crean una por administrador: una por material basta
+      const listaAlertas = Array.isArray(alertas) ? alertas : alertas?.alertas || [];
+      const porMaterial = new Map();
+      listaAlertas.forEach((alerta) => {
+        const materialId = alerta.material?._id || alerta.material;
+        if (materialId && !porMaterial.has(String(materialId))) porMaterial.set(String(materialId), alerta);
+      });
+
+      setCatalogos({
+        proveedores: Array.isArray(proveedores) ? proveedores : [],
+        almacenes: Array.isArray(almacenes) ? almacenes : [],
+        proyectos: Array.isArray(proyectos) ? proyectos : proyectos?.proyectos || [],
+        materiales: Array.isArray(materiales) ? materiales : [],
+        alertasStock: [...porMaterial.values()],
+        solicitudesAprobadas: Array.isArray(solicitudes) ? solicitudes : [],
+      });
+    } catch (err) {
+      console.error('Error al cargar datos para órdenes de compra:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    const cargarDatos = async () => {
+      setLoading(true);
+      try {
+        await cargarOrdenes();
+        if (esAdmin) await cargarCatalogos();
+      } finally {
+        setLoading(false);
+      }
+    };
+    cargarDatos();
+  }, [cargarOrdenes, cargarCatalogos, esAdmin]);
+
+  // =========================
+  //   Handlers de acciones
+  // =========================
+  const handleCrear = async (payload) => {
+    try {
+      const respuesta = await crearOrdenCompra(payload);
+      await cargarOrdenes();
+      setShowModal(false);
+      showToast(respuesta?.message || 'Orden de compra creada', 'success');
+      if (respuesta?.data) setOrdenDetalle(respuesta.data);
+    } catch (err) {
+      console.error('Error al crear orden de compra:', err);
+      showToast(err?.message || 'Error al crear la orden de compra', 'error');
+    }
+  };
+
+  // Refresca la lista tras aprobar, cancelar o recibir desde el detalle
+  const handleOrdenActualizada = async () => {
+    await cargarOrdenes();
+    if (esAdmin) await cargarCatalogos();
+  };
+
+  // =========================
+  //   Filtro y totales
+  // =========================
+  const filteredOrdenes = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    return ordenes.filter(
+      (orden) =>
+        (!filtroEstado || orden.estado === filtroEstado) &&
+        (orden.numero?.toLowerCase().includes(term) ||
+          orden.proveedor?.nombre?.toLowerCase().includes(term) ||
+          orden.almacen?.nombre?.toLowerCase().includes(term))
+    );
+  }, [ordenes, searchTerm, filtroEstado]);
+
+  const totalPendiente = useMemo(
+    () =>
+      filteredOrdenes
+        .filter((orden) => ['aprobada', 'parcial'].includes(orden.estado))
+        .reduce(
+          (acc, orden) =>
+            acc +
+            (orden.items || []).reduce(
+              (suma, item) =>
+                suma +
+                Math.max((Number(item.cantidad) || 0) - (Number(item.cantidadRecibida) || 0), 0) *
+                  (Number(item.precioUnitario) || 0),
+              0
+            ),
+          0
+        ),
+    [filteredOrdenes]
+  );
+
+  // =========================
+  //   Estado de carga
+  // =========================
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <Loader className="animate-spin text-pcm-primary" size={48} />
+      </div>
+    );
+  }
+
+  // =========================
+  //   Render principal
+  // =========================
+  return (
+    <>
+      {/* Contenedor de notificaciones toast */}
+      <div className="fixed top-4 right-4 z-50 space-y-3">
+        {toasts.map((toast) => (
+          <Toast key={toast.id} message={toast.message} type={toast.type} onClose={() => removeToast(toast.id)} />
+        ))}
+      </div>
+
+      {/* Tarjeta principal con adaptación por rol */}
+      <div
+        className={`
+          ${obtenerClasesPanelPorRol(rolUsuario)}
+          bg-pcm-surfaceSoft/80
+          backdrop-blur-sm
+          rounded-pcm-xl
+          border border-white/10
+          shadow-pcm-soft
+        `}
+      >
+        {/* Encabezado: título, botón nueva orden y filtros */}
+        <div className="p-6 border-b border-white/10">
+          <div className="flex items-center justify-between mb-4 gap-4">
+            <div className="flex items-center gap-3">
+              <ShoppingCart className="text-pcm-primary" size={28} />
+              <h3 className="text-xl font-semibold text-pcm-text">Órdenes de Compra</h3>
+            </div>
+
+            {esAdmin && (
+              <button
+                onClick={() => setShowModal(true)}
+                className="pcm-btn-primary flex items-center gap-2 px-4 py-2
+                           rounded-xl font-semibold hover:scale-105
+                           transition duration-150"
+              >
+                <Plus size={20} />
+                <span>Nueva orden</span>
+              </button>
+            )}
+          </div>
+
+          <div className="flex flex-col md:flex-row gap-3">
+            <div className="flex-1 relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-pcm-muted" size={20} />
+              <input
+                type="text"
+                placeholder="Buscar por número, proveedor o almacén..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="w-full pl-10 pr-4 py-2
+                           bg-pcm-bg/70 border border-white/10
+                           rounded-lg text-sm text-pcm-text
+                           placeholder:text-pcm-muted
+                           focus:outline-none focus:ring-2 focus:ring-pcm-primary/70"
+              />
+            </div>
+            <select
+              value={filtroEstado}
+              onChange={(e) => setFiltroEstado(e.target.value)}
+              className="px-4 py-2 bg-pcm-bg/70 border border-white/10 rounded-lg text-sm text-pcm-text
+                         focus:outline-none focus:ring-2 focus:ring-pcm-primary/70"
+            >
+              <option value="">Todos los estados</option>
+              {Object.entries(ESTADOS_ORDEN).map(([valor, { etiqueta }]) => (
+                <option key={valor} value={valor}>
+                  {etiqueta}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="mt-3 flex flex-wrap justify-between gap-2 text-xs text-pcm-muted">
+            <span>
+              Mostrando {filteredOrdenes.length} de {ordenes.length} órdenes
+            </span>
+            <span>
+              Pendiente por recibir:{' '}
+              <span className="text-pcm-text font-semibold">{formatoCop.format(totalPendiente)}</span>
+            </span>
+          </div>
+        </div>
+
+        {/* Tabla de órdenes */}
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-white/10 bg-pcm-bg/80">
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Número</th>
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Proveedor</th>
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Almacén</th>
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Proyecto</th>
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Fecha</th>
+                <th className="text-right p-4 text-xs font-semibold text-pcm-muted tracking-wide">Total</th>
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Estado</th>
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Acciones</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredOrdenes.length > 0 ? (
+                filteredOrdenes.map((orden) => {
+                  const estado = ESTADOS_ORDEN[orden.estado] || ESTADOS_ORDEN.borrador;
+                  return (
+                    <tr
+                      key={orden._id}
+                      className="border-b border-white/10 hover:bg-pcm-surfaceSoft/70 transition duration-150"
+                    >
+                      <td className="p-4 text-sm text-pcm-text font-semibold">{orden.numero}</td>
+                      <td className="p-4 text-sm text-pcm-text">{orden.proveedor?.nombre || '-'}</td>
+                      <td className="p-4 text-sm text-pcm-text">{orden.almacen?.nombre || '-'}</td>
+                      <td className="p-4 text-sm text-pcm-text">{orden.proyecto?.title || 'Stock general'}</td>
+                      <td className="p-4 text-sm text-pcm-text">
+                        {orden.createdAt ? new Date(orden.createdAt).toLocaleDateString('es-CO') : '-'}
+                      </td>
+                      <td className="p-4 text-sm text-pcm-text text-right font-semibold">
+                        {formatoCop.format(orden.total || 0)}
+                      </td>
+                      <td className="p-4">
+                        <span className={`text-xs font-semibold border rounded-full px-2 py-0.5 ${estado.clase}`}>
+                          {estado.etiqueta}
+                        </span>
+                      </td>
+                      <td className="p-4">
+                        <button
+                          onClick={() => setOrdenDetalle(orden)}
+                          className="inline-flex h-8 w-8 items-center justify-center rounded-full bg-black/40 border border-pcm-borderSoft hover:bg-black/60 transition"
+                          title="Ver detalle"
+                        >
+                          <Eye size={16} className="text-pcm-text" />
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })
+              ) : (
+                <tr>
+                  <td colSpan={8} className="p-8 text-center text-sm text-pcm-muted">
+                    {ordenes.length === 0
+                      ? 'No hay órdenes de compra registradas.'
+                      : 'No se encontraron órdenes con los filtros seleccionados'}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Modal de creación de orden */}
+      <ModalCrearOrdenCompra
+        estaAbierto={showModal}
+        alCerrar={() => setShowModal(false)}
+        alEnviar={handleCrear}
+        catalogos={catalogos}
+        rolUsuario={rolUsuario}
+      />
+
+      {/* Modal de detalle: aprobación, cancelación, recepciones y PDF */}
+      {ordenDetalle && (
+        <ModalDetalleOrdenCompra
+          orden={ordenDetalle}
+          esAdmin={esAdmin}
+          onClose={() => setOrdenDetalle(null)}
+          onActualizada={handleOrdenActualizada}
+          showToast={showToast}
+        />
+      )}
+    </>
+  );
+};
+
+export default VistaOrdenesCompra;
@@ -7,7 +7,8 @@
 //              usando el tema visual PCM (paleta `pcm`, sombras, animaciones y
 //              helpers .pcm-panel/.pcm-panel--ROL) y ofreciendo filtros para acotar
 //              la información (por ejemplo, por año en las gráficas y selección
-//              de proyectos para los KPIs).
+//              de proyectos para los KPIs). Para admin y líder incluye el valor
+//              ganado (SPI/CPI) de cada obra.
 
 // =========================
 // Importaciones principales
@@ -45,6 +46,7 @@ import {
 // Importación de componentes internos
 // =========================
 import ResumenSolicitudesProyectoCliente from '../../requests/pages/ResumenSolicitudesProyectoCliente.jsx'; // Widget de resumen de solicitudes por proyecto para el rol cliente.
+import ValorGanadoProyectos from '../../projects/components/ValorGanadoProyectos.jsx'; // Bloque de valor ganado (PV, EV, AC, SPI, CPI) por proyecto.
 
 // =====================================================================
 // Componente principal: VistaDashboard
@@ -1222,6 +1224,13 @@ const VistaDashboard = ({
         </div>
       )}
 
+      {/* Valor ganado por proyecto (vista gerencial: admin y líder de obra) */}
+      {(rolUsuario === 'admin' || rolUsuario === 'lider de obra') && proyectosVisibles.length > 0 && (
+        <ValorGanadoProyectos
+          titulo={rolUsuario === 'admin' ? 'Valor ganado por proyecto' : 'Valor ganado de mis obras'}
+        />
+      )}
+
       {/* Gráficas principales: evolución (línea) y distribución (pastel) */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Gráfica de evolución mensual (línea) */}
@@ -0,0 +1,343 @@
+// File: frontend/src/modules/suppliers/modals/ModalCrearEditarProveedor.jsx    // Ruta del archivo dentro del módulo de proveedores.
+// Description: Modal para crear o editar un proveedor: datos comerciales      // Descripción: gestiona creación/edición de proveedores desde el workspace.
+//              (NIT, ciudad, contacto), condiciones de pago y la lista de     // Explica los bloques del formulario.
+//              materiales suministrados con su precio cotizado. Recibe el     // Indica que el estado del formulario vive en el componente padre.
+//              estado y los manejadores desde VistaProveedores y aplica el    // Señala la vista que lo usa.
+//              tema visual PCM con colores por rol.                           // Cumple la regla global de colores por rol en pantallas internas.
+
+// ==========================
+// Importaciones principales
+// ==========================
+import React from "react";                                                      // Importa React para poder definir componentes funcionales.
+import { X, Plus, Trash2 } from "lucide-react";                                // Íconos de cierre, agregar y quitar fila.
+
+// ===================================
+// Helper de estilos según rol del panel
+// ===================================
+const obtenerClasesPanelPorRol = (rolUsuario) => {                             // Calcula borde y chip del modal según el rol.
+  const rolNormalizado = (rolUsuario || "").toString().toLowerCase().trim();   // Normaliza el rol recibido.
+
+  if (rolNormalizado.includes("admin")) {                                      // Administrador → azul.
+    return {
+      bordeTarjeta: "border-sky-500/40",
+      chipRol: "bg-sky-500/15 text-sky-200 border border-sky-500/40",
+      etiquetaRol: "Administrador",
+    };
+  }
+
+  if (rolNormalizado.includes("lider") || rolNormalizado.includes("líder")) {  // Líder de obra → naranja.
+    return {
+      bordeTarjeta: "border-orange-500/40",
+      chipRol: "bg-orange-500/15 text-orange-200 border border-orange-500/40",
+      etiquetaRol: "Líder de obra",
+    };
+  }
+
+  if (rolNormalizado.includes("auditor")) {                                    // Auditor → morado.
+    return {
+      bordeTarjeta: "border-purple-500/40",
+      chipRol: "bg-purple-500/15 text-purple-200 border border-purple-500/40",
+      etiquetaRol: "Auditor",
+    };
+  }
+
+  return {                                                                     // Respaldo con el color primario PCM.
+    bordeTarjeta: "border-pcm-primary/40",
+    chipRol: "bg-pcm-primary/15 text-pcm-primary border border-pcm-primary/60",
+    etiquetaRol: "Usuario",
+  };
+};
+
+// Clases compartidas de los inputs del formulario.
+const claseInput =
+  "w-full px-4 py-2 bg-pcm-bg/70 border border-white/10 rounded-lg text-pcm-text text-sm " +
+  "placeholder:text-pcm-muted focus:outline-none focus:ring-2 focus:ring-pcm-primary/80";
+
+// ============================================
+// Componente funcional ModalCrearEditarProveedor
+// ============================================
+//
+// Props:
+//
+//  - estaAbierto:              bandera booleana que indica si el modal está visible.
+//  - alCerrar:                 función que se llama al cerrar/cancelar.
+//  - alEnviar:                 función que se llama al enviar el formulario.
+//  - datosProveedor:           estado del formulario (ver VistaProveedores).
+//  - actualizarDatosProveedor: setter del estado del formulario en el padre.
+//  - proveedorEnEdicion:       proveedor en edición o null si es creación.
+//  - materialesCatalogo:       materiales disponibles para asociar al proveedor.
+//  - rolUsuario:               rol del usuario actual.
+//
+const ModalCrearEditarProveedor = ({
+  estaAbierto,
+  alCerrar,
+  alEnviar,
+  datosProveedor,
+  actualizarDatosProveedor,
+  proveedorEnEdicion,
+  materialesCatalogo = [],
+  rolUsuario = "admin",
+}) => {
+  if (!estaAbierto) return null;                                               // No se renderiza si está cerrado.
+
+  const estilosRolPanel = obtenerClasesPanelPorRol(rolUsuario);                // Borde y chip según el rol.
+
+  // Actualiza un campo simple del formulario.
+  const actualizarCampo = (campo, valor) =>
+    actualizarDatosProveedor({ ...datosProveedor, [campo]: valor });
+
+  // Actualiza un campo de una fila de materiales suministrados.
+  const actualizarMaterial = (indice, campo, valor) => {
+    const materiales = datosProveedor.materiales.map((item, i) =>
+      i === indice ? { ...item, [campo]: valor } : item
+    );
+    actualizarDatosProveedor({ ...datosProveedor, materiales });
+  };
+
+  // Agrega una fila vacía de material suministrado.
+  const agregarMaterial = () =>
+    actualizarDatosProveedor({
+      ...datosProveedor,
+      materiales: [...datosProveedor.materiales, { material: "", precioCotizado: "", tiempoEntregaDias: "" }],
+    });
+
+  // Quita una fila de material suministrado.
+  const quitarMaterial = (indice) =>
+    actualizarDatosProveedor({
+      ...datosProveedor,
+      materiales: datosProveedor.materiales.filter((_, i) => i !== indice),
+    });
+
+  // Envío del formulario delegado al padre.
+  const manejarEnvioFormulario = (evento) => {
+    evento.preventDefault();
+    alEnviar(evento);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 p-4 animate-fade-in-soft"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="titulo-modal-proveedor"
+    >
+      <div
+        className={`
+          bg-pcm-surfaceSoft/95 rounded-pcm-xl max-w-2xl w-full
+          border shadow-pcm-soft animate-scale-in
+          ${estilosRolPanel.bordeTarjeta}
+        `}
+      >
+        {/* Encabezado: título, chip de rol y botón de cierre */}
+        <div className="p-6 border-b border-white/10 flex items-center justify-between gap-3">
+          <div className="flex items-center gap-2">
+            <h3 id="titulo-modal-proveedor" className="text-xl font-semibold text-pcm-text">
+              {proveedorEnEdicion ? "Editar proveedor" : "Nuevo proveedor"}
+            </h3>
+            <span
+              className={`
+                px-2 py-0.5 rounded-full text-[10px] font-semibold uppercase
+                tracking-wide ${estilosRolPanel.chipRol}
+              `}
+            >
+              {estilosRolPanel.etiquetaRol}
+            </span>
+          </div>
+
+          <button
+            type="button"
+            onClick={alCerrar}
+            className="text-pcm-muted hover:text-pcm-text transition duration-200"
+          >
+            <X size={24} />
+          </button>
+        </div>
+
+        {/* Formulario con scroll propio para listas largas de materiales */}
+        <form onSubmit={manejarEnvioFormulario} className="p-6 space-y-4 max-h-[75vh] pcm-scroll-y">
+          {/* Datos comerciales */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-pcm-text text-sm font-semibold mb-2">Nombre / razón social *</label>
+              <input
+                type="text"
+                value={datosProveedor.nombre}
+                onChange={(e) => actualizarCampo("nombre", e.target.value)}
+                required
+                placeholder="Cementos del Valle S.A.S."
+                className={claseInput}
+              />
+            </div>
+            <div>
+              <label className="block text-pcm-text text-sm font-semibold mb-2">NIT *</label>
+              <input
+                type="text"
+                value={datosProveedor.nit}
+                onChange={(e) => actualizarCampo("nit", e.target.value)}
+                required
+                placeholder="900123456-7"
+                className={claseInput}
+              />
+            </div>
+            <div>
+              <label className="block text-pcm-text text-sm font-semibold mb-2">Ciudad</label>
+              <input
+                type="text"
+                value={datosProveedor.ciudad}
+                onChange={(e) => actualizarCampo("ciudad", e.target.value)}
+                placeholder="Cali"
+                className={claseInput}
+              />
+            </div>
+            <div>
+              <label className="block text-pcm-text text-sm font-semibold mb-2">Dirección</label>
+              <input
+                type="text"
+                value={datosProveedor.direccion}
+                onChange={(e) => actualizarCampo("direccion", e.target.value)}
+                placeholder="Calle 10 #20-30"
+                className={claseInput}
+              />
+            </div>
+          </div>
+
+          {/* Contacto */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-pcm-text text-sm font-semibold mb-2">Contacto</label>
+              <input
+                type="text"
+                value={datosProveedor.contactoNombre}
+                onChange={(e) => actualizarCampo("contactoNombre", e.target.value)}
+                placeholder="Laura Gómez"
+                className={claseInput}
+              />
+            </div>
+            <div>
+              <label className="block text-pcm-text text-sm font-semibold mb-2">Teléfono</label>
+              <input
+                type="text"
+                value={datosProveedor.contactoTelefono}
+                onChange={(e) => actualizarCampo("contactoTelefono", e.target.value)}
+                placeholder="3001234567"
+                className={claseInput}
+              />
+            </div>
+            <div>
+              <label className="block text-pcm-text text-sm font-semibold mb-2">Correo</label>
+              <input
+                type="email"
+                value={datosProveedor.contactoCorreo}
+                onChange={(e) => actualizarCampo("contactoCorreo", e.target.value)}
+                placeholder="ventas@proveedor.com"
+                className={claseInput}
+              />
+            </div>
+          </div>
+
+          {/* Condiciones de pago */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-pcm-text text-sm font-semibold mb-2">Plazo de pago (días)</label>
+              <input
+                type="number"
+                min="0"
+                value={datosProveedor.plazoPagoDias}
+                onChange={(e) => actualizarCampo("plazoPagoDias", e.target.value)}
+                placeholder="0 = contado"
+                className={claseInput}
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-pcm-text text-sm font-semibold mb-2">Condiciones de pago</label>
+              <input
+                type="text"
+                value={datosProveedor.condicionesPago}
+                onChange={(e) => actualizarCampo("condicionesPago", e.target.value)}
+                placeholder="50% anticipo, saldo contra entrega"
+                className={claseInput}
+              />
+            </div>
+          </div>
+
+          {/* Materiales suministrados */}
+          <div className="pt-2">
+            <div className="flex items-center justify-between mb-2">
+              <label className="text-pcm-text text-sm font-semibold">Materiales suministrados</label>
+              <button
+                type="button"
+                onClick={agregarMaterial}
+                className="pcm-btn-ghost inline-flex items-center gap-1 px-3 py-1 text-xs font-semibold"
+              >
+                <Plus size={14} /> Agregar material
+              </button>
+            </div>
+
+            {datosProveedor.materiales.length === 0 ? (
+              <p className="text-xs text-pcm-muted">Sin materiales asociados.</p>
+            ) : (
+              <div className="space-y-2">
+                {datosProveedor.materiales.map((item, indice) => (
+                  <div key={indice} className="grid grid-cols-12 gap-2 items-center">
+                    <select
+                      value={item.material}
+                      onChange={(e) => actualizarMaterial(indice, "material", e.target.value)}
+                      required
+                      className={`${claseInput} col-span-6`}
+                    >
+                      <option value="">Selecciona un material</option>
+                      {materialesCatalogo.map((material) => (
+                        <option key={material._id} value={material._id}>
+                          {material.nombre} ({material.unidad || "unidad"})
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={item.precioCotizado}
+                      onChange={(e) => actualizarMaterial(indice, "precioCotizado", e.target.value)}
+                      required
+                      placeholder="Precio cotizado"
+                      className={`${claseInput} col-span-3`}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      value={item.tiempoEntregaDias}
+                      onChange={(e) => actualizarMaterial(indice, "tiempoEntregaDias", e.target.value)}
+                      placeholder="Entrega (días)"
+                      className={`${claseInput} col-span-2`}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => quitarMaterial(indice)}
+                      className="col-span-1 text-red-400 hover:text-red-300 transition duration-150 flex justify-center"
+                      title="Quitar material"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Botones de acción */}
+          <div className="flex gap-3 pt-4">
+            <button type="button" onClick={alCerrar} className="pcm-btn-ghost flex-1 text-sm font-semibold">
+              Cancelar
+            </button>
+            <button type="submit" className="pcm-btn-primary flex-1 text-sm font-semibold">
+              {proveedorEnEdicion ? "Actualizar" : "Crear"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// Exporta el modal para usarlo en VistaProveedores.
+export default ModalCrearEditarProveedor;
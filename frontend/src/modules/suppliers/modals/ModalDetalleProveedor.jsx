@@ -0,0 +1,236 @@
+// File: frontend/src/modules/suppliers/modals/ModalDetalleProveedor.jsx
+// Description: Modal de detalle de proveedor para ProCivil Manager (PCM).
+//              Muestra los datos comerciales del proveedor (NIT, contacto,
+//              condiciones de pago), los materiales que suministra con su
+//              precio cotizado y el desglose de compras por material a partir
+//              de las entradas de inventario enlazadas, con filtro de fechas.
+
+import React, { useState, useEffect } from 'react';
+import { X, Truck, Package, ShoppingCart, Loader } from 'lucide-react';
+import { obtenerComprasProveedor } from '../../../services/api/api.js';
+
+// Formateador de moneda colombiana sin decimales
+const formatoCop = new Intl.NumberFormat('es-CO', {
+  style: 'currency',
+  currency: 'COP',
+  maximumFractionDigits: 0,
+});
+
+// Componente principal del modal de detalle de proveedor
+const ModalDetalleProveedor = ({ proveedor, onClose }) => {
+  // Estado del desglose de compras y del filtro de fechas
+  const [compras, setCompras] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [filtros, setFiltros] = useState({ desde: '', hasta: '' });
+
+  useEffect(() => {
+    // Carga las compras del proveedor al abrir el modal o cambiar el rango
+    const cargarCompras = async () => {
+      if (!proveedor || !proveedor._id) return;
+      setLoading(true);
+      setError('');
+      try {
+        const data = await obtenerComprasProveedor(proveedor._id, filtros);
+        setCompras(data);
+      } catch (err) {
+        console.error('Error al obtener compras del proveedor:', err);
+        setError(err?.message || 'No se pudieron cargar las compras del proveedor.');
+        setCompras(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+    cargarCompras();
+  }, [proveedor, filtros]);
+
+  // Helper para cerrar con tecla Esc
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  if (!proveedor) return null;
+
+  const plazo = Number(proveedor.plazoPagoDias) || 0;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4"
+      role="dialog"
+      aria-modal="true"
+    >
+      {/* Fondo oscuro clickeable para cerrar */}
+      <div className="absolute inset-0" onClick={onClose}></div>
+      {/* Contenedor del modal */}
+      <div className="relative bg-pcm-surfaceSoft/95 rounded-pcm-xl w-full max-w-4xl shadow-pcm-soft overflow-hidden animate-fade-in-soft">
+        {/* Encabezado */}
+        <div className="flex items-center justify-between p-6 border-b border-white/10">
+          <div className="flex items-center gap-3">
+            <div className="w-12 h-12 rounded-2xl bg-pcm-primary flex items-center justify-center">
+              <Truck size={24} className="text-white" />
+            </div>
+            <div>
+              <h3 className="text-2xl font-semibold text-pcm-text">{proveedor.nombre}</h3>
+              <p className="text-pcm-primary/80 text-sm">NIT {proveedor.nit}</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="text-pcm-muted hover:text-pcm-text">
+            <X size={24} />
+          </button>
+        </div>
+
+        {/* Cuerpo del modal */}
+        <div className="p-6 space-y-8 max-h-[75vh] overflow-y-auto">
+          {/* Información general */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-4">
+            <div>
+              <p className="text-pcm-primary/70 text-xs uppercase font-semibold mb-1">Ciudad</p>
+              <p className="text-pcm-text text-base">{proveedor.ciudad || '-'}</p>
+            </div>
+            <div>
+              <p className="text-pcm-primary/70 text-xs uppercase font-semibold mb-1">Dirección</p>
+              <p className="text-pcm-text text-base">{proveedor.direccion || '-'}</p>
+            </div>
+            <div>
+              <p className="text-pcm-primary/70 text-xs uppercase font-semibold mb-1">Contacto</p>
+              <p className="text-pcm-text text-base">
+                {[proveedor.contacto?.nombre, proveedor.contacto?.telefono, proveedor.contacto?.correo]
+                  .filter(Boolean)
+                  .join(' · ') || '-'}
+              </p>
+            </div>
+            <div>
+              <p className="text-pcm-primary/70 text-xs uppercase font-semibold mb-1">Condiciones de pago</p>
+              <p className="text-pcm-text text-base">
+                {plazo > 0 ? `Crédito a ${plazo} días` : 'Contado'}
+                {proveedor.condicionesPago ? ` · ${proveedor.condicionesPago}` : ''}
+              </p>
+            </div>
+          </div>
+
+          {/* Materiales suministrados */}
+          <div>
+            <div className="flex items-center gap-2 mb-3">
+              <Package size={20} className="text-pcm-primary" />
+              <h4 className="text-lg font-semibold text-pcm-text">Materiales suministrados</h4>
+            </div>
+            {Array.isArray(proveedor.materiales) && proveedor.materiales.length > 0 ? (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-white/10 text-pcm-muted text-xs">
+                      <th className="text-left p-2">Material</th>
+                      <th className="text-right p-2">Precio cotizado</th>
+                      <th className="text-right p-2">Entrega</th>
+                      <th className="text-right p-2">Cotizado el</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {proveedor.materiales.map((item, i) => (
+                      <tr key={item.material?._id || i} className="border-b border-white/5 text-pcm-text">
+                        <td className="p-2">
+                          {item.material?.nombre || 'Material eliminado'}
+                          <span className="text-pcm-muted"> / {item.material?.unidad || 'unidad'}</span>
+                        </td>
+                        <td className="p-2 text-right">{formatoCop.format(item.precioCotizado || 0)}</td>
+                        <td className="p-2 text-right">
+                          {item.tiempoEntregaDias !== undefined && item.tiempoEntregaDias !== null
+                            ? `${item.tiempoEntregaDias} días`
+                            : '-'}
+                        </td>
+                        <td className="p-2 text-right">
+                          {item.fechaCotizacion ? new Date(item.fechaCotizacion).toLocaleDateString('es-CO') : '-'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className="text-pcm-muted text-sm">Este proveedor no tiene materiales asociados.</p>
+            )}
+          </div>
+
+          {/* Compras por material */}
+          <div>
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+              <div className="flex items-center gap-2">
+                <ShoppingCart size={20} className="text-pcm-primary" />
+                <h4 className="text-lg font-semibold text-pcm-text">Compras</h4>
+              </div>
+              <div className="flex items-center gap-2 text-xs text-pcm-muted">
+                <span>Desde</span>
+                <input
+                  type="date"
+                  value={filtros.desde}
+                  onChange={(e) => setFiltros((prev) => ({ ...prev, desde: e.target.value }))}
+                  className="px-2 py-1 bg-pcm-bg/70 border border-white/10 rounded-lg text-pcm-text"
+                />
+                <span>Hasta</span>
+                <input
+                  type="date"
+                  value={filtros.hasta}
+                  onChange={(e) => setFiltros((prev) => ({ ...prev, hasta: e.target.value }))}
+                  className="px-2 py-1 bg-pcm-bg/70 border border-white/10 rounded-lg text-pcm-text"
+                />
+              </div>
+            </div>
+
+            {loading ? (
+              <div className="flex justify-center py-6">
+                <Loader className="animate-spin text-pcm-primary" size={28} />
+              </div>
+            ) : error ? (
+              <p className="text-red-400 text-sm">{error}</p>
+            ) : compras && compras.materiales.length > 0 ? (
+              <>
+                <p className="text-pcm-text text-sm mb-3">
+                  Total comprado:{' '}
+                  <span className="font-semibold">{formatoCop.format(compras.totalCompras || 0)}</span>
+                  <span className="text-pcm-muted"> en {compras.cantidadEntradas} entradas</span>
+                </p>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b border-white/10 text-pcm-muted text-xs">
+                        <th className="text-left p-2">Material</th>
+                        <th className="text-right p-2">Cantidad</th>
+                        <th className="text-right p-2">Costo promedio</th>
+                        <th className="text-right p-2">Valor</th>
+                        <th className="text-right p-2">Última compra</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {compras.materiales.map((fila) => (
+                        <tr key={fila.material._id} className="border-b border-white/5 text-pcm-text">
+                          <td className="p-2">{fila.material.nombre}</td>
+                          <td className="p-2 text-right">
+                            {Number(fila.cantidad).toLocaleString('es-CO', { maximumFractionDigits: 2 })}{' '}
+                            {fila.material.unidad || ''}
+                          </td>
+                          <td className="p-2 text-right">{formatoCop.format(fila.costoPromedio || 0)}</td>
+                          <td className="p-2 text-right font-semibold">{formatoCop.format(fila.valor || 0)}</td>
+                          <td className="p-2 text-right">
+                            {fila.ultimaCompra ? new Date(fila.ultimaCompra).toLocaleDateString('es-CO') : '-'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            ) : (
+              <p className="text-pcm-muted text-sm">No hay compras registradas para este proveedor en el periodo.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModalDetalleProveedor;
@@ -0,0 +1,146 @@
+// File: frontend/src/modules/suppliers/modals/ModalEliminarProveedor.jsx
+// Description: Modal de confirmación para eliminar (lógicamente) un proveedor
+//              en el workspace de ProCivil Manager. Sigue el mismo diseño que
+//              la confirmación de eliminación de almacenes (overlay + tarjeta
+//              con borde animado según el rol del usuario).
+
+// ==========================
+// Importaciones principales
+// ==========================
+import React, { useEffect } from 'react';
+import { AlertCircle, X } from 'lucide-react';
+
+/**
+ * Convierte el rol lógico del usuario a la variante visual .pcm-panel--ROL.
+ */
+const obtenerRolVisual = (rolUsuario) => {
+  const rolCrudo = (rolUsuario || '').toString().toLowerCase();
+  if (rolCrudo.includes('admin')) return 'admin';
+  if (rolCrudo.includes('auditor')) return 'auditor';
+  if (rolCrudo.includes('client') || rolCrudo.includes('cliente')) return 'cliente';
+  return 'lider';
+};
+
+// =======================================
+// Componente funcional ModalEliminarProveedor
+// =======================================
+//
+// Props esperadas:
+//
+//  - estaAbierto: bandera booleana que controla la visibilidad del modal.
+//  - proveedor:   proveedor a eliminar (puede ser null/undefined).
+//  - alConfirmar: callback al confirmar la eliminación.
+//  - alCancelar:  callback al cancelar/cerrar el modal.
+//  - rolUsuario:  rol del usuario en el workspace.
+//
+const ModalEliminarProveedor = ({
+  estaAbierto,
+  proveedor,
+  alConfirmar,
+  alCancelar,
+  rolUsuario = 'admin',
+}) => {
+  // Bloquea el scroll del body y cierra con ESC mientras el modal está abierto
+  useEffect(() => {
+    if (!estaAbierto) return undefined;
+
+    const overflowOriginal = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+
+    const manejarKeyDown = (evento) => {
+      if (evento.key === 'Escape' && typeof alCancelar === 'function') alCancelar();
+    };
+    window.addEventListener('keydown', manejarKeyDown);
+
+    return () => {
+      document.body.style.overflow = overflowOriginal;
+      window.removeEventListener('keydown', manejarKeyDown);
+    };
+  }, [estaAbierto, alCancelar]);
+
+  if (!estaAbierto) return null;
+
+  const nombreProveedor = proveedor?.nombre || 'este proveedor';
+
+  return (
+    <div
+      className={`pcm-panel pcm-panel--${obtenerRolVisual(rolUsuario)} fixed inset-0 z-40 flex items-center justify-center px-4 sm:px-6`}
+      aria-modal="true"
+      role="dialog"
+      aria-labelledby="modal-eliminar-proveedor-titulo"
+    >
+      {/* Overlay oscuro: cierra el modal al hacer clic fuera de la tarjeta */}
+      <div
+        className="absolute inset-0 bg-black/75 pcm-overlay-suave"
+        onClick={(evento) => {
+          if (evento.target === evento.currentTarget && typeof alCancelar === 'function') {
+            alCancelar();
+          }
+        }}
+      />
+
+      {/* Contenedor centrado del modal con animación de entrada */}
+      <div className="relative w-full max-w-md animate-entrada-suave-arriba" onClick={(e) => e.stopPropagation()}>
+        <div className="pcm-borde-animado">
+          <div className="pcm-borde-animado-contenido bg-pcm-surface rounded-[var(--radius-pcm-xl,1.5rem)] shadow-pcm-profunda border border-pcm-borderSoft text-pcm-text px-6 py-5">
+            {/* Encabezado del modal */}
+            <div
+              className="flex items-center justify-between mb-4 pb-3 border-b"
+              style={{ borderBottomColor: 'var(--pcm-color-acento-border)' }}
+            >
+              <div className="flex items-center gap-3">
+                <AlertCircle className="text-amber-400" size={24} />
+                <h3 id="modal-eliminar-proveedor-titulo" className="text-lg font-semibold">
+                  Confirmar eliminación
+                </h3>
+              </div>
+              <button
+                type="button"
+                onClick={alCancelar}
+                className="w-9 h-9 rounded-lg border border-white/20 flex items-center justify-center text-pcm-muted hover:text-pcm-text hover:bg-white/10 transition-all duration-150"
+                aria-label="Cerrar modal"
+              >
+                <X size={20} />
+              </button>
+            </div>
+
+            {/* Contenido del modal */}
+            <div className="space-y-4 text-sm sm:text-base">
+              <p className="text-pcm-text leading-relaxed">
+                ¿Estás seguro de que deseas eliminar el proveedor{' '}
+                <span className="font-semibold text-pcm-text">{nombreProveedor}</span>?
+              </p>
+              <p className="text-xs sm:text-sm text-pcm-muted">
+                El proveedor dejará de estar disponible para nuevas entradas. Las compras ya registradas conservan su referencia.
+              </p>
+            </div>
+
+            {/* Botones de acción */}
+            <div className="flex flex-col sm:flex-row gap-3 pt-6">
+              <button
+                type="button"
+                onClick={alCancelar}
+                className="w-full sm:flex-1 px-4 py-2 bg-pcm-surfaceSoft border border-pcm-borderSoft rounded-lg text-pcm-text text-sm font-semibold hover:bg-pcm-surface transition duration-150"
+              >
+                Cancelar
+              </button>
+              <button
+                type="button"
+                onClick={alConfirmar}
+                className="w-full sm:flex-1 px-4 py-2 rounded-lg text-sm font-semibold text-slate-900 shadow-pcm-suave hover:shadow-pcm-profunda transform hover:-translate-y-0.5 transition duration-150"
+                style={{
+                  backgroundImage: 'linear-gradient(90deg, var(--pcm-color-acento), var(--pcm-color-acento-border))',
+                }}
+              >
+                Eliminar
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Exportación por defecto para usar este modal en la vista de proveedores.
+export default ModalEliminarProveedor;
@@ -0,0 +1,506 @@
+// File: frontend/src/modules/suppliers/pages/VistaProveedores.jsx
+// Description: Vista para la gestión de proveedores en ProCivil Manager (PCM).
+//              Lista los proveedores con su NIT, ciudad, contacto, condiciones
+//              de pago y total comprado (entradas de inventario enlazadas).
+//              Solo el rol "admin" puede crear, editar o eliminar; líder de
+//              obra y auditor consultan en modo lectura. Carga sus propios
+//              datos (proveedores y catálogo de materiales).
+
+// =========================
+//   Importaciones básicas
+// =========================
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  Search,                                                                    // Ícono de lupa para el buscador.
+  Truck,                                                                     // Ícono de proveedor para cabecera y filas.
+  Phone,                                                                     // Ícono de teléfono.
+  MapPin,                                                                    // Ícono de ubicación.
+  Plus,                                                                      // Ícono de suma para "Nuevo proveedor".
+  X,                                                                         // Ícono de cierre para el toast.
+  Loader,                                                                    // Ícono de cargando (spinner).
+  CheckCircle,                                                               // Ícono de éxito.
+  AlertCircle,                                                               // Ícono de advertencia.
+  XCircle,                                                                   // Ícono de error.
+  Info,                                                                      // Ícono de información.
+  Eye,                                                                       // Ícono de ojo para el detalle.
+} from 'lucide-react';
+
+// =========================
+//   Servicios de API
+// =========================
+import {
+  obtenerProveedores,                                                       // Lista proveedores con total de compras.
+  crearProveedor,                                                           // Crea un proveedor.
+  actualizarProveedor,                                                      // Actualiza un proveedor.
+  eliminarProveedor,                                                        // Elimina (lógicamente) un proveedor.
+  obtenerMateriales,                                                        // Catálogo de materiales para el formulario.
+} from '../../../services/api/api.js';
+
+// =========================
+//   Modales del módulo
+// =========================
+import ModalCrearEditarProveedor from '../modals/ModalCrearEditarProveedor';
+import ModalEliminarProveedor from '../modals/ModalEliminarProveedor';
+import ModalDetalleProveedor from '../modals/ModalDetalleProveedor';
+
+// Formateador de moneda colombiana sin decimales
+const formatoCop = new Intl.NumberFormat('es-CO', {
+  style: 'currency',
+  currency: 'COP',
+  maximumFractionDigits: 0,
+});
+
+// Estado inicial del formulario de proveedor
+const FORMULARIO_VACIO = {
+  nombre: '',
+  nit: '',
+  ciudad: '',
+  direccion: '',
+  contactoNombre: '',
+  contactoTelefono: '',
+  contactoCorreo: '',
+  plazoPagoDias: '',
+  condicionesPago: '',
+  materiales: [],                                                           // [{ material, precioCotizado, tiempoEntregaDias }]
+};
+
+// ---------------------------------------------------------------------
+//   Componente de notificación tipo "toast"
+// ---------------------------------------------------------------------
+const Toast = ({ message, type, onClose }) => {
+  const icons = {
+    success: <CheckCircle size={20} />,
+    error: <XCircle size={20} />,
+    warning: <AlertCircle size={20} />,
+    info: <Info size={20} />,
+  };
+
+  const styles = {
+    success: 'bg-emerald-600/95 border-emerald-400/80',
+    error: 'bg-red-600/95 border-red-400/80',
+    warning: 'bg-amber-600/95 border-amber-400/80',
+    info: 'bg-pcm-surfaceSoft/95 border-pcm-primary/70',
+  };
+
+  // Auto-cierre del toast después de 4 segundos.
+  useEffect(() => {
+    const timer = setTimeout(onClose, 4000);
+    return () => clearTimeout(timer);
+  }, [onClose]);
+
+  return (
+    <div
+      className={`${styles[type] || styles.info} border-2 rounded-xl shadow-pcm-soft
+                  p-4 flex items-start gap-3 min-w-[280px] max-w-md
+                  animate-slide-in-down`}
+    >
+      <div className="text-white mt-0.5">{icons[type] || icons.info}</div>
+      <div className="flex-1">
+        <p className="text-white font-semibold text-sm leading-relaxed">{message}</p>
+      </div>
+      <button onClick={onClose} className="text-white/80 hover:text-white transition duration-150">
+        <X size={18} />
+      </button>
+    </div>
+  );
+};
+
+// ---------------------------------------------------------------------
+//   Helper para clases de panel según el rol del usuario
+// ---------------------------------------------------------------------
+const obtenerClasesPanelPorRol = (rolUsuario) => {
+  const rolNormalizado = (rolUsuario || '').toString().toLowerCase().trim();
+  if (rolNormalizado.includes('admin')) return 'pcm-panel pcm-panel-fondo pcm-panel--admin';
+  if (rolNormalizado.includes('lider') || rolNormalizado.includes('líder')) {
+    return 'pcm-panel pcm-panel-fondo pcm-panel--lider';
+  }
+  if (rolNormalizado.includes('auditor')) return 'pcm-panel pcm-panel-fondo pcm-panel--auditor';
+  return 'pcm-panel pcm-panel-fondo';
+};
+
+// ---------------------------------------------------------------------
+//   Componente principal: VistaProveedores
+// ---------------------------------------------------------------------
+const VistaProveedores = ({ rolUsuario = '' }) => {
+  // =========================
+  //   Estados principales
+  // =========================
+  const [proveedores, setProveedores] = useState([]);                       // Proveedores con total de compras.
+  const [materialesCatalogo, setMaterialesCatalogo] = useState([]);         // Materiales para el formulario.
+  const [loading, setLoading] = useState(true);                             // Carga inicial.
+  const [searchTerm, setSearchTerm] = useState('');                         // Texto de búsqueda.
+  const [showModal, setShowModal] = useState(false);                        // Modal de creación/edición.
+  const [editingProveedor, setEditingProveedor] = useState(null);           // Proveedor en edición (null = nuevo).
+  const [formData, setFormData] = useState(FORMULARIO_VACIO);               // Estado del formulario.
+  const [deleteTarget, setDeleteTarget] = useState(null);                   // Proveedor a eliminar.
+  const [proveedorDetalle, setProveedorDetalle] = useState(null);           // Proveedor en el modal de detalle.
+  const [toasts, setToasts] = useState([]);                                 // Toasts activos.
+
+  const esAdmin = (rolUsuario || '').toString().toLowerCase() === 'admin';  // Solo admin modifica.
+
+  // =========================
+  //   Notificaciones (toasts)
+  // =========================
+  const showToast = (message, type = 'info') => {
+    const id = Date.now();
+    setToasts((prev) => [...prev, { id, message, type }]);
+  };
+
+  const removeToast = (id) => {
+    setToasts((prev) => prev.filter((toast) => toast.id !== id));
+  };
+
+  // =========================
+  //   Carga de datos
+  // =========================
+  const cargarProveedores = useCallback(async () => {
+    try {
+      const data = await obtenerProveedores();
+      setProveedores(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error('Error al cargar proveedores:', err);
+      showToast(err?.message || 'Error al cargar los proveedores', 'error');
+    }
+  }, []);
+
+  useEffect(() => {
+    const cargarDatos = async () => {
+      setLoading(true);
+      try {
+        await cargarProveedores();
+        // El catálogo de materiales solo se necesita para el formulario (admin)
+        if (esAdmin) {
+          const materiales = await obtenerMateriales();
+          setMaterialesCatalogo(Array.isArray(materiales) ? materiales : []);
+        }
+      } catch (err) {
+        console.error('Error al cargar materiales para proveedores:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    cargarDatos();
+  }, [cargarProveedores, esAdmin]);
+
+  // =========================
+  //   Handlers de acciones
+  // =========================
+  const handleCreate = () => {
+    setEditingProveedor(null);
+    setFormData(FORMULARIO_VACIO);
+    setShowModal(true);
+  };
+
+  const handleEdit = (proveedor) => {
+    setEditingProveedor(proveedor);
+    setFormData({
+      nombre: proveedor.nombre || '',
+      nit: proveedor.nit || '',
+      ciudad: proveedor.ciudad || '',
+      direccion: proveedor.direccion || '',
+      contactoNombre: proveedor.contacto?.nombre || '',
+      contactoTelefono: proveedor.contacto?.telefono || '',
+      contactoCorreo: proveedor.contacto?.correo || '',
+      plazoPagoDias: proveedor.plazoPagoDias ?? '',
+      condicionesPago: proveedor.condicionesPago || '',
+      materiales: (proveedor.materiales || []).map((item) => ({
+        material: item.material?._id || item.material || '',
+        precioCotizado: item.precioCotizado ?? '',
+        tiempoEntregaDias: item.tiempoEntregaDias ?? '',
+        fechaCotizacion: item.fechaCotizacion,
+      })),
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await eliminarProveedor(id);
+      await cargarProveedores();
+      showToast('Proveedor eliminado exitosamente', 'success');
+    } catch (err) {
+      console.error('Error al eliminar proveedor:', err);
+      showToast(err?.message || 'Error al eliminar el proveedor', 'error');
+    } finally {
+      setDeleteTarget(null);
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (!formData.nombre.trim() || !formData.nit.trim()) {
+      showToast('El nombre y el NIT son obligatorios', 'warning');
+      return;
+    }
+
+    // Payload normalizado para el backend
+    const payload = {
+      nombre: formData.nombre.trim(),
+      nit: formData.nit.trim(),
+      ciudad: formData.ciudad.trim(),
+      direccion: formData.direccion.trim(),
+      contacto: {
+        nombre: formData.contactoNombre.trim(),
+        telefono: formData.contactoTelefono.trim(),
+        correo: formData.contactoCorreo.trim(),
+      },
+      plazoPagoDias: formData.plazoPagoDias === '' ? 0 : Number(formData.plazoPagoDias),
+      condicionesPago: formData.condicionesPago.trim(),
+      materiales: formData.materiales.map((item) => ({
+        material: item.material,
+        precioCotizado: Number(item.precioCotizado),
+        tiempoEntregaDias: item.tiempoEntregaDias === '' ? undefined : Number(item.tiempoEntregaDias),
+        fechaCotizacion: item.fechaCotizacion,
+      })),
+    };
+
+    try {
+      if (editingProveedor) {
+        await actualizarProveedor(editingProveedor._id, payload);
+      } else {
+        await crearProveedor(payload);
+      }
+
+      await cargarProveedores();
+      setShowModal(false);
+      showToast(
+        editingProveedor ? 'Proveedor actualizado exitosamente' : 'Proveedor creado exitosamente',
+        'success'
+      );
+    } catch (err) {
+      console.error('Error al guardar proveedor:', err);
+      showToast(err?.message || 'Error al guardar el proveedor', 'error');
+    }
+  };
+
+  // =========================
+  //   Filtro y totales
+  // =========================
+  const filteredProveedores = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    return proveedores.filter(
+      (proveedor) =>
+        proveedor.nombre?.toLowerCase().includes(term) ||
+        proveedor.nit?.toLowerCase().includes(term) ||
+        proveedor.ciudad?.toLowerCase().includes(term)
+    );
+  }, [proveedores, searchTerm]);
+
+  const totalComprado = useMemo(
+    () => filteredProveedores.reduce((acc, p) => acc + (Number(p.compras?.totalCompras) || 0), 0),
+    [filteredProveedores]
+  );
+
+  // =========================
+  //   Estado de carga
+  // =========================
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <Loader className="animate-spin text-pcm-primary" size={48} />
+      </div>
+    );
+  }
+
+  // =========================
+  //   Render principal
+  // =========================
+  return (
+    <>
+      {/* Contenedor de notificaciones toast */}
+      <div className="fixed top-4 right-4 z-50 space-y-3">
+        {toasts.map((toast) => (
+          <Toast key={toast.id} message={toast.message} type={toast.type} onClose={() => removeToast(toast.id)} />
+        ))}
+      </div>
+
+      {/* Tarjeta principal con adaptación por rol */}
+      <div
+        className={`
+          ${obtenerClasesPanelPorRol(rolUsuario)}
+          bg-pcm-surfaceSoft/80
+          backdrop-blur-sm
+          rounded-pcm-xl
+          border border-white/10
+          shadow-pcm-soft
+        `}
+      >
+        {/* Encabezado: título, botón nuevo y buscador */}
+        <div className="p-6 border-b border-white/10">
+          <div className="flex items-center justify-between mb-4 gap-4">
+            <div className="flex items-center gap-3">
+              <Truck className="text-pcm-primary" size={28} />
+              <h3 className="text-xl font-semibold text-pcm-text">Gestión de Proveedores</h3>
+            </div>
+
+            {esAdmin && (
+              <button
+                onClick={handleCreate}
+                className="pcm-btn-primary flex items-center gap-2 px-4 py-2
+                           rounded-xl font-semibold hover:scale-105
+                           transition duration-150"
+              >
+                <Plus size={20} />
+                <span>Nuevo proveedor</span>
+              </button>
+            )}
+          </div>
+
+          <div className="flex-1 relative">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-pcm-muted" size={20} />
+            <input
+              type="text"
+              placeholder="Buscar por nombre, NIT o ciudad..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="w-full pl-10 pr-4 py-2
+                         bg-pcm-bg/70 border border-white/10
+                         rounded-lg text-sm text-pcm-text
+                         placeholder:text-pcm-muted
+                         focus:outline-none focus:ring-2 focus:ring-pcm-primary/70"
+            />
+          </div>
+
+          <div className="mt-3 flex flex-wrap justify-between gap-2 text-xs text-pcm-muted">
+            <span>
+              Mostrando {filteredProveedores.length} de {proveedores.length} proveedores
+            </span>
+            <span>
+              Total comprado: <span className="text-pcm-text font-semibold">{formatoCop.format(totalComprado)}</span>
+            </span>
+          </div>
+        </div>
+
+        {/* Tabla de proveedores */}
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-white/10 bg-pcm-bg/80">
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Proveedor</th>
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">NIT</th>
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Ciudad</th>
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Contacto</th>
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Pago</th>
+                <th className="text-right p-4 text-xs font-semibold text-pcm-muted tracking-wide">Materiales</th>
+                <th className="text-right p-4 text-xs font-semibold text-pcm-muted tracking-wide">Total comprado</th>
+                <th className="text-left p-4 text-xs font-semibold text-pcm-muted tracking-wide">Acciones</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredProveedores.length > 0 ? (
+                filteredProveedores.map((proveedor) => {
+                  const plazo = Number(proveedor.plazoPagoDias) || 0;
+                  return (
+                    <tr
+                      key={proveedor._id}
+                      className="border-b border-white/10 hover:bg-pcm-surfaceSoft/70 transition duration-150"
+                    >
+                      <td className="p-4">
+                        <div className="flex items-center gap-2">
+                          <Truck className="text-pcm-primary" size={18} />
+                          <span className="text-pcm-text font-semibold text-sm">{proveedor.nombre}</span>
+                          {proveedor.activo === false && (
+                            <span className="text-[10px] uppercase text-pcm-muted border border-white/10 rounded-full px-2">
+                              Inactivo
+                            </span>
+                          )}
+                        </div>
+                      </td>
+                      <td className="p-4 text-sm text-pcm-text">{proveedor.nit}</td>
+                      <td className="p-4 text-sm text-pcm-text">
+                        <div className="flex items-center gap-2">
+                          <MapPin className="text-pcm-muted" size={16} />
+                          <span>{proveedor.ciudad || '-'}</span>
+                        </div>
+                      </td>
+                      <td className="p-4 text-sm text-pcm-text">
+                        <div>{proveedor.contacto?.nombre || '-'}</div>
+                        {proveedor.contacto?.telefono && (
+                          <div className="flex items-center gap-1 text-xs text-pcm-muted">
+                            <Phone size={12} /> {proveedor.contacto.telefono}
+                          </div>
+                        )}
+                      </td>
+                      <td className="p-4 text-sm text-pcm-text">{plazo > 0 ? `${plazo} días` : 'Contado'}</td>
+                      <td className="p-4 text-sm text-pcm-text text-right">{proveedor.materiales?.length || 0}</td>
+                      <td className="p-4 text-sm text-right">
+                        <div className="text-pcm-text font-semibold">
+                          {formatoCop.format(proveedor.compras?.totalCompras || 0)}
+                        </div>
+                        <div className="text-xs text-pcm-muted">
+                          {proveedor.compras?.cantidadEntradas || 0} entradas
+                        </div>
+                      </td>
+                      <td className="p-4">
+                        <div className="flex flex-wrap gap-2 items-center">
+                          <button
+                            onClick={() => setProveedorDetalle(proveedor)}
+                            className="inline-flex h-8 w-8 items-center justify-center rounded-full bg-black/40 border border-pcm-borderSoft hover:bg-black/60 transition"
+                            title="Ver detalle y compras"
+                          >
+                            <Eye size={16} className="text-pcm-text" />
+                          </button>
+                          {esAdmin && (
+                            <>
+                              <button
+                                onClick={() => handleEdit(proveedor)}
+                                className="pcm-btn-primary px-3 py-1.5 text-xs sm:text-sm font-medium"
+                              >
+                                Editar
+                              </button>
+                              <button
+                                onClick={() => setDeleteTarget(proveedor)}
+                                className="pcm-btn-danger px-3 py-1.5 text-xs sm:text-sm font-medium"
+                              >
+                                Eliminar
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
+              ) : (
+                <tr>
+                  <td colSpan={8} className="p-8 text-center text-sm text-pcm-muted">
+                    {proveedores.length === 0
+                      ? 'No hay proveedores registrados.'
+                      : 'No se encontraron proveedores con los filtros seleccionados'}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Modal de crear/editar proveedor */}
+      <ModalCrearEditarProveedor
+        estaAbierto={showModal}
+        alCerrar={() => setShowModal(false)}
+        alEnviar={handleSubmit}
+        datosProveedor={formData}
+        actualizarDatosProveedor={setFormData}
+        proveedorEnEdicion={editingProveedor}
+        materialesCatalogo={materialesCatalogo}
+        rolUsuario={rolUsuario}
+      />
+
+      {/* Modal de confirmación de eliminación */}
+      <ModalEliminarProveedor
+        estaAbierto={!!deleteTarget}
+        proveedor={deleteTarget}
+        alCancelar={() => setDeleteTarget(null)}
+        alConfirmar={() => deleteTarget && handleDelete(deleteTarget._id)}
+        rolUsuario={rolUsuario}
+      />
+
+      {/* Modal de detalle y compras del proveedor */}
+      {proveedorDetalle && (
+        <ModalDetalleProveedor proveedor={proveedorDetalle} onClose={() => setProveedorDetalle(null)} />
+      )}
+    </>
+  );
+};
+
+export default VistaProveedores;
@@ -1,8 +1,9 @@
 // File: frontend/src/modules/warehouses/modals/ModalDetalleAlmacen.jsx
 // Description: Modal de detalle de almacén para ProCivil Manager (PCM).
 //              Muestra la información completa del almacén seleccionado (nombre,
-//              ubicación, dirección, contacto, encargado) y lista los materiales
-//              disponibles en ese almacén con un filtro por nombre/categoría.
+//              ubicación, dirección, contacto, encargado) y lista las existencias
+//              de materiales en ese almacén (saldos material × almacén) con un
+//              filtro por nombre/categoría.
 //              Permite al usuario cerrar el modal mediante un botón o clic en
 //              el fondo oscuro. Este modal es de solo lectura para roles
 //              diferentes a admin/líder, pero muestra la lista completa de
@@ -10,7 +11,7 @@
 
 import React, { useState, useEffect } from 'react';
 import { X, Warehouse, Package, Search, Phone, MapPin, User } from 'lucide-react';
-import { obtenerMateriales } from '../../../services/api/api.js';
+import { obtenerAlmacenPorId } from '../../../services/api/api.js';
 
 // Componente principal del modal de detalle de almacén
 const ModalDetalleAlmacen = ({ almacen, onClose, rolUsuario = 'admin' }) => {
@@ -25,12 +26,9 @@ const ModalDetalleAlmacen = ({ almacen, onClose, rolUsuario = 'admin' }) => {
       if (!almacen || !almacen._id) return;
       setLoading(true);
       try {
-        const all = await obtenerMateriales();
-        // Filtra materiales cuyo almacen coincida con el id del almacén seleccionado
-        const filtrados = Array.isArray(all)
-          ? all.filter((m) => m.almacen && m.almacen._id === almacen._id)
-          : [];
-        setMateriales(filtrados);
+        // El detalle del almacén incluye "stock": saldos de cada material en este almacén
+        const detalle = await obtenerAlmacenPorId(almacen._id);
+        setMateriales(Array.isArray(detalle?.stock) ? detalle.stock : []);
       } catch (error) {
         console.error('Error al obtener materiales del almacén:', error);
         setMateriales([]);
@@ -164,9 +162,13 @@ const ModalDetalleAlmacen = ({ almacen, onClose, rolUsuario = 'admin' }) => {
                   const unidad = item.material?.unidad || item.unidad || 'u';
                   const cantidad =
                     item.cantidadDisponible ?? item.cantidad ?? 0;
+                  // Stock mínimo propio del almacén o, en su defecto, el general del material
+                  const minimo =
+                    item.stockMinimo ?? item.material?.stockMinimo ?? 0;
+                  const enMinimo = minimo > 0 && cantidad <= minimo;
                   return (
                     <div
-                      key={idx}
+                      key={item._id || idx}
                       className="bg-pcm-bg/70 rounded-lg p-4 border border-white/10 flex flex-col md:flex-row justify-between md:items-center gap-2"
                     >
                       <div>
@@ -176,9 +178,12 @@ const ModalDetalleAlmacen = ({ almacen, onClose, rolUsuario = 'admin' }) => {
                         <p className="text-pcm-muted text-sm">{categoria}</p>
                       </div>
                       <div className="text-right">
-                        <p className="text-pcm-text font-bold text-lg">
+                        <p className={`font-bold text-lg ${enMinimo ? 'text-red-400' : 'text-pcm-text'}`}>
                           {cantidad} {unidad}
                         </p>
+                        {minimo > 0 && (
+                          <p className="text-pcm-muted text-xs">Mínimo: {minimo} {unidad}</p>
+                        )}
                       </div>
                     </div>
                   );
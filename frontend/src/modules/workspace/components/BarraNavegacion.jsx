@@ -39,6 +39,10 @@ import {
   BookOpen,         // Ícono para el manual técnico (solo admin).
   Clock3,           // Ícono de reloj para el historial de proyectos.
   FilePlus2,        // Ícono de archivo con signo + para "Solicitar proyecto".
+  Truck,            // Ícono de camión para proveedores.
+  ShoppingCart,     // Ícono de carrito para órdenes de compra.
+  TrendingDown,     // Ícono de consumo para reabastecimiento.
+  ClipboardCheck,   // Ícono de lista verificada para conteos de inventario.
 } from "lucide-react";                   // Importa los íconos desde lucide-react.
 
 // =====================================
@@ -96,6 +100,10 @@ const BarraNavegacion = ({
     almacenes: Warehouse,
     materiales: Package,
     materials: Package,
+    reabastecimiento: TrendingDown,
+    conteos: ClipboardCheck,
+    proveedores: Truck,
+    ordenesCompra: ShoppingCart,
 
     // Solicitudes
     solicitudes: ClipboardList,
@@ -45,6 +45,10 @@ import VistaBandejaEntrada from '../../mail/pages/VistaBandejaEntrada.jsx';
 import VistaReportes from '../../reports/pages/VistaReportes.jsx';                        // Vista de reportes y estadísticas.
 import VistaAlmacenes from '../../warehouses/pages/VistaAlmacenes.jsx';                   // Vista de almacenes.
 import VistaMateriales from '../../inventory/pages/VistaMateriales.jsx';                  // Vista de materiales.
+import VistaReabastecimiento from '../../inventory/pages/VistaReabastecimiento.jsx';      // Vista de sugerencias de reabastecimiento.
+import VistaConteosInventario from '../../inventory/pages/VistaConteosInventario.jsx';    // Vista de conteos físicos de inventario.
+import VistaProveedores from '../../suppliers/pages/VistaProveedores.jsx';                // Vista de proveedores.
+import VistaOrdenesCompra from '../../purchases/pages/VistaOrdenesCompra.jsx';          // Vista de órdenes de compra.
 import VistaRegistrosAuditoria from '../../audit/pages/VistaRegistrosAuditoria.jsx';      // Vista de registros de auditoría.
 import VistaPerfil from '../../profile/pages/VistaPerfil.jsx';                            // Vista de perfil de usuario.
 import VistaAlertas from '../../alerts/pages/VistaAlertas.jsx';                           // Vista de alertas del sistema.
@@ -592,6 +596,13 @@ const TableroTrabajo = () => {
     cerrarModalEliminarProyecto();                        // Cierra el modal de confirmación.
   };
 
+  const manejarProyectosImportados = () => {
+    // Tras una importación masiva se recargan la lista y los KPIs completos.
+    cargarDatosDashboard().catch((error) => {
+      console.error('Error recargando dashboard tras importar proyectos:', error);
+    });
+  };
+
   // ==============================================
   // Derivados de rol para construir el menú
   // ==============================================
@@ -618,6 +629,10 @@ const TableroTrabajo = () => {
         solicitudes: { titulo: 'Solicitudes' },
         almacenes: { titulo: 'Almacenes' },
         materials: { titulo: 'Materiales' },
+        reabastecimiento: { titulo: 'Reabastecimiento' },
+        conteos: { titulo: 'Conteos de Inventario' },
+        proveedores: { titulo: 'Proveedores' },
+        ordenesCompra: { titulo: 'Órdenes de Compra' },
         inbox: { titulo: 'Bandeja de Entrada' },
         reports: { titulo: 'Reportes y Estadísticas' },
         audit: { titulo: 'Auditoría' },
@@ -634,6 +649,10 @@ const TableroTrabajo = () => {
         solicitudes: { titulo: 'Solicitudes' },
         almacenes: { titulo: 'Almacenes' },
         materials: { titulo: 'Materiales' },
+        reabastecimiento: { titulo: 'Reabastecimiento' },
+        conteos: { titulo: 'Conteos de Inventario' },
+        proveedores: { titulo: 'Proveedores' },
+        ordenesCompra: { titulo: 'Órdenes de Compra' },
         alertas: { titulo: 'Alertas' },
       };
     }
@@ -741,6 +760,14 @@ const TableroTrabajo = () => {
         return 'Gestión de Almacenes';
       case 'materials':
         return 'Gestión de Materiales';
+      case 'reabastecimiento':
+        return 'Reabastecimiento de Materiales';
+      case 'conteos':
+        return 'Conteos Físicos de Inventario';
+      case 'proveedores':
+        return 'Gestión de Proveedores';
+      case 'ordenesCompra':
+        return 'Órdenes de Compra';
       case 'inbox':
         return 'Bandeja de Entrada';
       case 'reports':
@@ -837,6 +864,7 @@ const TableroTrabajo = () => {
             onEditProject={abrirModalEditarProyecto}            // Abre modal de edición al hacer clic en "Editar".
             onDeleteProject={abrirModalEliminarProyecto}        // Abre modal de eliminación al hacer clic en "Eliminar".
             onCreateProject={abrirModalCrearProyecto}           // Abre modal de creación al hacer clic en "Nuevo proyecto".
+            onProjectsImported={manejarProyectosImportados}     // Recarga los proyectos tras una importación masiva.
           />
         );
 
@@ -857,6 +885,18 @@ const TableroTrabajo = () => {
       case 'materials':
         return <VistaMateriales rolUsuario={rolUsuario} />;
 
+      case 'reabastecimiento':
+        return <VistaReabastecimiento rolUsuario={rolUsuario} />;
+
+      case 'conteos':
+        return <VistaConteosInventario rolUsuario={rolUsuario} />;
+
+      case 'proveedores':
+        return <VistaProveedores rolUsuario={rolUsuario} />;
+
+      case 'ordenesCompra':
+        return <VistaOrdenesCompra rolUsuario={rolUsuario} />;
+
       case 'inbox':
         return <VistaBandejaEntrada mensajes={mensajesContacto} />;
 
@@ -1,8 +1,8 @@
 // File: frontend/src/services/api/api.js
 // Description: Funciones de acceso a la API REST del backend de ProCivil Manager (PCM).
 //              Gestiona llamadas para estadísticas, proyectos, usuarios, almacenes,
-//              materiales, movimientos, presupuestos, alertas, solicitudes, auditoría,
-//              adjuntos y comentarios. Incluye también suscripción a alertas en tiempo
+//              materiales, unidades de medida, movimientos, etiquetas QR, conteos de inventario, presupuestos, alertas,
+//              solicitudes, auditoría, bitácora de obra, fotos de avance, adjuntos (con revisiones y aprobación) y comentarios. Incluye también suscripción a alertas en tiempo
 //              real usando una instancia compartida de Socket.io.
 
 // =========================
@@ -275,6 +275,37 @@ export const crearProyecto = async (datosProyecto) => {
   return await manejarRespuestaJson(res, 'Error al crear el proyecto');
 };
 
+/**
+ * Importar proyectos desde un archivo CSV o XLSX (solo admin).
+ * Campo de archivo en el backend: "archivo".
+ * Sin confirmar, el backend solo valida (dry-run) y devuelve el estado de
+ * cada fila; con confirmar crea los proyectos válidos.
+ * @param {File} archivo Archivo .csv o .xlsx.
+ * @param {boolean} [confirmar=false] true para importar; false para simular.
+ * @returns {Promise<Object>} { modo, archivo, resumen, filas }.
+ */
+export const importarProyectos = async (archivo, confirmar = false) => {
+  // FormData con el archivo y la bandera de confirmación.
+  const formData = new FormData();
+  formData.append('archivo', archivo);
+  formData.append('confirmar', confirmar ? 'true' : 'false');
+
+  // Petición POST al endpoint de importación.
+  const res = await fetch(`${API_URL}/proyectos/importar`, {
+    method: 'POST', // Método HTTP POST.
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Solo autenticación; el navegador arma el multipart.
+    },
+    body: formData,
+  });
+
+  // Devuelve el reporte de la simulación o de la importación.
+  return await manejarRespuestaJson(
+    res,
+    confirmar ? 'Error al importar los proyectos' : 'Error al validar el archivo'
+  );
+};
+
 /**
  * Actualizar un proyecto existente.
  * @param {string} idProyecto ID del proyecto.
@@ -317,6 +348,332 @@ export const eliminarProyecto = async (idProyecto) => {
   await manejarRespuestaJson(res, 'Error al eliminar el proyecto');
 };
 
+// -------------------------------------------------------------------
+//   📅 CRONOGRAMA DE PROYECTOS (TAREAS, DEPENDENCIAS Y RUTA CRÍTICA)
+// -------------------------------------------------------------------
+
+/**
+ * Obtener el cronograma programado de un proyecto.
+ * El backend arma la EDT, calcula fechas, holguras y ruta crítica.
+ * @param {string} idProyecto ID del proyecto.
+ * @returns {Promise<Object>} { proyecto, tareas, resumen }.
+ */
+export const obtenerCronogramaProyecto = async (idProyecto) => {
+  // Petición GET al endpoint de tareas del proyecto.
+  const res = await fetch(`${API_URL}/proyectos/${idProyecto}/tareas`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Devuelve el cronograma o lanza error.
+  return await manejarRespuestaJson(res, 'Error al obtener el cronograma del proyecto');
+};
+
+/**
+ * Crear una tarea en el cronograma (admin / líder asignado).
+ * @param {string} idProyecto ID del proyecto.
+ * @param {Object} datosTarea { nombre, padre, duracion, predecesoras, responsable, porcentajeAvance, ... }.
+ * @returns {Promise<Object>} { message, tarea }.
+ */
+export const crearTareaProyecto = async (idProyecto, datosTarea) => {
+  // Petición POST al endpoint de tareas del proyecto.
+  const res = await fetch(`${API_URL}/proyectos/${idProyecto}/tareas`, {
+    method: 'POST', // Método HTTP POST.
+    headers: {
+      'Content-Type': 'application/json', // Body en formato JSON.
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: JSON.stringify(datosTarea),
+  });
+
+  // Devuelve la tarea creada o lanza error.
+  return await manejarRespuestaJson(res, 'Error al crear la tarea');
+};
+
+/**
+ * Actualizar una tarea del cronograma (admin / líder asignado).
+ * @param {string} idProyecto ID del proyecto.
+ * @param {string} idTarea ID de la tarea.
+ * @param {Object} datosTarea Campos a actualizar.
+ * @returns {Promise<Object>} { message, tarea }.
+ */
+export const actualizarTareaProyecto = async (idProyecto, idTarea, datosTarea) => {
+  // Petición PUT al endpoint de la tarea.
+  const res = await fetch(`${API_URL}/proyectos/${idProyecto}/tareas/${idTarea}`, {
+    method: 'PUT', // Método HTTP PUT.
+    headers: {
+      'Content-Type': 'application/json', // Body en formato JSON.
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: JSON.stringify(datosTarea),
+  });
+
+  // Devuelve la tarea actualizada o lanza error.
+  return await manejarRespuestaJson(res, 'Error al actualizar la tarea');
+};
+
+/**
+ * Eliminar una tarea del cronograma (admin / líder asignado).
+ * Las tareas con subtareas no se pueden eliminar.
+ * @param {string} idProyecto ID del proyecto.
+ * @param {string} idTarea ID de la tarea.
+ * @returns {Promise<Object>} { message }.
+ */
+export const eliminarTareaProyecto = async (idProyecto, idTarea) => {
+  // Petición DELETE al endpoint de la tarea.
+  const res = await fetch(`${API_URL}/proyectos/${idProyecto}/tareas/${idTarea}`, {
+    method: 'DELETE', // Método HTTP DELETE.
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  return await manejarRespuestaJson(res, 'Error al eliminar la tarea');
+};
+
+// -------------------------------------------------------------------
+//   📈 VALOR GANADO (PV, EV, AC, SPI, CPI, EAC, VAC)
+// -------------------------------------------------------------------
+
+/**
+ * Obtener el valor ganado de los proyectos visibles para el usuario
+ * (admin/auditor: todos; líder de obra: los suyos).
+ * @returns {Promise<Object>} { fecha, proyectos, totales, resumen }.
+ */
+export const obtenerValorGanadoProyectos = async () => {
+  // Petición GET al endpoint de valor ganado del portafolio.
+  const res = await fetch(`${API_URL}/proyectos/valor-ganado`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  return await manejarRespuestaJson(res, 'Error al obtener el valor ganado de los proyectos');
+};
+
+/**
+ * Obtener el valor ganado de un proyecto con su evolución.
+ * @param {string} idProyecto ID del proyecto.
+ * @returns {Promise<Object>} { actual, serie, curvaPlaneada }.
+ */
+export const obtenerValorGanadoProyecto = async (idProyecto) => {
+  // Petición GET al endpoint de valor ganado del proyecto.
+  const res = await fetch(`${API_URL}/proyectos/${idProyecto}/valor-ganado`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  return await manejarRespuestaJson(res, 'Error al obtener el valor ganado del proyecto');
+};
+
+// -------------------------------------------------------------------
+//   📓 BITÁCORA DE OBRA (ENTRADAS DIARIAS, FIRMA Y REFRENDO)
+// -------------------------------------------------------------------
+
+/**
+ * Arma el FormData de una entrada de bitácora: las listas viajan como JSON
+ * y las fotos en el campo "fotos".
+ * @param {Object} datosEntrada { fecha, clima, personal, equipos, actividades, incidentes, observaciones }.
+ * @param {File[]} fotos Fotos nuevas.
+ * @param {string[]} [fotosEliminar] IDs de fotos a quitar (solo edición).
+ * @returns {FormData}
+ */
+const construirFormDataBitacora = (datosEntrada, fotos = [], fotosEliminar = []) => {
+  const formData = new FormData();
+
+  Object.entries(datosEntrada).forEach(([campo, valor]) => {
+    if (valor === undefined) return;
+    formData.append(campo, typeof valor === 'object' ? JSON.stringify(valor) : valor);
+  });
+  fotos.forEach((file) => formData.append('fotos', file));
+  if (fotosEliminar.length) {
+    formData.append('fotosEliminar', JSON.stringify(fotosEliminar));
+  }
+
+  return formData;
+};
+
+/**
+ * Obtener las entradas de la bitácora de un proyecto (orden cronológico).
+ * @param {string} idProyecto ID del proyecto.
+ * @returns {Promise<Object>} { proyecto, entradas }.
+ */
+export const obtenerBitacoraProyecto = async (idProyecto) => {
+  // Petición GET al endpoint de bitácora del proyecto.
+  const res = await fetch(`${API_URL}/proyectos/${idProyecto}/bitacora`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  return await manejarRespuestaJson(res, 'Error al obtener la bitácora del proyecto');
+};
+
+/**
+ * Registrar la entrada de un día (admin / líder asignado).
+ * @param {string} idProyecto ID del proyecto.
+ * @param {Object} datosEntrada Datos de la entrada.
+ * @param {File[]} [fotos] Fotos del día.
+ * @returns {Promise<Object>} { message, entrada }.
+ */
+export const crearEntradaBitacora = async (idProyecto, datosEntrada, fotos = []) => {
+  // Petición POST multipart (el navegador define el Content-Type con boundary).
+  const res = await fetch(`${API_URL}/proyectos/${idProyecto}/bitacora`, {
+    method: 'POST', // Método HTTP POST.
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: construirFormDataBitacora(datosEntrada, fotos),
+  });
+
+  return await manejarRespuestaJson(res, 'Error al registrar la entrada de bitácora');
+};
+
+/**
+ * Actualizar una entrada en borrador (solo su autor).
+ * @param {string} idProyecto ID del proyecto.
+ * @param {string} idEntrada ID de la entrada.
+ * @param {Object} datosEntrada Campos a actualizar.
+ * @param {File[]} [fotos] Fotos nuevas.
+ * @param {string[]} [fotosEliminar] IDs de fotos a quitar.
+ * @returns {Promise<Object>} { message, entrada }.
+ */
+export const actualizarEntradaBitacora = async (
+  idProyecto,
+  idEntrada,
+  datosEntrada,
+  fotos = [],
+  fotosEliminar = []
+) => {
+  // Petición PUT multipart al endpoint de la entrada.
+  const res = await fetch(`${API_URL}/proyectos/${idProyecto}/bitacora/${idEntrada}`, {
+    method: 'PUT', // Método HTTP PUT.
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: construirFormDataBitacora(datosEntrada, fotos, fotosEliminar),
+  });
+
+  return await manejarRespuestaJson(res, 'Error al actualizar la entrada de bitácora');
+};
+
+/**
+ * Eliminar una entrada en borrador (solo su autor).
+ * @param {string} idProyecto ID del proyecto.
+ * @param {string} idEntrada ID de la entrada.
+ * @returns {Promise<Object>} { message }.
+ */
+export const eliminarEntradaBitacora = async (idProyecto, idEntrada) => {
+  // Petición DELETE al endpoint de la entrada.
+  const res = await fetch(`${API_URL}/proyectos/${idProyecto}/bitacora/${idEntrada}`, {
+    method: 'DELETE', // Método HTTP DELETE.
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  return await manejarRespuestaJson(res, 'Error al eliminar la entrada de bitácora');
+};
+
+/**
+ * Firmar una entrada (solo su autor). Desde ese momento es de solo lectura.
+ * @param {string} idProyecto ID del proyecto.
+ * @param {string} idEntrada ID de la entrada.
+ * @returns {Promise<Object>} { message, entrada }.
+ */
+export const firmarEntradaBitacora = async (idProyecto, idEntrada) => {
+  // Petición POST al endpoint de firma.
+  const res = await fetch(`${API_URL}/proyectos/${idProyecto}/bitacora/${idEntrada}/firmar`, {
+    method: 'POST', // Método HTTP POST.
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  return await manejarRespuestaJson(res, 'Error al firmar la entrada de bitácora');
+};
+
+/**
+ * Refrendar una entrada firmada (interventoría: admin o auditor).
+ * @param {string} idProyecto ID del proyecto.
+ * @param {string} idEntrada ID de la entrada.
+ * @param {string} [observaciones] Observaciones del refrendo.
+ * @returns {Promise<Object>} { message, entrada }.
+ */
+export const refrendarEntradaBitacora = async (idProyecto, idEntrada, observaciones = '') => {
+  // Petición POST al endpoint de refrendo.
+  const res = await fetch(`${API_URL}/proyectos/${idProyecto}/bitacora/${idEntrada}/refrendar`, {
+    method: 'POST', // Método HTTP POST.
+    headers: {
+      'Content-Type': 'application/json', // Body en formato JSON.
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: JSON.stringify({ observaciones }),
+  });
+
+  return await manejarRespuestaJson(res, 'Error al refrendar la entrada de bitácora');
+};
+
+/**
+ * Descargar el libro de bitácora (entradas firmadas) en PDF.
+ * @param {string} idProyecto ID del proyecto.
+ * @returns {Promise<void>}
+ */
+export const descargarBitacoraPDF = async (idProyecto) => {
+  // Petición GET al endpoint del libro PDF.
+  const response = await fetch(`${API_URL}/proyectos/${idProyecto}/bitacora/pdf`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Si falla, lanza el mensaje del backend (p. ej. "sin entradas firmadas").
+  if (!response.ok) {
+    await manejarRespuestaJson(response, 'Error al descargar la bitácora');
+  }
+
+  // Convierte la respuesta a Blob y dispara la descarga.
+  const blob = await response.blob();
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `Bitacora_${idProyecto}.pdf`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+// -------------------------------------------------------------------
+//   📸 FOTOS DE AVANCE (GALERÍA GEORREFERENCIADA)
+// -------------------------------------------------------------------
+
+/**
+ * Obtener la galería de fotos de avance de un proyecto: imágenes adjuntas con
+ * fecha de captura, GPS y miniatura, agrupadas por día y por actividad.
+ * @param {string} idProyecto ID del proyecto.
+ * @param {{ desde?: string, hasta?: string }} [filtros] Rango de fechas (YYYY-MM-DD).
+ * @returns {Promise<Object>} { proyecto, total, fotos, dias, actividades, opciones }.
+ */
+export const obtenerFotosProyecto = async (idProyecto, filtros = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filtros).forEach(([clave, valor]) => {
+    if (valor !== undefined && valor !== null && valor !== '') params.set(clave, valor);
+  });
+  const query = params.toString();
+
+  // Petición GET al endpoint de fotos del proyecto.
+  const res = await fetch(`${API_URL}/proyectos/${idProyecto}/fotos${query ? `?${query}` : ''}`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  return await manejarRespuestaJson(res, 'Error al obtener las fotos del proyecto');
+};
+
 // -------------------------------------------------------------------
 //   🧾 DESCARGA DE PDFs DE PROYECTOS
 // -------------------------------------------------------------------
@@ -564,6 +921,26 @@ export const obtenerAlmacenes = async () => {
   );
 };
 
+/**
+ * Obtener un almacén por ID, incluyendo su stock por material.
+ * @param {string} id ID del almacén.
+ * @returns {Promise<Object>} Almacén con el arreglo "stock" (saldos por material).
+ */
+export const obtenerAlmacenPorId = async (id) => {
+  // Petición GET al endpoint de detalle de almacén.
+  const res = await fetch(`${API_URL}/almacenes/${id}`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Devuelve el almacén con su stock.
+  return await manejarRespuestaJson(
+    res,
+    'Error al obtener el almacén'
+  );
+};
+
 /**
  * Crear un almacén.
  * @param {Object} data Datos del almacén.
@@ -612,225 +989,1200 @@ export const actualizarAlmacen = async (id, data) => {
 };
 
 /**
- * Eliminar un almacén.
- * @param {string} id ID del almacén.
- * @returns {Promise<void>}
+ * Eliminar un almacén.
+ * @param {string} id ID del almacén.
+ * @returns {Promise<void>}
+ */
+export const eliminarAlmacen = async (id) => {
+  // Petición DELETE al endpoint de eliminación de almacén.
+  const res = await fetch(`${API_URL}/almacenes/${id}`, {
+    method: 'DELETE', // Método HTTP DELETE.
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Verifica que TODO salió bien.
+  await manejarRespuestaJson(res, 'Error al eliminar el almacén');
+};
+
+// ===================================================================
+//   🚚 PROVEEDORES (CRUD + compras)
+// ===================================================================
+
+/**
+ * Listar proveedores con su total de compras.
+ * @param {Object} [filtros] { ciudad, activo, material, q }.
+ * @returns {Promise<Array>} Lista de proveedores (cada uno con "compras").
+ */
+export const obtenerProveedores = async (filtros = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filtros).forEach(([clave, valor]) => {
+    if (valor !== undefined && valor !== null && valor !== '') params.set(clave, valor);
+  });
+  const query = params.toString();
+
+  // Petición GET al endpoint de proveedores.
+  const res = await fetch(`${API_URL}/proveedores${query ? `?${query}` : ''}`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Devuelve los proveedores.
+  return await manejarRespuestaJson(
+    res,
+    'Error al obtener la lista de proveedores'
+  );
+};
+
+/**
+ * Obtener el desglose de compras a un proveedor por material.
+ * @param {string} id ID del proveedor.
+ * @param {Object} [filtros] { desde, hasta } (YYYY-MM-DD).
+ * @returns {Promise<Object>} { totalCompras, cantidadEntradas, materiales }.
+ */
+export const obtenerComprasProveedor = async (id, filtros = {}) => {
+  const params = new URLSearchParams();
+  if (filtros.desde) params.set('desde', filtros.desde);
+  if (filtros.hasta) params.set('hasta', filtros.hasta);
+  const query = params.toString();
+
+  // Petición GET al endpoint de compras del proveedor.
+  const res = await fetch(`${API_URL}/proveedores/${id}/compras${query ? `?${query}` : ''}`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Devuelve el desglose de compras.
+  return await manejarRespuestaJson(
+    res,
+    'Error al obtener las compras del proveedor'
+  );
+};
+
+/**
+ * Crear un proveedor.
+ * @param {Object} data Datos del proveedor.
+ * @returns {Promise<Object>} Proveedor creado.
+ */
+export const crearProveedor = async (data) => {
+  // Petición POST al endpoint de creación de proveedor.
+  const res = await fetch(`${API_URL}/proveedores`, {
+    method: 'POST', // Método HTTP POST.
+    headers: {
+      'Content-Type': 'application/json', // Indica JSON en el body.
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: JSON.stringify(data), // Datos del proveedor en JSON.
+  });
+
+  // Devuelve el proveedor creado.
+  return await manejarRespuestaJson(
+    res,
+    'Error al crear el proveedor'
+  );
+};
+
+/**
+ * Actualizar un proveedor.
+ * @param {string} id ID del proveedor.
+ * @param {Object} data Datos a actualizar.
+ * @returns {Promise<Object>} Proveedor actualizado.
+ */
+export const actualizarProveedor = async (id, data) => {
+  // Petición PUT al endpoint de actualización de proveedor.
+  const res = await fetch(`${API_URL}/proveedores/${id}`, {
+    method: 'PUT', // Método HTTP PUT.
+    headers: {
+      'Content-Type': 'application/json', // Indica JSON.
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: JSON.stringify(data), // Datos actualizados del proveedor.
+  });
+
+  // Devuelve el proveedor actualizado.
+  return await manejarRespuestaJson(
+    res,
+    'Error al actualizar el proveedor'
+  );
+};
+
+/**
+ * Eliminar un proveedor.
+ * @param {string} id ID del proveedor.
+ * @returns {Promise<void>}
+ */
+export const eliminarProveedor = async (id) => {
+  // Petición DELETE al endpoint de eliminación de proveedor.
+  const res = await fetch(`${API_URL}/proveedores/${id}`, {
+    method: 'DELETE', // Método HTTP DELETE.
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Verifica que TODO salió bien.
+  await manejarRespuestaJson(res, 'Error al eliminar el proveedor');
+};
+
+// ===================================================================
+//   📐 UNIDADES DE MEDIDA (catálogo)
+// ===================================================================
+
+/**
+ * Listar el catálogo de unidades de medida.
+ * @param {string} [magnitud] Filtra por magnitud (masa, volumen, longitud, area, conteo).
+ * @returns {Promise<Array>} Unidades vigentes.
+ */
+export const obtenerUnidadesMedida = async (magnitud) => {
+  // Petición GET al endpoint del catálogo de unidades.
+  const res = await fetch(`${API_URL}/unidades-medida${magnitud ? `?magnitud=${encodeURIComponent(magnitud)}` : ''}`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Devuelve las unidades.
+  return await manejarRespuestaJson(
+    res,
+    'Error al obtener las unidades de medida'
+  );
+};
+
+/**
+ * Crear una unidad de medida.
+ * @param {Object} data { codigo, nombre, magnitud, factorBase, alias }.
+ * @returns {Promise<Object>} Unidad creada.
+ */
+export const crearUnidadMedida = async (data) => {
+  // Petición POST al endpoint del catálogo de unidades.
+  const res = await fetch(`${API_URL}/unidades-medida`, {
+    method: 'POST', // Método HTTP POST.
+    headers: {
+      'Content-Type': 'application/json', // Indica JSON en el body.
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: JSON.stringify(data), // Datos de la unidad en JSON.
+  });
+
+  // Devuelve la unidad creada.
+  return await manejarRespuestaJson(
+    res,
+    'Error al crear la unidad de medida'
+  );
+};
+
+/**
+ * Actualizar una unidad de medida (nombre, factor o alias).
+ * @param {string} id ID de la unidad.
+ * @param {Object} data Datos a actualizar.
+ * @returns {Promise<Object>} Unidad actualizada.
+ */
+export const actualizarUnidadMedida = async (id, data) => {
+  // Petición PUT al endpoint de actualización de la unidad.
+  const res = await fetch(`${API_URL}/unidades-medida/${id}`, {
+    method: 'PUT', // Método HTTP PUT.
+    headers: {
+      'Content-Type': 'application/json', // Indica JSON.
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: JSON.stringify(data), // Datos actualizados de la unidad.
+  });
+
+  // Devuelve la unidad actualizada.
+  return await manejarRespuestaJson(
+    res,
+    'Error al actualizar la unidad de medida'
+  );
+};
+
+/**
+ * Eliminar una unidad de medida.
+ * @param {string} id ID de la unidad.
+ * @returns {Promise<void>}
+ */
+export const eliminarUnidadMedida = async (id) => {
+  // Petición DELETE al endpoint de eliminación de la unidad.
+  const res = await fetch(`${API_URL}/unidades-medida/${id}`, {
+    method: 'DELETE', // Método HTTP DELETE.
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Verifica que TODO salió bien.
+  await manejarRespuestaJson(res, 'Error al eliminar la unidad de medida');
+};
+
+// ===================================================================
+//   🧾 ÓRDENES DE COMPRA (aprobación, recepciones y PDF)
+// ===================================================================
+
+/**
+ * Listar órdenes de compra.
+ * @param {Object} [filtros] { estado, proveedor, almacen, proyecto }.
+ * @returns {Promise<Array>} Lista de órdenes.
+ */
+export const obtenerOrdenesCompra = async (filtros = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filtros).forEach(([clave, valor]) => {
+    if (valor !== undefined && valor !== null && valor !== '') params.set(clave, valor);
+  });
+  const query = params.toString();
+
+  // Petición GET al endpoint de órdenes de compra.
+  const res = await fetch(`${API_URL}/ordenes-compra${query ? `?${query}` : ''}`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Devuelve las órdenes.
+  return await manejarRespuestaJson(
+    res,
+    'Error al obtener las órdenes de compra'
+  );
+};
+
+/**
+ * Obtener una orden de compra con sus recepciones.
+ * @param {string} id ID de la orden.
+ * @returns {Promise<Object>} Orden de compra.
+ */
+export const obtenerOrdenCompraPorId = async (id) => {
+  // Petición GET al endpoint de detalle de la orden.
+  const res = await fetch(`${API_URL}/ordenes-compra/${id}`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Devuelve la orden.
+  return await manejarRespuestaJson(
+    res,
+    'Error al obtener la orden de compra'
+  );
+};
+
+/**
+ * Crear una orden de compra (queda en borrador).
+ * @param {Object} data { proveedor, almacen, proyecto?, items? | alertas? | solicitud?, fechaEntregaEstimada?, observaciones? }.
+ * @returns {Promise<Object>} { message, data }.
+ */
+export const crearOrdenCompra = async (data) => {
+  // Petición POST al endpoint de creación de la orden.
+  const res = await fetch(`${API_URL}/ordenes-compra`, {
+    method: 'POST', // Método HTTP POST.
+    headers: {
+      'Content-Type': 'application/json', // Indica JSON en el body.
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: JSON.stringify(data), // Datos de la orden en JSON.
+  });
+
+  // Devuelve la orden creada.
+  return await manejarRespuestaJson(
+    res,
+    'Error al crear la orden de compra'
+  );
+};
+
+/**
+ * Actualizar una orden de compra en borrador.
+ * @param {string} id ID de la orden.
+ * @param {Object} data Datos a actualizar.
+ * @returns {Promise<Object>} { message, data }.
+ */
+export const actualizarOrdenCompra = async (id, data) => {
+  // Petición PUT al endpoint de actualización de la orden.
+  const res = await fetch(`${API_URL}/ordenes-compra/${id}`, {
+    method: 'PUT', // Método HTTP PUT.
+    headers: {
+      'Content-Type': 'application/json', // Indica JSON.
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: JSON.stringify(data), // Datos actualizados de la orden.
+  });
+
+  // Devuelve la orden actualizada.
+  return await manejarRespuestaJson(
+    res,
+    'Error al actualizar la orden de compra'
+  );
+};
+
+/**
+ * Aprobar una orden de compra en borrador.
+ * @param {string} id ID de la orden.
+ * @returns {Promise<Object>} { message, data }.
+ */
+export const aprobarOrdenCompra = async (id) => {
+  // Petición PATCH al endpoint de aprobación.
+  const res = await fetch(`${API_URL}/ordenes-compra/${id}/aprobar`, {
+    method: 'PATCH', // Método HTTP PATCH.
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Devuelve la orden aprobada.
+  return await manejarRespuestaJson(
+    res,
+    'Error al aprobar la orden de compra'
+  );
+};
+
+/**
+ * Cancelar una orden de compra.
+ * @param {string} id ID de la orden.
+ * @param {string} motivo Motivo de la cancelación (obligatorio).
+ * @returns {Promise<Object>} { message, data }.
+ */
+export const cancelarOrdenCompra = async (id, motivo) => {
+  // Petición PATCH al endpoint de cancelación.
+  const res = await fetch(`${API_URL}/ordenes-compra/${id}/cancelar`, {
+    method: 'PATCH', // Método HTTP PATCH.
+    headers: {
+      'Content-Type': 'application/json', // Indica JSON.
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: JSON.stringify({ motivo }), // Motivo de la cancelación.
+  });
+
+  // Devuelve la orden cancelada.
+  return await manejarRespuestaJson(
+    res,
+    'Error al cancelar la orden de compra'
+  );
+};
+
+/**
+ * Registrar una recepción (parcial o total) de una orden de compra.
+ * Genera las entradas de inventario en el almacén de la orden.
+ * @param {string} id ID de la orden.
+ * @param {Object} data { items: [{ material, cantidad, costoUnitario? }] } o { completa: true }, más observaciones.
+ * @returns {Promise<Object>} { message, data: { orden, movimientos } }.
+ */
+export const registrarRecepcionOrdenCompra = async (id, data) => {
+  // Petición POST al endpoint de recepciones.
+  const res = await fetch(`${API_URL}/ordenes-compra/${id}/recepciones`, {
+    method: 'POST', // Método HTTP POST.
+    headers: {
+      'Content-Type': 'application/json', // Indica JSON.
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: JSON.stringify(data), // Líneas recibidas.
+  });
+
+  // Devuelve la orden actualizada y los movimientos generados.
+  return await manejarRespuestaJson(
+    res,
+    'Error al registrar la recepción'
+  );
+};
+
+/**
+ * Descargar una orden de compra en PDF.
+ * @param {string} id ID de la orden.
+ * @param {string} [nombreArchivo] Nombre del archivo sin extensión.
+ * @returns {Promise<void>}
+ */
+export const descargarOrdenCompraPDF = async (id, nombreArchivo = 'OrdenCompra') => {
+  try {
+    // Petición GET al endpoint de PDF de la orden.
+    const response = await fetch(`${API_URL}/ordenes-compra/${id}/pdf`, {
+      headers: {
+        ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+      },
+    });
+
+    // Si el status no es OK, lanzamos error.
+    if (!response.ok) {
+      throw new Error('Error al descargar la orden de compra');
+    }
+
+    // Convierte la respuesta a Blob y dispara la descarga.
+    const blob = await response.blob();
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${nombreArchivo}.pdf`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error al descargar orden de compra:', error);
+    throw error;
+  }
+};
+
+// ===================================================================
+//   🧱 MATERIALES (CRUD)
+// ===================================================================
+
+/**
+ * Listar materiales.
+ * @returns {Promise<Array>} Lista de materiales.
+ */
+export const obtenerMateriales = async () => {
+  // Petición GET al endpoint de materiales.
+  const res = await fetch(`${API_URL}/materiales`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Devuelve la lista de materiales.
+  return await manejarRespuestaJson(
+    res,
+    'Error al obtener la lista de materiales'
+  );
+};
+
+/**
+ * Obtener un material por ID, incluyendo su stock por almacén.
+ * @param {string} id ID del material.
+ * @returns {Promise<Object>} Material con el arreglo "stockPorAlmacen".
+ */
+export const obtenerMaterialPorId = async (id) => {
+  // Petición GET al endpoint de detalle de material.
+  const res = await fetch(`${API_URL}/materiales/${id}`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Devuelve el material con su desglose por almacén.
+  return await manejarRespuestaJson(
+    res,
+    'Error al obtener el material'
+  );
+};
+
+/**
+ * Obtener el historial de precios de un material (por defecto, el último año).
+ * @param {string} id ID del material.
+ * @param {Object} [filtros] { desde, hasta } (YYYY-MM-DD).
+ * @returns {Promise<Object>} { precioActual, precioInicial, registros, desde, hasta }.
+ */
+export const obtenerHistorialPreciosMaterial = async (id, filtros = {}) => {
+  const params = new URLSearchParams();
+  if (filtros.desde) params.set('desde', filtros.desde);
+  if (filtros.hasta) params.set('hasta', filtros.hasta);
+  const query = params.toString();
+
+  // Petición GET al endpoint de historial de precios.
+  const res = await fetch(`${API_URL}/materiales/${id}/precios${query ? `?${query}` : ''}`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Devuelve el historial de precios.
+  return await manejarRespuestaJson(
+    res,
+    'Error al obtener el historial de precios'
+  );
+};
+
+/**
+ * Obtener los lotes de un material (control de lotes y vencimientos).
+ * @param {string} id ID del material.
+ * @param {Object} [filtros] { almacen, incluirAgotados }.
+ * @returns {Promise<Object>} { material, lotes } (lotes en orden FEFO con diasParaVencer).
+ */
+export const obtenerLotesMaterial = async (id, filtros = {}) => {
+  const params = new URLSearchParams();
+  if (filtros.almacen) params.set('almacen', filtros.almacen);
+  if (filtros.incluirAgotados) params.set('incluirAgotados', 'true');
+  const query = params.toString();
+
+  // Petición GET al endpoint de lotes del material.
+  const res = await fetch(`${API_URL}/materiales/${id}/lotes${query ? `?${query}` : ''}`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Devuelve los lotes del material.
+  return await manejarRespuestaJson(
+    res,
+    'Error al obtener los lotes del material'
+  );
+};
+
+/**
+ * Obtener las unidades en que se puede expresar un material (la propia,
+ * sus equivalencias y las del catálogo compatibles).
+ * @param {string} id ID del material.
+ * @returns {Promise<Object>} { material, unidades: [{ unidad, nombre, factor, origen }] }.
+ */
+export const obtenerUnidadesMaterial = async (id) => {
+  // Petición GET al endpoint de unidades del material.
+  const res = await fetch(`${API_URL}/materiales/${id}/unidades`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Devuelve las unidades compatibles con su factor.
+  return await manejarRespuestaJson(
+    res,
+    'Error al obtener las unidades del material'
+  );
+};
+
+/**
+ * Obtener el precio de un material vigente en una fecha.
+ * @param {string} id ID del material.
+ * @param {string} fecha Fecha YYYY-MM-DD.
+ * @returns {Promise<Object>} { fecha, precio, origen }.
+ */
+export const obtenerPrecioMaterialEnFecha = async (id, fecha) => {
+  // Petición GET al endpoint de precio en una fecha.
+  const res = await fetch(
+    `${API_URL}/materiales/${id}/precio?fecha=${encodeURIComponent(fecha)}`,
+    {
+      headers: {
+        ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+      },
+    }
+  );
+
+  // Devuelve el precio encontrado.
+  return await manejarRespuestaJson(
+    res,
+    'Error al obtener el precio del material'
+  );
+};
+
+/**
+ * Obtener las sugerencias de reabastecimiento por material y almacén.
+ * @param {Object} [filtros] { dias, cobertura, almacen, material, soloPedidos }.
+ * @returns {Promise<Object>} { parametros, resumen, items }.
+ */
+export const obtenerReabastecimiento = async (filtros = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filtros).forEach(([clave, valor]) => {
+    if (valor !== undefined && valor !== null && valor !== '') params.set(clave, valor);
+  });
+  const query = params.toString();
+
+  // Petición GET al endpoint de reabastecimiento.
+  const res = await fetch(`${API_URL}/materiales/reabastecimiento${query ? `?${query}` : ''}`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Devuelve las sugerencias.
+  return await manejarRespuestaJson(
+    res,
+    'Error al obtener las sugerencias de reabastecimiento'
+  );
+};
+
+/**
+ * Crear un material.
+ * @param {Object} data Datos del material.
+ * @returns {Promise<Object>} Material creado.
+ */
+export const crearMaterial = async (data) => {
+  // Petición POST al endpoint de creación de material.
+  const res = await fetch(`${API_URL}/materiales`, {
+    method: 'POST', // Método HTTP POST.
+    headers: {
+      'Content-Type': 'application/json', // Indica JSON.
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: JSON.stringify(data), // Datos del material en JSON.
+  });
+
+  // Devuelve el material creado.
+  return await manejarRespuestaJson(
+    res,
+    'Error al crear el material'
+  );
+};
+
+/**
+ * Actualizar un material.
+ * @param {string} id ID del material.
+ * @param {Object} data Datos a actualizar.
+ * @returns {Promise<Object>} Material actualizado.
+ */
+export const actualizarMaterial = async (id, data) => {
+  // Petición PUT al endpoint de actualización de material.
+  const res = await fetch(`${API_URL}/materiales/${id}`, {
+    method: 'PUT', // Método HTTP PUT.
+    headers: {
+      'Content-Type': 'application/json', // Indica JSON.
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: JSON.stringify(data), // Datos actualizados.
+  });
+
+  // Devuelve el material actualizado.
+  return await manejarRespuestaJson(
+    res,
+    'Error al actualizar el material'
+  );
+};
+
+/**
+ * Eliminar un material.
+ * @param {string} id ID del material.
+ * @returns {Promise<void>}
+ */
+export const eliminarMaterial = async (id) => {
+  // Petición DELETE al endpoint de eliminación de material.
+  const res = await fetch(`${API_URL}/materiales/${id}`, {
+    method: 'DELETE', // Método HTTP DELETE.
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Verifica que la eliminación fue correcta.
+  await manejarRespuestaJson(res, 'Error al eliminar el material');
+};
+
+/**
+ * Importar materiales desde un archivo CSV o XLSX.
+ * Campo de archivo en el backend: "archivo".
+ * Sin confirmar, el backend solo valida (dry-run) y devuelve el estado de
+ * cada fila; con confirmar crea los materiales válidos y su stock inicial.
+ * @param {File} archivo Archivo .csv o .xlsx.
+ * @param {boolean} [confirmar=false] true para importar; false para simular.
+ * @returns {Promise<Object>} { modo, archivo, resumen, filas }.
+ */
+export const importarMateriales = async (archivo, confirmar = false) => {
+  // FormData con el archivo y la bandera de confirmación.
+  const formData = new FormData();
+  formData.append('archivo', archivo);
+  formData.append('confirmar', confirmar ? 'true' : 'false');
+
+  // Petición POST al endpoint de importación.
+  const res = await fetch(`${API_URL}/materiales/importar`, {
+    method: 'POST', // Método HTTP POST.
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Solo autenticación; el navegador arma el multipart.
+    },
+    body: formData,
+  });
+
+  // Devuelve el reporte de la simulación o de la importación.
+  return await manejarRespuestaJson(
+    res,
+    confirmar ? 'Error al importar los materiales' : 'Error al validar el archivo'
+  );
+};
+
+// ===================================================================
+//   📦 MOVIMIENTOS DE INVENTARIO
+// ===================================================================
+
+/**
+ * Obtener todos los movimientos de inventario.
+ * Siempre devuelve un arreglo, aún si hay error (arreglo vacío).
+ * @returns {Promise<Array>} Lista de movimientos.
+ */
+export const obtenerMovimientosInventario = async () => {
+  try {
+    // Petición GET al endpoint de movimientos.
+    const res = await fetch(`${API_URL}/movimientos`, {
+      headers: {
+        ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+      },
+    });
+
+    // Si hay error HTTP, se captura en el catch.
+    const data = await manejarRespuestaJson(
+      res,
+      'Error al obtener los movimientos de inventario'
+    );
+
+    // Aseguramos que siempre se devuelva un arreglo.
+    return Array.isArray(data) ? data : [];
+  } catch (error) {
+    console.error('❌ Error al obtener movimientos:', error);
+    return []; // Se devuelve arreglo vacío para no romper la UI.
+  }
+};
+
+/**
+ * Crear un movimiento de inventario (entrada, salida o ajuste).
+ * @param {Object} data Datos del movimiento.
+ * @returns {Promise<Object>} Movimiento creado.
+ */
+export const crearMovimientoInventario = async (data) => {
+  try {
+    // Petición POST al endpoint de movimientos.
+    const res = await fetch(`${API_URL}/movimientos`, {
+      method: 'POST', // Método HTTP POST.
+      headers: {
+        'Content-Type': 'application/json', // Indica JSON.
+        ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+      },
+      body: JSON.stringify(data), // Datos del movimiento.
+    });
+
+    // Devuelve el movimiento creado.
+    return await manejarRespuestaJson(
+      res,
+      'Error al crear el movimiento'
+    );
+  } catch (error) {
+    console.error('❌ Error al crear movimiento:', error);
+    throw error; // Propaga el error para que el componente lo maneje.
+  }
+};
+
+/**
+ * Crear un traslado entre almacenes (genera tramo de salida y de entrada).
+ * @param {Object} data { material, almacenOrigen, almacenDestino, cantidad, enTransito, descripcion }.
+ * @returns {Promise<Object>} Traslado creado ({ trasladoId, salida, entrada }).
+ */
+export const crearTrasladoInventario = async (data) => {
+  try {
+    // Petición POST al endpoint de traslados.
+    const res = await fetch(`${API_URL}/movimientos/traslados`, {
+      method: 'POST', // Método HTTP POST.
+      headers: {
+        'Content-Type': 'application/json', // Indica JSON.
+        ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+      },
+      body: JSON.stringify(data), // Datos del traslado.
+    });
+
+    // Devuelve el traslado creado.
+    return await manejarRespuestaJson(
+      res,
+      'Error al crear el traslado'
+    );
+  } catch (error) {
+    console.error('❌ Error al crear traslado:', error);
+    throw error;
+  }
+};
+
+/**
+ * Listar traslados entre almacenes.
+ * @param {string} [estado] Filtro opcional: 'en_transito' o 'recibido'.
+ * @returns {Promise<Array>} Lista de traslados (un registro por traslado).
+ */
+export const obtenerTrasladosInventario = async (estado) => {
+  // Construye la query solo si se envía estado.
+  const query = estado ? `?estado=${encodeURIComponent(estado)}` : '';
+
+  // Petición GET al endpoint de traslados.
+  const res = await fetch(`${API_URL}/movimientos/traslados${query}`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Devuelve la lista de traslados.
+  return await manejarRespuestaJson(
+    res,
+    'Error al obtener los traslados'
+  );
+};
+
+/**
+ * Confirmar la recepción de un traslado en tránsito.
+ * @param {string} trasladoId Id común del traslado.
+ * @returns {Promise<Object>} Traslado actualizado.
+ */
+export const confirmarTrasladoInventario = async (trasladoId) => {
+  // Petición PATCH al endpoint de confirmación.
+  const res = await fetch(`${API_URL}/movimientos/traslados/${trasladoId}/confirmar`, {
+    method: 'PATCH', // Método HTTP PATCH.
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Devuelve el traslado confirmado.
+  return await manejarRespuestaJson(
+    res,
+    'Error al confirmar la recepción del traslado'
+  );
+};
+
+/**
+ * Construye la query del kardex a partir de los filtros seleccionados.
+ * @param {Object} filtros { almacen, desde, hasta }.
+ * @param {string} [formato] 'pdf' o 'csv' (omitido para JSON).
+ * @returns {string} Query string (incluye '?', o vacío si no hay filtros).
+ */
+const construirQueryKardex = (filtros = {}, formato) => {
+  const params = new URLSearchParams();
+  if (filtros.almacen) params.set('almacen', filtros.almacen);
+  if (filtros.desde) params.set('desde', filtros.desde);
+  if (filtros.hasta) params.set('hasta', filtros.hasta);
+  if (formato) params.set('formato', formato);
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+/**
+ * Obtener el kardex de un material (saldo inicial, movimientos con saldo
+ * y valor corridos, saldo final).
+ * @param {string} materialId ID del material.
+ * @param {Object} [filtros] { almacen, desde, hasta } (YYYY-MM-DD).
+ * @returns {Promise<Object>} Kardex del material.
+ */
+export const obtenerKardexMaterial = async (materialId, filtros = {}) => {
+  // Petición GET al endpoint de kardex.
+  const res = await fetch(
+    `${API_URL}/movimientos/material/${materialId}/kardex${construirQueryKardex(filtros)}`,
+    {
+      headers: {
+        ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+      },
+    }
+  );
+
+  // Devuelve el kardex.
+  return await manejarRespuestaJson(
+    res,
+    'Error al obtener el kardex del material'
+  );
+};
+
+/**
+ * Descargar el kardex de un material en PDF o CSV.
+ * @param {string} materialId ID del material.
+ * @param {Object} [filtros] { almacen, desde, hasta } (YYYY-MM-DD).
+ * @param {'pdf'|'csv'} [formato='pdf'] Formato del archivo.
+ * @param {string} [nombreArchivo] Nombre sugerido (sin extensión).
+ */
+export const descargarKardexMaterial = async (
+  materialId,
+  filtros = {},
+  formato = 'pdf',
+  nombreArchivo = 'Kardex'
+) => {
+  try {
+    // Petición GET al endpoint de kardex con el formato solicitado.
+    const response = await fetch(
+      `${API_URL}/movimientos/material/${materialId}/kardex${construirQueryKardex(filtros, formato)}`,
+      {
+        headers: {
+          ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+        },
+      }
+    );
+
+    // Si el status no es OK, lanzamos error.
+    if (!response.ok) {
+      throw new Error('Error al descargar el kardex');
+    }
+
+    // Convierte la respuesta a Blob y dispara la descarga.
+    const blob = await response.blob();
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${nombreArchivo}.${formato}`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error al descargar kardex:', error);
+    throw error;
+  }
+};
+
+/**
+ * Anular un movimiento de inventario.
+ * El backend crea un movimiento compensatorio que revierte el stock y marca
+ * el original como anulado (el historial no se edita ni se elimina).
+ * @param {string} id ID del movimiento (en traslados, cualquiera de los tramos).
+ * @param {string} motivo Motivo de la anulación (obligatorio).
+ * @returns {Promise<Object>} { anulados, compensatorios, materialActualizado }.
+ */
+export const anularMovimientoInventario = async (id, motivo) => {
+  try {
+    // Petición POST al endpoint de anulación.
+    const res = await fetch(`${API_URL}/movimientos/${id}/anular`, {
+      method: 'POST', // Método HTTP POST.
+      headers: {
+        'Content-Type': 'application/json', // Indica JSON.
+        ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+      },
+      body: JSON.stringify({ motivo }), // Motivo de la anulación.
+    });
+
+    // Devuelve el resultado de la anulación.
+    return await manejarRespuestaJson(
+      res,
+      'Error al anular el movimiento'
+    );
+  } catch (error) {
+    console.error('❌ Error al anular movimiento:', error);
+    throw error;
+  }
+};
+
+// ===================================================================
+//   🏷️ ETIQUETAS QR (hojas PDF y escaneo)
+// ===================================================================
+
+/**
+ * Descarga una hoja PDF de etiquetas QR generada por el backend.
+ * Si el backend responde con error (p. ej. 404 sin materiales), lanza el
+ * mensaje que envía para mostrarlo en la UI.
+ * @param {string} ruta Ruta bajo /etiquetas (materiales | almacenes).
+ * @param {Object} filtros Parámetros de la query (valores vacíos se omiten).
+ * @param {string} nombreArchivo Nombre sugerido (sin extensión).
+ */
+const descargarHojaEtiquetas = async (ruta, filtros, nombreArchivo) => {
+  // Arma la query sólo con los filtros que tienen valor.
+  const params = new URLSearchParams();
+  Object.entries(filtros).forEach(([clave, valor]) => {
+    if (valor !== undefined && valor !== null && valor !== '') {
+      params.append(clave, Array.isArray(valor) ? valor.join(',') : valor);
+    }
+  });
+  const query = params.toString() ? `?${params.toString()}` : '';
+
+  // Petición GET al endpoint de etiquetas.
+  const response = await fetch(`${API_URL}/etiquetas/${ruta}${query}`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  // Si el status no es OK, el backend devuelve JSON con el motivo.
+  if (!response.ok) {
+    await manejarRespuestaJson(response, 'Error al descargar las etiquetas');
+  }
+
+  // Convierte la respuesta a Blob y dispara la descarga.
+  const blob = await response.blob();
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${nombreArchivo}.pdf`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+/**
+ * Descargar etiquetas QR de materiales.
+ * Con `almacen` se generan etiquetas de ubicación (material + almacén) para
+ * los materiales con saldo en ese almacén.
+ * @param {Object} [filtros] { almacen, categoria, materiales: string[], copias }.
+ * @param {string} [nombreArchivo] Nombre sugerido (sin extensión).
+ */
+export const descargarEtiquetasMateriales = async (
+  filtros = {},
+  nombreArchivo = 'Etiquetas_materiales'
+) => {
+  try {
+    await descargarHojaEtiquetas('materiales', filtros, nombreArchivo);
+  } catch (error) {
+    console.error('❌ Error al descargar etiquetas de materiales:', error);
+    throw error;
+  }
+};
+
+/**
+ * Descargar etiquetas QR de almacenes.
+ * @param {Object} [filtros] { almacenes: string[], copias }.
+ * @param {string} [nombreArchivo] Nombre sugerido (sin extensión).
+ */
+export const descargarEtiquetasAlmacenes = async (
+  filtros = {},
+  nombreArchivo = 'Etiquetas_almacenes'
+) => {
+  try {
+    await descargarHojaEtiquetas('almacenes', filtros, nombreArchivo);
+  } catch (error) {
+    console.error('❌ Error al descargar etiquetas de almacenes:', error);
+    throw error;
+  }
+};
+
+/**
+ * Resolver un código leído con escáner (PCM-MAT:…, PCM-MAT:…@…, PCM-ALM:…).
+ * @param {string} codigo Texto leído.
+ * @returns {Promise<Object>} { tipo, codigo, material, almacen, saldo }.
+ */
+export const resolverCodigoEtiqueta = async (codigo) => {
+  // Petición GET al endpoint de resolución.
+  const res = await fetch(
+    `${API_URL}/etiquetas/resolver?codigo=${encodeURIComponent(codigo)}`,
+    {
+      headers: {
+        ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+      },
+    }
+  );
+
+  // Devuelve el material y/o almacén identificados.
+  return await manejarRespuestaJson(res, 'No se pudo leer el código escaneado');
+};
+
+// ===================================================================
+//   📋 CONTEOS DE INVENTARIO (conteo cíclico)
+// ===================================================================
+
+/**
+ * Listar conteos físicos de inventario.
+ * @param {Object} [filtros] { estado, almacen }.
+ * @returns {Promise<Array>} Lista de conteos (con resumen).
  */
-export const eliminarAlmacen = async (id) => {
-  // Petición DELETE al endpoint de eliminación de almacén.
-  const res = await fetch(`${API_URL}/almacenes/${id}`, {
-    method: 'DELETE', // Método HTTP DELETE.
+export const obtenerConteosInventario = async (filtros = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filtros).forEach(([clave, valor]) => {
+    if (valor !== undefined && valor !== null && valor !== '') params.set(clave, valor);
+  });
+  const query = params.toString();
+
+  // Petición GET al endpoint de conteos.
+  const res = await fetch(`${API_URL}/conteos-inventario${query ? `?${query}` : ''}`, {
     headers: {
       ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
     },
   });
 
-  // Verifica que TODO salió bien.
-  await manejarRespuestaJson(res, 'Error al eliminar el almacén');
+  // Devuelve los conteos.
+  return await manejarRespuestaJson(
+    res,
+    'Error al obtener los conteos de inventario'
+  );
 };
 
-// ===================================================================
-//   🧱 MATERIALES (CRUD)
-// ===================================================================
-
 /**
- * Listar materiales.
- * @returns {Promise<Array>} Lista de materiales.
+ * Obtener un conteo con el saldo actual de cada material.
+ * @param {string} id ID del conteo.
+ * @returns {Promise<Object>} Conteo de inventario.
  */
-export const obtenerMateriales = async () => {
-  // Petición GET al endpoint de materiales.
-  const res = await fetch(`${API_URL}/materiales`, {
+export const obtenerConteoInventarioPorId = async (id) => {
+  // Petición GET al endpoint de detalle del conteo.
+  const res = await fetch(`${API_URL}/conteos-inventario/${id}`, {
     headers: {
       ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
     },
   });
 
-  // Devuelve la lista de materiales.
+  // Devuelve el conteo.
   return await manejarRespuestaJson(
     res,
-    'Error al obtener la lista de materiales'
+    'Error al obtener el conteo de inventario'
   );
 };
 
 /**
- * Crear un material.
- * @param {Object} data Datos del material.
- * @returns {Promise<Object>} Material creado.
+ * Abrir un conteo físico sobre un almacén.
+ * @param {Object} data { almacen, categoria?, materiales?, descripcion? }.
+ * @returns {Promise<Object>} { message, data }.
  */
-export const crearMaterial = async (data) => {
-  // Petición POST al endpoint de creación de material.
-  const res = await fetch(`${API_URL}/materiales`, {
+export const crearConteoInventario = async (data) => {
+  // Petición POST al endpoint de creación del conteo.
+  const res = await fetch(`${API_URL}/conteos-inventario`, {
     method: 'POST', // Método HTTP POST.
     headers: {
-      'Content-Type': 'application/json', // Indica JSON.
+      'Content-Type': 'application/json', // Indica JSON en el body.
       ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
     },
-    body: JSON.stringify(data), // Datos del material en JSON.
+    body: JSON.stringify(data), // Datos del conteo en JSON.
   });
 
-  // Devuelve el material creado.
+  // Devuelve el conteo abierto.
   return await manejarRespuestaJson(
     res,
-    'Error al crear el material'
+    'Error al abrir el conteo de inventario'
   );
 };
 
 /**
- * Actualizar un material.
- * @param {string} id ID del material.
- * @param {Object} data Datos a actualizar.
- * @returns {Promise<Object>} Material actualizado.
+ * Registrar cantidades contadas en un conteo abierto.
+ * @param {string} id ID del conteo.
+ * @param {Array} items [{ material, cantidadContada, observacion? }].
+ * @returns {Promise<Object>} { message, data }.
  */
-export const actualizarMaterial = async (id, data) => {
-  // Petición PUT al endpoint de actualización de material.
-  const res = await fetch(`${API_URL}/materiales/${id}`, {
-    method: 'PUT', // Método HTTP PUT.
+export const registrarCantidadesConteo = async (id, items) => {
+  // Petición PATCH al endpoint de ítems del conteo.
+  const res = await fetch(`${API_URL}/conteos-inventario/${id}/items`, {
+    method: 'PATCH', // Método HTTP PATCH.
     headers: {
       'Content-Type': 'application/json', // Indica JSON.
       ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
     },
-    body: JSON.stringify(data), // Datos actualizados.
+    body: JSON.stringify({ items }), // Cantidades contadas.
   });
 
-  // Devuelve el material actualizado.
+  // Devuelve el conteo actualizado.
   return await manejarRespuestaJson(
     res,
-    'Error al actualizar el material'
+    'Error al registrar las cantidades contadas'
   );
 };
 
 /**
- * Eliminar un material.
- * @param {string} id ID del material.
- * @returns {Promise<void>}
+ * Ejecuta una acción de estado sobre un conteo (revision, reabrir,
+ * aplicar o cancelar).
+ * @param {string} id ID del conteo.
+ * @param {string} accion Segmento de la acción en la URL.
+ * @param {Object} [data] Body de la acción.
+ * @param {string} mensajeError Mensaje si la petición falla.
+ * @returns {Promise<Object>} { message, data }.
  */
-export const eliminarMaterial = async (id) => {
-  // Petición DELETE al endpoint de eliminación de material.
-  const res = await fetch(`${API_URL}/materiales/${id}`, {
-    method: 'DELETE', // Método HTTP DELETE.
+const accionConteoInventario = async (id, accion, data, mensajeError) => {
+  // Petición POST al endpoint de la acción.
+  const res = await fetch(`${API_URL}/conteos-inventario/${id}/${accion}`, {
+    method: 'POST', // Método HTTP POST.
     headers: {
+      'Content-Type': 'application/json', // Indica JSON.
       ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
     },
+    body: JSON.stringify(data || {}), // Datos de la acción.
   });
 
-  // Verifica que la eliminación fue correcta.
-  await manejarRespuestaJson(res, 'Error al eliminar el material');
+  // Devuelve el conteo actualizado.
+  return await manejarRespuestaJson(res, mensajeError);
 };
 
-// ===================================================================
-//   📦 MOVIMIENTOS DE INVENTARIO
-// ===================================================================
-
 /**
- * Obtener todos los movimientos de inventario.
- * Siempre devuelve un arreglo, aún si hay error (arreglo vacío).
- * @returns {Promise<Array>} Lista de movimientos.
+ * Pasar un conteo abierto a revisión.
+ * @param {string} id ID del conteo.
  */
-export const obtenerMovimientosInventario = async () => {
-  try {
-    // Petición GET al endpoint de movimientos.
-    const res = await fetch(`${API_URL}/movimientos`, {
-      headers: {
-        ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
-      },
-    });
-
-    // Si hay error HTTP, se captura en el catch.
-    const data = await manejarRespuestaJson(
-      res,
-      'Error al obtener los movimientos de inventario'
-    );
-
-    // Aseguramos que siempre se devuelva un arreglo.
-    return Array.isArray(data) ? data : [];
-  } catch (error) {
-    console.error('❌ Error al obtener movimientos:', error);
-    return []; // Se devuelve arreglo vacío para no romper la UI.
-  }
-};
+export const enviarConteoARevision = (id) =>
+  accionConteoInventario(id, 'revision', null, 'Error al enviar el conteo a revisión');
 
 /**
- * Crear un movimiento de inventario (entrada, salida o ajuste).
- * @param {Object} data Datos del movimiento.
- * @returns {Promise<Object>} Movimiento creado.
+ * Reabrir un conteo en revisión.
+ * @param {string} id ID del conteo.
  */
-export const crearMovimientoInventario = async (data) => {
-  try {
-    // Petición POST al endpoint de movimientos.
-    const res = await fetch(`${API_URL}/movimientos`, {
-      method: 'POST', // Método HTTP POST.
-      headers: {
-        'Content-Type': 'application/json', // Indica JSON.
-        ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
-      },
-      body: JSON.stringify(data), // Datos del movimiento.
-    });
-
-    // Devuelve el movimiento creado.
-    return await manejarRespuestaJson(
-      res,
-      'Error al crear el movimiento'
-    );
-  } catch (error) {
-    console.error('❌ Error al crear movimiento:', error);
-    throw error; // Propaga el error para que el componente lo maneje.
-  }
-};
+export const reabrirConteoInventario = (id) =>
+  accionConteoInventario(id, 'reabrir', null, 'Error al reabrir el conteo');
 
 /**
- * Actualizar un movimiento existente (por ejemplo, tipo o descripción).
- * @param {string} id ID del movimiento.
- * @param {Object} data Datos a actualizar.
- * @returns {Promise<Object>} Movimiento actualizado.
+ * Aplicar las diferencias aprobadas como ajustes de inventario.
+ * @param {string} id ID del conteo.
+ * @param {Array<string>} aprobados IDs de los materiales cuya diferencia se aprueba.
+ * @returns {Promise<Object>} { message, data: { conteo, movimientos } }.
  */
-export const actualizarMovimientoInventario = async (id, data) => {
-  try {
-    // Petición PUT al endpoint de movimientos.
-    const res = await fetch(`${API_URL}/movimientos/${id}`, {
-      method: 'PUT', // Método HTTP PUT.
-      headers: {
-        'Content-Type': 'application/json', // Indica JSON.
-        ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
-      },
-      body: JSON.stringify(data), // Datos actualizados del movimiento.
-    });
-
-    // Devuelve el movimiento actualizado.
-    return await manejarRespuestaJson(
-      res,
-      'Error al actualizar el movimiento'
-    );
-  } catch (error) {
-    console.error('❌ Error al actualizar movimiento:', error);
-    throw error;
-  }
-};
+export const aplicarConteoInventario = (id, aprobados) =>
+  accionConteoInventario(id, 'aplicar', { aprobados }, 'Error al aplicar el conteo de inventario');
 
 /**
- * Eliminar un movimiento.
- * @param {string} id ID del movimiento.
- * @returns {Promise<any>} Respuesta del backend.
+ * Cancelar un conteo sin tocar el inventario.
+ * @param {string} id ID del conteo.
+ * @param {string} motivo Motivo de la cancelación (obligatorio).
  */
-export const eliminarMovimientoInventario = async (id) => {
-  try {
-    // Petición DELETE al endpoint de movimientos.
-    const res = await fetch(`${API_URL}/movimientos/${id}`, {
-      method: 'DELETE', // Método HTTP DELETE.
-      headers: {
-        ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
-      },
-    });
-
-    // Devuelve la respuesta del backend (mensaje o similar).
-    return await manejarRespuestaJson(
-      res,
-      'Error al eliminar el movimiento'
-    );
-  } catch (error) {
-    console.error('❌ Error al eliminar movimiento:', error);
-    throw error;
-  }
-};
+export const cancelarConteoInventario = (id, motivo) =>
+  accionConteoInventario(id, 'cancelar', { motivo }, 'Error al cancelar el conteo');
 
 // ===================================================================
 //   🧮 PRESUPUESTOS Y COSTOS
@@ -906,12 +2258,14 @@ export const obtenerProyectoPorId = async (idProyecto) => {
  * @param {string} idProyecto ID del proyecto.
  * @param {string} idMaterial ID del material asignado al proyecto.
  * @param {number} cantidad Cantidad a consumir (se sumará a la utilizada).
+ * @param {string} [unidad] Unidad en que se expresa la cantidad (por defecto, la del material).
  * @returns {Promise<Object>} Objeto con el material actualizado.
  */
 export const registrarUsoMaterialProyecto = async (
   idProyecto,
   idMaterial,
-  cantidad
+  cantidad,
+  unidad
 ) => {
   const res = await fetch(`${API_URL}/proyectos/${idProyecto}/materiales/uso`, {
     method: 'POST',
@@ -919,7 +2273,7 @@ export const registrarUsoMaterialProyecto = async (
       'Content-Type': 'application/json',
       ...obtenerEncabezadosAutenticacion(),
     },
-    body: JSON.stringify({ materialId: idMaterial, cantidadUtilizada: cantidad }),
+    body: JSON.stringify({ materialId: idMaterial, cantidadUtilizada: cantidad, unidad }),
   });
   return await manejarRespuestaJson(res, 'Error al registrar el uso del material');
 };
@@ -1178,12 +2532,19 @@ export const removerLiderObra = async (idProyecto) => {
  * @param {string} idProyecto ID del proyecto.
  * @param {File|File[]} archivos Archivo o lista de archivos.
  * @param {string} [descripcion] Descripción opcional.
- * @returns {Promise<Object>} Proyecto actualizado con los adjuntos.
+ * @param {{ tarea?: string, criterio?: string }} [actividad] Actividad a la que
+ *   se asocian las fotos subidas (tarea del cronograma o criterio de avance).
+ * @param {string} [categoria] Categoría de documento (general, plano, contrato,
+ *   informe, foto): limita los tipos de archivo admitidos.
+ * @returns {Promise<Object>} Proyecto actualizado con los adjuntos (los archivos
+ *   sospechosos quedan en cuarentena hasta que un administrador los revise).
  */
 export const subirArchivosProyecto = async (
   idProyecto,
   archivos,
-  descripcion = ''
+  descripcion = '',
+  actividad = {},
+  categoria = 'general'
 ) => {
   // FormData para enviar archivos y campos de texto.
   const formData = new FormData();
@@ -1201,9 +2562,14 @@ export const subirArchivosProyecto = async (
     formData.append('descripcion', descripcion);
   }
 
-  // Petición POST al endpoint de adjuntos del proyecto.
+  // Actividad opcional para las fotos de avance.
+  if (actividad.tarea) formData.append('tarea', actividad.tarea);
+  if (actividad.criterio) formData.append('criterio', actividad.criterio);
+
+  // Petición POST al endpoint de adjuntos del proyecto. La categoría va en la
+  // URL: el backend la usa al inspeccionar cada archivo mientras lo recibe.
   const res = await fetch(
-    `${API_URL}/proyectos/${idProyecto}/adjuntos`,
+    `${API_URL}/proyectos/${idProyecto}/adjuntos?categoria=${encodeURIComponent(categoria || 'general')}`,
     {
       method: 'POST', // Método HTTP POST.
       headers: {
@@ -1222,11 +2588,13 @@ export const subirArchivosProyecto = async (
 };
 
 /**
- * Actualizar un adjunto (descripción y/o reemplazar archivo).
- * Campo de archivo en el backend: "archivo".
+ * Actualizar un adjunto (descripción y/o subir una nueva revisión del archivo).
+ * Campo de archivo en el backend: "archivo". La revisión anterior se conserva.
  * @param {string} idProyecto ID del proyecto.
  * @param {string} idAdjunto ID del adjunto.
- * @param {{ descripcion?: string, file?: File }} payload Datos a actualizar.
+ * @param {{ descripcion?: string, file?: File, nota?: string, tarea?: string, criterio?: string }} payload
+ *   Datos a actualizar: `nota` es la nota de cambio de la nueva revisión.
+ *   En fotos, tarea/criterio vacíos quitan la asociación.
  * @returns {Promise<Object>} Proyecto actualizado.
  */
 export const actualizarAdjuntoProyecto = async (
@@ -1247,6 +2615,15 @@ export const actualizarAdjuntoProyecto = async (
     formData.append('archivo', payload.file);
   }
 
+  // Nota de cambio de la nueva revisión.
+  if (payload.nota) {
+    formData.append('nota', payload.nota);
+  }
+
+  // Actividad de la foto de avance ('' quita la asociación).
+  if (payload.tarea !== undefined) formData.append('tarea', payload.tarea);
+  if (payload.criterio !== undefined) formData.append('criterio', payload.criterio);
+
   // Petición PUT al endpoint de actualización de adjunto.
   const res = await fetch(
     `${API_URL}/proyectos/${idProyecto}/adjuntos/${idAdjunto}`,
@@ -1266,6 +2643,189 @@ export const actualizarAdjuntoProyecto = async (
   );
 };
 
+/**
+ * Obtener las revisiones de un adjunto y su historial de descargas.
+ * @param {string} idProyecto ID del proyecto.
+ * @param {string} idAdjunto ID del adjunto.
+ * @returns {Promise<Object>} { documento, versiones, descargas } (más recientes primero).
+ */
+export const obtenerVersionesAdjunto = async (idProyecto, idAdjunto) => {
+  // Petición GET al historial de revisiones del adjunto.
+  const res = await fetch(
+    `${API_URL}/proyectos/${idProyecto}/adjuntos/${idAdjunto}/versiones`,
+    {
+      headers: {
+        ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+      },
+    }
+  );
+
+  return await manejarRespuestaJson(res, 'Error al obtener las revisiones del adjunto');
+};
+
+/**
+ * Descargar una revisión de un adjunto. El backend registra la descarga en el
+ * historial del documento.
+ * @param {string} idProyecto ID del proyecto.
+ * @param {string} idAdjunto ID del adjunto.
+ * @param {Object} [opciones]
+ * @param {string} [opciones.version] ID de la versión (por defecto la vigente).
+ * @param {string} [opciones.nombre] Nombre con el que se guarda el archivo.
+ */
+export const descargarAdjuntoProyecto = async (idProyecto, idAdjunto, { version, nombre } = {}) => {
+  const query = version ? `?version=${encodeURIComponent(version)}` : '';
+
+  // Petición GET autenticada al endpoint de descarga.
+  const response = await fetch(
+    `${API_URL}/proyectos/${idProyecto}/adjuntos/${idAdjunto}/descargar${query}`,
+    {
+      headers: {
+        ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+      },
+    }
+  );
+
+  // Si falla, lanza el mensaje del backend (p. ej. "archivo no disponible").
+  if (!response.ok) {
+    await manejarRespuestaJson(response, 'Error al descargar el adjunto');
+  }
+
+  // Convierte la respuesta a Blob y dispara la descarga.
+  const blob = await response.blob();
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = nombre || 'adjunto';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+/**
+ * Obtener un enlace firmado y temporal para descargar una revisión de un
+ * adjunto sin autenticación (para compartirlo). Cuenta como una descarga.
+ * @param {string} idProyecto ID del proyecto.
+ * @param {string} idAdjunto ID del adjunto.
+ * @param {string} [version] ID de la versión (por defecto la vigente).
+ * @returns {Promise<Object>} { url, expiraEn, revision }.
+ */
+export const obtenerEnlaceAdjunto = async (idProyecto, idAdjunto, version) => {
+  const query = version ? `?version=${encodeURIComponent(version)}` : '';
+
+  // Petición GET autenticada al endpoint de enlaces firmados.
+  const res = await fetch(
+    `${API_URL}/proyectos/${idProyecto}/adjuntos/${idAdjunto}/enlace${query}`,
+    {
+      headers: {
+        ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+      },
+    }
+  );
+
+  return await manejarRespuestaJson(res, 'Error al generar el enlace de descarga');
+};
+
+/**
+ * Enviar la revisión vigente de un adjunto a aprobación (admin o líder asignado).
+ * @param {string} idProyecto ID del proyecto.
+ * @param {string} idAdjunto ID del adjunto.
+ * @param {{ revisores: string[], comentario?: string }} datos Revisores ("admin", "cliente") y comentario.
+ * @returns {Promise<Object>} { message, adjunto }.
+ */
+export const enviarAdjuntoAAprobacion = async (idProyecto, idAdjunto, datos) => {
+  // Petición POST al endpoint de aprobación del adjunto.
+  const res = await fetch(`${API_URL}/proyectos/${idProyecto}/adjuntos/${idAdjunto}/aprobacion`, {
+    method: 'POST', // Método HTTP POST.
+    headers: {
+      'Content-Type': 'application/json', // Body en formato JSON.
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: JSON.stringify(datos),
+  });
+
+  return await manejarRespuestaJson(res, 'Error al enviar el documento a aprobación');
+};
+
+/**
+ * Aprobar o rechazar la revisión en aprobación de un adjunto (admin o cliente).
+ * @param {string} idProyecto ID del proyecto.
+ * @param {string} idAdjunto ID del adjunto.
+ * @param {{ decision: 'aprobar'|'rechazar', comentario?: string }} datos Decisión y comentario.
+ * @returns {Promise<Object>} { message, adjunto }.
+ */
+export const decidirAprobacionAdjunto = async (idProyecto, idAdjunto, datos) => {
+  // Petición POST al endpoint de decisión.
+  const res = await fetch(`${API_URL}/proyectos/${idProyecto}/adjuntos/${idAdjunto}/aprobacion/decision`, {
+    method: 'POST', // Método HTTP POST.
+    headers: {
+      'Content-Type': 'application/json', // Body en formato JSON.
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: JSON.stringify(datos),
+  });
+
+  return await manejarRespuestaJson(res, 'Error al registrar la decisión sobre el documento');
+};
+
+/**
+ * Obtener los archivos retenidos en cuarentena de todos los proyectos (admin).
+ * @returns {Promise<Object>} { total, archivos: [{ proyecto, adjunto, cuarentena }] }.
+ */
+export const obtenerArchivosEnCuarentena = async () => {
+  // Petición GET autenticada al endpoint de cuarentena.
+  const res = await fetch(`${API_URL}/proyectos/cuarentena`, {
+    headers: {
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+  });
+
+  return await manejarRespuestaJson(res, 'Error al obtener los archivos en cuarentena');
+};
+
+/**
+ * Liberar la revisión retenida de un adjunto (admin): vuelve a estar disponible.
+ * @param {string} idProyecto ID del proyecto.
+ * @param {string} idAdjunto ID del adjunto.
+ * @param {{ comentario?: string }} [datos] Comentario de la revisión.
+ * @returns {Promise<Object>} { message, adjunto }.
+ */
+export const liberarAdjuntoCuarentena = async (idProyecto, idAdjunto, datos = {}) => {
+  // Petición POST al endpoint de liberación.
+  const res = await fetch(`${API_URL}/proyectos/${idProyecto}/adjuntos/${idAdjunto}/cuarentena/liberar`, {
+    method: 'POST', // Método HTTP POST.
+    headers: {
+      'Content-Type': 'application/json', // Body en formato JSON.
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: JSON.stringify(datos),
+  });
+
+  return await manejarRespuestaJson(res, 'Error al liberar el archivo de la cuarentena');
+};
+
+/**
+ * Descartar la revisión retenida de un adjunto (admin): se borra el archivo y
+ * vuelve a estar vigente la revisión anterior (o se elimina el documento).
+ * @param {string} idProyecto ID del proyecto.
+ * @param {string} idAdjunto ID del adjunto.
+ * @param {{ comentario?: string }} [datos] Comentario de la revisión.
+ * @returns {Promise<Object>} { message, adjunto }.
+ */
+export const descartarAdjuntoCuarentena = async (idProyecto, idAdjunto, datos = {}) => {
+  // Petición POST al endpoint de descarte.
+  const res = await fetch(`${API_URL}/proyectos/${idProyecto}/adjuntos/${idAdjunto}/cuarentena/descartar`, {
+    method: 'POST', // Método HTTP POST.
+    headers: {
+      'Content-Type': 'application/json', // Body en formato JSON.
+      ...obtenerEncabezadosAutenticacion(), // Incluye autenticación.
+    },
+    body: JSON.stringify(datos),
+  });
+
+  return await manejarRespuestaJson(res, 'Error al descartar el archivo de la cuarentena');
+};
+
 /**
  * Eliminar un adjunto de un proyecto.
  * @param {string} idProyecto ID del proyecto.
@@ -1547,11 +3107,13 @@ export const removeLeader = (idProyecto) => {
  * @param {string} idProyecto ID del proyecto.
  * @param {File|File[]} archivos Archivo o lista de archivos.
  * @param {string} [descripcion] Descripción opcional.
+ * @param {{ tarea?: string, criterio?: string }} [actividad] Actividad de las fotos.
+ * @param {string} [categoria] Categoría de documento.
  * @returns {Promise<Object>} Proyecto actualizado.
  */
-export const uploadProjectFiles = (idProyecto, archivos, descripcion = '') => {
+export const uploadProjectFiles = (idProyecto, archivos, descripcion = '', actividad = {}, categoria = 'general') => {
   // Reusa la función que arma el FormData y hace el POST.
-  return subirArchivosProyecto(idProyecto, archivos, descripcion);
+  return subirArchivosProyecto(idProyecto, archivos, descripcion, actividad, categoria);
 };
 
 /**
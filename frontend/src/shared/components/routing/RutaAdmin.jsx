@@ -214,7 +214,7 @@ const RutaAdmin = ({                                                      // Dec
   const listaRolesPermitidos =
     Array.isArray(rolesPermitidos) && rolesPermitidos.length > 0         // Verifica si rolesPermitidos es un arreglo no vacío.
       ? rolesPermitidos                                                 // Si lo es, usa la lista proporcionada por el componente padre.
-      : ['admin', 'lider de obra', 'lider', 'cliente'];                 // Si no, usa roles por defecto definidos para PCM.
+      : ['admin', 'lider de obra', 'lider', 'cliente', 'auditor'];      // Si no, usa roles por defecto definidos para PCM.
 
   const rolUsuarioNormalizado = normalizarRol(usuario.role);             // Normaliza el rol del usuario para hacer comparación segura.
   const rolesPermitidosNormalizados = listaRolesPermitidos.map(normalizarRol); // Normaliza también todos los roles permitidos.